@@ -1,8 +1,61 @@
 const jwt = require('jsonwebtoken');
 const User = require('../models/User');
+const ApiKey = require('../models/ApiKey');
+const { hashApiKey, isIpAllowed, apiKeyPrincipal } = require('../utils/apiKeys');
+const { checkSession } = require('../utils/auth');
+const { loadRoles } = require('../utils/roles');
 
 /**
- * Protect routes - Verify JWT token and attach user to request
+ * Authenticate a machine client by its X-API-Key header. The key's scopes
+ * become req.user's permissions (see utils/apiKeys.js).
+ */
+const protectWithApiKey = async (req, res, next, key) => {
+  try {
+    const apiKey = await ApiKey.findOne({ keyHash: hashApiKey(key) });
+
+    if (!apiKey) {
+      return res.status(401).json({ 
+        success: false,
+        message: 'Invalid API key' 
+      });
+    }
+
+    if (apiKey.expiresAt && apiKey.expiresAt <= new Date()) {
+      return res.status(401).json({ 
+        success: false,
+        message: 'API key has expired' 
+      });
+    }
+
+    if (!isIpAllowed(req.ip, apiKey.allowedIps)) {
+      return res.status(403).json({ 
+        success: false,
+        message: 'API key is not allowed from this address' 
+      });
+    }
+
+    // Last-used tracking should not hold up or fail the request
+    ApiKey.updateOne(
+      { _id: apiKey._id },
+      { lastUsedAt: new Date(), lastUsedIp: req.ip }
+    ).catch(error => console.error('Error recording API key use:', error.message));
+
+    req.user = apiKeyPrincipal(apiKey);
+    next();
+  } catch (error) {
+    console.error('Error checking API key:', error);
+    return res.status(500).json({ 
+      success: false,
+      message: 'Error checking API key' 
+    });
+  }
+};
+
+/**
+ * Protect routes - Verify JWT token (or X-API-Key) and attach user to request.
+ * The token's session must still be active and not idle (Settings.sessionTimeout);
+ * 401 responses carry code TOKEN_EXPIRED (renew with the refresh token) or
+ * SESSION_ENDED (login again).
  */
 const protect = async (req, res, next) => {
   let token;
@@ -11,6 +64,10 @@ const protect = async (req, res, next) => {
   if (req.headers.authorization && req.headers.authorization.startsWith('Bearer')) {
     token = req.headers.authorization.split(' ')[1];
   }
+  // Machine clients authenticate with an API key instead
+  else if (req.headers['x-api-key']) {
+    return protectWithApiKey(req, res, next, req.headers['x-api-key']);
+  }
   // Also check cookies for token (optional, for browser sessions)
   else if (req.cookies && req.cookies.token) {
     token = req.cookies.token;
@@ -28,6 +85,19 @@ const protect = async (req, res, next) => {
     // Verify token
     const decoded = jwt.verify(token, process.env.JWT_SECRET || 'your-secret-key-change-in-production');
 
+    // Tokens from before sessions existed have no session and cannot be revoked
+    const { session, error } = decoded.sid
+      ? await checkSession(decoded.sid, { recordActivity: !req.backgroundRequest })
+      : { error: 'Please login again.' };
+    if (error) {
+      return res.status(401).json({ 
+        success: false,
+        code: 'SESSION_ENDED',
+        message: error 
+      });
+    }
+    req.sessionId = session._id;
+
     // Find user by id from token and attach to request
     req.user = await User.findById(decoded.id).select('-password');
 
@@ -46,15 +116,35 @@ const protect = async (req, res, next) => {
       });
     }
 
+    // Role permission sets for the permission checks that follow
+    await loadRoles();
+
     next();
   } catch (error) {
     return res.status(401).json({ 
       success: false,
+      code: error.name === 'TokenExpiredError' ? 'TOKEN_EXPIRED' : undefined,
       message: 'Not authorized to access this route. Token invalid or expired.' 
     });
   }
 };
 
+/**
+ * Refuse API keys on routes about the signed-in user's own account, which a
+ * key principal does not have
+ * Usage: router.get('/me', protect, userOnly, ...)
+ */
+const userOnly = (req, res, next) => {
+  if (req.user?.apiKey) {
+    return res.status(403).json({ 
+      success: false,
+      message: 'API keys cannot access this route' 
+    });
+  }
+
+  next();
+};
+
 /**
  * Authorize specific roles
  * Usage: authorize('Administrator', 'Manager')
@@ -79,6 +169,20 @@ const authorize = (...roles) => {
   };
 };
 
+/**
+ * Check whether a user holds a specific permission
+ * Administrators implicitly hold every permission; everyone else holds their
+ * role's permissions with their overrides applied (User.permissions).
+ * @param {Object} user - User document (usually req.user)
+ * @param {string} permission - Permission flag name from models/Role.js
+ * @returns {boolean}
+ */
+const hasPermission = (user, permission) => {
+  if (!user) return false;
+  if (user.role === 'Administrator') return true;
+  return Boolean(user.permissions && user.permissions[permission]);
+};
+
 /**
  * Check specific permission
  * Usage: checkPermission('createAssets')
@@ -92,13 +196,8 @@ const checkPermission = (permission) => {
       });
     }
 
-    // Administrators have all permissions
-    if (req.user.role === 'Administrator') {
-      return next();
-    }
-
-    // Check if user has the specific permission
-    if (!req.user.permissions || !req.user.permissions[permission]) {
+    // Check if user has the specific permission (administrators have all permissions)
+    if (!hasPermission(req.user, permission)) {
       return res.status(403).json({ 
         success: false,
         message: `You do not have permission to ${permission}` 
@@ -109,8 +208,34 @@ const checkPermission = (permission) => {
   };
 };
 
+/**
+ * Allow a user to act on their own record, otherwise require a permission
+ * Usage: checkSelfOrPermission('editUsers') on routes with an :id param
+ * @param {string} permission - Permission required to act on other users
+ * @param {string} param - Route param holding the target user ID (default: 'id')
+ */
+const checkSelfOrPermission = (permission, param = 'id') => {
+  return (req, res, next) => {
+    if (!req.user) {
+      return res.status(401).json({ 
+        success: false,
+        message: 'Not authorized' 
+      });
+    }
+
+    if (req.user._id.toString() === req.params[param]) {
+      return next();
+    }
+
+    return checkPermission(permission)(req, res, next);
+  };
+};
+
 module.exports = {
   protect,
+  userOnly,
   authorize,
   checkPermission,
+  checkSelfOrPermission,
+  hasPermission,
 };
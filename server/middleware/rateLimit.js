@@ -0,0 +1,55 @@
+/**
+ * Rate Limiting Middleware
+ *
+ * Fixed-window request limits per client IP, kept in memory. Each server
+ * instance counts on its own; failed sign-ins are also counted in the
+ * database (utils/loginSecurity.js), which every instance shares.
+ */
+
+/**
+ * Create a rate limiter
+ * Usage: router.post('/login', rateLimit({ windowMs: 15 * 60 * 1000, max: 30 }), ...)
+ * @param {Object} options
+ * @param {number} options.windowMs - Window length in milliseconds
+ * @param {number} options.max - Requests allowed per IP in a window
+ * @param {string} [options.message] - Message of the 429 response
+ */
+const rateLimit = ({ windowMs, max, message = 'Too many requests. Please try again later.' }) => {
+  const hits = new Map(); // IP -> { count, resetAt }
+
+  // Forget finished windows so the map does not grow
+  const sweep = setInterval(() => {
+    const now = Date.now();
+    for (const [ip, entry] of hits) {
+      if (entry.resetAt <= now) hits.delete(ip);
+    }
+  }, windowMs);
+  sweep.unref();
+
+  return (req, res, next) => {
+    const now = Date.now();
+    let entry = hits.get(req.ip);
+    if (!entry || entry.resetAt <= now) {
+      entry = { count: 0, resetAt: now + windowMs };
+      hits.set(req.ip, entry);
+    }
+    entry.count += 1;
+
+    res.set('RateLimit-Limit', String(max));
+    res.set('RateLimit-Remaining', String(Math.max(max - entry.count, 0)));
+
+    if (entry.count > max) {
+      res.set('Retry-After', String(Math.ceil((entry.resetAt - now) / 1000)));
+      return res.status(429).json({
+        success: false,
+        message,
+      });
+    }
+
+    next();
+  };
+};
+
+module.exports = {
+  rateLimit,
+};
@@ -23,7 +23,10 @@ const activitySchema = new mongoose.Schema(
     actionType: {
       type: String,
       required: true,
-      enum: ['Added', 'Updated', 'Deleted', 'Checked Out', 'Checked In', 'Maintenance', 'Other'],
+      enum: ['Added', 'Updated', 'Deleted', 'Restored', 'Checked Out', 'Checked In', 'Maintenance', 'Other'],
+    },
+    details: {
+      type: String,
     },
     user: {
       type: String,
@@ -0,0 +1,65 @@
+/**
+ * ApiKey Model
+ *
+ * Mongoose schema for named API keys used by machine clients through the
+ * X-API-Key header. Only a SHA-256 hash of the key is stored; the key
+ * itself is shown once when it is created or regenerated. Scopes decide
+ * which permissions the key carries (see utils/apiKeys.js).
+ */
+
+const mongoose = require('mongoose');
+
+const apiKeySchema = new mongoose.Schema(
+  {
+    name: {
+      type: String,
+      required: [true, 'Key name is required'],
+      trim: true,
+    },
+    keyHash: {
+      type: String,
+      required: true,
+      select: false,
+    },
+    prefix: {
+      type: String, // First characters of the key, to recognise it in lists and logs
+      required: true,
+    },
+    scopes: {
+      type: [String],
+      validate: {
+        validator: scopes => scopes.length > 0,
+        message: 'Choose at least one scope',
+      },
+    },
+    expiresAt: {
+      type: Date,
+      default: null,
+    },
+    allowedIps: {
+      type: [String], // IP addresses or IPv4 CIDR ranges; empty allows any address
+      default: [],
+    },
+    lastUsedAt: {
+      type: Date,
+      default: null,
+    },
+    lastUsedIp: {
+      type: String,
+      default: null,
+    },
+    createdBy: {
+      type: String,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// Index for faster queries
+apiKeySchema.index({ keyHash: 1 }, { unique: true });
+
+const ApiKey = mongoose.model('ApiKey', apiKeySchema);
+
+module.exports = ApiKey;
@@ -0,0 +1,78 @@
+/**
+ * ChangeLog Model
+ *
+ * Mongoose schema for field-level change history.
+ * Each entry records one update to an asset, maintenance record or tag:
+ * the fields that changed with their old and new values, who made the
+ * change and when. Entries can be reverted, which writes a new entry
+ * pointing back at the one it undid.
+ */
+
+const mongoose = require('mongoose');
+
+const fieldChangeSchema = new mongoose.Schema(
+  {
+    field: {
+      type: String,
+      required: true,
+    },
+    oldValue: {
+      type: mongoose.Schema.Types.Mixed,
+    },
+    newValue: {
+      type: mongoose.Schema.Types.Mixed,
+    },
+  },
+  { _id: false }
+);
+
+const changeLogSchema = new mongoose.Schema(
+  {
+    entityType: {
+      type: String,
+      required: true,
+      enum: ['Equipment', 'Maintenance', 'Tag'],
+    },
+    entityId: {
+      type: String, // MongoDB _id of the changed document
+      required: true,
+    },
+    entityName: {
+      type: String, // Asset name, maintenance service type or tag name at the time of the change
+    },
+    assetId: {
+      type: String, // Equipment ID for asset and maintenance changes
+    },
+    changes: [fieldChangeSchema],
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+    },
+    userName: {
+      type: String,
+      required: true,
+    },
+    revertOf: {
+      type: mongoose.Schema.Types.ObjectId, // Entry this change reverted
+      ref: 'ChangeLog',
+      default: null,
+    },
+    revertedBy: {
+      type: mongoose.Schema.Types.ObjectId, // Entry that reverted this change
+      ref: 'ChangeLog',
+      default: null,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// Index for faster queries
+changeLogSchema.index({ entityType: 1, entityId: 1, createdAt: -1 });
+changeLogSchema.index({ assetId: 1, createdAt: -1 });
+changeLogSchema.index({ user: 1, createdAt: -1 });
+
+const ChangeLog = mongoose.model('ChangeLog', changeLogSchema);
+
+module.exports = ChangeLog;
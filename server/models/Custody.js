@@ -0,0 +1,101 @@
+/**
+ * Custody Model
+ *
+ * Mongoose schema for asset check-out / check-in records.
+ * Each document is one custody period: who took the asset, when it is due
+ * back, and the condition it left and returned in. The open record for an
+ * asset (status 'Checked Out') is also referenced from Equipment.currentCustody.
+ */
+
+const mongoose = require('mongoose');
+
+const CONDITIONS = ['New', 'Good', 'Fair', 'Poor', 'Damaged'];
+
+const custodySchema = new mongoose.Schema(
+  {
+    assetId: {
+      type: String, // Reference to equipment ID
+      required: [true, 'Asset ID is required'],
+    },
+    assetName: {
+      type: String,
+      required: [true, 'Asset name is required'],
+    },
+    assignee: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: [true, 'Assignee is required'],
+    },
+    assigneeName: {
+      type: String,
+      required: true,
+    },
+    checkedOutBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+    },
+    checkedOutByName: {
+      type: String,
+    },
+    checkedOutAt: {
+      type: Date,
+      default: Date.now,
+    },
+    expectedReturnDate: {
+      type: Date,
+      required: [true, 'Expected return date is required'],
+    },
+    conditionOut: {
+      type: String,
+      enum: CONDITIONS,
+      required: [true, 'Condition at checkout is required'],
+    },
+    checkoutNotes: {
+      type: String,
+      trim: true,
+    },
+    statusOut: {
+      type: String, // Asset status before checkout, restored at check-in
+    },
+    checkedInAt: {
+      type: Date,
+    },
+    checkedInBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+    },
+    checkedInByName: {
+      type: String,
+    },
+    conditionIn: {
+      type: String,
+      enum: CONDITIONS,
+    },
+    checkinNotes: {
+      type: String,
+      trim: true,
+    },
+    status: {
+      type: String,
+      enum: ['Checked Out', 'Returned'],
+      default: 'Checked Out',
+    },
+    lastOverdueNotification: {
+      type: Date, // Last time an overdue-return notification was sent
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// Index for faster queries
+custodySchema.index({ assetId: 1, checkedOutAt: -1 });
+custodySchema.index({ status: 1, expectedReturnDate: 1 });
+custodySchema.index({ assignee: 1 });
+
+const Custody = mongoose.model('Custody', custodySchema);
+
+Custody.CONDITIONS = CONDITIONS;
+
+module.exports = Custody;
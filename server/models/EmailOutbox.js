@@ -0,0 +1,77 @@
+/**
+ * EmailOutbox Model
+ *
+ * Mongoose schema for outgoing emails. Emails are queued here and sent by
+ * utils/email.js; failed sends are retried with a growing delay until
+ * maxAttempts is reached.
+ */
+
+const mongoose = require('mongoose');
+
+const emailOutboxSchema = new mongoose.Schema(
+  {
+    to: {
+      type: String,
+      required: true,
+      trim: true,
+    },
+    subject: {
+      type: String,
+      required: true,
+    },
+    html: {
+      type: String,
+      required: true,
+    },
+    text: {
+      type: String,
+    },
+    template: {
+      type: String, // Template name from utils/emailTemplates.js
+    },
+    status: {
+      type: String,
+      enum: ['Pending', 'Sending', 'Sent', 'Failed'],
+      default: 'Pending',
+    },
+    attempts: {
+      type: Number,
+      default: 0,
+    },
+    maxAttempts: {
+      type: Number,
+      default: 5,
+    },
+    nextAttemptAt: {
+      type: Date,
+      default: Date.now,
+    },
+    claimedAt: {
+      type: Date, // When a sender picked the email up (status Sending)
+    },
+    lastError: {
+      type: String,
+    },
+    sentAt: {
+      type: Date,
+    },
+    messageId: {
+      type: String,
+    },
+    notificationId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Notification',
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// Index for faster queries
+emailOutboxSchema.index({ status: 1, nextAttemptAt: 1 });
+emailOutboxSchema.index({ createdAt: -1 });
+
+const EmailOutbox = mongoose.model('EmailOutbox', emailOutboxSchema);
+
+module.exports = EmailOutbox;
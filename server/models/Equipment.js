@@ -6,6 +6,7 @@
  */
 
 const mongoose = require('mongoose');
+const { softDelete } = require('../utils/softDelete');
 
 const equipmentSchema = new mongoose.Schema(
   {
@@ -29,6 +30,16 @@ const equipmentSchema = new mongoose.Schema(
       type: String,
       trim: true,
     },
+    locationId: {
+      type: mongoose.Schema.Types.ObjectId, // Node in the location tree; location keeps its name
+      ref: 'Location',
+      default: null,
+    },
+    parentId: {
+      type: String, // Asset ID of the asset this one is a component of
+      trim: true,
+      default: null,
+    },
     status: {
       type: String,
       trim: true,
@@ -57,6 +68,34 @@ const equipmentSchema = new mongoose.Schema(
       default: 'NGN',
       trim: true,
     },
+    // Warranty and support contract
+    warrantyStartDate: {
+      type: Date,
+    },
+    warrantyEndDate: {
+      type: Date,
+    },
+    warrantyProvider: {
+      type: String,
+      trim: true,
+    },
+    supportContractRef: {
+      type: String,
+      trim: true,
+    },
+    supportContractEndDate: {
+      type: Date,
+    },
+    // Last expiry alert sent (days before expiry) and the end date it was for,
+    // so a changed end date starts its alerts over
+    warrantyExpiryAlert: {
+      endDate: { type: Date },
+      days: { type: Number },
+    },
+    contractExpiryAlert: {
+      endDate: { type: Date },
+      days: { type: Number },
+    },
     maintenancePeriod: {
       type: String,
       enum: [
@@ -140,7 +179,10 @@ const equipmentSchema = new mongoose.Schema(
         name: { type: String },
         type: { type: String },
         id: { type: String },
-        data: { type: String }, // Base64 encoded file data stored in MongoDB
+        data: { type: String }, // Legacy base64 file data (moved out by scripts/migrateAttachments.js)
+        storage: { type: String, enum: ['local', 'gridfs', 's3'] }, // Backend holding the contents
+        storageKey: { type: String }, // Key of the contents in that backend
+        checksum: { type: String }, // SHA-256 of the contents (hex)
         uploadDate: { type: Date },
         size: { type: Number }, // File size in bytes
       },
@@ -148,9 +190,26 @@ const equipmentSchema = new mongoose.Schema(
     assignedTo: {
       type: String,
     },
+    // Open custody record while the asset is checked out (null when available)
+    currentCustody: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Custody',
+      default: null,
+    },
     department: {
       type: String,
     },
+    // Values of the custom fields defined on the asset type's tag, by field key
+    customFields: {
+      type: mongoose.Schema.Types.Mixed,
+      default: {},
+    },
+    // Bulk import that created this asset (used to undo the import)
+    importBatch: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'ImportBatch',
+      default: null,
+    },
     lastModified: {
       type: Date,
       default: Date.now,
@@ -166,6 +225,16 @@ const equipmentSchema = new mongoose.Schema(
 equipmentSchema.index({ name: 'text', category: 'text' });
 equipmentSchema.index({ status: 1 });
 equipmentSchema.index({ location: 1 });
+equipmentSchema.index({ locationId: 1 });
+equipmentSchema.index({ parentId: 1 });
+equipmentSchema.index({ department: 1 });
+equipmentSchema.index({ category: 1 });
+equipmentSchema.index({ createdAt: -1 });
+equipmentSchema.index({ importBatch: 1 });
+equipmentSchema.index({ warrantyEndDate: 1 });
+equipmentSchema.index({ supportContractEndDate: 1 });
+
+equipmentSchema.plugin(softDelete);
 
 const Equipment = mongoose.model('Equipment', equipmentSchema);
 
@@ -0,0 +1,67 @@
+/**
+ * ImportBatch Model
+ *
+ * Mongoose schema for bulk asset imports.
+ * Each committed import is recorded as one batch so it can be reviewed
+ * and undone as a unit. Imported assets reference their batch through
+ * Equipment.importBatch.
+ */
+
+const mongoose = require('mongoose');
+
+const importBatchSchema = new mongoose.Schema(
+  {
+    fileName: {
+      type: String,
+      required: true,
+    },
+    mapping: {
+      type: Map,
+      of: String, // Equipment field -> source column header
+    },
+    status: {
+      type: String,
+      enum: ['Pending', 'Committed', 'Undone'],
+      default: 'Pending',
+    },
+    assetIds: [
+      {
+        type: String, // Equipment IDs created by this batch
+      },
+    ],
+    assetCount: {
+      type: Number,
+      default: 0,
+    },
+    maintenanceCount: {
+      type: Number,
+      default: 0,
+    },
+    skippedRows: {
+      type: Number,
+      default: 0,
+    },
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+    },
+    createdByName: {
+      type: String,
+    },
+    undoneAt: {
+      type: Date,
+    },
+    undoneByName: {
+      type: String,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+importBatchSchema.index({ createdAt: -1 });
+
+const ImportBatch = mongoose.model('ImportBatch', importBatchSchema);
+
+module.exports = ImportBatch;
@@ -0,0 +1,61 @@
+/**
+ * JobRun Model
+ *
+ * Mongoose schema for the history of scheduled job runs.
+ * Each run records the job, how it was started, its status, duration
+ * and the results returned by the job.
+ */
+
+const mongoose = require('mongoose');
+
+const jobRunSchema = new mongoose.Schema(
+  {
+    job: {
+      type: String, // Job name from utils/scheduler.js JOBS
+      required: true,
+    },
+    trigger: {
+      type: String,
+      enum: ['schedule', 'manual', 'external'],
+      default: 'schedule',
+    },
+    status: {
+      type: String,
+      enum: ['Running', 'Succeeded', 'Failed', 'Skipped'],
+      default: 'Running',
+    },
+    startedAt: {
+      type: Date,
+      default: Date.now,
+    },
+    finishedAt: {
+      type: Date,
+    },
+    durationMs: {
+      type: Number,
+    },
+    results: {
+      type: mongoose.Schema.Types.Mixed,
+    },
+    error: {
+      type: String,
+    },
+    host: {
+      type: String, // Instance that ran the job (host:pid)
+    },
+    triggeredBy: {
+      type: String, // User name for manual runs
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// Index for faster queries
+jobRunSchema.index({ job: 1, startedAt: -1 });
+jobRunSchema.index({ startedAt: -1 });
+
+const JobRun = mongoose.model('JobRun', jobRunSchema);
+
+module.exports = JobRun;
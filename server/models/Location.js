@@ -0,0 +1,67 @@
+/**
+ * Location Model
+ *
+ * A node in the location tree: a site, building, floor or room. Each node
+ * keeps the IDs of its ancestors (root first) so a whole subtree can be
+ * found with one query. Assets reference a node (Equipment.locationId) and
+ * keep its name in Equipment.location.
+ */
+
+const mongoose = require('mongoose');
+
+const LOCATION_TYPES = ['Site', 'Building', 'Floor', 'Room'];
+
+const locationSchema = new mongoose.Schema(
+  {
+    name: {
+      type: String,
+      required: [true, 'Location name is required'],
+      trim: true,
+      maxlength: [100, 'Location name must be at most 100 characters'],
+    },
+    code: {
+      type: String, // Short code used in generated asset tags, e.g. LOS
+      required: [true, 'Location code is required'],
+      unique: true,
+      trim: true,
+      uppercase: true,
+      match: [/^[A-Z0-9-]{1,10}$/, 'Location code must be 1-10 letters, digits or dashes'],
+    },
+    type: {
+      type: String,
+      enum: LOCATION_TYPES,
+      default: 'Site',
+    },
+    parent: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Location',
+      default: null,
+    },
+    ancestors: [{
+      type: mongoose.Schema.Types.ObjectId, // Root first, parent last
+      ref: 'Location',
+    }],
+    address: {
+      street: { type: String, trim: true },
+      city: { type: String, trim: true },
+      state: { type: String, trim: true },
+      postalCode: { type: String, trim: true },
+      country: { type: String, trim: true },
+    },
+    description: {
+      type: String,
+      trim: true,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+locationSchema.index({ parent: 1, name: 1 });
+locationSchema.index({ ancestors: 1 });
+
+const Location = mongoose.model('Location', locationSchema);
+Location.TYPES = LOCATION_TYPES;
+
+module.exports = Location;
@@ -0,0 +1,38 @@
+/**
+ * Lock Model
+ *
+ * Mongoose schema for distributed locks shared by all server instances.
+ * A lock is held by one owner until it is released or lockedUntil passes,
+ * so a crashed instance cannot hold it forever. lastSlot records the last
+ * scheduled time a job ran for, so instances firing the same cron tick
+ * run the job only once.
+ */
+
+const mongoose = require('mongoose');
+
+const lockSchema = new mongoose.Schema(
+  {
+    _id: {
+      type: String, // Lock name, e.g. "job:backup"
+    },
+    owner: {
+      type: String, // Instance holding the lock (host:pid)
+      required: true,
+    },
+    lockedUntil: {
+      type: Date,
+      required: true,
+    },
+    lastSlot: {
+      type: String, // Scheduled time (ISO, minute precision) of the last scheduled run
+      default: null,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+const Lock = mongoose.model('Lock', lockSchema);
+
+module.exports = Lock;
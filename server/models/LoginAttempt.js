@@ -0,0 +1,59 @@
+/**
+ * LoginAttempt Model
+ *
+ * One sign-in attempt, successful or not: the login audit trail
+ * administrators review, and the record of failures per IP address used to
+ * block addresses that keep guessing. Purged with the other history after
+ * Settings.dataRetentionDays.
+ */
+
+const mongoose = require('mongoose');
+
+const loginAttemptSchema = new mongoose.Schema(
+  {
+    email: {
+      type: String,
+      lowercase: true,
+      trim: true,
+      default: '',
+    },
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      default: null, // null when the email matches no account
+    },
+    ip: {
+      type: String,
+      default: '',
+    },
+    userAgent: {
+      type: String,
+      default: '',
+    },
+    method: {
+      type: String,
+      enum: ['password', 'twoFactor', 'recoveryCode', 'register', 'passwordReset'],
+      default: 'password',
+    },
+    success: {
+      type: Boolean,
+      required: true,
+    },
+    reason: {
+      type: String, // Why it failed, e.g. 'Wrong password', 'Account locked'
+      default: '',
+    },
+  },
+  {
+    timestamps: { createdAt: true, updatedAt: false },
+  }
+);
+
+// Index for faster queries
+loginAttemptSchema.index({ createdAt: -1 });
+loginAttemptSchema.index({ ip: 1, success: 1, createdAt: -1 });
+loginAttemptSchema.index({ email: 1, createdAt: -1 });
+
+const LoginAttempt = mongoose.model('LoginAttempt', loginAttemptSchema);
+
+module.exports = LoginAttempt;
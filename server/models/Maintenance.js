@@ -6,6 +6,7 @@
  */
 
 const mongoose = require('mongoose');
+const { softDelete } = require('../utils/softDelete');
 
 const maintenanceSchema = new mongoose.Schema(
   {
@@ -98,6 +99,21 @@ const maintenanceSchema = new mongoose.Schema(
       type: String,
       trim: true,
     },
+    // Set when a repair is logged while the asset is under warranty
+    warrantyCovered: {
+      type: Boolean,
+      default: false,
+    },
+    warrantyProvider: {
+      type: String,
+      trim: true,
+    },
+    // Bulk import that created this record (used to roll back the import)
+    importBatch: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'ImportBatch',
+      default: null,
+    },
   },
   {
     timestamps: true,
@@ -113,6 +129,8 @@ maintenanceSchema.index({ scheduledDate: 1 });
 maintenanceSchema.index({ isOverdue: 1 });
 maintenanceSchema.index({ status: 1, scheduledDate: 1 });
 
+maintenanceSchema.plugin(softDelete);
+
 const Maintenance = mongoose.model('Maintenance', maintenanceSchema);
 
 module.exports = Maintenance;
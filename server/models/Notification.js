@@ -2,6 +2,13 @@
  * Notification Model
  *
  * MongoDB schema for system notifications
+ *
+ * A notification is stored once and fanned out to its recipients, each with
+ * their own read/dismiss state. `audience` records how the recipients were
+ * chosen (user ids, roles, departments, asset assignees), `rules` which
+ * notification rules picked them, and `dedupeKey` keeps scheduled checks
+ * from creating the same notification twice.
+ * `userId` is only set for personal notifications (e.g. "checked out to you").
  */
 
 const mongoose = require("mongoose");
@@ -29,15 +36,45 @@ const notificationSchema = new mongoose.Schema(
       type: String,
       default: null,
     },
+    audience: {
+      users: [String],
+      roles: [String],
+      departments: [String],
+      assignees: [String],
+    },
+    recipients: [
+      {
+        _id: false,
+        user: {
+          type: mongoose.Schema.Types.ObjectId,
+          ref: "User",
+          required: true,
+        },
+        readAt: {
+          type: Date,
+          default: null,
+        },
+        dismissedAt: {
+          type: Date,
+          default: null,
+        },
+      },
+    ],
+    rules: [
+      {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "NotificationRule",
+      },
+    ],
+    dedupeKey: {
+      type: String,
+      default: undefined,
+    },
     priority: {
       type: String,
       enum: ["low", "medium", "high"],
       default: "medium",
     },
-    read: {
-      type: Boolean,
-      default: false,
-    },
     actionUrl: {
       type: String,
       default: null,
@@ -49,8 +86,32 @@ const notificationSchema = new mongoose.Schema(
 );
 
 // Index for faster queries
-notificationSchema.index({ read: 1, createdAt: -1 });
+notificationSchema.index({ "recipients.user": 1, createdAt: -1 });
 notificationSchema.index({ assetId: 1 });
-notificationSchema.index({ userId: 1 });
+notificationSchema.index({ dedupeKey: 1 }, { unique: true, sparse: true });
+
+/**
+ * The notification as one recipient sees it: their read state instead of
+ * the recipient list
+ * @param {string} [userId] - Recipient (omit for a notification nobody has read yet)
+ */
+notificationSchema.methods.toRecipientJSON = function (userId = null) {
+  const notification = this.toObject();
+  const recipient = userId
+    ? notification.recipients.find((entry) => entry.user.toString() === userId.toString())
+    : null;
+
+  delete notification.recipients;
+  delete notification.audience;
+  delete notification.rules;
+  delete notification.dedupeKey;
+  delete notification.__v;
+
+  return {
+    ...notification,
+    read: Boolean(recipient?.readAt),
+    readAt: recipient?.readAt || null,
+  };
+};
 
 module.exports = mongoose.model("Notification", notificationSchema);
@@ -0,0 +1,72 @@
+/**
+ * NotificationRule Model
+ *
+ * Mongoose schema for administrator-managed notification rules. A rule
+ * names the event that triggers it, optional conditions on the asset or
+ * record involved, who receives the notification and over which channels.
+ * Rules are evaluated by utils/notificationRules.js; the built-in rules
+ * (key set) are created from its defaults and can be edited or turned off
+ * but not deleted.
+ */
+
+const mongoose = require('mongoose');
+
+const notificationRuleSchema = new mongoose.Schema(
+  {
+    name: {
+      type: String,
+      required: [true, 'Rule name is required'],
+      trim: true,
+    },
+    description: {
+      type: String,
+      trim: true,
+    },
+    trigger: {
+      type: String, // Trigger from utils/notificationRules.js
+      required: [true, 'Trigger event is required'],
+    },
+    enabled: {
+      type: Boolean,
+      default: true,
+    },
+    key: {
+      type: String, // Built-in rule this was created from
+      default: undefined,
+    },
+    conditions: {
+      categories: [String], // Asset category is one of these
+      departments: [String], // Asset department is one of these
+      priorities: [String], // Notification priority is one of these
+      minCost: { type: Number, default: null }, // Maintenance (or else asset) cost above this
+      fromStatuses: [String], // Status changed from one of these
+      toStatuses: [String], // Status changed to one of these
+    },
+    recipients: {
+      users: [{ type: mongoose.Schema.Types.ObjectId, ref: 'User' }],
+      roles: [String],
+      assetAssignee: { type: Boolean, default: false },
+      assetDepartment: { type: Boolean, default: false }, // Everyone in the asset's department
+      departmentManagers: { type: Boolean, default: false }, // Managers of the asset's department
+    },
+    channels: {
+      inApp: { type: Boolean, default: true },
+      email: { type: Boolean, default: false },
+      webhook: { type: Boolean, default: false }, // Slack/Teams, routed per event in Integrations
+    },
+    updatedBy: {
+      type: String,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// Index for faster queries
+notificationRuleSchema.index({ trigger: 1, enabled: 1 });
+notificationRuleSchema.index({ key: 1 }, { unique: true, sparse: true });
+
+const NotificationRule = mongoose.model('NotificationRule', notificationRuleSchema);
+
+module.exports = NotificationRule;
@@ -0,0 +1,104 @@
+/**
+ * Role Model
+ *
+ * A named permission template. Users hold one role by name (User.role) and
+ * get its permissions, plus their own overrides (User.permissionOverrides).
+ * The built-in roles (isSystem) cannot be renamed or deleted, and the
+ * Administrator role always holds every permission (see utils/roles.js).
+ * A data scope limits holders to the assets of some departments or
+ * locations (see utils/dataScope.js).
+ */
+
+const mongoose = require('mongoose');
+
+const roleSchema = new mongoose.Schema(
+  {
+    name: {
+      type: String,
+      required: [true, 'Role name is required'],
+      unique: true,
+      trim: true,
+      maxlength: [50, 'Role name must be at most 50 characters'],
+    },
+    description: {
+      type: String,
+      trim: true,
+      default: '',
+    },
+    permissions: {
+      // Dashboard
+      viewDashboard: { type: Boolean, default: false },
+
+      // Assets/Equipment
+      viewAssets: { type: Boolean, default: false },
+      createAssets: { type: Boolean, default: false },
+      editAssets: { type: Boolean, default: false },
+      deleteAssets: { type: Boolean, default: false },
+      exportAssets: { type: Boolean, default: false },
+      uploadDocuments: { type: Boolean, default: false },
+      downloadDocuments: { type: Boolean, default: false },
+      deleteDocuments: { type: Boolean, default: false },
+      checkOutAssets: { type: Boolean, default: false },
+      importAssets: { type: Boolean, default: false },
+
+      // Notes
+      createNotes: { type: Boolean, default: false },
+      editNotes: { type: Boolean, default: false },
+      deleteNotes: { type: Boolean, default: false },
+
+      // Tags
+      viewTags: { type: Boolean, default: false },
+      createTags: { type: Boolean, default: false },
+      editTags: { type: Boolean, default: false },
+      deleteTags: { type: Boolean, default: false },
+
+      // Maintenance
+      viewMaintenance: { type: Boolean, default: false },
+      createMaintenance: { type: Boolean, default: false },
+      editMaintenance: { type: Boolean, default: false },
+      deleteMaintenance: { type: Boolean, default: false },
+
+      // Users
+      viewUsers: { type: Boolean, default: false },
+      createUsers: { type: Boolean, default: false },
+      editUsers: { type: Boolean, default: false },
+      deleteUsers: { type: Boolean, default: false },
+      managePermissions: { type: Boolean, default: false },
+
+      // Reports
+      viewReports: { type: Boolean, default: false },
+      exportReports: { type: Boolean, default: false },
+
+      // Activities
+      viewActivities: { type: Boolean, default: false },
+      createActivities: { type: Boolean, default: false },
+
+      // Notifications
+      viewNotifications: { type: Boolean, default: false },
+      deleteNotifications: { type: Boolean, default: false },
+      sendNotifications: { type: Boolean, default: false },
+
+      // Settings
+      viewSettings: { type: Boolean, default: false },
+      editSettings: { type: Boolean, default: false },
+      regenerateApiKey: { type: Boolean, default: false },
+      deleteAllAssets: { type: Boolean, default: false },
+    },
+    dataScope: {
+      departments: [{ type: String, trim: true }], // Asset departments holders may access
+      locations: [{ type: String, trim: true }], // Asset locations holders may access
+      ownDepartment: { type: Boolean, default: false }, // Also each holder's own User.department
+    },
+    isSystem: {
+      type: Boolean, // Built-in role: cannot be renamed or deleted
+      default: false,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+const Role = mongoose.model('Role', roleSchema);
+
+module.exports = Role;
@@ -0,0 +1,71 @@
+/**
+ * Session Model
+ *
+ * One signed-in device. Access tokens are short-lived JWTs that carry the
+ * session id; the refresh token that renews them is stored here as a
+ * SHA-256 hash and replaced on every refresh. Revoking a session (sign out,
+ * idle timeout, deactivation, permission change) stops both from working.
+ */
+
+const mongoose = require('mongoose');
+
+const sessionSchema = new mongoose.Schema(
+  {
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+    },
+    refreshTokenHash: {
+      type: String,
+      required: true,
+      select: false,
+    },
+    previousRefreshTokenHash: {
+      type: String, // The token just replaced; presenting it again means it leaked
+      default: null,
+      select: false,
+    },
+    userAgent: {
+      type: String,
+      default: '',
+    },
+    ip: {
+      type: String,
+      default: '',
+    },
+    lastActiveAt: {
+      type: Date,
+      default: Date.now,
+    },
+    refreshedAt: {
+      type: Date, // Last time the refresh token was exchanged
+      default: Date.now,
+    },
+    expiresAt: {
+      type: Date, // When the refresh token stops working if it is not used
+      required: true,
+    },
+    revokedAt: {
+      type: Date,
+      default: null,
+    },
+    revokedReason: {
+      type: String,
+      default: null,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// Index for faster queries
+sessionSchema.index({ user: 1, revokedAt: 1 });
+sessionSchema.index({ refreshTokenHash: 1 }, { unique: true });
+sessionSchema.index({ previousRefreshTokenHash: 1 }, { sparse: true });
+sessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+const Session = mongoose.model('Session', sessionSchema);
+
+module.exports = Session;
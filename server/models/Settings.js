@@ -44,6 +44,27 @@ const settingsSchema = new mongoose.Schema({
     min: 5,
     max: 21360 // 24 hours max
   },
+  requireTwoFactor: {
+    type: Boolean,
+    default: false // When on, Administrators and Managers must use two-factor authentication
+  },
+
+  // Rules for new passwords (register, password change and reset)
+  passwordPolicy: {
+    minLength: { type: Number, default: 8, min: 6, max: 128 },
+    requireUppercase: { type: Boolean, default: false },
+    requireLowercase: { type: Boolean, default: false },
+    requireNumber: { type: Boolean, default: false },
+    requireSymbol: { type: Boolean, default: false },
+    blockCommon: { type: Boolean, default: true }, // Refuse well-known and breached passwords
+    historyCount: { type: Number, default: 3, min: 0, max: 24 } // Current and previous passwords that cannot be reused (0 = off)
+  },
+
+  // Consecutive failed sign-ins before an account is locked, and for how long
+  loginLockout: {
+    maxAttempts: { type: Number, default: 5, min: 3, max: 50 },
+    lockoutMinutes: { type: Number, default: 15, min: 1, max: 1440 }
+  },
   recordsPerPage: {
     type: Number,
     default: 25,
@@ -74,17 +95,16 @@ const settingsSchema = new mongoose.Schema({
     default: 90,
     enum: [30, 60, 90, 180, 365, -1] // -1 means keep forever
   },
-  
-  // API Settings
-  apiKey: {
-    type: String,
-    default: function() {
-      return `${Math.random().toString(36).substring(2, 15)}-${Math.random().toString(36).substring(2, 15)}-${Math.random().toString(36).substring(2, 15)}-key`;
-    }
-  },
-  lastApiUse: {
-    type: Date,
-    default: null
+
+  // Cron expressions for the background jobs in utils/scheduler.js ('' turns a job off)
+  jobSchedules: {
+    maintenanceNotifications: { type: String, default: '0 8 * * *' },
+    custodyNotifications: { type: String, default: '0 8 * * *' },
+    overdueMarking: { type: String, default: '0 1 * * *' },
+    retentionPurge: { type: String, default: '0 3 * * *' },
+    emailOutbox: { type: String, default: '*/5 * * * *' },
+    webhookDeliveries: { type: String, default: '*/5 * * * *' },
+    backup: { type: String, default: '0 2 * * *' }
   },
   
   // Branding Settings
@@ -138,6 +158,17 @@ const settingsSchema = new mongoose.Schema({
     type: String,
     default: ''
   },
+  // Use TLS from the start (usually port 465); otherwise STARTTLS is used when offered
+  emailSecure: {
+    type: Boolean,
+    default: false
+  },
+  // Sender address; the username is used when empty
+  emailFrom: {
+    type: String,
+    default: '',
+    trim: true
+  },
   
   // Integrations
   integrations: {
@@ -148,6 +179,43 @@ const settingsSchema = new mongoose.Schema({
     teams: {
       enabled: { type: Boolean, default: false },
       webhookUrl: { type: String, default: '' }
+    },
+    // Which notification events are posted to each channel
+    // (event keys from utils/chatIntegrations.js)
+    routes: {
+      maintenanceDue: {
+        slack: { type: Boolean, default: false },
+        teams: { type: Boolean, default: false }
+      },
+      maintenanceOverdue: {
+        slack: { type: Boolean, default: true },
+        teams: { type: Boolean, default: true }
+      },
+      statusChange: {
+        slack: { type: Boolean, default: true },
+        teams: { type: Boolean, default: true }
+      },
+      newAsset: {
+        slack: { type: Boolean, default: true },
+        teams: { type: Boolean, default: true }
+      },
+      assignment: {
+        slack: { type: Boolean, default: false },
+        teams: { type: Boolean, default: false }
+      },
+      warranty: {
+        slack: { type: Boolean, default: false },
+        teams: { type: Boolean, default: false }
+      },
+      alert: {
+        slack: { type: Boolean, default: false },
+        teams: { type: Boolean, default: false }
+      }
+    },
+    // Status changes are only posted when the new status is one of these
+    statusChangeStatuses: {
+      type: [String],
+      default: () => ['Lost', 'Retired']
     }
   },
   
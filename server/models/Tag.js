@@ -32,6 +32,66 @@ const tagSchema = new mongoose.Schema(
       default: 0,
       min: 0,
     },
+    // Depreciation settings, used by "Asset Type" tags for assets in that category
+    depreciation: {
+      method: {
+        type: String,
+        enum: ['None', 'Straight Line', 'Declining Balance', 'Sum of Years Digits'],
+        default: 'None',
+      },
+      usefulLifeYears: {
+        type: Number,
+        min: 1,
+        max: 100,
+      },
+      salvagePercent: {
+        type: Number, // Salvage value as a percentage of cost
+        min: 0,
+        max: 100,
+        default: 0,
+      },
+      decliningRate: {
+        type: Number, // Multiple of the straight-line rate (2 = double declining balance)
+        min: 1,
+        max: 4,
+        default: 2,
+      },
+    },
+    // Extra fields for assets of this type, used by "Asset Type" tags
+    // (validated in utils/customFields.js; values live in Equipment.customFields)
+    customFields: [
+      {
+        _id: false,
+        key: {
+          type: String, // Stable key the values are stored under, e.g. "macAddress"
+          required: true,
+          trim: true,
+        },
+        label: {
+          type: String,
+          required: true,
+          trim: true,
+        },
+        type: {
+          type: String,
+          enum: ['text', 'number', 'date', 'dropdown', 'boolean'],
+          default: 'text',
+        },
+        required: {
+          type: Boolean,
+          default: false,
+        },
+        helpText: {
+          type: String,
+          trim: true,
+        },
+        options: [String], // Dropdown choices
+        min: Number, // Number limits
+        max: Number,
+        maxLength: Number, // Text limits
+        pattern: String, // Regular expression the whole text must match
+      },
+    ],
   },
   {
     timestamps: true,
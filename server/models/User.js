@@ -7,6 +7,8 @@
 
 const mongoose = require('mongoose');
 const bcrypt = require('bcryptjs');
+const Role = require('./Role');
+const { ensureDefaultRoles, resolvePermissions, resolveDataScope } = require('../utils/roles');
 
 const userSchema = new mongoose.Schema(
   {
@@ -29,10 +31,23 @@ const userSchema = new mongoose.Schema(
       minlength: [6, 'Password must be at least 6 characters'],
       select: false, // Don't include password in queries by default
     },
+    passwordHistory: {
+      type: [String], // Previous password hashes, newest first (Settings.passwordPolicy.historyCount)
+      select: false,
+    },
+    passwordChangedAt: {
+      type: Date,
+    },
     role: {
-      type: String,
-      enum: ['Administrator', 'Manager', 'User'],
+      type: String, // Name of a Role; its permissions apply (see permissions below)
       default: 'User',
+      validate: {
+        validator: async name => {
+          await ensureDefaultRoles(); // The built-in roles exist before the first user does
+          return Boolean(await Role.exists({ name }));
+        },
+        message: props => `Role '${props.value}' does not exist`,
+      },
     },
     roles: [{
       name: String,
@@ -69,6 +84,10 @@ const userSchema = new mongoose.Schema(
         type: Boolean,
         default: true,
       },
+      assignments: {
+        type: Boolean,
+        default: true,
+      },
       systemUpdates: {
         type: Boolean,
         default: false,
@@ -78,65 +97,35 @@ const userSchema = new mongoose.Schema(
         default: false,
       },
     },
-    permissions: {
-      // Dashboard
-      viewDashboard: { type: Boolean, default: true },
-      
-      // Assets/Equipment
-      viewAssets: { type: Boolean, default: true },
-      createAssets: { type: Boolean, default: true },
-      editAssets: { type: Boolean, default: true },
-      deleteAssets: { type: Boolean, default: false },
-      exportAssets: { type: Boolean, default: true },
-      uploadDocuments: { type: Boolean, default: true },
-      downloadDocuments: { type: Boolean, default: true },
-      deleteDocuments: { type: Boolean, default: false },
-      
-      // Notes
-      createNotes: { type: Boolean, default: true },
-      editNotes: { type: Boolean, default: true },
-      deleteNotes: { type: Boolean, default: false },
-      
-      // Tags
-      viewTags: { type: Boolean, default: true },
-      createTags: { type: Boolean, default: false },
-      editTags: { type: Boolean, default: false },
-      deleteTags: { type: Boolean, default: false },
-      
-      // Maintenance
-      viewMaintenance: { type: Boolean, default: true },
-      createMaintenance: { type: Boolean, default: true },
-      editMaintenance: { type: Boolean, default: true },
-      deleteMaintenance: { type: Boolean, default: false },
-      
-      // Users
-      viewUsers: { type: Boolean, default: false },
-      createUsers: { type: Boolean, default: false },
-      editUsers: { type: Boolean, default: false },
-      deleteUsers: { type: Boolean, default: false },
-      managePermissions: { type: Boolean, default: false },
-      
-      // Reports
-      viewReports: { type: Boolean, default: true },
-      exportReports: { type: Boolean, default: true },
-      
-      // Activities
-      viewActivities: { type: Boolean, default: true },
-      createActivities: { type: Boolean, default: true },
-      
-      // Notifications
-      viewNotifications: { type: Boolean, default: true },
-      deleteNotifications: { type: Boolean, default: true },
-      
-      // Settings
-      viewSettings: { type: Boolean, default: false },
-      editSettings: { type: Boolean, default: false },
-      regenerateApiKey: { type: Boolean, default: false },
-      deleteAllAssets: { type: Boolean, default: false },
+    permissionOverrides: {
+      type: Map, // Permission flag -> granted; only flags that differ from the role
+      of: Boolean,
+      default: () => new Map(),
+    },
+    dataScope: {
+      // When set, replaces the role's data scope for this user (see utils/dataScope.js)
+      departments: [{ type: String, trim: true }],
+      locations: [{ type: String, trim: true }],
     },
     lastLogin: {
       type: Date,
     },
+    failedLoginAttempts: {
+      type: Number, // Consecutive failed sign-ins; reset on success or lockout
+      default: 0,
+    },
+    lockedUntil: {
+      type: Date, // Sign-in is refused until then (Settings.loginLockout)
+      default: null,
+    },
+    twoFactor: {
+      enabled: { type: Boolean, default: false },
+      enabledAt: Date,
+      secret: { type: String, select: false }, // Base32 TOTP secret
+      pendingSecret: { type: String, select: false }, // Secret being enrolled, until a code confirms it
+      recoveryCodes: { type: [String], select: false }, // SHA-256 hashes; each is removed once used
+      lastUsedStep: { type: Number, select: false }, // Time step of the last accepted code, so codes cannot be replayed
+    },
     resetPasswordToken: String,
     resetPasswordExpire: Date,
   },
@@ -145,11 +134,28 @@ const userSchema = new mongoose.Schema(
   }
 );
 
+// Effective permissions: the role's permission set with this user's overrides
+// applied (Administrators hold every permission). Included in JSON responses.
+userSchema.virtual('permissions').get(function () {
+  if (!this.isSelected('role')) return undefined; // Partial documents, e.g. the user directory
+  return resolvePermissions(this.role, this.permissionOverrides);
+});
+
+// Departments and locations whose assets this user may access; null for all
+userSchema.virtual('effectiveDataScope').get(function () {
+  if (!this.isSelected('role')) return undefined;
+  return resolveDataScope(this);
+});
+userSchema.set('toJSON', { virtuals: ['permissions', 'effectiveDataScope'] });
+
 // Index for faster searches
 // Note: email index is automatically created by the 'unique: true' property
 userSchema.index({ role: 1 });
 userSchema.index({ status: 1 });
 
+// Previous password hashes kept for the password history check
+const PASSWORD_HISTORY_LIMIT = 24;
+
 // Hash password before saving
 userSchema.pre('save', async function (next) {
   // Only hash the password if it has been modified (or is new)
@@ -158,6 +164,15 @@ userSchema.pre('save', async function (next) {
   }
 
   try {
+    // Remember the hash being replaced
+    if (!this.isNew) {
+      const previous = await this.constructor.findById(this._id).select('+password +passwordHistory');
+      if (previous?.password) {
+        this.passwordHistory = [previous.password, ...(previous.passwordHistory || [])].slice(0, PASSWORD_HISTORY_LIMIT);
+      }
+    }
+    this.passwordChangedAt = new Date();
+
     const salt = await bcrypt.genSalt(10);
     this.password = await bcrypt.hash(this.password, salt);
     next();
@@ -175,6 +190,16 @@ userSchema.methods.comparePassword = async function (candidatePassword) {
   }
 };
 
+// Whether a password matches the current one or one of the last `count` ones
+userSchema.methods.isRecentPassword = async function (candidatePassword, count) {
+  if (count <= 0) return false;
+  const hashes = [this.password, ...(this.passwordHistory || [])].filter(Boolean).slice(0, count);
+  for (const hash of hashes) {
+    if (await bcrypt.compare(candidatePassword, hash)) return true;
+  }
+  return false;
+};
+
 // Method to generate reset password token
 userSchema.methods.getResetPasswordToken = function () {
   const resetToken = require('crypto').randomBytes(20).toString('hex');
@@ -0,0 +1,57 @@
+/**
+ * Webhook Model
+ *
+ * Mongoose schema for outbound webhook subscriptions. Other systems (ERP,
+ * helpdesk...) register a URL and the asset and maintenance events they
+ * want; each delivery is signed with the subscription's secret
+ * (see utils/webhookQueue.js).
+ */
+
+const mongoose = require('mongoose');
+
+const webhookSchema = new mongoose.Schema(
+  {
+    name: {
+      type: String,
+      required: [true, 'Webhook name is required'],
+      trim: true,
+    },
+    url: {
+      type: String,
+      required: [true, 'Webhook URL is required'],
+      trim: true,
+    },
+    secret: {
+      type: String,
+      required: true,
+      select: false, // Only shown when the webhook is created or the secret rotated
+    },
+    events: {
+      type: [String], // Event types from utils/webhooks.js
+      default: [],
+    },
+    enabled: {
+      type: Boolean,
+      default: true,
+    },
+    createdBy: {
+      type: String,
+    },
+    lastDeliveryAt: {
+      type: Date,
+    },
+    lastDeliveryStatus: {
+      type: String, // Delivered or Failed
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// Index for faster queries
+webhookSchema.index({ enabled: 1, events: 1 });
+
+const Webhook = mongoose.model('Webhook', webhookSchema);
+
+module.exports = Webhook;
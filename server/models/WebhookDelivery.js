@@ -0,0 +1,90 @@
+/**
+ * WebhookDelivery Model
+ *
+ * Mongoose schema for messages posted to outside services: Slack and
+ * Microsoft Teams incoming webhooks, and outbound webhook subscriptions.
+ * Each delivery keeps its payload so a failed post can be retried by
+ * utils/webhookQueue.js, and doubles as the delivery log shown in Settings.
+ * Deliveries that run out of attempts (status Failed) form the dead-letter
+ * list and can be redelivered.
+ */
+
+const mongoose = require('mongoose');
+
+const webhookDeliverySchema = new mongoose.Schema(
+  {
+    channel: {
+      type: String,
+      enum: ['slack', 'teams', 'webhook'],
+      required: true,
+    },
+    url: {
+      type: String,
+      required: true,
+    },
+    event: {
+      type: String, // Event key, e.g. maintenanceOverdue or equipment.created
+      required: true,
+    },
+    webhookId: {
+      type: mongoose.Schema.Types.ObjectId, // Subscription, for channel "webhook"
+      ref: 'Webhook',
+    },
+    title: {
+      type: String, // Shown in the delivery log
+    },
+    payload: {
+      type: mongoose.Schema.Types.Mixed,
+      required: true,
+    },
+    status: {
+      type: String,
+      enum: ['Pending', 'Sending', 'Delivered', 'Failed'],
+      default: 'Pending',
+    },
+    attempts: {
+      type: Number,
+      default: 0,
+    },
+    maxAttempts: {
+      type: Number,
+      default: 5,
+    },
+    nextAttemptAt: {
+      type: Date,
+      default: Date.now,
+    },
+    claimedAt: {
+      type: Date, // When a sender picked the delivery up (status Sending)
+    },
+    responseStatus: {
+      type: Number, // HTTP status of the last attempt
+    },
+    lastError: {
+      type: String,
+    },
+    deliveredAt: {
+      type: Date,
+    },
+    notificationId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Notification',
+    },
+    assetId: {
+      type: String,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// Index for faster queries
+webhookDeliverySchema.index({ status: 1, nextAttemptAt: 1 });
+webhookDeliverySchema.index({ channel: 1, createdAt: -1 });
+webhookDeliverySchema.index({ webhookId: 1, createdAt: -1 });
+webhookDeliverySchema.index({ createdAt: -1 });
+
+const WebhookDelivery = mongoose.model('WebhookDelivery', webhookDeliverySchema);
+
+module.exports = WebhookDelivery;
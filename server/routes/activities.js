@@ -7,17 +7,19 @@
 const express = require('express');
 const router = express.Router();
 const Activity = require('../models/Activity');
+const { protect, checkPermission } = require('../middleware/auth');
+const { scopedActivityFilter } = require('../utils/dataScope');
 
 /**
  * @route   GET /api/activities
- * @desc    Get all activities (limited to last 20)
- * @access  Public
+ * @desc    Get the latest activities (at most 6) on assets in the user's data scope
+ * @access  Private (viewActivities)
  */
-router.get('/', async (req, res) => {
+router.get('/', protect, checkPermission('viewActivities'), async (req, res) => {
   try {
     const requestedLimit = parseInt(req.query.limit) || 6;
     const limit = Math.min(requestedLimit, 6); // Maximum limit of 6
-    const activities = await Activity.find()
+    const activities = await Activity.find(await scopedActivityFilter(req.user))
       .sort({ timestamp: -1 })
       .limit(limit);
     
@@ -30,12 +32,13 @@ router.get('/', async (req, res) => {
 
 /**
  * @route   GET /api/activities/asset/:assetId
- * @desc    Get activities for a specific asset (limited to last 6)
- * @access  Public
+ * @desc    Get activities for a specific asset (limited to last 6); none
+ *          when the asset is outside the user's data scope
+ * @access  Private (viewActivities)
  */
-router.get('/asset/:assetId', async (req, res) => {
+router.get('/asset/:assetId', protect, checkPermission('viewActivities'), async (req, res) => {
   try {
-    const activities = await Activity.find({ assetId: req.params.assetId })
+    const activities = await Activity.find(await scopedActivityFilter(req.user, { assetId: req.params.assetId }))
       .sort({ timestamp: -1 })
       .limit(6);
     
@@ -49,12 +52,13 @@ router.get('/asset/:assetId', async (req, res) => {
 /**
  * @route   POST /api/activities
  * @desc    Create new activity log
- * @access  Public
+ * @access  Private (createActivities)
  */
-router.post('/', async (req, res) => {
+router.post('/', protect, checkPermission('createActivities'), async (req, res) => {
   try {
     const activity = new Activity({
       ...req.body,
+      user: req.user.name,
       date: 'Just now',
       timestamp: Date.now(),
     });
@@ -0,0 +1,187 @@
+/**
+ * API Key Routes
+ *
+ * API endpoints for the named API keys machine clients use in the
+ * X-API-Key header. Keys are stored hashed: the key itself is only
+ * returned when it is created or regenerated.
+ */
+
+const express = require('express');
+const router = express.Router();
+const ApiKey = require('../models/ApiKey');
+const { protect, checkPermission } = require('../middleware/auth');
+const { API_KEY_SCOPES, generateApiKey, isValidIpEntry } = require('../utils/apiKeys');
+
+/**
+ * Check a create or update body and turn it into key fields
+ * @param {Object} body - Request body: { name, scopes, expiresAt, allowedIps }
+ * @param {boolean} isNew - Whether name and scopes are required
+ * @returns {{ error: string|null, fields: Object }}
+ */
+function parseApiKey(body, isNew) {
+  const fields = {};
+
+  if (isNew || body.name !== undefined) {
+    fields.name = String(body.name || '').trim();
+    if (!fields.name) {
+      return { error: 'Key name is required', fields };
+    }
+  }
+
+  if (isNew || body.scopes !== undefined) {
+    if (!Array.isArray(body.scopes) || body.scopes.length === 0) {
+      return { error: 'Choose at least one scope', fields };
+    }
+    const unknown = body.scopes.filter(scope => !API_KEY_SCOPES[scope]);
+    if (unknown.length > 0) {
+      return { error: `Unknown scope: ${unknown.join(', ')}`, fields };
+    }
+    fields.scopes = [...new Set(body.scopes)];
+  }
+
+  if (body.expiresAt !== undefined) {
+    if (!body.expiresAt) {
+      fields.expiresAt = null;
+    } else {
+      fields.expiresAt = new Date(body.expiresAt);
+      if (Number.isNaN(fields.expiresAt.getTime())) {
+        return { error: 'Expiry must be a valid date', fields };
+      }
+    }
+  }
+
+  if (body.allowedIps !== undefined) {
+    const entries = Array.isArray(body.allowedIps)
+      ? body.allowedIps
+      : String(body.allowedIps || '').split(/[\s,]+/);
+    fields.allowedIps = [...new Set(entries.map(entry => String(entry).trim()).filter(Boolean))];
+    const invalid = fields.allowedIps.filter(entry => !isValidIpEntry(entry));
+    if (invalid.length > 0) {
+      return { error: `Invalid IP address or range: ${invalid.join(', ')}`, fields };
+    }
+  }
+
+  return { error: null, fields };
+}
+
+/**
+ * @route   GET /api/api-keys/scopes
+ * @desc    Scopes a key can be given
+ * @access  Private (viewSettings)
+ */
+router.get('/scopes', protect, checkPermission('viewSettings'), (req, res) => {
+  res.json(Object.entries(API_KEY_SCOPES).map(([scope, { label, description }]) => ({
+    scope,
+    label,
+    description,
+  })));
+});
+
+/**
+ * @route   GET /api/api-keys
+ * @desc    List API keys (the keys themselves are never returned)
+ * @access  Private (viewSettings)
+ */
+router.get('/', protect, checkPermission('viewSettings'), async (req, res) => {
+  try {
+    const apiKeys = await ApiKey.find().sort({ createdAt: 1 });
+    res.json(apiKeys);
+  } catch (error) {
+    console.error('Error fetching API keys:', error);
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+});
+
+/**
+ * @route   POST /api/api-keys
+ * @desc    Create a key. Body: { name, scopes, expiresAt, allowedIps }.
+ *          The response includes the key; it is not shown again.
+ * @access  Private (regenerateApiKey)
+ */
+router.post('/', protect, checkPermission('regenerateApiKey'), async (req, res) => {
+  try {
+    const { error, fields } = parseApiKey(req.body, true);
+    if (error) {
+      return res.status(400).json({ message: error });
+    }
+
+    const { key, keyHash, prefix } = generateApiKey();
+    const apiKey = await ApiKey.create({ ...fields, keyHash, prefix, createdBy: req.user.name });
+
+    const result = apiKey.toObject();
+    delete result.keyHash;
+    res.status(201).json({ ...result, key });
+  } catch (error) {
+    console.error('Error creating API key:', error);
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+});
+
+/**
+ * @route   PUT /api/api-keys/:id
+ * @desc    Update a key's name, scopes, expiry or IP allowlist
+ * @access  Private (regenerateApiKey)
+ */
+router.put('/:id', protect, checkPermission('regenerateApiKey'), async (req, res) => {
+  try {
+    const { error, fields } = parseApiKey(req.body, false);
+    if (error) {
+      return res.status(400).json({ message: error });
+    }
+
+    const apiKey = await ApiKey.findByIdAndUpdate(req.params.id, fields, { new: true, runValidators: true });
+    if (!apiKey) {
+      return res.status(404).json({ message: 'API key not found' });
+    }
+
+    res.json(apiKey);
+  } catch (error) {
+    console.error('Error updating API key:', error);
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+});
+
+/**
+ * @route   POST /api/api-keys/:id/regenerate
+ * @desc    Replace a key with a new one (the old key stops working) and return it once
+ * @access  Private (regenerateApiKey)
+ */
+router.post('/:id/regenerate', protect, checkPermission('regenerateApiKey'), async (req, res) => {
+  try {
+    const { key, keyHash, prefix } = generateApiKey();
+    const apiKey = await ApiKey.findByIdAndUpdate(
+      req.params.id,
+      { keyHash, prefix, lastUsedAt: null, lastUsedIp: null },
+      { new: true }
+    );
+    if (!apiKey) {
+      return res.status(404).json({ message: 'API key not found' });
+    }
+
+    res.json({ ...apiKey.toObject(), key });
+  } catch (error) {
+    console.error('Error regenerating API key:', error);
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+});
+
+/**
+ * @route   DELETE /api/api-keys/:id
+ * @desc    Revoke a key
+ * @access  Private (regenerateApiKey)
+ */
+router.delete('/:id', protect, checkPermission('regenerateApiKey'), async (req, res) => {
+  try {
+    const apiKey = await ApiKey.findByIdAndDelete(req.params.id);
+    if (!apiKey) {
+      return res.status(404).json({ message: 'API key not found' });
+    }
+
+    res.json({ message: 'API key revoked' });
+  } catch (error) {
+    console.error('Error revoking API key:', error);
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+});
+
+module.exports = router;
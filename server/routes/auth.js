@@ -1,17 +1,168 @@
 const express = require('express');
 const router = express.Router();
 const User = require('../models/User');
-const { generateToken } = require('../utils/auth');
-const { protect } = require('../middleware/auth');
+const Session = require('../models/Session');
+const Settings = require('../models/Settings');
+const {
+  createSession,
+  revokeSession,
+  revokeUserSessions,
+  rotateRefreshToken,
+  isTwoFactorRequired,
+  generateChallengeToken,
+  verifyChallengeToken,
+  getSecuritySettings,
+} = require('../utils/auth');
+const { generateSecret, verifyTotp, otpauthUrl, hashRecoveryCode, generateRecoveryCodes } = require('../utils/totp');
+const { checkPassword, describePolicy } = require('../utils/passwordPolicy');
+const {
+  recordLoginAttempt,
+  isIpBlocked,
+  isLocked,
+  lockedMessage,
+  registerFailedLogin,
+} = require('../utils/loginSecurity');
+const { protect, userOnly } = require('../middleware/auth');
+const { rateLimit } = require('../middleware/rateLimit');
+const { queueEmail, getAppUrl } = require('../utils/email');
+
+// Per-IP request limits; the sign-in steps and the two-factor code checks
+// share one limit
+const signInLimit = rateLimit({
+  windowMs: 15 * 60 * 1000,
+  max: 30,
+  message: 'Too many sign-in attempts. Please try again in a few minutes.',
+});
+const accountLimit = rateLimit({
+  windowMs: 60 * 60 * 1000,
+  max: 10,
+  message: 'Too many requests. Please try again later.',
+});
+const resetEmailLimit = rateLimit({
+  windowMs: 15 * 60 * 1000,
+  max: 5,
+  message: 'Too many password reset requests. Please try again in a few minutes.',
+});
+
+// Two-factor fields that are not loaded by default
+const TWO_FACTOR_FIELDS = '+twoFactor.secret +twoFactor.pendingSecret +twoFactor.recoveryCodes +twoFactor.lastUsedStep';
+
+/**
+ * Start a session, record the successful sign-in and send the tokens and user
+ * @param {Object} user - User document
+ * @param {Object} req - Request
+ * @param {Object} res - Response
+ * @param {Object} [options] - method (for the login audit), status, and extra
+ *                             response fields (message, recoveryCodes)
+ */
+async function sendSession(user, req, res, { method = 'password', status = 200, ...body } = {}) {
+  user.lastLogin = new Date();
+  user.failedLoginAttempts = 0;
+  user.lockedUntil = null;
+  await user.save();
+  await recordLoginAttempt(req, { user, method, success: true });
+
+  const tokens = await createSession(user, req);
+
+  // Remove password hashes and two-factor secrets from response
+  const userResponse = user.toJSON();
+  delete userResponse.password;
+  delete userResponse.passwordHistory;
+  userResponse.twoFactor = { enabled: user.twoFactor?.enabled || false, enabledAt: user.twoFactor?.enabledAt };
+
+  res.status(status).json({
+    success: true,
+    ...body,
+    ...tokens,
+    user: userResponse,
+  });
+}
+
+/**
+ * Finish a password sign-in: start a session, or ask for the second step
+ * when the user has two-factor authentication or their role requires it.
+ * The second step answers with twoFactorStep 'verify' (enter a code) or
+ * 'setup' (enroll first) and a challengeToken for /login/two-factor.
+ * @param {Object} options - message, method (for the login audit) and status
+ */
+async function completeSignIn(user, req, res, { message, method = 'password', status = 200 }) {
+  if (user.twoFactor?.enabled || (await isTwoFactorRequired(user))) {
+    return res.status(status).json({
+      success: true,
+      message: user.twoFactor?.enabled
+        ? 'Enter the code from your authenticator app'
+        : 'Set up two-factor authentication to continue',
+      twoFactorStep: user.twoFactor?.enabled ? 'verify' : 'setup',
+      challengeToken: generateChallengeToken(user._id),
+    });
+  }
+
+  await sendSession(user, req, res, { message, method, status });
+}
+
+/**
+ * Check a second factor: a code from the authenticator app or an unused
+ * recovery code. Records the code as used on the user (not saved).
+ * @param {Object} user - User document loaded with TWO_FACTOR_FIELDS
+ * @param {Object} body - { code } or { recoveryCode }
+ * @returns {boolean}
+ */
+function checkSecondFactor(user, { code, recoveryCode }) {
+  if (recoveryCode) {
+    const index = (user.twoFactor.recoveryCodes || []).indexOf(hashRecoveryCode(recoveryCode));
+    if (index === -1) return false;
+    user.twoFactor.recoveryCodes.splice(index, 1);
+    return true;
+  }
+
+  const step = verifyTotp(user.twoFactor.secret, code, user.twoFactor.lastUsedStep ?? -1);
+  if (step === null) return false;
+  user.twoFactor.lastUsedStep = step;
+  return true;
+}
+
+/**
+ * Give a user a new secret to enroll
+ * @returns {Promise<Object>} { secret, otpauthUrl } for the QR code
+ */
+async function startEnrollment(user) {
+  const settings = await Settings.findOne({ isSingleton: true }).select('appName');
+  const secret = generateSecret();
+  user.twoFactor.pendingSecret = secret;
+  await user.save();
+
+  return { secret, otpauthUrl: otpauthUrl(secret, user.email, settings?.appName || 'QR Tag Manager') };
+}
+
+/**
+ * Turn two-factor authentication on when a code confirms the pending secret
+ * @returns {Promise<Array<string>|null>} Recovery codes, or null when the code is wrong
+ */
+async function finishEnrollment(user, code) {
+  const step = verifyTotp(user.twoFactor.pendingSecret, code);
+  if (step === null) return null;
+
+  const { codes, hashes } = generateRecoveryCodes();
+  user.twoFactor.enabled = true;
+  user.twoFactor.enabledAt = new Date();
+  user.twoFactor.secret = user.twoFactor.pendingSecret;
+  user.twoFactor.pendingSecret = undefined;
+  user.twoFactor.recoveryCodes = hashes;
+  user.twoFactor.lastUsedStep = step;
+  await user.save();
+  return codes;
+}
 
 /**
  * @route   POST /api/auth/register
  * @desc    Register a new user
  * @access  Public
  */
-router.post('/register', async (req, res) => {
+router.post('/register', accountLimit, async (req, res) => {
   try {
-    const { name, email, password, role, department } = req.body;
+    // Self-registered accounts always get the default role; other roles are
+    // assigned by users who can manage permissions
+    const { name, email, password, department } = req.body;
 
     // Validation
     if (!name || !email || !password) {
@@ -21,6 +172,14 @@ router.post('/register', async (req, res) => {
       });
     }
 
+    const passwordError = await checkPassword(password, { name, email });
+    if (passwordError) {
+      return res.status(400).json({
+        success: false,
+        message: passwordError,
+      });
+    }
+
     // Check if user already exists
     const existingUser = await User.findOne({ email: email.toLowerCase() });
     if (existingUser) {
@@ -35,23 +194,15 @@ router.post('/register', async (req, res) => {
       name,
       email: email.toLowerCase(),
       password,
-      role: role || 'User', // Default to 'User' if not specified
+      role: 'User',
       department: department || '',
       status: 'Active',
     });
 
-    // Generate token
-    const token = generateToken(user._id);
-
-    // Remove password from response
-    const userResponse = user.toObject();
-    delete userResponse.password;
-
-    res.status(201).json({
-      success: true,
+    await completeSignIn(user, req, res, {
       message: 'User registered successfully',
-      token,
-      user: userResponse,
+      method: 'register',
+      status: 201,
     });
   } catch (error) {
     console.error('Registration error:', error);
@@ -83,10 +234,11 @@ router.post('/register', async (req, res) => {
 
 /**
  * @route   POST /api/auth/login
- * @desc    Login user and return token
+ * @desc    Login user and return an access token and refresh token, or a
+ *          challengeToken and twoFactorStep when a second step is needed
  * @access  Public
  */
-router.post('/login', async (req, res) => {
+router.post('/login', signInLimit, async (req, res) => {
   try {
     const { email, password } = req.body;
 
@@ -98,10 +250,20 @@ router.post('/login', async (req, res) => {
       });
     }
 
+    // Refuse addresses that keep guessing, whichever accounts they try
+    if (await isIpBlocked(req.ip)) {
+      await recordLoginAttempt(req, { email, success: false, reason: 'Too many failures from this IP' });
+      return res.status(429).json({
+        success: false,
+        message: 'Too many failed sign-in attempts from your network. Please try again later.',
+      });
+    }
+
     // Find user by email (include password for comparison)
     const user = await User.findOne({ email: email.toLowerCase() }).select('+password');
 
     if (!user) {
+      await recordLoginAttempt(req, { email, success: false, reason: 'Unknown email' });
       return res.status(401).json({
         success: false,
         message: 'No account found with this email. Please sign up to create an account.',
@@ -110,41 +272,159 @@ router.post('/login', async (req, res) => {
 
     // Check if user is active
     if (user.status === 'Inactive') {
+      await recordLoginAttempt(req, { email, user, success: false, reason: 'Account deactivated' });
       return res.status(403).json({
         success: false,
         message: 'Your account has been deactivated. Please contact support.',
       });
     }
 
+    if (isLocked(user)) {
+      await recordLoginAttempt(req, { email, user, success: false, reason: 'Account locked' });
+      return res.status(423).json({
+        success: false,
+        message: lockedMessage(user),
+      });
+    }
+
     // Compare password
     const isPasswordCorrect = await user.comparePassword(password);
 
     if (!isPasswordCorrect) {
-      return res.status(401).json({
+      const locked = await registerFailedLogin(user);
+      await recordLoginAttempt(req, { email, user, success: false, reason: 'Wrong password' });
+      return res.status(locked ? 423 : 401).json({
         success: false,
-        message: 'Email exists but password is incorrect. Please try again or reset your password.',
+        message: locked
+          ? lockedMessage(user)
+          : 'Email exists but password is incorrect. Please try again or reset your password.',
       });
     }
 
-    // Update last login
-    user.lastLogin = new Date();
-    await user.save();
+    await completeSignIn(user, req, res, { message: 'Login successful' });
+  } catch (error) {
+    console.error('Login error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error logging in',
+      error: error.message,
+    });
+  }
+});
 
-    // Generate token
-    const token = generateToken(user._id);
+/**
+ * Load the user a challenge token was issued to, or answer with an error
+ * @returns {Promise<Object|null>} User document loaded with TWO_FACTOR_FIELDS
+ */
+async function userFromChallenge(req, res) {
+  const userId = verifyChallengeToken(req.body.challengeToken);
+  const user = userId ? await User.findById(userId).select(TWO_FACTOR_FIELDS) : null;
 
-    // Remove password from response
-    const userResponse = user.toObject();
-    delete userResponse.password;
+  if (!user) {
+    res.status(401).json({
+      success: false,
+      message: 'Your sign-in attempt expired. Please login again.',
+    });
+    return null;
+  }
+  if (user.status === 'Inactive') {
+    res.status(403).json({
+      success: false,
+      message: 'Your account has been deactivated. Please contact support.',
+    });
+    return null;
+  }
+  if (isLocked(user)) {
+    res.status(423).json({
+      success: false,
+      message: lockedMessage(user),
+    });
+    return null;
+  }
+  return user;
+}
+
+/**
+ * Count a wrong two-factor code towards the lockout and answer
+ */
+async function rejectSecondFactor(user, req, res, method, message) {
+  const locked = await registerFailedLogin(user);
+  await recordLoginAttempt(req, { user, method, success: false, reason: message });
+  res.status(locked ? 423 : 401).json({
+    success: false,
+    message: locked ? lockedMessage(user) : message,
+  });
+}
+
+/**
+ * @route   POST /api/auth/login/two-factor/setup
+ * @desc    During sign-in, start enrolling a user whose role requires
+ *          two-factor authentication. Body: { challengeToken }
+ * @access  Public (challenge token)
+ */
+router.post('/login/two-factor/setup', signInLimit, async (req, res) => {
+  try {
+    const user = await userFromChallenge(req, res);
+    if (!user) return;
+
+    if (user.twoFactor?.enabled) {
+      return res.status(400).json({
+        success: false,
+        message: 'Two-factor authentication is already set up',
+      });
+    }
 
     res.json({
       success: true,
+      ...(await startEnrollment(user)),
+    });
+  } catch (error) {
+    console.error('Two-factor setup error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error setting up two-factor authentication',
+      error: error.message,
+    });
+  }
+});
+
+/**
+ * @route   POST /api/auth/login/two-factor
+ * @desc    Second sign-in step. Body: { challengeToken, code } or
+ *          { challengeToken, recoveryCode }. When enrolling, the code
+ *          confirms the new secret and the response includes recoveryCodes.
+ * @access  Public (challenge token)
+ */
+router.post('/login/two-factor', signInLimit, async (req, res) => {
+  try {
+    const user = await userFromChallenge(req, res);
+    if (!user) return;
+
+    if (!user.twoFactor?.enabled) {
+      const recoveryCodes = user.twoFactor?.pendingSecret ? await finishEnrollment(user, req.body.code) : null;
+      if (!recoveryCodes) {
+        return rejectSecondFactor(user, req, res, 'twoFactor', 'Invalid authentication code');
+      }
+      return sendSession(user, req, res, {
+        method: 'twoFactor',
+        message: 'Two-factor authentication enabled',
+        recoveryCodes,
+      });
+    }
+
+    const method = req.body.recoveryCode ? 'recoveryCode' : 'twoFactor';
+    if (!checkSecondFactor(user, req.body)) {
+      const message = method === 'recoveryCode' ? 'Invalid recovery code' : 'Invalid authentication code';
+      return rejectSecondFactor(user, req, res, method, message);
+    }
+
+    await sendSession(user, req, res, {
+      method,
       message: 'Login successful',
-      token,
-      user: userResponse,
+      recoveryCodesRemaining: user.twoFactor.recoveryCodes.length,
     });
   } catch (error) {
-    console.error('Login error:', error);
+    console.error('Two-factor login error:', error);
     res.status(500).json({
       success: false,
       message: 'Error logging in',
@@ -158,7 +438,7 @@ router.post('/login', async (req, res) => {
  * @desc    Get current logged in user
  * @access  Private
  */
-router.get('/me', protect, async (req, res) => {
+router.get('/me', protect, userOnly, async (req, res) => {
   try {
     const user = await User.findById(req.user._id).select('-password');
     
@@ -183,12 +463,36 @@ router.get('/me', protect, async (req, res) => {
   }
 });
 
+/**
+ * @route   GET /api/auth/password-policy
+ * @desc    Password rules, for forms that set a password
+ * @access  Public
+ */
+router.get('/password-policy', async (req, res) => {
+  try {
+    const { passwordPolicy } = await getSecuritySettings();
+
+    res.json({
+      success: true,
+      policy: passwordPolicy,
+      rules: describePolicy(passwordPolicy),
+    });
+  } catch (error) {
+    console.error('Get password policy error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching password policy',
+      error: error.message,
+    });
+  }
+});
+
 /**
  * @route   PUT /api/auth/update-password
  * @desc    Update user password
  * @access  Private
  */
-router.put('/update-password', protect, async (req, res) => {
+router.put('/update-password', protect, userOnly, async (req, res) => {
   try {
     const { currentPassword, newPassword } = req.body;
 
@@ -199,15 +503,8 @@ router.put('/update-password', protect, async (req, res) => {
       });
     }
 
-    if (newPassword.length < 6) {
-      return res.status(400).json({
-        success: false,
-        message: 'New password must be at least 6 characters',
-      });
-    }
-
-    // Get user with password
-    const user = await User.findById(req.user._id).select('+password');
+    // Get user with password and previous passwords
+    const user = await User.findById(req.user._id).select('+password +passwordHistory');
 
     // Check current password
     const isPasswordCorrect = await user.comparePassword(currentPassword);
@@ -218,10 +515,21 @@ router.put('/update-password', protect, async (req, res) => {
       });
     }
 
+    const passwordError = await checkPassword(newPassword, user);
+    if (passwordError) {
+      return res.status(400).json({
+        success: false,
+        message: passwordError,
+      });
+    }
+
     // Update password
     user.password = newPassword;
     await user.save();
 
+    // Sign out other devices
+    await revokeUserSessions(user._id, 'Password changed', req.sessionId);
+
     res.json({
       success: true,
       message: 'Password updated successfully',
@@ -238,10 +546,10 @@ router.put('/update-password', protect, async (req, res) => {
 
 /**
  * @route   POST /api/auth/forgot-password
- * @desc    Generate password reset token
+ * @desc    Email a password reset link (the response never includes the token)
  * @access  Public
  */
-router.post('/forgot-password', async (req, res) => {
+router.post('/forgot-password', resetEmailLimit, async (req, res) => {
   try {
     const { email } = req.body;
 
@@ -266,12 +574,24 @@ router.post('/forgot-password', async (req, res) => {
     const resetToken = user.getResetPasswordToken();
     await user.save({ validateBeforeSave: false });
 
-    // In production, send email with resetToken
-    // For now, return it in response (ONLY FOR DEVELOPMENT)
+    const resetEmail = await queueEmail({
+      to: user.email,
+      template: 'passwordReset',
+      data: {
+        name: user.name,
+        resetUrl: `${getAppUrl()}/reset-password/${resetToken}`,
+        expiresMinutes: Math.round((user.resetPasswordExpire - Date.now()) / 60000),
+      },
+    });
+
+    if (!resetEmail) {
+      console.warn(`Password reset requested for ${user.email} but email is not enabled in Settings`);
+    }
+
+    // Same response whether or not the user exists
     res.json({
       success: true,
-      message: 'Password reset token generated',
-      resetToken, // Remove this in production
+      message: 'If that email exists, a password reset link has been sent',
     });
   } catch (error) {
     console.error('Forgot password error:', error);
@@ -288,7 +608,7 @@ router.post('/forgot-password', async (req, res) => {
  * @desc    Reset password using token
  * @access  Public
  */
-router.put('/reset-password/:resetToken', async (req, res) => {
+router.put('/reset-password/:resetToken', accountLimit, async (req, res) => {
   try {
     const { newPassword } = req.body;
 
@@ -299,13 +619,6 @@ router.put('/reset-password/:resetToken', async (req, res) => {
       });
     }
 
-    if (newPassword.length < 6) {
-      return res.status(400).json({
-        success: false,
-        message: 'Password must be at least 6 characters',
-      });
-    }
-
     // Hash the token from URL to compare with stored hash
     const resetPasswordToken = require('crypto')
       .createHash('sha256')
@@ -316,7 +629,7 @@ router.put('/reset-password/:resetToken', async (req, res) => {
     const user = await User.findOne({
       resetPasswordToken,
       resetPasswordExpire: { $gt: Date.now() },
-    });
+    }).select('+password +passwordHistory');
 
     if (!user) {
       return res.status(400).json({
@@ -325,25 +638,71 @@ router.put('/reset-password/:resetToken', async (req, res) => {
       });
     }
 
-    // Set new password
+    const passwordError = await checkPassword(newPassword, user);
+    if (passwordError) {
+      return res.status(400).json({
+        success: false,
+        message: passwordError,
+      });
+    }
+
+    // Set new password; proving access to the email also lifts a lockout
     user.password = newPassword;
     user.resetPasswordToken = undefined;
     user.resetPasswordExpire = undefined;
+    user.failedLoginAttempts = 0;
+    user.lockedUntil = null;
     await user.save();
 
-    // Generate new token for automatic login
-    const token = generateToken(user._id);
+    // Sign out every device, then sign in (the second step still applies)
+    await revokeUserSessions(user._id, 'Password reset');
+    await completeSignIn(user, req, res, { message: 'Password reset successful', method: 'passwordReset' });
+  } catch (error) {
+    console.error('Reset password error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error resetting password',
+      error: error.message,
+    });
+  }
+});
+
+/**
+ * @route   POST /api/auth/refresh
+ * @desc    Exchange a refresh token for a new access token and refresh token.
+ *          Body: { refreshToken, active } (active: the user did something
+ *          since the last refresh, which keeps the idle timeout from running out)
+ * @access  Public
+ */
+router.post('/refresh', async (req, res) => {
+  try {
+    const { refreshToken, active } = req.body;
+
+    if (!refreshToken) {
+      return res.status(400).json({
+        success: false,
+        message: 'Please provide a refresh token',
+      });
+    }
+
+    const result = await rotateRefreshToken(refreshToken, req, Boolean(active));
+    if (result.error) {
+      return res.status(401).json({
+        success: false,
+        code: 'SESSION_ENDED',
+        message: result.error,
+      });
+    }
 
     res.json({
       success: true,
-      message: 'Password reset successful',
-      token,
+      ...result,
     });
   } catch (error) {
-    console.error('Reset password error:', error);
+    console.error('Refresh token error:', error);
     res.status(500).json({
       success: false,
-      message: 'Error resetting password',
+      message: 'Error refreshing session',
       error: error.message,
     });
   }
@@ -351,14 +710,16 @@ router.put('/reset-password/:resetToken', async (req, res) => {
 
 /**
  * @route   POST /api/auth/logout
- * @desc    Logout user (client should remove token)
+ * @desc    Logout user: ends the current session so its tokens stop working
  * @access  Private
  */
-router.post('/logout', protect, async (req, res) => {
+router.post('/logout', protect, userOnly, async (req, res) => {
   try {
-    // In a stateless JWT system, logout is handled client-side by removing the token
-    // This endpoint exists for consistency and can be used for logging/analytics
-    
+    const session = await Session.findById(req.sessionId);
+    if (session && !session.revokedAt) {
+      await revokeSession(session, 'Signed out');
+    }
+
     res.json({
       success: true,
       message: 'Logout successful',
@@ -373,4 +734,310 @@ router.post('/logout', protect, async (req, res) => {
   }
 });
 
+/**
+ * @route   GET /api/auth/sessions
+ * @desc    The current user's active sessions (devices), newest activity first
+ * @access  Private
+ */
+router.get('/sessions', protect, userOnly, async (req, res) => {
+  try {
+    const sessions = await Session.find({
+      user: req.user._id,
+      revokedAt: null,
+      expiresAt: { $gt: new Date() },
+    }).sort({ lastActiveAt: -1 });
+
+    res.json({
+      success: true,
+      sessions: sessions.map(session => ({
+        _id: session._id,
+        userAgent: session.userAgent,
+        ip: session.ip,
+        createdAt: session.createdAt,
+        lastActiveAt: session.lastActiveAt,
+        current: String(session._id) === String(req.sessionId),
+      })),
+    });
+  } catch (error) {
+    console.error('Get sessions error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching sessions',
+      error: error.message,
+    });
+  }
+});
+
+/**
+ * @route   DELETE /api/auth/sessions/:id
+ * @desc    Sign out one of the current user's sessions
+ * @access  Private
+ */
+router.delete('/sessions/:id', protect, userOnly, async (req, res) => {
+  try {
+    const session = await Session.findOne({ _id: req.params.id, user: req.user._id, revokedAt: null });
+
+    if (!session) {
+      return res.status(404).json({
+        success: false,
+        message: 'Session not found',
+      });
+    }
+
+    await revokeSession(session, 'Signed out from another device');
+
+    res.json({
+      success: true,
+      message: 'Session signed out',
+    });
+  } catch (error) {
+    console.error('Revoke session error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error signing out session',
+      error: error.message,
+    });
+  }
+});
+
+/**
+ * @route   DELETE /api/auth/sessions
+ * @desc    Sign out all of the current user's other sessions
+ * @access  Private
+ */
+router.delete('/sessions', protect, userOnly, async (req, res) => {
+  try {
+    const count = await revokeUserSessions(req.user._id, 'Signed out from another device', req.sessionId);
+
+    res.json({
+      success: true,
+      message: `${count} other session(s) signed out`,
+      count,
+    });
+  } catch (error) {
+    console.error('Revoke sessions error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error signing out sessions',
+      error: error.message,
+    });
+  }
+});
+
+/**
+ * @route   GET /api/auth/two-factor
+ * @desc    The current user's two-factor status:
+ *          { enabled, enabledAt, required, recoveryCodesRemaining }
+ * @access  Private
+ */
+router.get('/two-factor', protect, userOnly, async (req, res) => {
+  try {
+    const user = await User.findById(req.user._id).select('+twoFactor.recoveryCodes');
+
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found',
+      });
+    }
+
+    res.json({
+      success: true,
+      enabled: user.twoFactor?.enabled || false,
+      enabledAt: user.twoFactor?.enabledAt || null,
+      required: await isTwoFactorRequired(user),
+      recoveryCodesRemaining: user.twoFactor?.enabled ? user.twoFactor.recoveryCodes.length : 0,
+    });
+  } catch (error) {
+    console.error('Get two-factor status error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching two-factor status',
+      error: error.message,
+    });
+  }
+});
+
+/**
+ * @route   POST /api/auth/two-factor/setup
+ * @desc    Start enrolling: returns { secret, otpauthUrl } for the QR code.
+ *          Nothing changes until /two-factor/enable confirms a code.
+ * @access  Private
+ */
+router.post('/two-factor/setup', protect, userOnly, async (req, res) => {
+  try {
+    const user = await User.findById(req.user._id);
+
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found',
+      });
+    }
+
+    if (user.twoFactor?.enabled) {
+      return res.status(400).json({
+        success: false,
+        message: 'Two-factor authentication is already enabled',
+      });
+    }
+
+    res.json({
+      success: true,
+      ...(await startEnrollment(user)),
+    });
+  } catch (error) {
+    console.error('Two-factor setup error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error setting up two-factor authentication',
+      error: error.message,
+    });
+  }
+});
+
+/**
+ * @route   POST /api/auth/two-factor/enable
+ * @desc    Confirm enrollment with a code from the app. Body: { code }.
+ *          Returns the recovery codes; they are not shown again.
+ * @access  Private
+ */
+router.post('/two-factor/enable', signInLimit, protect, userOnly, async (req, res) => {
+  try {
+    const user = await User.findById(req.user._id).select(TWO_FACTOR_FIELDS);
+
+    if (!user || !user.twoFactor?.pendingSecret || user.twoFactor.enabled) {
+      return res.status(400).json({
+        success: false,
+        message: 'Start two-factor setup first',
+      });
+    }
+
+    const recoveryCodes = await finishEnrollment(user, req.body.code);
+    if (!recoveryCodes) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid authentication code',
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Two-factor authentication enabled',
+      recoveryCodes,
+    });
+  } catch (error) {
+    console.error('Two-factor enable error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error enabling two-factor authentication',
+      error: error.message,
+    });
+  }
+});
+
+/**
+ * @route   POST /api/auth/two-factor/recovery-codes
+ * @desc    Replace the recovery codes. Body: { password, code } (code from the app)
+ * @access  Private
+ */
+router.post('/two-factor/recovery-codes', signInLimit, protect, userOnly, async (req, res) => {
+  try {
+    const user = await User.findById(req.user._id).select(`+password ${TWO_FACTOR_FIELDS}`);
+
+    if (!user || !user.twoFactor?.enabled) {
+      return res.status(400).json({
+        success: false,
+        message: 'Two-factor authentication is not enabled',
+      });
+    }
+
+    if (!req.body.password || !(await user.comparePassword(req.body.password))) {
+      return res.status(401).json({
+        success: false,
+        message: 'Password is incorrect',
+      });
+    }
+
+    if (!checkSecondFactor(user, { code: req.body.code })) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid authentication code',
+      });
+    }
+
+    const { codes, hashes } = generateRecoveryCodes();
+    user.twoFactor.recoveryCodes = hashes;
+    await user.save();
+
+    res.json({
+      success: true,
+      message: 'New recovery codes generated',
+      recoveryCodes: codes,
+    });
+  } catch (error) {
+    console.error('Recovery codes error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error generating recovery codes',
+      error: error.message,
+    });
+  }
+});
+
+/**
+ * @route   DELETE /api/auth/two-factor
+ * @desc    Turn two-factor authentication off. Body: { password, code } or
+ *          { password, recoveryCode }. Not allowed when the user's role requires it.
+ * @access  Private
+ */
+router.delete('/two-factor', signInLimit, protect, userOnly, async (req, res) => {
+  try {
+    const user = await User.findById(req.user._id).select(`+password ${TWO_FACTOR_FIELDS}`);
+
+    if (!user || !user.twoFactor?.enabled) {
+      return res.status(400).json({
+        success: false,
+        message: 'Two-factor authentication is not enabled',
+      });
+    }
+
+    if (await isTwoFactorRequired(user)) {
+      return res.status(400).json({
+        success: false,
+        message: `Two-factor authentication is required for the ${user.role} role`,
+      });
+    }
+
+    if (!req.body.password || !(await user.comparePassword(req.body.password))) {
+      return res.status(401).json({
+        success: false,
+        message: 'Password is incorrect',
+      });
+    }
+
+    if (!checkSecondFactor(user, req.body)) {
+      return res.status(401).json({
+        success: false,
+        message: 'Invalid authentication code',
+      });
+    }
+
+    user.twoFactor = { enabled: false };
+    await user.save();
+
+    res.json({
+      success: true,
+      message: 'Two-factor authentication disabled',
+    });
+  } catch (error) {
+    console.error('Two-factor disable error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error disabling two-factor authentication',
+      error: error.message,
+    });
+  }
+});
+
 module.exports = router;
@@ -0,0 +1,287 @@
+/**
+ * Change History Routes
+ *
+ * API endpoints for the field-level change log of assets, maintenance
+ * records and tags: list changes per asset, per record or per user, and
+ * revert a change.
+ */
+
+const express = require('express');
+const router = express.Router();
+const ChangeLog = require('../models/ChangeLog');
+const Equipment = require('../models/Equipment');
+const Maintenance = require('../models/Maintenance');
+const Tag = require('../models/Tag');
+const Activity = require('../models/Activity');
+const { protect, hasPermission } = require('../middleware/auth');
+const { valuesEqual, recordChanges, summarizeChanges } = require('../utils/changeLog');
+const { publishAssetChange, publishMaintenanceChange } = require('../utils/realtime');
+const { emitEquipmentEvent, emitMaintenanceEvent } = require('../utils/webhooks');
+const { checkParent, renameAssetReferences } = require('../utils/assetHierarchy');
+const {
+  OUT_OF_SCOPE_MESSAGE,
+  assetScopeFilter,
+  scopedAssetFilter,
+  scopedMaintenanceFilter,
+  isAssetInScope,
+  isAssetIdInScope,
+} = require('../utils/dataScope');
+
+// Model and permissions for each kind of change log entry
+const ENTITIES = {
+  Equipment: { model: Equipment, viewPermission: 'viewAssets', editPermission: 'editAssets' },
+  Maintenance: { model: Maintenance, viewPermission: 'viewMaintenance', editPermission: 'editMaintenance' },
+  Tag: { model: Tag, viewPermission: 'viewTags', editPermission: 'editTags' },
+};
+
+/**
+ * Limit a ChangeLog filter to the assets in the user's scope: asset changes
+ * by the asset's document ID, maintenance changes by their asset ID. Tags
+ * are not scoped.
+ * @param {Object} user - req.user
+ * @param {Object} filter - ChangeLog filter
+ * @returns {Promise<Object>} The filter, combined with the scope if there is one
+ */
+async function scopedChangeFilter(user, filter) {
+  const scopeFilter = await assetScopeFilter(user);
+  if (!scopeFilter) return filter;
+
+  const assets = await Equipment.find(scopeFilter).select('_id id');
+  return {
+    $and: [filter, {
+      $or: [
+        { entityType: 'Tag' },
+        { entityType: 'Equipment', entityId: { $in: assets.map(asset => asset._id.toString()) } },
+        { entityType: 'Maintenance', assetId: { $in: assets.map(asset => asset.id) } },
+      ],
+    }],
+  };
+}
+
+/**
+ * Find the document a change belongs to, if the user may see it
+ * @param {Object} entry - ChangeLog entry
+ * @param {Object} user - req.user
+ * @returns {Promise<Object|null>}
+ */
+async function findScopedEntity(entry, user) {
+  const filter = { _id: entry.entityId };
+  if (entry.entityType === 'Equipment') {
+    return Equipment.findOne(await scopedAssetFilter(user, filter));
+  }
+  if (entry.entityType === 'Maintenance') {
+    return Maintenance.findOne(await scopedMaintenanceFilter(user, filter));
+  }
+  return Tag.findById(entry.entityId);
+}
+
+/**
+ * @route   GET /api/changes
+ * @desc    List change log entries, newest first.
+ *          Filters: assetId (asset and its maintenance records), entityType,
+ *          entityId, userId. Paged with page and pageSize (max 200).
+ *          Changes to assets outside the user's data scope are left out.
+ * @access  Private (view permission for the entity type; viewUsers for other users' changes)
+ */
+router.get('/', protect, async (req, res) => {
+  try {
+    const { assetId, entityType, entityId, userId } = req.query;
+    const filter = {};
+
+    if (entityType) {
+      if (!ENTITIES[entityType]) {
+        return res.status(400).json({ message: `Unknown entity type: ${entityType}` });
+      }
+      filter.entityType = entityType;
+    }
+
+    // Only show entity types the user may view
+    const visibleTypes = Object.keys(ENTITIES)
+      .filter(type => hasPermission(req.user, ENTITIES[type].viewPermission));
+    if (entityType && !visibleTypes.includes(entityType)) {
+      return res.status(403).json({ message: `You do not have permission to ${ENTITIES[entityType].viewPermission}` });
+    }
+    if (!entityType) {
+      filter.entityType = { $in: visibleTypes };
+    }
+
+    if (entityId) {
+      filter.entityId = entityId;
+    }
+
+    if (assetId) {
+      // Match by the asset's document ID too, so history survives an asset ID change
+      const equipment = await Equipment.findOne({ id: assetId }).select('_id');
+      filter.$or = [{ assetId }];
+      if (equipment) {
+        filter.$or.push({ entityType: 'Equipment', entityId: equipment._id.toString() });
+      }
+    }
+
+    if (userId) {
+      if (userId !== req.user._id.toString() && !hasPermission(req.user, 'viewUsers')) {
+        return res.status(403).json({ message: 'You do not have permission to viewUsers' });
+      }
+      filter.user = userId;
+    }
+
+    const page = Math.max(parseInt(req.query.page, 10) || 1, 1);
+    const pageSize = Math.min(Math.max(parseInt(req.query.pageSize, 10) || 50, 1), 200);
+
+    const scopedFilter = await scopedChangeFilter(req.user, filter);
+    const [items, total] = await Promise.all([
+      ChangeLog.find(scopedFilter)
+        .sort({ createdAt: -1 })
+        .skip((page - 1) * pageSize)
+        .limit(pageSize),
+      ChangeLog.countDocuments(scopedFilter),
+    ]);
+
+    res.json({
+      items,
+      total,
+      page,
+      pageSize,
+      totalPages: Math.max(Math.ceil(total / pageSize), 1),
+    });
+  } catch (error) {
+    console.error('Error fetching change history:', error);
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+});
+
+/**
+ * @route   POST /api/changes/:id/revert
+ * @desc    Restore the old values of a change. Fields that have been changed
+ *          again since are reported as conflicts (409) unless body.force is true.
+ *          Assets and maintenance records must be in the user's data scope,
+ *          before and after the revert.
+ * @access  Private (edit permission for the entity type)
+ */
+router.post('/:id/revert', protect, async (req, res) => {
+  try {
+    const entry = await ChangeLog.findById(req.params.id);
+
+    if (!entry) {
+      return res.status(404).json({ message: 'Change not found' });
+    }
+
+    const { editPermission } = ENTITIES[entry.entityType];
+
+    if (!hasPermission(req.user, editPermission)) {
+      return res.status(403).json({ message: `You do not have permission to ${editPermission}` });
+    }
+
+    if (entry.revertedBy) {
+      return res.status(400).json({ message: 'This change has already been reverted' });
+    }
+
+    const doc = await findScopedEntity(entry, req.user);
+
+    if (!doc) {
+      return res.status(404).json({ message: `${entry.entityName || entry.entityType} no longer exists` });
+    }
+
+    // Fields edited again after this change would silently lose the later edit
+    const conflicts = entry.changes
+      .filter(change => !valuesEqual(doc.get(change.field), change.newValue))
+      .map(change => ({
+        field: change.field,
+        expected: change.newValue,
+        current: doc.get(change.field) ?? null,
+      }));
+
+    if (conflicts.length > 0 && !req.body.force) {
+      return res.status(409).json({
+        message: `${conflicts.map(c => c.field).join(', ')} changed again since this change`,
+        conflicts,
+      });
+    }
+
+    // Re-linking to the old parent must not create a cycle
+    const parentChange = entry.entityType === 'Equipment'
+      && entry.changes.find(change => change.field === 'parentId');
+    if (parentChange) {
+      const parentError = await checkParent(doc.id, parentChange.oldValue);
+      if (parentError) {
+        return res.status(400).json({ message: parentError });
+      }
+    }
+
+    const before = doc.toObject();
+    entry.changes.forEach(change => doc.set(change.field, change.oldValue));
+
+    // The old values must not move the record out of the user's scope
+    let inScope = true;
+    if (entry.entityType === 'Equipment') {
+      inScope = await isAssetInScope(req.user, doc);
+    } else if (entry.entityType === 'Maintenance' && doc.assetId !== before.assetId) {
+      inScope = await isAssetIdInScope(req.user, doc.assetId);
+    }
+    if (!inScope) {
+      return res.status(403).json({ message: OUT_OF_SCOPE_MESSAGE });
+    }
+    if (entry.entityType === 'Equipment') {
+      doc.lastModified = new Date();
+    }
+    await doc.save();
+
+    // Components, maintenance and custody records follow a reverted asset ID
+    if (entry.entityType === 'Equipment' && doc.id !== before.id) {
+      await renameAssetReferences(before.id, doc.id);
+    }
+
+    const revert = await recordChanges({
+      entityType: entry.entityType,
+      before,
+      after: doc,
+      user: req.user,
+      revertOf: entry._id,
+    });
+
+    entry.revertedBy = revert ? revert._id : null;
+    await entry.save();
+
+    // Log activity - attributed to the authenticated user
+    let activity = null;
+    if (entry.entityType !== 'Tag' && revert) {
+      activity = new Activity({
+        assetName: entry.entityType === 'Equipment' ? doc.name : doc.assetName,
+        assetId: entry.entityType === 'Equipment' ? doc.id : doc.assetId,
+        action: entry.entityType === 'Equipment' ? 'Updated' : 'Maintenance',
+        actionType: entry.entityType === 'Equipment' ? 'Updated' : 'Maintenance',
+        details: `Reverted change by ${entry.userName}: ${summarizeChanges(revert.changes)}`,
+        user: req.user.name,
+        icon: '↩️',
+        date: 'Just now',
+        timestamp: Date.now(),
+      });
+      await activity.save();
+    }
+
+    // Same live update and webhook as an edit through the asset or maintenance routes
+    if (entry.entityType === 'Equipment') {
+      publishAssetChange('updated', doc.id);
+      await emitEquipmentEvent('equipment.updated', doc, { activity, changes: revert?.changes });
+    } else if (entry.entityType === 'Maintenance') {
+      publishMaintenanceChange('updated', doc);
+      await emitMaintenanceEvent(
+        before.status !== 'Completed' && doc.status === 'Completed'
+          ? 'maintenance.completed'
+          : 'maintenance.updated',
+        doc
+      );
+    }
+
+    res.json({ message: 'Change reverted', change: revert });
+  } catch (error) {
+    console.error('Error reverting change:', error);
+
+    if (error.name === 'ValidationError' || error.code === 11000) {
+      return res.status(400).json({ message: 'The old values are no longer valid', error: error.message });
+    }
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+});
+
+module.exports = router;
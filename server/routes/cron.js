@@ -1,29 +1,63 @@
 /**
  * Cron Job Routes
  * 
- * Endpoints for scheduled tasks like maintenance notifications
- * These should be called by external cron job services or internal schedulers
+ * Endpoints for external cron services to trigger the scheduled jobs.
+ * The server runs these jobs itself (utils/scheduler.js); the endpoints go
+ * through the same lock and job history, so they never double-send.
  */
 
+const crypto = require('crypto');
 const express = require('express');
 const router = express.Router();
-const { runMaintenanceNotificationChecks } = require('../utils/maintenanceNotifications');
+const { JOBS, runJob } = require('../utils/scheduler');
+const { protect, authorize } = require('../middleware/auth');
+
+/**
+ * Compare a presented secret with the configured one in constant time.
+ * Both are hashed first so the buffers have the same length and the
+ * comparison does not reveal the secret's length either.
+ * @param {string} presented - Secret sent by the caller
+ * @param {string} expected - CRON_SECRET
+ * @returns {boolean}
+ */
+function secretMatches(presented, expected) {
+  if (typeof presented !== 'string') return false;
+  const digest = value => crypto.createHash('sha256').update(value).digest();
+  return crypto.timingSafeEqual(digest(presented), digest(expected));
+}
+
+/**
+ * Allow scheduler calls carrying the shared CRON_SECRET (X-Cron-Secret header),
+ * otherwise require a logged-in administrator
+ */
+const protectCron = (req, res, next) => {
+  const cronSecret = process.env.CRON_SECRET;
+
+  if (cronSecret && secretMatches(req.headers['x-cron-secret'], cronSecret)) {
+    return next();
+  }
+
+  return protect(req, res, () => authorize('Administrator')(req, res, next));
+};
 
 /**
  * POST /api/cron/maintenance-notifications
  * Run daily maintenance notification checks
- * Should be called once per day (e.g., at 8:00 AM)
  */
-router.post('/maintenance-notifications', async (req, res) => {
+router.post('/maintenance-notifications', protectCron, async (req, res) => {
   try {
     console.log('Running maintenance notification checks via cron endpoint');
     
-    const results = await runMaintenanceNotificationChecks();
+    const run = await runJob('maintenanceNotifications', { trigger: 'external' });
+    if (!run) {
+      return res.status(409).json({ success: false, message: 'Maintenance notification checks are already running' });
+    }
     
     res.json({
-      success: true,
+      success: run.status !== 'Failed',
       message: 'Maintenance notification checks completed',
-      results
+      results: run.results,
+      runId: run._id
     });
   } catch (error) {
     console.error('Error running maintenance notifications:', error);
@@ -35,20 +69,55 @@ router.post('/maintenance-notifications', async (req, res) => {
   }
 });
 
+/**
+ * POST /api/cron/custody-notifications
+ * Run daily overdue-return checks for checked out assets
+ */
+router.post('/custody-notifications', protectCron, async (req, res) => {
+  try {
+    console.log('Running custody notification checks via cron endpoint');
+
+    const run = await runJob('custodyNotifications', { trigger: 'external' });
+    if (!run) {
+      return res.status(409).json({ success: false, message: 'Custody notification checks are already running' });
+    }
+
+    res.json({
+      success: run.status !== 'Failed',
+      message: 'Custody notification checks completed',
+      results: run.results,
+      runId: run._id
+    });
+  } catch (error) {
+    console.error('Error running custody notifications:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to run custody notifications',
+      error: error.message
+    });
+  }
+});
+
 /**
  * GET /api/cron/status
  * Check cron job system status
  */
-router.get('/status', (req, res) => {
+router.get('/status', protectCron, (req, res) => {
   res.json({
     status: 'active',
-    message: 'Cron job system is operational',
+    message: 'Cron job system is operational (jobs also run on the built-in scheduler, see GET /api/jobs)',
     availableJobs: [
       {
         name: 'maintenance-notifications',
-        description: 'Daily maintenance notification checks',
+        description: JOBS.maintenanceNotifications.description,
         endpoint: 'POST /api/cron/maintenance-notifications',
         recommendedSchedule: 'Daily at 8:00 AM'
+      },
+      {
+        name: 'custody-notifications',
+        description: JOBS.custodyNotifications.description,
+        endpoint: 'POST /api/cron/custody-notifications',
+        recommendedSchedule: 'Daily at 8:00 AM'
       }
     ],
     timestamp: new Date()
@@ -2,7 +2,11 @@
  * Equipment Routes
  * 
  * REST API endpoints for equipment/asset management.
- * Handles CRUD operations for assets.
+ * Handles CRUD operations for assets. Every query is limited to the
+ * user's data scope (utils/dataScope.js): assets outside it are not found.
+ * Assets can be components of another asset (utils/assetHierarchy.js).
+ * Deleted assets go to the recycle bin (utils/recycleBin.js), where
+ * administrators can restore or purge them.
  */
 
 const express = require('express');
@@ -13,47 +17,48 @@ const fs = require('fs');
 const Equipment = require('../models/Equipment');
 const Maintenance = require('../models/Maintenance');
 const Activity = require('../models/Activity');
+const Custody = require('../models/Custody');
+const User = require('../models/User');
+const Settings = require('../models/Settings');
+const Tag = require('../models/Tag');
+const { protect, authorize, checkPermission } = require('../middleware/auth');
 const {
   createNewAssetNotification,
   createStatusChangeNotification,
   createAssignmentNotification,
+  createCheckoutNotification,
 } = require('../utils/notificationHelper');
+const { getStorage, removeStoredFile, computeChecksum } = require('../utils/storage');
+const { publishAssetChange } = require('../utils/realtime');
+const { emitEquipmentEvent } = require('../utils/webhooks');
+const { recordChanges, summarizeChanges } = require('../utils/changeLog');
+const { getAssetDepreciation, valueAt } = require('../utils/depreciation');
+const { OUT_OF_SCOPE_MESSAGE, scopedAssetFilter, isAssetInScope } = require('../utils/dataScope');
+const { subtreeIds, applyAssetLocation } = require('../utils/locations');
+const {
+  findDescendants,
+  findAncestors,
+  checkParent,
+  renameAssetReferences,
+  cascadeToComponents,
+  rollUp,
+} = require('../utils/assetHierarchy');
+const {
+  moveToRecycleBin,
+  findDeletedParent,
+  restoreFromRecycleBin,
+  purgeAssets,
+} = require('../utils/recycleBin');
+const { SOFT_DELETE_FIELDS } = require('../utils/softDelete');
+const { applyCustomFields, buildCustomFieldFilter } = require('../utils/customFields');
+const { escapeRegex } = require('../utils/regex');
+const {
+  calculateNextMaintenanceDate,
+  buildInitialMaintenance,
+} = require('../utils/maintenanceSchedule');
 
-/**
- * Helper function to calculate next maintenance date based on period
- */
-function calculateNextMaintenanceDate(lastDate, period) {
-  if (!period || period === 'As Needed') return null;
-  
-  const date = new Date(lastDate);
-  
-  switch(period) {
-    case 'Weekly':
-      date.setDate(date.getDate() + 7);
-      break;
-    case 'Monthly':
-      date.setMonth(date.getMonth() + 1);
-      break;
-    case 'Every 3 Months':
-    case 'Quarterly':
-      date.setMonth(date.getMonth() + 3);
-      break;
-    case 'Every 6 Months':
-    case 'Bi-annually':
-      date.setMonth(date.getMonth() + 6);
-      break;
-    case 'Annually':
-      date.setFullYear(date.getFullYear() + 1);
-      break;
-    case 'Every 2 Years':
-      date.setFullYear(date.getFullYear() + 2);
-      break;
-    default:
-      return null;
-  }
-  
-  return date;
-}
+// Fields only the recycle bin and the import undo maintain
+const PROTECTED_FIELDS = [...SOFT_DELETE_FIELDS, 'importBatch'];
 
 /**
  * Helper function to update asset maintenance status dynamically
@@ -95,9 +100,10 @@ async function updateAssetMaintenanceStatus(assetId) {
 }
 
 // Configure multer for file uploads
+// Files land in a temporary directory and are then handed to the storage backend
 const storage = multer.diskStorage({
   destination: (req, file, cb) => {
-    const uploadDir = path.join(__dirname, '../uploads/documents');
+    const uploadDir = path.join(__dirname, '../uploads/tmp');
     // Create directory if it doesn't exist
     if (!fs.existsSync(uploadDir)) {
       fs.mkdirSync(uploadDir, { recursive: true });
@@ -105,9 +111,9 @@ const storage = multer.diskStorage({
     cb(null, uploadDir);
   },
   filename: (req, file, cb) => {
-    // Generate unique filename: timestamp-originalname
+    // Generate unique filename: timestamp-originalname (also used as the storage key)
     const uniqueSuffix = Date.now() + '-' + Math.round(Math.random() * 1E9);
-    cb(null, uniqueSuffix + '-' + file.originalname);
+    cb(null, uniqueSuffix + '-' + file.originalname.replace(/[^\w.-]/g, '_'));
   }
 });
 
@@ -130,15 +136,72 @@ const upload = multer({
   }
 });
 
+/**
+ * Stream an attachment to the client
+ * @param {string} disposition - 'inline' to view, 'attachment' to download
+ */
+async function sendDocument(req, res, disposition) {
+  try {
+    const equipment = await Equipment.findOne(await scopedAssetFilter(req.user, { id: req.params.id })).select('attachedFiles');
+
+    if (!equipment) {
+      return res.status(404).json({ message: 'Equipment not found' });
+    }
+
+    // Find the file
+    const file = equipment.attachedFiles.find(
+      f => f.id === req.params.fileId
+    );
+
+    if (!file) {
+      return res.status(404).json({ message: 'File not found' });
+    }
+
+    // The checksum identifies the contents, so clients can cache on it
+    if (file.checksum) {
+      res.setHeader('ETag', `"${file.checksum}"`);
+      if (req.headers['if-none-match'] === `"${file.checksum}"`) {
+        return res.status(304).end();
+      }
+    }
+
+    res.setHeader('Content-Type', file.type || 'application/octet-stream');
+    res.setHeader('Content-Disposition', `${disposition}; filename="${file.name}"`);
+
+    // Legacy attachments that have not been migrated yet still carry base64 data
+    if (!file.storageKey) {
+      const fileBuffer = Buffer.from(file.data || '', 'base64');
+      res.setHeader('Content-Length', fileBuffer.length);
+      return res.send(fileBuffer);
+    }
+
+    const stream = await getStorage(file.storage).createReadStream(file.storageKey);
+    if (file.size) {
+      res.setHeader('Content-Length', file.size);
+    }
+
+    stream.on('error', (error) => {
+      console.error('Error streaming file:', error);
+      res.destroy(error);
+    });
+    stream.pipe(res);
+  } catch (error) {
+    if (error.code === 'FILE_NOT_FOUND') {
+      return res.status(404).json({ message: 'File contents not found in storage' });
+    }
+    console.error('Error sending file:', error);
+    res.status(500).json({ message: 'Error sending file', error: error.message });
+  }
+}
+
 /**
  * @route   GET /api/equipment/departments/list
  * @desc    Get unique list of departments from tags, equipment and users
- * @access  Public
+ * @access  Public (used by the signup form before a token exists)
  */
 router.get('/departments/list', async (req, res) => {
   try {
     const Tag = require('../models/Tag');
-    const User = require('../models/User');
     
     // Get departments from Tag collection (primary source)
     const departmentTags = await Tag.find({ category: 'Department' })
@@ -164,29 +227,458 @@ router.get('/departments/list', async (req, res) => {
   }
 });
 
+// Fields the listing can be sorted by (prefix with '-' for descending)
+const SORTABLE_FIELDS = [
+  'name', 'id', 'status', 'location', 'department', 'category',
+  'model', 'cost', 'purchaseDate', 'warrantyEndDate', 'createdAt', 'updatedAt'
+];
+
+// File payloads are only needed by the document view/download endpoints
+const LIST_PROJECTION = '-attachedFiles.data';
+
+// Largest page of the asset listing
+const MAX_PAGE_SIZE = 500;
+
+/**
+ * Values of a list query parameter, given comma separated, repeated
+ * (?status=A&status=B) or both
+ * @param {string|Array} value - req.query value
+ * @returns {Array<string>}
+ */
+function listParam(value) {
+  return [].concat(value ?? [])
+    .filter(item => typeof item === 'string')
+    .flatMap(item => item.split(','))
+    .map(item => item.trim())
+    .filter(Boolean);
+}
+
+/**
+ * Value of a single-valued query parameter; when it is repeated the first
+ * one counts
+ * @param {string|Array} value - req.query value
+ * @returns {string} Empty string when missing
+ */
+function singleParam(value) {
+  const first = Array.isArray(value) ? value[0] : value;
+  return typeof first === 'string' ? first.trim() : '';
+}
+
+/**
+ * Build a Mongo filter from listing query parameters
+ * @param {Object} query - req.query
+ * @returns {Promise<Object>} Mongo filter
+ */
+async function buildEquipmentFilter(query) {
+  const filter = {};
+
+  const search = singleParam(query.search);
+  if (search) {
+    const pattern = new RegExp(escapeRegex(search), 'i');
+    filter.$or = [{ name: pattern }, { id: pattern }, { serial: pattern }];
+  }
+
+  // Exact-match filters; several values (comma separated or repeated) match any of them
+  ['status', 'location', 'department', 'category'].forEach((field) => {
+    const values = listParam(query[field]);
+    if (values.length > 0) {
+      filter[field] = values.length === 1 ? values[0] : { $in: values };
+    }
+  });
+
+  // Assemblies: assets that other assets are components of
+  if (singleParam(query.hasComponents) === 'true') {
+    filter.id = { $in: await Equipment.distinct('parentId', { parentId: { $ne: null } }) };
+  }
+
+  // Location tree nodes match assets anywhere beneath them
+  const locationIds = listParam(query.locationId);
+  if (locationIds.length > 0) {
+    filter.locationId = { $in: await subtreeIds(locationIds) };
+  }
+
+  const costMin = parseFloat(singleParam(query.costMin));
+  const costMax = parseFloat(singleParam(query.costMax));
+  if (!isNaN(costMin) || !isNaN(costMax)) {
+    filter.cost = {};
+    if (!isNaN(costMin)) filter.cost.$gte = costMin;
+    if (!isNaN(costMax)) filter.cost.$lte = costMax;
+  }
+
+  // purchaseDate is stored as an ISO date string (YYYY-MM-DD), which sorts lexically
+  const dateFrom = singleParam(query.dateFrom);
+  const dateTo = singleParam(query.dateTo);
+  if (dateFrom || dateTo) {
+    filter.purchaseDate = {};
+    if (dateFrom) filter.purchaseDate.$gte = dateFrom;
+    if (dateTo) filter.purchaseDate.$lte = dateTo;
+  }
+
+  // Warranty state: active, expiring (within warrantyDays, default 90), expired or none
+  const warranty = singleParam(query.warranty);
+  if (warranty) {
+    const today = new Date();
+    today.setHours(0, 0, 0, 0);
+    const days = parseInt(singleParam(query.warrantyDays), 10) || 90;
+    const horizon = new Date(today);
+    horizon.setDate(horizon.getDate() + days + 1);
+
+    switch (warranty) {
+      case 'active':
+        filter.warrantyEndDate = { $gte: today };
+        break;
+      case 'expiring':
+        filter.warrantyEndDate = { $gte: today, $lt: horizon };
+        break;
+      case 'expired':
+        filter.warrantyEndDate = { $lt: today };
+        break;
+      case 'none':
+        filter.warrantyEndDate = null;
+        break;
+    }
+  }
+
+  Object.assign(filter, await buildCustomFieldFilter(query.customFields));
+
+  return filter;
+}
+
 /**
  * @route   GET /api/equipment
- * @desc    Get all equipment/assets
- * @access  Public
+ * @desc    Get one page of equipment/assets; the register is never returned whole
+ * @query   page (default 1), pageSize (default Settings.recordsPerPage, at most 500),
+ *          sort (e.g. "name" or "-cost"),
+ *          search, status, location, locationId (includes sub-locations), department, category
+ *          (these five take several values, comma separated or repeated),
+ *          hasComponents (true for assets with components), costMin, costMax, dateFrom, dateTo,
+ *          warranty (active|expiring|expired|none), warrantyDays (for expiring, default 90),
+ *          customFields[key] (text contains, dropdown/number/date/boolean exact),
+ *          customFields[key][min], customFields[key][max] (number and date ranges)
+ * @access  Private (viewAssets)
  */
-router.get('/', async (req, res) => {
+router.get('/', protect, checkPermission('viewAssets'), async (req, res) => {
   try {
-    const equipment = await Equipment.find().sort({ createdAt: -1 });
-    res.json(equipment);
+    const filter = await scopedAssetFilter(req.user, await buildEquipmentFilter(req.query));
+
+    let sort = { createdAt: -1 };
+    const sortParam = singleParam(req.query.sort);
+    if (sortParam) {
+      const field = sortParam.replace(/^-/, '');
+      if (!SORTABLE_FIELDS.includes(field)) {
+        return res.status(400).json({ message: `Cannot sort by '${field}'` });
+      }
+      // Secondary sort on _id keeps page boundaries stable for equal values
+      sort = { [field]: sortParam.startsWith('-') ? -1 : 1, _id: 1 };
+    }
+
+    let pageSize = parseInt(singleParam(req.query.pageSize), 10);
+    if (!pageSize || pageSize < 1) {
+      const settings = await Settings.findOne({ isSingleton: true }).select('recordsPerPage');
+      pageSize = settings?.recordsPerPage || 25;
+    }
+    pageSize = Math.min(pageSize, MAX_PAGE_SIZE);
+    const page = Math.max(parseInt(singleParam(req.query.page), 10) || 1, 1);
+
+    const [items, total] = await Promise.all([
+      Equipment.find(filter)
+        .select(LIST_PROJECTION)
+        .sort(sort)
+        .skip((page - 1) * pageSize)
+        .limit(pageSize),
+      Equipment.countDocuments(filter),
+    ]);
+
+    res.json({
+      items,
+      total,
+      page,
+      pageSize,
+      totalPages: Math.ceil(total / pageSize),
+    });
   } catch (error) {
     console.error('Error fetching equipment:', error);
     res.status(500).json({ message: 'Server error', error: error.message });
   }
 });
 
+/**
+ * @route   GET /api/equipment/summary
+ * @desc    Asset counts for the dashboard and reports: how many assets match
+ *          the listing filters, in total, per status and per category, how
+ *          many the user can see at all, and the categories and locations in use
+ * @query   The filters of GET /api/equipment (paging and sort are ignored)
+ * @access  Private (viewAssets)
+ */
+router.get('/summary', protect, checkPermission('viewAssets'), async (req, res) => {
+  try {
+    const scope = await scopedAssetFilter(req.user);
+    const filter = await scopedAssetFilter(req.user, await buildEquipmentFilter(req.query));
+
+    const [statusCounts, categoryCounts, totalInScope, categories, locations] = await Promise.all([
+      Equipment.aggregate([
+        { $match: filter },
+        { $group: { _id: '$status', count: { $sum: 1 } } },
+      ]),
+      Equipment.aggregate([
+        { $match: filter },
+        { $group: { _id: '$category', count: { $sum: 1 } } },
+      ]),
+      Equipment.countDocuments(scope),
+      Equipment.distinct('category', scope),
+      Equipment.distinct('location', scope),
+    ]);
+
+    const byStatus = Object.fromEntries(statusCounts.map(({ _id, count }) => [_id, count]));
+    const byCategory = Object.fromEntries(categoryCounts.map(({ _id, count }) => [_id || 'Uncategorized', count]));
+
+    res.json({
+      total: statusCounts.reduce((sum, { count }) => sum + count, 0),
+      byStatus,
+      byCategory,
+      totalInScope,
+      categories: categories.filter(Boolean).sort(),
+      locations: locations.filter(Boolean).sort(),
+    });
+  } catch (error) {
+    console.error('Error fetching equipment summary:', error);
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+});
+
+/**
+ * Depreciation settings per category, from the "Asset Type" tags
+ * @param {string} [category] - Only load this category
+ * @returns {Promise<Object>} Category name -> depreciation settings
+ */
+async function loadDepreciationSettings(category) {
+  const filter = { category: 'Asset Type' };
+  if (category) filter.name = category;
+
+  const tags = await Tag.find(filter).select('name depreciation');
+  return Object.fromEntries(tags.map(tag => [tag.name, tag.depreciation]));
+}
+
+/**
+ * Parse a date query parameter, returning null if missing or invalid
+ */
+function parseDateParam(value) {
+  if (!value) return null;
+  const date = new Date(value);
+  return isNaN(date.getTime()) ? null : date;
+}
+
+/**
+ * @route   GET /api/equipment/depreciation/report
+ * @desc    Book values at the end of a period for every depreciable asset.
+ *          Query: periodEnd (default today), periodStart (omit for depreciation
+ *          since acquisition), category, locationId (includes sub-locations)
+ * @access  Private (viewReports)
+ */
+router.get('/depreciation/report', protect, checkPermission('viewReports'), async (req, res) => {
+  try {
+    const periodEnd = parseDateParam(req.query.periodEnd) || new Date();
+    const periodStart = parseDateParam(req.query.periodStart);
+
+    if (periodStart && periodStart > periodEnd) {
+      return res.status(400).json({ message: 'periodStart must be before periodEnd' });
+    }
+
+    const reportFilter = {};
+    if (req.query.category) reportFilter.category = req.query.category;
+    if (req.query.locationId) reportFilter.locationId = { $in: await subtreeIds([req.query.locationId]) };
+
+    const filter = await scopedAssetFilter(req.user, reportFilter);
+    const [assets, depreciationSettings, settings] = await Promise.all([
+      Equipment.find(filter).select('id name category location locationId department cost currency purchaseDate acquisitionDate status'),
+      loadDepreciationSettings(req.query.category),
+      Settings.findOne({ isSingleton: true }),
+    ]);
+    const defaultCurrency = settings?.defaultCurrency || 'USD';
+
+    const rows = [];
+    let skipped = 0;
+
+    assets.forEach((asset) => {
+      const depreciation = getAssetDepreciation(asset, depreciationSettings[asset.category], periodEnd);
+
+      // Not depreciable, or not yet in service at the end of the period
+      if (!depreciation.depreciable || depreciation.inServiceDate > periodEnd) {
+        skipped++;
+        return;
+      }
+
+      const opening = periodStart
+        ? valueAt(depreciation.schedule, depreciation.cost, periodStart).bookValue
+        : depreciation.cost;
+
+      rows.push({
+        id: asset.id,
+        name: asset.name,
+        category: asset.category,
+        location: asset.location,
+        department: asset.department,
+        status: asset.status,
+        currency: asset.currency || defaultCurrency,
+        inServiceDate: depreciation.inServiceDate,
+        method: depreciation.method,
+        usefulLifeYears: depreciation.usefulLifeYears,
+        cost: depreciation.cost,
+        salvageValue: depreciation.salvageValue,
+        openingBookValue: opening,
+        periodDepreciation: Math.round((opening - depreciation.bookValue) * 100) / 100,
+        accumulatedDepreciation: depreciation.accumulatedDepreciation,
+        bookValue: depreciation.bookValue,
+        fullyDepreciated: depreciation.fullyDepreciated,
+      });
+    });
+
+    // Totals per currency, since assets may be recorded in different currencies
+    const totals = {};
+    rows.forEach((row) => {
+      const total = totals[row.currency] || (totals[row.currency] = {
+        cost: 0, periodDepreciation: 0, accumulatedDepreciation: 0, bookValue: 0,
+      });
+      Object.keys(total).forEach((key) => {
+        total[key] = Math.round((total[key] + row[key]) * 100) / 100;
+      });
+    });
+
+    res.json({ periodStart, periodEnd, rows, totals, skipped });
+  } catch (error) {
+    console.error('Error building depreciation report:', error);
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+});
+
+/**
+ * @route   GET /api/equipment/recycle-bin
+ * @desc    Deleted assets, newest first, with who deleted them and when the
+ *          retention purge will remove them (purgeAt is null when data is kept forever)
+ * @access  Private (Administrator)
+ */
+router.get('/recycle-bin', protect, authorize('Administrator'), async (req, res) => {
+  try {
+    const [assets, settings] = await Promise.all([
+      Equipment.find({ deletedAt: { $ne: null } })
+        .select('id name category location department status cost currency parentId deletedAt deletedByName attachedFiles.name notesHistory._id')
+        .sort({ deletedAt: -1 }),
+      Settings.findOne({ isSingleton: true }).select('dataRetentionDays'),
+    ]);
+    const retentionDays = settings?.dataRetentionDays ?? 90;
+
+    const maintenanceCounts = await Maintenance.aggregate([
+      { $match: { assetId: { $in: assets.map(asset => asset.id) }, deletedAt: { $ne: null } } },
+      { $group: { _id: '$assetId', count: { $sum: 1 } } },
+    ]);
+    const maintenanceByAsset = new Map(maintenanceCounts.map(m => [m._id, m.count]));
+
+    const items = assets.map((asset) => {
+      const purgeAt = retentionDays === -1 ? null : new Date(asset.deletedAt);
+      if (purgeAt) purgeAt.setDate(purgeAt.getDate() + retentionDays);
+
+      return {
+        id: asset.id,
+        name: asset.name,
+        category: asset.category,
+        location: asset.location,
+        department: asset.department,
+        status: asset.status,
+        cost: asset.cost,
+        currency: asset.currency,
+        parentId: asset.parentId,
+        deletedAt: asset.deletedAt,
+        deletedByName: asset.deletedByName,
+        purgeAt,
+        documentCount: asset.attachedFiles.length,
+        noteCount: asset.notesHistory?.length || 0,
+        maintenanceCount: maintenanceByAsset.get(asset.id) || 0,
+      };
+    });
+
+    res.json({ items, retentionDays });
+  } catch (error) {
+    console.error('Error fetching recycle bin:', error);
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+});
+
+/**
+ * @route   POST /api/equipment/recycle-bin/:id/restore
+ * @desc    Restore a deleted asset with its maintenance records. A component
+ *          whose parent is also deleted needs the parent restored first (409);
+ *          one whose parent was purged comes back standalone.
+ * @access  Private (Administrator)
+ */
+router.post('/recycle-bin/:id/restore', protect, authorize('Administrator'), async (req, res) => {
+  try {
+    const deleted = await Equipment.findOne({ id: req.params.id, deletedAt: { $ne: null } });
+
+    if (!deleted) {
+      return res.status(404).json({ message: 'Asset not found in the recycle bin' });
+    }
+
+    const parent = await findDeletedParent(deleted);
+    if (parent) {
+      return res.status(409).json({
+        message: `${deleted.name} is a component of ${parent.name} (${parent.id}), which is also in the recycle bin. Restore it first.`,
+      });
+    }
+
+    const equipment = await restoreFromRecycleBin(deleted);
+
+    const activity = new Activity({
+      assetName: equipment.name,
+      assetId: equipment.id,
+      action: 'Restored',
+      actionType: 'Restored',
+      details: `Restored from the recycle bin (deleted by ${deleted.deletedByName || 'unknown'})`,
+      user: req.user.name,
+      icon: '♻️',
+      date: 'Just now',
+      timestamp: Date.now(),
+    });
+    await activity.save();
+
+    publishAssetChange('created', equipment.id);
+    await emitEquipmentEvent('equipment.restored', equipment, { activity });
+
+    res.json({ message: `${equipment.name} restored`, equipment });
+  } catch (error) {
+    console.error('Error restoring equipment:', error);
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+});
+
+/**
+ * @route   DELETE /api/equipment/recycle-bin/:id
+ * @desc    Permanently delete an asset in the recycle bin, with its
+ *          maintenance and custody records and attachment files
+ * @access  Private (Administrator)
+ */
+router.delete('/recycle-bin/:id', protect, authorize('Administrator'), async (req, res) => {
+  try {
+    const [purged] = await purgeAssets({ id: req.params.id });
+
+    if (!purged) {
+      return res.status(404).json({ message: 'Asset not found in the recycle bin' });
+    }
+
+    res.json({ message: `${purged.name} permanently deleted`, asset: purged });
+  } catch (error) {
+    console.error('Error purging equipment:', error);
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+});
+
 /**
  * @route   GET /api/equipment/:id
  * @desc    Get equipment by ID
- * @access  Public
+ * @access  Private (viewAssets)
  */
-router.get('/:id', async (req, res) => {
+router.get('/:id', protect, checkPermission('viewAssets'), async (req, res) => {
   try {
-    const equipment = await Equipment.findOne({ id: req.params.id });
+    const equipment = await Equipment.findOne(await scopedAssetFilter(req.user, { id: req.params.id })).select(LIST_PROJECTION);
     
     if (!equipment) {
       return res.status(404).json({ message: 'Equipment not found' });
@@ -202,12 +694,29 @@ router.get('/:id', async (req, res) => {
 /**
  * @route   POST /api/equipment
  * @desc    Create new equipment/asset
- * @access  Public
+ * @access  Private (createAssets)
  */
-router.post('/', async (req, res) => {
+router.post('/', protect, checkPermission('createAssets'), async (req, res) => {
   try {
     // Remove maintenanceStatus from req.body if it exists (will be calculated dynamically)
     const { maintenanceStatus, ...equipmentData } = req.body;
+    PROTECTED_FIELDS.forEach(field => delete equipmentData[field]);
+    const locationError = await applyAssetLocation(equipmentData);
+    if (locationError) {
+      return res.status(400).json({ message: locationError });
+    }
+    if (!(await isAssetInScope(req.user, equipmentData))) {
+      return res.status(403).json({ message: OUT_OF_SCOPE_MESSAGE });
+    }
+    equipmentData.parentId = equipmentData.parentId ? String(equipmentData.parentId).trim() : null;
+    const parentError = await checkParent(equipmentData.id, equipmentData.parentId);
+    if (parentError) {
+      return res.status(400).json({ message: parentError });
+    }
+    const customFieldError = await applyCustomFields(equipmentData);
+    if (customFieldError) {
+      return res.status(400).json({ message: customFieldError });
+    }
     const equipment = new Equipment(equipmentData);
     
     // If asset has a maintenance period, calculate and set next scheduled maintenance
@@ -219,19 +728,9 @@ router.post('/', async (req, res) => {
     await equipment.save();
 
     // Create initial maintenance schedule if maintenance period is set
-    if (equipment.maintenancePeriod && equipment.maintenancePeriod !== 'As Needed' && equipment.nextScheduledMaintenance) {
-      const initialMaintenance = new Maintenance({
-        assetId: equipment.id,
-        assetName: equipment.name,
-        date: equipment.nextScheduledMaintenance,
-        scheduledDate: equipment.nextScheduledMaintenance,
-        serviceType: 'Preventative Maintenance',
-        technician: 'To Be Assigned',
-        cost: 0,
-        status: 'Scheduled',
-        priority: 'Medium',
-        description: `Initial ${equipment.maintenancePeriod} maintenance schedule for ${equipment.name}`,
-      });
+    const initialMaintenanceData = buildInitialMaintenance(equipment);
+    if (initialMaintenanceData) {
+      const initialMaintenance = new Maintenance(initialMaintenanceData);
       
       await initialMaintenance.save();
       console.log(`Initial maintenance scheduled for ${equipment.name} on ${equipment.nextScheduledMaintenance}`);
@@ -240,8 +739,8 @@ router.post('/', async (req, res) => {
       await updateAssetMaintenanceStatus(equipment.id);
     }
 
-    // Log activity - use dynamic user from request or default to System
-    const userName = req.body.currentUser || req.body.user || 'System';
+    // Log activity - attributed to the authenticated user
+    const userName = req.user.name;
     const activity = new Activity({
       assetName: equipment.name,
       assetId: equipment.id,
@@ -257,12 +756,20 @@ router.post('/', async (req, res) => {
     // Create notification for new asset
     await createNewAssetNotification(equipment);
 
+    publishAssetChange('created', equipment.id);
+    await emitEquipmentEvent('equipment.created', equipment, { activity });
+
     res.status(201).json(equipment);
   } catch (error) {
     console.error('Error creating equipment:', error);
     
     if (error.code === 11000) {
-      return res.status(400).json({ message: 'Asset ID already exists' });
+      const inRecycleBin = await Equipment.exists({ id: req.body.id, deletedAt: { $ne: null } });
+      return res.status(400).json({
+        message: inRecycleBin
+          ? 'Asset ID belongs to a deleted asset in the recycle bin'
+          : 'Asset ID already exists',
+      });
     }
     
     res.status(400).json({ message: 'Invalid data', error: error.message });
@@ -272,30 +779,72 @@ router.post('/', async (req, res) => {
 /**
  * @route   PUT /api/equipment/:id
  * @desc    Update equipment/asset
- * @access  Public
+ * @access  Private (editAssets)
  */
-router.put('/:id', async (req, res) => {
+router.put('/:id', protect, checkPermission('editAssets'), async (req, res) => {
   try {
     // Get old equipment data first to check for changes
-    const oldEquipment = await Equipment.findOne({ id: req.params.id });
+    const oldEquipment = await Equipment.findOne(await scopedAssetFilter(req.user, { id: req.params.id }));
     
     if (!oldEquipment) {
       return res.status(404).json({ message: 'Equipment not found' });
     }
 
+    // Custody is only changed through the checkout/checkin endpoints.
+    // cascadeToComponents moves the asset's components along with it.
+    const { currentCustody, cascadeToComponents: cascade, ...updates } = req.body;
+    PROTECTED_FIELDS.forEach(field => delete updates[field]);
+    const locationError = await applyAssetLocation(updates);
+    if (locationError) {
+      return res.status(400).json({ message: locationError });
+    }
+
+    // Scoped users cannot move an asset out of their departments or locations
+    const moved = {
+      department: updates.department ?? oldEquipment.department,
+      location: updates.location ?? oldEquipment.location,
+      locationId: updates.locationId !== undefined ? updates.locationId : oldEquipment.locationId,
+    };
+    if (!(await isAssetInScope(req.user, moved))) {
+      return res.status(403).json({ message: OUT_OF_SCOPE_MESSAGE });
+    }
+
+    if (updates.parentId !== undefined) {
+      updates.parentId = updates.parentId ? String(updates.parentId).trim() : null;
+      const parentError = await checkParent(oldEquipment.id, updates.parentId);
+      if (parentError) {
+        return res.status(400).json({ message: parentError });
+      }
+    }
+
+    // Custom fields are checked against the (new) asset type's definitions
+    const customFieldError = await applyCustomFields(updates, oldEquipment);
+    if (customFieldError) {
+      return res.status(400).json({ message: customFieldError });
+    }
+
     const equipment = await Equipment.findOneAndUpdate(
       { id: req.params.id },
-      { ...req.body, lastModified: new Date() },
+      { ...updates, lastModified: new Date() },
       { new: true, runValidators: true }
-    );
+    ).select(LIST_PROJECTION);
+
+    // Record which fields changed, with their old and new values
+    const change = await recordChanges({
+      entityType: 'Equipment',
+      before: oldEquipment,
+      after: equipment,
+      user: req.user,
+    });
 
-    // Log activity - use dynamic user from request or default to System
-    const userName = req.body.currentUser || req.body.user || 'System';
+    // Log activity - attributed to the authenticated user
+    const userName = req.user.name;
     const activity = new Activity({
       assetName: equipment.name,
       assetId: equipment.id,
       action: 'Updated',
       actionType: 'Updated',
+      details: change ? summarizeChanges(change.changes) : undefined,
       user: userName,
       icon: '✏️',
       date: 'Just now',
@@ -303,6 +852,31 @@ router.put('/:id', async (req, res) => {
     });
     await activity.save();
 
+    if (equipment.id !== oldEquipment.id) {
+      await renameAssetReferences(oldEquipment.id, equipment.id);
+    }
+
+    if (cascade) {
+      const movedComponents = await cascadeToComponents(oldEquipment, equipment, req.user);
+      for (const { asset, change: componentChange } of movedComponents) {
+        const componentActivity = new Activity({
+          assetName: asset.name,
+          assetId: asset.id,
+          action: 'Updated',
+          actionType: 'Updated',
+          details: `Moved with ${equipment.name}: ${summarizeChanges(componentChange.changes)}`,
+          user: userName,
+          icon: '✏️',
+          date: 'Just now',
+          timestamp: Date.now(),
+        });
+        await componentActivity.save();
+
+        publishAssetChange('updated', asset.id);
+        await emitEquipmentEvent('equipment.updated', asset, { activity: componentActivity, changes: componentChange.changes });
+      }
+    }
+
     // Create notifications for specific changes
     // Status change notification
     if (oldEquipment.status !== equipment.status) {
@@ -314,6 +888,9 @@ router.put('/:id', async (req, res) => {
       await createAssignmentNotification(equipment, equipment.assignedTo);
     }
 
+    publishAssetChange('updated', equipment.id);
+    await emitEquipmentEvent('equipment.updated', equipment, { activity, changes: change?.changes });
+
     res.json(equipment);
   } catch (error) {
     console.error('Error updating equipment:', error);
@@ -323,24 +900,32 @@ router.put('/:id', async (req, res) => {
 
 /**
  * @route   DELETE /api/equipment/:id
- * @desc    Delete equipment/asset
- * @access  Public
+ * @desc    Delete equipment/asset: moves it and its maintenance records to
+ *          the recycle bin
+ * @access  Private (deleteAssets)
  */
-router.delete('/:id', async (req, res) => {
+router.delete('/:id', protect, checkPermission('deleteAssets'), async (req, res) => {
   try {
-    const equipment = await Equipment.findOneAndDelete({ id: req.params.id });
+    const existing = await Equipment.findOne(await scopedAssetFilter(req.user, { id: req.params.id })).select('id currentCustody');
 
-    if (!equipment) {
+    if (!existing) {
       return res.status(404).json({ message: 'Equipment not found' });
     }
 
-    // Log activity - use dynamic user from request or default to System
-    const userName = req.body.currentUser || req.body.user || 'System';
+    if (existing.currentCustody) {
+      return res.status(409).json({ message: 'Check this asset in before deleting it' });
+    }
+
+    const equipment = await moveToRecycleBin(existing, req.user);
+
+    // Log activity - attributed to the authenticated user
+    const userName = req.user.name;
     const activity = new Activity({
       assetName: equipment.name,
       assetId: equipment.id,
       action: 'Deleted',
       actionType: 'Deleted',
+      details: 'Moved to the recycle bin',
       user: userName,
       icon: '🗑️',
       date: 'Just now',
@@ -348,6 +933,9 @@ router.delete('/:id', async (req, res) => {
     });
     await activity.save();
 
+    publishAssetChange('deleted', equipment.id);
+    await emitEquipmentEvent('equipment.deleted', equipment, { activity });
+
     res.json({ message: 'Equipment deleted successfully', equipment });
   } catch (error) {
     console.error('Error deleting equipment:', error);
@@ -358,17 +946,17 @@ router.delete('/:id', async (req, res) => {
 /**
  * @route   GET /api/equipment/search/:query
  * @desc    Search equipment by name, id, or category
- * @access  Public
+ * @access  Private (viewAssets)
  */
-router.get('/search/:query', async (req, res) => {
+router.get('/search/:query', protect, checkPermission('viewAssets'), async (req, res) => {
   try {
-    const equipment = await Equipment.find({
+    const equipment = await Equipment.find(await scopedAssetFilter(req.user, {
       $or: [
         { name: { $regex: req.params.query, $options: 'i' } },
         { id: { $regex: req.params.query, $options: 'i' } },
         { category: { $regex: req.params.query, $options: 'i' } },
       ],
-    });
+    })).select(LIST_PROJECTION);
 
     res.json(equipment);
   } catch (error) {
@@ -379,16 +967,16 @@ router.get('/search/:query', async (req, res) => {
 
 /**
  * @route   POST /api/equipment/:id/upload
- * @desc    Upload document for an asset (stores in MongoDB as base64)
- * @access  Public
+ * @desc    Upload document for an asset (contents go to the configured file storage)
+ * @access  Private (uploadDocuments)
  */
-router.post('/:id/upload', upload.single('document'), async (req, res) => {
+router.post('/:id/upload', protect, checkPermission('uploadDocuments'), upload.single('document'), async (req, res) => {
   try {
     if (!req.file) {
       return res.status(400).json({ message: 'No file uploaded' });
     }
 
-    const equipment = await Equipment.findOne({ id: req.params.id });
+    const equipment = await Equipment.findOne(await scopedAssetFilter(req.user, { id: req.params.id }));
 
     if (!equipment) {
       // Clean up uploaded file if asset not found
@@ -396,34 +984,48 @@ router.post('/:id/upload', upload.single('document'), async (req, res) => {
       return res.status(404).json({ message: 'Equipment not found' });
     }
 
-    // Read file and convert to base64 for MongoDB storage
-    const fileBuffer = fs.readFileSync(req.file.path);
-    const base64Data = fileBuffer.toString('base64');
+    // Hand the file to the configured storage backend
+    const fileStorage = getStorage();
+    const checksum = await computeChecksum(req.file.path);
+    const storageKey = req.file.filename;
+
+    await fileStorage.save(storageKey, fs.createReadStream(req.file.path), {
+      contentType: req.file.mimetype,
+      size: req.file.size,
+      checksum,
+    });
 
-    // Add file to attachedFiles array
+    // Add file metadata to attachedFiles array
     if (!equipment.attachedFiles) {
       equipment.attachedFiles = [];
     }
     
-    // Push file data directly to the array - Mongoose will handle subdocument creation
     equipment.attachedFiles.push({
       name: req.file.originalname,
       type: req.file.mimetype,
       id: req.file.filename,
-      data: base64Data,
+      storage: fileStorage.name,
+      storageKey,
+      checksum,
       uploadDate: new Date(),
       size: req.file.size
     });
     
     equipment.lastModified = new Date();
 
-    await equipment.save();
+    try {
+      await equipment.save();
+    } catch (error) {
+      // Don't leave orphaned contents behind if the metadata could not be saved
+      await fileStorage.remove(storageKey).catch(() => {});
+      throw error;
+    }
 
-    // Clean up physical file after saving to database
+    // Clean up temporary file
     fs.unlinkSync(req.file.path);
 
-    // Log activity - use dynamic user from request or default to System
-    const userName = req.body.currentUser || req.body.user || 'System';
+    // Log activity - attributed to the authenticated user
+    const userName = req.user.name;
     const activity = new Activity({
       assetName: equipment.name,
       assetId: equipment.id,
@@ -440,15 +1042,18 @@ router.post('/:id/upload', upload.single('document'), async (req, res) => {
     // Get the last added file from the array
     const addedFile = equipment.attachedFiles[equipment.attachedFiles.length - 1];
 
-    // Return file data without base64 (too large for response)
     const responseFile = {
       name: addedFile.name,
       type: addedFile.type,
       id: addedFile.id,
+      checksum: addedFile.checksum,
       uploadDate: addedFile.uploadDate,
       size: addedFile.size
     };
 
+    publishAssetChange('updated', req.params.id);
+    await emitEquipmentEvent('equipment.updated', equipment, { activity });
+
     res.json({ 
       message: 'File uploaded successfully', 
       file: responseFile,
@@ -467,11 +1072,11 @@ router.post('/:id/upload', upload.single('document'), async (req, res) => {
 /**
  * @route   DELETE /api/equipment/:id/document/:fileId
  * @desc    Delete a document from an asset
- * @access  Public
+ * @access  Private (deleteDocuments)
  */
-router.delete('/:id/document/:fileId', async (req, res) => {
+router.delete('/:id/document/:fileId', protect, checkPermission('deleteDocuments'), async (req, res) => {
   try {
-    const equipment = await Equipment.findOne({ id: req.params.id });
+    const equipment = await Equipment.findOne(await scopedAssetFilter(req.user, { id: req.params.id }));
 
     if (!equipment) {
       return res.status(404).json({ message: 'Equipment not found' });
@@ -488,13 +1093,15 @@ router.delete('/:id/document/:fileId', async (req, res) => {
 
     const file = equipment.attachedFiles[fileIndex];
 
-    // Remove from database (no physical file to delete since stored in MongoDB)
     equipment.attachedFiles.splice(fileIndex, 1);
     equipment.lastModified = new Date();
     await equipment.save();
 
-    // Log activity - use dynamic user from request or default to System
-    const userName = req.body.currentUser || req.body.user || 'System';
+    // Remove the contents from storage (legacy base64 files have none)
+    await removeStoredFile(file);
+
+    // Log activity - attributed to the authenticated user
+    const userName = req.user.name;
     const activity = new Activity({
       assetName: equipment.name,
       assetId: equipment.id,
@@ -508,6 +1115,9 @@ router.delete('/:id/document/:fileId', async (req, res) => {
     });
     await activity.save();
 
+    publishAssetChange('updated', req.params.id);
+    await emitEquipmentEvent('equipment.updated', equipment, { activity });
+
     res.json({ 
       message: 'File deleted successfully', 
       equipment 
@@ -520,84 +1130,28 @@ router.delete('/:id/document/:fileId', async (req, res) => {
 
 /**
  * @route   GET /api/equipment/:id/document/:fileId/view
- * @desc    View a document from an asset in the browser (retrieves from MongoDB)
- * @access  Public
+ * @desc    View a document from an asset in the browser (streamed from file storage)
+ * @access  Private (downloadDocuments)
  */
-router.get('/:id/document/:fileId/view', async (req, res) => {
-  try {
-    const equipment = await Equipment.findOne({ id: req.params.id });
-
-    if (!equipment) {
-      return res.status(404).json({ message: 'Equipment not found' });
-    }
-
-    // Find the file
-    const file = equipment.attachedFiles.find(
-      f => f.id === req.params.fileId
-    );
-
-    if (!file) {
-      return res.status(404).json({ message: 'File not found' });
-    }
-
-    // Convert base64 back to binary
-    const fileBuffer = Buffer.from(file.data, 'base64');
-
-    // Set headers for inline viewing (browser will display if possible)
-    res.setHeader('Content-Type', file.type);
-    res.setHeader('Content-Disposition', `inline; filename="${file.name}"`);
-    res.setHeader('Content-Length', fileBuffer.length);
-
-    res.send(fileBuffer);
-  } catch (error) {
-    console.error('Error viewing file:', error);
-    res.status(500).json({ message: 'Error viewing file', error: error.message });
-  }
+router.get('/:id/document/:fileId/view', protect, checkPermission('downloadDocuments'), async (req, res) => {
+  await sendDocument(req, res, 'inline');
 });
 
 /**
  * @route   GET /api/equipment/:id/document/:fileId/download
- * @desc    Download a document from an asset (retrieves from MongoDB)
- * @access  Public
+ * @desc    Download a document from an asset (streamed from file storage)
+ * @access  Private (downloadDocuments)
  */
-router.get('/:id/document/:fileId/download', async (req, res) => {
-  try {
-    const equipment = await Equipment.findOne({ id: req.params.id });
-
-    if (!equipment) {
-      return res.status(404).json({ message: 'Equipment not found' });
-    }
-
-    // Find the file
-    const file = equipment.attachedFiles.find(
-      f => f.id === req.params.fileId
-    );
-
-    if (!file) {
-      return res.status(404).json({ message: 'File not found' });
-    }
-
-    // Convert base64 back to binary
-    const fileBuffer = Buffer.from(file.data, 'base64');
-
-    // Set headers for download
-    res.setHeader('Content-Type', file.type);
-    res.setHeader('Content-Disposition', `attachment; filename="${file.name}"`);
-    res.setHeader('Content-Length', fileBuffer.length);
-
-    res.send(fileBuffer);
-  } catch (error) {
-    console.error('Error downloading file:', error);
-    res.status(500).json({ message: 'Error downloading file', error: error.message });
-  }
+router.get('/:id/document/:fileId/download', protect, checkPermission('downloadDocuments'), async (req, res) => {
+  await sendDocument(req, res, 'attachment');
 });
 
 /**
  * @route   POST /api/equipment/:id/notes
  * @desc    Add a new note to an asset
- * @access  Public
+ * @access  Private (createNotes)
  */
-router.post('/:id/notes', async (req, res) => {
+router.post('/:id/notes', protect, checkPermission('createNotes'), async (req, res) => {
   try {
     const { content } = req.body;
 
@@ -605,7 +1159,7 @@ router.post('/:id/notes', async (req, res) => {
       return res.status(400).json({ message: 'Note content is required' });
     }
 
-    const equipment = await Equipment.findOne({ id: req.params.id });
+    const equipment = await Equipment.findOne(await scopedAssetFilter(req.user, { id: req.params.id }));
 
     if (!equipment) {
       return res.status(404).json({ message: 'Equipment not found' });
@@ -616,8 +1170,8 @@ router.post('/:id/notes', async (req, res) => {
       equipment.notesHistory = [];
     }
 
-    // Get dynamic user from request or default to System
-    const userName = req.body.currentUser || req.body.user || 'System';
+    // Attribute the note to the authenticated user
+    const userName = req.user.name;
 
     // Create new note
     const newNote = {
@@ -633,21 +1187,23 @@ router.post('/:id/notes', async (req, res) => {
 
     await equipment.save();
 
-    // Log activity - use dynamic user from request or default to System
-    const activityUserName = req.body.currentUser || req.body.user || 'System';
+    // Log activity
     const activity = new Activity({
       assetName: equipment.name,
       assetId: equipment.id,
       action: 'Note Added',
       actionType: 'Updated',
       details: `Added a new note`,
-      user: activityUserName,
+      user: userName,
       icon: '📝',
       date: 'Just now',
       timestamp: Date.now(),
     });
     await activity.save();
 
+    publishAssetChange('updated', req.params.id);
+    await emitEquipmentEvent('equipment.updated', equipment, { activity });
+
     res.json({ 
       message: 'Note added successfully', 
       note: newNote,
@@ -662,9 +1218,9 @@ router.post('/:id/notes', async (req, res) => {
 /**
  * @route   PUT /api/equipment/:id/notes/:noteId
  * @desc    Update an existing note
- * @access  Public
+ * @access  Private (editNotes)
  */
-router.put('/:id/notes/:noteId', async (req, res) => {
+router.put('/:id/notes/:noteId', protect, checkPermission('editNotes'), async (req, res) => {
   try {
     const { content } = req.body;
 
@@ -672,7 +1228,7 @@ router.put('/:id/notes/:noteId', async (req, res) => {
       return res.status(400).json({ message: 'Note content is required' });
     }
 
-    const equipment = await Equipment.findOne({ id: req.params.id });
+    const equipment = await Equipment.findOne(await scopedAssetFilter(req.user, { id: req.params.id }));
 
     if (!equipment) {
       return res.status(404).json({ message: 'Equipment not found' });
@@ -685,8 +1241,8 @@ router.put('/:id/notes/:noteId', async (req, res) => {
       return res.status(404).json({ message: 'Note not found' });
     }
 
-    // Get dynamic user from request or default to System
-    const userName = req.body.currentUser || req.body.user || 'System';
+    // Attribute the note to the authenticated user
+    const userName = req.user.name;
 
     // Update note
     note.content = content.trim();
@@ -696,21 +1252,23 @@ router.put('/:id/notes/:noteId', async (req, res) => {
 
     await equipment.save();
 
-    // Log activity - use dynamic user from request or default to System
-    const activityUserName = req.body.currentUser || req.body.user || 'System';
+    // Log activity
     const activity = new Activity({
       assetName: equipment.name,
       assetId: equipment.id,
       action: 'Note Updated',
       actionType: 'Updated',
       details: `Updated a note`,
-      user: activityUserName,
+      user: userName,
       icon: '✏️',
       date: 'Just now',
       timestamp: Date.now(),
     });
     await activity.save();
 
+    publishAssetChange('updated', req.params.id);
+    await emitEquipmentEvent('equipment.updated', equipment, { activity });
+
     res.json({ 
       message: 'Note updated successfully', 
       note,
@@ -725,11 +1283,11 @@ router.put('/:id/notes/:noteId', async (req, res) => {
 /**
  * @route   DELETE /api/equipment/:id/notes/:noteId
  * @desc    Delete a note
- * @access  Public
+ * @access  Private (deleteNotes)
  */
-router.delete('/:id/notes/:noteId', async (req, res) => {
+router.delete('/:id/notes/:noteId', protect, checkPermission('deleteNotes'), async (req, res) => {
   try {
-    const equipment = await Equipment.findOne({ id: req.params.id });
+    const equipment = await Equipment.findOne(await scopedAssetFilter(req.user, { id: req.params.id }));
 
     if (!equipment) {
       return res.status(404).json({ message: 'Equipment not found' });
@@ -749,8 +1307,8 @@ router.delete('/:id/notes/:noteId', async (req, res) => {
 
     await equipment.save();
 
-    // Log activity - use dynamic user from request or default to System
-    const userName = req.body.currentUser || req.body.user || 'System';
+    // Log activity - attributed to the authenticated user
+    const userName = req.user.name;
     const activity = new Activity({
       assetName: equipment.name,
       assetId: equipment.id,
@@ -764,6 +1322,9 @@ router.delete('/:id/notes/:noteId', async (req, res) => {
     });
     await activity.save();
 
+    publishAssetChange('updated', req.params.id);
+    await emitEquipmentEvent('equipment.updated', equipment, { activity });
+
     res.json({ 
       message: 'Note deleted successfully',
       equipment 
@@ -774,4 +1335,483 @@ router.delete('/:id/notes/:noteId', async (req, res) => {
   }
 });
 
+/**
+ * @route   GET /api/equipment/:id/depreciation
+ * @desc    Current book value and yearly depreciation schedule of an asset.
+ *          Query: asOf (default today)
+ * @access  Private (viewAssets)
+ */
+router.get('/:id/depreciation', protect, checkPermission('viewAssets'), async (req, res) => {
+  try {
+    const equipment = await Equipment.findOne(await scopedAssetFilter(req.user, { id: req.params.id })).select('id category cost currency purchaseDate acquisitionDate');
+
+    if (!equipment) {
+      return res.status(404).json({ message: 'Equipment not found' });
+    }
+
+    const asOf = parseDateParam(req.query.asOf) || new Date();
+    const depreciationSettings = await loadDepreciationSettings(equipment.category);
+
+    res.json({
+      assetId: equipment.id,
+      currency: equipment.currency,
+      ...getAssetDepreciation(equipment, depreciationSettings[equipment.category], asOf),
+    });
+  } catch (error) {
+    console.error('Error calculating depreciation:', error);
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+});
+
+/**
+ * Link or unlink a component and record the parentId change on it
+ * @param {Object} component - Component asset before the change
+ * @param {string|null} parentId - New parent's asset ID, or null to detach
+ * @param {Object} user - req.user
+ * @returns {Promise<Object>} The updated component
+ */
+async function setComponentParent(component, parentId, user) {
+  const updated = await Equipment.findOneAndUpdate(
+    { id: component.id },
+    { parentId, lastModified: new Date() },
+    { new: true }
+  ).select(LIST_PROJECTION);
+  await recordChanges({ entityType: 'Equipment', before: component, after: updated, user });
+  publishAssetChange('updated', updated.id);
+  return updated;
+}
+
+/**
+ * Log a component being added, removed or replaced on its parent
+ * @param {Object} parent - Parent asset
+ * @param {string} action - 'Component Added', 'Component Removed' or 'Component Replaced'
+ * @param {string} details - What changed
+ * @param {Object} user - req.user
+ */
+async function logComponentActivity(parent, action, details, user) {
+  const activity = new Activity({
+    assetName: parent.name,
+    assetId: parent.id,
+    action,
+    actionType: 'Updated',
+    details,
+    user: user.name,
+    icon: '🔩',
+    date: 'Just now',
+    timestamp: Date.now(),
+  });
+  await activity.save();
+
+  publishAssetChange('updated', parent.id);
+  await emitEquipmentEvent('equipment.updated', parent, { activity });
+}
+
+/**
+ * @route   GET /api/equipment/:id/components
+ * @desc    Parent chain and direct components of an asset
+ * @access  Private (viewAssets)
+ */
+router.get('/:id/components', protect, checkPermission('viewAssets'), async (req, res) => {
+  try {
+    const equipment = await Equipment.findOne(await scopedAssetFilter(req.user, { id: req.params.id })).select('id name parentId');
+
+    if (!equipment) {
+      return res.status(404).json({ message: 'Equipment not found' });
+    }
+
+    const [ancestors, components, descendants] = await Promise.all([
+      findAncestors(equipment),
+      Equipment.find(await scopedAssetFilter(req.user, { parentId: equipment.id }))
+        .select('id name category status location department cost currency')
+        .sort({ name: 1 }),
+      findDescendants(equipment.id, 'id'),
+    ]);
+
+    res.json({
+      parent: ancestors[0] || null,
+      ancestors,
+      components,
+      descendantCount: descendants.length,
+    });
+  } catch (error) {
+    console.error('Error fetching components:', error);
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+});
+
+/**
+ * @route   POST /api/equipment/:id/components
+ * @desc    Attach an asset as a component (moving it from any other parent)
+ * @body    { componentId }
+ * @access  Private (editAssets)
+ */
+router.post('/:id/components', protect, checkPermission('editAssets'), async (req, res) => {
+  try {
+    const componentId = String(req.body.componentId || '').trim();
+    if (!componentId) {
+      return res.status(400).json({ message: 'componentId is required' });
+    }
+
+    const [parent, component] = await Promise.all([
+      Equipment.findOne(await scopedAssetFilter(req.user, { id: req.params.id })).select(LIST_PROJECTION),
+      Equipment.findOne(await scopedAssetFilter(req.user, { id: componentId })),
+    ]);
+
+    if (!parent) {
+      return res.status(404).json({ message: 'Equipment not found' });
+    }
+    if (!component) {
+      return res.status(404).json({ message: `Component asset "${componentId}" not found` });
+    }
+    if (component.parentId === parent.id) {
+      return res.status(400).json({ message: `${component.name} is already a component of this asset` });
+    }
+
+    const parentError = await checkParent(component.id, parent.id);
+    if (parentError) {
+      return res.status(400).json({ message: parentError });
+    }
+
+    const previousParentId = component.parentId;
+    const updated = await setComponentParent(component, parent.id, req.user);
+    await logComponentActivity(
+      parent,
+      'Component Added',
+      `${component.name} (${component.id})${previousParentId ? ` moved from ${previousParentId}` : ''}`,
+      req.user
+    );
+
+    res.status(201).json(updated);
+  } catch (error) {
+    console.error('Error adding component:', error);
+    res.status(400).json({ message: 'Invalid data', error: error.message });
+  }
+});
+
+/**
+ * @route   DELETE /api/equipment/:id/components/:componentId
+ * @desc    Detach a component, leaving it as a standalone asset
+ * @access  Private (editAssets)
+ */
+router.delete('/:id/components/:componentId', protect, checkPermission('editAssets'), async (req, res) => {
+  try {
+    const parent = await Equipment.findOne(await scopedAssetFilter(req.user, { id: req.params.id })).select(LIST_PROJECTION);
+
+    if (!parent) {
+      return res.status(404).json({ message: 'Equipment not found' });
+    }
+
+    const component = await Equipment.findOne(await scopedAssetFilter(req.user, {
+      id: req.params.componentId,
+      parentId: parent.id,
+    }));
+
+    if (!component) {
+      return res.status(404).json({ message: 'Component not found' });
+    }
+
+    const updated = await setComponentParent(component, null, req.user);
+    await logComponentActivity(parent, 'Component Removed', `${component.name} (${component.id})`, req.user);
+
+    res.json(updated);
+  } catch (error) {
+    console.error('Error removing component:', error);
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+});
+
+/**
+ * @route   POST /api/equipment/:id/components/:componentId/replace
+ * @desc    Swap a component for another asset; the old one is detached
+ * @body    { replacementId, notes }
+ * @access  Private (editAssets)
+ */
+router.post('/:id/components/:componentId/replace', protect, checkPermission('editAssets'), async (req, res) => {
+  try {
+    const replacementId = String(req.body.replacementId || '').trim();
+    if (!replacementId) {
+      return res.status(400).json({ message: 'replacementId is required' });
+    }
+
+    const parent = await Equipment.findOne(await scopedAssetFilter(req.user, { id: req.params.id })).select(LIST_PROJECTION);
+
+    if (!parent) {
+      return res.status(404).json({ message: 'Equipment not found' });
+    }
+
+    const [component, replacement] = await Promise.all([
+      Equipment.findOne(await scopedAssetFilter(req.user, { id: req.params.componentId, parentId: parent.id })),
+      Equipment.findOne(await scopedAssetFilter(req.user, { id: replacementId })),
+    ]);
+
+    if (!component) {
+      return res.status(404).json({ message: 'Component not found' });
+    }
+    if (!replacement) {
+      return res.status(404).json({ message: `Replacement asset "${replacementId}" not found` });
+    }
+    if (replacement.parentId === parent.id) {
+      return res.status(400).json({ message: `${replacement.name} is already a component of this asset` });
+    }
+
+    const parentError = await checkParent(replacement.id, parent.id);
+    if (parentError) {
+      return res.status(400).json({ message: parentError });
+    }
+
+    const removed = await setComponentParent(component, null, req.user);
+    const installed = await setComponentParent(replacement, parent.id, req.user);
+
+    const notes = String(req.body.notes || '').trim();
+    await logComponentActivity(
+      parent,
+      'Component Replaced',
+      `${component.name} (${component.id}) replaced by ${replacement.name} (${replacement.id})${notes ? `: ${notes}` : ''}`,
+      req.user
+    );
+
+    res.json({ removed, installed });
+  } catch (error) {
+    console.error('Error replacing component:', error);
+    res.status(400).json({ message: 'Invalid data', error: error.message });
+  }
+});
+
+/**
+ * @route   GET /api/equipment/:id/rollup
+ * @desc    Cost and maintenance of an asset and all of its components
+ * @access  Private (viewReports)
+ */
+router.get('/:id/rollup', protect, checkPermission('viewReports'), async (req, res) => {
+  try {
+    const equipment = await Equipment.findOne(await scopedAssetFilter(req.user, { id: req.params.id })).select('id name category status parentId cost currency');
+
+    if (!equipment) {
+      return res.status(404).json({ message: 'Equipment not found' });
+    }
+
+    res.json({
+      asset: { id: equipment.id, name: equipment.name },
+      ...(await rollUp(equipment)),
+    });
+  } catch (error) {
+    console.error('Error building component roll-up:', error);
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+});
+
+/**
+ * @route   GET /api/equipment/:id/custody
+ * @desc    Get the custody (check-out / check-in) history of an asset
+ * @access  Private (viewAssets)
+ */
+router.get('/:id/custody', protect, checkPermission('viewAssets'), async (req, res) => {
+  try {
+    const equipment = await Equipment.findOne(await scopedAssetFilter(req.user, { id: req.params.id })).select('id currentCustody');
+
+    if (!equipment) {
+      return res.status(404).json({ message: 'Equipment not found' });
+    }
+
+    const history = await Custody.find({ assetId: equipment.id }).sort({ checkedOutAt: -1 });
+    const current = equipment.currentCustody
+      ? history.find(record => record._id.equals(equipment.currentCustody)) || null
+      : null;
+
+    res.json({ current, history });
+  } catch (error) {
+    console.error('Error fetching custody history:', error);
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+});
+
+/**
+ * @route   POST /api/equipment/:id/checkout
+ * @desc    Check an asset out to a user
+ * @body    { assigneeId, expectedReturnDate, condition, notes }
+ * @access  Private (checkOutAssets)
+ */
+router.post('/:id/checkout', protect, checkPermission('checkOutAssets'), async (req, res) => {
+  try {
+    const { assigneeId, expectedReturnDate, condition, notes } = req.body;
+
+    if (!assigneeId || !expectedReturnDate || !condition) {
+      return res.status(400).json({ message: 'Assignee, expected return date and condition are required' });
+    }
+
+    if (!Custody.CONDITIONS.includes(condition)) {
+      return res.status(400).json({ message: `Condition must be one of: ${Custody.CONDITIONS.join(', ')}` });
+    }
+
+    const returnDate = new Date(expectedReturnDate);
+    const today = new Date();
+    today.setHours(0, 0, 0, 0);
+
+    if (isNaN(returnDate.getTime()) || returnDate < today) {
+      return res.status(400).json({ message: 'Expected return date must be today or later' });
+    }
+
+    const equipment = await Equipment.findOne(await scopedAssetFilter(req.user, { id: req.params.id }));
+
+    if (!equipment) {
+      return res.status(404).json({ message: 'Equipment not found' });
+    }
+
+    if (equipment.currentCustody) {
+      return res.status(409).json({ message: 'Equipment is already checked out' });
+    }
+
+    const assignee = await User.findById(assigneeId).catch(() => null);
+
+    if (!assignee || assignee.status !== 'Active') {
+      return res.status(400).json({ message: 'Assignee must be an active user' });
+    }
+
+    const custody = await Custody.create({
+      assetId: equipment.id,
+      assetName: equipment.name,
+      assignee: assignee._id,
+      assigneeName: assignee.name,
+      checkedOutBy: req.user._id,
+      checkedOutByName: req.user.name,
+      checkedOutAt: new Date(),
+      expectedReturnDate: returnDate,
+      conditionOut: condition,
+      checkoutNotes: notes,
+      statusOut: equipment.status,
+    });
+
+    // Claim the asset atomically so two concurrent checkouts cannot both succeed
+    const updated = await Equipment.findOneAndUpdate(
+      { id: equipment.id, currentCustody: null },
+      {
+        currentCustody: custody._id,
+        assignedTo: assignee.name,
+        status: 'In Use',
+        lastModified: new Date(),
+      },
+      { new: true }
+    );
+
+    if (!updated) {
+      await Custody.deleteOne({ _id: custody._id });
+      return res.status(409).json({ message: 'Equipment is already checked out' });
+    }
+
+    // Log activity - attributed to the authenticated user
+    const activity = new Activity({
+      assetName: updated.name,
+      assetId: updated.id,
+      action: `Checked out to ${assignee.name}`,
+      actionType: 'Checked Out',
+      details: `Expected back ${returnDate.toLocaleDateString()} - condition: ${condition}`,
+      user: req.user.name,
+      icon: '📤',
+      date: 'Just now',
+      timestamp: Date.now(),
+    });
+    await activity.save();
+
+    await createCheckoutNotification(updated, custody);
+
+    publishAssetChange('updated', updated.id);
+    await emitEquipmentEvent('equipment.checked_out', updated, { activity, custody });
+
+    res.status(201).json({
+      message: 'Equipment checked out successfully',
+      custody,
+      equipment: updated
+    });
+  } catch (error) {
+    console.error('Error checking out equipment:', error);
+    res.status(400).json({ message: 'Error checking out equipment', error: error.message });
+  }
+});
+
+/**
+ * @route   POST /api/equipment/:id/checkin
+ * @desc    Check a checked out asset back in
+ * @body    { condition, notes }
+ * @access  Private (checkOutAssets)
+ */
+router.post('/:id/checkin', protect, checkPermission('checkOutAssets'), async (req, res) => {
+  try {
+    const { condition, notes } = req.body;
+
+    if (!condition || !Custody.CONDITIONS.includes(condition)) {
+      return res.status(400).json({ message: `Condition must be one of: ${Custody.CONDITIONS.join(', ')}` });
+    }
+
+    const equipment = await Equipment.findOne(await scopedAssetFilter(req.user, { id: req.params.id }));
+
+    if (!equipment) {
+      return res.status(404).json({ message: 'Equipment not found' });
+    }
+
+    if (!equipment.currentCustody) {
+      return res.status(409).json({ message: 'Equipment is not checked out' });
+    }
+
+    // Restore the status from before the checkout (Available for older
+    // records), unless it was changed while the asset was out
+    const openCustody = await Custody.findById(equipment.currentCustody).select('statusOut');
+    const release = {
+      currentCustody: null,
+      assignedTo: '',
+      lastModified: new Date(),
+    };
+
+    // Release the asset atomically so a custody record is only closed once
+    const checkedOut = { id: equipment.id, currentCustody: equipment.currentCustody };
+    const updated = await Equipment.findOneAndUpdate(
+      { ...checkedOut, status: 'In Use' },
+      { ...release, status: openCustody?.statusOut || 'Available' },
+      { new: true }
+    ) || await Equipment.findOneAndUpdate(checkedOut, release, { new: true });
+
+    if (!updated) {
+      return res.status(409).json({ message: 'Equipment is not checked out' });
+    }
+
+    const custody = await Custody.findByIdAndUpdate(
+      equipment.currentCustody,
+      {
+        status: 'Returned',
+        checkedInAt: new Date(),
+        checkedInBy: req.user._id,
+        checkedInByName: req.user.name,
+        conditionIn: condition,
+        checkinNotes: notes,
+      },
+      { new: true }
+    );
+
+    // Log activity - attributed to the authenticated user
+    const activity = new Activity({
+      assetName: updated.name,
+      assetId: updated.id,
+      action: custody ? `Checked in from ${custody.assigneeName}` : 'Checked in',
+      actionType: 'Checked In',
+      details: `Condition: ${condition}${notes ? ` - ${notes}` : ''}`,
+      user: req.user.name,
+      icon: '📥',
+      date: 'Just now',
+      timestamp: Date.now(),
+    });
+    await activity.save();
+
+    publishAssetChange('updated', req.params.id);
+    await emitEquipmentEvent('equipment.checked_in', updated, { activity, custody });
+
+    res.json({
+      message: 'Equipment checked in successfully',
+      custody,
+      equipment: updated
+    });
+  } catch (error) {
+    console.error('Error checking in equipment:', error);
+    res.status(400).json({ message: 'Error checking in equipment', error: error.message });
+  }
+});
+
 module.exports = router;
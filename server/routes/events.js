@@ -0,0 +1,35 @@
+/**
+ * Event Stream Routes
+ *
+ * Server-Sent Events endpoint for real-time notifications and
+ * asset/maintenance changes. See utils/realtime.js for the events.
+ */
+
+const express = require('express');
+const router = express.Router();
+const { protect } = require('../middleware/auth');
+const { addClient } = require('../utils/realtime');
+
+/**
+ * EventSource cannot send headers, so the stream accepts the JWT as a
+ * ?token= query parameter as well as the Authorization header. Opening the
+ * stream is not user activity, so it does not hold off the idle timeout.
+ */
+function tokenFromQuery(req, res, next) {
+  if (!req.headers.authorization && typeof req.query.token === 'string') {
+    req.headers.authorization = `Bearer ${req.query.token}`;
+  }
+  req.backgroundRequest = true;
+  next();
+}
+
+/**
+ * @route   GET /api/events
+ * @desc    Open an event stream (text/event-stream) for the logged-in user
+ * @access  Private
+ */
+router.get('/', tokenFromQuery, protect, (req, res) => {
+  addClient(req, res);
+});
+
+module.exports = router;
@@ -0,0 +1,379 @@
+/**
+ * Import Routes
+ *
+ * Bulk asset import from CSV/XLSX files.
+ * The wizard uploads the same file to each step: parse (headers and a
+ * suggested mapping), preview (per-row validation) and commit. Committed
+ * imports are recorded as batches that can be undone as a unit.
+ */
+
+const express = require('express');
+const router = express.Router();
+const multer = require('multer');
+const path = require('path');
+const Equipment = require('../models/Equipment');
+const Maintenance = require('../models/Maintenance');
+const Custody = require('../models/Custody');
+const Activity = require('../models/Activity');
+const ImportBatch = require('../models/ImportBatch');
+const { protect, checkPermission } = require('../middleware/auth');
+const { createNotification } = require('../utils/notificationHelper');
+const { publishAssetChange, publishMaintenanceChange } = require('../utils/realtime');
+const { OUT_OF_SCOPE_MESSAGE, assetScopeFilter, isAssetInScope } = require('../utils/dataScope');
+const {
+  getImportFields,
+  parseSpreadsheet,
+  suggestMapping,
+  validateRows,
+} = require('../utils/assetImport');
+const {
+  calculateNextMaintenanceDate,
+  buildInitialMaintenance,
+} = require('../utils/maintenanceSchedule');
+
+// Import files are small and only read once, so keep them in memory
+const upload = multer({
+  storage: multer.memoryStorage(),
+  limits: {
+    fileSize: 5 * 1024 * 1024 // 5MB limit
+  },
+  fileFilter: (req, file, cb) => {
+    const extension = path.extname(file.originalname).toLowerCase();
+
+    if (extension === '.csv' || extension === '.xlsx') {
+      return cb(null, true);
+    }
+    cb(new Error('Only .csv and .xlsx files can be imported'));
+  }
+});
+
+/**
+ * Run the upload middleware, answering 400 for rejected files
+ */
+function uploadFile(req, res, next) {
+  upload.single('file')(req, res, (error) => {
+    if (error) {
+      return res.status(400).json({ message: error.message });
+    }
+    if (!req.file) {
+      return res.status(400).json({ message: 'No file uploaded' });
+    }
+    next();
+  });
+}
+
+/**
+ * Parse the uploaded file and validate it against the mapping sent with it.
+ * Rows outside the user's data scope are errors.
+ * @returns {Promise<{ mapping: Object, results: Object[] }>}
+ */
+async function validateUpload(req) {
+  const mapping = typeof req.body.mapping === 'string'
+    ? JSON.parse(req.body.mapping)
+    : req.body.mapping || {};
+
+  const { rows } = await parseSpreadsheet(req.file.buffer, req.file.originalname);
+  const results = await validateRows(rows, mapping);
+
+  for (const result of results) {
+    if (!(await isAssetInScope(req.user, result.data))) {
+      result.errors.push('Department or location is outside the ones you can manage');
+    }
+  }
+
+  return { mapping, results };
+}
+
+/**
+ * Summarize validation results for the preview step
+ */
+function buildPreview(results) {
+  const errorCount = results.filter(r => r.errors.length > 0).length;
+
+  return {
+    totalRows: results.length,
+    validCount: results.length - errorCount,
+    errorCount,
+    rows: results,
+  };
+}
+
+/**
+ * Whether every asset of a batch, including any in the recycle bin, is in
+ * the user's scope
+ * @param {Object} user - req.user
+ * @param {Object} batch - ImportBatch
+ * @returns {Promise<boolean>}
+ */
+async function isBatchInScope(user, batch) {
+  const scopeFilter = await assetScopeFilter(user);
+  if (!scopeFilter) return true;
+
+  const outside = { importBatch: batch._id, $nor: [scopeFilter] };
+  return !(await Equipment.exists(outside))
+    && !(await Equipment.exists({ ...outside, deletedAt: { $ne: null } }));
+}
+
+/**
+ * GET /api/imports
+ * Get recent import batches (users with a data scope see their own imports)
+ */
+router.get('/', protect, checkPermission('importAssets'), async (req, res) => {
+  try {
+    const filter = (await assetScopeFilter(req.user)) ? { createdBy: req.user._id } : {};
+    const batches = await ImportBatch.find(filter)
+      .select('-assetIds')
+      .sort({ createdAt: -1 })
+      .limit(50);
+
+    res.json(batches);
+  } catch (error) {
+    console.error('Error fetching import batches:', error);
+    res.status(500).json({ message: 'Error fetching import batches', error: error.message });
+  }
+});
+
+/**
+ * POST /api/imports/parse
+ * Read the column headers of an uploaded file and suggest a field mapping
+ */
+router.post('/parse', protect, checkPermission('importAssets'), uploadFile, async (req, res) => {
+  try {
+    const { headers, rows } = await parseSpreadsheet(req.file.buffer, req.file.originalname);
+    const fields = await getImportFields();
+
+    res.json({
+      fileName: req.file.originalname,
+      headers,
+      sampleRows: rows.slice(0, 5),
+      totalRows: rows.length,
+      suggestedMapping: suggestMapping(headers, fields),
+      fields,
+    });
+  } catch (error) {
+    console.error('Error parsing import file:', error);
+    res.status(400).json({ message: 'Could not read the import file', error: error.message });
+  }
+});
+
+/**
+ * POST /api/imports/preview
+ * Validate every row of an uploaded file without writing anything
+ */
+router.post('/preview', protect, checkPermission('importAssets'), uploadFile, async (req, res) => {
+  try {
+    const { results } = await validateUpload(req);
+    res.json(buildPreview(results));
+  } catch (error) {
+    console.error('Error previewing import:', error);
+    res.status(400).json({ message: 'Could not validate the import file', error: error.message });
+  }
+});
+
+/**
+ * POST /api/imports/commit
+ * Create assets (and their initial maintenance schedules) from an uploaded file.
+ * Rows with errors block the import unless skipInvalid is set, in which case
+ * only the valid rows are imported. Nothing is kept if any insert fails.
+ */
+router.post('/commit', protect, checkPermission('importAssets'), uploadFile, async (req, res) => {
+  let batch;
+
+  try {
+    const { mapping, results } = await validateUpload(req);
+    const skipInvalid = req.body.skipInvalid === 'true' || req.body.skipInvalid === true;
+    const preview = buildPreview(results);
+
+    if (preview.errorCount > 0 && !skipInvalid) {
+      return res.status(400).json({
+        message: `${preview.errorCount} row(s) have errors. Fix them or choose to skip invalid rows.`,
+        ...preview,
+      });
+    }
+
+    const validRows = results.filter(r => r.errors.length === 0);
+    if (validRows.length === 0) {
+      return res.status(400).json({ message: 'There are no valid rows to import', ...preview });
+    }
+
+    batch = await ImportBatch.create({
+      fileName: req.file.originalname,
+      mapping,
+      skippedRows: preview.errorCount,
+      createdBy: req.user._id,
+      createdByName: req.user.name,
+    });
+
+    // Build asset documents with their first maintenance date already set
+    const now = new Date();
+    const documents = validRows.map(({ data }) => {
+      const nextScheduledMaintenance = calculateNextMaintenanceDate(now, data.maintenancePeriod);
+      let maintenanceStatus = 'Not Scheduled';
+
+      if (nextScheduledMaintenance) {
+        const daysUntilMaintenance = Math.ceil((nextScheduledMaintenance - now) / (1000 * 60 * 60 * 24));
+        maintenanceStatus = daysUntilMaintenance <= 7 ? 'Due Soon' : 'Up to Date';
+      }
+
+      return {
+        ...data,
+        nextScheduledMaintenance,
+        maintenanceStatus,
+        importBatch: batch._id,
+      };
+    });
+
+    let assets;
+    let maintenanceRecords;
+    try {
+      assets = await Equipment.insertMany(documents, { ordered: true });
+      maintenanceRecords = await Maintenance.insertMany(
+        assets
+          .map(buildInitialMaintenance)
+          .filter(Boolean)
+          .map(record => ({ ...record, importBatch: batch._id })),
+        { ordered: true }
+      );
+    } catch (error) {
+      // Roll back whatever part of the batch was written
+      await Equipment.deleteMany({ importBatch: batch._id });
+      await Maintenance.deleteMany({ importBatch: batch._id });
+      await ImportBatch.deleteOne({ _id: batch._id });
+      batch = null;
+      throw error;
+    }
+
+    // Log activity - attributed to the authenticated user
+    await Activity.insertMany(assets.map(asset => ({
+      assetName: asset.name,
+      assetId: asset.id,
+      action: 'Added',
+      actionType: 'Added',
+      user: req.user.name,
+      icon: '📦',
+      date: 'Just now',
+      timestamp: Date.now(),
+      details: `Imported from ${batch.fileName}`,
+    })));
+
+    // One summary notification rather than one per asset
+    await createNotification({
+      type: 'info',
+      title: 'Assets Imported',
+      message: `${req.user.name} imported ${assets.length} asset(s) from ${batch.fileName}`,
+      priority: 'low',
+      actionUrl: '/assets',
+    });
+
+    batch.status = 'Committed';
+    batch.assetIds = assets.map(asset => asset.id);
+    batch.assetCount = assets.length;
+    batch.maintenanceCount = maintenanceRecords.length;
+    await batch.save();
+
+    publishAssetChange('bulk');
+    publishMaintenanceChange('bulk');
+
+    res.status(201).json(batch);
+  } catch (error) {
+    console.error('Error committing import:', error);
+
+    if (batch) {
+      // Assets were written; only the follow-up steps failed
+      return res.status(500).json({ message: 'Assets were imported but the import could not be completed', error: error.message });
+    }
+    if (error.code === 11000) {
+      return res.status(400).json({ message: 'An asset ID in the file already exists', error: error.message });
+    }
+    res.status(400).json({ message: 'Error importing assets', error: error.message });
+  }
+});
+
+/**
+ * Imported assets that gained history after the import: maintenance records
+ * the import did not create, custody records or documents
+ * @param {Object} batch - ImportBatch
+ * @param {Array<Object>} assets - The batch's assets (live and in the recycle bin)
+ * @returns {Promise<Array<string>>} Asset IDs
+ */
+async function findAssetsWithHistory(batch, assets) {
+  const assetIds = assets.map(asset => asset.id);
+  const laterMaintenance = { assetId: { $in: assetIds }, importBatch: { $ne: batch._id } };
+
+  const withHistory = new Set([
+    ...assets.filter(asset => asset.attachedFiles.length > 0).map(asset => asset.id),
+    ...await Maintenance.distinct('assetId', laterMaintenance),
+    ...await Maintenance.distinct('assetId', { ...laterMaintenance, deletedAt: { $ne: null } }),
+    ...await Custody.distinct('assetId', { assetId: { $in: assetIds } }),
+  ]);
+  return assetIds.filter(id => withHistory.has(id));
+}
+
+/**
+ * POST /api/imports/:id/undo
+ * Permanently delete every asset created by an import (including any in the
+ * recycle bin) with the maintenance records the import created. Refused
+ * while any of the assets has history from after the import.
+ */
+router.post('/:id/undo', protect, checkPermission('importAssets'), async (req, res) => {
+  try {
+    const batch = await ImportBatch.findById(req.params.id);
+
+    if (!batch) {
+      return res.status(404).json({ message: 'Import not found' });
+    }
+
+    if (batch.status !== 'Committed') {
+      return res.status(400).json({ message: `Import is ${batch.status.toLowerCase()} and cannot be undone` });
+    }
+
+    if (!(await isBatchInScope(req.user, batch))) {
+      return res.status(403).json({ message: OUT_OF_SCOPE_MESSAGE });
+    }
+
+    const fields = 'id name attachedFiles._id';
+    const assets = await Equipment.find({ importBatch: batch._id }).select(fields);
+    const deletedAssets = await Equipment.find({ importBatch: batch._id, deletedAt: { $ne: null } }).select(fields);
+
+    // Undoing must not take maintenance, custody or documents logged since with it
+    const withHistory = await findAssetsWithHistory(batch, [...assets, ...deletedAssets]);
+    if (withHistory.length > 0) {
+      return res.status(409).json({
+        message: `${withHistory.join(', ')} ${withHistory.length === 1 ? 'has' : 'have'} maintenance, custody or documents added since the import; delete ${withHistory.length === 1 ? 'it' : 'them'} individually instead`,
+        assetIds: withHistory,
+      });
+    }
+
+    const assetIds = [...assets, ...deletedAssets].map(asset => asset.id);
+    await Maintenance.deleteMany({ importBatch: batch._id });
+    await Equipment.updateMany({ parentId: { $in: assetIds }, importBatch: { $ne: batch._id } }, { parentId: null });
+    await Equipment.deleteMany({ importBatch: batch._id });
+
+    await Activity.insertMany(assets.map(asset => ({
+      assetName: asset.name,
+      assetId: asset.id,
+      action: 'Deleted',
+      actionType: 'Deleted',
+      user: req.user.name,
+      icon: '🗑️',
+      date: 'Just now',
+      timestamp: Date.now(),
+      details: `Import of ${batch.fileName} undone`,
+    })));
+
+    batch.status = 'Undone';
+    batch.undoneAt = new Date();
+    batch.undoneByName = req.user.name;
+    await batch.save();
+
+    publishAssetChange('bulk');
+    publishMaintenanceChange('bulk');
+
+    res.json({ message: `Removed ${assetIds.length} imported asset(s)`, batch });
+  } catch (error) {
+    console.error('Error undoing import:', error);
+    res.status(500).json({ message: 'Error undoing import', error: error.message });
+  }
+});
+
+module.exports = router;
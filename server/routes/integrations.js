@@ -0,0 +1,218 @@
+/**
+ * Integration Routes
+ *
+ * API endpoints for the Slack and Microsoft Teams integrations: webhook
+ * URLs, which notification events go to each channel, test messages and the
+ * delivery log. Messages are built and posted by utils/chatIntegrations.js.
+ */
+
+const express = require('express');
+const router = express.Router();
+const Settings = require('../models/Settings');
+const Equipment = require('../models/Equipment');
+const Tag = require('../models/Tag');
+const WebhookDelivery = require('../models/WebhookDelivery');
+const { protect, checkPermission } = require('../middleware/auth');
+const { CHANNELS, CHAT_EVENTS, sendTestMessage } = require('../utils/chatIntegrations');
+const { processDeliveries } = require('../utils/webhookQueue');
+
+/**
+ * Whether a string is an http(s) URL
+ */
+function isWebhookUrl(value) {
+  try {
+    const url = new URL(value);
+    return url.protocol === 'https:' || url.protocol === 'http:';
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Integration settings as returned by the API
+ */
+function toClientIntegrations(settings) {
+  const integrations = settings.integrations?.toObject
+    ? settings.integrations.toObject()
+    : settings.integrations || {};
+
+  return {
+    slack: integrations.slack,
+    teams: integrations.teams,
+    routes: integrations.routes,
+    statusChangeStatuses: integrations.statusChangeStatuses || [],
+  };
+}
+
+/**
+ * @route   GET /api/integrations
+ * @desc    Slack/Teams settings, routing rules, the events that can be routed and the known asset statuses
+ * @access  Private (viewSettings)
+ */
+router.get('/', protect, checkPermission('viewSettings'), async (req, res) => {
+  try {
+    const settings = await Settings.findOne({ isSingleton: true }).select('integrations');
+    if (!settings) {
+      return res.status(404).json({ message: 'Settings not found' });
+    }
+
+    const [statusTags, assetStatuses] = await Promise.all([
+      Tag.find({ category: 'Status' }).select('name'),
+      Equipment.distinct('status'),
+    ]);
+    const statuses = [...new Set([
+      ...statusTags.map(tag => tag.name),
+      ...assetStatuses,
+      ...(settings.integrations.statusChangeStatuses || []),
+    ])].filter(Boolean).sort();
+
+    res.json({
+      ...toClientIntegrations(settings),
+      events: Object.entries(CHAT_EVENTS).map(([key, event]) => ({ key, ...event })),
+      statuses,
+    });
+  } catch (error) {
+    console.error('Error fetching integrations:', error);
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+});
+
+/**
+ * @route   PUT /api/integrations
+ * @desc    Update Slack/Teams settings. Body: { slack: { enabled, webhookUrl }, teams: {...},
+ *          routes: { <event>: { slack, teams } }, statusChangeStatuses: [...] }; only the parts sent change.
+ * @access  Private (editSettings)
+ */
+router.put('/', protect, checkPermission('editSettings'), async (req, res) => {
+  try {
+    const settings = await Settings.findOne({ isSingleton: true });
+    if (!settings) {
+      return res.status(404).json({ message: 'Settings not found' });
+    }
+
+    for (const channel of CHANNELS) {
+      const update = req.body[channel];
+      if (!update) continue;
+
+      if (update.webhookUrl !== undefined) {
+        const webhookUrl = String(update.webhookUrl || '').trim();
+        if (webhookUrl && !isWebhookUrl(webhookUrl)) {
+          return res.status(400).json({ message: `The ${channel} webhook URL must be an http(s) URL` });
+        }
+        settings.set(`integrations.${channel}.webhookUrl`, webhookUrl);
+      }
+      if (update.enabled !== undefined) {
+        settings.set(`integrations.${channel}.enabled`, Boolean(update.enabled));
+      }
+      if (settings.integrations[channel].enabled && !settings.integrations[channel].webhookUrl) {
+        return res.status(400).json({ message: `Set the ${channel} webhook URL before turning it on` });
+      }
+    }
+
+    Object.entries(req.body.routes || {}).forEach(([event, channels]) => {
+      if (!CHAT_EVENTS[event]) return;
+      CHANNELS.forEach(channel => {
+        if (channels?.[channel] !== undefined) {
+          settings.set(`integrations.routes.${event}.${channel}`, Boolean(channels[channel]));
+        }
+      });
+    });
+
+    if (Array.isArray(req.body.statusChangeStatuses)) {
+      settings.set(
+        'integrations.statusChangeStatuses',
+        req.body.statusChangeStatuses.map(status => String(status).trim()).filter(Boolean)
+      );
+    }
+
+    await settings.save();
+
+    res.json(toClientIntegrations(settings));
+  } catch (error) {
+    console.error('Error updating integrations:', error);
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+});
+
+/**
+ * @route   POST /api/integrations/:channel/test
+ * @desc    Post a test message to the channel's webhook (body webhookUrl, default: the saved one)
+ * @access  Private (editSettings)
+ */
+router.post('/:channel/test', protect, checkPermission('editSettings'), async (req, res) => {
+  try {
+    const { channel } = req.params;
+    if (!CHANNELS.includes(channel)) {
+      return res.status(404).json({ message: 'Integration not found' });
+    }
+
+    const webhookUrl = req.body.webhookUrl ? String(req.body.webhookUrl).trim() : undefined;
+    if (webhookUrl && !isWebhookUrl(webhookUrl)) {
+      return res.status(400).json({ message: 'The webhook URL must be an http(s) URL' });
+    }
+
+    const status = await sendTestMessage(channel, webhookUrl);
+
+    res.json({ message: 'Test message sent', status });
+  } catch (error) {
+    console.error('Error sending test message:', error);
+    res.status(502).json({
+      message: `Test message failed: ${error.message}`,
+      error: error.message
+    });
+  }
+});
+
+/**
+ * @route   GET /api/integrations/deliveries
+ * @desc    Slack/Teams delivery log, newest first. Filter with channel and status; limit defaults to 20 (max 100).
+ * @access  Private (viewSettings)
+ */
+router.get('/deliveries', protect, checkPermission('viewSettings'), async (req, res) => {
+  try {
+    const filter = {
+      channel: CHANNELS.includes(req.query.channel) ? req.query.channel : { $in: CHANNELS },
+    };
+    if (req.query.status) {
+      filter.status = req.query.status;
+    }
+
+    const deliveries = await WebhookDelivery.find(filter)
+      .select('-payload -url')
+      .sort({ createdAt: -1 })
+      .limit(Math.min(parseInt(req.query.limit, 10) || 20, 100));
+
+    res.json(deliveries);
+  } catch (error) {
+    console.error('Error fetching webhook deliveries:', error);
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+});
+
+/**
+ * @route   POST /api/integrations/deliveries/:id/retry
+ * @desc    Queue a failed delivery again and post it now
+ * @access  Private (editSettings)
+ */
+router.post('/deliveries/:id/retry', protect, checkPermission('editSettings'), async (req, res) => {
+  try {
+    const delivery = await WebhookDelivery.findOneAndUpdate(
+      { _id: req.params.id, channel: { $in: CHANNELS }, status: 'Failed' },
+      { $set: { status: 'Pending', nextAttemptAt: new Date(), attempts: 0 } },
+      { new: true }
+    );
+    if (!delivery) {
+      return res.status(404).json({ message: 'Failed delivery not found' });
+    }
+
+    await processDeliveries();
+
+    const updated = await WebhookDelivery.findById(delivery._id).select('-payload -url');
+    res.json(updated);
+  } catch (error) {
+    console.error('Error retrying webhook delivery:', error);
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+});
+
+module.exports = router;
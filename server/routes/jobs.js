@@ -0,0 +1,104 @@
+/**
+ * Scheduled Job Routes
+ *
+ * API endpoints for the in-process job scheduler: list the jobs with their
+ * schedules and last run, browse the run history, and run a job now.
+ * Schedules are edited through PUT /api/settings (jobSchedules).
+ */
+
+const express = require('express');
+const router = express.Router();
+const Settings = require('../models/Settings');
+const JobRun = require('../models/JobRun');
+const { protect, checkPermission } = require('../middleware/auth');
+const { JOBS, runJob, getJobSchedule, getNextRun } = require('../utils/scheduler');
+
+/**
+ * @route   GET /api/jobs
+ * @desc    List scheduled jobs with their schedule, next run (on this instance) and last run
+ * @access  Private (viewSettings)
+ */
+router.get('/', protect, checkPermission('viewSettings'), async (req, res) => {
+  try {
+    const settings = await Settings.findOne({ isSingleton: true }).select('jobSchedules');
+
+    const jobs = await Promise.all(Object.entries(JOBS).map(async ([name, job]) => {
+      const lastRun = await JobRun.findOne({ job: name }).sort({ startedAt: -1 });
+      return {
+        name,
+        label: job.label,
+        description: job.description,
+        schedule: getJobSchedule(settings, name),
+        nextRun: getNextRun(name),
+        lastRun,
+      };
+    }));
+
+    res.json(jobs);
+  } catch (error) {
+    console.error('Error fetching jobs:', error);
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+});
+
+/**
+ * @route   GET /api/jobs/runs
+ * @desc    Job run history, newest first. Filter with job; paged with page and pageSize (max 100).
+ * @access  Private (viewSettings)
+ */
+router.get('/runs', protect, checkPermission('viewSettings'), async (req, res) => {
+  try {
+    const filter = {};
+    if (req.query.job) {
+      filter.job = req.query.job;
+    }
+
+    const page = Math.max(parseInt(req.query.page, 10) || 1, 1);
+    const pageSize = Math.min(Math.max(parseInt(req.query.pageSize, 10) || 20, 1), 100);
+
+    const [items, total] = await Promise.all([
+      JobRun.find(filter)
+        .sort({ startedAt: -1 })
+        .skip((page - 1) * pageSize)
+        .limit(pageSize),
+      JobRun.countDocuments(filter),
+    ]);
+
+    res.json({
+      items,
+      total,
+      page,
+      pageSize,
+      totalPages: Math.max(Math.ceil(total / pageSize), 1),
+    });
+  } catch (error) {
+    console.error('Error fetching job runs:', error);
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+});
+
+/**
+ * @route   POST /api/jobs/:name/run
+ * @desc    Run a job now and return the recorded run (409 if it is already running)
+ * @access  Private (editSettings)
+ */
+router.post('/:name/run', protect, checkPermission('editSettings'), async (req, res) => {
+  try {
+    if (!JOBS[req.params.name]) {
+      return res.status(404).json({ message: 'Job not found' });
+    }
+
+    const run = await runJob(req.params.name, { trigger: 'manual', user: req.user });
+
+    if (!run) {
+      return res.status(409).json({ message: `${JOBS[req.params.name].label} is already running` });
+    }
+
+    res.json(run);
+  } catch (error) {
+    console.error('Error running job:', error);
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,293 @@
+/**
+ * Location Routes
+ *
+ * API endpoints for the location tree (sites, buildings, floors, rooms).
+ * Listing returns every node with asset counts and values rolled up over its
+ * subtree; moving a node moves its whole subtree, and renaming it renames it
+ * on its assets and in data scopes. Locations are managed with the tag
+ * permissions.
+ */
+
+const express = require('express');
+const router = express.Router();
+const mongoose = require('mongoose');
+const Location = require('../models/Location');
+const Equipment = require('../models/Equipment');
+const Settings = require('../models/Settings');
+const Role = require('../models/Role');
+const User = require('../models/User');
+const { protect, checkPermission } = require('../middleware/auth');
+const { scopedAssetFilter } = require('../utils/dataScope');
+const { clearRoleCache } = require('../utils/roles');
+
+const ADDRESS_FIELDS = ['street', 'city', 'state', 'postalCode', 'country'];
+
+/**
+ * Check a create or update body and turn it into location fields
+ * (the parent is checked separately, since it depends on the tree)
+ * @param {Object} body - Request body
+ * @param {boolean} isNew - Whether name and code are required
+ * @returns {{ error: string|null, fields: Object }}
+ */
+function parseLocation(body, isNew) {
+  const fields = {};
+
+  for (const key of ['name', 'code']) {
+    if (isNew || body[key] !== undefined) {
+      fields[key] = String(body[key] || '').trim();
+      if (!fields[key]) {
+        return { error: `Location ${key} is required`, fields };
+      }
+    }
+  }
+  if (fields.code !== undefined) {
+    fields.code = fields.code.toUpperCase();
+  }
+
+  if (body.type !== undefined) {
+    if (!Location.TYPES.includes(body.type)) {
+      return { error: `Location type must be one of ${Location.TYPES.join(', ')}`, fields };
+    }
+    fields.type = body.type;
+  }
+
+  if (body.address !== undefined) {
+    const address = body.address || {};
+    fields.address = {};
+    ADDRESS_FIELDS.forEach((key) => {
+      fields.address[key] = String(address[key] || '').trim();
+    });
+  }
+
+  if (body.description !== undefined) {
+    fields.description = String(body.description || '').trim();
+  }
+
+  return { error: null, fields };
+}
+
+/**
+ * Load a would-be parent and work out the ancestors of its children
+ * @param {string|null} parentId - Parent location ID, or empty for a root
+ * @returns {Promise<{ error: string|null, parent: Object|null, ancestors: Array }>}
+ */
+async function resolveParent(parentId) {
+  if (!parentId) return { error: null, parent: null, ancestors: [] };
+
+  const parent = mongoose.isValidObjectId(parentId) ? await Location.findById(parentId) : null;
+  if (!parent) {
+    return { error: 'Parent location not found', parent: null, ancestors: [] };
+  }
+  return { error: null, parent, ancestors: [...parent.ancestors, parent._id] };
+}
+
+/**
+ * Add an amount to a per-currency total
+ */
+function addValue(totals, currency, amount) {
+  totals[currency] = Math.round(((totals[currency] || 0) + amount) * 100) / 100;
+}
+
+/**
+ * @route   GET /api/locations
+ * @desc    Get the location tree as a flat list (parent and ancestors link the
+ *          nodes), each with assetCount (assets placed directly there),
+ *          totalAssetCount and totalValue (per currency) for its whole subtree,
+ *          plus the same figures for assets without a location node.
+ *          Only assets in the user's data scope are counted.
+ * @access  Private (viewAssets)
+ */
+router.get('/', protect, checkPermission('viewAssets'), async (req, res) => {
+  try {
+    const [locations, stats, settings] = await Promise.all([
+      Location.find().sort({ name: 1 }).lean(),
+      Equipment.aggregate([
+        { $match: await scopedAssetFilter(req.user, {}) },
+        {
+          $group: {
+            _id: { locationId: '$locationId', currency: '$currency' },
+            count: { $sum: 1 },
+            value: { $sum: { $ifNull: ['$cost', 0] } },
+          },
+        },
+      ]),
+      Settings.findOne({ isSingleton: true }),
+    ]);
+    const defaultCurrency = settings?.defaultCurrency || 'USD';
+
+    const byId = new Map();
+    locations.forEach((location) => {
+      byId.set(location._id.toString(), Object.assign(location, {
+        assetCount: 0,
+        totalAssetCount: 0,
+        totalValue: {},
+      }));
+    });
+    const unassigned = { assetCount: 0, totalValue: {} };
+
+    // Count each group on its own node and on every node above it
+    stats.forEach(({ _id, count, value }) => {
+      const currency = _id.currency || defaultCurrency;
+      const location = _id.locationId && byId.get(_id.locationId.toString());
+      if (!location) {
+        unassigned.assetCount += count;
+        addValue(unassigned.totalValue, currency, value);
+        return;
+      }
+
+      location.assetCount += count;
+      [...location.ancestors.map(id => byId.get(id.toString())), location]
+        .filter(Boolean)
+        .forEach((node) => {
+          node.totalAssetCount += count;
+          addValue(node.totalValue, currency, value);
+        });
+    });
+
+    res.json({ locations, unassigned });
+  } catch (error) {
+    console.error('Error fetching locations:', error);
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+});
+
+/**
+ * @route   POST /api/locations
+ * @desc    Create a location: { name, code, type, parent, address, description }
+ * @access  Private (createTags)
+ */
+router.post('/', protect, checkPermission('createTags'), async (req, res) => {
+  try {
+    const { error, fields } = parseLocation(req.body, true);
+    if (error) {
+      return res.status(400).json({ message: error });
+    }
+
+    const { error: parentError, parent, ancestors } = await resolveParent(req.body.parent);
+    if (parentError) {
+      return res.status(400).json({ message: parentError });
+    }
+
+    const location = await Location.create({ ...fields, parent: parent?._id || null, ancestors });
+    res.status(201).json(location);
+  } catch (error) {
+    console.error('Error creating location:', error);
+    if (error.code === 11000) {
+      return res.status(400).json({ message: 'Location code already exists' });
+    }
+    res.status(400).json({ message: 'Invalid data', error: error.message });
+  }
+});
+
+/**
+ * @route   PUT /api/locations/:id
+ * @desc    Update a location. Changing parent moves the whole subtree;
+ *          renaming updates its assets and data scopes.
+ * @access  Private (editTags)
+ */
+router.put('/:id', protect, checkPermission('editTags'), async (req, res) => {
+  try {
+    const location = mongoose.isValidObjectId(req.params.id) ? await Location.findById(req.params.id) : null;
+    if (!location) {
+      return res.status(404).json({ message: 'Location not found' });
+    }
+
+    const { error, fields } = parseLocation(req.body, false);
+    if (error) {
+      return res.status(400).json({ message: error });
+    }
+
+    const oldName = location.name;
+    const oldAncestors = location.ancestors;
+    let moved = false;
+
+    if (req.body.parent !== undefined && String(req.body.parent || '') !== String(location.parent || '')) {
+      const { error: parentError, parent, ancestors } = await resolveParent(req.body.parent);
+      if (parentError) {
+        return res.status(400).json({ message: parentError });
+      }
+      if (ancestors.some(id => id.equals(location._id))) {
+        return res.status(400).json({ message: 'A location cannot be moved under itself or one of its sub-locations' });
+      }
+      fields.parent = parent?._id || null;
+      fields.ancestors = ancestors;
+      moved = true;
+    }
+
+    location.set(fields);
+    await location.save();
+
+    // Re-root the ancestors of everything beneath a moved location
+    if (moved) {
+      const descendants = await Location.find({ ancestors: location._id }).select('ancestors');
+      if (descendants.length > 0) {
+        await Location.bulkWrite(descendants.map(descendant => ({
+          updateOne: {
+            filter: { _id: descendant._id },
+            update: {
+              $set: {
+                ancestors: [...location.ancestors, ...descendant.ancestors.slice(oldAncestors.length)],
+              },
+            },
+          },
+        })));
+      }
+    }
+
+    if (location.name !== oldName) {
+      await Equipment.updateMany({ locationId: location._id }, { location: location.name });
+
+      // Data scopes list locations by name; follow the rename unless
+      // another location still has the old name
+      if (!(await Location.exists({ name: oldName }))) {
+        const rename = { $set: { 'dataScope.locations.$': location.name } };
+        await Promise.all([
+          Role.updateMany({ 'dataScope.locations': oldName }, rename),
+          User.updateMany({ 'dataScope.locations': oldName }, rename),
+        ]);
+        clearRoleCache();
+      }
+    }
+
+    res.json(location);
+  } catch (error) {
+    console.error('Error updating location:', error);
+    if (error.code === 11000) {
+      return res.status(400).json({ message: 'Location code already exists' });
+    }
+    res.status(400).json({ message: 'Invalid data', error: error.message });
+  }
+});
+
+/**
+ * @route   DELETE /api/locations/:id
+ * @desc    Delete a location that has no sub-locations and no assets
+ * @access  Private (deleteTags)
+ */
+router.delete('/:id', protect, checkPermission('deleteTags'), async (req, res) => {
+  try {
+    const location = mongoose.isValidObjectId(req.params.id) ? await Location.findById(req.params.id) : null;
+    if (!location) {
+      return res.status(404).json({ message: 'Location not found' });
+    }
+
+    const [children, assets] = await Promise.all([
+      Location.countDocuments({ parent: location._id }),
+      Equipment.countDocuments({ locationId: location._id }),
+    ]);
+    if (children > 0) {
+      return res.status(409).json({ message: `Location has ${children} sub-location(s); move or delete them first` });
+    }
+    if (assets > 0) {
+      return res.status(409).json({ message: `Location has ${assets} asset(s); move them first` });
+    }
+
+    await location.deleteOne();
+    res.json({ message: 'Location deleted successfully', location });
+  } catch (error) {
+    console.error('Error deleting location:', error);
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+});
+
+module.exports = router;
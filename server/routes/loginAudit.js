@@ -0,0 +1,69 @@
+/**
+ * Login Audit Routes
+ *
+ * API endpoint for the sign-in attempt history administrators review:
+ * successful and failed logins with their IP address and user agent.
+ */
+
+const express = require('express');
+const router = express.Router();
+const LoginAttempt = require('../models/LoginAttempt');
+const { protect, authorize } = require('../middleware/auth');
+const { escapeRegex } = require('../utils/regex');
+
+/**
+ * @route   GET /api/login-audit
+ * @desc    Sign-in attempts, newest first. Filter with email (partial match),
+ *          ip, success (true/false), from and to (dates); paged with page and
+ *          pageSize (max 100).
+ * @access  Private (Administrator)
+ */
+router.get('/', protect, authorize('Administrator'), async (req, res) => {
+  try {
+    const { email, ip, success, from, to } = req.query;
+
+    const filter = {};
+    if (email) {
+      filter.email = { $regex: escapeRegex(String(email).toLowerCase()) };
+    }
+    if (ip) {
+      filter.ip = String(ip);
+    }
+    if (success === 'true' || success === 'false') {
+      filter.success = success === 'true';
+    }
+    if (from || to) {
+      filter.createdAt = {};
+      if (from) filter.createdAt.$gte = new Date(from);
+      if (to) filter.createdAt.$lte = new Date(to);
+      if (Object.values(filter.createdAt).some(date => Number.isNaN(date.getTime()))) {
+        return res.status(400).json({ message: 'Invalid date range' });
+      }
+    }
+
+    const page = Math.max(parseInt(req.query.page, 10) || 1, 1);
+    const pageSize = Math.min(Math.max(parseInt(req.query.pageSize, 10) || 20, 1), 100);
+
+    const [items, total] = await Promise.all([
+      LoginAttempt.find(filter)
+        .populate('user', 'name email')
+        .sort({ createdAt: -1 })
+        .skip((page - 1) * pageSize)
+        .limit(pageSize),
+      LoginAttempt.countDocuments(filter),
+    ]);
+
+    res.json({
+      items,
+      total,
+      page,
+      pageSize,
+      totalPages: Math.max(Math.ceil(total / pageSize), 1),
+    });
+  } catch (error) {
+    console.error('Error fetching login audit:', error);
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+});
+
+module.exports = router;
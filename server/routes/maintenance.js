@@ -2,13 +2,26 @@
  * Maintenance Routes
  * 
  * API endpoints for maintenance record management.
- * Provides CRUD operations for maintenance history tracking.
+ * Provides CRUD operations for maintenance history tracking. Records are
+ * limited to the assets in the user's data scope (utils/dataScope.js).
  */
 
 const express = require('express');
 const router = express.Router();
 const Maintenance = require('../models/Maintenance');
 const Equipment = require('../models/Equipment');
+const { protect, authorize, checkPermission } = require('../middleware/auth');
+const { recordChanges } = require('../utils/changeLog');
+const { updateAssetMaintenanceStatus, markOverdueMaintenance } = require('../utils/maintenanceSchedule');
+const { REPAIR_SERVICE_TYPES, isUnderWarranty } = require('../utils/warranty');
+const { createWarrantyRepairNotification } = require('../utils/notificationHelper');
+const { publishMaintenanceChange } = require('../utils/realtime');
+const { emitMaintenanceEvent } = require('../utils/webhooks');
+const { OUT_OF_SCOPE_MESSAGE, scopedMaintenanceFilter, isAssetIdInScope } = require('../utils/dataScope');
+const { SOFT_DELETE_FIELDS } = require('../utils/softDelete');
+
+// Fields only the recycle bin and the import rollback maintain
+const PROTECTED_FIELDS = [...SOFT_DELETE_FIELDS, 'importBatch'];
 
 /**
  * Helper function to calculate next maintenance date based on period
@@ -46,50 +59,11 @@ function calculateNextMaintenanceDate(lastDate, period) {
   return date;
 }
 
-/**
- * Helper function to update asset maintenance status
- */
-async function updateAssetMaintenanceStatus(assetId) {
-  try {
-    const asset = await Equipment.findOne({ id: assetId });
-    if (!asset) return;
-
-    const now = new Date();
-    const nextMaintenance = asset.nextScheduledMaintenance;
-
-    if (!nextMaintenance) {
-      asset.maintenanceStatus = 'Not Scheduled';
-    } else {
-      const daysUntilMaintenance = Math.ceil((nextMaintenance - now) / (1000 * 60 * 60 * 24));
-      
-      // Check for in-progress maintenance
-      const inProgressMaintenance = await Maintenance.findOne({
-        assetId: assetId,
-        status: 'In Progress'
-      });
-
-      if (inProgressMaintenance) {
-        asset.maintenanceStatus = 'In Progress';
-      } else if (daysUntilMaintenance < 0) {
-        asset.maintenanceStatus = 'Overdue';
-      } else if (daysUntilMaintenance <= 7) {
-        asset.maintenanceStatus = 'Due Soon';
-      } else {
-        asset.maintenanceStatus = 'Up to Date';
-      }
-    }
-
-    await asset.save();
-  } catch (error) {
-    console.error('Error updating asset maintenance status:', error);
-  }
-}
-
 /**
  * GET /api/maintenance
  * Get all maintenance records or filter by assetId
  */
-router.get('/', async (req, res) => {
+router.get('/', protect, checkPermission('viewMaintenance'), async (req, res) => {
   try {
     const { assetId, status, serviceType, limit } = req.query;
     let query = {};
@@ -110,7 +84,7 @@ router.get('/', async (req, res) => {
     }
 
     // Build the query with optional limit
-    let maintenanceQuery = Maintenance.find(query).sort({ date: -1 });
+    let maintenanceQuery = Maintenance.find(await scopedMaintenanceFilter(req.user, query)).sort({ date: -1 });
 
     if (limit) {
       maintenanceQuery = maintenanceQuery.limit(parseInt(limit));
@@ -132,9 +106,9 @@ router.get('/', async (req, res) => {
  * GET /api/maintenance/:id
  * Get a single maintenance record by ID
  */
-router.get('/:id', async (req, res) => {
+router.get('/:id', protect, checkPermission('viewMaintenance'), async (req, res) => {
   try {
-    const maintenance = await Maintenance.findById(req.params.id);
+    const maintenance = await Maintenance.findOne(await scopedMaintenanceFilter(req.user, { _id: req.params.id }));
 
     if (!maintenance) {
       return res.status(404).json({ message: 'Maintenance record not found' });
@@ -150,18 +124,50 @@ router.get('/:id', async (req, res) => {
   }
 });
 
+/**
+ * Flag a new repair record as covered when the asset's warranty covers its date.
+ * Returns the asset when the record was flagged, so the caller can notify once saved.
+ */
+async function applyWarrantyCoverage(maintenance, asset) {
+  maintenance.warrantyCovered = false;
+  maintenance.warrantyProvider = undefined;
+
+  if (!REPAIR_SERVICE_TYPES.includes(maintenance.serviceType)) return null;
+
+  asset = asset || await Equipment.findOne({ id: maintenance.assetId });
+  const repairDate = maintenance.scheduledDate || maintenance.date || new Date();
+  if (!asset || !isUnderWarranty(asset, repairDate)) return null;
+
+  maintenance.warrantyCovered = true;
+  maintenance.warrantyProvider = asset.warrantyProvider;
+  return asset;
+}
+
 /**
  * POST /api/maintenance
- * Create a new maintenance record
+ * Create a new maintenance record.
+ * Repairs on an asset under warranty are flagged with warrantyCovered.
  */
-router.post('/', async (req, res) => {
+router.post('/', protect, checkPermission('createMaintenance'), async (req, res) => {
   try {
-    const maintenanceData = req.body;
+    const maintenanceData = { ...req.body };
+    PROTECTED_FIELDS.forEach(field => delete maintenanceData[field]);
+    if (!(await isAssetIdInScope(req.user, maintenanceData.assetId))) {
+      return res.status(403).json({ message: OUT_OF_SCOPE_MESSAGE });
+    }
 
     // Create new maintenance record
     const newMaintenance = new Maintenance(maintenanceData);
+    const coveredAsset = await applyWarrantyCoverage(newMaintenance);
     await newMaintenance.save();
 
+    if (coveredAsset) {
+      await createWarrantyRepairNotification(coveredAsset, newMaintenance);
+    }
+
+    publishMaintenanceChange('created', newMaintenance);
+    await emitMaintenanceEvent('maintenance.created', newMaintenance);
+
     res.status(201).json(newMaintenance);
   } catch (error) {
     console.error('Error creating maintenance record:', error);
@@ -184,10 +190,22 @@ router.post('/', async (req, res) => {
  * PUT /api/maintenance/:id
  * Update an existing maintenance record
  */
-router.put('/:id', async (req, res) => {
+router.put('/:id', protect, checkPermission('editMaintenance'), async (req, res) => {
   try {
     const maintenanceId = req.params.id;
-    const updates = req.body;
+    const updates = { ...req.body };
+    PROTECTED_FIELDS.forEach(field => delete updates[field]);
+
+    const existingMaintenance = await Maintenance.findOne(await scopedMaintenanceFilter(req.user, { _id: maintenanceId }));
+
+    if (!existingMaintenance) {
+      return res.status(404).json({ message: 'Maintenance record not found' });
+    }
+
+    if (updates.assetId && updates.assetId !== existingMaintenance.assetId
+      && !(await isAssetIdInScope(req.user, updates.assetId))) {
+      return res.status(403).json({ message: OUT_OF_SCOPE_MESSAGE });
+    }
 
     const updatedMaintenance = await Maintenance.findByIdAndUpdate(
       maintenanceId,
@@ -195,9 +213,20 @@ router.put('/:id', async (req, res) => {
       { new: true, runValidators: true }
     );
 
-    if (!updatedMaintenance) {
-      return res.status(404).json({ message: 'Maintenance record not found' });
-    }
+    await recordChanges({
+      entityType: 'Maintenance',
+      before: existingMaintenance,
+      after: updatedMaintenance,
+      user: req.user,
+    });
+
+    publishMaintenanceChange('updated', updatedMaintenance);
+    await emitMaintenanceEvent(
+      existingMaintenance.status !== 'Completed' && updatedMaintenance.status === 'Completed'
+        ? 'maintenance.completed'
+        : 'maintenance.updated',
+      updatedMaintenance
+    );
 
     res.json(updatedMaintenance);
   } catch (error) {
@@ -221,16 +250,21 @@ router.put('/:id', async (req, res) => {
  * DELETE /api/maintenance/:id
  * Delete a maintenance record
  */
-router.delete('/:id', async (req, res) => {
+router.delete('/:id', protect, checkPermission('deleteMaintenance'), async (req, res) => {
   try {
     const maintenanceId = req.params.id;
 
-    const deletedMaintenance = await Maintenance.findByIdAndDelete(maintenanceId);
+    const deletedMaintenance = await Maintenance.findOneAndDelete(
+      await scopedMaintenanceFilter(req.user, { _id: maintenanceId })
+    );
 
     if (!deletedMaintenance) {
       return res.status(404).json({ message: 'Maintenance record not found' });
     }
 
+    publishMaintenanceChange('deleted', deletedMaintenance);
+    await emitMaintenanceEvent('maintenance.deleted', deletedMaintenance);
+
     res.json({ 
       message: 'Maintenance record deleted successfully',
       maintenance: deletedMaintenance 
@@ -248,12 +282,12 @@ router.delete('/:id', async (req, res) => {
  * GET /api/maintenance/stats/:assetId
  * Get maintenance statistics for a specific asset
  */
-router.get('/stats/:assetId', async (req, res) => {
+router.get('/stats/:assetId', protect, checkPermission('viewMaintenance'), async (req, res) => {
   try {
     const { assetId } = req.params;
 
     const stats = await Maintenance.aggregate([
-      { $match: { assetId: assetId } },
+      { $match: await scopedMaintenanceFilter(req.user, { assetId: assetId }) },
       {
         $group: {
           _id: null,
@@ -288,11 +322,16 @@ router.get('/stats/:assetId', async (req, res) => {
 
 /**
  * POST /api/maintenance/schedule
- * Create a scheduled maintenance and update asset
+ * Create a scheduled maintenance and update asset.
+ * Repairs on an asset under warranty are flagged with warrantyCovered.
  */
-router.post('/schedule', async (req, res) => {
+router.post('/schedule', protect, checkPermission('createMaintenance'), async (req, res) => {
   try {
-    const maintenanceData = req.body;
+    const maintenanceData = { ...req.body };
+    PROTECTED_FIELDS.forEach(field => delete maintenanceData[field]);
+    if (!(await isAssetIdInScope(req.user, maintenanceData.assetId))) {
+      return res.status(403).json({ message: OUT_OF_SCOPE_MESSAGE });
+    }
     
     // Create new maintenance record with Scheduled status
     const newMaintenance = new Maintenance({
@@ -300,11 +339,17 @@ router.post('/schedule', async (req, res) => {
       status: 'Scheduled',
       scheduledDate: maintenanceData.scheduledDate || maintenanceData.date,
     });
-    
+
+    const asset = await Equipment.findOne({ id: maintenanceData.assetId });
+    const coveredAsset = await applyWarrantyCoverage(newMaintenance, asset);
+
     await newMaintenance.save();
 
+    if (coveredAsset) {
+      await createWarrantyRepairNotification(coveredAsset, newMaintenance);
+    }
+
     // Update asset with next scheduled maintenance
-    const asset = await Equipment.findOne({ id: maintenanceData.assetId });
     if (asset) {
       asset.nextScheduledMaintenance = newMaintenance.scheduledDate;
       asset.maintenanceDueNotificationSent = false;
@@ -312,6 +357,9 @@ router.post('/schedule', async (req, res) => {
       await updateAssetMaintenanceStatus(maintenanceData.assetId);
     }
 
+    publishMaintenanceChange('created', newMaintenance);
+    await emitMaintenanceEvent('maintenance.created', newMaintenance);
+
     res.status(201).json(newMaintenance);
   } catch (error) {
     console.error('Error scheduling maintenance:', error);
@@ -326,12 +374,12 @@ router.post('/schedule', async (req, res) => {
  * PUT /api/maintenance/:id/start
  * Start maintenance (change status to In Progress)
  */
-router.put('/:id/start', async (req, res) => {
+router.put('/:id/start', protect, checkPermission('editMaintenance'), async (req, res) => {
   try {
     const { technician, notes } = req.body;
     
     // First fetch the existing maintenance record
-    const existingMaintenance = await Maintenance.findById(req.params.id);
+    const existingMaintenance = await Maintenance.findOne(await scopedMaintenanceFilter(req.user, { _id: req.params.id }));
     
     if (!existingMaintenance) {
       return res.status(404).json({ message: 'Maintenance record not found' });
@@ -349,9 +397,19 @@ router.put('/:id/start', async (req, res) => {
       { new: true, runValidators: true }
     );
 
+    await recordChanges({
+      entityType: 'Maintenance',
+      before: existingMaintenance,
+      after: maintenance,
+      user: req.user,
+    });
+
     // Update asset status
     await updateAssetMaintenanceStatus(maintenance.assetId);
 
+    publishMaintenanceChange('updated', maintenance);
+    await emitMaintenanceEvent('maintenance.updated', maintenance);
+
     res.json(maintenance);
   } catch (error) {
     console.error('Error starting maintenance:', error);
@@ -366,16 +424,19 @@ router.put('/:id/start', async (req, res) => {
  * PUT /api/maintenance/:id/complete
  * Complete maintenance and create next scheduled maintenance
  */
-router.put('/:id/complete', async (req, res) => {
+router.put('/:id/complete', protect, checkPermission('editMaintenance'), async (req, res) => {
   try {
     const { completedBy, notes, cost } = req.body;
     
-    const maintenance = await Maintenance.findById(req.params.id);
+    const maintenance = await Maintenance.findOne(await scopedMaintenanceFilter(req.user, { _id: req.params.id }));
     
     if (!maintenance) {
       return res.status(404).json({ message: 'Maintenance record not found' });
     }
 
+    // Snapshot for the change log
+    const before = maintenance.toObject();
+
     // Update maintenance to completed
     maintenance.status = 'Completed';
     maintenance.completedDate = new Date();
@@ -421,6 +482,16 @@ router.put('/:id/complete', async (req, res) => {
 
     await maintenance.save();
 
+    await recordChanges({
+      entityType: 'Maintenance',
+      before,
+      after: maintenance,
+      user: req.user,
+    });
+
+    publishMaintenanceChange('updated', maintenance);
+    await emitMaintenanceEvent('maintenance.completed', maintenance);
+
     res.json({
       message: 'Maintenance completed successfully',
       maintenance,
@@ -439,23 +510,32 @@ router.put('/:id/complete', async (req, res) => {
  * PUT /api/maintenance/:id/not-started
  * Mark maintenance as not started (missed/rescheduled)
  */
-router.put('/:id/not-started', async (req, res) => {
+router.put('/:id/not-started', protect, checkPermission('editMaintenance'), async (req, res) => {
   try {
     const { notes, rescheduleDate } = req.body;
+
+    const existingMaintenance = await Maintenance.findOne(await scopedMaintenanceFilter(req.user, { _id: req.params.id }));
+
+    if (!existingMaintenance) {
+      return res.status(404).json({ message: 'Maintenance record not found' });
+    }
     
     const maintenance = await Maintenance.findByIdAndUpdate(
       req.params.id,
       {
         status: 'Not Started',
-        notes: notes || maintenance.notes,
-        scheduledDate: rescheduleDate || maintenance.scheduledDate
+        notes: notes || existingMaintenance.notes,
+        scheduledDate: rescheduleDate || existingMaintenance.scheduledDate
       },
       { new: true, runValidators: true }
     );
 
-    if (!maintenance) {
-      return res.status(404).json({ message: 'Maintenance record not found' });
-    }
+    await recordChanges({
+      entityType: 'Maintenance',
+      before: existingMaintenance,
+      after: maintenance,
+      user: req.user,
+    });
 
     // Update asset
     if (rescheduleDate) {
@@ -467,6 +547,9 @@ router.put('/:id/not-started', async (req, res) => {
       }
     }
 
+    publishMaintenanceChange('updated', maintenance);
+    await emitMaintenanceEvent('maintenance.updated', maintenance);
+
     res.json(maintenance);
   } catch (error) {
     console.error('Error marking maintenance as not started:', error);
@@ -481,7 +564,7 @@ router.put('/:id/not-started', async (req, res) => {
  * GET /api/maintenance/due
  * Get maintenance due today or soon (within 7 days)
  */
-router.get('/due/today', async (req, res) => {
+router.get('/due/today', protect, checkPermission('viewMaintenance'), async (req, res) => {
   try {
     const today = new Date();
     today.setHours(0, 0, 0, 0);
@@ -492,10 +575,10 @@ router.get('/due/today', async (req, res) => {
     const sevenDaysFromNow = new Date(today);
     sevenDaysFromNow.setDate(sevenDaysFromNow.getDate() + 7);
 
-    const dueMaintenance = await Maintenance.find({
+    const dueMaintenance = await Maintenance.find(await scopedMaintenanceFilter(req.user, {
       status: { $in: ['Scheduled', 'Not Started'] },
       scheduledDate: { $gte: today, $lt: sevenDaysFromNow }
-    }).sort({ scheduledDate: 1 });
+    })).sort({ scheduledDate: 1 });
 
     res.json(dueMaintenance);
   } catch (error) {
@@ -511,15 +594,15 @@ router.get('/due/today', async (req, res) => {
  * GET /api/maintenance/overdue
  * Get overdue maintenance (past scheduled date and not completed)
  */
-router.get('/overdue/list', async (req, res) => {
+router.get('/overdue/list', protect, checkPermission('viewMaintenance'), async (req, res) => {
   try {
     const today = new Date();
     today.setHours(0, 0, 0, 0);
 
-    const overdueMaintenance = await Maintenance.find({
+    const overdueMaintenance = await Maintenance.find(await scopedMaintenanceFilter(req.user, {
       status: { $in: ['Scheduled', 'Not Started', 'In Progress'] },
       scheduledDate: { $lt: today }
-    }).sort({ scheduledDate: 1 });
+    })).sort({ scheduledDate: 1 });
 
     // Mark as overdue
     for (const maintenance of overdueMaintenance) {
@@ -543,17 +626,17 @@ router.get('/overdue/list', async (req, res) => {
  * GET /api/maintenance/upcoming
  * Get upcoming scheduled maintenance
  */
-router.get('/upcoming/list', async (req, res) => {
+router.get('/upcoming/list', protect, checkPermission('viewMaintenance'), async (req, res) => {
   try {
     const { days = 30 } = req.query;
     const today = new Date();
     const futureDate = new Date();
     futureDate.setDate(futureDate.getDate() + parseInt(days));
 
-    const upcomingMaintenance = await Maintenance.find({
+    const upcomingMaintenance = await Maintenance.find(await scopedMaintenanceFilter(req.user, {
       status: 'Scheduled',
       scheduledDate: { $gte: today, $lte: futureDate }
-    }).sort({ scheduledDate: 1 });
+    })).sort({ scheduledDate: 1 });
 
     res.json(upcomingMaintenance);
   } catch (error) {
@@ -569,7 +652,7 @@ router.get('/upcoming/list', async (req, res) => {
  * GET /api/maintenance/records
  * Get completed maintenance records (history)
  */
-router.get('/records/history', async (req, res) => {
+router.get('/records/history', protect, checkPermission('viewMaintenance'), async (req, res) => {
   try {
     const { assetId, startDate, endDate, limit = 100 } = req.query;
     
@@ -586,7 +669,7 @@ router.get('/records/history', async (req, res) => {
       };
     }
 
-    const records = await Maintenance.find(query)
+    const records = await Maintenance.find(await scopedMaintenanceFilter(req.user, query))
       .sort({ completedDate: -1 })
       .limit(parseInt(limit));
 
@@ -602,30 +685,16 @@ router.get('/records/history', async (req, res) => {
 
 /**
  * POST /api/maintenance/check-overdue
- * Cron job endpoint to check and mark overdue maintenance
+ * Check and mark overdue maintenance now
+ * (the scheduler also runs this as the overdueMarking job)
  */
-router.post('/check-overdue', async (req, res) => {
+router.post('/check-overdue', protect, checkPermission('editMaintenance'), async (req, res) => {
   try {
-    const today = new Date();
-    today.setHours(0, 0, 0, 0);
-
-    // Find all maintenance that is past due
-    const overdueMaintenance = await Maintenance.find({
-      status: { $in: ['Scheduled', 'Not Started'] },
-      scheduledDate: { $lt: today },
-      isOverdue: false
-    });
-
-    // Mark as overdue and update asset status
-    for (const maintenance of overdueMaintenance) {
-      maintenance.isOverdue = true;
-      await maintenance.save();
-      await updateAssetMaintenanceStatus(maintenance.assetId);
-    }
+    const { count } = await markOverdueMaintenance();
 
     res.json({
-      message: `Marked ${overdueMaintenance.length} maintenance records as overdue`,
-      count: overdueMaintenance.length
+      message: `Marked ${count} maintenance records as overdue`,
+      count
     });
   } catch (error) {
     console.error('Error checking overdue maintenance:', error);
@@ -638,14 +707,13 @@ router.post('/check-overdue', async (req, res) => {
 
 /**
  * POST /api/maintenance/:id/send-reminder
- * Send maintenance reminder to users (Admin only)
+ * Send maintenance reminder to the users its notification rules name (Admin only)
  */
-router.post('/:id/send-reminder', async (req, res) => {
+router.post('/:id/send-reminder', protect, authorize('Administrator'), async (req, res) => {
   try {
-    const User = require('../models/User');
     const { createNotification } = require('../utils/notificationHelper');
     
-    const maintenance = await Maintenance.findById(req.params.id);
+    const maintenance = await Maintenance.findOne(await scopedMaintenanceFilter(req.user, { _id: req.params.id }));
     
     if (!maintenance) {
       return res.status(404).json({ message: 'Maintenance record not found' });
@@ -658,24 +726,19 @@ router.post('/:id/send-reminder', async (req, res) => {
     scheduledDate.setHours(0, 0, 0, 0);
     const daysUntil = Math.ceil((scheduledDate - today) / (1000 * 60 * 60 * 24));
 
-    // Get all active users
-    const users = await User.find({ status: 'Active', role: 'User' });
-    
-    let notificationsSent = 0;
-    
-    // Send reminder to all users
-    for (const user of users) {
-      await createNotification({
-        type: 'maintenance',
-        title: 'Maintenance Reminder',
-        message: `Reminder: Maintenance for ${maintenance.assetName} is ${daysUntil > 0 ? `due in ${daysUntil} day(s)` : daysUntil === 0 ? 'due today' : `overdue by ${Math.abs(daysUntil)} day(s)`}. Service type: ${maintenance.serviceType}`,
-        userId: user._id.toString(),
-        assetId: maintenance.assetId,
-        priority: daysUntil <= 0 ? 'high' : daysUntil <= 3 ? 'medium' : 'low',
-        actionUrl: `/maintenance/${maintenance._id}`
-      });
-      notificationsSent++;
-    }
+    // The maintenance reminder rules decide who gets it (all users by default)
+    const notification = await createNotification({
+      type: 'maintenance',
+      title: 'Maintenance Reminder',
+      message: `Reminder: Maintenance for ${maintenance.assetName} is ${daysUntil > 0 ? `due in ${daysUntil} day(s)` : daysUntil === 0 ? 'due today' : `overdue by ${Math.abs(daysUntil)} day(s)`}. Service type: ${maintenance.serviceType}`,
+      trigger: 'maintenanceReminder',
+      facts: { maintenance },
+      assetId: maintenance.assetId,
+      priority: daysUntil <= 0 ? 'high' : daysUntil <= 3 ? 'medium' : 'low',
+      actionUrl: `/maintenance/${maintenance._id}`,
+      emailTemplate: daysUntil < 0 ? 'maintenanceOverdue' : 'maintenanceDue'
+    });
+    const notificationsSent = notification ? notification.recipients.length : 0;
 
     res.json({
       message: `Reminder sent to ${notificationsSent} user(s)`,
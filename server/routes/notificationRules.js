@@ -0,0 +1,277 @@
+/**
+ * Notification Rule Routes
+ *
+ * API endpoints for the notification rules that decide who is notified of
+ * what and over which channels (see utils/notificationRules.js). Built-in
+ * rules can be edited, turned off or reset, but not deleted.
+ */
+
+const express = require('express');
+const router = express.Router();
+const NotificationRule = require('../models/NotificationRule');
+const Equipment = require('../models/Equipment');
+const Tag = require('../models/Tag');
+const User = require('../models/User');
+const Role = require('../models/Role');
+const { protect, checkPermission } = require('../middleware/auth');
+const { TRIGGERS, DEFAULT_RULES, ensureDefaultRules } = require('../utils/notificationRules');
+
+const CONDITION_LISTS = ['categories', 'departments', 'priorities', 'fromStatuses', 'toStatuses'];
+const RECIPIENT_FLAGS = ['assetAssignee', 'assetDepartment', 'departmentManagers'];
+const CHANNELS = ['inApp', 'email', 'webhook'];
+
+/**
+ * Strings from a request list, trimmed, without blanks or duplicates
+ */
+function stringList(value) {
+  return Array.isArray(value)
+    ? [...new Set(value.map(item => String(item).trim()).filter(Boolean))]
+    : [];
+}
+
+/**
+ * Check a create or update body and turn it into rule fields
+ * @param {Object} body - Request body
+ * @param {boolean} isNew - Whether name and trigger are required
+ * @returns {{ error: string|null, fields: Object }}
+ */
+function parseRule(body, isNew) {
+  const fields = {};
+
+  if (isNew || body.name !== undefined) {
+    fields.name = String(body.name || '').trim();
+    if (!fields.name) {
+      return { error: 'Rule name is required', fields };
+    }
+  }
+  if (body.description !== undefined) {
+    fields.description = String(body.description || '').trim();
+  }
+  if (isNew || body.trigger !== undefined) {
+    if (!TRIGGERS[body.trigger]) {
+      return { error: 'Choose a valid trigger event', fields };
+    }
+    fields.trigger = body.trigger;
+  }
+  if (body.enabled !== undefined) {
+    fields.enabled = Boolean(body.enabled);
+  }
+
+  if (body.conditions !== undefined) {
+    const conditions = body.conditions || {};
+    fields.conditions = Object.fromEntries(
+      CONDITION_LISTS.map(key => [key, stringList(conditions[key])])
+    );
+    if (conditions.minCost === null || conditions.minCost === undefined || conditions.minCost === '') {
+      fields.conditions.minCost = null;
+    } else {
+      const minCost = Number(conditions.minCost);
+      if (!Number.isFinite(minCost) || minCost < 0) {
+        return { error: 'Minimum cost must be a positive number', fields };
+      }
+      fields.conditions.minCost = minCost;
+    }
+  }
+
+  if (body.recipients !== undefined) {
+    const recipients = body.recipients || {};
+    fields.recipients = {
+      users: stringList(recipients.users),
+      roles: stringList(recipients.roles),
+      ...Object.fromEntries(RECIPIENT_FLAGS.map(key => [key, Boolean(recipients[key])])),
+    };
+    const chosen = fields.recipients.users.length > 0 ||
+      fields.recipients.roles.length > 0 ||
+      RECIPIENT_FLAGS.some(key => fields.recipients[key]);
+    if (!chosen) {
+      return { error: 'Choose at least one recipient', fields };
+    }
+  } else if (isNew) {
+    return { error: 'Choose at least one recipient', fields };
+  }
+
+  if (body.channels !== undefined) {
+    fields.channels = Object.fromEntries(CHANNELS.map(key => [key, Boolean(body.channels?.[key])]));
+    if (!CHANNELS.some(key => fields.channels[key])) {
+      return { error: 'Choose at least one channel', fields };
+    }
+  }
+
+  return { error: null, fields };
+}
+
+/**
+ * @route   GET /api/notification-rules/options
+ * @desc    Choices for the rule editor: triggers, roles, categories,
+ *          departments, statuses and active users
+ * @access  Private (viewSettings)
+ */
+router.get('/options', protect, checkPermission('viewSettings'), async (req, res) => {
+  try {
+    const [tags, categories, departments, statuses, users, roles] = await Promise.all([
+      Tag.find({ category: { $in: ['Asset Type', 'Department', 'Status'] } }).select('name category'),
+      Equipment.distinct('category'),
+      Equipment.distinct('department'),
+      Equipment.distinct('status'),
+      User.find({ status: 'Active' }).select('name email role').sort({ name: 1 }),
+      Role.find().select('name').sort({ isSystem: -1, name: 1 }),
+    ]);
+
+    // Tag names plus values already used on assets
+    const values = (tagCategory, used) => [
+      ...new Set([
+        ...tags.filter(tag => tag.category === tagCategory).map(tag => tag.name),
+        ...used.filter(Boolean),
+      ]),
+    ].sort();
+
+    res.json({
+      triggers: Object.entries(TRIGGERS).map(([trigger, info]) => ({ trigger, ...info })),
+      roles: roles.map(role => role.name),
+      categories: values('Asset Type', categories),
+      departments: values('Department', departments),
+      statuses: values('Status', statuses),
+      users,
+    });
+  } catch (error) {
+    console.error('Error fetching notification rule options:', error);
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+});
+
+/**
+ * @route   GET /api/notification-rules
+ * @desc    List notification rules, grouped by trigger
+ * @access  Private (viewSettings)
+ */
+router.get('/', protect, checkPermission('viewSettings'), async (req, res) => {
+  try {
+    await ensureDefaultRules();
+
+    const order = Object.keys(TRIGGERS);
+    const rules = await NotificationRule.find().sort({ createdAt: 1 });
+    rules.sort((a, b) => order.indexOf(a.trigger) - order.indexOf(b.trigger));
+
+    res.json(rules);
+  } catch (error) {
+    console.error('Error fetching notification rules:', error);
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+});
+
+/**
+ * @route   POST /api/notification-rules
+ * @desc    Create a rule. Body: { name, description, trigger, enabled,
+ *          conditions, recipients, channels }
+ * @access  Private (editSettings)
+ */
+router.post('/', protect, checkPermission('editSettings'), async (req, res) => {
+  try {
+    const { error, fields } = parseRule(req.body, true);
+    if (error) {
+      return res.status(400).json({ message: error });
+    }
+
+    const rule = await NotificationRule.create({ ...fields, updatedBy: req.user.name });
+
+    res.status(201).json(rule);
+  } catch (error) {
+    console.error('Error creating notification rule:', error);
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({ message: error.message });
+    }
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+});
+
+/**
+ * @route   PUT /api/notification-rules/:id
+ * @desc    Update a rule
+ * @access  Private (editSettings)
+ */
+router.put('/:id', protect, checkPermission('editSettings'), async (req, res) => {
+  try {
+    const { error, fields } = parseRule(req.body, false);
+    if (error) {
+      return res.status(400).json({ message: error });
+    }
+
+    const rule = await NotificationRule.findById(req.params.id);
+    if (!rule) {
+      return res.status(404).json({ message: 'Notification rule not found' });
+    }
+
+    rule.set({ ...fields, updatedBy: req.user.name });
+    await rule.save();
+
+    res.json(rule);
+  } catch (error) {
+    console.error('Error updating notification rule:', error);
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({ message: error.message });
+    }
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+});
+
+/**
+ * @route   POST /api/notification-rules/:id/reset
+ * @desc    Restore a built-in rule to its default settings
+ * @access  Private (editSettings)
+ */
+router.post('/:id/reset', protect, checkPermission('editSettings'), async (req, res) => {
+  try {
+    const rule = await NotificationRule.findById(req.params.id);
+    if (!rule) {
+      return res.status(404).json({ message: 'Notification rule not found' });
+    }
+
+    const defaults = DEFAULT_RULES.find(item => item.key === rule.key);
+    if (!defaults) {
+      return res.status(400).json({ message: 'Only built-in rules can be reset' });
+    }
+
+    rule.set({
+      ...defaults,
+      enabled: true,
+      conditions: {
+        ...Object.fromEntries(CONDITION_LISTS.map(key => [key, []])),
+        minCost: null,
+      },
+      recipients: { users: [], roles: [], ...defaults.recipients },
+      updatedBy: req.user.name,
+    });
+    await rule.save();
+
+    res.json(rule);
+  } catch (error) {
+    console.error('Error resetting notification rule:', error);
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+});
+
+/**
+ * @route   DELETE /api/notification-rules/:id
+ * @desc    Delete a rule (built-in rules can only be turned off)
+ * @access  Private (editSettings)
+ */
+router.delete('/:id', protect, checkPermission('editSettings'), async (req, res) => {
+  try {
+    const rule = await NotificationRule.findById(req.params.id);
+    if (!rule) {
+      return res.status(404).json({ message: 'Notification rule not found' });
+    }
+    if (rule.key) {
+      return res.status(400).json({ message: 'Built-in rules cannot be deleted; turn them off instead' });
+    }
+
+    await rule.deleteOne();
+
+    res.json({ message: 'Notification rule deleted successfully' });
+  } catch (error) {
+    console.error('Error deleting notification rule:', error);
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+});
+
+module.exports = router;
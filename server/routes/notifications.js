@@ -1,47 +1,65 @@
 /**
  * Notification Routes
  *
- * API endpoints for notification management
+ * API endpoints for notification management. Each user sees the
+ * notifications they are a recipient of, with their own read and
+ * dismissed state.
  */
 
 const express = require("express");
 const router = express.Router();
 const Notification = require("../models/Notification");
+const { protect, checkPermission } = require("../middleware/auth");
+const { createNotification } = require("../utils/notificationHelper");
+
+// Fields a client may set when creating a notification
+const CREATABLE_FIELDS = ["type", "title", "message", "assetId", "priority"];
+
+/**
+ * Whether a link is a path inside the app (e.g. "/maintenance/123"), so a
+ * notification cannot send its recipients to another site
+ * @param {string} url
+ */
+function isInAppPath(url) {
+  return typeof url === "string" && /^\/(?![/\\])/.test(url) && !/[\s\\]/.test(url);
+}
+
+/**
+ * Build the query for notifications a user has not dismissed
+ * @param {Object} user - Authenticated user
+ * @param {Object} [state] - Extra conditions on the user's recipient entry (e.g. { readAt: null })
+ */
+function visibleNotificationsQuery(user, state = {}) {
+  return {
+    recipients: { $elemMatch: { user: user._id, dismissedAt: null, ...state } },
+  };
+}
+
+/**
+ * Set a field on the user's recipient entry of matching notifications
+ * @param {Object} user - Authenticated user
+ * @param {Object} filter - Extra notification filter (e.g. { _id })
+ * @param {string} field - "readAt" or "dismissedAt"
+ * @returns {Promise<Object>} updateMany result
+ */
+function updateRecipientState(user, filter, field) {
+  return Notification.updateMany(
+    { ...filter, ...visibleNotificationsQuery(user, { [field]: null }) },
+    { $set: { [`recipients.$[recipient].${field}`]: new Date() } },
+    { arrayFilters: [{ "recipient.user": user._id, [`recipient.${field}`]: null }] }
+  );
+}
 
 /**
  * GET /api/notifications
- * Get all notifications for the current user (sorted by newest first)
- * Query params: userId (required for user-specific notifications)
+ * Get the current user's notifications (sorted by newest first)
  */
-router.get("/", async (req, res) => {
+router.get("/", protect, checkPermission("viewNotifications"), async (req, res) => {
   try {
-    const { userId, role } = req.query;
-    
-    let query = {};
-    
-    // If userId provided, get notifications for that user or admin-only notifications (null userId)
-    if (userId) {
-      // Regular users get their own notifications
-      // Admins get their notifications + all general notifications (userId: null)
-      if (role === 'Administrator') {
-        query = {
-          $or: [
-            { userId: userId },
-            { userId: null } // General admin notifications
-          ]
-        };
-      } else {
-        query = { userId: userId };
-      }
-    } else {
-      // If no userId, return general notifications (backward compatibility)
-      query = { userId: null };
-    }
-    
-    const notifications = await Notification.find(query)
+    const notifications = await Notification.find(visibleNotificationsQuery(req.user))
       .sort({ createdAt: -1 })
       .limit(50); // Increased limit for better user experience
-    res.json(notifications);
+    res.json(notifications.map((notification) => notification.toRecipientJSON(req.user._id)));
   } catch (error) {
     console.error("Error fetching notifications:", error);
     res.status(500).json({ error: "Failed to fetch notifications" });
@@ -51,31 +69,12 @@ router.get("/", async (req, res) => {
 /**
  * GET /api/notifications/unread
  * Get unread notification count for the current user
- * Query params: userId, role
  */
-router.get("/unread", async (req, res) => {
+router.get("/unread", protect, checkPermission("viewNotifications"), async (req, res) => {
   try {
-    const { userId, role } = req.query;
-    
-    let query = { read: false };
-    
-    if (userId) {
-      if (role === 'Administrator') {
-        query = {
-          read: false,
-          $or: [
-            { userId: userId },
-            { userId: null }
-          ]
-        };
-      } else {
-        query = { read: false, userId: userId };
-      }
-    } else {
-      query = { read: false, userId: null };
-    }
-    
-    const count = await Notification.countDocuments(query);
+    const count = await Notification.countDocuments(
+      visibleNotificationsQuery(req.user, { readAt: null })
+    );
     res.json({ count });
   } catch (error) {
     console.error("Error counting unread notifications:", error);
@@ -85,34 +84,67 @@ router.get("/unread", async (req, res) => {
 
 /**
  * POST /api/notifications
- * Create a new notification
+ * Create a new notification. Optional audience: { users, roles, departments, assignees }
+ * (default administrators); actionUrl must be a path inside the app. With a
+ * dedupeKey that already exists the existing notification is returned instead.
  */
-router.post("/", async (req, res) => {
+router.post("/", protect, checkPermission("sendNotifications"), async (req, res) => {
   try {
-    const notification = new Notification(req.body);
-    await notification.save();
-    res.status(201).json(notification);
+    const options = Object.fromEntries(
+      CREATABLE_FIELDS.filter((field) => req.body[field] !== undefined).map((field) => [
+        field,
+        req.body[field],
+      ])
+    );
+    if (req.body.actionUrl) {
+      if (!isInAppPath(req.body.actionUrl)) {
+        return res.status(400).json({ error: "actionUrl must be a path inside the app, e.g. /assets" });
+      }
+      options.actionUrl = req.body.actionUrl;
+    }
+    if (req.body.audience) {
+      options.audience = Object.fromEntries(
+        ["users", "roles", "departments", "assignees"]
+          .filter((key) => Array.isArray(req.body.audience[key]))
+          .map((key) => [key, req.body.audience[key].map(String)])
+      );
+    }
+    if (req.body.dedupeKey) {
+      options.dedupeKey = String(req.body.dedupeKey);
+    }
+
+    const notification = await createNotification(options);
+    if (!notification) {
+      // Duplicate: answer with the notification that already has this key
+      const existing = await Notification.findOne({ dedupeKey: options.dedupeKey });
+      return res.json(existing.toRecipientJSON(req.user._id));
+    }
+    res.status(201).json(notification.toRecipientJSON(req.user._id));
   } catch (error) {
     console.error("Error creating notification:", error);
+    if (error.name === "ValidationError") {
+      return res.status(400).json({ error: error.message });
+    }
     res.status(500).json({ error: "Failed to create notification" });
   }
 });
 
 /**
  * PATCH /api/notifications/:id/read
- * Mark a notification as read
+ * Mark a notification as read for the current user
  */
-router.patch("/:id/read", async (req, res) => {
+router.patch("/:id/read", protect, checkPermission("viewNotifications"), async (req, res) => {
   try {
-    const notification = await Notification.findByIdAndUpdate(
-      req.params.id,
-      { read: true },
-      { new: true }
-    );
+    await updateRecipientState(req.user, { _id: req.params.id }, "readAt");
+
+    const notification = await Notification.findOne({
+      _id: req.params.id,
+      ...visibleNotificationsQuery(req.user),
+    });
     if (!notification) {
       return res.status(404).json({ error: "Notification not found" });
     }
-    res.json(notification);
+    res.json(notification.toRecipientJSON(req.user._id));
   } catch (error) {
     console.error("Error marking notification as read:", error);
     res.status(500).json({ error: "Failed to update notification" });
@@ -121,11 +153,11 @@ router.patch("/:id/read", async (req, res) => {
 
 /**
  * PATCH /api/notifications/read-all
- * Mark all notifications as read
+ * Mark all of the current user's notifications as read
  */
-router.patch("/read-all", async (req, res) => {
+router.patch("/read-all", protect, checkPermission("viewNotifications"), async (req, res) => {
   try {
-    await Notification.updateMany({ read: false }, { read: true });
+    await updateRecipientState(req.user, {}, "readAt");
     res.json({ message: "All notifications marked as read" });
   } catch (error) {
     console.error("Error marking all as read:", error);
@@ -135,28 +167,28 @@ router.patch("/read-all", async (req, res) => {
 
 /**
  * DELETE /api/notifications/:id
- * Delete a specific notification
+ * Dismiss a notification for the current user (other recipients keep it)
  */
-router.delete("/:id", async (req, res) => {
+router.delete("/:id", protect, checkPermission("deleteNotifications"), async (req, res) => {
   try {
-    const notification = await Notification.findByIdAndDelete(req.params.id);
-    if (!notification) {
+    const result = await updateRecipientState(req.user, { _id: req.params.id }, "dismissedAt");
+    if (result.modifiedCount === 0) {
       return res.status(404).json({ error: "Notification not found" });
     }
-    res.json({ message: "Notification deleted successfully" });
+    res.json({ message: "Notification dismissed" });
   } catch (error) {
-    console.error("Error deleting notification:", error);
-    res.status(500).json({ error: "Failed to delete notification" });
+    console.error("Error dismissing notification:", error);
+    res.status(500).json({ error: "Failed to dismiss notification" });
   }
 });
 
 /**
  * DELETE /api/notifications
- * Clear all notifications
+ * Dismiss all of the current user's notifications
  */
-router.delete("/", async (req, res) => {
+router.delete("/", protect, checkPermission("deleteNotifications"), async (req, res) => {
   try {
-    await Notification.deleteMany({});
+    await updateRecipientState(req.user, {}, "dismissedAt");
     res.json({ message: "All notifications cleared" });
   } catch (error) {
     console.error("Error clearing notifications:", error);
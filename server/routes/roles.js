@@ -0,0 +1,245 @@
+/**
+ * Role Routes
+ *
+ * API endpoints for roles: named permission templates users hold by name.
+ * Changing a role's permissions changes them for everyone who holds it
+ * (apart from their own overrides); renaming a role renames it on its users
+ * and notification rules.
+ */
+
+const express = require('express');
+const router = express.Router();
+const Role = require('../models/Role');
+const User = require('../models/User');
+const NotificationRule = require('../models/NotificationRule');
+const { protect, checkPermission } = require('../middleware/auth');
+const { PERMISSIONS, ADMINISTRATOR_ROLE, clearRoleCache } = require('../utils/roles');
+const { parseDataScope } = require('../utils/dataScope');
+
+/**
+ * Check a create or update body and turn it into role fields
+ * @param {Object} body - Request body: { name, description, permissions, dataScope }
+ * @param {boolean} isNew - Whether the name is required
+ * @returns {{ error: string|null, fields: Object }}
+ */
+function parseRole(body, isNew) {
+  const fields = {};
+
+  if (isNew || body.name !== undefined) {
+    fields.name = String(body.name || '').trim();
+    if (!fields.name) {
+      return { error: 'Role name is required', fields };
+    }
+  }
+
+  if (body.description !== undefined) {
+    fields.description = String(body.description || '').trim();
+  }
+
+  if (body.permissions !== undefined) {
+    if (!body.permissions || typeof body.permissions !== 'object') {
+      return { error: 'Permissions must be an object of permission flags', fields };
+    }
+    const unknown = Object.keys(body.permissions).filter(permission => !PERMISSIONS.includes(permission));
+    if (unknown.length > 0) {
+      return { error: `Unknown permission: ${unknown.join(', ')}`, fields };
+    }
+    fields.permissions = Object.fromEntries(
+      PERMISSIONS.map(permission => [permission, Boolean(body.permissions[permission])])
+    );
+  }
+
+  if (body.dataScope !== undefined) {
+    const { error, dataScope } = parseDataScope(body.dataScope, true);
+    if (error) {
+      return { error, fields };
+    }
+    fields.dataScope = dataScope;
+  }
+
+  return { error: null, fields };
+}
+
+/**
+ * Roles with the number of users holding each
+ * @param {Object} [filter] - Role filter
+ */
+async function rolesWithCounts(filter = {}) {
+  const [roles, counts] = await Promise.all([
+    Role.find(filter).sort({ isSystem: -1, name: 1 }),
+    User.aggregate([{ $group: { _id: '$role', count: { $sum: 1 } } }]),
+  ]);
+  const userCounts = new Map(counts.map(({ _id, count }) => [_id, count]));
+  return roles.map(role => ({ ...role.toObject(), userCount: userCounts.get(role.name) || 0 }));
+}
+
+/**
+ * @route   GET /api/roles
+ * @desc    List roles with their permissions and how many users hold each
+ * @access  Private (viewUsers)
+ */
+router.get('/', protect, checkPermission('viewUsers'), async (req, res) => {
+  try {
+    res.json(await rolesWithCounts());
+  } catch (error) {
+    console.error('Error fetching roles:', error);
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+});
+
+/**
+ * @route   POST /api/roles
+ * @desc    Create a role (name, description, permissions, dataScope)
+ * @access  Private (managePermissions)
+ */
+router.post('/', protect, checkPermission('managePermissions'), async (req, res) => {
+  try {
+    const { error, fields } = parseRole(req.body, true);
+    if (error) {
+      return res.status(400).json({ message: error });
+    }
+
+    const role = await Role.create(fields);
+    clearRoleCache();
+
+    res.status(201).json({ ...role.toObject(), userCount: 0 });
+  } catch (error) {
+    console.error('Error creating role:', error);
+
+    if (error.code === 11000) {
+      return res.status(400).json({ message: 'A role with this name already exists' });
+    }
+
+    res.status(400).json({ message: 'Invalid data', error: error.message });
+  }
+});
+
+/**
+ * @route   POST /api/roles/:id/clone
+ * @desc    Create a role with the same permissions as another (name required)
+ * @access  Private (managePermissions)
+ */
+router.post('/:id/clone', protect, checkPermission('managePermissions'), async (req, res) => {
+  try {
+    const source = await Role.findById(req.params.id);
+
+    if (!source) {
+      return res.status(404).json({ message: 'Role not found' });
+    }
+
+    const { error, fields } = parseRole({
+      name: req.body.name,
+      description: req.body.description ?? source.description,
+      permissions: source.permissions.toObject(),
+      dataScope: source.dataScope.toObject(),
+    }, true);
+    if (error) {
+      return res.status(400).json({ message: error });
+    }
+
+    const role = await Role.create(fields);
+    clearRoleCache();
+
+    res.status(201).json({ ...role.toObject(), userCount: 0 });
+  } catch (error) {
+    console.error('Error cloning role:', error);
+
+    if (error.code === 11000) {
+      return res.status(400).json({ message: 'A role with this name already exists' });
+    }
+
+    res.status(400).json({ message: 'Invalid data', error: error.message });
+  }
+});
+
+/**
+ * @route   PUT /api/roles/:id
+ * @desc    Update a role. Built-in roles cannot be renamed, and the
+ *          Administrator role always holds every permission.
+ * @access  Private (managePermissions)
+ */
+router.put('/:id', protect, checkPermission('managePermissions'), async (req, res) => {
+  try {
+    const role = await Role.findById(req.params.id);
+
+    if (!role) {
+      return res.status(404).json({ message: 'Role not found' });
+    }
+
+    const { error, fields } = parseRole(req.body, false);
+    if (error) {
+      return res.status(400).json({ message: error });
+    }
+
+    const previousName = role.name;
+    if (fields.name !== undefined && fields.name !== previousName && role.isSystem) {
+      return res.status(400).json({ message: 'Built-in roles cannot be renamed' });
+    }
+    if ((fields.permissions || fields.dataScope) && role.name === ADMINISTRATOR_ROLE) {
+      return res.status(400).json({ message: 'The Administrator role always has every permission and sees every asset' });
+    }
+
+    role.set(fields);
+    await role.save();
+
+    // Users and notification rules refer to roles by name
+    if (role.name !== previousName) {
+      await Promise.all([
+        User.updateMany({ role: previousName }, { role: role.name }),
+        NotificationRule.updateMany(
+          { 'recipients.roles': previousName },
+          { $set: { 'recipients.roles.$': role.name } }
+        ),
+      ]);
+    }
+    clearRoleCache();
+
+    const [updated] = await rolesWithCounts({ _id: role._id });
+    res.json(updated);
+  } catch (error) {
+    console.error('Error updating role:', error);
+
+    if (error.code === 11000) {
+      return res.status(400).json({ message: 'A role with this name already exists' });
+    }
+
+    res.status(400).json({ message: 'Invalid data', error: error.message });
+  }
+});
+
+/**
+ * @route   DELETE /api/roles/:id
+ * @desc    Delete a role nobody holds. Built-in roles cannot be deleted.
+ * @access  Private (managePermissions)
+ */
+router.delete('/:id', protect, checkPermission('managePermissions'), async (req, res) => {
+  try {
+    const role = await Role.findById(req.params.id);
+
+    if (!role) {
+      return res.status(404).json({ message: 'Role not found' });
+    }
+
+    if (role.isSystem) {
+      return res.status(400).json({ message: 'Built-in roles cannot be deleted' });
+    }
+
+    const holders = await User.countDocuments({ role: role.name });
+    if (holders > 0) {
+      return res.status(409).json({
+        message: `${holders} user(s) still have the ${role.name} role. Give them another role first.`,
+      });
+    }
+
+    await role.deleteOne();
+    await NotificationRule.updateMany({ 'recipients.roles': role.name }, { $pull: { 'recipients.roles': role.name } });
+    clearRoleCache();
+
+    res.json({ message: 'Role deleted successfully' });
+  } catch (error) {
+    console.error('Error deleting role:', error);
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+});
+
+module.exports = router;
@@ -14,6 +14,14 @@ const Settings = require('../models/Settings');
 const Equipment = require('../models/Equipment');
 const Activity = require('../models/Activity');
 const { clearMaintenanceModeCache } = require('../middleware/maintenanceMode');
+const { clearSecuritySettingsCache, revokeUserSessions } = require('../utils/auth');
+const { protect, checkPermission, hasPermission } = require('../middleware/auth');
+const { JOBS, isValidSchedule, refreshSchedules } = require('../utils/scheduler');
+const { publishAssetChange, publishMaintenanceChange } = require('../utils/realtime');
+const { sendTestEmail } = require('../utils/email');
+const { scopedAssetFilter, scopedMaintenanceFilter, scopedActivityFilter } = require('../utils/dataScope');
+const { moveAllToRecycleBin } = require('../utils/recycleBin');
+const EmailOutbox = require('../models/EmailOutbox');
 
 // Configure multer for logo upload
 const storage = multer.diskStorage({
@@ -46,11 +54,30 @@ const upload = multer({
   }
 });
 
+/**
+ * Settings as sent to the client. The SMTP password is never sent back
+ * (emailPasswordSet tells whether one is stored); integration settings are
+ * only included for users with the viewSettings permission. API keys live
+ * in their own collection (routes/apiKeys.js).
+ */
+function toClientSettings(settings, user) {
+  const result = settings.toObject();
+  result.emailPasswordSet = Boolean(result.emailPassword);
+  delete result.emailPassword;
+  delete result.apiKey; // Old single plaintext key, still present on older settings documents
+  if (!hasPermission(user, 'viewSettings')) {
+    delete result.integrations;
+  }
+  return result;
+}
+
 /**
  * GET /api/settings
  * Get application settings
+ * Any authenticated user can read settings (currency, branding, etc.);
+ * secrets are only returned to users with the viewSettings permission.
  */
-router.get('/', async (req, res) => {
+router.get('/', protect, async (req, res) => {
   try {
     let settings = await Settings.findOne({ isSingleton: true });
     
@@ -61,8 +88,8 @@ router.get('/', async (req, res) => {
       });
       await settings.save();
     }
-    
-    res.json(settings);
+
+    res.json(toClientSettings(settings, req.user));
   } catch (error) {
     console.error('Error fetching settings:', error);
     res.status(500).json({ 
@@ -76,8 +103,21 @@ router.get('/', async (req, res) => {
  * PUT /api/settings
  * Update application settings
  */
-router.put('/', async (req, res) => {
+router.put('/', protect, checkPermission('editSettings'), async (req, res) => {
   try {
+    // Job schedules must be valid cron expressions (or empty to turn the job off)
+    if (req.body.jobSchedules) {
+      const invalid = Object.entries(req.body.jobSchedules)
+        .filter(([name, expression]) => !JOBS[name] || typeof expression !== 'string' || !isValidSchedule(expression.trim()))
+        .map(([name]) => JOBS[name]?.label || name);
+      if (invalid.length > 0) {
+        return res.status(400).json({ message: `Invalid schedule for: ${invalid.join(', ')}` });
+      }
+      req.body.jobSchedules = Object.fromEntries(
+        Object.entries(req.body.jobSchedules).map(([name, expression]) => [name, expression.trim()])
+      );
+    }
+
     let settings = await Settings.findOne({ isSingleton: true });
     
     // If no settings exist, create them
@@ -87,7 +127,7 @@ router.put('/', async (req, res) => {
         ...req.body
       });
       await settings.save();
-      return res.json(settings);
+      return res.json(toClientSettings(settings, req.user));
     }
     
     // Update existing settings
@@ -99,6 +139,9 @@ router.put('/', async (req, res) => {
       'autoBackup',
       'maintenanceNotificationDays',
       'sessionTimeout',
+      'requireTwoFactor',
+      'passwordPolicy',
+      'loginLockout',
       'recordsPerPage',
       'emailNotifications',
       'assetIdPrefix',
@@ -116,21 +159,35 @@ router.put('/', async (req, res) => {
       'emailPort',
       'emailUsername',
       'emailPassword',
+      'emailSecure',
+      'emailFrom',
       'integrations'
     ];
+
     
     allowedUpdates.forEach(field => {
       if (req.body[field] !== undefined) {
         settings[field] = req.body[field];
       }
     });
+
+    // Only the jobs sent are changed
+    Object.entries(req.body.jobSchedules || {}).forEach(([name, expression]) => {
+      settings.set(`jobSchedules.${name}`, expression);
+    });
     
     await settings.save();
     
     // Clear maintenance mode cache when settings are updated
     clearMaintenanceModeCache();
+    clearSecuritySettingsCache();
+
+    // Apply schedule changes on this instance now (others pick them up on their next refresh)
+    if (req.body.jobSchedules) {
+      await refreshSchedules();
+    }
     
-    res.json(settings);
+    res.json(toClientSettings(settings, req.user));
   } catch (error) {
     console.error('Error updating settings:', error);
     res.status(500).json({ 
@@ -141,33 +198,49 @@ router.put('/', async (req, res) => {
 });
 
 /**
- * POST /api/settings/regenerate-api-key
- * Regenerate API key
+ * POST /api/settings/test-email
+ * Send a test email with the saved SMTP settings to `to` (default: the current user)
  */
-router.post('/regenerate-api-key', async (req, res) => {
+router.post('/test-email', protect, checkPermission('editSettings'), async (req, res) => {
   try {
-    let settings = await Settings.findOne({ isSingleton: true });
-    
-    if (!settings) {
-      settings = new Settings({ isSingleton: true });
+    const to = (req.body.to || req.user.email || '').trim();
+    if (!/^\S+@\S+\.\S+$/.test(to)) {
+      return res.status(400).json({ message: 'Please provide a valid email address' });
     }
-    
-    // Generate new API key
-    const newKey = `${Math.random().toString(36).substring(2, 15)}-${Math.random().toString(36).substring(2, 15)}-${Math.random().toString(36).substring(2, 15)}-key`;
-    settings.apiKey = newKey;
-    settings.lastApiUse = new Date();
-    
-    await settings.save();
-    
-    res.json({ 
-      message: 'API key regenerated successfully',
-      apiKey: newKey,
-      lastApiUse: settings.lastApiUse
+
+    const info = await sendTestEmail(to, req.user);
+
+    res.json({ message: `Test email sent to ${to}`, messageId: info.messageId });
+  } catch (error) {
+    console.error('Error sending test email:', error);
+    res.status(502).json({
+      message: `Test email failed: ${error.message}`,
+      error: error.message
     });
+  }
+});
+
+/**
+ * GET /api/settings/email-outbox
+ * Most recent outgoing emails with their delivery status (optionally filtered by status)
+ */
+router.get('/email-outbox', protect, checkPermission('viewSettings'), async (req, res) => {
+  try {
+    const filter = {};
+    if (req.query.status) {
+      filter.status = req.query.status;
+    }
+
+    const emails = await EmailOutbox.find(filter)
+      .select('-html -text')
+      .sort({ createdAt: -1 })
+      .limit(Math.min(parseInt(req.query.limit, 10) || 20, 100));
+
+    res.json(emails);
   } catch (error) {
-    console.error('Error regenerating API key:', error);
+    console.error('Error fetching email outbox:', error);
     res.status(500).json({ 
-      message: 'Error regenerating API key',
+      message: 'Error fetching email outbox',
       error: error.message 
     });
   }
@@ -177,7 +250,7 @@ router.post('/regenerate-api-key', async (req, res) => {
  * PUT /api/settings/branding
  * Update branding settings (company vision, mission, motto, and logo)
  */
-router.put('/branding', upload.single('companyLogo'), async (req, res) => {
+router.put('/branding', protect, checkPermission('editSettings'), upload.single('companyLogo'), async (req, res) => {
   try {
     let settings = await Settings.findOne({ isSingleton: true });
     
@@ -234,9 +307,11 @@ router.put('/branding', upload.single('companyLogo'), async (req, res) => {
 
 /**
  * DELETE /api/settings/delete-all-assets
- * Delete all assets (dangerous operation)
+ * Move all assets in the user's data scope, with their maintenance records,
+ * to the recycle bin (dangerous operation). Checked-out assets are kept,
+ * as a single delete refuses them too; activity history stays.
  */
-router.delete('/delete-all-assets', async (req, res) => {
+router.delete('/delete-all-assets', protect, checkPermission('deleteAllAssets'), async (req, res) => {
   try {
     const { confirmation } = req.body;
     
@@ -246,16 +321,36 @@ router.delete('/delete-all-assets', async (req, res) => {
       });
     }
     
-    // Delete all equipment
-    const equipmentResult = await Equipment.deleteMany({});
-    
-    // Delete all activities
-    const activityResult = await Activity.deleteMany({});
+    const deleted = await moveAllToRecycleBin(
+      await scopedAssetFilter(req.user, { currentCustody: null }),
+      req.user
+    );
+    const checkedOut = await Equipment.countDocuments(
+      await scopedAssetFilter(req.user, { currentCustody: { $ne: null } })
+    );
+
+    // Log activity - attributed to the authenticated user
+    if (deleted.length > 0) {
+      await Activity.insertMany(deleted.map(asset => ({
+        assetName: asset.name,
+        assetId: asset.id,
+        action: 'Deleted',
+        actionType: 'Deleted',
+        details: 'Moved to the recycle bin (delete all assets)',
+        user: req.user.name,
+        icon: '🗑️',
+        date: 'Just now',
+        timestamp: Date.now(),
+      })));
+    }
+
+    publishAssetChange('bulk');
+    publishMaintenanceChange('bulk');
     
     res.json({ 
-      message: 'All assets deleted successfully',
-      deletedEquipment: equipmentResult.deletedCount,
-      deletedActivities: activityResult.deletedCount
+      message: 'All assets moved to the recycle bin',
+      deletedEquipment: deleted.length,
+      skippedCheckedOut: checkedOut,
     });
   } catch (error) {
     console.error('Error deleting assets:', error);
@@ -270,7 +365,7 @@ router.delete('/delete-all-assets', async (req, res) => {
  * GET /api/settings/users
  * Get all users for permissions management
  */
-router.get('/users', async (req, res) => {
+router.get('/users', protect, checkPermission('managePermissions'), async (req, res) => {
   try {
     const User = require('../models/User');
     const users = await User.find().select('-__v').sort({ createdAt: -1 });
@@ -286,27 +381,35 @@ router.get('/users', async (req, res) => {
 
 /**
  * PUT /api/settings/users/:id/role
- * Update user role
+ * Update user role (any role from /api/roles)
  */
-router.put('/users/:id/role', async (req, res) => {
+router.put('/users/:id/role', protect, checkPermission('managePermissions'), async (req, res) => {
   try {
     const User = require('../models/User');
+    const Role = require('../models/Role');
     const { role } = req.body;
     
-    if (!['Administrator', 'Manager', 'User', 'Viewer'].includes(role)) {
+    if (!role || !(await Role.exists({ name: role }))) {
       return res.status(400).json({ 
-        message: 'Invalid role. Must be Administrator, Manager, User, or Viewer.' 
+        message: 'Invalid role. Choose one of the roles in Settings > Roles.' 
       });
     }
     
+    const before = await User.findById(req.params.id);
+    
+    if (!before) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+
     const user = await User.findByIdAndUpdate(
       req.params.id,
       { role },
       { new: true, runValidators: true }
     );
-    
-    if (!user) {
-      return res.status(404).json({ message: 'User not found' });
+
+    // The new access applies from their next login
+    if (user.role !== before.role) {
+      await revokeUserSessions(user._id, 'Role changed');
     }
     
     res.json(user);
@@ -321,26 +424,29 @@ router.put('/users/:id/role', async (req, res) => {
 
 /**
  * GET /api/settings/stats
- * Get system statistics
+ * Get system statistics. Asset, activity and maintenance counts only
+ * cover the user's data scope.
  */
-router.get('/stats', async (req, res) => {
+router.get('/stats', protect, checkPermission('viewSettings'), async (req, res) => {
   try {
     const User = require('../models/User');
     const Maintenance = require('../models/Maintenance');
     const Notification = require('../models/Notification');
     
+    const countAssets = async filter => Equipment.countDocuments(await scopedAssetFilter(req.user, filter));
+    
     const stats = {
-      totalAssets: await Equipment.countDocuments(),
+      totalAssets: await countAssets(),
       totalUsers: await User.countDocuments(),
-      totalActivities: await Activity.countDocuments(),
-      totalMaintenanceRecords: await Maintenance.countDocuments(),
+      totalActivities: await Activity.countDocuments(await scopedActivityFilter(req.user)),
+      totalMaintenanceRecords: await Maintenance.countDocuments(await scopedMaintenanceFilter(req.user)),
       totalNotifications: await Notification.countDocuments(),
       assetsByStatus: {
-        inUse: await Equipment.countDocuments({ status: 'In Use' }),
-        available: await Equipment.countDocuments({ status: 'Available' }),
-        underMaintenance: await Equipment.countDocuments({ status: 'Under Maintenance' }),
-        retired: await Equipment.countDocuments({ status: 'Retired' }),
-        lost: await Equipment.countDocuments({ status: 'Lost' })
+        inUse: await countAssets({ status: 'In Use' }),
+        available: await countAssets({ status: 'Available' }),
+        underMaintenance: await countAssets({ status: 'Under Maintenance' }),
+        retired: await countAssets({ status: 'Retired' }),
+        lost: await countAssets({ status: 'Lost' })
       }
     };
     
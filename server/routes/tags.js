@@ -8,15 +8,43 @@ const express = require('express');
 const router = express.Router();
 const Tag = require('../models/Tag');
 const Equipment = require('../models/Equipment');
+const { protect, checkPermission } = require('../middleware/auth');
+const { recordChanges } = require('../utils/changeLog');
+const { scopedAssetFilter } = require('../utils/dataScope');
+const { normalizeFieldDefinitions } = require('../utils/customFields');
+
+/**
+ * Check the custom field definitions in a tag body, replacing them with
+ * the tidied definitions. Only "Asset Type" tags have custom fields.
+ * @param {Object} body - Tag fields being saved (modified in place)
+ * @param {string} category - Tag category
+ * @returns {string|null} Error message, or null
+ */
+function applyFieldDefinitions(body, category) {
+  if (body.customFields === undefined) return null;
+  if (category !== 'Asset Type') {
+    if (Array.isArray(body.customFields) && body.customFields.length > 0) {
+      return 'Only Asset Type tags can have custom fields';
+    }
+    body.customFields = [];
+    return null;
+  }
+
+  const { fields, error } = normalizeFieldDefinitions(body.customFields);
+  if (error) return error;
+  body.customFields = fields;
+  return null;
+}
 
 /**
  * @route   GET /api/tags
- * @desc    Get all tags with asset counts
- * @access  Public
+ * @desc    Get all tags with asset counts (of the assets in the user's data scope)
+ * @access  Private (viewTags)
  */
-router.get('/', async (req, res) => {
+router.get('/', protect, checkPermission('viewTags'), async (req, res) => {
   try {
     const tags = await Tag.find().sort({ category: 1, name: 1 });
+    const countAssets = async filter => Equipment.countDocuments(await scopedAssetFilter(req.user, filter));
     
     // Calculate asset count for each tag
     const tagsWithCounts = await Promise.all(
@@ -26,16 +54,16 @@ router.get('/', async (req, res) => {
         // Count assets based on tag category
         switch (tag.category) {
           case 'Asset Type':
-            assetCount = await Equipment.countDocuments({ category: tag.name });
+            assetCount = await countAssets({ category: tag.name });
             break;
           case 'Location':
-            assetCount = await Equipment.countDocuments({ location: tag.name });
+            assetCount = await countAssets({ location: tag.name });
             break;
           case 'Status':
-            assetCount = await Equipment.countDocuments({ status: tag.name });
+            assetCount = await countAssets({ status: tag.name });
             break;
           case 'Department':
-            assetCount = await Equipment.countDocuments({ department: tag.name });
+            assetCount = await countAssets({ department: tag.name });
             break;
           default:
             assetCount = 0;
@@ -59,9 +87,9 @@ router.get('/', async (req, res) => {
 /**
  * @route   GET /api/tags/category/:category
  * @desc    Get tags by category
- * @access  Public
+ * @access  Private (viewTags)
  */
-router.get('/category/:category', async (req, res) => {
+router.get('/category/:category', protect, checkPermission('viewTags'), async (req, res) => {
   try {
     const tags = await Tag.find({ category: req.params.category })
       .sort({ name: 1 });
@@ -76,10 +104,15 @@ router.get('/category/:category', async (req, res) => {
 /**
  * @route   POST /api/tags
  * @desc    Create new tag
- * @access  Public
+ * @access  Private (createTags)
  */
-router.post('/', async (req, res) => {
+router.post('/', protect, checkPermission('createTags'), async (req, res) => {
   try {
+    const fieldError = applyFieldDefinitions(req.body, req.body.category);
+    if (fieldError) {
+      return res.status(400).json({ message: fieldError });
+    }
+
     const tag = new Tag(req.body);
     await tag.save();
     
@@ -93,19 +126,33 @@ router.post('/', async (req, res) => {
 /**
  * @route   PUT /api/tags/:id
  * @desc    Update tag
- * @access  Public
+ * @access  Private (editTags)
  */
-router.put('/:id', async (req, res) => {
+router.put('/:id', protect, checkPermission('editTags'), async (req, res) => {
   try {
+    const existingTag = await Tag.findById(req.params.id);
+
+    if (!existingTag) {
+      return res.status(404).json({ message: 'Tag not found' });
+    }
+
+    const fieldError = applyFieldDefinitions(req.body, req.body.category || existingTag.category);
+    if (fieldError) {
+      return res.status(400).json({ message: fieldError });
+    }
+
     const tag = await Tag.findByIdAndUpdate(
       req.params.id,
       req.body,
       { new: true, runValidators: true }
     );
 
-    if (!tag) {
-      return res.status(404).json({ message: 'Tag not found' });
-    }
+    await recordChanges({
+      entityType: 'Tag',
+      before: existingTag,
+      after: tag,
+      user: req.user,
+    });
 
     res.json(tag);
   } catch (error) {
@@ -117,9 +164,9 @@ router.put('/:id', async (req, res) => {
 /**
  * @route   DELETE /api/tags/:id
  * @desc    Delete tag
- * @access  Public
+ * @access  Private (deleteTags)
  */
-router.delete('/:id', async (req, res) => {
+router.delete('/:id', protect, checkPermission('deleteTags'), async (req, res) => {
   try {
     const tag = await Tag.findByIdAndDelete(req.params.id);
 
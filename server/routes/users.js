@@ -7,13 +7,43 @@
 const express = require('express');
 const router = express.Router();
 const User = require('../models/User');
+const { protect, checkPermission, checkSelfOrPermission, hasPermission } = require('../middleware/auth');
+const { revokeUserSessions } = require('../utils/auth');
+const { checkPassword } = require('../utils/passwordPolicy');
+const { PERMISSIONS, rolePermissions, overridesFor, resolveDataScope } = require('../utils/roles');
+const { parseDataScope } = require('../utils/dataScope');
+
+// Fields only the sign-in flow maintains
+const SECURITY_FIELDS = ['twoFactor', 'passwordHistory', 'passwordChangedAt', 'failedLoginAttempts', 'lockedUntil'];
+
+/**
+ * Why a user update should sign the user out everywhere, if it should:
+ * deactivation or a role/permission change (the new access applies from
+ * their next login)
+ * @param {Object} before - User before the update
+ * @param {Object} after - User after the update
+ * @returns {string|null} Reason recorded on the revoked sessions
+ */
+function forcedLogoutReason(before, after) {
+  if (after.status === 'Inactive' && before.status !== 'Inactive') {
+    return 'Account deactivated';
+  }
+  if (after.role !== before.role) {
+    return 'Role changed';
+  }
+  const changed = PERMISSIONS.some(permission => before.permissions[permission] !== after.permissions[permission]);
+  if (changed) {
+    return 'Permissions changed';
+  }
+  return null;
+}
 
 /**
  * @route   GET /api/users
  * @desc    Get all users
- * @access  Public
+ * @access  Private (viewUsers)
  */
-router.get('/', async (req, res) => {
+router.get('/', protect, checkPermission('viewUsers'), async (req, res) => {
   try {
     const users = await User.find().sort({ createdAt: -1 });
     res.json(users);
@@ -23,12 +53,29 @@ router.get('/', async (req, res) => {
   }
 });
 
+/**
+ * @route   GET /api/users/directory
+ * @desc    Get a minimal list of active users (for assignment dropdowns)
+ * @access  Private
+ */
+router.get('/directory', protect, async (req, res) => {
+  try {
+    const users = await User.find({ status: 'Active' })
+      .select('name email department jobTitle')
+      .sort({ name: 1 });
+    res.json(users);
+  } catch (error) {
+    console.error('Error fetching user directory:', error);
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+});
+
 /**
  * @route   GET /api/users/:id
  * @desc    Get user by ID
- * @access  Public
+ * @access  Private (viewUsers)
  */
-router.get('/:id', async (req, res) => {
+router.get('/:id', protect, checkPermission('viewUsers'), async (req, res) => {
   try {
     const user = await User.findById(req.params.id);
     
@@ -46,11 +93,29 @@ router.get('/:id', async (req, res) => {
 /**
  * @route   POST /api/users
  * @desc    Create new user
- * @access  Public
+ * @access  Private (createUsers)
  */
-router.post('/', async (req, res) => {
+router.post('/', protect, checkPermission('createUsers'), async (req, res) => {
   try {
-    const user = new User(req.body);
+    // Two-factor authentication is set up by the user themselves
+    const fields = { ...req.body };
+    SECURITY_FIELDS.forEach(field => delete fields[field]);
+    delete fields.permissions;
+    delete fields.permissionOverrides;
+    delete fields.dataScope;
+    if (!hasPermission(req.user, 'managePermissions')) {
+      delete fields.role; // New users get the default role
+    }
+
+    if (!fields.password) {
+      return res.status(400).json({ message: 'Password is required' });
+    }
+    const passwordError = await checkPassword(fields.password, fields);
+    if (passwordError) {
+      return res.status(400).json({ message: passwordError });
+    }
+
+    const user = new User(fields);
     await user.save();
     
     res.status(201).json(user);
@@ -68,13 +133,32 @@ router.post('/', async (req, res) => {
 /**
  * @route   PUT /api/users/:id
  * @desc    Update user
- * @access  Public
+ * @access  Private (editUsers)
  */
-router.put('/:id', async (req, res) => {
+router.put('/:id', protect, checkPermission('editUsers'), async (req, res) => {
   try {
+    const updates = { ...req.body };
+    SECURITY_FIELDS.forEach(field => delete updates[field]);
+    // Passwords change through /change-password, which hashes and checks them,
+    // and permissions and data scopes through /:id/permissions
+    delete updates.password;
+    delete updates.permissions;
+    delete updates.permissionOverrides;
+    delete updates.dataScope;
+
+    // Role changes are reserved for users who can manage permissions
+    if (!hasPermission(req.user, 'managePermissions')) {
+      delete updates.role;
+    }
+
+    const before = await User.findById(req.params.id);
+    if (!before) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+
     const user = await User.findByIdAndUpdate(
       req.params.id,
-      req.body,
+      updates,
       { new: true, runValidators: true }
     );
 
@@ -82,6 +166,11 @@ router.put('/:id', async (req, res) => {
       return res.status(404).json({ message: 'User not found' });
     }
 
+    const logoutReason = forcedLogoutReason(before, user);
+    if (logoutReason) {
+      await revokeUserSessions(user._id, logoutReason);
+    }
+
     res.json(user);
   } catch (error) {
     console.error('Error updating user:', error);
@@ -92,9 +181,9 @@ router.put('/:id', async (req, res) => {
 /**
  * @route   DELETE /api/users/:id
  * @desc    Delete user
- * @access  Public
+ * @access  Private (deleteUsers)
  */
-router.delete('/:id', async (req, res) => {
+router.delete('/:id', protect, checkPermission('deleteUsers'), async (req, res) => {
   try {
     const user = await User.findByIdAndDelete(req.params.id);
 
@@ -102,6 +191,8 @@ router.delete('/:id', async (req, res) => {
       return res.status(404).json({ message: 'User not found' });
     }
 
+    await revokeUserSessions(user._id, 'Account deleted');
+
     res.json({ message: 'User deleted successfully', user });
   } catch (error) {
     console.error('Error deleting user:', error);
@@ -112,9 +203,9 @@ router.delete('/:id', async (req, res) => {
 /**
  * @route   GET /api/users/profile/:id
  * @desc    Get user profile with full details
- * @access  Public
+ * @access  Private (viewUsers or self)
  */
-router.get('/profile/:id', async (req, res) => {
+router.get('/profile/:id', protect, checkSelfOrPermission('viewUsers'), async (req, res) => {
   try {
     const user = await User.findById(req.params.id);
     
@@ -132,9 +223,9 @@ router.get('/profile/:id', async (req, res) => {
 /**
  * @route   PUT /api/users/profile/:id
  * @desc    Update user profile
- * @access  Public
+ * @access  Private (editUsers or self)
  */
-router.put('/profile/:id', async (req, res) => {
+router.put('/profile/:id', protect, checkSelfOrPermission('editUsers'), async (req, res) => {
   try {
     const { name, email, jobTitle, phoneNumber, department, notificationPreferences } = req.body;
     
@@ -172,28 +263,43 @@ router.put('/profile/:id', async (req, res) => {
 /**
  * @route   POST /api/users/change-password/:id
  * @desc    Change user password
- * @access  Public
+ * @access  Private (editUsers or self)
  */
-router.post('/change-password/:id', async (req, res) => {
+router.post('/change-password/:id', protect, checkSelfOrPermission('editUsers'), async (req, res) => {
   try {
     const { currentPassword, newPassword } = req.body;
+
+    if (!newPassword) {
+      return res.status(400).json({ message: 'New password is required' });
+    }
     
-    // In a real application, you would:
-    // 1. Verify the current password
-    // 2. Hash the new password
-    // 3. Update the user's password
-    
-    // For now, just update the password field
-    const user = await User.findById(req.params.id);
+    const user = await User.findById(req.params.id).select('+password +passwordHistory');
     
     if (!user) {
       return res.status(404).json({ message: 'User not found' });
     }
 
-    // Simple update (in production, hash the password first)
+    // Users changing their own password must confirm the current one
+    const isSelf = req.user._id.toString() === user._id.toString();
+    if (isSelf) {
+      const isPasswordCorrect = currentPassword && await user.comparePassword(currentPassword);
+      if (!isPasswordCorrect) {
+        return res.status(401).json({ message: 'Current password is incorrect' });
+      }
+    }
+
+    const passwordError = await checkPassword(newPassword, user);
+    if (passwordError) {
+      return res.status(400).json({ message: passwordError });
+    }
+
+    // Password is hashed by the User pre-save hook
     user.password = newPassword;
     await user.save();
 
+    // Sign out the user's other devices (all of them when an admin set the password)
+    await revokeUserSessions(user._id, 'Password changed', isSelf ? req.sessionId : null);
+
     res.json({ message: 'Password updated successfully' });
   } catch (error) {
     console.error('Error changing password:', error);
@@ -203,10 +309,12 @@ router.post('/change-password/:id', async (req, res) => {
 
 /**
  * @route   GET /api/users/:id/permissions
- * @desc    Get user permissions
- * @access  Public
+ * @desc    Get a user's effective permissions, their role's permissions and
+ *          their overrides (the flags that differ from the role), and the
+ *          same for their data scope (null means every asset)
+ * @access  Private (managePermissions or self)
  */
-router.get('/:id/permissions', async (req, res) => {
+router.get('/:id/permissions', protect, checkSelfOrPermission('managePermissions'), async (req, res) => {
   try {
     const user = await User.findById(req.params.id);
     
@@ -219,7 +327,12 @@ router.get('/:id/permissions', async (req, res) => {
       name: user.name,
       email: user.email,
       role: user.role,
-      permissions: user.permissions || {}
+      permissions: user.permissions,
+      rolePermissions: rolePermissions(user.role),
+      overrides: Object.fromEntries(user.permissionOverrides || []),
+      dataScope: user.dataScope,
+      roleDataScope: resolveDataScope({ role: user.role, department: user.department }),
+      effectiveDataScope: user.effectiveDataScope
     });
   } catch (error) {
     console.error('Error fetching permissions:', error);
@@ -229,12 +342,30 @@ router.get('/:id/permissions', async (req, res) => {
 
 /**
  * @route   PUT /api/users/:id/permissions
- * @desc    Update user permissions
- * @access  Public (should be Admin only in production)
+ * @desc    Set a user's permissions. Body: { permissions, dataScope } with the
+ *          flags wanted; the ones that differ from the user's role are stored
+ *          as overrides, so { permissions: {} } resets the user to their role.
+ *          A dataScope ({ departments, locations }) replaces the role's; an
+ *          empty one gives the user their role's scope again.
+ * @access  Private (managePermissions)
  */
-router.put('/:id/permissions', async (req, res) => {
+router.put('/:id/permissions', protect, checkPermission('managePermissions'), async (req, res) => {
   try {
     const { permissions } = req.body;
+
+    const unknown = Object.keys(permissions || {}).filter(permission => !PERMISSIONS.includes(permission));
+    if (unknown.length > 0) {
+      return res.status(400).json({ message: `Unknown permission: ${unknown.join(', ')}` });
+    }
+
+    let dataScope;
+    if (req.body.dataScope !== undefined) {
+      const parsed = parseDataScope(req.body.dataScope);
+      if (parsed.error) {
+        return res.status(400).json({ message: parsed.error });
+      }
+      dataScope = parsed.dataScope;
+    }
     
     const user = await User.findById(req.params.id);
     
@@ -242,14 +373,22 @@ router.put('/:id/permissions', async (req, res) => {
       return res.status(404).json({ message: 'User not found' });
     }
 
-    // Update permissions
-    user.permissions = {
-      ...user.permissions,
-      ...permissions
-    };
+    const before = { status: user.status, role: user.role, permissions: user.permissions };
 
+    if (permissions !== undefined) {
+      user.permissionOverrides = overridesFor(user.role, permissions || {});
+    }
+    if (dataScope) {
+      user.dataScope = dataScope;
+    }
     await user.save();
 
+    const logoutReason = forcedLogoutReason(before, user);
+
+    if (logoutReason) {
+      await revokeUserSessions(user._id, logoutReason);
+    }
+
     res.json({
       message: 'Permissions updated successfully',
       user: {
@@ -257,7 +396,10 @@ router.put('/:id/permissions', async (req, res) => {
         name: user.name,
         email: user.email,
         role: user.role,
-        permissions: user.permissions
+        permissions: user.permissions,
+        overrides: Object.fromEntries(user.permissionOverrides),
+        dataScope: user.dataScope,
+        effectiveDataScope: user.effectiveDataScope
       }
     });
   } catch (error) {
@@ -266,4 +408,73 @@ router.put('/:id/permissions', async (req, res) => {
   }
 });
 
+/**
+ * @route   POST /api/users/:id/logout
+ * @desc    Sign a user out of every device
+ * @access  Private (editUsers)
+ */
+router.post('/:id/logout', protect, checkPermission('editUsers'), async (req, res) => {
+  try {
+    const user = await User.findById(req.params.id);
+
+    if (!user) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+
+    const count = await revokeUserSessions(user._id, `Signed out by ${req.user.name}`);
+
+    res.json({ message: `${user.name} was signed out of ${count} session(s)`, count });
+  } catch (error) {
+    console.error('Error signing out user:', error);
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+});
+
+/**
+ * @route   POST /api/users/:id/unlock
+ * @desc    Unlock an account locked after too many failed sign-ins
+ * @access  Private (editUsers)
+ */
+router.post('/:id/unlock', protect, checkPermission('editUsers'), async (req, res) => {
+  try {
+    const user = await User.findByIdAndUpdate(
+      req.params.id,
+      { failedLoginAttempts: 0, lockedUntil: null },
+      { new: true }
+    );
+
+    if (!user) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+
+    res.json({ message: `${user.name} can sign in again`, user });
+  } catch (error) {
+    console.error('Error unlocking user:', error);
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+});
+
+/**
+ * @route   DELETE /api/users/:id/two-factor
+ * @desc    Reset a user's two-factor authentication (lost device) and sign
+ *          them out; they set it up again at their next login if required
+ * @access  Private (managePermissions)
+ */
+router.delete('/:id/two-factor', protect, checkPermission('managePermissions'), async (req, res) => {
+  try {
+    const user = await User.findByIdAndUpdate(req.params.id, { twoFactor: { enabled: false } }, { new: true });
+
+    if (!user) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+
+    await revokeUserSessions(user._id, 'Two-factor authentication reset');
+
+    res.json({ message: `Two-factor authentication reset for ${user.name}` });
+  } catch (error) {
+    console.error('Error resetting two-factor authentication:', error);
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+});
+
 module.exports = router;
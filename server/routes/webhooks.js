@@ -0,0 +1,294 @@
+/**
+ * Webhook Routes
+ *
+ * API endpoints for outbound webhook subscriptions: register URLs for asset
+ * and maintenance events, rotate signing secrets, ping, and browse or
+ * redeliver deliveries (including the dead-letter list of deliveries that
+ * ran out of attempts). Events are sent by utils/webhooks.js.
+ */
+
+const express = require('express');
+const router = express.Router();
+const Webhook = require('../models/Webhook');
+const WebhookDelivery = require('../models/WebhookDelivery');
+const { protect, checkPermission } = require('../middleware/auth');
+const { WEBHOOK_EVENTS, generateSecret, pingWebhook } = require('../utils/webhooks');
+const { processDeliveries } = require('../utils/webhookQueue');
+
+/**
+ * Whether a string is an http(s) URL
+ */
+function isWebhookUrl(value) {
+  try {
+    const url = new URL(value);
+    return url.protocol === 'https:' || url.protocol === 'http:';
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Check the name/url/events fields of a create or update body
+ * @returns {string|null} Error message
+ */
+function validateWebhook({ name, url, events }, isNew) {
+  if ((isNew || name !== undefined) && !String(name || '').trim()) {
+    return 'Webhook name is required';
+  }
+  if ((isNew || url !== undefined) && !isWebhookUrl(String(url || '').trim())) {
+    return 'Webhook URL must be an http(s) URL';
+  }
+  if (events !== undefined) {
+    if (!Array.isArray(events) || events.length === 0) {
+      return 'Choose at least one event';
+    }
+    const unknown = events.filter(event => !WEBHOOK_EVENTS[event]);
+    if (unknown.length > 0) {
+      return `Unknown event type: ${unknown.join(', ')}`;
+    }
+  } else if (isNew) {
+    return 'Choose at least one event';
+  }
+  return null;
+}
+
+/**
+ * @route   GET /api/webhooks/events
+ * @desc    Event types a webhook can subscribe to
+ * @access  Private (viewSettings)
+ */
+router.get('/events', protect, checkPermission('viewSettings'), (req, res) => {
+  res.json(Object.entries(WEBHOOK_EVENTS).map(([type, description]) => ({ type, description })));
+});
+
+/**
+ * @route   GET /api/webhooks/deliveries
+ * @desc    Webhook deliveries, newest first. Filter with webhookId and status
+ *          (status=Failed is the dead-letter list); limit defaults to 20 (max 100).
+ * @access  Private (viewSettings)
+ */
+router.get('/deliveries', protect, checkPermission('viewSettings'), async (req, res) => {
+  try {
+    const filter = { channel: 'webhook' };
+    if (req.query.webhookId) {
+      filter.webhookId = req.query.webhookId;
+    }
+    if (req.query.status) {
+      filter.status = req.query.status;
+    }
+
+    const deliveries = await WebhookDelivery.find(filter)
+      .select('-payload')
+      .populate('webhookId', 'name')
+      .sort({ createdAt: -1 })
+      .limit(Math.min(parseInt(req.query.limit, 10) || 20, 100));
+
+    res.json(deliveries);
+  } catch (error) {
+    console.error('Error fetching webhook deliveries:', error);
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+});
+
+/**
+ * @route   GET /api/webhooks/deliveries/:id
+ * @desc    One delivery including its payload
+ * @access  Private (viewSettings)
+ */
+router.get('/deliveries/:id', protect, checkPermission('viewSettings'), async (req, res) => {
+  try {
+    const delivery = await WebhookDelivery.findOne({ _id: req.params.id, channel: 'webhook' })
+      .populate('webhookId', 'name');
+    if (!delivery) {
+      return res.status(404).json({ message: 'Delivery not found' });
+    }
+    res.json(delivery);
+  } catch (error) {
+    console.error('Error fetching webhook delivery:', error);
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+});
+
+/**
+ * @route   POST /api/webhooks/deliveries/:id/redeliver
+ * @desc    Send a finished (delivered or dead-lettered) delivery again, signed with the current secret
+ * @access  Private (editSettings)
+ */
+router.post('/deliveries/:id/redeliver', protect, checkPermission('editSettings'), async (req, res) => {
+  try {
+    const delivery = await WebhookDelivery.findOneAndUpdate(
+      { _id: req.params.id, channel: 'webhook', status: { $in: ['Delivered', 'Failed'] } },
+      {
+        $set: { status: 'Pending', nextAttemptAt: new Date(), attempts: 0 },
+        $unset: { lastError: '', deliveredAt: '' },
+      },
+      { new: true }
+    );
+    if (!delivery) {
+      return res.status(404).json({ message: 'Finished delivery not found' });
+    }
+
+    await processDeliveries();
+
+    const updated = await WebhookDelivery.findById(delivery._id)
+      .select('-payload')
+      .populate('webhookId', 'name');
+    res.json(updated);
+  } catch (error) {
+    console.error('Error redelivering webhook:', error);
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+});
+
+/**
+ * @route   GET /api/webhooks
+ * @desc    List webhook subscriptions (secrets are not returned)
+ * @access  Private (viewSettings)
+ */
+router.get('/', protect, checkPermission('viewSettings'), async (req, res) => {
+  try {
+    const webhooks = await Webhook.find().sort({ createdAt: 1 });
+
+    const deadLetters = await WebhookDelivery.aggregate([
+      { $match: { channel: 'webhook', status: 'Failed' } },
+      { $group: { _id: '$webhookId', count: { $sum: 1 } } },
+    ]);
+    const deadLetterCounts = Object.fromEntries(deadLetters.map(item => [String(item._id), item.count]));
+
+    res.json(webhooks.map(webhook => ({
+      ...webhook.toObject(),
+      deadLetterCount: deadLetterCounts[webhook._id.toString()] || 0,
+    })));
+  } catch (error) {
+    console.error('Error fetching webhooks:', error);
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+});
+
+/**
+ * @route   POST /api/webhooks
+ * @desc    Register a webhook. Body: { name, url, events, enabled }.
+ *          The response includes the signing secret; it is not shown again.
+ * @access  Private (editSettings)
+ */
+router.post('/', protect, checkPermission('editSettings'), async (req, res) => {
+  try {
+    const error = validateWebhook(req.body, true);
+    if (error) {
+      return res.status(400).json({ message: error });
+    }
+
+    const secret = generateSecret();
+    const webhook = await Webhook.create({
+      name: req.body.name.trim(),
+      url: req.body.url.trim(),
+      events: [...new Set(req.body.events)],
+      enabled: req.body.enabled !== false,
+      secret,
+      createdBy: req.user.name,
+    });
+
+    res.status(201).json({ ...webhook.toObject(), secret, deadLetterCount: 0 });
+  } catch (error) {
+    console.error('Error creating webhook:', error);
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+});
+
+/**
+ * @route   PUT /api/webhooks/:id
+ * @desc    Update a webhook's name, url, events or enabled flag
+ * @access  Private (editSettings)
+ */
+router.put('/:id', protect, checkPermission('editSettings'), async (req, res) => {
+  try {
+    const error = validateWebhook(req.body, false);
+    if (error) {
+      return res.status(400).json({ message: error });
+    }
+
+    const webhook = await Webhook.findById(req.params.id);
+    if (!webhook) {
+      return res.status(404).json({ message: 'Webhook not found' });
+    }
+
+    if (req.body.name !== undefined) webhook.name = req.body.name.trim();
+    if (req.body.url !== undefined) webhook.url = req.body.url.trim();
+    if (req.body.events !== undefined) webhook.events = [...new Set(req.body.events)];
+    if (req.body.enabled !== undefined) webhook.enabled = Boolean(req.body.enabled);
+
+    await webhook.save();
+
+    res.json(webhook);
+  } catch (error) {
+    console.error('Error updating webhook:', error);
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+});
+
+/**
+ * @route   DELETE /api/webhooks/:id
+ * @desc    Remove a webhook and its delivery history
+ * @access  Private (editSettings)
+ */
+router.delete('/:id', protect, checkPermission('editSettings'), async (req, res) => {
+  try {
+    const webhook = await Webhook.findByIdAndDelete(req.params.id);
+    if (!webhook) {
+      return res.status(404).json({ message: 'Webhook not found' });
+    }
+
+    await WebhookDelivery.deleteMany({ channel: 'webhook', webhookId: webhook._id });
+
+    res.json({ message: 'Webhook deleted successfully' });
+  } catch (error) {
+    console.error('Error deleting webhook:', error);
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+});
+
+/**
+ * @route   POST /api/webhooks/:id/rotate-secret
+ * @desc    Replace the signing secret and return the new one (pending retries are signed with it)
+ * @access  Private (editSettings)
+ */
+router.post('/:id/rotate-secret', protect, checkPermission('editSettings'), async (req, res) => {
+  try {
+    const secret = generateSecret();
+    const webhook = await Webhook.findByIdAndUpdate(req.params.id, { secret }, { new: true });
+    if (!webhook) {
+      return res.status(404).json({ message: 'Webhook not found' });
+    }
+
+    res.json({ ...webhook.toObject(), secret });
+  } catch (error) {
+    console.error('Error rotating webhook secret:', error);
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+});
+
+/**
+ * @route   POST /api/webhooks/:id/ping
+ * @desc    Send a signed ping event now and return the delivery result
+ * @access  Private (editSettings)
+ */
+router.post('/:id/ping', protect, checkPermission('editSettings'), async (req, res) => {
+  try {
+    const webhook = await Webhook.findById(req.params.id);
+    if (!webhook) {
+      return res.status(404).json({ message: 'Webhook not found' });
+    }
+    if (!webhook.enabled) {
+      return res.status(400).json({ message: 'Turn the webhook on before pinging it' });
+    }
+
+    const delivery = await pingWebhook(webhook);
+
+    res.json(delivery);
+  } catch (error) {
+    console.error('Error pinging webhook:', error);
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+});
+
+module.exports = router;
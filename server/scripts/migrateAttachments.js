@@ -0,0 +1,112 @@
+/**
+ * Attachment Migration Script
+ *
+ * Moves legacy base64 attachments (Equipment.attachedFiles[].data) into the
+ * configured file storage backend (FILE_STORAGE_DRIVER), records the storage
+ * key and SHA-256 checksum, and removes the base64 payload from the asset.
+ *
+ * Assets are processed one at a time through a cursor, so the script can be
+ * stopped and re-run safely: files that already have a storage key are skipped.
+ *
+ * Usage:
+ *   node scripts/migrateAttachments.js            # Migrate all attachments
+ *   node scripts/migrateAttachments.js --dry-run  # Report what would be migrated
+ */
+
+require('dotenv').config();
+const mongoose = require('mongoose');
+const Equipment = require('../models/Equipment');
+const { getStorage, computeChecksum, bufferStream } = require('../utils/storage');
+
+async function migrateAttachments({ dryRun }) {
+  const environment = process.env.NODE_ENV || 'development';
+  const mongoURI = environment === 'production'
+    ? process.env.MONGODB_URI_PROD || process.env.MONGODB_URI
+    : process.env.MONGODB_URI_DEV || process.env.MONGODB_URI;
+
+  if (!mongoURI) {
+    throw new Error('MongoDB URI not defined in environment variables');
+  }
+
+  await mongoose.connect(mongoURI);
+  console.log(`✅ Connected to: ${mongoose.connection.name}`);
+
+  const fileStorage = getStorage();
+  console.log(`📦 Target storage: ${fileStorage.name}${dryRun ? ' (dry run)' : ''}\n`);
+
+  const stats = { assets: 0, files: 0, bytes: 0, failed: 0 };
+
+  // Only assets that still hold base64 payloads
+  const cursor = Equipment.find({ 'attachedFiles.data': { $exists: true, $ne: null } }).cursor();
+
+  for await (const equipment of cursor) {
+    let changed = false;
+
+    for (const file of equipment.attachedFiles) {
+      if (!file.data || file.storageKey) continue;
+
+      const buffer = Buffer.from(file.data, 'base64');
+      const storageKey = file.id;
+
+      if (dryRun) {
+        console.log(`  would migrate ${equipment.id}/${file.name} (${buffer.length} bytes)`);
+        stats.files++;
+        stats.bytes += buffer.length;
+        continue;
+      }
+
+      try {
+        const checksum = await computeChecksum(buffer);
+        await fileStorage.save(storageKey, bufferStream(buffer), {
+          contentType: file.type,
+          size: buffer.length,
+          checksum,
+        });
+
+        file.storage = fileStorage.name;
+        file.storageKey = storageKey;
+        file.checksum = checksum;
+        file.size = buffer.length;
+        file.data = undefined;
+        changed = true;
+
+        stats.files++;
+        stats.bytes += buffer.length;
+        console.log(`  ✓ ${equipment.id}/${file.name}`);
+      } catch (error) {
+        stats.failed++;
+        console.error(`  ✗ ${equipment.id}/${file.name}: ${error.message}`);
+      }
+    }
+
+    if (changed) {
+      await equipment.save();
+      stats.assets++;
+    }
+  }
+
+  console.log('\n📊 Summary:');
+  console.log(`  - Assets updated: ${stats.assets}`);
+  console.log(`  - Files ${dryRun ? 'to migrate' : 'migrated'}: ${stats.files}`);
+  console.log(`  - Bytes: ${stats.bytes}`);
+  console.log(`  - Failures: ${stats.failed}`);
+
+  return stats;
+}
+
+if (require.main === module) {
+  const dryRun = process.argv.includes('--dry-run');
+
+  migrateAttachments({ dryRun })
+    .then(async (stats) => {
+      await mongoose.connection.close();
+      process.exit(stats.failed > 0 ? 1 : 0);
+    })
+    .catch(async (error) => {
+      console.error('❌ Migration failed:', error.message);
+      await mongoose.connection.close();
+      process.exit(1);
+    });
+}
+
+module.exports = { migrateAttachments };
@@ -0,0 +1,143 @@
+/**
+ * Location Migration Script
+ *
+ * Builds the first level of the location tree from the flat location names
+ * used before it existed. Every Location tag and every location name found
+ * on an asset becomes a root "Site" node (unless a node already has that
+ * name), with a generated code, and assets are linked to the node with
+ * their location name. Sites can then be arranged into buildings, floors
+ * and rooms from the Locations page.
+ *
+ * Existing nodes and already linked assets are left alone, so the script
+ * can be re-run safely.
+ *
+ * Usage:
+ *   node scripts/migrateLocations.js            # Migrate locations
+ *   node scripts/migrateLocations.js --dry-run  # Report what would be migrated
+ */
+
+require('dotenv').config();
+const mongoose = require('mongoose');
+const Location = require('../models/Location');
+const Equipment = require('../models/Equipment');
+const Tag = require('../models/Tag');
+
+/**
+ * Make a short code from a name (initials, or the first letters of a
+ * single word), numbered when it is already taken
+ * @param {string} name - Location name
+ * @param {Set<string>} taken - Codes in use (the new code is added)
+ * @returns {string}
+ */
+function generateCode(name, taken) {
+  const words = name.toUpperCase().replace(/[^A-Z0-9 ]/g, ' ').split(/\s+/).filter(Boolean);
+  const base = (words.length > 1
+    ? words.map(word => word[0]).join('')
+    : (words[0] || 'LOC')).substring(0, 6);
+
+  let code = base;
+  for (let n = 2; taken.has(code); n++) {
+    code = `${base}-${n}`;
+  }
+  taken.add(code);
+  return code;
+}
+
+async function migrateLocations({ dryRun }) {
+  const environment = process.env.NODE_ENV || 'development';
+  const mongoURI = environment === 'production'
+    ? process.env.MONGODB_URI_PROD || process.env.MONGODB_URI
+    : process.env.MONGODB_URI_DEV || process.env.MONGODB_URI;
+
+  if (!mongoURI) {
+    throw new Error('MongoDB URI not defined in environment variables');
+  }
+
+  await mongoose.connect(mongoURI);
+  console.log(`✅ Connected to: ${mongoose.connection.name}${dryRun ? ' (dry run)' : ''}\n`);
+
+  const stats = { created: 0, linked: 0, failed: 0 };
+
+  const [tagNames, assetNames, existing] = await Promise.all([
+    Tag.find({ category: 'Location' }).distinct('name'),
+    Equipment.distinct('location'),
+    Location.find().select('name code'),
+  ]);
+  const existingNames = new Set(existing.map(location => location.name));
+  const taken = new Set(existing.map(location => location.code));
+
+  const names = [...new Set([...tagNames, ...assetNames].map(name => (name || '').trim()).filter(Boolean))]
+    .filter(name => !existingNames.has(name))
+    .sort();
+
+  for (const name of names) {
+    const code = generateCode(name, taken);
+    if (dryRun) {
+      console.log(`  • ${name} → ${code}`);
+      stats.created++;
+      continue;
+    }
+
+    try {
+      await Location.create({ name, code, type: 'Site' });
+      stats.created++;
+    } catch (error) {
+      stats.failed++;
+      console.error(`  ✗ ${name}: ${error.message}`);
+    }
+  }
+
+  // Link assets to the node with their location name, when exactly one has it
+  const locations = dryRun ? [] : await Location.find().select('name');
+  const byName = new Map();
+  locations.forEach((location) => {
+    byName.set(location.name, byName.has(location.name) ? null : location._id);
+  });
+
+  const cursor = Equipment.collection.find({
+    location: { $nin: [null, ''] },
+    locationId: { $in: [null] },
+  });
+
+  for await (const asset of cursor) {
+    if (dryRun) {
+      stats.linked++;
+      continue;
+    }
+
+    const locationId = byName.get(asset.location.trim());
+    if (!locationId) continue;
+
+    try {
+      await Equipment.collection.updateOne({ _id: asset._id }, { $set: { locationId } });
+      stats.linked++;
+    } catch (error) {
+      stats.failed++;
+      console.error(`  ✗ ${asset.id}: ${error.message}`);
+    }
+  }
+
+  console.log('\n📊 Summary:');
+  console.log(`  - Sites ${dryRun ? 'to create' : 'created'}: ${stats.created}`);
+  console.log(`  - Assets ${dryRun ? 'to link' : 'linked'}: ${stats.linked}`);
+  console.log(`  - Failures: ${stats.failed}`);
+
+  return stats;
+}
+
+if (require.main === module) {
+  const dryRun = process.argv.includes('--dry-run');
+
+  migrateLocations({ dryRun })
+    .then(async (stats) => {
+      await mongoose.connection.close();
+      process.exit(stats.failed > 0 ? 1 : 0);
+    })
+    .catch(async (error) => {
+      console.error('❌ Migration failed:', error.message);
+      await mongoose.connection.close();
+      process.exit(1);
+    });
+}
+
+module.exports = { migrateLocations };
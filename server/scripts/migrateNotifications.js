@@ -0,0 +1,95 @@
+/**
+ * Notification Migration Script
+ *
+ * Converts notifications saved before per-recipient read state existed.
+ * Personal notifications (userId) get that user as their only recipient;
+ * general ones get the active administrators, who used to share them.
+ * The old shared `read` flag becomes each recipient's read state.
+ *
+ * Only notifications without a recipient list are touched, so the script
+ * can be re-run safely.
+ *
+ * Usage:
+ *   node scripts/migrateNotifications.js            # Migrate all notifications
+ *   node scripts/migrateNotifications.js --dry-run  # Report what would be migrated
+ */
+
+require('dotenv').config();
+const mongoose = require('mongoose');
+const Notification = require('../models/Notification');
+const User = require('../models/User');
+
+async function migrateNotifications({ dryRun }) {
+  const environment = process.env.NODE_ENV || 'development';
+  const mongoURI = environment === 'production'
+    ? process.env.MONGODB_URI_PROD || process.env.MONGODB_URI
+    : process.env.MONGODB_URI_DEV || process.env.MONGODB_URI;
+
+  if (!mongoURI) {
+    throw new Error('MongoDB URI not defined in environment variables');
+  }
+
+  await mongoose.connect(mongoURI);
+  console.log(`✅ Connected to: ${mongoose.connection.name}${dryRun ? ' (dry run)' : ''}\n`);
+
+  const admins = await User.find({ role: 'Administrator', status: 'Active' }).select('_id');
+  const stats = { personal: 0, general: 0, failed: 0 };
+
+  // The old `read` field is no longer in the schema, so read the raw documents
+  const cursor = Notification.collection.find({ recipients: { $exists: false } });
+
+  for await (const notification of cursor) {
+    const readAt = notification.read ? notification.updatedAt || new Date() : null;
+    const users = notification.userId
+      ? [new mongoose.Types.ObjectId(String(notification.userId))]
+      : admins.map(admin => admin._id);
+
+    if (dryRun) {
+      stats[notification.userId ? 'personal' : 'general']++;
+      continue;
+    }
+
+    try {
+      await Notification.collection.updateOne(
+        { _id: notification._id },
+        {
+          $set: {
+            audience: notification.userId
+              ? { users: [String(notification.userId)] }
+              : { roles: ['Administrator'] },
+            recipients: users.map(user => ({ user, readAt, dismissedAt: null })),
+          },
+          $unset: { read: '' },
+        }
+      );
+      stats[notification.userId ? 'personal' : 'general']++;
+    } catch (error) {
+      stats.failed++;
+      console.error(`  ✗ ${notification._id}: ${error.message}`);
+    }
+  }
+
+  console.log('📊 Summary:');
+  console.log(`  - Personal notifications ${dryRun ? 'to migrate' : 'migrated'}: ${stats.personal}`);
+  console.log(`  - General notifications ${dryRun ? 'to migrate' : 'migrated'}: ${stats.general} (${admins.length} administrator(s) each)`);
+  console.log(`  - Failures: ${stats.failed}`);
+
+  return stats;
+}
+
+if (require.main === module) {
+  const dryRun = process.argv.includes('--dry-run');
+
+  migrateNotifications({ dryRun })
+    .then(async (stats) => {
+      await mongoose.connection.close();
+      process.exit(stats.failed > 0 ? 1 : 0);
+    })
+    .catch(async (error) => {
+      console.error('❌ Migration failed:', error.message);
+      await mongoose.connection.close();
+      process.exit(1);
+    });
+}
+
+module.exports = { migrateNotifications };
@@ -0,0 +1,93 @@
+/**
+ * Role Migration Script
+ *
+ * Converts users saved before roles existed. Each user stored all of their
+ * permission flags; now they get their role's permissions plus overrides,
+ * so the flags that differ from their role's built-in permissions become
+ * overrides and the old `permissions` field is removed. Every user keeps
+ * exactly the access they had.
+ *
+ * Only users with the old field are touched, so the script can be re-run
+ * safely. Run it before changing the built-in roles' permissions.
+ *
+ * Usage:
+ *   node scripts/migrateRoles.js            # Migrate all users
+ *   node scripts/migrateRoles.js --dry-run  # Report what would be migrated
+ */
+
+require('dotenv').config();
+const mongoose = require('mongoose');
+const User = require('../models/User');
+const { loadRoles, overridesFor } = require('../utils/roles');
+
+async function migrateRoles({ dryRun }) {
+  const environment = process.env.NODE_ENV || 'development';
+  const mongoURI = environment === 'production'
+    ? process.env.MONGODB_URI_PROD || process.env.MONGODB_URI
+    : process.env.MONGODB_URI_DEV || process.env.MONGODB_URI;
+
+  if (!mongoURI) {
+    throw new Error('MongoDB URI not defined in environment variables');
+  }
+
+  await mongoose.connect(mongoURI);
+  console.log(`✅ Connected to: ${mongoose.connection.name}${dryRun ? ' (dry run)' : ''}\n`);
+
+  // Creates the built-in roles when they do not exist yet
+  await loadRoles();
+  const stats = { unchanged: 0, withOverrides: 0, failed: 0 };
+
+  // The old `permissions` field is no longer in the schema, so read the raw documents
+  const cursor = User.collection.find({ permissions: { $exists: true } });
+
+  for await (const user of cursor) {
+    const overrides = overridesFor(user.role, user.permissions || {});
+    const count = Object.keys(overrides).length;
+
+    if (dryRun) {
+      stats[count > 0 ? 'withOverrides' : 'unchanged']++;
+      if (count > 0) {
+        console.log(`  • ${user.email} (${user.role}): ${Object.keys(overrides).join(', ')}`);
+      }
+      continue;
+    }
+
+    try {
+      await User.collection.updateOne(
+        { _id: user._id },
+        {
+          $set: { permissionOverrides: overrides },
+          $unset: { permissions: '' },
+        }
+      );
+      stats[count > 0 ? 'withOverrides' : 'unchanged']++;
+    } catch (error) {
+      stats.failed++;
+      console.error(`  ✗ ${user.email}: ${error.message}`);
+    }
+  }
+
+  console.log('\n📊 Summary:');
+  console.log(`  - Users matching their role ${dryRun ? 'to migrate' : 'migrated'}: ${stats.unchanged}`);
+  console.log(`  - Users with overrides ${dryRun ? 'to migrate' : 'migrated'}: ${stats.withOverrides}`);
+  console.log(`  - Failures: ${stats.failed}`);
+
+  return stats;
+}
+
+if (require.main === module) {
+  const dryRun = process.argv.includes('--dry-run');
+
+  migrateRoles({ dryRun })
+    .then(async (stats) => {
+      await mongoose.connection.close();
+      process.exit(stats.failed > 0 ? 1 : 0);
+    })
+    .catch(async (error) => {
+      console.error('❌ Migration failed:', error.message);
+      await mongoose.connection.close();
+      process.exit(1);
+    });
+}
+
+module.exports = { migrateRoles };
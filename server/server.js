@@ -17,14 +17,29 @@ const equipmentRoutes = require('./routes/equipment');
 const activityRoutes = require('./routes/activities');
 const userRoutes = require('./routes/users');
 const tagRoutes = require('./routes/tags');
+const locationRoutes = require('./routes/locations');
 const maintenanceRoutes = require('./routes/maintenance');
 const notificationRoutes = require('./routes/notifications');
 const settingsRoutes = require('./routes/settings');
 const cronRoutes = require('./routes/cron');
+const importRoutes = require('./routes/imports');
+const changeRoutes = require('./routes/changes');
+const jobRoutes = require('./routes/jobs');
+const integrationRoutes = require('./routes/integrations');
+const webhookRoutes = require('./routes/webhooks');
+const notificationRuleRoutes = require('./routes/notificationRules');
+const apiKeyRoutes = require('./routes/apiKeys');
+const eventRoutes = require('./routes/events');
+const loginAuditRoutes = require('./routes/loginAudit');
+const roleRoutes = require('./routes/roles');
 
 // Import middleware
 const { checkMaintenanceMode } = require('./middleware/maintenanceMode');
 
+// Background jobs
+const { startScheduler, stopScheduler } = require('./utils/scheduler');
+const { closeAllClients } = require('./utils/realtime');
+
 // Initialize Express app
 const app = express();
 const PORT = process.env.PORT || 5000;
@@ -70,7 +85,7 @@ const corsOptions = {
   credentials: true,
   optionsSuccessStatus: 200,
   methods: ['GET', 'POST', 'PUT', 'DELETE', 'PATCH'],
-  allowedHeaders: ['Content-Type', 'Authorization']
+  allowedHeaders: ['Content-Type', 'Authorization', 'X-API-Key']
 };
 
 // Middleware
@@ -86,9 +101,10 @@ app.use((req, res, next) => {
   next();
 });
 
-// Serve static files from uploads directory
-app.use('/uploads', express.static(path.join(__dirname, 'uploads')));
-app.use('/api/uploads', express.static(path.join(__dirname, 'uploads')));
+// Serve public branding images (logos) from the uploads directory.
+// Asset documents are only served through the authenticated equipment routes.
+app.use('/uploads/branding', express.static(path.join(__dirname, 'uploads/branding')));
+app.use('/api/uploads/branding', express.static(path.join(__dirname, 'uploads/branding')));
 
 // Request logging middleware (only in development)
 if (NODE_ENV === 'development') {
@@ -106,11 +122,22 @@ app.use('/api/auth', authRoutes); // Authentication routes (public)
 app.use('/api/equipment', equipmentRoutes);
 app.use('/api/activities', activityRoutes);
 app.use('/api/users', userRoutes);
+app.use('/api/roles', roleRoutes);
 app.use('/api/tags', tagRoutes);
+app.use('/api/locations', locationRoutes);
 app.use('/api/maintenance', maintenanceRoutes);
 app.use('/api/notifications', notificationRoutes);
 app.use('/api/settings', settingsRoutes);
 app.use('/api/cron', cronRoutes);
+app.use('/api/imports', importRoutes);
+app.use('/api/changes', changeRoutes);
+app.use('/api/jobs', jobRoutes);
+app.use('/api/integrations', integrationRoutes);
+app.use('/api/webhooks', webhookRoutes);
+app.use('/api/notification-rules', notificationRuleRoutes);
+app.use('/api/api-keys', apiKeyRoutes);
+app.use('/api/login-audit', loginAuditRoutes);
+app.use('/api/events', eventRoutes); // Server-Sent Events stream
 
 // Health check route
 app.get('/api/health', (req, res) => {
@@ -172,11 +199,17 @@ const server = app.listen(PORT, () => {
   if (NODE_ENV === 'production') {
     console.log(`🌐 Your API is publicly accessible at: ${baseUrl}`);
   }
+
+  // Run scheduled jobs (maintenance notifications, overdue marking, retention purge, backups)
+  startScheduler();
 });
 
 // Graceful shutdown
 const gracefulShutdown = (signal) => {
   console.log(`\n${signal} received. Closing server gracefully...`);
+  stopScheduler();
+  // Open event streams would otherwise keep server.close() waiting
+  closeAllClients();
   server.close(() => {
     console.log('Server closed. Exiting process.');
     process.exit(0);
@@ -0,0 +1,125 @@
+/**
+ * Slack and Microsoft Teams Integration Tests
+ *
+ * Checks which notifications are queued for each channel and the messages
+ * queued for them.
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const WebhookDelivery = require('../models/WebhookDelivery');
+const { dispatchNotification } = require('../utils/chatIntegrations');
+const { mockSettings, mockQueue, settle } = require('./mockModels');
+
+process.env.CLIENT_URL = 'https://assets.example.com/';
+
+const integrations = {
+  slack: { enabled: true, webhookUrl: 'https://hooks.slack.com/services/T000/B000/XXXX' },
+  teams: { enabled: true, webhookUrl: 'https://example.webhook.office.com/webhookb2/abc' },
+  routes: {
+    maintenanceOverdue: { slack: true, teams: true },
+    newAsset: { slack: true, teams: false },
+    statusChange: { slack: true, teams: true },
+  },
+  statusChangeStatuses: ['Out of Service'],
+};
+
+const notification = {
+  _id: 'notification-1',
+  title: 'Maintenance overdue',
+  message: 'Forklift <FL-01> & charger missed their service',
+  priority: 'high',
+  assetId: 'FL 01',
+};
+
+/**
+ * Mock the settings and the delivery queue; returns the WebhookDelivery.create mock
+ */
+function mockIntegrations(t, settings = { appName: 'Asset Desk', integrations }) {
+  mockSettings(t, settings);
+  return mockQueue(t, WebhookDelivery);
+}
+
+test('queues a Slack message and a Teams card for a routed event', async (t) => {
+  const create = mockIntegrations(t);
+
+  const queued = await dispatchNotification(notification, 'maintenanceOverdue');
+  await settle();
+
+  assert.equal(queued, 2);
+  const [slack, teams] = create.mock.calls.map(call => call.arguments[0]);
+
+  assert.equal(slack.channel, 'slack');
+  assert.equal(slack.url, integrations.slack.webhookUrl);
+  assert.equal(slack.event, 'maintenanceOverdue');
+  assert.equal(slack.notificationId, 'notification-1');
+  assert.equal(slack.assetId, 'FL 01');
+  assert.deepEqual(slack.payload, {
+    text: 'Maintenance overdue: Forklift &lt;FL-01&gt; &amp; charger missed their service',
+    blocks: [
+      { type: 'header', text: { type: 'plain_text', text: 'Maintenance overdue' } },
+      { type: 'section', text: { type: 'mrkdwn', text: 'Forklift &lt;FL-01&gt; &amp; charger missed their service' } },
+      { type: 'context', elements: [{ type: 'mrkdwn', text: 'Asset Desk | Priority: high | Asset: FL 01' }] },
+      {
+        type: 'actions',
+        elements: [{
+          type: 'button',
+          text: { type: 'plain_text', text: 'View asset' },
+          url: 'https://assets.example.com/asset/FL%2001',
+          style: 'danger',
+        }],
+      },
+    ],
+  });
+
+  assert.equal(teams.channel, 'teams');
+  assert.equal(teams.url, integrations.teams.webhookUrl);
+  assert.equal(teams.payload.type, 'message');
+  const [attachment] = teams.payload.attachments;
+  assert.equal(attachment.contentType, 'application/vnd.microsoft.card.adaptive');
+  const card = attachment.content;
+  assert.equal(card.type, 'AdaptiveCard');
+  assert.deepEqual(card.body.map(block => block.text).filter(Boolean), [
+    'Asset Desk',
+    'Maintenance overdue',
+    'Forklift <FL-01> & charger missed their service',
+  ]);
+  assert.equal(card.body[1].color, 'Attention');
+  assert.deepEqual(card.body[3].facts, [
+    { title: 'Priority', value: 'high' },
+    { title: 'Asset', value: 'FL 01' },
+  ]);
+  assert.deepEqual(card.actions, [{
+    type: 'Action.OpenUrl',
+    title: 'View asset',
+    url: 'https://assets.example.com/asset/FL%2001',
+  }]);
+});
+
+test('queues only for the channels an event is routed to', async (t) => {
+  const create = mockIntegrations(t);
+
+  const queued = await dispatchNotification({ ...notification, priority: 'low' }, 'newAsset');
+  await settle();
+
+  assert.equal(queued, 1);
+  const [slack] = create.mock.calls[0].arguments;
+  assert.equal(slack.channel, 'slack');
+  assert.equal(slack.payload.blocks[3].elements[0].style, undefined);
+});
+
+test('skips personal notifications, unrouted statuses and disabled channels', async (t) => {
+  const create = mockIntegrations(t, {
+    appName: 'Asset Desk',
+    integrations: { ...integrations, teams: { ...integrations.teams, enabled: false } },
+  });
+
+  assert.equal(await dispatchNotification({ ...notification, userId: 'user-1' }, 'maintenanceOverdue'), 0);
+  assert.equal(await dispatchNotification(notification, 'statusChange', { status: 'Active' }), 0);
+  assert.equal(await dispatchNotification(notification, 'unknownEvent'), 0);
+  assert.equal(await dispatchNotification(notification, 'statusChange', { status: 'Out of Service' }), 1);
+  await settle();
+
+  assert.equal(create.mock.callCount(), 1);
+  assert.equal(create.mock.calls[0].arguments[0].channel, 'slack');
+});
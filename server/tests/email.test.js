@@ -0,0 +1,79 @@
+/**
+ * Email Tests
+ *
+ * Checks the rendered templates and the outbox entries queued for them.
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const EmailOutbox = require('../models/EmailOutbox');
+const { renderTemplate } = require('../utils/emailTemplates');
+const { queueEmail } = require('../utils/email');
+const { mockSettings, mockQueue, settle } = require('./mockModels');
+
+const branding = {
+  appName: 'Asset Desk',
+  primaryColor: '#123456',
+  appUrl: 'https://assets.example.com',
+};
+
+const notification = {
+  title: 'Maintenance overdue',
+  message: 'Forklift <FL-01> missed its "Quarterly" service',
+};
+
+test('renders a notification email with the branding and escaped content', () => {
+  const email = renderTemplate('maintenanceOverdue', branding, { notification });
+
+  assert.equal(email.subject, '[Asset Desk] Maintenance overdue');
+  assert.match(email.html, /background:#123456/);
+  assert.match(email.html, /Forklift &lt;FL-01&gt; missed its &quot;Quarterly&quot; service/);
+  assert.doesNotMatch(email.html, /<FL-01>/);
+  assert.match(email.html, /href="https:\/\/assets\.example\.com"/);
+
+  assert.equal(email.text.split('\n')[0], 'Maintenance overdue');
+  assert.match(email.text, /Forklift <FL-01> missed its "Quarterly" service/);
+  assert.match(email.text, /Open Asset Desk: https:\/\/assets\.example\.com/);
+  assert.match(email.text, /-- Asset Desk$/);
+});
+
+test('rejects unknown templates', () => {
+  assert.throws(() => renderTemplate('missing', branding, {}), /Unknown email template: missing/);
+});
+
+test('queues nothing while email is turned off', async (t) => {
+  mockSettings(t, { emailNotificationsEnabled: false, emailHost: 'smtp.example.com' });
+  const create = mockQueue(t, EmailOutbox);
+
+  const email = await queueEmail({ to: 'sam@example.com', template: 'test', data: { name: 'Sam' } });
+
+  assert.equal(email, null);
+  assert.equal(create.mock.callCount(), 0);
+});
+
+test('queues the rendered email in the outbox', async (t) => {
+  mockSettings(t, {
+    appName: 'Asset Desk',
+    emailNotificationsEnabled: true,
+    emailHost: 'smtp.example.com',
+    emailFrom: 'assets@example.com',
+  });
+  const create = mockQueue(t, EmailOutbox);
+
+  await queueEmail({
+    to: 'sam@example.com',
+    template: 'passwordReset',
+    data: { name: 'Sam', resetUrl: 'https://assets.example.com/reset-password/abc', expiresMinutes: 60 },
+  });
+  await settle();
+
+  assert.equal(create.mock.callCount(), 1);
+  const [entry] = create.mock.calls[0].arguments;
+  assert.equal(entry.to, 'sam@example.com');
+  assert.equal(entry.template, 'passwordReset');
+  assert.equal(entry.notificationId, null);
+  assert.equal(entry.subject, '[Asset Desk] Reset your password');
+  assert.match(entry.html, /href="https:\/\/assets\.example\.com\/reset-password\/abc"/);
+  assert.match(entry.text, /Reset password: https:\/\/assets\.example\.com\/reset-password\/abc/);
+  assert.match(entry.text, /expires in 60 minutes/);
+});
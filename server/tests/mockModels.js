@@ -0,0 +1,46 @@
+/**
+ * Model Mocks for Tests
+ *
+ * Replace the Mongoose calls of the settings and the email/webhook queues
+ * with node:test mocks for the length of one test, so no MongoDB is needed.
+ */
+
+const Settings = require('../models/Settings');
+
+/**
+ * Serve a settings document to Settings.findOne(...).select(...)
+ * @param {Object} t - Test context
+ * @param {Object} settings - Settings document
+ */
+function mockSettings(t, settings) {
+  return t.mock.method(Settings, 'findOne', () => ({ select: async () => settings }));
+}
+
+/**
+ * Mock a queue collection (EmailOutbox or WebhookDelivery). A queue run
+ * claims the given entries in order, then finds nothing more to send.
+ * @param {Object} t - Test context
+ * @param {Object} Model - Queue model
+ * @param {Array<Object>} [claims] - Entries handed out by findOneAndUpdate
+ * @returns {Object} The mock of Model.create, recording what was queued
+ */
+function mockQueue(t, Model, claims = []) {
+  const pending = [...claims];
+  t.mock.method(Model, 'updateMany', async () => ({}));
+  t.mock.method(Model, 'findOneAndUpdate', async () => pending.shift() || null);
+  return t.mock.method(Model, 'create', async (doc) => doc);
+}
+
+/**
+ * Wait for a queue run started in the background to finish, while the
+ * mocks of the current test are still in place
+ */
+function settle() {
+  return new Promise(resolve => setImmediate(resolve));
+}
+
+module.exports = {
+  mockSettings,
+  mockQueue,
+  settle,
+};
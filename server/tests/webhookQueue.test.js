@@ -0,0 +1,94 @@
+/**
+ * Webhook Delivery Tests
+ *
+ * Checks the HMAC signature of outbound webhook requests, both against a
+ * fixed value and the way a receiver would verify a posted delivery.
+ * fetch is mocked, so nothing is actually posted.
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const Webhook = require('../models/Webhook');
+const WebhookDelivery = require('../models/WebhookDelivery');
+const { signPayload, processDeliveries } = require('../utils/webhookQueue');
+const { mockSettings, mockQueue } = require('./mockModels');
+
+test('signs the timestamp and raw body with HMAC-SHA256', () => {
+  const body = '{"event":"equipment.updated","data":{"id":"FL-01"}}';
+
+  assert.equal(
+    signPayload('whsec_test', 1700000000, body),
+    '78794efc929e367e42f90baa051043f6f430ec0ecb4639adcf7a9bcf05e1feb0'
+  );
+  assert.notEqual(signPayload('whsec_test', 1700000001, body), signPayload('whsec_test', 1700000000, body));
+  assert.notEqual(signPayload('whsec_other', 1700000000, body), signPayload('whsec_test', 1700000000, body));
+});
+
+test('posts outbound webhooks with headers a receiver can verify', async (t) => {
+  const secret = 'whsec_0123456789abcdef';
+  const delivery = {
+    _id: 'delivery-1',
+    channel: 'webhook',
+    event: 'equipment.updated',
+    webhookId: 'webhook-1',
+    payload: { event: 'equipment.updated', data: { equipment: { id: 'FL-01', name: 'Forklift' } } },
+    attempts: 1,
+    maxAttempts: 5,
+    save: async () => {},
+  };
+
+  mockSettings(t, {});
+  mockQueue(t, WebhookDelivery, [delivery]);
+  t.mock.method(Webhook, 'findById', () => ({
+    select: async () => ({ enabled: true, url: 'https://erp.example.com/hooks/assets', secret }),
+  }));
+  t.mock.method(Webhook, 'updateOne', async () => ({}));
+  const post = t.mock.method(globalThis, 'fetch', async () => ({ ok: true, status: 204 }));
+
+  const result = await processDeliveries();
+
+  assert.equal(result.delivered, 1);
+  assert.equal(delivery.status, 'Delivered');
+  assert.equal(delivery.responseStatus, 204);
+
+  const [url, request] = post.mock.calls[0].arguments;
+  assert.equal(url, 'https://erp.example.com/hooks/assets');
+  assert.equal(request.method, 'POST');
+  assert.equal(request.body, JSON.stringify(delivery.payload));
+  assert.equal(request.headers['Content-Type'], 'application/json');
+  assert.equal(request.headers['X-Webhook-Event'], 'equipment.updated');
+  assert.equal(request.headers['X-Webhook-Delivery'], 'delivery-1');
+
+  // Verify as a receiver would: recompute over "<timestamp>.<raw body>"
+  const timestamp = request.headers['X-Webhook-Timestamp'];
+  assert.ok(Math.abs(Date.now() / 1000 - Number(timestamp)) < 60);
+  const expected = crypto.createHmac('sha256', secret).update(`${timestamp}.${request.body}`).digest('hex');
+  const signature = request.headers['X-Webhook-Signature'];
+  assert.match(signature, /^sha256=[0-9a-f]{64}$/);
+  assert.ok(crypto.timingSafeEqual(Buffer.from(signature), Buffer.from(`sha256=${expected}`)));
+});
+
+test('posts Slack and Teams messages unsigned', async (t) => {
+  const delivery = {
+    _id: 'delivery-2',
+    channel: 'slack',
+    url: 'https://hooks.slack.com/services/T000/B000/XXXX',
+    payload: { text: 'Maintenance overdue' },
+    attempts: 1,
+    maxAttempts: 5,
+    save: async () => {},
+  };
+
+  mockSettings(t, { integrations: { slack: { enabled: true } } });
+  mockQueue(t, WebhookDelivery, [delivery]);
+  const post = t.mock.method(globalThis, 'fetch', async () => ({ ok: true, status: 200 }));
+
+  await processDeliveries();
+
+  const [url, request] = post.mock.calls[0].arguments;
+  assert.equal(url, delivery.url);
+  assert.equal(request.body, '{"text":"Maintenance overdue"}');
+  assert.equal(request.headers['X-Webhook-Signature'], undefined);
+  assert.equal(delivery.status, 'Delivered');
+});
@@ -0,0 +1,130 @@
+/**
+ * API Keys
+ *
+ * Generation, hashing and checking of the named API keys machine clients
+ * send in the X-API-Key header. A key authenticates as a principal that
+ * holds only the permissions of its scopes, so the existing
+ * checkPermission() guards apply unchanged; administrator-only routes stay
+ * closed to keys.
+ */
+
+const crypto = require('crypto');
+const net = require('net');
+
+const KEY_PREFIX = 'amk_';
+
+// Scopes a key can be given and the permissions each one grants
+const API_KEY_SCOPES = {
+  'assets:read': {
+    label: 'Read assets',
+    description: 'List and view assets, tags, documents and activity',
+    permissions: ['viewDashboard', 'viewAssets', 'exportAssets', 'downloadDocuments', 'viewTags', 'viewActivities'],
+  },
+  'assets:write': {
+    label: 'Write assets',
+    description: 'Create, edit, check out and import assets, documents and notes',
+    permissions: [
+      'createAssets', 'editAssets', 'deleteAssets', 'uploadDocuments', 'deleteDocuments',
+      'checkOutAssets', 'importAssets', 'createNotes', 'editNotes', 'deleteNotes', 'createActivities',
+    ],
+  },
+  maintenance: {
+    label: 'Maintenance',
+    description: 'View, schedule and update maintenance records',
+    permissions: ['viewMaintenance', 'createMaintenance', 'editMaintenance', 'deleteMaintenance'],
+  },
+  reports: {
+    label: 'Reports',
+    description: 'View and export reports',
+    permissions: ['viewReports', 'exportReports'],
+  },
+};
+
+/**
+ * SHA-256 hash of a key, as stored in ApiKey.keyHash
+ * @param {string} key - Raw key
+ */
+function hashApiKey(key) {
+  return crypto.createHash('sha256').update(String(key)).digest('hex');
+}
+
+/**
+ * Create a new random key
+ * @returns {{ key: string, keyHash: string, prefix: string }}
+ */
+function generateApiKey() {
+  const key = `${KEY_PREFIX}${crypto.randomBytes(24).toString('base64url')}`;
+  return { key, keyHash: hashApiKey(key), prefix: key.slice(0, KEY_PREFIX.length + 6) };
+}
+
+/**
+ * Strip the IPv6 prefix Node puts in front of IPv4 addresses
+ */
+function normalizeIp(ip) {
+  return String(ip || '').replace(/^::ffff:/, '');
+}
+
+/**
+ * Whether an allowlist entry (IP address or IPv4 CIDR range) is well formed
+ * @param {string} entry - e.g. "203.0.113.7" or "10.0.0.0/24"
+ */
+function isValidIpEntry(entry) {
+  const [address, bits, extra] = String(entry).split('/');
+  if (extra !== undefined) return false;
+  if (bits === undefined) return net.isIP(address) !== 0;
+  const size = Number(bits);
+  return net.isIPv4(address) && Number.isInteger(size) && size >= 0 && size <= 32;
+}
+
+/**
+ * Whether a client address is allowed by a key's allowlist
+ * @param {string} ip - Client address (req.ip)
+ * @param {Array<string>} allowedIps - IP addresses or IPv4 CIDR ranges; empty allows any
+ */
+function isIpAllowed(ip, allowedIps = []) {
+  if (allowedIps.length === 0) return true;
+
+  const client = normalizeIp(ip);
+  const toNumber = address => address.split('.').reduce((total, part) => total * 256 + Number(part), 0);
+
+  return allowedIps.some(entry => {
+    const [address, bits] = entry.split('/');
+    if (bits === undefined) return normalizeIp(address) === client;
+    if (!net.isIPv4(client)) return false;
+    const hostBits = 32 - Number(bits);
+    const divisor = 2 ** hostBits;
+    return Math.floor(toNumber(client) / divisor) === Math.floor(toNumber(address) / divisor);
+  });
+}
+
+/**
+ * The request principal for a key: a user-like object carrying only the
+ * scope permissions, so checkPermission() and req.user.name keep working
+ * @param {Object} apiKey - ApiKey document
+ */
+function apiKeyPrincipal(apiKey) {
+  const permissions = {};
+  for (const scope of apiKey.scopes) {
+    for (const permission of API_KEY_SCOPES[scope]?.permissions || []) {
+      permissions[permission] = true;
+    }
+  }
+
+  return {
+    _id: apiKey._id,
+    name: `API key: ${apiKey.name}`,
+    role: 'ApiKey',
+    status: 'Active',
+    permissions,
+    apiKey: { id: apiKey._id, name: apiKey.name, scopes: apiKey.scopes },
+  };
+}
+
+module.exports = {
+  API_KEY_SCOPES,
+  hashApiKey,
+  generateApiKey,
+  isValidIpEntry,
+  isIpAllowed,
+  apiKeyPrincipal,
+};
@@ -0,0 +1,217 @@
+/**
+ * Asset Hierarchy Helpers
+ *
+ * Parent/child links between assets: a rack holds servers, a vehicle has an
+ * engine and tires. A component points at its parent with parentId (the
+ * parent's asset ID). Links never form a cycle, so an asset's components,
+ * their components and so on can be walked from the top.
+ */
+
+const Equipment = require('../models/Equipment');
+const Maintenance = require('../models/Maintenance');
+const Custody = require('../models/Custody');
+const Settings = require('../models/Settings');
+const { recordChanges, valuesEqual } = require('./changeLog');
+const { scopedAssetFilter } = require('./dataScope');
+
+// Fields a parent can pass on to its components when it is moved
+const CASCADE_FIELDS = ['location', 'locationId', 'department'];
+
+/**
+ * Every asset beneath an asset (components, their components, ...).
+ * Assets in the recycle bin, and anything fitted in them, are left out.
+ * @param {string} assetId - Equipment.id
+ * @param {string} [projection] - Fields to load
+ * @returns {Promise<Array<Object>>} Plain asset objects, each with depth (1 for direct components)
+ */
+async function findDescendants(assetId, projection = 'id name parentId') {
+  const [result] = await Equipment.aggregate([
+    { $match: { id: assetId } },
+    {
+      $graphLookup: {
+        from: Equipment.collection.name,
+        startWith: '$id',
+        connectFromField: 'id',
+        connectToField: 'parentId',
+        as: 'descendants',
+        depthField: 'depth',
+        restrictSearchWithMatch: { deletedAt: null },
+      },
+    },
+    { $project: { descendants: 1 } },
+  ]);
+
+  const fields = projection.split(' ');
+  return (result?.descendants || []).map((asset) => {
+    const picked = { depth: asset.depth + 1 };
+    fields.forEach((field) => {
+      picked[field] = asset[field];
+    });
+    return picked;
+  });
+}
+
+/**
+ * The chain of parents above an asset, nearest first
+ * @param {Object} asset - Asset with parentId
+ * @returns {Promise<Array<{ id: string, name: string }>>}
+ */
+async function findAncestors(asset) {
+  const ancestors = [];
+  const seen = new Set([asset.id]);
+  let parentId = asset.parentId;
+
+  while (parentId && !seen.has(parentId)) {
+    seen.add(parentId);
+    const parent = await Equipment.findOne({ id: parentId }).select('id name parentId');
+    if (!parent) break;
+    ancestors.push({ id: parent.id, name: parent.name });
+    parentId = parent.parentId;
+  }
+  return ancestors;
+}
+
+/**
+ * Check that an asset can be placed under a parent
+ * @param {string} assetId - Asset being linked
+ * @param {string|null} parentId - New parent's asset ID (empty to detach)
+ * @returns {Promise<string|null>} Error message, or null
+ */
+async function checkParent(assetId, parentId) {
+  if (!parentId) return null;
+  if (parentId === assetId) {
+    return 'An asset cannot be a component of itself';
+  }
+  // Assets in the recycle bin cannot take components
+  if (!(await Equipment.exists({ id: parentId, deletedAt: null }))) {
+    return `Parent asset "${parentId}" not found`;
+  }
+
+  const descendants = await findDescendants(assetId, 'id');
+  if (descendants.some(descendant => descendant.id === parentId)) {
+    return `"${parentId}" is already a component of this asset`;
+  }
+  return null;
+}
+
+/**
+ * Keep an asset's components and its maintenance and custody records,
+ * including any in the recycle bin, with the asset when its asset ID changes
+ * @param {string} oldId - Asset ID before the change
+ * @param {string} newId - Asset ID after the change
+ */
+async function renameAssetReferences(oldId, newId) {
+  await Equipment.updateMany({ parentId: oldId }, { parentId: newId });
+  await Maintenance.updateMany({ assetId: oldId }, { assetId: newId });
+  await Custody.updateMany({ assetId: oldId }, { assetId: newId });
+}
+
+/**
+ * Give an asset's components (at every level) the parent's location and
+ * department after the parent moved. Components outside the user's data
+ * scope are left where they are.
+ * @param {Object} before - Parent before the update
+ * @param {Object} after - Parent after the update
+ * @param {Object} user - req.user
+ * @returns {Promise<Array<{ asset: Object, change: Object }>>} Components that moved, with their recorded change
+ */
+async function cascadeToComponents(before, after, user) {
+  const fields = CASCADE_FIELDS.filter(field => !valuesEqual(before.get(field), after.get(field)));
+  if (fields.length === 0) return [];
+
+  const values = {};
+  fields.forEach((field) => {
+    values[field] = after.get(field) ?? null;
+  });
+
+  const ids = (await findDescendants(after.id, 'id')).map(descendant => descendant.id);
+  const components = await Equipment.find(await scopedAssetFilter(user, { id: { $in: ids } }));
+
+  const moved = [];
+  for (const component of components) {
+    const asset = await Equipment.findOneAndUpdate(
+      { id: component.id },
+      { ...values, lastModified: new Date() },
+      { new: true }
+    );
+    const change = await recordChanges({ entityType: 'Equipment', before: component, after: asset, user });
+    if (change) moved.push({ asset, change });
+  }
+  return moved;
+}
+
+/**
+ * Cost and maintenance for an asset and everything beneath it
+ * @param {Object} asset - The top asset
+ * @returns {Promise<Object>} { rows, totals, maintenanceCount }; rows are the
+ *          top asset (depth 0) and its descendants, totals are per currency
+ */
+async function rollUp(asset) {
+  const descendants = await findDescendants(asset.id, 'id name category status parentId cost currency');
+  const assets = [
+    {
+      depth: 0,
+      id: asset.id,
+      name: asset.name,
+      category: asset.category,
+      status: asset.status,
+      parentId: asset.parentId || null,
+      cost: asset.cost,
+      currency: asset.currency,
+    },
+    ...descendants.sort((a, b) => a.depth - b.depth || a.name.localeCompare(b.name)),
+  ];
+
+  const [maintenance, settings] = await Promise.all([
+    Maintenance.aggregate([
+      { $match: { assetId: { $in: assets.map(a => a.id) }, status: { $ne: 'Cancelled' } } },
+      {
+        $group: {
+          _id: '$assetId',
+          count: { $sum: 1 },
+          cost: { $sum: { $cond: [{ $eq: ['$status', 'Completed'] }, { $ifNull: ['$cost', 0] }, 0] } },
+        },
+      },
+    ]),
+    Settings.findOne({ isSingleton: true }),
+  ]);
+  const defaultCurrency = settings?.defaultCurrency || 'USD';
+  const maintenanceByAsset = new Map(maintenance.map(m => [m._id, m]));
+
+  const round = value => Math.round(value * 100) / 100;
+  const totals = {};
+  let maintenanceCount = 0;
+
+  const rows = assets.map((row) => {
+    const currency = row.currency || defaultCurrency;
+    const records = maintenanceByAsset.get(row.id);
+    const result = {
+      ...row,
+      currency,
+      cost: row.cost || 0,
+      maintenanceCount: records?.count || 0,
+      maintenanceCost: round(records?.cost || 0),
+    };
+
+    // Maintenance is recorded in the default currency
+    const assetTotal = totals[currency] || (totals[currency] = { cost: 0, maintenanceCost: 0 });
+    assetTotal.cost = round(assetTotal.cost + result.cost);
+    const maintenanceTotal = totals[defaultCurrency] || (totals[defaultCurrency] = { cost: 0, maintenanceCost: 0 });
+    maintenanceTotal.maintenanceCost = round(maintenanceTotal.maintenanceCost + result.maintenanceCost);
+    maintenanceCount += result.maintenanceCount;
+
+    return result;
+  });
+
+  return { rows, totals, maintenanceCount };
+}
+
+module.exports = {
+  CASCADE_FIELDS,
+  findDescendants,
+  findAncestors,
+  checkParent,
+  renameAssetReferences,
+  cascadeToComponents,
+  rollUp,
+};
@@ -0,0 +1,379 @@
+/**
+ * Asset Import Helpers
+ *
+ * Parsing and validation for bulk asset imports (CSV/XLSX).
+ * Rows are mapped to Equipment fields with a column mapping supplied by the
+ * client, then validated against the Equipment schema enums, the Tag
+ * collection, the location tree, existing assets and the custom fields of
+ * each row's asset type before anything is written.
+ */
+
+const path = require('path');
+const ExcelJS = require('exceljs');
+const Equipment = require('../models/Equipment');
+const Settings = require('../models/Settings');
+const Tag = require('../models/Tag');
+const Location = require('../models/Location');
+const { validateCustomFields, getCustomFieldDefinitions, loadFieldsByKey } = require('./customFields');
+
+// Equipment fields that can be imported, with the labels shown in the wizard
+const IMPORT_FIELDS = [
+  { key: 'id', label: 'Asset ID / Tag ID', required: true },
+  { key: 'name', label: 'Asset Name', required: true },
+  { key: 'category', label: 'Asset Type', tagCategory: 'Asset Type' },
+  { key: 'status', label: 'Status', tagCategory: 'Status' },
+  { key: 'location', label: 'Location', tagCategory: 'Location' },
+  { key: 'department', label: 'Department', tagCategory: 'Department' },
+  { key: 'model', label: 'Model' },
+  { key: 'serial', label: 'Serial Number' },
+  { key: 'purchaseDate', label: 'Purchase Date', type: 'date' },
+  { key: 'acquisitionDate', label: 'Acquisition Date', type: 'date' },
+  { key: 'cost', label: 'Cost', type: 'number' },
+  { key: 'currency', label: 'Currency' },
+  { key: 'warrantyStartDate', label: 'Warranty Start', type: 'date' },
+  { key: 'warrantyEndDate', label: 'Warranty End', type: 'date' },
+  { key: 'warrantyProvider', label: 'Warranty Provider' },
+  { key: 'supportContractRef', label: 'Support Contract Ref' },
+  { key: 'supportContractEndDate', label: 'Support Contract End', type: 'date' },
+  { key: 'maintenancePeriod', label: 'Maintenance Period' },
+  { key: 'assignedTo', label: 'Assigned To' },
+  { key: 'notes', label: 'Notes' },
+];
+
+// Mapping keys of custom fields, e.g. custom:macAddress (Map keys cannot hold dots)
+const CUSTOM_FIELD_PREFIX = 'custom:';
+
+/**
+ * Importable fields: IMPORT_FIELDS followed by the custom fields of every
+ * asset type. A custom field is only kept on rows whose type defines it.
+ * @returns {Promise<Object[]>}
+ */
+async function getImportFields() {
+  const fieldsByKey = await loadFieldsByKey();
+  const customFields = [...fieldsByKey.values()].map(field => ({
+    key: `${CUSTOM_FIELD_PREFIX}${field.key}`,
+    label: field.label,
+    customField: true,
+  }));
+  return [...IMPORT_FIELDS, ...customFields];
+}
+
+/**
+ * Parse CSV text into rows of cells (RFC 4180 quoting, comma or semicolon delimited)
+ * @param {string} text - CSV contents
+ * @returns {Array<Array<string>>}
+ */
+function parseCsv(text) {
+  const content = text.replace(/^\uFEFF/, '');
+  const firstLine = content.split(/\r?\n/, 1)[0];
+  const delimiter = (firstLine.match(/;/g) || []).length > (firstLine.match(/,/g) || []).length ? ';' : ',';
+
+  const rows = [];
+  let row = [];
+  let cell = '';
+  let inQuotes = false;
+
+  for (let i = 0; i < content.length; i++) {
+    const char = content[i];
+
+    if (inQuotes) {
+      if (char === '"' && content[i + 1] === '"') {
+        cell += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        cell += char;
+      }
+    } else if (char === '"') {
+      inQuotes = true;
+    } else if (char === delimiter) {
+      row.push(cell);
+      cell = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && content[i + 1] === '\n') i++;
+      row.push(cell);
+      rows.push(row);
+      row = [];
+      cell = '';
+    } else {
+      cell += char;
+    }
+  }
+
+  if (cell !== '' || row.length > 0) {
+    row.push(cell);
+    rows.push(row);
+  }
+
+  return rows;
+}
+
+/**
+ * Convert an ExcelJS cell value to a plain value
+ * @param {*} value - Cell value (string, number, Date, rich text, formula, hyperlink...)
+ */
+function excelCellValue(value) {
+  if (value === null || value === undefined) return '';
+  if (value instanceof Date) return value;
+  if (typeof value !== 'object') return value;
+  if (value.richText) return value.richText.map(part => part.text).join('');
+  if (value.text !== undefined) return value.text;
+  if (value.result !== undefined) return excelCellValue(value.result);
+  return String(value);
+}
+
+/**
+ * Parse the first worksheet of an XLSX file into rows of cells
+ * @param {Buffer} buffer - XLSX contents
+ * @returns {Promise<Array<Array<*>>>}
+ */
+async function parseXlsx(buffer) {
+  const workbook = new ExcelJS.Workbook();
+  await workbook.xlsx.load(buffer);
+
+  const worksheet = workbook.worksheets[0];
+  if (!worksheet) return [];
+
+  const rows = [];
+  worksheet.eachRow({ includeEmpty: true }, (sheetRow) => {
+    const cells = [];
+    for (let col = 1; col <= worksheet.columnCount; col++) {
+      cells.push(excelCellValue(sheetRow.getCell(col).value));
+    }
+    rows.push(cells);
+  });
+  return rows;
+}
+
+/**
+ * Parse an uploaded spreadsheet
+ * @param {Buffer} buffer - File contents
+ * @param {string} fileName - Original file name (used to pick the parser)
+ * @returns {Promise<{ headers: string[], rows: Object[] }>} Rows keyed by header, with their sheet row number
+ */
+async function parseSpreadsheet(buffer, fileName) {
+  const extension = path.extname(fileName).toLowerCase();
+  let table;
+
+  if (extension === '.csv') {
+    table = parseCsv(buffer.toString('utf8'));
+  } else if (extension === '.xlsx') {
+    table = await parseXlsx(buffer);
+  } else {
+    throw new Error('Only .csv and .xlsx files can be imported');
+  }
+
+  if (table.length === 0) {
+    throw new Error('The file is empty');
+  }
+
+  const headers = table[0].map(h => String(h).trim());
+  const rows = [];
+
+  table.slice(1).forEach((cells, index) => {
+    // Skip blank lines
+    if (cells.every(cell => String(cell).trim() === '')) return;
+
+    const values = {};
+    headers.forEach((header, col) => {
+      if (header) values[header] = cells[col] === undefined ? '' : cells[col];
+    });
+    rows.push({ rowNumber: index + 2, values });
+  });
+
+  return { headers: headers.filter(Boolean), rows };
+}
+
+/**
+ * Suggest a column mapping by matching headers to field keys and labels
+ * @param {string[]} headers - Column headers
+ * @param {Object[]} [fields] - Importable fields (defaults to IMPORT_FIELDS)
+ * @returns {Object} Field key -> header
+ */
+function suggestMapping(headers, fields = IMPORT_FIELDS) {
+  const normalize = (value) => value.toLowerCase().replace(/[^a-z0-9]/g, '');
+  const mapping = {};
+
+  fields.forEach((field) => {
+    const key = field.key.startsWith(CUSTOM_FIELD_PREFIX) ? field.key.slice(CUSTOM_FIELD_PREFIX.length) : field.key;
+    const candidates = [key, field.label, ...field.label.split('/')].map(normalize);
+    const header = headers.find(h => candidates.includes(normalize(h)));
+    if (header) mapping[field.key] = header;
+  });
+
+  return mapping;
+}
+
+/**
+ * Normalize a date cell to YYYY-MM-DD
+ * @returns {string|null} Date string, or null if it cannot be parsed
+ */
+function normalizeDate(value) {
+  const date = value instanceof Date ? value : new Date(String(value).trim());
+  if (isNaN(date.getTime())) return null;
+  return date.toISOString().split('T')[0];
+}
+
+/**
+ * Map and validate parsed rows
+ *
+ * @param {Object[]} rows - Rows from parseSpreadsheet
+ * @param {Object} mapping - Field key -> column header (custom:<key> for custom fields)
+ * @returns {Promise<Object[]>} One result per row: { rowNumber, data, errors }
+ */
+async function validateRows(rows, mapping) {
+  const maintenancePeriods = Equipment.schema.path('maintenancePeriod').enumValues.filter(Boolean);
+  const currencies = Settings.schema.path('defaultCurrency').enumValues;
+
+  // Tag names per category, matched case-insensitively to their canonical spelling
+  const tags = await Tag.find().select('name category');
+  const tagLookup = {};
+  tags.forEach((tag) => {
+    tagLookup[tag.category] = tagLookup[tag.category] || {};
+    tagLookup[tag.category][tag.name.toLowerCase()] = tag.name;
+  });
+
+  // Locations match a tree node by code or name, falling back to Location tags
+  const locations = await Location.find().select('name code');
+  const locationsByCode = new Map(locations.map(location => [location.code, location]));
+  const locationsByName = new Map();
+  locations.forEach((location) => {
+    const key = location.name.toLowerCase();
+    locationsByName.set(key, [...(locationsByName.get(key) || []), location]);
+  });
+
+  const customFieldColumns = Object.entries(mapping)
+    .filter(([key, header]) => key.startsWith(CUSTOM_FIELD_PREFIX) && header)
+    .map(([key, header]) => [key.slice(CUSTOM_FIELD_PREFIX.length), header]);
+
+  const results = rows.map(({ rowNumber, values }) => {
+    const data = {};
+    const errors = [];
+
+    IMPORT_FIELDS.forEach((field) => {
+      const header = mapping[field.key];
+      const raw = header ? values[header] : '';
+      // Spreadsheet date cells arrive as Date objects; other fields want text
+      let text = String(raw ?? '').trim();
+      if (raw instanceof Date) {
+        text = field.type === 'date' ? raw : normalizeDate(raw);
+      }
+
+      if (text === '') {
+        if (field.required) errors.push(`${field.label} is required`);
+        return;
+      }
+
+      if (field.type === 'date') {
+        const date = normalizeDate(text);
+        if (date) data[field.key] = date;
+        else errors.push(`${field.label} "${text}" is not a valid date`);
+      } else if (field.type === 'number') {
+        const number = Number(String(text).replace(/,/g, ''));
+        if (isNaN(number) || number < 0) errors.push(`${field.label} "${text}" must be a positive number`);
+        else data[field.key] = number;
+      } else if (field.key === 'location' && (locationsByCode.has(text.toUpperCase()) || locationsByName.has(text.toLowerCase()))) {
+        const named = locationsByName.get(text.toLowerCase()) || [];
+        const location = locationsByCode.get(text.toUpperCase()) || (named.length === 1 ? named[0] : null);
+        if (location) {
+          data.location = location.name;
+          data.locationId = location._id;
+        } else {
+          errors.push(`Location "${text}" matches several locations; use its code`);
+        }
+      } else if (field.tagCategory) {
+        const tagName = tagLookup[field.tagCategory]?.[text.toLowerCase()];
+        if (tagName) data[field.key] = tagName;
+        else errors.push(`${field.label} "${text}" does not match any ${field.tagCategory} tag`);
+      } else if (field.key === 'maintenancePeriod') {
+        const period = maintenancePeriods.find(p => p.toLowerCase() === text.toLowerCase());
+        if (period) data[field.key] = period;
+        else errors.push(`Maintenance Period "${text}" must be one of: ${maintenancePeriods.join(', ')}`);
+      } else if (field.key === 'currency') {
+        const currency = text.toUpperCase();
+        if (currencies.includes(currency)) data[field.key] = currency;
+        else errors.push(`Currency "${text}" is not supported`);
+      } else {
+        data[field.key] = text;
+      }
+    });
+
+    const customFields = {};
+    customFieldColumns.forEach(([key, header]) => {
+      const raw = values[header];
+      customFields[key] = typeof raw === 'string' ? raw.trim() : raw;
+    });
+
+    return { rowNumber, data, errors, customFields };
+  });
+
+  // Custom fields are checked against the row's asset type, as when an asset is created
+  const definitionsByType = new Map();
+  for (const result of results) {
+    const category = result.data.category || 'Other';
+    if (!definitionsByType.has(category)) {
+      definitionsByType.set(category, await getCustomFieldDefinitions(category));
+    }
+    const { values, errors } = validateCustomFields(definitionsByType.get(category), result.customFields);
+    result.errors.push(...errors);
+    if (Object.keys(values).length > 0) result.data.customFields = values;
+    delete result.customFields;
+  }
+
+  // IDs and serials are compared case-insensitively, within the file and against existing assets
+  const normalize = value => value.toLowerCase();
+
+  // Duplicate IDs and serials within the file
+  const seen = { id: new Map(), serial: new Map() };
+  results.forEach((result) => {
+    ['id', 'serial'].forEach((key) => {
+      const value = result.data[key];
+      if (!value) return;
+      const normalized = normalize(value);
+      if (seen[key].has(normalized)) {
+        result.errors.push(`Duplicate ${key === 'id' ? 'Asset ID' : 'serial number'} "${value}" (also on row ${seen[key].get(normalized)})`);
+      } else {
+        seen[key].set(normalized, result.rowNumber);
+      }
+    });
+  });
+
+  // Duplicate IDs and serials against existing assets
+  const ids = results.map(r => r.data.id).filter(Boolean);
+  const serials = results.map(r => r.data.serial).filter(Boolean);
+  const caseInsensitive = { locale: 'en', strength: 2 };
+  const existing = await Equipment.find({
+    $or: [{ id: { $in: ids } }, { serial: { $in: serials } }],
+  }).collation(caseInsensitive).select('id serial');
+
+  const deleted = await Equipment.find({ id: { $in: ids }, deletedAt: { $ne: null } })
+    .collation(caseInsensitive)
+    .select('id');
+
+  const existingIds = new Set(existing.map(e => normalize(e.id)));
+  const existingSerials = new Set(existing.map(e => e.serial).filter(Boolean).map(normalize));
+  const deletedIds = new Set(deleted.map(e => normalize(e.id)));
+
+  results.forEach((result) => {
+    if (result.data.id && existingIds.has(normalize(result.data.id))) {
+      result.errors.push(`Asset ID "${result.data.id}" already exists`);
+    }
+    if (result.data.id && deletedIds.has(normalize(result.data.id))) {
+      result.errors.push(`Asset ID "${result.data.id}" belongs to a deleted asset in the recycle bin`);
+    }
+    if (result.data.serial && existingSerials.has(normalize(result.data.serial))) {
+      result.errors.push(`Serial number "${result.data.serial}" already belongs to another asset`);
+    }
+  });
+
+  return results;
+}
+
+module.exports = {
+  IMPORT_FIELDS,
+  getImportFields,
+  parseSpreadsheet,
+  suggestMapping,
+  validateRows,
+};
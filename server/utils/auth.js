@@ -1,13 +1,37 @@
+const crypto = require('crypto');
 const jwt = require('jsonwebtoken');
+const Session = require('../models/Session');
+const Settings = require('../models/Settings');
+const { TWO_FACTOR_ROLES } = require('./totp');
+
+const JWT_SECRET = process.env.JWT_SECRET || 'your-secret-key-change-in-production';
+
+// Days a refresh token stays valid without being used
+const REFRESH_TOKEN_DAYS = parseInt(process.env.REFRESH_TOKEN_DAYS, 10) || 30;
+
+// Only record activity once a minute per session
+const ACTIVITY_INTERVAL_MS = 60 * 1000;
+
+// A replaced refresh token presented this soon after it was replaced is
+// another tab of the same browser racing the refresh, not a stolen token
+const REFRESH_GRACE_MS = 30 * 1000;
+
+// Sign-in related settings are read at most this often
+const SECURITY_CACHE_MS = 60 * 1000;
+let cachedSecurity = { settings: null, loadedAt: 0 };
+
+// How long a user has to enter their two-factor code after the password
+const CHALLENGE_EXPIRE = '5m';
 
 /**
  * Generate JWT Token
  * @param {string} userId - User's MongoDB ID
+ * @param {string} sessionId - Session the token belongs to
  * @returns {string} JWT token
  */
-const generateToken = (userId) => {
-  return jwt.sign({ id: userId }, process.env.JWT_SECRET || 'your-secret-key-change-in-production', {
-    expiresIn: process.env.JWT_EXPIRE || '7d', // Token expires in 7 days
+const generateToken = (userId, sessionId) => {
+  return jwt.sign({ id: userId, sid: sessionId }, JWT_SECRET, {
+    expiresIn: process.env.JWT_EXPIRE || '15m', // Short-lived; renewed with the refresh token
   });
 };
 
@@ -18,13 +42,233 @@ const generateToken = (userId) => {
  */
 const verifyToken = (token) => {
   try {
-    return jwt.verify(token, process.env.JWT_SECRET || 'your-secret-key-change-in-production');
+    return jwt.verify(token, JWT_SECRET);
   } catch (error) {
     throw new Error('Invalid or expired token');
   }
 };
 
+/**
+ * SHA-256 hash of a refresh token, as stored on the session
+ */
+const hashToken = (token) => crypto.createHash('sha256').update(String(token)).digest('hex');
+
+/**
+ * Sign-in related settings:
+ * { sessionTimeout, requireTwoFactor, passwordPolicy, loginLockout }
+ * (defaults from the Settings schema when nothing is saved yet)
+ * @returns {Promise<Object>}
+ */
+const getSecuritySettings = async () => {
+  if (!cachedSecurity.settings || Date.now() - cachedSecurity.loadedAt > SECURITY_CACHE_MS) {
+    const settings = (await Settings.findOne({ isSingleton: true })
+      .select('sessionTimeout requireTwoFactor passwordPolicy loginLockout')) || new Settings();
+    cachedSecurity = {
+      settings: {
+        sessionTimeout: settings.sessionTimeout || 30,
+        requireTwoFactor: Boolean(settings.requireTwoFactor),
+        passwordPolicy: settings.passwordPolicy.toObject(),
+        loginLockout: settings.loginLockout.toObject(),
+      },
+      loadedAt: Date.now(),
+    };
+  }
+  return cachedSecurity.settings;
+};
+
+/**
+ * Forget the cached sign-in settings (after Settings change)
+ */
+const clearSecuritySettingsCache = () => {
+  cachedSecurity = { settings: null, loadedAt: 0 };
+};
+
+/**
+ * Idle timeout in minutes (Settings.sessionTimeout)
+ * @returns {Promise<number>}
+ */
+const getSessionTimeout = async () => (await getSecuritySettings()).sessionTimeout;
+
+/**
+ * Whether Settings make two-factor authentication mandatory for a user's role
+ * @param {Object} user - User document
+ * @returns {Promise<boolean>}
+ */
+const isTwoFactorRequired = async (user) => {
+  return TWO_FACTOR_ROLES.includes(user.role) && (await getSecuritySettings()).requireTwoFactor;
+};
+
+/**
+ * Short-lived token for the second sign-in step, issued once the password
+ * was right. It cannot be used as an access token (it has no session).
+ * @param {string} userId - User's MongoDB ID
+ * @returns {string}
+ */
+const generateChallengeToken = (userId) => {
+  return jwt.sign({ id: userId, purpose: 'twoFactor' }, JWT_SECRET, { expiresIn: CHALLENGE_EXPIRE });
+};
+
+/**
+ * User id from a challenge token
+ * @param {string} token - Challenge token
+ * @returns {string|null} null when the token is invalid or expired
+ */
+const verifyChallengeToken = (token) => {
+  try {
+    const decoded = jwt.verify(String(token || ''), JWT_SECRET);
+    return decoded.purpose === 'twoFactor' ? decoded.id : null;
+  } catch (error) {
+    return null;
+  }
+};
+
+/**
+ * Sign a user in on a new device
+ * @param {Object} user - User document
+ * @param {Object} req - Request (user agent and IP are recorded)
+ * @returns {Promise<Object>} { token, refreshToken, sessionTimeout }
+ */
+const createSession = async (user, req) => {
+  const refreshToken = crypto.randomBytes(48).toString('base64url');
+  const session = await Session.create({
+    user: user._id,
+    refreshTokenHash: hashToken(refreshToken),
+    userAgent: String(req.headers['user-agent'] || '').slice(0, 300),
+    ip: req.ip,
+    expiresAt: new Date(Date.now() + REFRESH_TOKEN_DAYS * 24 * 60 * 60 * 1000),
+  });
+
+  return {
+    token: generateToken(user._id, session._id),
+    refreshToken,
+    sessionTimeout: await getSessionTimeout(),
+  };
+};
+
+/**
+ * End a session with a reason
+ * @param {Object} session - Session document
+ * @param {string} reason - e.g. 'Signed out', 'Idle timeout'
+ */
+const revokeSession = async (session, reason) => {
+  session.revokedAt = new Date();
+  session.revokedReason = reason;
+  await session.save();
+};
+
+/**
+ * Sign a user out everywhere (optionally keeping one session)
+ * @param {string} userId - User ID
+ * @param {string} reason - Why, shown in the sessions list
+ * @param {string} [exceptSessionId] - Session to keep (the caller's own)
+ * @returns {Promise<number>} Number of sessions revoked
+ */
+const revokeUserSessions = async (userId, reason, exceptSessionId = null) => {
+  const filter = { user: userId, revokedAt: null };
+  if (exceptSessionId) {
+    filter._id = { $ne: exceptSessionId };
+  }
+  const result = await Session.updateMany(filter, { revokedAt: new Date(), revokedReason: reason });
+  return result.modifiedCount;
+};
+
+/**
+ * Whether a session has been idle longer than the idle timeout
+ * @param {Object} session - Session document
+ */
+const isSessionIdle = async (session) => {
+  const timeoutMinutes = await getSessionTimeout();
+  return Date.now() - new Date(session.lastActiveAt).getTime() > timeoutMinutes * 60 * 1000;
+};
+
+/**
+ * Check the session behind an access token and record activity
+ * @param {string} sessionId - Session id from the token
+ * @param {Object} [options]
+ * @param {boolean} [options.recordActivity=true] - false for background requests (event stream)
+ * @returns {Promise<Object>} { session } or { error } when it is signed out or idle
+ */
+const checkSession = async (sessionId, { recordActivity = true } = {}) => {
+  const session = await Session.findById(sessionId);
+
+  if (!session || session.revokedAt) {
+    return { error: 'Your session has been signed out. Please login again.' };
+  }
+  if (await isSessionIdle(session)) {
+    await revokeSession(session, 'Idle timeout');
+    return { error: 'Your session expired after a period of inactivity. Please login again.' };
+  }
+
+  if (recordActivity && Date.now() - session.lastActiveAt.getTime() > ACTIVITY_INTERVAL_MS) {
+    await Session.updateOne({ _id: session._id }, { lastActiveAt: new Date() });
+  }
+  return { session };
+};
+
+/**
+ * Exchange a refresh token for a new access token and refresh token. Using
+ * a refresh token that was already exchanged revokes the session, since
+ * someone else must have a copy of it (unless it was exchanged moments ago,
+ * which is another tab refreshing at the same time).
+ * @param {string} refreshToken - Refresh token from the client
+ * @param {Object} req - Request (IP is recorded)
+ * @param {boolean} [active] - Whether the user did something since the last refresh
+ * @returns {Promise<Object>} { token, refreshToken, sessionTimeout } or { error }
+ */
+const rotateRefreshToken = async (refreshToken, req, active = false) => {
+  const tokenHash = hashToken(refreshToken);
+  const session = await Session.findOne({ refreshTokenHash: tokenHash }).populate('user', 'status');
+
+  if (!session) {
+    const reused = await Session.findOne({ previousRefreshTokenHash: tokenHash, revokedAt: null });
+    if (reused && Date.now() - reused.refreshedAt.getTime() > REFRESH_GRACE_MS) {
+      await revokeSession(reused, 'Refresh token reused');
+    }
+    return { error: 'Your session has been signed out. Please login again.' };
+  }
+
+  if (session.revokedAt || session.expiresAt <= new Date()) {
+    return { error: 'Your session has been signed out. Please login again.' };
+  }
+  if (!session.user || session.user.status === 'Inactive') {
+    await revokeSession(session, 'Account deactivated');
+    return { error: 'Your account has been deactivated. Please contact support.' };
+  }
+  if (await isSessionIdle(session)) {
+    await revokeSession(session, 'Idle timeout');
+    return { error: 'Your session expired after a period of inactivity. Please login again.' };
+  }
+
+  const newRefreshToken = crypto.randomBytes(48).toString('base64url');
+  session.previousRefreshTokenHash = tokenHash;
+  session.refreshTokenHash = hashToken(newRefreshToken);
+  session.refreshedAt = new Date();
+  session.expiresAt = new Date(Date.now() + REFRESH_TOKEN_DAYS * 24 * 60 * 60 * 1000);
+  session.ip = req.ip;
+  if (active) {
+    session.lastActiveAt = new Date();
+  }
+  await session.save();
+
+  return {
+    token: generateToken(session.user._id, session._id),
+    refreshToken: newRefreshToken,
+    sessionTimeout: await getSessionTimeout(),
+  };
+};
+
 module.exports = {
   generateToken,
   verifyToken,
+  getSecuritySettings,
+  getSessionTimeout,
+  clearSecuritySettingsCache,
+  isTwoFactorRequired,
+  generateChallengeToken,
+  verifyChallengeToken,
+  createSession,
+  revokeSession,
+  revokeUserSessions,
+  checkSession,
+  rotateRefreshToken,
 };
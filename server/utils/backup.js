@@ -0,0 +1,100 @@
+/**
+ * Database Backup
+ *
+ * Writes every collection of the database to a gzipped file of
+ * newline-delimited Extended JSON ({ "collection": ..., "document": ... }
+ * per line) in BACKUP_DIR (default server/backups). Documents are streamed
+ * from a cursor so large collections are not held in memory. Only the
+ * newest BACKUP_KEEP files (default 7) are kept.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const zlib = require('zlib');
+const { once } = require('events');
+const { pipeline } = require('stream/promises');
+const mongoose = require('mongoose');
+
+const { EJSON } = mongoose.mongo.BSON;
+
+const BACKUP_PREFIX = 'backup-';
+const BACKUP_EXTENSION = '.ndjson.gz';
+
+function getBackupDir() {
+  return process.env.BACKUP_DIR || path.join(__dirname, '../backups');
+}
+
+/**
+ * Delete all but the newest `keep` backup files
+ * @returns {Promise<string[]>} Names of the removed files
+ */
+async function pruneBackups(directory, keep) {
+  const files = (await fs.promises.readdir(directory))
+    .filter(name => name.startsWith(BACKUP_PREFIX) && name.endsWith(BACKUP_EXTENSION))
+    .sort()
+    .reverse();
+
+  const removed = files.slice(keep);
+  for (const name of removed) {
+    await fs.promises.unlink(path.join(directory, name));
+  }
+  return removed;
+}
+
+/**
+ * Back up the database
+ * @returns {Promise<Object>} { success, file, size, collections: { name: count }, pruned }
+ */
+async function createBackup() {
+  const directory = getBackupDir();
+  await fs.promises.mkdir(directory, { recursive: true });
+
+  const stamp = new Date().toISOString().replace(/[:.]/g, '-');
+  const file = path.join(directory, `${BACKUP_PREFIX}${stamp}${BACKUP_EXTENSION}`);
+
+  const db = mongoose.connection.db;
+  const collections = (await db.listCollections({}, { nameOnly: true }).toArray())
+    .map(c => c.name)
+    .filter(name => !name.startsWith('system.'))
+    .sort();
+
+  const gzip = zlib.createGzip();
+  const written = pipeline(gzip, fs.createWriteStream(file));
+  const counts = {};
+
+  try {
+    for (const name of collections) {
+      counts[name] = 0;
+      for await (const document of db.collection(name).find()) {
+        const line = EJSON.stringify({ collection: name, document }, { relaxed: false }) + '\n';
+        if (!gzip.write(line)) {
+          await once(gzip, 'drain');
+        }
+        counts[name]++;
+      }
+    }
+    gzip.end();
+    await written;
+  } catch (error) {
+    gzip.destroy(error);
+    await written.catch(() => {});
+    await fs.promises.rm(file, { force: true });
+    throw error;
+  }
+
+  const { size } = await fs.promises.stat(file);
+  const keep = Math.max(parseInt(process.env.BACKUP_KEEP, 10) || 7, 1);
+  const pruned = await pruneBackups(directory, keep);
+
+  return {
+    success: true,
+    file: path.basename(file),
+    size,
+    collections: counts,
+    pruned,
+  };
+}
+
+module.exports = {
+  createBackup,
+};
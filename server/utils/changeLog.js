@@ -0,0 +1,185 @@
+/**
+ * Change Log Helpers
+ *
+ * Field-level diffs for asset, maintenance and tag updates.
+ * Routes pass the document before and after an update; the changed fields
+ * are stored as a ChangeLog entry that can later be listed or reverted.
+ */
+
+const mongoose = require('mongoose');
+const ChangeLog = require('../models/ChangeLog');
+
+// Fields whose changes are recorded, per entity type.
+// Computed and bookkeeping fields (maintenanceStatus, notification flags,
+// attachments, custody) are left out; they change through their own endpoints.
+const TRACKED_FIELDS = {
+  Equipment: [
+    'id',
+    'name',
+    'category',
+    'location',
+    'locationId',
+    'parentId',
+    'department',
+    'status',
+    'model',
+    'serial',
+    'purchaseDate',
+    'acquisitionDate',
+    'cost',
+    'currency',
+    'warrantyStartDate',
+    'warrantyEndDate',
+    'warrantyProvider',
+    'supportContractRef',
+    'supportContractEndDate',
+    'maintenancePeriod',
+    'maintenanceSchedule',
+    'lastMaintenanceDate',
+    'nextScheduledMaintenance',
+    'assignedTo',
+    'notes',
+  ],
+  Maintenance: [
+    'serviceType',
+    'technician',
+    'status',
+    'priority',
+    'date',
+    'scheduledDate',
+    'startedDate',
+    'completedDate',
+    'completedBy',
+    'cost',
+    'description',
+    'notes',
+    'nextMaintenanceDate',
+  ],
+  Tag: ['name', 'category', 'color', 'description', 'depreciation', 'customFields'],
+};
+
+// Tracked so reverts restore them, but left out of summaries: they are
+// references whose readable value is another field (location)
+const UNLISTED_FIELDS = ['locationId'];
+
+/**
+ * Convert a field value to a plain, comparable form
+ * (dates as ISO strings, ObjectIds as strings, empty values as null)
+ */
+function normalizeValue(value) {
+  if (value === undefined || value === null || value === '') return null;
+  if (value instanceof Date) return value.toISOString();
+  if (value instanceof mongoose.Types.ObjectId) return value.toString();
+  if (typeof value.toObject === 'function') return normalizeValue(value.toObject());
+  if (Array.isArray(value)) return value.map(normalizeValue);
+  return value;
+}
+
+/**
+ * Compare two field values after normalization
+ * @returns {boolean}
+ */
+function valuesEqual(a, b) {
+  return JSON.stringify(normalizeValue(a)) === JSON.stringify(normalizeValue(b));
+}
+
+/**
+ * Read a field (or dotted path) from a Mongoose document or plain object
+ */
+function readField(doc, field) {
+  if (typeof doc.get === 'function') return doc.get(field);
+  return field.split('.').reduce((value, key) => value?.[key], doc);
+}
+
+/**
+ * Tracked fields of a document. Each asset custom field is tracked on its
+ * own (customFields.<key>), so a revert only puts back the field that changed.
+ */
+function trackedFields(entityType, before, after) {
+  if (entityType !== 'Equipment') return TRACKED_FIELDS[entityType];
+
+  const keys = new Set([
+    ...Object.keys(readField(before, 'customFields') || {}),
+    ...Object.keys(readField(after, 'customFields') || {}),
+  ]);
+  return [...TRACKED_FIELDS.Equipment, ...[...keys].map(key => `customFields.${key}`)];
+}
+
+/**
+ * List the tracked fields that differ between two versions of a document
+ * @param {string} entityType - 'Equipment', 'Maintenance' or 'Tag'
+ * @param {Object} before - Document before the update
+ * @param {Object} after - Document after the update
+ * @returns {Array<{ field: string, oldValue: *, newValue: * }>}
+ */
+function diffDocuments(entityType, before, after) {
+  return trackedFields(entityType, before, after)
+    .filter(field => !valuesEqual(readField(before, field), readField(after, field)))
+    .map(field => ({
+      field,
+      oldValue: normalizeValue(readField(before, field)),
+      newValue: normalizeValue(readField(after, field)),
+    }));
+}
+
+/**
+ * Record the changes made by an update.
+ * Failures are logged rather than thrown so the update itself still succeeds.
+ *
+ * @param {Object} options
+ * @param {string} options.entityType - 'Equipment', 'Maintenance' or 'Tag'
+ * @param {Object} options.before - Document before the update
+ * @param {Object} options.after - Document after the update
+ * @param {Object} options.user - User who made the change (req.user)
+ * @param {ObjectId} [options.revertOf] - ChangeLog entry this update reverted
+ * @returns {Promise<Object|null>} The ChangeLog entry, or null if nothing tracked changed
+ */
+async function recordChanges({ entityType, before, after, user, revertOf = null }) {
+  const changes = diffDocuments(entityType, before, after);
+  if (changes.length === 0) return null;
+
+  let entityName = readField(after, 'name');
+  let assetId;
+
+  if (entityType === 'Equipment') {
+    assetId = readField(after, 'id');
+  } else if (entityType === 'Maintenance') {
+    entityName = `${readField(after, 'serviceType')} - ${readField(after, 'assetName')}`;
+    assetId = readField(after, 'assetId');
+  }
+
+  try {
+    return await ChangeLog.create({
+      entityType,
+      entityId: readField(after, '_id').toString(),
+      entityName,
+      assetId,
+      changes,
+      user: user._id,
+      userName: user.name,
+      revertOf,
+    });
+  } catch (error) {
+    console.error(`Error recording ${entityType} changes:`, error);
+    return null;
+  }
+}
+
+/**
+ * Describe changes in one line for Activity details
+ * e.g. 'status: "Available" → "In Use", location: "Lab 1" → "Lab 2"'
+ */
+function summarizeChanges(changes) {
+  const format = (value) => (value === null ? 'empty' : JSON.stringify(value));
+  return changes
+    .filter(change => !UNLISTED_FIELDS.includes(change.field))
+    .map(change => `${change.field}: ${format(change.oldValue)} → ${format(change.newValue)}`)
+    .join(', ');
+}
+
+module.exports = {
+  valuesEqual,
+  diffDocuments,
+  recordChanges,
+  summarizeChanges,
+};
@@ -0,0 +1,236 @@
+/**
+ * Slack and Microsoft Teams Integrations
+ *
+ * Posts selected notifications to the incoming webhooks in
+ * Settings.integrations. Each notification helper tags its notification with
+ * an event key (see CHAT_EVENTS); Settings.integrations.routes decides which
+ * events go to which channel. Slack gets a Block Kit message and Teams an
+ * Adaptive Card, both with a link back to the asset.
+ *
+ * Only general notifications (no userId) are posted, since personal ones
+ * ("checked out to you") are not meant for a shared channel.
+ * Deliveries are queued in the WebhookDelivery collection and posted by
+ * utils/webhookQueue.js, which retries failed posts.
+ */
+
+const Settings = require('../models/Settings');
+const WebhookDelivery = require('../models/WebhookDelivery');
+const { getAppUrl } = require('./email');
+const { postWebhook, processDeliveriesSoon } = require('./webhookQueue');
+
+const CHANNELS = ['slack', 'teams'];
+
+// Events that can be routed to Slack/Teams (keys of Settings.integrations.routes)
+const CHAT_EVENTS = {
+  maintenanceDue: {
+    label: 'Maintenance due',
+    description: 'Maintenance due today or in the next few days',
+  },
+  maintenanceOverdue: {
+    label: 'Maintenance overdue',
+    description: 'Scheduled maintenance that has not been done',
+  },
+  statusChange: {
+    label: 'Status changes',
+    description: 'An asset moved to one of the selected statuses',
+  },
+  newAsset: {
+    label: 'New assets',
+    description: 'An asset was registered',
+  },
+  assignment: {
+    label: 'Assignments',
+    description: 'An asset was assigned to someone',
+  },
+  warranty: {
+    label: 'Warranty & contracts',
+    description: 'Warranty or support contract expiring, repairs under warranty',
+  },
+  alert: {
+    label: 'Other alerts',
+    description: 'Overdue returns and other system alerts',
+  },
+};
+
+/**
+ * Link back to the asset in the web app (or the app itself)
+ * @param {string} [assetId] - Asset ID
+ */
+function getAssetUrl(assetId) {
+  return assetId
+    ? `${getAppUrl()}/asset/${encodeURIComponent(assetId)}`
+    : getAppUrl();
+}
+
+/**
+ * Escape text for Slack mrkdwn
+ */
+function escapeSlack(value) {
+  return String(value ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;');
+}
+
+/**
+ * Slack Block Kit message for a notification
+ * @param {Object} notification - { title, message, priority, assetId }
+ * @param {string} appName - Application name
+ */
+function buildSlackMessage(notification, appName) {
+  const { title, message, priority, assetId } = notification;
+  const details = [appName, `Priority: ${priority || 'medium'}`];
+  if (assetId) details.push(`Asset: ${assetId}`);
+
+  const button = {
+    type: 'button',
+    text: { type: 'plain_text', text: assetId ? 'View asset' : `Open ${appName}` },
+    url: getAssetUrl(assetId),
+  };
+  if (priority === 'high') button.style = 'danger';
+
+  return {
+    text: escapeSlack(`${title}: ${message}`),
+    blocks: [
+      { type: 'header', text: { type: 'plain_text', text: title.slice(0, 150) } },
+      { type: 'section', text: { type: 'mrkdwn', text: escapeSlack(message) } },
+      { type: 'context', elements: [{ type: 'mrkdwn', text: escapeSlack(details.join(' | ')) }] },
+      { type: 'actions', elements: [button] },
+    ],
+  };
+}
+
+/**
+ * Microsoft Teams Adaptive Card message for a notification
+ * @param {Object} notification - { title, message, priority, assetId }
+ * @param {string} appName - Application name
+ */
+function buildTeamsMessage(notification, appName) {
+  const { title, message, priority, assetId } = notification;
+  const facts = [{ title: 'Priority', value: priority || 'medium' }];
+  if (assetId) facts.push({ title: 'Asset', value: assetId });
+
+  return {
+    type: 'message',
+    attachments: [
+      {
+        contentType: 'application/vnd.microsoft.card.adaptive',
+        contentUrl: null,
+        content: {
+          $schema: 'http://adaptivecards.io/schemas/adaptive-card.json',
+          type: 'AdaptiveCard',
+          version: '1.4',
+          body: [
+            { type: 'TextBlock', text: appName, size: 'Small', isSubtle: true },
+            {
+              type: 'TextBlock',
+              text: title,
+              size: 'Medium',
+              weight: 'Bolder',
+              wrap: true,
+              color: priority === 'high' ? 'Attention' : 'Default',
+            },
+            { type: 'TextBlock', text: message, wrap: true },
+            { type: 'FactSet', facts },
+          ],
+          actions: [
+            {
+              type: 'Action.OpenUrl',
+              title: assetId ? 'View asset' : `Open ${appName}`,
+              url: getAssetUrl(assetId),
+            },
+          ],
+        },
+      },
+    ],
+  };
+}
+
+function buildMessage(channel, notification, appName) {
+  return channel === 'slack'
+    ? buildSlackMessage(notification, appName)
+    : buildTeamsMessage(notification, appName);
+}
+
+/**
+ * Queue a notification for the Slack/Teams channels its event is routed to
+ * @param {Object} notification - Saved notification
+ * @param {string} event - Event key from CHAT_EVENTS
+ * @param {Object} [details] - Extra routing details ({ status } for statusChange)
+ * @returns {Promise<number>} Number of deliveries queued
+ */
+async function dispatchNotification(notification, event, details = {}) {
+  if (!CHAT_EVENTS[event] || notification.userId) {
+    return 0;
+  }
+
+  try {
+    const settings = await Settings.findOne({ isSingleton: true }).select('appName integrations');
+    const integrations = settings?.integrations;
+    if (!integrations) {
+      return 0;
+    }
+
+    if (event === 'statusChange' && !(integrations.statusChangeStatuses || []).includes(details.status)) {
+      return 0;
+    }
+
+    const appName = settings.appName || 'QR Tag Manager';
+    let queued = 0;
+
+    for (const channel of CHANNELS) {
+      const config = integrations[channel];
+      if (!config?.enabled || !config.webhookUrl || !integrations.routes?.[event]?.[channel]) {
+        continue;
+      }
+      await WebhookDelivery.create({
+        channel,
+        url: config.webhookUrl,
+        event,
+        title: notification.title,
+        payload: buildMessage(channel, notification, appName),
+        notificationId: notification._id,
+        assetId: notification.assetId,
+      });
+      queued++;
+    }
+
+    if (queued > 0) {
+      processDeliveriesSoon();
+    }
+    return queued;
+  } catch (error) {
+    console.error('Error queueing chat notification:', error);
+    return 0;
+  }
+}
+
+/**
+ * Post a test message straight away
+ * @param {string} channel - "slack" or "teams"
+ * @param {string} [webhookUrl] - Webhook to test (default: the saved one)
+ * @returns {Promise<number>} HTTP status
+ */
+async function sendTestMessage(channel, webhookUrl) {
+  const settings = await Settings.findOne({ isSingleton: true }).select('appName integrations');
+  const url = webhookUrl || settings?.integrations?.[channel]?.webhookUrl;
+  if (!url) {
+    throw new Error('Set the webhook URL first');
+  }
+
+  const appName = settings?.appName || 'QR Tag Manager';
+  const message = buildMessage(channel, {
+    title: 'Test message',
+    message: `The ${channel === 'slack' ? 'Slack' : 'Microsoft Teams'} integration for ${appName} is working.`,
+    priority: 'low',
+  }, appName);
+
+  return postWebhook(url, JSON.stringify(message));
+}
+
+module.exports = {
+  CHANNELS,
+  CHAT_EVENTS,
+  dispatchNotification,
+  sendTestMessage,
+};
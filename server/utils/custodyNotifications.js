@@ -0,0 +1,60 @@
+/**
+ * Custody Notification System
+ *
+ * Checks for checked out assets that are past their expected return date
+ * and sends overdue-return notifications. Should be called by a cron job daily
+ */
+
+const Custody = require('../models/Custody');
+const { createOverdueReturnNotification } = require('./notificationHelper');
+
+/**
+ * Check for overdue asset returns and notify the assignee and administrators
+ */
+async function checkOverdueReturnNotifications() {
+  try {
+    const today = new Date();
+    today.setHours(0, 0, 0, 0);
+
+    // Find open custody records past their expected return date
+    const overdueCustody = await Custody.find({
+      status: 'Checked Out',
+      expectedReturnDate: { $lt: today }
+    });
+
+    console.log(`Found ${overdueCustody.length} overdue asset returns`);
+
+    let sent = 0;
+    for (const custody of overdueCustody) {
+      const dueDate = new Date(custody.expectedReturnDate);
+      dueDate.setHours(0, 0, 0, 0);
+      const daysOverdue = Math.ceil((today - dueDate) / (1000 * 60 * 60 * 24));
+
+      // Only send notification on day 1, 3, 7, then weekly
+      const shouldNotify = daysOverdue === 1 ||
+                          daysOverdue === 3 ||
+                          daysOverdue === 7 ||
+                          (daysOverdue > 7 && daysOverdue % 7 === 0);
+
+      // Guard against repeat runs on the same day
+      const alreadyNotifiedToday = custody.lastOverdueNotification &&
+        custody.lastOverdueNotification >= today;
+
+      if (shouldNotify && !alreadyNotifiedToday) {
+        await createOverdueReturnNotification(custody, daysOverdue);
+        custody.lastOverdueNotification = new Date();
+        await custody.save();
+        sent++;
+      }
+    }
+
+    return { success: true, overdue: overdueCustody.length, sent };
+  } catch (error) {
+    console.error('Error checking overdue return notifications:', error);
+    return { success: false, error: error.message };
+  }
+}
+
+module.exports = {
+  checkOverdueReturnNotifications
+};
@@ -0,0 +1,337 @@
+/**
+ * Custom Field Helpers
+ *
+ * Administrators define extra fields per "Asset Type" tag (Tag.customFields):
+ * text, number, date, dropdown or boolean, optionally required and with
+ * limits. Assets store the values in Equipment.customFields, keyed by the
+ * field key. Values are checked against the definitions of the asset's
+ * type whenever an asset is created or its type or custom fields change;
+ * values for fields the type does not define are dropped.
+ */
+
+const Tag = require('../models/Tag');
+const { escapeRegex } = require('./regex');
+
+const CUSTOM_FIELD_TYPES = ['text', 'number', 'date', 'dropdown', 'boolean'];
+
+// Keys are used in Mongo paths (customFields.<key>) and query parameters
+const KEY_PATTERN = /^[a-zA-Z][a-zA-Z0-9_]*$/;
+
+// Dates are stored like purchaseDate: an ISO date string, which sorts lexically
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+/**
+ * Whether a submitted value counts as not filled in
+ */
+function isBlank(value) {
+  return value === undefined || value === null || (typeof value === 'string' && value.trim() === '');
+}
+
+/**
+ * Derive a field key from its label, e.g. "MAC Address" -> "macAddress"
+ * @param {string} label
+ * @returns {string}
+ */
+function keyFromLabel(label) {
+  const words = String(label || '').match(/[a-zA-Z0-9]+/g) || [];
+  const key = words
+    .map((word, index) => (index === 0
+      ? word.toLowerCase()
+      : word.charAt(0).toUpperCase() + word.slice(1).toLowerCase()))
+    .join('');
+  return /^[a-zA-Z]/.test(key) ? key : `field${key}`;
+}
+
+/**
+ * Check and tidy the custom field definitions submitted for a tag
+ * @param {Array<Object>} fields - Submitted definitions
+ * @returns {{ fields: Array<Object>, error: string|null }}
+ */
+function normalizeFieldDefinitions(fields) {
+  if (!Array.isArray(fields)) {
+    return { fields: [], error: 'Custom fields must be a list' };
+  }
+
+  const keys = new Set();
+  const normalized = [];
+
+  for (const field of fields) {
+    const label = String(field?.label || '').trim();
+    if (!label) {
+      return { fields: [], error: 'Every custom field needs a label' };
+    }
+
+    const key = String(field.key || '').trim() || keyFromLabel(label);
+    if (!KEY_PATTERN.test(key)) {
+      return { fields: [], error: `Custom field key "${key}" may only contain letters, numbers and underscores, starting with a letter` };
+    }
+    if (keys.has(key)) {
+      return { fields: [], error: `Custom field key "${key}" is used more than once` };
+    }
+    keys.add(key);
+
+    const type = field.type || 'text';
+    if (!CUSTOM_FIELD_TYPES.includes(type)) {
+      return { fields: [], error: `${label}: unknown field type "${type}"` };
+    }
+
+    const definition = {
+      key,
+      label,
+      type,
+      required: Boolean(field.required),
+      helpText: String(field.helpText || '').trim(),
+    };
+
+    if (type === 'dropdown') {
+      definition.options = [...new Set((field.options || []).map(option => String(option).trim()).filter(Boolean))];
+      if (definition.options.length === 0) {
+        return { fields: [], error: `${label}: a dropdown needs at least one option` };
+      }
+    }
+
+    if (type === 'number') {
+      ['min', 'max'].forEach((limit) => {
+        if (!isBlank(field[limit]) && Number.isFinite(Number(field[limit]))) {
+          definition[limit] = Number(field[limit]);
+        }
+      });
+      if (definition.min !== undefined && definition.max !== undefined && definition.min > definition.max) {
+        return { fields: [], error: `${label}: the minimum is greater than the maximum` };
+      }
+    }
+
+    if (type === 'text') {
+      if (!isBlank(field.maxLength)) {
+        const maxLength = parseInt(field.maxLength, 10);
+        if (!(maxLength > 0)) {
+          return { fields: [], error: `${label}: the maximum length must be a positive number` };
+        }
+        definition.maxLength = maxLength;
+      }
+      const pattern = String(field.pattern || '').trim();
+      if (pattern) {
+        try {
+          new RegExp(pattern);
+        } catch {
+          return { fields: [], error: `${label}: the pattern is not a valid regular expression` };
+        }
+        definition.pattern = pattern;
+      }
+    }
+
+    normalized.push(definition);
+  }
+
+  return { fields: normalized, error: null };
+}
+
+/**
+ * Convert one submitted value to the field's type
+ * @param {Object} field - Field definition
+ * @param {*} raw - Submitted value (not blank)
+ * @returns {{ value?: *, error?: string }} error completes "<label> ..."
+ */
+function coerceValue(field, raw) {
+  switch (field.type) {
+    case 'number': {
+      const value = typeof raw === 'number' ? raw : Number(String(raw).trim());
+      if (!Number.isFinite(value)) return { error: 'must be a number' };
+      if (field.min !== undefined && field.min !== null && value < field.min) {
+        return { error: `must be at least ${field.min}` };
+      }
+      if (field.max !== undefined && field.max !== null && value > field.max) {
+        return { error: `must be at most ${field.max}` };
+      }
+      return { value };
+    }
+
+    case 'date': {
+      // Full ISO timestamps are cut to their date
+      const text = raw instanceof Date ? raw.toISOString().slice(0, 10) : String(raw).trim().replace(/T.*$/, '');
+      const date = new Date(text);
+      if (!DATE_PATTERN.test(text) || isNaN(date.getTime()) || date.toISOString().slice(0, 10) !== text) {
+        return { error: 'must be a valid date (YYYY-MM-DD)' };
+      }
+      return { value: text };
+    }
+
+    case 'dropdown': {
+      const text = String(raw).trim();
+      const option = (field.options || []).find(choice => choice.toLowerCase() === text.toLowerCase());
+      if (!option) return { error: `must be one of: ${(field.options || []).join(', ')}` };
+      return { value: option };
+    }
+
+    case 'boolean': {
+      if (typeof raw === 'boolean') return { value: raw };
+      const text = String(raw).trim().toLowerCase();
+      if (['true', 'yes', '1'].includes(text)) return { value: true };
+      if (['false', 'no', '0'].includes(text)) return { value: false };
+      return { error: 'must be yes or no' };
+    }
+
+    default: {
+      const value = String(raw).trim();
+      if (field.maxLength && value.length > field.maxLength) {
+        return { error: `must be at most ${field.maxLength} characters` };
+      }
+      if (field.pattern && !new RegExp(`^(?:${field.pattern})$`).test(value)) {
+        return { error: field.helpText ? `is not in the expected format (${field.helpText})` : 'is not in the expected format' };
+      }
+      return { value };
+    }
+  }
+}
+
+/**
+ * Check submitted custom field values against a type's definitions
+ * @param {Array<Object>} definitions - Tag.customFields of the asset's type
+ * @param {Object} [input] - Submitted values, keyed by field key
+ * @returns {{ values: Object, errors: Array<string> }} values holds the
+ *          converted values of the filled-in fields
+ */
+function validateCustomFields(definitions, input) {
+  const source = input && typeof input === 'object' ? input : {};
+  const values = {};
+  const errors = [];
+
+  definitions.forEach((field) => {
+    const raw = source[field.key];
+    if (isBlank(raw)) {
+      if (field.required) errors.push(`${field.label} is required`);
+      return;
+    }
+    const { value, error } = coerceValue(field, raw);
+    if (error) {
+      errors.push(`${field.label} ${error}`);
+    } else {
+      values[field.key] = value;
+    }
+  });
+
+  return { values, errors };
+}
+
+/**
+ * Custom field definitions of an asset type
+ * @param {string} category - Asset type (Equipment.category)
+ * @returns {Promise<Array<Object>>}
+ */
+async function getCustomFieldDefinitions(category) {
+  if (!category) return [];
+  const tag = await Tag.findOne({ category: 'Asset Type', name: category }).select('customFields');
+  return tag ? tag.customFields.map(field => field.toObject()) : [];
+}
+
+/**
+ * Validate an asset's custom fields before it is saved, replacing
+ * fields.customFields with the converted values. On an update this only
+ * runs when the type or the custom fields are being changed.
+ * @param {Object} fields - Asset fields being saved (modified in place)
+ * @param {Object} [existing] - Asset before the update
+ * @returns {Promise<string|null>} Error message, or null
+ */
+async function applyCustomFields(fields, existing) {
+  if (existing && fields.customFields === undefined && fields.category === undefined) {
+    return null;
+  }
+
+  const category = fields.category ?? existing?.category ?? 'Other';
+  const input = fields.customFields !== undefined ? fields.customFields : existing?.customFields;
+
+  const definitions = await getCustomFieldDefinitions(category);
+  const { values, errors } = validateCustomFields(definitions, input);
+  if (errors.length > 0) {
+    return errors.join('; ');
+  }
+
+  fields.customFields = values;
+  return null;
+}
+
+/**
+ * Field types by key across all asset types (the first definition of a key wins)
+ * @returns {Promise<Map<string, Object>>}
+ */
+async function loadFieldsByKey() {
+  const tags = await Tag.find({ category: 'Asset Type', 'customFields.0': { $exists: true } })
+    .select('customFields')
+    .sort({ name: 1 });
+
+  const fieldsByKey = new Map();
+  tags.forEach((tag) => {
+    tag.customFields.forEach((field) => {
+      if (!fieldsByKey.has(field.key)) fieldsByKey.set(field.key, field);
+    });
+  });
+  return fieldsByKey;
+}
+
+/**
+ * Build Mongo conditions from the customFields listing query parameter.
+ * customFields[key]=value matches text fields by substring, dropdowns by
+ * option (comma separated for any of them), and numbers, dates and booleans
+ * exactly; customFields[key][min] and [max] give a range for numbers and dates.
+ * @param {Object} query - req.query.customFields
+ * @returns {Promise<Object>} Conditions on customFields.<key> paths
+ */
+async function buildCustomFieldFilter(query) {
+  const conditions = {};
+  if (!query || typeof query !== 'object') return conditions;
+
+  const entries = Object.entries(query).filter(([key, value]) => KEY_PATTERN.test(key) && !isBlank(value));
+  if (entries.length === 0) return conditions;
+
+  const fieldsByKey = await loadFieldsByKey();
+
+  entries.forEach(([key, param]) => {
+    const field = fieldsByKey.get(key);
+    if (!field) return;
+    const path = `customFields.${key}`;
+    // A repeated parameter counts as a comma separated list
+    const value = Array.isArray(param) ? param.join(',') : param;
+
+    if (typeof value === 'object') {
+      if (field.type !== 'number' && field.type !== 'date') return;
+      const range = {};
+      ['min', 'max'].forEach((limit) => {
+        if (isBlank(value[limit])) return;
+        const bound = coerceValue({ type: field.type }, value[limit]);
+        if (bound.error) return;
+        range[limit === 'min' ? '$gte' : '$lte'] = bound.value;
+      });
+      if (Object.keys(range).length > 0) conditions[path] = range;
+      return;
+    }
+
+    const text = String(value).trim();
+    switch (field.type) {
+      case 'text':
+        conditions[path] = new RegExp(escapeRegex(text), 'i');
+        break;
+      case 'dropdown': {
+        const options = text.split(',').map(v => v.trim()).filter(Boolean);
+        conditions[path] = options.length === 1 ? options[0] : { $in: options };
+        break;
+      }
+      default: {
+        const exact = coerceValue({ type: field.type }, text);
+        if (!exact.error) conditions[path] = exact.value;
+      }
+    }
+  });
+
+  return conditions;
+}
+
+module.exports = {
+  CUSTOM_FIELD_TYPES,
+  keyFromLabel,
+  normalizeFieldDefinitions,
+  validateCustomFields,
+  getCustomFieldDefinitions,
+  applyCustomFields,
+  loadFieldsByKey,
+  buildCustomFieldFilter,
+};
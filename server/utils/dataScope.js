@@ -0,0 +1,156 @@
+/**
+ * Data Scopes
+ *
+ * Limits users to the assets of some departments or locations. An asset is
+ * in a user's scope when its department or its location is listed in their
+ * effective scope (see resolveDataScope in utils/roles.js), or its location
+ * lies under a listed location in the location tree; maintenance
+ * records and activity follow their asset. Administrators, unscoped roles and API keys
+ * see every asset. Routes add these filters to their queries, so assets
+ * outside the scope are simply not found.
+ */
+
+const Equipment = require('../models/Equipment');
+const Location = require('../models/Location');
+const { resolveDataScope } = require('./roles');
+const { subtreeIdsByName } = require('./locations');
+
+/**
+ * Mongo filter matching the assets a user may access
+ * @param {Object} user - req.user
+ * @returns {Promise<Object|null>} null when the user may access every asset
+ */
+async function assetScopeFilter(user) {
+  const scope = resolveDataScope(user);
+  if (!scope) return null;
+
+  const locationIds = await subtreeIdsByName(scope.locations);
+  return {
+    $or: [
+      { department: { $in: scope.departments } },
+      { location: { $in: scope.locations } },
+      { locationId: { $in: locationIds } },
+    ],
+  };
+}
+
+/**
+ * Limit an Equipment filter to the user's scope
+ * @param {Object} user - req.user
+ * @param {Object} [filter] - Equipment filter
+ * @returns {Promise<Object>} The filter, combined with the scope if there is one
+ */
+async function scopedAssetFilter(user, filter = {}) {
+  const scopeFilter = await assetScopeFilter(user);
+  return scopeFilter ? { $and: [filter, scopeFilter] } : filter;
+}
+
+/**
+ * Limit a filter on a collection that refers to assets by assetId
+ * (Equipment.id) to the assets in the user's scope
+ * @param {Object} user - req.user
+ * @param {Object} filter - Filter on the collection
+ * @returns {Promise<Object>} The filter, combined with the scope if there is one
+ */
+async function scopedByAssetId(user, filter) {
+  const scopeFilter = await assetScopeFilter(user);
+  if (!scopeFilter) return filter;
+
+  const assetIds = await Equipment.distinct('id', scopeFilter);
+  return { $and: [filter, { assetId: { $in: assetIds } }] };
+}
+
+/**
+ * Limit a Maintenance filter to records of assets in the user's scope
+ * @param {Object} user - req.user
+ * @param {Object} [filter] - Maintenance filter
+ * @returns {Promise<Object>} The filter, combined with the scope if there is one
+ */
+async function scopedMaintenanceFilter(user, filter = {}) {
+  return scopedByAssetId(user, filter);
+}
+
+/**
+ * Limit an Activity filter to activity on assets in the user's scope
+ * @param {Object} user - req.user
+ * @param {Object} [filter] - Activity filter
+ * @returns {Promise<Object>} The filter, combined with the scope if there is one
+ */
+async function scopedActivityFilter(user, filter = {}) {
+  return scopedByAssetId(user, filter);
+}
+
+/**
+ * Whether an asset (existing, or about to be created or changed) is in the
+ * user's scope
+ * @param {Object} user - req.user
+ * @param {Object} asset - Asset fields (department, location, locationId)
+ * @returns {Promise<boolean>}
+ */
+async function isAssetInScope(user, asset) {
+  const scope = resolveDataScope(user);
+  if (!scope) return true;
+
+  if (scope.departments.includes(asset.department) || scope.locations.includes(asset.location)) {
+    return true;
+  }
+  if (!asset.locationId || scope.locations.length === 0) return false;
+
+  // Any location above the asset's location may be the one in scope
+  const location = await Location.findById(asset.locationId).select('ancestors');
+  if (!location) return false;
+  return Boolean(await Location.exists({
+    _id: { $in: location.ancestors },
+    name: { $in: scope.locations },
+  }));
+}
+
+/**
+ * Whether the asset with this ID exists and is in the user's scope
+ * @param {Object} user - req.user
+ * @param {string} assetId - Equipment.id
+ * @returns {Promise<boolean>}
+ */
+async function isAssetIdInScope(user, assetId) {
+  return Boolean(await Equipment.exists(await scopedAssetFilter(user, { id: assetId })));
+}
+
+// Response message when an asset would end up outside the user's scope
+const OUT_OF_SCOPE_MESSAGE = 'You can only manage assets in your departments or locations';
+
+/**
+ * Check a data scope sent by a client
+ * @param {Object} value - { departments, locations, ownDepartment }
+ * @param {boolean} [allowOwnDepartment] - Whether ownDepartment is accepted (roles only)
+ * @returns {{ error: string|null, dataScope: Object }}
+ */
+function parseDataScope(value, allowOwnDepartment = false) {
+  if (!value || typeof value !== 'object') {
+    return { error: 'Data scope must be an object', dataScope: null };
+  }
+
+  const dataScope = {};
+  for (const key of ['departments', 'locations']) {
+    const list = value[key] || [];
+    if (!Array.isArray(list) || list.some(item => typeof item !== 'string')) {
+      return { error: `Data scope ${key} must be a list of names`, dataScope: null };
+    }
+    dataScope[key] = [...new Set(list.map(item => item.trim()).filter(Boolean))];
+  }
+  if (allowOwnDepartment) {
+    dataScope.ownDepartment = Boolean(value.ownDepartment);
+  }
+
+  return { error: null, dataScope };
+}
+
+module.exports = {
+  OUT_OF_SCOPE_MESSAGE,
+  parseDataScope,
+  assetScopeFilter,
+  scopedAssetFilter,
+  scopedMaintenanceFilter,
+  scopedActivityFilter,
+  isAssetInScope,
+  isAssetIdInScope,
+};
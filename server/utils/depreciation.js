@@ -0,0 +1,182 @@
+/**
+ * Depreciation Engine
+ *
+ * Computes asset book values from the depreciation settings of the asset's
+ * category (the "Asset Type" tag). Supported methods:
+ * - Straight Line: (cost - salvage) / useful life each year
+ * - Declining Balance: a fixed rate (decliningRate / useful life, 2 = double
+ *   declining) of the opening value each year, never below salvage; the last
+ *   year writes the asset down to salvage
+ * - Sum of Years Digits: (cost - salvage) * remaining life / (1 + 2 + ... + life)
+ *
+ * Depreciation starts on the acquisition date (falling back to the purchase
+ * date) and runs in yearly periods from that date. Values between period
+ * boundaries are prorated by day.
+ */
+
+const round = (value) => Math.round(value * 100) / 100;
+
+/**
+ * Parse a stored date (YYYY-MM-DD string or Date)
+ * @returns {Date|null}
+ */
+function parseDate(value) {
+  if (!value) return null;
+  const date = new Date(value);
+  return isNaN(date.getTime()) ? null : date;
+}
+
+function addYears(date, years) {
+  const result = new Date(date);
+  result.setFullYear(result.getFullYear() + years);
+  return result;
+}
+
+/**
+ * Build the yearly depreciation schedule of an asset
+ *
+ * @param {Object} options
+ * @param {number} options.cost - Acquisition cost
+ * @param {number} options.salvageValue - Value at the end of its useful life
+ * @param {number} options.usefulLifeYears - Useful life in whole years
+ * @param {string} options.method - Depreciation method (see Tag depreciation.method)
+ * @param {number} [options.decliningRate=2] - Multiple of the straight-line rate for Declining Balance
+ * @param {Date} options.inServiceDate - Start of the first period
+ * @returns {Object[]} One entry per year: { year, periodStart, periodEnd, openingValue,
+ *                     depreciation, accumulatedDepreciation, closingValue }
+ */
+function buildSchedule({ cost, salvageValue, usefulLifeYears, method, decliningRate = 2, inServiceDate }) {
+  const life = Math.max(Math.round(usefulLifeYears), 1);
+  const depreciable = Math.max(cost - salvageValue, 0);
+  const sumOfYears = (life * (life + 1)) / 2;
+
+  const schedule = [];
+  let opening = cost;
+  let accumulated = 0;
+
+  for (let year = 1; year <= life; year++) {
+    let depreciation;
+
+    switch (method) {
+      case 'Straight Line':
+        depreciation = depreciable / life;
+        break;
+      case 'Declining Balance':
+        depreciation = opening * (decliningRate / life);
+        break;
+      case 'Sum of Years Digits':
+        depreciation = (depreciable * (life - year + 1)) / sumOfYears;
+        break;
+      default:
+        depreciation = 0;
+    }
+
+    // Never go below salvage; the final year absorbs rounding and any remainder
+    if (year === life || depreciation > opening - salvageValue) {
+      depreciation = opening - salvageValue;
+    }
+    depreciation = round(Math.max(depreciation, 0));
+
+    accumulated = round(accumulated + depreciation);
+    const closing = round(opening - depreciation);
+
+    schedule.push({
+      year,
+      periodStart: addYears(inServiceDate, year - 1),
+      periodEnd: addYears(inServiceDate, year),
+      openingValue: round(opening),
+      depreciation,
+      accumulatedDepreciation: accumulated,
+      closingValue: closing,
+    });
+
+    opening = closing;
+  }
+
+  return schedule;
+}
+
+/**
+ * Book value and accumulated depreciation on a given date
+ * @param {Object[]} schedule - From buildSchedule
+ * @param {number} cost - Acquisition cost
+ * @param {Date} date
+ * @returns {{ bookValue: number, accumulatedDepreciation: number }}
+ */
+function valueAt(schedule, cost, date) {
+  if (schedule.length === 0 || date <= schedule[0].periodStart) {
+    return { bookValue: round(cost), accumulatedDepreciation: 0 };
+  }
+
+  const period = schedule.find(p => date < p.periodEnd);
+  if (!period) {
+    const last = schedule[schedule.length - 1];
+    return { bookValue: last.closingValue, accumulatedDepreciation: last.accumulatedDepreciation };
+  }
+
+  const fraction = (date - period.periodStart) / (period.periodEnd - period.periodStart);
+  const depreciation = round(period.depreciation * fraction);
+  const accumulatedBefore = round(period.accumulatedDepreciation - period.depreciation);
+
+  return {
+    bookValue: round(period.openingValue - depreciation),
+    accumulatedDepreciation: round(accumulatedBefore + depreciation),
+  };
+}
+
+/**
+ * Work out an asset's depreciation from its category settings
+ *
+ * @param {Object} asset - Equipment document
+ * @param {Object} [settings] - Depreciation settings of the asset's Asset Type tag
+ * @param {Date} [asOf=new Date()] - Date to value the asset at
+ * @returns {Object} { depreciable: false, reason } when the asset cannot be depreciated,
+ *                   otherwise the settings, bookValue, accumulatedDepreciation and schedule
+ */
+function getAssetDepreciation(asset, settings, asOf = new Date()) {
+  if (!settings || !settings.method || settings.method === 'None' || !settings.usefulLifeYears) {
+    return { depreciable: false, reason: `No depreciation method is configured for ${asset.category || 'this asset type'}` };
+  }
+
+  const cost = Number(asset.cost);
+  if (!(cost > 0)) {
+    return { depreciable: false, reason: 'Asset has no cost' };
+  }
+
+  const inServiceDate = parseDate(asset.acquisitionDate) || parseDate(asset.purchaseDate);
+  if (!inServiceDate) {
+    return { depreciable: false, reason: 'Asset has no acquisition or purchase date' };
+  }
+
+  const salvageValue = round((cost * (settings.salvagePercent || 0)) / 100);
+  const schedule = buildSchedule({
+    cost,
+    salvageValue,
+    usefulLifeYears: settings.usefulLifeYears,
+    method: settings.method,
+    decliningRate: settings.decliningRate,
+    inServiceDate,
+  });
+  const { bookValue, accumulatedDepreciation } = valueAt(schedule, cost, asOf);
+
+  return {
+    depreciable: true,
+    method: settings.method,
+    usefulLifeYears: settings.usefulLifeYears,
+    salvagePercent: settings.salvagePercent || 0,
+    salvageValue,
+    cost,
+    inServiceDate,
+    asOf,
+    bookValue,
+    accumulatedDepreciation,
+    fullyDepreciated: asOf >= schedule[schedule.length - 1].periodEnd,
+    schedule,
+  };
+}
+
+module.exports = {
+  buildSchedule,
+  valueAt,
+  getAssetDepreciation,
+};
@@ -0,0 +1,264 @@
+/**
+ * Email Delivery
+ *
+ * Sends email over SMTP with the settings stored in Settings (emailHost,
+ * emailPort, emailSecure, emailUsername, emailPassword, emailFrom).
+ * Emails are queued in the EmailOutbox collection and sent right away;
+ * failed sends stay in the outbox and are retried with a growing delay by
+ * the emailOutbox job until they run out of attempts.
+ *
+ * Nothing is queued unless email is enabled (emailNotificationsEnabled) and
+ * an SMTP host is set. Notification emails also need Settings.emailNotifications
+ * and respect each recipient's notificationPreferences.
+ */
+
+const nodemailer = require('nodemailer');
+const Settings = require('../models/Settings');
+const User = require('../models/User');
+const EmailOutbox = require('../models/EmailOutbox');
+const { renderTemplate } = require('./emailTemplates');
+
+// Delay before the first retry; doubled after every failed attempt
+const RETRY_BASE_DELAY_MS = 60 * 1000;
+
+// Emails left in Sending this long (e.g. the server stopped mid-send) are retried
+const STALE_SENDING_MS = 10 * 60 * 1000;
+
+// Most emails sent in one outbox run
+const BATCH_SIZE = 50;
+
+// Notification preference (User.notificationPreferences) that controls each notification email
+const TEMPLATE_PREFERENCES = {
+  maintenanceDue: 'criticalAlerts',
+  maintenanceOverdue: 'criticalAlerts',
+  warranty: 'criticalAlerts',
+  alert: 'criticalAlerts',
+  assignment: 'assignments',
+};
+
+const EMAIL_SETTINGS_FIELDS =
+  'appName primaryColor emailNotifications emailNotificationsEnabled emailHost emailPort emailSecure emailUsername emailPassword emailFrom';
+
+let transport = null;
+let transportKey = null;
+
+/**
+ * URL of the web app, used for links in emails
+ */
+function getAppUrl() {
+  return (process.env.CLIENT_URL || 'http://localhost:5173').replace(/\/$/, '');
+}
+
+async function loadEmailSettings() {
+  return Settings.findOne({ isSingleton: true }).select(EMAIL_SETTINGS_FIELDS);
+}
+
+/**
+ * Whether email delivery is turned on and has an SMTP host
+ * @param {Object} settings - Settings document
+ */
+function isEmailEnabled(settings) {
+  return Boolean(settings && settings.emailNotificationsEnabled && settings.emailHost);
+}
+
+/**
+ * SMTP transport for the current settings (recreated when they change)
+ */
+function getTransport(settings) {
+  const options = {
+    host: settings.emailHost,
+    port: settings.emailPort || 587,
+    secure: Boolean(settings.emailSecure),
+    auth: settings.emailUsername
+      ? { user: settings.emailUsername, pass: settings.emailPassword }
+      : undefined,
+  };
+  const key = JSON.stringify(options);
+
+  if (!transport || transportKey !== key) {
+    if (transport) transport.close();
+    transport = nodemailer.createTransport(options);
+    transportKey = key;
+  }
+  return transport;
+}
+
+function getBranding(settings) {
+  return {
+    appName: settings?.appName || 'QR Tag Manager',
+    primaryColor: settings?.primaryColor,
+    appUrl: getAppUrl(),
+  };
+}
+
+/**
+ * Send an email immediately
+ * @param {Object} settings - Settings document
+ * @param {Object} message - { to, subject, html, text }
+ * @returns {Promise<Object>} nodemailer send info
+ */
+async function deliver(settings, { to, subject, html, text }) {
+  const address = settings.emailFrom || settings.emailUsername;
+  if (!address) {
+    throw new Error('Set a sender address (From) in the email settings');
+  }
+
+  return getTransport(settings).sendMail({
+    from: { name: getBranding(settings).appName, address },
+    to,
+    subject,
+    html,
+    text,
+  });
+}
+
+/**
+ * Send pending emails from the outbox. Safe to run on several instances
+ * at once: each email is claimed atomically before it is sent.
+ * @returns {Promise<Object>} { success, idle, sent, retrying, failed }
+ */
+async function processOutbox() {
+  const settings = await loadEmailSettings();
+  if (!isEmailEnabled(settings)) {
+    return { success: true, idle: true, skipped: 'Email is not enabled' };
+  }
+
+  await EmailOutbox.updateMany(
+    { status: 'Sending', claimedAt: { $lt: new Date(Date.now() - STALE_SENDING_MS) } },
+    { $set: { status: 'Pending' } }
+  );
+
+  const results = { sent: 0, retrying: 0, failed: 0 };
+
+  for (let i = 0; i < BATCH_SIZE; i++) {
+    const email = await EmailOutbox.findOneAndUpdate(
+      { status: 'Pending', nextAttemptAt: { $lte: new Date() } },
+      { $set: { status: 'Sending', claimedAt: new Date() }, $inc: { attempts: 1 } },
+      { new: true, sort: { nextAttemptAt: 1 } }
+    );
+    if (!email) break;
+
+    try {
+      const info = await deliver(settings, email);
+      email.status = 'Sent';
+      email.sentAt = new Date();
+      email.messageId = info.messageId;
+      email.lastError = undefined;
+      results.sent++;
+    } catch (error) {
+      console.error(`Error sending email to ${email.to}:`, error.message);
+      email.lastError = error.message;
+      if (email.attempts >= email.maxAttempts) {
+        email.status = 'Failed';
+        results.failed++;
+      } else {
+        email.status = 'Pending';
+        email.nextAttemptAt = new Date(Date.now() + RETRY_BASE_DELAY_MS * 2 ** (email.attempts - 1));
+        results.retrying++;
+      }
+    }
+    await email.save();
+  }
+
+  return {
+    success: true,
+    idle: results.sent + results.retrying + results.failed === 0,
+    ...results,
+  };
+}
+
+/**
+ * Render a template into the outbox and start sending it
+ */
+async function enqueue(settings, { to, template, data, notificationId = null }) {
+  const { subject, html, text } = renderTemplate(template, getBranding(settings), data);
+  const email = await EmailOutbox.create({ to, subject, html, text, template, notificationId });
+
+  // Send now rather than waiting for the next outbox run
+  processOutbox().catch(error => console.error('Error processing email outbox:', error));
+
+  return email;
+}
+
+/**
+ * Queue an email
+ * @param {Object} options
+ * @param {string} options.to - Recipient address
+ * @param {string} options.template - Template name from utils/emailTemplates.js
+ * @param {Object} options.data - Template data
+ * @returns {Promise<Object|null>} The outbox entry, or null when email is not enabled
+ */
+async function queueEmail(options) {
+  const settings = await loadEmailSettings();
+  if (!isEmailEnabled(settings)) {
+    return null;
+  }
+  return enqueue(settings, options);
+}
+
+/**
+ * Email a notification to its recipients, skipping users who turned that
+ * kind of email off
+ * @param {Object} notification - Saved notification
+ * @param {string} template - Template name (see TEMPLATE_PREFERENCES)
+ * @param {Array} [userIds] - Users to email instead of the recipients (from notification rules)
+ * @returns {Promise<number>} Number of emails queued
+ */
+async function emailNotification(notification, template, userIds) {
+  try {
+    const settings = await loadEmailSettings();
+    if (!isEmailEnabled(settings) || !settings.emailNotifications) {
+      return 0;
+    }
+
+    const recipients = await User.find({
+      _id: { $in: userIds || (notification.recipients || []).map(recipient => recipient.user) },
+      status: 'Active',
+    });
+
+    const preference = TEMPLATE_PREFERENCES[template];
+    let queued = 0;
+
+    for (const user of recipients) {
+      if (preference && user.notificationPreferences?.[preference] === false) {
+        continue;
+      }
+      await enqueue(settings, {
+        to: user.email,
+        template,
+        data: { notification, user },
+        notificationId: notification._id,
+      });
+      queued++;
+    }
+    return queued;
+  } catch (error) {
+    console.error('Error queueing notification email:', error);
+    return 0;
+  }
+}
+
+/**
+ * Send a test email straight away with the saved SMTP settings
+ * (works before email is enabled, so the settings can be checked first)
+ * @param {string} to - Recipient address
+ * @param {Object} user - User asking for the test
+ * @returns {Promise<Object>} nodemailer send info
+ */
+async function sendTestEmail(to, user) {
+  const settings = await loadEmailSettings();
+  if (!settings || !settings.emailHost) {
+    throw new Error('Set the SMTP host first');
+  }
+
+  const message = renderTemplate('test', getBranding(settings), { name: user.name });
+  return deliver(settings, { to, ...message });
+}
+
+module.exports = {
+  getAppUrl,
+  queueEmail,
+  emailNotification,
+  processOutbox,
+  sendTestEmail,
+};
@@ -0,0 +1,146 @@
+/**
+ * Email Templates
+ *
+ * HTML (and plain text) emails sent through utils/email.js.
+ * Every template receives the branding ({ appName, primaryColor, appUrl })
+ * plus its own data, and returns { subject, html, text }.
+ */
+
+/**
+ * Escape text for use in HTML
+ */
+function escapeHtml(value) {
+  return String(value ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
+/**
+ * Wrap email content in the shared layout
+ * @param {Object} branding - { appName, primaryColor, appUrl }
+ * @param {Object} content
+ * @param {string} content.heading - Heading text
+ * @param {string[]} content.paragraphs - Paragraphs of plain text
+ * @param {Object} [content.action] - Button { label, url }
+ * @param {string} [content.footer] - Small print below the button
+ */
+function renderLayout(branding, { heading, paragraphs, action, footer }) {
+  const color = escapeHtml(branding.primaryColor || '#3B82F6');
+  const appName = escapeHtml(branding.appName);
+
+  const body = paragraphs
+    .map(text => `<p style="margin:0 0 16px;font-size:15px;line-height:22px;color:#374151;">${escapeHtml(text)}</p>`)
+    .join('');
+
+  const button = action
+    ? `<p style="margin:24px 0;"><a href="${escapeHtml(action.url)}" style="display:inline-block;padding:12px 20px;border-radius:6px;background:${color};color:#ffffff;font-weight:600;font-size:15px;text-decoration:none;">${escapeHtml(action.label)}</a></p>`
+    : '';
+
+  const smallPrint = footer
+    ? `<p style="margin:0;font-size:13px;line-height:20px;color:#6b7280;">${escapeHtml(footer)}</p>`
+    : '';
+
+  return `<!DOCTYPE html>
+<html>
+  <body style="margin:0;padding:24px;background:#f3f4f6;font-family:Arial,Helvetica,sans-serif;">
+    <table role="presentation" width="100%" cellpadding="0" cellspacing="0" style="max-width:560px;margin:0 auto;background:#ffffff;border-radius:8px;overflow:hidden;">
+      <tr><td style="padding:16px 24px;background:${color};color:#ffffff;font-size:16px;font-weight:700;">${appName}</td></tr>
+      <tr><td style="padding:24px;">
+        <h1 style="margin:0 0 16px;font-size:20px;color:#111827;">${escapeHtml(heading)}</h1>
+        ${body}${button}${smallPrint}
+      </td></tr>
+    </table>
+  </body>
+</html>`;
+}
+
+/**
+ * Plain text version of the same content
+ */
+function renderText(branding, { heading, paragraphs, action, footer }) {
+  return [
+    heading,
+    '',
+    ...paragraphs.flatMap(text => [text, '']),
+    action ? `${action.label}: ${action.url}\n` : null,
+    footer || null,
+    `-- ${branding.appName}`,
+  ].filter(line => line !== null).join('\n');
+}
+
+function render(branding, subject, content) {
+  return {
+    subject: `[${branding.appName}] ${subject}`,
+    html: renderLayout(branding, content),
+    text: renderText(branding, content),
+  };
+}
+
+/**
+ * Email for a notification: the notification title and message with a
+ * link to the app
+ * @param {string|Function} intro - Sentence shown above the message, or (notification) => sentence
+ */
+function notificationTemplate(intro) {
+  return (branding, { notification }) => render(branding, notification.title, {
+    heading: notification.title,
+    paragraphs: [typeof intro === 'function' ? intro(notification) : intro, notification.message],
+    action: branding.appUrl ? { label: `Open ${branding.appName}`, url: branding.appUrl } : null,
+    footer: 'You can change which emails you receive under Notification Preferences in your profile.',
+  });
+}
+
+const TEMPLATES = {
+  passwordReset: (branding, { name, resetUrl, expiresMinutes }) => render(branding, 'Reset your password', {
+    heading: 'Reset your password',
+    paragraphs: [
+      `Hi ${name},`,
+      `We received a request to reset the password for your ${branding.appName} account. Use the button below to choose a new password. The link expires in ${expiresMinutes} minutes.`,
+    ],
+    action: { label: 'Reset password', url: resetUrl },
+    footer: 'If you did not ask for a password reset, you can ignore this email; your password will not change.',
+  }),
+
+  maintenanceDue: notificationTemplate('Maintenance is coming up for one of your assets.'),
+
+  maintenanceOverdue: notificationTemplate('Maintenance for one of your assets is overdue and needs attention.'),
+
+  assignment: notificationTemplate(notification => (notification.userId
+    ? 'An asset has been assigned to you.'
+    : 'An asset has been assigned.')),
+
+  warranty: notificationTemplate('There is a warranty or support contract update for one of your assets.'),
+
+  alert: notificationTemplate('An alert needs your attention.'),
+
+  test: (branding, { name }) => render(branding, 'Test email', {
+    heading: 'Email delivery is working',
+    paragraphs: [
+      `Hi ${name},`,
+      `This is a test email from ${branding.appName}. If you are reading it, the SMTP settings are correct.`,
+    ],
+  }),
+};
+
+/**
+ * Render a template
+ * @param {string} name - Template name (key of TEMPLATES)
+ * @param {Object} branding - { appName, primaryColor, appUrl }
+ * @param {Object} data - Template data
+ * @returns {{ subject: string, html: string, text: string }}
+ */
+function renderTemplate(name, branding, data) {
+  const template = TEMPLATES[name];
+  if (!template) {
+    throw new Error(`Unknown email template: ${name}`);
+  }
+  return template(branding, data);
+}
+
+module.exports = {
+  TEMPLATES,
+  renderTemplate,
+};
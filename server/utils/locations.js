@@ -0,0 +1,73 @@
+/**
+ * Location Tree Helpers
+ *
+ * Subtree lookups and asset location resolution for the location tree
+ * (models/Location.js). Assets reference a node by locationId and keep its
+ * name in location, so older filters, tags and exports that match location
+ * names keep working.
+ */
+
+const mongoose = require('mongoose');
+const Location = require('../models/Location');
+
+/**
+ * IDs of the given locations and everything under them
+ * @param {Array<string|ObjectId>} ids - Location IDs
+ * @returns {Promise<Array<ObjectId>>}
+ */
+async function subtreeIds(ids) {
+  const roots = ids.filter(id => mongoose.isValidObjectId(id)).map(id => new mongoose.Types.ObjectId(String(id)));
+  if (roots.length === 0) return [];
+
+  const descendants = await Location.find({ ancestors: { $in: roots } }).distinct('_id');
+  return [...roots, ...descendants];
+}
+
+/**
+ * IDs of the locations with one of these names, and everything under them
+ * (data scopes list locations by name)
+ * @param {Array<string>} names - Location names
+ * @returns {Promise<Array<ObjectId>>}
+ */
+async function subtreeIdsByName(names) {
+  if (names.length === 0) return [];
+
+  const roots = await Location.find({ name: { $in: names } }).distinct('_id');
+  return subtreeIds(roots);
+}
+
+/**
+ * Keep an asset's location name and location reference in step before it is
+ * saved. A locationId wins and sets the name; a name alone is matched to a
+ * location when exactly one has it (otherwise the asset keeps a free-text
+ * location and no reference).
+ * @param {Object} fields - Asset fields being created or updated (changed in place)
+ * @returns {Promise<string|null>} Error message, or null
+ */
+async function applyAssetLocation(fields) {
+  if (fields.locationId) {
+    if (!mongoose.isValidObjectId(fields.locationId)) {
+      return 'Location not found';
+    }
+    const location = await Location.findById(fields.locationId).select('name');
+    if (!location) {
+      return 'Location not found';
+    }
+    fields.location = location.name;
+    return null;
+  }
+
+  if (fields.location) {
+    const matches = await Location.find({ name: fields.location }).select('_id').limit(2);
+    fields.locationId = matches.length === 1 ? matches[0]._id : null;
+  } else if (fields.location !== undefined || fields.locationId !== undefined) {
+    fields.locationId = null;
+  }
+  return null;
+}
+
+module.exports = {
+  subtreeIds,
+  subtreeIdsByName,
+  applyAssetLocation,
+};
@@ -0,0 +1,58 @@
+/**
+ * Distributed Lock Helpers
+ *
+ * Locks stored in MongoDB so that only one server instance runs a job at a
+ * time. Acquiring is a single atomic upsert: it succeeds when the lock does
+ * not exist or has expired (and, for scheduled runs, was not already taken
+ * for the same slot). A duplicate key error means another instance won.
+ */
+
+const os = require('os');
+const Lock = require('../models/Lock');
+
+// Identifies this server instance as a lock owner
+const INSTANCE_ID = `${os.hostname()}:${process.pid}`;
+
+/**
+ * Try to acquire a lock
+ * @param {string} name - Lock name
+ * @param {Object} [options]
+ * @param {number} [options.ttlMs=1800000] - How long the lock is held if never released
+ * @param {string} [options.slot] - Scheduled slot; the lock is refused if this slot already ran
+ * @returns {Promise<boolean>} true when this instance now holds the lock
+ */
+async function acquireLock(name, { ttlMs = 30 * 60 * 1000, slot = null } = {}) {
+  const now = new Date();
+  const filter = { _id: name, lockedUntil: { $lte: now } };
+  if (slot) {
+    filter.lastSlot = { $ne: slot };
+  }
+
+  const update = { owner: INSTANCE_ID, lockedUntil: new Date(now.getTime() + ttlMs) };
+  if (slot) {
+    update.lastSlot = slot;
+  }
+
+  try {
+    const lock = await Lock.findOneAndUpdate(filter, { $set: update }, { upsert: true, new: true });
+    return lock.owner === INSTANCE_ID;
+  } catch (error) {
+    // The lock exists but is held (or the slot already ran): the upsert collided
+    if (error.code === 11000) return false;
+    throw error;
+  }
+}
+
+/**
+ * Release a lock held by this instance
+ * @param {string} name - Lock name
+ */
+async function releaseLock(name) {
+  await Lock.updateOne({ _id: name, owner: INSTANCE_ID }, { $set: { lockedUntil: new Date() } });
+}
+
+module.exports = {
+  INSTANCE_ID,
+  acquireLock,
+  releaseLock,
+};
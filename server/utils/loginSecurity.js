@@ -0,0 +1,102 @@
+/**
+ * Login Security
+ *
+ * Failed sign-in tracking: every attempt is recorded in LoginAttempt (the
+ * audit trail), accounts are locked for Settings.loginLockout.lockoutMinutes
+ * after maxAttempts consecutive failures, and an IP address with too many
+ * recent failures across all accounts is refused for a while.
+ */
+
+const User = require('../models/User');
+const LoginAttempt = require('../models/LoginAttempt');
+const { getSecuritySettings } = require('./auth');
+
+// Failed attempts from one IP address within the window before it is refused
+const IP_MAX_FAILURES = parseInt(process.env.LOGIN_IP_MAX_FAILURES, 10) || 20;
+const IP_WINDOW_MS = 15 * 60 * 1000;
+
+/**
+ * Record a sign-in attempt. Never throws: a failed write is logged so it
+ * cannot break sign-in.
+ * @param {Object} req - Request (IP and user agent are recorded)
+ * @param {Object} attempt
+ * @param {string} attempt.email - Email the attempt was for
+ * @param {Object} [attempt.user] - Matching user, if any
+ * @param {string} [attempt.method] - password, twoFactor, recoveryCode, register or passwordReset
+ * @param {boolean} attempt.success
+ * @param {string} [attempt.reason] - Why it failed
+ */
+async function recordLoginAttempt(req, { email, user = null, method = 'password', success, reason = '' }) {
+  try {
+    await LoginAttempt.create({
+      email: String(email || user?.email || '').slice(0, 200),
+      user: user?._id || null,
+      ip: req.ip,
+      userAgent: String(req.headers['user-agent'] || '').slice(0, 300),
+      method,
+      success,
+      reason,
+    });
+  } catch (error) {
+    console.error('Failed to record login attempt:', error.message);
+  }
+}
+
+/**
+ * Whether an IP address has failed too often recently
+ * @param {string} ip - Client address (req.ip)
+ * @returns {Promise<boolean>}
+ */
+async function isIpBlocked(ip) {
+  const failures = await LoginAttempt.countDocuments({
+    ip,
+    success: false,
+    createdAt: { $gte: new Date(Date.now() - IP_WINDOW_MS) },
+  });
+  return failures >= IP_MAX_FAILURES;
+}
+
+/**
+ * Whether an account is locked right now
+ * @param {Object} user - User document
+ */
+function isLocked(user) {
+  return Boolean(user.lockedUntil && user.lockedUntil > new Date());
+}
+
+/**
+ * Message for a locked account, with the time left
+ * @param {Object} user - User document
+ */
+function lockedMessage(user) {
+  const minutes = Math.max(Math.ceil((user.lockedUntil - Date.now()) / 60000), 1);
+  return `Too many failed sign-in attempts. Your account is locked for ${minutes} more minute(s).`;
+}
+
+/**
+ * Count a failed sign-in and lock the account when it reaches the limit.
+ * The count is incremented atomically so parallel guesses all count.
+ * @param {Object} user - User document (lockedUntil is updated on it)
+ * @returns {Promise<boolean>} Whether the account is now locked
+ */
+async function registerFailedLogin(user) {
+  const { loginLockout } = await getSecuritySettings();
+  const updated = await User.findByIdAndUpdate(user._id, { $inc: { failedLoginAttempts: 1 } }, { new: true });
+
+  if (!updated || updated.failedLoginAttempts < loginLockout.maxAttempts) {
+    return false;
+  }
+
+  user.lockedUntil = new Date(Date.now() + loginLockout.lockoutMinutes * 60 * 1000);
+  user.failedLoginAttempts = 0;
+  await User.updateOne({ _id: user._id }, { failedLoginAttempts: 0, lockedUntil: user.lockedUntil });
+  return true;
+}
+
+module.exports = {
+  recordLoginAttempt,
+  isIpBlocked,
+  isLocked,
+  lockedMessage,
+  registerFailedLogin,
+};
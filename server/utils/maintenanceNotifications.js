@@ -7,13 +7,32 @@
 
 const Maintenance = require('../models/Maintenance');
 const Equipment = require('../models/Equipment');
-const User = require('../models/User');
-const { createNotification } = require('./notificationHelper');
+const { createNotification, createExpiryNotification } = require('./notificationHelper');
+const { EXPIRY_ALERT_DAYS, daysUntil, getDueExpiryAlert } = require('./warranty');
 
 /**
- * Check for maintenance due in the next 7 days and notify users based on role
- * - Regular users: Get notified about maintenance in next 7 days
- * - Admins: Get notified about all activities
+ * Assets for a list of maintenance records, by asset ID
+ * (notification rules look at their category, department, assignee and cost)
+ * @param {Array} records - Maintenance records
+ * @returns {Promise<Map>} Asset ID -> asset
+ */
+async function loadAssets(records) {
+  const assets = await Equipment.find({ id: { $in: records.map(record => record.assetId) } })
+    .select('id category department assignedTo cost');
+  return new Map(assets.map(asset => [asset.id, asset]));
+}
+
+/**
+ * Day part of a date, for dedupe keys
+ */
+function dayKey(date) {
+  return new Date(date).toISOString().slice(0, 10);
+}
+
+/**
+ * Check for maintenance due in the next 7 days and notify whoever the
+ * upcoming maintenance rules name. Each scheduled date is announced once,
+ * however often the check runs.
  */
 async function checkWeeklyMaintenanceNotifications() {
   try {
@@ -31,42 +50,27 @@ async function checkWeeklyMaintenanceNotifications() {
 
     console.log(`Found ${upcomingMaintenance.length} maintenance due in next 7 days`);
 
-    // Get all users and admins
-    const users = await User.find({ status: 'Active', role: 'User' });
-    const admins = await User.find({ status: 'Active', role: 'Administrator' });
+    const assets = await loadAssets(upcomingMaintenance);
+    let notified = 0;
 
-    // Notify regular users about maintenance
     for (const maintenance of upcomingMaintenance) {
       const daysUntil = Math.ceil((maintenance.scheduledDate - today) / (1000 * 60 * 60 * 24));
-      
-      // Notify all regular users
-      for (const user of users) {
-        await createNotification({
-          type: 'maintenance',
-          title: 'Upcoming Maintenance',
-          message: `Maintenance scheduled for ${maintenance.assetName} in ${daysUntil} day(s). Service type: ${maintenance.serviceType}`,
-          userId: user._id.toString(),
-          assetId: maintenance.assetId,
-          priority: daysUntil <= 3 ? 'high' : 'medium',
-          actionUrl: `/maintenance/${maintenance._id}`
-        });
-      }
 
-      // Notify admins
-      for (const admin of admins) {
-        await createNotification({
-          type: 'maintenance',
-          title: 'Upcoming Maintenance',
-          message: `Maintenance scheduled for ${maintenance.assetName} in ${daysUntil} day(s). Service type: ${maintenance.serviceType}`,
-          userId: admin._id.toString(),
-          assetId: maintenance.assetId,
-          priority: daysUntil <= 3 ? 'high' : 'medium',
-          actionUrl: `/maintenance/${maintenance._id}`
-        });
-      }
+      const notification = await createNotification({
+        type: 'maintenance',
+        title: 'Upcoming Maintenance',
+        message: `Maintenance scheduled for ${maintenance.assetName} on ${maintenance.scheduledDate.toLocaleDateString()}. Service type: ${maintenance.serviceType}`,
+        trigger: 'maintenanceUpcoming',
+        facts: { asset: assets.get(maintenance.assetId), maintenance },
+        dedupeKey: `upcomingMaintenance:${maintenance._id}:${dayKey(maintenance.scheduledDate)}`,
+        assetId: maintenance.assetId,
+        priority: daysUntil <= 3 ? 'high' : 'medium',
+        actionUrl: `/maintenance/${maintenance._id}`
+      });
+      if (notification) notified++;
     }
 
-    return { success: true, notified: upcomingMaintenance.length };
+    return { success: true, notified };
   } catch (error) {
     console.error('Error checking weekly maintenance notifications:', error);
     return { success: false, error: error.message };
@@ -78,21 +82,17 @@ async function checkWeeklyMaintenanceNotifications() {
  */
 async function notifyAdminsOfActivity(activityData) {
   try {
-    const admins = await User.find({ status: 'Active', role: 'Administrator' });
-    
-    for (const admin of admins) {
-      await createNotification({
-        type: 'info',
-        title: activityData.title || 'System Activity',
-        message: activityData.message,
-        userId: admin._id.toString(),
-        assetId: activityData.assetId || null,
-        priority: activityData.priority || 'low',
-        actionUrl: activityData.actionUrl || null
-      });
-    }
+    const notification = await createNotification({
+      type: 'info',
+      title: activityData.title || 'System Activity',
+      message: activityData.message,
+      audience: { roles: ['Administrator'] },
+      assetId: activityData.assetId || null,
+      priority: activityData.priority || 'low',
+      actionUrl: activityData.actionUrl || null
+    });
 
-    return { success: true, notified: admins.length };
+    return { success: true, notified: notification ? notification.recipients.length : 0 };
   } catch (error) {
     console.error('Error notifying admins:', error);
     return { success: false, error: error.message };
@@ -119,6 +119,8 @@ async function checkDueMaintenanceNotifications() {
 
     console.log(`Found ${dueMaintenance.length} maintenance due today`);
 
+    const assets = await loadAssets(dueMaintenance);
+
     // Send notifications for each
     for (const maintenance of dueMaintenance) {
       await createNotification({
@@ -126,6 +128,11 @@ async function checkDueMaintenanceNotifications() {
         title: 'Maintenance Due Today',
         message: `Maintenance scheduled for ${maintenance.assetName} is due today. Service type: ${maintenance.serviceType}`,
         priority: maintenance.priority || 'medium',
+        emailTemplate: 'maintenanceDue',
+        event: 'maintenanceDue',
+        trigger: 'maintenanceDue',
+        facts: { asset: assets.get(maintenance.assetId), maintenance },
+        dedupeKey: `maintenanceDue:${maintenance._id}:${dayKey(maintenance.scheduledDate)}`,
         assetId: maintenance.assetId,
         assetName: maintenance.assetName,
         actionRequired: true,
@@ -177,13 +184,20 @@ async function checkUpcomingMaintenanceReminders() {
 
     console.log(`Found ${upcomingMaintenance.length} maintenance due in 3 days`);
 
+    const assets = await loadAssets(upcomingMaintenance);
+
     // Send reminders for each
     for (const maintenance of upcomingMaintenance) {
       await createNotification({
-        type: 'reminder',
+        type: 'maintenance',
         title: 'Upcoming Maintenance Reminder',
         message: `Maintenance for ${maintenance.assetName} is scheduled in 3 days. Service type: ${maintenance.serviceType}`,
         priority: 'low',
+        emailTemplate: 'maintenanceDue',
+        event: 'maintenanceDue',
+        trigger: 'maintenanceUpcoming',
+        facts: { asset: assets.get(maintenance.assetId), maintenance },
+        dedupeKey: `maintenanceReminder:${maintenance._id}:${dayKey(maintenance.scheduledDate)}`,
         assetId: maintenance.assetId,
         assetName: maintenance.assetName,
         actionRequired: false,
@@ -224,6 +238,8 @@ async function checkOverdueMaintenanceNotifications() {
 
     console.log(`Found ${overdueMaintenance.length} overdue maintenance`);
 
+    const assets = await loadAssets(overdueMaintenance);
+
     // Send critical notifications for overdue items
     for (const maintenance of overdueMaintenance) {
       // Calculate days overdue
@@ -237,10 +253,15 @@ async function checkOverdueMaintenanceNotifications() {
 
       if (shouldNotify) {
         await createNotification({
-          type: 'critical',
+          type: 'alert',
           title: 'Overdue Maintenance',
           message: `Maintenance for ${maintenance.assetName} is ${daysOverdue} day(s) overdue! Service type: ${maintenance.serviceType}`,
-          priority: 'critical',
+          priority: 'high',
+          emailTemplate: 'maintenanceOverdue',
+          event: 'maintenanceOverdue',
+          trigger: 'maintenanceOverdue',
+          facts: { asset: assets.get(maintenance.assetId), maintenance },
+          dedupeKey: `maintenanceOverdue:${maintenance._id}:${daysOverdue}`,
           assetId: maintenance.assetId,
           assetName: maintenance.assetName,
           actionRequired: true,
@@ -262,6 +283,58 @@ async function checkOverdueMaintenanceNotifications() {
   }
 }
 
+/**
+ * Check for warranties and support contracts expiring in the next 90 days
+ * and send an alert 90, 30 and 7 days before the end date (once each)
+ */
+async function checkWarrantyExpiryNotifications() {
+  try {
+    const today = new Date();
+    today.setHours(0, 0, 0, 0);
+
+    const horizon = new Date(today);
+    horizon.setDate(horizon.getDate() + Math.max(...EXPIRY_ALERT_DAYS) + 1);
+
+    const assets = await Equipment.find({
+      $or: [
+        { warrantyEndDate: { $gte: today, $lt: horizon } },
+        { supportContractEndDate: { $gte: today, $lt: horizon } }
+      ]
+    }).select('id name warrantyEndDate warrantyProvider supportContractRef supportContractEndDate warrantyExpiryAlert contractExpiryAlert');
+
+    console.log(`Found ${assets.length} assets with a warranty or support contract ending soon`);
+
+    let notified = 0;
+    for (const asset of assets) {
+      const updates = {};
+
+      const warrantyAlert = getDueExpiryAlert(asset.warrantyEndDate, asset.warrantyExpiryAlert);
+      if (warrantyAlert) {
+        await createExpiryNotification(asset, 'warranty', daysUntil(asset.warrantyEndDate));
+        updates.warrantyExpiryAlert = { endDate: asset.warrantyEndDate, days: warrantyAlert };
+        notified++;
+      }
+
+      const contractAlert = getDueExpiryAlert(asset.supportContractEndDate, asset.contractExpiryAlert);
+      if (contractAlert) {
+        await createExpiryNotification(asset, 'contract', daysUntil(asset.supportContractEndDate));
+        updates.contractExpiryAlert = { endDate: asset.supportContractEndDate, days: contractAlert };
+        notified++;
+      }
+
+      // Update the alert markers directly so lastModified is left alone
+      if (Object.keys(updates).length > 0) {
+        await Equipment.updateOne({ _id: asset._id }, { $set: updates });
+      }
+    }
+
+    return { success: true, notified };
+  } catch (error) {
+    console.error('Error checking warranty expiry notifications:', error);
+    return { success: false, error: error.message };
+  }
+}
+
 /**
  * Main function to run all maintenance notification checks
  * Call this from a daily cron job
@@ -273,7 +346,8 @@ async function runMaintenanceNotificationChecks() {
     timestamp: new Date(),
     dueToday: await checkDueMaintenanceNotifications(),
     upcoming: await checkUpcomingMaintenanceReminders(),
-    overdue: await checkOverdueMaintenanceNotifications()
+    overdue: await checkOverdueMaintenanceNotifications(),
+    warrantyExpiry: await checkWarrantyExpiryNotifications()
   };
 
   console.log('Maintenance notification checks completed:', results);
@@ -285,6 +359,7 @@ module.exports = {
   checkDueMaintenanceNotifications,
   checkUpcomingMaintenanceReminders,
   checkOverdueMaintenanceNotifications,
+  checkWarrantyExpiryNotifications,
   checkWeeklyMaintenanceNotifications,
   notifyAdminsOfActivity
 };
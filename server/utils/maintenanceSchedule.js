@@ -0,0 +1,150 @@
+/**
+ * Maintenance Schedule Helpers
+ *
+ * Shared logic for scheduling the first maintenance of a new asset (used when
+ * assets are created one at a time and by bulk import), keeping an asset's
+ * maintenance status current and marking overdue maintenance.
+ */
+
+const Equipment = require('../models/Equipment');
+const Maintenance = require('../models/Maintenance');
+const { publishAssetChange, publishMaintenanceChange } = require('./realtime');
+const { emitMaintenanceEvent } = require('./webhooks');
+
+/**
+ * Helper function to calculate next maintenance date based on period
+ */
+function calculateNextMaintenanceDate(lastDate, period) {
+  if (!period || period === 'As Needed') return null;
+  
+  const date = new Date(lastDate);
+  
+  switch(period) {
+    case 'Weekly':
+      date.setDate(date.getDate() + 7);
+      break;
+    case 'Monthly':
+      date.setMonth(date.getMonth() + 1);
+      break;
+    case 'Every 3 Months':
+    case 'Quarterly':
+      date.setMonth(date.getMonth() + 3);
+      break;
+    case 'Every 6 Months':
+    case 'Bi-annually':
+      date.setMonth(date.getMonth() + 6);
+      break;
+    case 'Annually':
+      date.setFullYear(date.getFullYear() + 1);
+      break;
+    case 'Every 2 Years':
+      date.setFullYear(date.getFullYear() + 2);
+      break;
+    default:
+      return null;
+  }
+  
+  return date;
+}
+
+/**
+ * Build the initial scheduled maintenance record for a new asset
+ * @param {Object} equipment - Asset with maintenancePeriod and nextScheduledMaintenance set
+ * @returns {Object|null} Maintenance data, or null when no schedule applies
+ */
+function buildInitialMaintenance(equipment) {
+  if (!equipment.maintenancePeriod || equipment.maintenancePeriod === 'As Needed' || !equipment.nextScheduledMaintenance) {
+    return null;
+  }
+
+  return {
+    assetId: equipment.id,
+    assetName: equipment.name,
+    date: equipment.nextScheduledMaintenance,
+    scheduledDate: equipment.nextScheduledMaintenance,
+    serviceType: 'Preventative Maintenance',
+    technician: 'To Be Assigned',
+    cost: 0,
+    status: 'Scheduled',
+    priority: 'Medium',
+    description: `Initial ${equipment.maintenancePeriod} maintenance schedule for ${equipment.name}`,
+  };
+}
+
+/**
+ * Helper function to update asset maintenance status
+ */
+async function updateAssetMaintenanceStatus(assetId) {
+  try {
+    const asset = await Equipment.findOne({ id: assetId });
+    if (!asset) return;
+
+    const now = new Date();
+    const nextMaintenance = asset.nextScheduledMaintenance;
+
+    if (!nextMaintenance) {
+      asset.maintenanceStatus = 'Not Scheduled';
+    } else {
+      const daysUntilMaintenance = Math.ceil((nextMaintenance - now) / (1000 * 60 * 60 * 24));
+      
+      // Check for in-progress maintenance
+      const inProgressMaintenance = await Maintenance.findOne({
+        assetId: assetId,
+        status: 'In Progress'
+      });
+
+      if (inProgressMaintenance) {
+        asset.maintenanceStatus = 'In Progress';
+      } else if (daysUntilMaintenance < 0) {
+        asset.maintenanceStatus = 'Overdue';
+      } else if (daysUntilMaintenance <= 7) {
+        asset.maintenanceStatus = 'Due Soon';
+      } else {
+        asset.maintenanceStatus = 'Up to Date';
+      }
+    }
+
+    await asset.save();
+    publishAssetChange('updated', asset.id);
+  } catch (error) {
+    console.error('Error updating asset maintenance status:', error);
+  }
+}
+
+/**
+ * Mark maintenance that is past its scheduled date as overdue
+ * and refresh the maintenance status of the affected assets
+ * @returns {Promise<{ success: boolean, count: number }>}
+ */
+async function markOverdueMaintenance() {
+  const today = new Date();
+  today.setHours(0, 0, 0, 0);
+
+  // Find all maintenance that is past due
+  const overdueMaintenance = await Maintenance.find({
+    status: { $in: ['Scheduled', 'Not Started'] },
+    scheduledDate: { $lt: today },
+    isOverdue: false
+  });
+
+  // Mark as overdue and update asset status
+  for (const maintenance of overdueMaintenance) {
+    maintenance.isOverdue = true;
+    await maintenance.save();
+    await updateAssetMaintenanceStatus(maintenance.assetId);
+    await emitMaintenanceEvent('maintenance.overdue', maintenance);
+  }
+
+  if (overdueMaintenance.length > 0) {
+    publishMaintenanceChange('bulk');
+  }
+
+  return { success: true, count: overdueMaintenance.length };
+}
+
+module.exports = {
+  calculateNextMaintenanceDate,
+  buildInitialMaintenance,
+  updateAssetMaintenanceStatus,
+  markOverdueMaintenance,
+};
@@ -1,10 +1,175 @@
 /**
  * Notification Helper Utility
  *
- * Helper functions to generate notifications for various asset events
+ * Helper functions to generate notifications for various asset events.
+ *
+ * Each helper names a trigger; the notification rules for that trigger
+ * (utils/notificationRules.js) decide who receives it in the app and by
+ * email and whether it is posted to Slack/Teams. Notifications created
+ * without a trigger go to their audience (user ids, roles, departments or
+ * asset assignees), administrators by default. A notification with a
+ * dedupeKey that already exists is skipped.
  */
 
 const Notification = require("../models/Notification");
+const User = require("../models/User");
+const Equipment = require("../models/Equipment");
+const { hasPermission } = require("../middleware/auth");
+const { loadRoles } = require("./roles");
+const { publishNotification } = require("./realtime");
+const { emailNotification } = require("./email");
+const { dispatchNotification } = require("./chatIntegrations");
+const { evaluateRules } = require("./notificationRules");
+const { isAssetInScope } = require("./dataScope");
+
+// Audience of general notifications that do not name one
+const DEFAULT_AUDIENCE = { roles: ["Administrator"] };
+
+/**
+ * Whether an audience names anyone
+ * @param {Object} [audience] - { users, roles, departments, assignees }
+ */
+function hasAudience(audience) {
+  return ["users", "roles", "departments", "assignees"].some(
+    (key) => audience?.[key]?.length > 0
+  );
+}
+
+/**
+ * Find the active users an audience covers who can view notifications
+ * (and, for a notification about an asset, have the asset in their data scope)
+ * @param {Object} audience - { users, roles, departments, assignees }
+ *   (assignees are matched against user names and email addresses)
+ * @param {string} [assetId] - Equipment ID the notification is about
+ * @returns {Promise<Array>} User ids
+ */
+async function resolveRecipients(
+  { users = [], roles = [], departments = [], assignees = [] } = {},
+  assetId = null
+) {
+  const conditions = [];
+  if (users.length > 0) {
+    conditions.push({ _id: { $in: users } });
+  }
+  if (roles.length > 0) {
+    conditions.push({ role: { $in: roles } });
+  }
+  if (departments.length > 0) {
+    conditions.push({ department: { $in: departments } });
+  }
+  if (assignees.length > 0) {
+    conditions.push(
+      { name: { $in: assignees } },
+      { email: { $in: assignees.map((assignee) => assignee.toLowerCase()) } }
+    );
+  }
+  if (conditions.length === 0) {
+    return [];
+  }
+
+  const matches = await User.find({ status: "Active", $or: conditions }).select(
+    "role permissionOverrides department dataScope"
+  );
+  await loadRoles();
+  const asset = assetId
+    ? await Equipment.findOne({ id: assetId }).select("department location locationId")
+    : null;
+
+  const recipients = [];
+  for (const user of matches) {
+    if (!hasPermission(user, "viewNotifications")) continue;
+    if (asset && !(await isAssetInScope(user, asset))) continue;
+    recipients.push(user._id);
+  }
+  return recipients;
+}
+
+/**
+ * Send a saved notification to the other channels: connected clients,
+ * email (when a template is given) and Slack/Teams (when the event is routed)
+ * @param {Object} notification - Saved Notification document
+ * @param {Object} [options]
+ * @param {string} [options.emailTemplate] - Template from utils/emailTemplates.js
+ * @param {string} [options.event] - Event key from utils/chatIntegrations.js
+ * @param {Object} [options.details] - Extra routing details ({ status } for statusChange)
+ * @param {Array} [options.emailRecipients] - User ids to email (default: the recipients)
+ */
+async function deliverNotification(
+  notification,
+  { emailTemplate = null, event = null, details = {}, emailRecipients } = {}
+) {
+  publishNotification(notification);
+  if (emailTemplate) {
+    await emailNotification(notification, emailTemplate, emailRecipients);
+  }
+  if (event) {
+    await dispatchNotification(notification, event, details);
+  }
+}
+
+/**
+ * Fan a notification out to its recipients, save it and deliver it
+ * (see deliverNotification)
+ * @param {Object} notification - Unsaved Notification document
+ * @param {Object} [options]
+ * @param {string} [options.trigger] - Trigger from utils/notificationRules.js; its rules pick the recipients and channels
+ * @param {Object} [options.facts] - What the rules look at: { asset, maintenance, custody, assignees, fromStatus, toStatus }
+ * @param {string} [options.emailTemplate] - Email template, used when a rule has the email channel
+ * @param {string} [options.event] - Slack/Teams event, used when a rule has the webhook channel
+ * @param {Object} [options.details] - Extra routing details ({ status } for statusChange)
+ * @returns {Promise<Object|null>} The notification, or null when its dedupeKey already exists
+ *                                 or no rule sends it
+ */
+async function saveNotification(notification, options = {}) {
+  const { trigger, facts, ...delivery } = options;
+
+  if (
+    notification.dedupeKey &&
+    (await Notification.exists({ dedupeKey: notification.dedupeKey }))
+  ) {
+    return null;
+  }
+
+  if (trigger) {
+    const plan = await evaluateRules(trigger, {
+      ...facts,
+      assetId: notification.assetId,
+      priority: notification.priority,
+    });
+    if (!plan || (plan.inApp.length === 0 && plan.email.length === 0 && !plan.webhook)) {
+      return null;
+    }
+    notification.rules = plan.rules;
+    notification.recipients = plan.inApp.map((user) => ({ user }));
+    delivery.emailRecipients = plan.email;
+    if (plan.email.length === 0) delivery.emailTemplate = null;
+    if (!plan.webhook) delivery.event = null;
+  } else {
+    if (notification.userId) {
+      notification.audience = { users: [notification.userId] };
+    } else if (!hasAudience(notification.audience)) {
+      notification.audience = DEFAULT_AUDIENCE;
+    }
+    const recipients = await resolveRecipients(
+      notification.audience,
+      notification.assetId
+    );
+    notification.recipients = recipients.map((user) => ({ user }));
+  }
+
+  try {
+    await notification.save();
+  } catch (error) {
+    // Another instance created the same notification first
+    if (error.code === 11000 && notification.dedupeKey) {
+      return null;
+    }
+    throw error;
+  }
+
+  await deliverNotification(notification, delivery);
+  return notification;
+}
 
 /**
  * Create a maintenance due notification
@@ -19,7 +184,12 @@ async function createMaintenanceNotification(asset) {
       assetId: asset.id,
       priority: "high",
     });
-    await notification.save();
+    await saveNotification(notification, {
+      trigger: "maintenanceDue",
+      facts: { asset },
+      emailTemplate: "maintenanceDue",
+      event: "maintenanceDue",
+    });
     return notification;
   } catch (error) {
     console.error("Error creating maintenance notification:", error);
@@ -41,7 +211,12 @@ async function createStatusChangeNotification(asset, oldStatus, newStatus) {
       assetId: asset.id,
       priority: "medium",
     });
-    await notification.save();
+    await saveNotification(notification, {
+      trigger: "statusChange",
+      facts: { asset, fromStatus: oldStatus, toStatus: newStatus },
+      event: "statusChange",
+      details: { status: newStatus },
+    });
     return notification;
   } catch (error) {
     console.error("Error creating status change notification:", error);
@@ -62,13 +237,142 @@ async function createAssignmentNotification(asset, assignee) {
       assetId: asset.id,
       priority: "medium",
     });
-    await notification.save();
+    await saveNotification(notification, {
+      trigger: "assignment",
+      facts: { asset, assignees: [assignee] },
+      emailTemplate: "assignment",
+      event: "assignment",
+    });
     return notification;
   } catch (error) {
     console.error("Error creating assignment notification:", error);
   }
 }
 
+/**
+ * Create a checkout notification for the person taking custody of an asset
+ * @param {Object} asset - Asset object
+ * @param {Object} custody - Custody record
+ */
+async function createCheckoutNotification(asset, custody) {
+  try {
+    const notification = new Notification({
+      type: "assignment",
+      title: "Asset Checked Out to You",
+      message: `${asset.name} (${asset.id}) has been checked out to you. Please return it by ${custody.expectedReturnDate.toLocaleDateString()}`,
+      assetId: asset.id,
+      userId: custody.assignee.toString(),
+      priority: "medium",
+    });
+    await saveNotification(notification, {
+      trigger: "checkout",
+      facts: { asset, custody },
+      emailTemplate: "assignment",
+      event: "assignment",
+    });
+    return notification;
+  } catch (error) {
+    console.error("Error creating checkout notification:", error);
+  }
+}
+
+/**
+ * Create overdue-return notifications for a checked out asset.
+ * The assignee is reminded and administrators get an alert.
+ * @param {Object} custody - Custody record
+ * @param {number} daysOverdue - Days past the expected return date
+ */
+async function createOverdueReturnNotification(custody, daysOverdue) {
+  try {
+    const dueDate = custody.expectedReturnDate.toLocaleDateString();
+    const reminder = new Notification({
+      type: "alert",
+      title: "Asset Return Overdue",
+      message: `${custody.assetName} (${custody.assetId}) was due back on ${dueDate} and is ${daysOverdue} day(s) overdue`,
+      assetId: custody.assetId,
+      userId: custody.assignee.toString(),
+      priority: "high",
+      dedupeKey: `returnOverdue:${custody._id}:${daysOverdue}:assignee`,
+    });
+    const alert = new Notification({
+      type: "alert",
+      title: "Asset Return Overdue",
+      message: `${custody.assetName} (${custody.assetId}) checked out to ${custody.assigneeName} is ${daysOverdue} day(s) overdue (due ${dueDate})`,
+      assetId: custody.assetId,
+      priority: "high",
+      dedupeKey: `returnOverdue:${custody._id}:${daysOverdue}`,
+    });
+
+    const options = { facts: { custody }, emailTemplate: "alert", event: "alert" };
+    await saveNotification(reminder, { ...options, trigger: "returnReminder" });
+    await saveNotification(alert, { ...options, trigger: "returnOverdue" });
+    return [reminder, alert];
+  } catch (error) {
+    console.error("Error creating overdue return notification:", error);
+  }
+}
+
+/**
+ * Create an upcoming warranty or support contract expiry notification
+ * @param {Object} asset - Asset object
+ * @param {string} kind - "warranty" or "contract"
+ * @param {number} daysLeft - Days until the end date
+ */
+async function createExpiryNotification(asset, kind, daysLeft) {
+  try {
+    const isWarranty = kind === "warranty";
+    const endDate = (
+      isWarranty ? asset.warrantyEndDate : asset.supportContractEndDate
+    ).toLocaleDateString();
+    const what = isWarranty
+      ? `Warranty${asset.warrantyProvider ? ` (${asset.warrantyProvider})` : ""}`
+      : `Support contract${asset.supportContractRef ? ` ${asset.supportContractRef}` : ""}`;
+
+    const notification = new Notification({
+      type: "alert",
+      title: isWarranty ? "Warranty Expiring" : "Support Contract Expiring",
+      message: `${what} for ${asset.name} (${asset.id}) expires in ${daysLeft} day(s) on ${endDate}`,
+      assetId: asset.id,
+      priority: daysLeft <= 7 ? "high" : daysLeft <= 30 ? "medium" : "low",
+    });
+    await saveNotification(notification, {
+      trigger: "warrantyExpiry",
+      facts: { asset },
+      emailTemplate: "warranty",
+      event: "warranty",
+    });
+    return notification;
+  } catch (error) {
+    console.error("Error creating expiry notification:", error);
+  }
+}
+
+/**
+ * Create a notification that a repair is covered by the asset's warranty
+ * @param {Object} asset - Asset object
+ * @param {Object} maintenance - Repair maintenance record
+ */
+async function createWarrantyRepairNotification(asset, maintenance) {
+  try {
+    const notification = new Notification({
+      type: "info",
+      title: "Repair Under Warranty",
+      message: `${maintenance.serviceType} for ${asset.name} (${asset.id}) is covered by warranty${asset.warrantyProvider ? ` from ${asset.warrantyProvider}` : ""} until ${asset.warrantyEndDate.toLocaleDateString()}`,
+      assetId: asset.id,
+      priority: "medium",
+    });
+    await saveNotification(notification, {
+      trigger: "warrantyRepair",
+      facts: { asset, maintenance },
+      emailTemplate: "warranty",
+      event: "warranty",
+    });
+    return notification;
+  } catch (error) {
+    console.error("Error creating warranty repair notification:", error);
+  }
+}
+
 /**
  * Create a new asset notification
  * @param {Object} asset - Asset object
@@ -82,7 +386,11 @@ async function createNewAssetNotification(asset) {
       assetId: asset.id,
       priority: "low",
     });
-    await notification.save();
+    await saveNotification(notification, {
+      trigger: "newAsset",
+      facts: { asset },
+      event: "newAsset",
+    });
     return notification;
   } catch (error) {
     console.error("Error creating new asset notification:", error);
@@ -104,7 +412,11 @@ async function createAlertNotification(title, message, assetId = null) {
       assetId,
       priority: "high",
     });
-    await notification.save();
+    await saveNotification(notification, {
+      trigger: "alert",
+      emailTemplate: "alert",
+      event: "alert",
+    });
     return notification;
   } catch (error) {
     console.error("Error creating alert notification:", error);
@@ -117,19 +429,32 @@ async function createAlertNotification(title, message, assetId = null) {
  * @param {string} options.type - Notification type (maintenance, status_change, assignment, alert, info)
  * @param {string} options.title - Notification title
  * @param {string} options.message - Notification message
- * @param {string} options.userId - User ID to send notification to (optional, null for admin-only)
+ * @param {string} options.trigger - Trigger whose notification rules pick recipients and channels (optional)
+ * @param {Object} options.facts - Details the rules look at: { asset, maintenance, custody } (optional)
+ * @param {string} options.userId - User ID for a personal notification (optional)
+ * @param {Object} options.audience - Who gets it when there is no trigger: { users, roles, departments, assignees } (optional, default administrators)
+ * @param {string} options.dedupeKey - Skip the notification if one with this key exists (optional)
  * @param {string} options.assetId - Related asset ID (optional)
  * @param {string} options.priority - Priority level (low, medium, high)
  * @param {string} options.actionUrl - URL for action button (optional)
+ * @param {string} options.emailTemplate - Also email the notification with this template (optional)
+ * @param {string} options.event - Event key for Slack/Teams routing, see utils/chatIntegrations.js (optional)
+ * @returns {Promise<Object|null>} The notification, or null for a duplicate or when no rule sends it
  */
 async function createNotification({
   type,
   title,
   message,
+  trigger = null,
+  facts = {},
   userId = null,
+  audience = null,
+  dedupeKey = undefined,
   assetId = null,
   priority = "medium",
   actionUrl = null,
+  emailTemplate = null,
+  event = null,
 }) {
   try {
     const notification = new Notification({
@@ -137,12 +462,18 @@ async function createNotification({
       title,
       message,
       userId,
+      audience,
+      dedupeKey,
       assetId,
       priority,
       actionUrl,
     });
-    await notification.save();
-    return notification;
+    return await saveNotification(notification, {
+      trigger,
+      facts,
+      emailTemplate,
+      event,
+    });
   } catch (error) {
     console.error("Error creating notification:", error);
     throw error;
@@ -150,9 +481,14 @@ async function createNotification({
 }
 
 module.exports = {
+  resolveRecipients,
   createMaintenanceNotification,
   createStatusChangeNotification,
   createAssignmentNotification,
+  createCheckoutNotification,
+  createOverdueReturnNotification,
+  createExpiryNotification,
+  createWarrantyRepairNotification,
   createNewAssetNotification,
   createAlertNotification,
   createNotification,
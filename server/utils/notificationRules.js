@@ -0,0 +1,332 @@
+/**
+ * Notification Rules
+ *
+ * Decides who receives a notification and over which channels. Every
+ * notification helper names a trigger; the enabled NotificationRule
+ * documents for that trigger whose conditions match are combined: in-app
+ * recipients, email recipients and whether it goes to Slack/Teams.
+ *
+ * The rules that reproduce the built-in behaviour (DEFAULT_RULES) are
+ * created the first time rules are needed and can then be changed in
+ * Settings > Notification Rules.
+ */
+
+const NotificationRule = require('../models/NotificationRule');
+const Equipment = require('../models/Equipment');
+const User = require('../models/User');
+const { hasPermission } = require('../middleware/auth');
+const { loadRoles } = require('./roles');
+const { isAssetInScope } = require('./dataScope');
+
+// Events that can trigger a notification
+const TRIGGERS = {
+  maintenanceDue: {
+    label: 'Maintenance due',
+    description: 'Maintenance is due today, or an asset is flagged as needing maintenance',
+  },
+  maintenanceUpcoming: {
+    label: 'Upcoming maintenance',
+    description: 'Maintenance is scheduled in the next few days',
+  },
+  maintenanceOverdue: {
+    label: 'Maintenance overdue',
+    description: 'Scheduled maintenance is past due (day 1, 3, 7, then weekly)',
+  },
+  maintenanceReminder: {
+    label: 'Maintenance reminder',
+    description: 'An administrator sends a reminder for a maintenance record',
+  },
+  statusChange: {
+    label: 'Asset status changed',
+    description: 'An asset moved from one status to another',
+  },
+  assignment: {
+    label: 'Asset assigned',
+    description: 'An asset was assigned to someone',
+  },
+  checkout: {
+    label: 'Asset checked out',
+    description: 'An asset was checked out (tells the borrower)',
+  },
+  returnReminder: {
+    label: 'Return overdue (borrower)',
+    description: 'A checked out asset is past its return date (tells the borrower)',
+  },
+  returnOverdue: {
+    label: 'Return overdue',
+    description: 'A checked out asset is past its return date',
+  },
+  newAsset: {
+    label: 'New asset',
+    description: 'An asset was registered',
+  },
+  warrantyExpiry: {
+    label: 'Warranty or contract expiring',
+    description: 'A warranty or support contract ends in 90, 30 or 7 days',
+  },
+  warrantyRepair: {
+    label: 'Repair under warranty',
+    description: 'A repair was logged for an asset that is still under warranty',
+  },
+  alert: {
+    label: 'Alert',
+    description: 'Other critical alerts',
+  },
+};
+
+const ADMINS = ['Administrator'];
+const ASSET_TEAM = { roles: ['Administrator', 'Manager'], assetDepartment: true, assetAssignee: true };
+const ALL_CHANNELS = { inApp: true, email: true, webhook: true };
+
+// Built-in rules, matching who was notified before rules were configurable
+const DEFAULT_RULES = [
+  {
+    key: 'maintenanceDue',
+    name: 'Maintenance due',
+    description: 'Managers, administrators, the asset department and assignee',
+    trigger: 'maintenanceDue',
+    recipients: ASSET_TEAM,
+    channels: ALL_CHANNELS,
+  },
+  {
+    key: 'maintenanceUpcoming',
+    name: 'Upcoming maintenance',
+    description: 'Managers, administrators, the asset department and assignee',
+    trigger: 'maintenanceUpcoming',
+    recipients: ASSET_TEAM,
+    channels: ALL_CHANNELS,
+  },
+  {
+    key: 'maintenanceOverdue',
+    name: 'Overdue maintenance',
+    description: 'Managers, administrators, the asset department and assignee',
+    trigger: 'maintenanceOverdue',
+    recipients: ASSET_TEAM,
+    channels: ALL_CHANNELS,
+  },
+  {
+    key: 'maintenanceReminder',
+    name: 'Maintenance reminder',
+    description: 'All users',
+    trigger: 'maintenanceReminder',
+    recipients: { roles: ['User'] },
+    channels: { inApp: true, email: true, webhook: false },
+  },
+  {
+    key: 'statusChange',
+    name: 'Status changes',
+    description: 'Administrators',
+    trigger: 'statusChange',
+    recipients: { roles: ADMINS },
+    channels: { inApp: true, email: false, webhook: true },
+  },
+  {
+    key: 'assignment',
+    name: 'Assignments',
+    description: 'Administrators and the assignee',
+    trigger: 'assignment',
+    recipients: { roles: ADMINS, assetAssignee: true },
+    channels: ALL_CHANNELS,
+  },
+  {
+    key: 'checkout',
+    name: 'Checked out to you',
+    description: 'The borrower',
+    trigger: 'checkout',
+    recipients: { assetAssignee: true },
+    channels: { inApp: true, email: true, webhook: false },
+  },
+  {
+    key: 'returnReminder',
+    name: 'Return reminder',
+    description: 'The borrower',
+    trigger: 'returnReminder',
+    recipients: { assetAssignee: true },
+    channels: { inApp: true, email: true, webhook: false },
+  },
+  {
+    key: 'returnOverdue',
+    name: 'Overdue returns',
+    description: 'Administrators',
+    trigger: 'returnOverdue',
+    recipients: { roles: ADMINS },
+    channels: ALL_CHANNELS,
+  },
+  {
+    key: 'newAsset',
+    name: 'New assets',
+    description: 'Administrators',
+    trigger: 'newAsset',
+    recipients: { roles: ADMINS },
+    channels: { inApp: true, email: false, webhook: true },
+  },
+  {
+    key: 'warrantyExpiry',
+    name: 'Expiring warranties and contracts',
+    description: 'Administrators',
+    trigger: 'warrantyExpiry',
+    recipients: { roles: ADMINS },
+    channels: ALL_CHANNELS,
+  },
+  {
+    key: 'warrantyRepair',
+    name: 'Repairs under warranty',
+    description: 'Administrators',
+    trigger: 'warrantyRepair',
+    recipients: { roles: ADMINS },
+    channels: ALL_CHANNELS,
+  },
+  {
+    key: 'alert',
+    name: 'Alerts',
+    description: 'Administrators',
+    trigger: 'alert',
+    recipients: { roles: ADMINS },
+    channels: ALL_CHANNELS,
+  },
+];
+
+let defaultsReady = null;
+
+/**
+ * Create the built-in rules that do not exist yet (once per process)
+ */
+function ensureDefaultRules() {
+  if (!defaultsReady) {
+    defaultsReady = Promise.all(DEFAULT_RULES.map(rule =>
+      NotificationRule.updateOne({ key: rule.key }, { $setOnInsert: rule }, { upsert: true })
+    )).catch(error => {
+      defaultsReady = null;
+      throw error;
+    });
+  }
+  return defaultsReady;
+}
+
+/**
+ * Whether a rule's conditions hold for an event
+ * @param {Object} conditions - Rule conditions
+ * @param {Object} facts - { asset, maintenance, priority, fromStatus, toStatus }
+ */
+function matchesConditions(conditions = {}, facts) {
+  const { asset, maintenance } = facts;
+  const includes = (list, value) => !list?.length || list.includes(value);
+
+  if (!includes(conditions.categories, asset?.category)) return false;
+  if (!includes(conditions.departments, asset?.department)) return false;
+  if (!includes(conditions.priorities, facts.priority)) return false;
+  if (!includes(conditions.fromStatuses, facts.fromStatus)) return false;
+  if (!includes(conditions.toStatuses, facts.toStatus)) return false;
+
+  if (conditions.minCost !== null && conditions.minCost !== undefined) {
+    const cost = maintenance?.cost ?? asset?.cost;
+    if (typeof cost !== 'number' || cost <= conditions.minCost) return false;
+  }
+  return true;
+}
+
+/**
+ * Find the active users a rule's recipients cover
+ * @param {Object} recipients - Rule recipients
+ * @param {Object} facts - { asset, custody, assignees }
+ * @returns {Promise<Array>} User documents (role, permission overrides, department and data scope only)
+ */
+async function findRecipients(recipients = {}, facts) {
+  const { asset, custody } = facts;
+  const conditions = [];
+
+  if (recipients.users?.length > 0) {
+    conditions.push({ _id: { $in: recipients.users } });
+  }
+  if (recipients.roles?.length > 0) {
+    conditions.push({ role: { $in: recipients.roles } });
+  }
+  if (recipients.assetAssignee) {
+    if (custody?.assignee) {
+      conditions.push({ _id: custody.assignee });
+    } else {
+      const assignees = facts.assignees || (asset?.assignedTo ? [asset.assignedTo] : []);
+      if (assignees.length > 0) {
+        conditions.push(
+          { name: { $in: assignees } },
+          { email: { $in: assignees.map(assignee => assignee.toLowerCase()) } }
+        );
+      }
+    }
+  }
+  if (recipients.assetDepartment && asset?.department) {
+    conditions.push({ department: asset.department });
+  }
+  if (recipients.departmentManagers && asset?.department) {
+    conditions.push({ role: 'Manager', department: asset.department });
+  }
+
+  if (conditions.length === 0) {
+    return [];
+  }
+  return User.find({ status: 'Active', $or: conditions }).select('role permissionOverrides department dataScope');
+}
+
+/**
+ * Work out who gets a notification for a trigger
+ * @param {string} trigger - Trigger from TRIGGERS
+ * @param {Object} facts - { asset, maintenance, custody, assignees, fromStatus, toStatus, priority, assetId }
+ * @returns {Promise<Object|null>} { rules, inApp, email, webhook } (user ids), or null when no rule matches
+ */
+async function evaluateRules(trigger, facts = {}) {
+  await ensureDefaultRules();
+
+  const rules = await NotificationRule.find({ trigger, enabled: true });
+  if (rules.length === 0) {
+    return null;
+  }
+
+  // Conditions and recipients mostly depend on the asset
+  if (!facts.asset && facts.assetId) {
+    facts = {
+      ...facts,
+      asset: await Equipment.findOne({ id: facts.assetId }).select('id category department location locationId assignedTo cost'),
+    };
+  }
+
+  const matching = rules.filter(rule => matchesConditions(rule.conditions, facts));
+  if (matching.length === 0) {
+    return null;
+  }
+
+  const inApp = new Map();
+  const email = new Map();
+  let webhook = false;
+  await loadRoles();
+
+  for (const rule of matching) {
+    const users = await findRecipients(rule.recipients, facts);
+    for (const user of users) {
+      // Nobody hears about assets outside their data scope
+      if (facts.asset && !(await isAssetInScope(user, facts.asset))) {
+        continue;
+      }
+      if (rule.channels.inApp && hasPermission(user, 'viewNotifications')) {
+        inApp.set(user._id.toString(), user._id);
+      }
+      if (rule.channels.email) {
+        email.set(user._id.toString(), user._id);
+      }
+    }
+    webhook = webhook || Boolean(rule.channels.webhook);
+  }
+
+  return {
+    rules: matching.map(rule => rule._id),
+    inApp: [...inApp.values()],
+    email: [...email.values()],
+    webhook,
+  };
+}
+
+module.exports = {
+  TRIGGERS,
+  DEFAULT_RULES,
+  ensureDefaultRules,
+  evaluateRules,
+};
@@ -0,0 +1,106 @@
+/**
+ * Password Policy
+ *
+ * Checks a new password against Settings.passwordPolicy: minimum length,
+ * required character classes, a list of common and breached passwords, and
+ * the user's recent passwords. Used wherever a password is set (register,
+ * password change, password reset and users created by an administrator).
+ */
+
+const { getSecuritySettings } = require('./auth');
+
+// Passwords that top published breach corpora and common-password lists.
+// Compared case-insensitively, also with trailing digits and symbols removed
+// ("Password123!" is refused as "password").
+const COMMON_PASSWORDS = new Set([
+  '123456', '1234567', '12345678', '123456789', '1234567890', '12345', '1234', '123123', '111111', '000000',
+  '654321', '666666', '121212', '112233', '123321', '696969', '987654321', '1q2w3e4r', '1q2w3e4r5t', '1qaz2wsx',
+  'password', 'passw0rd', 'p@ssw0rd', 'p@ssword', 'pass', 'pass123', 'password1', 'changeme', 'default', 'secret',
+  'qwerty', 'qwertyuiop', 'qwerty123', 'qwe123', 'asdfgh', 'asdfghjkl', 'zxcvbn', 'zxcvbnm', 'azerty', 'qazwsx',
+  'abc123', 'abcd1234', 'abcdef', 'aaaaaa', 'a1b2c3', 'letmein', 'welcome', 'welcome1', 'hello', 'hellohello',
+  'admin', 'admin123', 'administrator', 'root', 'toor', 'guest', 'user', 'test', 'test123', 'testing',
+  'iloveyou', 'love', 'lovely', 'loveme', 'princess', 'sunshine', 'shadow', 'monkey', 'dragon', 'master',
+  'football', 'baseball', 'soccer', 'hockey', 'basketball', 'superman', 'batman', 'starwars', 'pokemon', 'naruto',
+  'michael', 'jennifer', 'jordan', 'daniel', 'charlie', 'thomas', 'hunter', 'ashley', 'jessica', 'nicole',
+  'trustno1', 'whatever', 'freedom', 'computer', 'internet', 'access', 'login', 'mustang', 'ferrari', 'porsche',
+  'summer', 'winter', 'spring', 'autumn', 'monday', 'friday', 'january', 'october', 'flower', 'cookie',
+  'cheese', 'chocolate', 'banana', 'orange', 'purple', 'silver', 'golden', 'diamond', 'killer', 'ninja',
+  'qwerty1', 'zaq12wsx', 'qazxsw', 'asdf', 'asdf1234', 'asd123', 'zxc123', 'q1w2e3r4', 'q1w2e3', '1qazxsw2',
+  'company', 'business', 'office', 'manager', 'secure', 'security', 'system', 'server', 'database', 'inventory',
+  'asset', 'assets', 'equipment', 'maintenance', 'qrcode', 'qrtag', 'assetflow', 'tagmanager', 'sample', 'demo',
+]);
+
+/**
+ * Policy rules in plain words, for forms to show next to the password field
+ * @param {Object} policy - Settings.passwordPolicy
+ * @returns {Array<string>}
+ */
+function describePolicy(policy) {
+  const rules = [`At least ${policy.minLength} characters`];
+  if (policy.requireUppercase) rules.push('An uppercase letter');
+  if (policy.requireLowercase) rules.push('A lowercase letter');
+  if (policy.requireNumber) rules.push('A number');
+  if (policy.requireSymbol) rules.push('A symbol');
+  if (policy.blockCommon) rules.push('Not a common or previously breached password');
+  if (policy.historyCount > 0) rules.push(`Not one of your last ${policy.historyCount} passwords`);
+  return rules;
+}
+
+/**
+ * Whether a password is on the common list, or is a common password with
+ * digits and symbols added at the end, or contains the user's name or email
+ */
+function isCommonPassword(password, user) {
+  const lower = password.toLowerCase();
+  const stripped = lower.replace(/[\d\W_]+$/, '');
+  if (COMMON_PASSWORDS.has(lower) || COMMON_PASSWORDS.has(stripped)) return true;
+
+  const personal = [user?.email?.split('@')[0], ...(user?.name || '').split(/\s+/)]
+    .map(word => String(word || '').toLowerCase())
+    .filter(word => word.length >= 4);
+  return personal.some(word => lower.includes(word));
+}
+
+/**
+ * Check a new password against the policy
+ * @param {string} password - The new password
+ * @param {Object} [user] - User it is for: name and email for the common
+ *                          check; loaded with +password +passwordHistory for
+ *                          the history check (omit for new accounts)
+ * @returns {Promise<string|null>} What is wrong with it, or null when it is acceptable
+ */
+async function checkPassword(password, user = null) {
+  const { passwordPolicy: policy } = await getSecuritySettings();
+  const value = String(password || '');
+
+  if (value.length < policy.minLength) {
+    return `Password must be at least ${policy.minLength} characters`;
+  }
+  if (value.length > 128) {
+    return 'Password must be at most 128 characters';
+  }
+
+  const missing = [];
+  if (policy.requireUppercase && !/[A-Z]/.test(value)) missing.push('an uppercase letter');
+  if (policy.requireLowercase && !/[a-z]/.test(value)) missing.push('a lowercase letter');
+  if (policy.requireNumber && !/\d/.test(value)) missing.push('a number');
+  if (policy.requireSymbol && !/[^A-Za-z0-9]/.test(value)) missing.push('a symbol');
+  if (missing.length > 0) {
+    return `Password must contain ${missing.join(', ')}`;
+  }
+
+  if (policy.blockCommon && isCommonPassword(value, user)) {
+    return 'This password is too common or easy to guess. Please choose another.';
+  }
+
+  if (user?.isRecentPassword && (await user.isRecentPassword(value, policy.historyCount))) {
+    return `Password must not be one of your last ${policy.historyCount} passwords`;
+  }
+
+  return null;
+}
+
+module.exports = {
+  describePolicy,
+  checkPassword,
+};
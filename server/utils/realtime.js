@@ -0,0 +1,190 @@
+/**
+ * Real-time Events
+ *
+ * Pushes events to logged-in browsers over Server-Sent Events.
+ * Clients connect to GET /api/events and receive:
+ *   - notification: a notification they can see was created
+ *   - asset:        { action, id } when an asset is created, updated or deleted
+ *                   (action 'bulk' without an id when many assets changed at once)
+ *   - maintenance:  { action, id, assetId } when a maintenance record changes
+ *
+ * Asset and maintenance events only reach users who have the asset in their
+ * data scope (bulk events carry no asset and reach everyone who may view).
+ * Events only reach clients connected to the same server instance; clients
+ * refetch when their stream reconnects, so nothing is lost for good.
+ */
+
+const Equipment = require('../models/Equipment');
+const { hasPermission } = require('../middleware/auth');
+const { loadRoles, resolveDataScope } = require('./roles');
+const { isAssetInScope } = require('./dataScope');
+
+// Comment line sent to keep proxies from closing idle streams
+const HEARTBEAT_INTERVAL_MS = 25 * 1000;
+
+// Streams are closed after this long so the browser reconnects and the
+// token and user are checked again
+const MAX_STREAM_AGE_MS = 15 * 60 * 1000;
+
+// Connected clients: { res, user, connectedAt }
+const clients = new Set();
+let heartbeatTimer = null;
+
+/**
+ * Write one event to a client stream
+ */
+function send(client, event, data) {
+  client.res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+}
+
+function heartbeat() {
+  const now = Date.now();
+  clients.forEach(client => {
+    if (now - client.connectedAt > MAX_STREAM_AGE_MS) {
+      client.res.end();
+      return;
+    }
+    client.res.write(': ping\n\n');
+  });
+}
+
+/**
+ * Open an event stream for an authenticated request
+ * @param {Object} req - Request with req.user set by protect
+ * @param {Object} res - Response kept open for the stream
+ */
+function addClient(req, res) {
+  res.writeHead(200, {
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    Connection: 'keep-alive',
+    'X-Accel-Buffering': 'no',
+  });
+  res.write('retry: 5000\n\n');
+
+  const client = { res, user: req.user, connectedAt: Date.now() };
+  clients.add(client);
+  send(client, 'ready', { connectedAt: new Date(client.connectedAt) });
+
+  if (!heartbeatTimer) {
+    heartbeatTimer = setInterval(heartbeat, HEARTBEAT_INTERVAL_MS);
+    heartbeatTimer.unref();
+  }
+
+  req.on('close', () => {
+    clients.delete(client);
+    if (clients.size === 0) {
+      clearInterval(heartbeatTimer);
+      heartbeatTimer = null;
+    }
+  });
+}
+
+/**
+ * Send an event to every client whose user passes the filter
+ * @param {string} event - Event name
+ * @param {Object} data - JSON payload
+ * @param {Function} [canReceive] - (user) => boolean or Promise<boolean>
+ */
+async function publish(event, data, canReceive = () => true) {
+  for (const client of [...clients]) {
+    try {
+      if (await canReceive(client.user)) {
+        send(client, event, data);
+      }
+    } catch (error) {
+      console.error(`Error sending ${event} event:`, error);
+    }
+  }
+}
+
+/**
+ * Asset fields the scope check needs, also for assets in the recycle bin
+ * @param {string} assetId - Equipment.id
+ */
+async function findScopeFields(assetId) {
+  const fields = 'department location locationId';
+  return (await Equipment.findOne({ id: assetId }).select(fields))
+    || Equipment.findOne({ id: assetId, deletedAt: { $ne: null } }).select(fields);
+}
+
+/**
+ * Send an asset-related event to users with a permission who have the
+ * asset in their data scope. The asset is only looked up when a scoped
+ * user is connected.
+ * @param {string} event - Event name
+ * @param {Object} data - JSON payload
+ * @param {string} permission - Permission needed to receive it
+ * @param {string} [assetId] - Asset the event is about (none for bulk events)
+ */
+async function publishForAsset(event, data, permission, assetId) {
+  await loadRoles();
+  let asset;
+
+  await publish(event, data, async user => {
+    if (!hasPermission(user, permission)) return false;
+    if (!assetId || !resolveDataScope(user)) return true;
+
+    if (asset === undefined) asset = await findScopeFields(assetId);
+    return Boolean(asset) && isAssetInScope(user, asset);
+  });
+}
+
+/**
+ * Push a saved notification to its recipients
+ * @param {Object} notification - Notification document
+ */
+function publishNotification(notification) {
+  if (!notification) return;
+
+  const recipients = new Set(notification.recipients.map(recipient => recipient.user.toString()));
+  publish('notification', notification.toRecipientJSON(), user =>
+    hasPermission(user, 'viewNotifications') && recipients.has(user._id.toString())
+  );
+}
+
+/**
+ * Announce that an asset changed
+ * @param {string} action - 'created', 'updated', 'deleted' or 'bulk'
+ * @param {string} [id] - Asset ID (omitted for bulk changes)
+ */
+function publishAssetChange(action, id = null) {
+  publishForAsset('asset', { action, id }, 'viewAssets', id)
+    .catch(error => console.error('Error publishing asset change:', error));
+}
+
+/**
+ * Announce that a maintenance record changed
+ * @param {string} action - 'created', 'updated', 'deleted' or 'bulk'
+ * @param {Object} [maintenance] - Maintenance record (omitted for bulk changes)
+ */
+function publishMaintenanceChange(action, maintenance = null) {
+  publishForAsset(
+    'maintenance',
+    {
+      action,
+      id: maintenance ? maintenance._id : null,
+      assetId: maintenance ? maintenance.assetId : null,
+    },
+    'viewMaintenance',
+    maintenance ? maintenance.assetId : null
+  ).catch(error => console.error('Error publishing maintenance change:', error));
+}
+
+/**
+ * End all streams (used on shutdown so the server can close)
+ */
+function closeAllClients() {
+  clients.forEach(client => client.res.end());
+  clients.clear();
+  clearInterval(heartbeatTimer);
+  heartbeatTimer = null;
+}
+
+module.exports = {
+  addClient,
+  publishNotification,
+  publishAssetChange,
+  publishMaintenanceChange,
+  closeAllClients,
+};
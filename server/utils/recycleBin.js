@@ -0,0 +1,133 @@
+/**
+ * Asset Recycle Bin
+ *
+ * Deleting an asset moves it, with its maintenance records, to the recycle
+ * bin (utils/softDelete.js). Notes and attachments stay on the asset, and
+ * its components keep their link to it, so a restore brings everything
+ * back as it was. A component is only restored after its parent, and
+ * comes back standalone when the parent no longer exists. Purging removes the asset for good: attachment contents
+ * in file storage, maintenance and custody records go with it, and its
+ * components become standalone assets. The retention purge empties assets
+ * that have been in the bin longer than Settings.dataRetentionDays.
+ */
+
+const Equipment = require('../models/Equipment');
+const Maintenance = require('../models/Maintenance');
+const Custody = require('../models/Custody');
+const { removeStoredFile } = require('./storage');
+const { deletedFields, RESTORED_FIELDS } = require('./softDelete');
+
+/**
+ * Move an asset and its maintenance records to the recycle bin
+ * @param {Object} asset - Asset to delete
+ * @param {Object} user - req.user
+ * @returns {Promise<Object>} The deleted asset
+ */
+async function moveToRecycleBin(asset, user) {
+  const fields = deletedFields(user);
+
+  await Maintenance.updateMany({ assetId: asset.id, deletedAt: null }, fields);
+  return Equipment.findOneAndUpdate(
+    { _id: asset._id },
+    { ...fields, lastModified: new Date() },
+    { new: true }
+  ).select('-attachedFiles.data');
+}
+
+/**
+ * Move every asset matching a filter, with their maintenance records, to
+ * the recycle bin in one go
+ * @param {Object} filter - Which live assets to delete
+ * @param {Object} user - req.user
+ * @returns {Promise<Array<Object>>} The deleted assets (id and name)
+ */
+async function moveAllToRecycleBin(filter, user) {
+  const assets = await Equipment.find(filter).select('id name');
+  if (assets.length === 0) return [];
+
+  // One deletedAt for all, so each restore finds its maintenance records
+  const fields = deletedFields(user);
+  await Maintenance.updateMany({ assetId: { $in: assets.map(asset => asset.id) }, deletedAt: null }, fields);
+  await Equipment.updateMany(
+    { _id: { $in: assets.map(asset => asset._id) } },
+    { ...fields, lastModified: new Date() }
+  );
+
+  return assets.map(asset => ({ id: asset.id, name: asset.name }));
+}
+
+/**
+ * The parent of an asset, when the parent is in the recycle bin
+ * @param {Object} asset - Asset with a parentId
+ * @returns {Promise<Object|null>} The deleted parent (id and name), or null
+ */
+async function findDeletedParent(asset) {
+  if (!asset.parentId) return null;
+  return Equipment.findOne({ id: asset.parentId, deletedAt: { $ne: null } }).select('id name');
+}
+
+/**
+ * Take an asset out of the recycle bin, with the maintenance records
+ * that were deleted along with it. A parent that no longer exists is
+ * unlinked; callers refuse assets whose parent is in the bin (findDeletedParent).
+ * @param {Object} asset - Asset in the recycle bin
+ * @returns {Promise<Object>} The restored asset
+ */
+async function restoreFromRecycleBin(asset) {
+  const fields = { ...RESTORED_FIELDS, lastModified: new Date() };
+  if (asset.parentId && !(await Equipment.exists({ id: asset.parentId }))) {
+    fields.parentId = null;
+  }
+
+  await Maintenance.updateMany({ assetId: asset.id, deletedAt: asset.deletedAt }, RESTORED_FIELDS);
+  return Equipment.findOneAndUpdate(
+    { _id: asset._id },
+    fields,
+    { new: true }
+  ).select('-attachedFiles.data');
+}
+
+/**
+ * Permanently remove assets in the recycle bin
+ * @param {Object} filter - Which deleted assets to purge
+ * @returns {Promise<Array<Object>>} The purged assets (id and name)
+ */
+async function purgeAssets(filter) {
+  const assets = await Equipment.find({ deletedAt: { $ne: null }, ...filter })
+    .select('id name attachedFiles.storage attachedFiles.storageKey');
+  if (assets.length === 0) return [];
+
+  // Attachment contents live in file storage, not on the document
+  for (const asset of assets) {
+    for (const file of asset.attachedFiles) {
+      await removeStoredFile(file);
+    }
+  }
+
+  const assetIds = assets.map(asset => asset.id);
+  await Maintenance.deleteMany({ assetId: { $in: assetIds } });
+  await Custody.deleteMany({ assetId: { $in: assetIds } });
+  await Equipment.updateMany({ parentId: { $in: assetIds } }, { parentId: null });
+  await Equipment.deleteMany({ _id: { $in: assets.map(asset => asset._id) } });
+
+  return assets.map(asset => ({ id: asset.id, name: asset.name }));
+}
+
+/**
+ * Purge assets deleted before a cutoff (retention purge)
+ * @param {Date} cutoff
+ * @returns {Promise<number>} Number of assets purged
+ */
+async function purgeExpiredAssets(cutoff) {
+  const purged = await purgeAssets({ deletedAt: { $lt: cutoff } });
+  return purged.length;
+}
+
+module.exports = {
+  moveToRecycleBin,
+  moveAllToRecycleBin,
+  findDeletedParent,
+  restoreFromRecycleBin,
+  purgeAssets,
+  purgeExpiredAssets,
+};
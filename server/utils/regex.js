@@ -0,0 +1,16 @@
+/**
+ * Regular Expression Helpers
+ */
+
+/**
+ * Escape user input for use inside a RegExp, so it matches literally
+ * @param {string} value
+ * @returns {string}
+ */
+function escapeRegex(value) {
+  return value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+module.exports = {
+  escapeRegex,
+};
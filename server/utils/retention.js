@@ -0,0 +1,66 @@
+/**
+ * Data Retention
+ *
+ * Removes history older than Settings.dataRetentionDays:
+ * activity log entries, notifications every recipient has read or
+ * dismissed, sent or failed emails,
+ * finished Slack/Teams deliveries, finished job runs, the login audit trail
+ * and assets in the recycle bin (purged with their records and files).
+ * A retention of -1 keeps everything.
+ */
+
+const Settings = require('../models/Settings');
+const Activity = require('../models/Activity');
+const Notification = require('../models/Notification');
+const JobRun = require('../models/JobRun');
+const EmailOutbox = require('../models/EmailOutbox');
+const WebhookDelivery = require('../models/WebhookDelivery');
+const LoginAttempt = require('../models/LoginAttempt');
+const { purgeExpiredAssets } = require('./recycleBin');
+
+/**
+ * Purge data older than the configured retention period
+ * @returns {Promise<Object>} Counts of removed documents per collection,
+ *                            or { skipped } when retention is "keep forever"
+ */
+async function purgeExpiredData() {
+  const settings = await Settings.findOne({ isSingleton: true }).select('dataRetentionDays');
+  const retentionDays = settings?.dataRetentionDays ?? 90;
+
+  if (retentionDays === -1) {
+    return { success: true, skipped: 'Data retention is set to keep forever' };
+  }
+
+  const cutoff = new Date();
+  cutoff.setDate(cutoff.getDate() - retentionDays);
+
+  const [activities, notifications, emails, webhookDeliveries, jobRuns, loginAttempts, assets] = await Promise.all([
+    Activity.deleteMany({ timestamp: { $lt: cutoff.getTime() } }),
+    Notification.deleteMany({
+      createdAt: { $lt: cutoff },
+      recipients: { $not: { $elemMatch: { readAt: null, dismissedAt: null } } },
+    }),
+    EmailOutbox.deleteMany({ status: { $in: ['Sent', 'Failed'] }, createdAt: { $lt: cutoff } }),
+    WebhookDelivery.deleteMany({ status: { $in: ['Delivered', 'Failed'] }, createdAt: { $lt: cutoff } }),
+    JobRun.deleteMany({ status: { $ne: 'Running' }, startedAt: { $lt: cutoff } }),
+    LoginAttempt.deleteMany({ createdAt: { $lt: cutoff } }),
+    purgeExpiredAssets(cutoff),
+  ]);
+
+  return {
+    success: true,
+    retentionDays,
+    cutoff,
+    activities: activities.deletedCount,
+    notifications: notifications.deletedCount,
+    emails: emails.deletedCount,
+    webhookDeliveries: webhookDeliveries.deletedCount,
+    jobRuns: jobRuns.deletedCount,
+    loginAttempts: loginAttempts.deletedCount,
+    assets,
+  };
+}
+
+module.exports = {
+  purgeExpiredData,
+};
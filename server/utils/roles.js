@@ -0,0 +1,214 @@
+/**
+ * Roles
+ *
+ * Built-in roles and effective permissions. A user's permissions are their
+ * role's permission set with their own overrides applied; Administrators
+ * hold every permission. Role permission sets and data scopes are cached
+ * per instance for a minute (cleared on this instance when a role changes)
+ * so permission checks stay synchronous.
+ */
+
+const Role = require('../models/Role');
+
+// Every permission flag, in the order of the Role schema
+const PERMISSIONS = Object.keys(Role.schema.obj.permissions);
+
+// The role that always holds every permission
+const ADMINISTRATOR_ROLE = 'Administrator';
+
+/**
+ * Permission set granting exactly the given flags
+ * @param {Array<string>} granted - Permission flags to grant
+ */
+const grant = granted => Object.fromEntries(PERMISSIONS.map(permission => [permission, granted.includes(permission)]));
+
+// What every user could do before roles existed (the old User.permissions defaults)
+const USER_PERMISSIONS = [
+  'viewDashboard',
+  'viewAssets', 'createAssets', 'editAssets', 'exportAssets',
+  'uploadDocuments', 'downloadDocuments', 'checkOutAssets',
+  'createNotes', 'editNotes',
+  'viewTags',
+  'viewMaintenance', 'createMaintenance', 'editMaintenance',
+  'viewReports', 'exportReports',
+  'viewActivities', 'createActivities',
+  'viewNotifications', 'deleteNotifications',
+];
+
+const DEFAULT_ROLES = [
+  {
+    name: ADMINISTRATOR_ROLE,
+    description: 'Full access to everything, including settings and permissions',
+    permissions: grant(PERMISSIONS),
+  },
+  {
+    name: 'Manager',
+    description: 'Manages assets, maintenance and tags; can see users',
+    permissions: grant([
+      ...USER_PERMISSIONS,
+      'importAssets', 'deleteDocuments', 'deleteNotes',
+      'createTags', 'editTags', 'deleteMaintenance', 'viewUsers',
+    ]),
+  },
+  {
+    name: 'User',
+    description: 'Registers, edits and checks out assets and logs maintenance',
+    permissions: grant(USER_PERMISSIONS),
+  },
+  {
+    name: 'Viewer',
+    description: 'Read-only access to assets, maintenance and reports',
+    permissions: grant([
+      'viewDashboard', 'viewAssets', 'downloadDocuments', 'viewTags',
+      'viewMaintenance', 'viewReports', 'viewActivities', 'viewNotifications',
+    ]),
+  },
+].map(role => ({ ...role, isSystem: true }));
+
+let defaultsReady = null;
+
+/**
+ * Create the built-in roles that do not exist yet (once per process)
+ */
+function ensureDefaultRoles() {
+  if (!defaultsReady) {
+    defaultsReady = Promise.all(DEFAULT_ROLES.map(role =>
+      Role.updateOne({ name: role.name }, { $setOnInsert: role }, { upsert: true })
+    )).catch(error => {
+      defaultsReady = null;
+      throw error;
+    });
+  }
+  return defaultsReady;
+}
+
+const CACHE_TTL = 60 * 1000;
+let cache = null; // { roles: Map(name -> { permissions, dataScope }), loadedAt }
+
+/**
+ * Load role permission sets and data scopes into the cache (no-op while it
+ * is fresh). Call before hasPermission() outside a request; protect()
+ * already does.
+ * @returns {Promise<Map>} Role name -> { permissions, dataScope }
+ */
+async function loadRoles() {
+  if (cache && Date.now() - cache.loadedAt < CACHE_TTL) {
+    return cache.roles;
+  }
+
+  await ensureDefaultRoles();
+  const roles = await Role.find().select('name permissions dataScope').lean();
+  cache = {
+    roles: new Map(roles.map(role => [role.name, {
+      permissions: role.permissions || {},
+      dataScope: role.dataScope || {},
+    }])),
+    loadedAt: Date.now(),
+  };
+  return cache.roles;
+}
+
+/**
+ * Clear cached roles (call after roles are created, changed or deleted)
+ */
+function clearRoleCache() {
+  cache = null;
+}
+
+/**
+ * A role's permission set, every flag present
+ * @param {string} roleName - Role name
+ * @returns {Object} Permission flag -> boolean
+ */
+function rolePermissions(roleName) {
+  if (roleName === ADMINISTRATOR_ROLE) {
+    return grant(PERMISSIONS);
+  }
+  const permissions = cache?.roles.get(roleName)?.permissions
+    || DEFAULT_ROLES.find(role => role.name === roleName)?.permissions
+    || {};
+  return Object.fromEntries(PERMISSIONS.map(permission => [permission, Boolean(permissions[permission])]));
+}
+
+/**
+ * Entries of a user's overrides (a Mongoose Map or a plain object)
+ */
+const overrideEntries = overrides => (overrides instanceof Map ? [...overrides] : Object.entries(overrides || {}));
+
+/**
+ * A user's effective permissions: their role's set with their overrides applied
+ * @param {string} roleName - User.role
+ * @param {Map|Object} [overrides] - User.permissionOverrides
+ * @returns {Object} Permission flag -> boolean
+ */
+function resolvePermissions(roleName, overrides) {
+  const permissions = rolePermissions(roleName);
+  if (roleName === ADMINISTRATOR_ROLE) {
+    return permissions;
+  }
+  for (const [permission, value] of overrideEntries(overrides)) {
+    if (PERMISSIONS.includes(permission)) {
+      permissions[permission] = Boolean(value);
+    }
+  }
+  return permissions;
+}
+
+/**
+ * The overrides that turn a role's permissions into the wanted ones
+ * @param {string} roleName - Role the user holds
+ * @param {Object} wanted - Permission flag -> boolean (missing flags keep the role's value)
+ * @returns {Object} Only the flags that differ from the role
+ */
+function overridesFor(roleName, wanted = {}) {
+  const base = rolePermissions(roleName);
+  const overrides = {};
+  for (const permission of PERMISSIONS) {
+    if (wanted[permission] !== undefined && Boolean(wanted[permission]) !== base[permission]) {
+      overrides[permission] = Boolean(wanted[permission]);
+    }
+  }
+  return overrides;
+}
+
+/**
+ * The departments and locations whose assets a user may access. The user's
+ * own scope (User.dataScope) replaces their role's when it lists anything;
+ * a role scope with ownDepartment adds the user's department.
+ * @param {Object} user - User document (role, department, dataScope)
+ * @returns {{ departments: Array<string>, locations: Array<string> }|null}
+ *          null when the user may access every asset
+ */
+function resolveDataScope(user) {
+  if (!user || user.role === ADMINISTRATOR_ROLE) return null;
+
+  const own = user.dataScope || {};
+  if (own.departments?.length || own.locations?.length) {
+    return { departments: [...(own.departments || [])], locations: [...(own.locations || [])] };
+  }
+
+  const roleScope = cache?.roles.get(user.role)?.dataScope || {};
+  const departments = [...(roleScope.departments || [])];
+  if (roleScope.ownDepartment && user.department && !departments.includes(user.department)) {
+    departments.push(user.department);
+  }
+  const locations = [...(roleScope.locations || [])];
+
+  if (!roleScope.ownDepartment && departments.length === 0 && locations.length === 0) {
+    return null;
+  }
+  return { departments, locations };
+}
+
+module.exports = {
+  PERMISSIONS,
+  ADMINISTRATOR_ROLE,
+  DEFAULT_ROLES,
+  ensureDefaultRoles,
+  loadRoles,
+  clearRoleCache,
+  rolePermissions,
+  resolvePermissions,
+  overridesFor,
+  resolveDataScope,
+};
@@ -0,0 +1,270 @@
+/**
+ * Job Scheduler
+ *
+ * Runs the background jobs inside the server process on cron schedules
+ * stored in Settings.jobSchedules (an empty schedule turns a job off).
+ * Every run takes a distributed lock first, so when several server
+ * instances fire the same tick only one of them runs the job, and is
+ * recorded in the JobRun collection with its status, duration and results.
+ *
+ * Set SCHEDULER_ENABLED=false to keep an instance from scheduling jobs
+ * (jobs can still be run from the API).
+ */
+
+const cron = require('node-cron');
+const Settings = require('../models/Settings');
+const JobRun = require('../models/JobRun');
+const { INSTANCE_ID, acquireLock, releaseLock } = require('./lock');
+const { runMaintenanceNotificationChecks } = require('./maintenanceNotifications');
+const { checkOverdueReturnNotifications } = require('./custodyNotifications');
+const { markOverdueMaintenance } = require('./maintenanceSchedule');
+const { purgeExpiredData } = require('./retention');
+const { createBackup } = require('./backup');
+const { processOutbox } = require('./email');
+const { processDeliveries } = require('./webhookQueue');
+
+// How often schedules are re-read from Settings (picks up edits made on other instances)
+const REFRESH_INTERVAL_MS = 5 * 60 * 1000;
+
+/**
+ * Registered jobs. Keys are the job names used in Settings.jobSchedules,
+ * JobRun.job and the /api/jobs endpoints.
+ * run(context) receives { trigger } and returns the results to record;
+ * results with success: false mark the run Failed, results with skipped mark it Skipped.
+ * Jobs with discardIdleRuns do not keep scheduled runs whose results say idle: true.
+ */
+const JOBS = {
+  maintenanceNotifications: {
+    label: 'Maintenance Notifications',
+    description: 'Due, upcoming and overdue maintenance notifications and warranty/contract expiry alerts',
+    run: () => runMaintenanceNotificationChecks(),
+  },
+  custodyNotifications: {
+    label: 'Overdue Return Notifications',
+    description: 'Alerts for checked out assets past their expected return date',
+    run: () => checkOverdueReturnNotifications(),
+  },
+  overdueMarking: {
+    label: 'Overdue Marking',
+    description: 'Marks maintenance past its scheduled date as overdue and updates asset maintenance status',
+    run: () => markOverdueMaintenance(),
+  },
+  retentionPurge: {
+    label: 'Retention Purge',
+    description: 'Removes activity, read notifications, sent emails, webhook deliveries, job history and recycle bin assets older than the data retention period',
+    run: () => purgeExpiredData(),
+  },
+  emailOutbox: {
+    label: 'Email Outbox',
+    description: 'Sends queued emails and retries failed deliveries',
+    discardIdleRuns: true,
+    run: () => processOutbox(),
+  },
+  webhookDeliveries: {
+    label: 'Webhook Deliveries',
+    description: 'Retries failed posts to Slack, Microsoft Teams and webhook subscriptions',
+    discardIdleRuns: true,
+    run: () => processDeliveries(),
+  },
+  backup: {
+    label: 'Database Backup',
+    description: 'Writes a compressed copy of the database to the backup directory',
+    lockTtlMs: 2 * 60 * 60 * 1000,
+    run: async ({ trigger }) => {
+      if (trigger === 'schedule') {
+        const settings = await Settings.findOne({ isSingleton: true }).select('autoBackup');
+        if (settings && !settings.autoBackup) {
+          return { success: true, skipped: 'Auto backup is turned off' };
+        }
+      }
+      return createBackup();
+    },
+  },
+};
+
+// Active cron tasks by job name: { expression, task }
+const tasks = new Map();
+let started = false;
+let refreshTimer = null;
+
+/**
+ * Whether job results report a failure (at the top level or in a sub-check)
+ */
+function hasFailure(results) {
+  if (!results || typeof results !== 'object') return false;
+  if (results.success === false) return true;
+  return Object.values(results).some(value => value && typeof value === 'object' && value.success === false);
+}
+
+/**
+ * Run a job under its lock and record the run
+ *
+ * @param {string} name - Job name (key of JOBS)
+ * @param {Object} [options]
+ * @param {string} [options.trigger='schedule'] - 'schedule', 'manual' or 'external'
+ * @param {string} [options.slot] - Scheduled time of the tick, so each tick runs once across instances
+ * @param {Object} [options.user] - User who started a manual run
+ * @returns {Promise<Object|null>} The JobRun, or null when another run holds the lock
+ */
+async function runJob(name, { trigger = 'schedule', slot = null, user = null } = {}) {
+  const job = JOBS[name];
+  if (!job) {
+    throw new Error(`Unknown job: ${name}`);
+  }
+
+  const lockName = `job:${name}`;
+  const acquired = await acquireLock(lockName, { ttlMs: job.lockTtlMs, slot });
+  if (!acquired) {
+    return null;
+  }
+
+  const run = await JobRun.create({
+    job: name,
+    trigger,
+    status: 'Running',
+    startedAt: new Date(),
+    host: INSTANCE_ID,
+    triggeredBy: user?.name,
+  });
+
+  try {
+    const results = await job.run({ trigger });
+    run.results = results;
+    if (hasFailure(results)) {
+      run.status = 'Failed';
+      run.error = results.error || 'One or more checks failed';
+    } else {
+      run.status = results?.skipped ? 'Skipped' : 'Succeeded';
+    }
+  } catch (error) {
+    console.error(`Job ${name} failed:`, error);
+    run.status = 'Failed';
+    run.error = error.message;
+  } finally {
+    run.finishedAt = new Date();
+    run.durationMs = run.finishedAt - run.startedAt;
+    if (job.discardIdleRuns && trigger === 'schedule' && run.results?.idle && run.status !== 'Failed') {
+      await run.deleteOne();
+    } else {
+      await run.save();
+    }
+    await releaseLock(lockName);
+  }
+
+  return run;
+}
+
+/**
+ * Cron expression configured for a job ('' when turned off)
+ * @param {Object} [settings] - Settings document
+ */
+function getJobSchedule(settings, name) {
+  return settings?.jobSchedules?.[name] ?? Settings.schema.path(`jobSchedules.${name}`).defaultValue;
+}
+
+/**
+ * Validate a cron expression ('' turns a job off and is valid)
+ * @returns {boolean}
+ */
+function isValidSchedule(expression) {
+  return expression === '' || cron.validate(expression);
+}
+
+/**
+ * (Re)schedule jobs whose cron expression changed in Settings.
+ * Does nothing until the scheduler has been started on this instance.
+ */
+async function refreshSchedules() {
+  if (!started) return;
+
+  const settings = await Settings.findOne({ isSingleton: true }).select('jobSchedules');
+
+  for (const name of Object.keys(JOBS)) {
+    const expression = (getJobSchedule(settings, name) || '').trim();
+    const current = tasks.get(name);
+
+    if (current && current.expression === expression) continue;
+
+    if (current) {
+      current.task.destroy();
+      tasks.delete(name);
+    }
+
+    if (!expression) continue;
+
+    if (!cron.validate(expression)) {
+      console.error(`Invalid schedule "${expression}" for job ${name}; job not scheduled`);
+      continue;
+    }
+
+    const task = cron.schedule(
+      expression,
+      async (context) => {
+        // Instances firing the same tick share the slot, so only one runs it
+        const slot = new Date(context.date);
+        slot.setSeconds(0, 0);
+        try {
+          await runJob(name, { trigger: 'schedule', slot: slot.toISOString() });
+        } catch (error) {
+          console.error(`Error running scheduled job ${name}:`, error);
+        }
+      },
+      { name: `job:${name}`, noOverlap: true }
+    );
+    tasks.set(name, { expression, task });
+    console.log(`⏰ Scheduled job ${name}: ${expression}`);
+  }
+}
+
+/**
+ * Next scheduled run of a job on this instance
+ * @returns {Date|null}
+ */
+function getNextRun(name) {
+  const current = tasks.get(name);
+  return current ? current.task.getNextRun() : null;
+}
+
+/**
+ * Start scheduling jobs (no-op when SCHEDULER_ENABLED=false)
+ */
+async function startScheduler() {
+  if (process.env.SCHEDULER_ENABLED === 'false') {
+    console.log('⏰ Job scheduler disabled (SCHEDULER_ENABLED=false)');
+    return;
+  }
+
+  started = true;
+  try {
+    await refreshSchedules();
+  } catch (error) {
+    console.error('Error starting job scheduler:', error);
+  }
+
+  refreshTimer = setInterval(() => {
+    refreshSchedules().catch(error => console.error('Error refreshing job schedules:', error));
+  }, REFRESH_INTERVAL_MS);
+  refreshTimer.unref();
+}
+
+/**
+ * Stop all scheduled jobs
+ */
+function stopScheduler() {
+  started = false;
+  clearInterval(refreshTimer);
+  refreshTimer = null;
+  tasks.forEach(({ task }) => task.destroy());
+  tasks.clear();
+}
+
+module.exports = {
+  JOBS,
+  runJob,
+  getJobSchedule,
+  isValidSchedule,
+  refreshSchedules,
+  getNextRun,
+  startScheduler,
+  stopScheduler,
+};
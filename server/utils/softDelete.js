@@ -0,0 +1,92 @@
+/**
+ * Soft Delete
+ *
+ * Schema plugin for records that go to the recycle bin instead of being
+ * removed: deletedAt, deletedBy and deletedByName are set on delete and
+ * cleared on restore. Reads (find, findOne, countDocuments, distinct and
+ * aggregate) skip deleted records unless the query filters on deletedAt
+ * itself, e.g. { deletedAt: { $ne: null } } to list the recycle bin.
+ * Updates and deletes are not filtered.
+ */
+
+const mongoose = require('mongoose');
+
+const HIDDEN_QUERIES = ['find', 'findOne', 'countDocuments', 'distinct'];
+
+/**
+ * Whether a filter already says which records it wants by deletedAt
+ * (at the top level or inside an $and, as scopedAssetFilter builds)
+ * @param {Object} filter - Query filter
+ * @returns {boolean}
+ */
+function filtersOnDeletedAt(filter) {
+  if (!filter) return false;
+  return 'deletedAt' in filter || (filter.$and || []).some(filtersOnDeletedAt);
+}
+
+/**
+ * Add soft delete fields and hide deleted records from reads
+ * @param {mongoose.Schema} schema
+ */
+function softDelete(schema) {
+  schema.add({
+    deletedAt: {
+      type: Date,
+      default: null,
+    },
+    deletedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      default: null,
+    },
+    deletedByName: {
+      type: String,
+      default: null,
+    },
+  });
+  schema.index({ deletedAt: 1 });
+
+  schema.pre(HIDDEN_QUERIES, function () {
+    if (!filtersOnDeletedAt(this.getFilter())) {
+      this.where({ deletedAt: null });
+    }
+  });
+
+  schema.pre('aggregate', function () {
+    const [first] = this.pipeline();
+    if (!filtersOnDeletedAt(first?.$match)) {
+      this.pipeline().unshift({ $match: { deletedAt: null } });
+    }
+  });
+}
+
+/**
+ * Fields that move a record to the recycle bin
+ * @param {Object} user - req.user
+ * @param {Date} [deletedAt] - Deletion time (shared by records deleted together)
+ * @returns {Object}
+ */
+function deletedFields(user, deletedAt = new Date()) {
+  return {
+    deletedAt,
+    deletedBy: user?._id || null,
+    deletedByName: user?.name || null,
+  };
+}
+
+// Fields that take a record back out of the recycle bin
+const RESTORED_FIELDS = {
+  deletedAt: null,
+  deletedBy: null,
+  deletedByName: null,
+};
+
+// Soft delete fields, which clients may not set directly
+const SOFT_DELETE_FIELDS = Object.keys(RESTORED_FIELDS);
+
+module.exports = {
+  softDelete,
+  deletedFields,
+  RESTORED_FIELDS,
+  SOFT_DELETE_FIELDS,
+};
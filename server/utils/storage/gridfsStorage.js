@@ -0,0 +1,78 @@
+/**
+ * GridFS Storage Backend
+ *
+ * Stores attachment contents in MongoDB GridFS (bucket GRIDFS_BUCKET,
+ * default "attachments"). Files are chunked, so the 16MB document limit
+ * does not apply, and asset documents only keep the metadata.
+ */
+
+const mongoose = require('mongoose');
+const { pipeline } = require('stream/promises');
+
+class GridFSStorage {
+  /**
+   * @param {Object} options
+   * @param {string} options.bucketName - GridFS bucket name
+   */
+  constructor({ bucketName }) {
+    this.name = 'gridfs';
+    this.bucketName = bucketName;
+  }
+
+  /**
+   * The bucket is created lazily because the connection may not be open yet
+   */
+  bucket() {
+    if (!mongoose.connection.db) {
+      throw new Error('MongoDB is not connected');
+    }
+    return new mongoose.mongo.GridFSBucket(mongoose.connection.db, {
+      bucketName: this.bucketName,
+    });
+  }
+
+  /**
+   * Write a file
+   * @param {string} key - Storage key (used as the GridFS filename)
+   * @param {Readable} body - File contents
+   * @param {Object} meta - { contentType, checksum }
+   */
+  async save(key, body, meta = {}) {
+    const upload = this.bucket().openUploadStream(key, {
+      metadata: { contentType: meta.contentType, checksum: meta.checksum },
+    });
+    await pipeline(body, upload);
+  }
+
+  /**
+   * Open a file for reading
+   * @param {string} key - Storage key
+   * @returns {Promise<Readable>}
+   */
+  async createReadStream(key) {
+    const bucket = this.bucket();
+    const [file] = await bucket.find({ filename: key }).limit(1).toArray();
+
+    if (!file) {
+      const error = new Error(`File not found in storage: ${key}`);
+      error.code = 'FILE_NOT_FOUND';
+      throw error;
+    }
+
+    return bucket.openDownloadStream(file._id);
+  }
+
+  /**
+   * Delete a file (missing files are ignored)
+   * @param {string} key - Storage key
+   */
+  async remove(key) {
+    const bucket = this.bucket();
+    const files = await bucket.find({ filename: key }).toArray();
+    for (const file of files) {
+      await bucket.delete(file._id);
+    }
+  }
+}
+
+module.exports = GridFSStorage;
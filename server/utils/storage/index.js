@@ -0,0 +1,110 @@
+/**
+ * File Storage
+ *
+ * Pluggable storage for asset attachments. The active backend is chosen with
+ * FILE_STORAGE_DRIVER ("local", "gridfs" or "s3", default "local"). Each
+ * attachment records the backend it was written to, so files stay readable
+ * after the driver is switched.
+ *
+ * Every backend implements:
+ * - save(key, readable, { contentType, size, checksum })
+ * - createReadStream(key) -> Promise<Readable> (rejects with code FILE_NOT_FOUND)
+ * - remove(key)
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { Readable } = require('stream');
+const LocalStorage = require('./localStorage');
+const GridFSStorage = require('./gridfsStorage');
+const S3Storage = require('./s3Storage');
+
+const backends = {};
+
+/**
+ * Create a backend from environment configuration
+ * @param {string} name - Backend name
+ */
+function createBackend(name) {
+  switch (name) {
+    case 'local':
+      return new LocalStorage({
+        directory: process.env.LOCAL_STORAGE_DIR || path.join(__dirname, '../../uploads/documents'),
+      });
+    case 'gridfs':
+      return new GridFSStorage({
+        bucketName: process.env.GRIDFS_BUCKET || 'attachments',
+      });
+    case 's3':
+      return new S3Storage({
+        endpoint: process.env.S3_ENDPOINT,
+        region: process.env.S3_REGION,
+        bucket: process.env.S3_BUCKET,
+        accessKeyId: process.env.S3_ACCESS_KEY_ID,
+        secretAccessKey: process.env.S3_SECRET_ACCESS_KEY,
+        forcePathStyle: process.env.S3_FORCE_PATH_STYLE !== 'false',
+      });
+    default:
+      throw new Error(`Unknown file storage driver: ${name}`);
+  }
+}
+
+/**
+ * Get a storage backend
+ * @param {string} [name] - Backend name; defaults to FILE_STORAGE_DRIVER
+ */
+function getStorage(name = process.env.FILE_STORAGE_DRIVER || 'local') {
+  if (!backends[name]) {
+    backends[name] = createBackend(name);
+  }
+  return backends[name];
+}
+
+/**
+ * Delete an attachment's contents from its storage backend.
+ * Failures are logged rather than thrown so the metadata change still succeeds.
+ * @param {Object} file - attachedFiles entry
+ */
+async function removeStoredFile(file) {
+  if (!file.storageKey) return;
+
+  try {
+    await getStorage(file.storage).remove(file.storageKey);
+  } catch (error) {
+    console.error(`Error removing ${file.storageKey} from ${file.storage} storage:`, error);
+  }
+}
+
+/**
+ * Compute the SHA-256 checksum of a file or buffer
+ * @param {string|Buffer} source - File path or buffer
+ * @returns {Promise<string>} Hex digest
+ */
+async function computeChecksum(source) {
+  const hash = crypto.createHash('sha256');
+
+  if (Buffer.isBuffer(source)) {
+    return hash.update(source).digest('hex');
+  }
+
+  for await (const chunk of fs.createReadStream(source)) {
+    hash.update(chunk);
+  }
+  return hash.digest('hex');
+}
+
+/**
+ * Wrap a buffer in a readable stream for save()
+ * @param {Buffer} buffer
+ */
+function bufferStream(buffer) {
+  return Readable.from([buffer]);
+}
+
+module.exports = {
+  getStorage,
+  removeStoredFile,
+  computeChecksum,
+  bufferStream,
+};
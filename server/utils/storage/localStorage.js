@@ -0,0 +1,72 @@
+/**
+ * Local Disk Storage Backend
+ *
+ * Stores attachment contents as files in a directory on the server
+ * (LOCAL_STORAGE_DIR, default server/uploads/documents).
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { pipeline } = require('stream/promises');
+
+class LocalStorage {
+  /**
+   * @param {Object} options
+   * @param {string} options.directory - Directory files are written to
+   */
+  constructor({ directory }) {
+    this.name = 'local';
+    this.directory = path.resolve(directory);
+  }
+
+  /**
+   * Resolve a storage key to a path, refusing keys that escape the directory
+   * @param {string} key - Storage key
+   */
+  resolve(key) {
+    const filePath = path.resolve(this.directory, key);
+    if (!filePath.startsWith(this.directory + path.sep)) {
+      throw new Error(`Invalid storage key: ${key}`);
+    }
+    return filePath;
+  }
+
+  /**
+   * Write a file
+   * @param {string} key - Storage key
+   * @param {Readable} body - File contents
+   */
+  async save(key, body) {
+    await fs.promises.mkdir(this.directory, { recursive: true });
+    await pipeline(body, fs.createWriteStream(this.resolve(key)));
+  }
+
+  /**
+   * Open a file for reading
+   * @param {string} key - Storage key
+   * @returns {Promise<Readable>}
+   */
+  async createReadStream(key) {
+    const filePath = this.resolve(key);
+
+    try {
+      await fs.promises.access(filePath);
+    } catch {
+      const error = new Error(`File not found in storage: ${key}`);
+      error.code = 'FILE_NOT_FOUND';
+      throw error;
+    }
+
+    return fs.createReadStream(filePath);
+  }
+
+  /**
+   * Delete a file (missing files are ignored)
+   * @param {string} key - Storage key
+   */
+  async remove(key) {
+    await fs.promises.rm(this.resolve(key), { force: true });
+  }
+}
+
+module.exports = LocalStorage;
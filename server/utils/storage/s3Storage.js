@@ -0,0 +1,207 @@
+/**
+ * S3-Compatible Storage Backend
+ *
+ * Stores attachment contents in an S3 bucket or any S3-compatible service
+ * (MinIO, Ceph, Wasabi, ...). Requests are signed with AWS Signature V4
+ * using Node's crypto module, so no SDK dependency is needed.
+ *
+ * Path-style URLs (http://host:9000/bucket/key) are used by default because
+ * most self-hosted services expect them; set S3_FORCE_PATH_STYLE=false for
+ * virtual-hosted style (https://bucket.s3.amazonaws.com/key).
+ */
+
+const crypto = require('crypto');
+const http = require('http');
+const https = require('https');
+
+const sha256Hex = (data) => crypto.createHash('sha256').update(data).digest('hex');
+const hmac = (key, data) => crypto.createHmac('sha256', key).update(data).digest();
+
+// RFC 3986 encoding as required by SigV4 (encodeURIComponent leaves !'()* alone)
+const encodeSegment = (segment) =>
+  encodeURIComponent(segment).replace(/[!'()*]/g, (c) => `%${c.charCodeAt(0).toString(16).toUpperCase()}`);
+
+class S3Storage {
+  /**
+   * @param {Object} options
+   * @param {string} options.endpoint - e.g. https://s3.eu-west-1.amazonaws.com or http://localhost:9000
+   * @param {string} options.region - Signing region (MinIO accepts us-east-1)
+   * @param {string} options.bucket - Bucket name
+   * @param {string} options.accessKeyId
+   * @param {string} options.secretAccessKey
+   * @param {boolean} options.forcePathStyle - Put the bucket in the path instead of the host
+   */
+  constructor({ endpoint, region, bucket, accessKeyId, secretAccessKey, forcePathStyle = true }) {
+    if (!endpoint || !bucket || !accessKeyId || !secretAccessKey) {
+      throw new Error('S3 storage requires S3_ENDPOINT, S3_BUCKET, S3_ACCESS_KEY_ID and S3_SECRET_ACCESS_KEY');
+    }
+
+    this.name = 's3';
+    this.endpoint = new URL(endpoint);
+    this.region = region || 'us-east-1';
+    this.bucket = bucket;
+    this.accessKeyId = accessKeyId;
+    this.secretAccessKey = secretAccessKey;
+    this.forcePathStyle = forcePathStyle;
+  }
+
+  /**
+   * Build the URL of an object
+   * @param {string} key - Object key
+   */
+  objectUrl(key) {
+    const encodedKey = key.split('/').map(encodeSegment).join('/');
+    const url = new URL(this.endpoint.href);
+
+    if (this.forcePathStyle) {
+      url.pathname = `/${encodeSegment(this.bucket)}/${encodedKey}`;
+    } else {
+      url.hostname = `${this.bucket}.${url.hostname}`;
+      url.pathname = `/${encodedKey}`;
+    }
+    return url;
+  }
+
+  /**
+   * Compute AWS Signature V4 headers for a request
+   * @param {string} method - HTTP method
+   * @param {URL} url - Request URL (no query string)
+   * @param {Object} headers - Extra headers to sign
+   * @param {string} payloadHash - Hex SHA-256 of the body
+   * @param {Date} [date] - Signing time (default now)
+   * @returns {Object} Headers including Authorization
+   */
+  sign(method, url, headers, payloadHash, date = new Date()) {
+    const amzDate = date.toISOString().replace(/[:-]|\.\d{3}/g, '');
+    const dateStamp = amzDate.slice(0, 8);
+
+    const allHeaders = {
+      ...headers,
+      host: url.host,
+      'x-amz-content-sha256': payloadHash,
+      'x-amz-date': amzDate,
+    };
+
+    const names = Object.keys(allHeaders).map(n => n.toLowerCase()).sort();
+    const lowerCased = Object.fromEntries(
+      Object.entries(allHeaders).map(([n, v]) => [n.toLowerCase(), String(v).trim()])
+    );
+    const canonicalHeaders = names.map(n => `${n}:${lowerCased[n]}\n`).join('');
+    const signedHeaders = names.join(';');
+
+    const canonicalRequest = [
+      method,
+      url.pathname,
+      '',
+      canonicalHeaders,
+      signedHeaders,
+      payloadHash,
+    ].join('\n');
+
+    const scope = `${dateStamp}/${this.region}/s3/aws4_request`;
+    const stringToSign = ['AWS4-HMAC-SHA256', amzDate, scope, sha256Hex(canonicalRequest)].join('\n');
+
+    const kDate = hmac(`AWS4${this.secretAccessKey}`, dateStamp);
+    const kRegion = hmac(kDate, this.region);
+    const kService = hmac(kRegion, 's3');
+    const kSigning = hmac(kService, 'aws4_request');
+    const signature = crypto.createHmac('sha256', kSigning).update(stringToSign).digest('hex');
+
+    return {
+      ...lowerCased,
+      authorization: `AWS4-HMAC-SHA256 Credential=${this.accessKeyId}/${scope}, SignedHeaders=${signedHeaders}, Signature=${signature}`,
+    };
+  }
+
+  /**
+   * Send a signed request
+   * @param {string} method - HTTP method
+   * @param {string} key - Object key
+   * @param {Object} options - { headers, payloadHash, body }
+   * @returns {Promise<IncomingMessage>} Response (body not consumed)
+   */
+  request(method, key, { headers = {}, payloadHash = sha256Hex(''), body = null } = {}) {
+    const url = this.objectUrl(key);
+    const signedHeaders = this.sign(method, url, headers, payloadHash);
+    const transport = url.protocol === 'https:' ? https : http;
+
+    return new Promise((resolve, reject) => {
+      const req = transport.request(url, { method, headers: signedHeaders }, resolve);
+      req.on('error', reject);
+
+      if (body) {
+        body.on('error', (error) => req.destroy(error));
+        body.pipe(req);
+      } else {
+        req.end();
+      }
+    });
+  }
+
+  /**
+   * Turn a non-2xx response into an Error carrying the service's message
+   * @param {IncomingMessage} response
+   * @param {string} key - Object key
+   */
+  async failure(response, key) {
+    let text = '';
+    for await (const chunk of response) text += chunk;
+
+    const error = new Error(`S3 request for ${key} failed with status ${response.statusCode}: ${text.slice(0, 200)}`);
+    if (response.statusCode === 404) {
+      error.code = 'FILE_NOT_FOUND';
+    }
+    return error;
+  }
+
+  /**
+   * Upload an object
+   * @param {string} key - Object key
+   * @param {Readable} body - File contents
+   * @param {Object} meta - { contentType, size, checksum (hex SHA-256) }
+   */
+  async save(key, body, meta = {}) {
+    const response = await this.request('PUT', key, {
+      headers: {
+        'content-type': meta.contentType || 'application/octet-stream',
+        'content-length': meta.size,
+      },
+      payloadHash: meta.checksum,
+      body,
+    });
+
+    if (response.statusCode >= 300) {
+      throw await this.failure(response, key);
+    }
+    response.resume();
+  }
+
+  /**
+   * Open an object for reading
+   * @param {string} key - Object key
+   * @returns {Promise<Readable>}
+   */
+  async createReadStream(key) {
+    const response = await this.request('GET', key);
+
+    if (response.statusCode >= 300) {
+      throw await this.failure(response, key);
+    }
+    return response;
+  }
+
+  /**
+   * Delete an object (S3 treats missing keys as success)
+   * @param {string} key - Object key
+   */
+  async remove(key) {
+    const response = await this.request('DELETE', key);
+
+    if (response.statusCode >= 300 && response.statusCode !== 404) {
+      throw await this.failure(response, key);
+    }
+    response.resume();
+  }
+}
+
+module.exports = S3Storage;
@@ -0,0 +1,77 @@
+/**
+ * Warranty Helpers
+ *
+ * Shared rules for warranty and support contract tracking: which alert is
+ * due before an end date, and whether a repair falls under the warranty.
+ */
+
+// Days before an end date at which an expiry alert is sent
+const EXPIRY_ALERT_DAYS = [90, 30, 7];
+
+// Maintenance service types that count as repairs for warranty coverage
+const REPAIR_SERVICE_TYPES = ['Repair', 'Emergency Repair'];
+
+const DAY_MS = 1000 * 60 * 60 * 24;
+
+/**
+ * Whole days from the start of today until a date (0 = today, negative = past)
+ * @param {Date} date
+ * @param {Date} [now=new Date()]
+ * @returns {number}
+ */
+function daysUntil(date, now = new Date()) {
+  const today = new Date(now);
+  today.setHours(0, 0, 0, 0);
+  const day = new Date(date);
+  day.setHours(0, 0, 0, 0);
+  return Math.round((day - today) / DAY_MS);
+}
+
+/**
+ * The expiry alert due for an end date, if any
+ *
+ * Returns the smallest threshold the end date is within, unless an alert for
+ * that threshold (or a closer one) was already sent for the same end date.
+ * A missed daily run therefore sends the alert late instead of skipping it.
+ *
+ * @param {Date} endDate - Warranty or contract end date
+ * @param {Object} [lastAlert] - { endDate, days } of the last alert sent
+ * @param {Date} [now=new Date()]
+ * @returns {number|null} Threshold in days, or null when no alert is due
+ */
+function getDueExpiryAlert(endDate, lastAlert, now = new Date()) {
+  if (!endDate) return null;
+
+  const remaining = daysUntil(endDate, now);
+  if (remaining < 0) return null;
+
+  const threshold = [...EXPIRY_ALERT_DAYS].sort((a, b) => a - b).find(days => remaining <= days);
+  if (threshold === undefined) return null;
+
+  const sameEndDate = lastAlert?.endDate && new Date(lastAlert.endDate).getTime() === new Date(endDate).getTime();
+  if (sameEndDate && lastAlert.days <= threshold) return null;
+
+  return threshold;
+}
+
+/**
+ * Whether an asset's warranty covers a date
+ * @param {Object} asset - Equipment document
+ * @param {Date} [date=new Date()]
+ * @returns {boolean}
+ */
+function isUnderWarranty(asset, date = new Date()) {
+  if (!asset.warrantyEndDate) return false;
+
+  const day = new Date(date);
+  if (asset.warrantyStartDate && daysUntil(asset.warrantyStartDate, day) > 0) return false;
+  return daysUntil(asset.warrantyEndDate, day) >= 0;
+}
+
+module.exports = {
+  EXPIRY_ALERT_DAYS,
+  REPAIR_SERVICE_TYPES,
+  daysUntil,
+  getDueExpiryAlert,
+  isUnderWarranty,
+};
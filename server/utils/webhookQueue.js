@@ -0,0 +1,194 @@
+/**
+ * Webhook Delivery Queue
+ *
+ * Posts the deliveries queued in the WebhookDelivery collection: Slack and
+ * Teams messages (utils/chatIntegrations.js) and outbound webhook events
+ * (utils/webhooks.js). Deliveries are posted right after they are queued;
+ * failed posts are retried with exponential backoff by the
+ * webhookDeliveries job until they run out of attempts, which leaves them
+ * in the dead-letter list (status Failed).
+ *
+ * Outbound webhook requests are signed with the subscription's secret:
+ *   X-Webhook-Signature: sha256=HMAC_SHA256(secret, "<X-Webhook-Timestamp>.<raw body>")
+ * Receivers should recompute the signature over the raw body and reject
+ * old timestamps to prevent replays.
+ */
+
+const crypto = require('crypto');
+const Settings = require('../models/Settings');
+const Webhook = require('../models/Webhook');
+const WebhookDelivery = require('../models/WebhookDelivery');
+
+// Delay before the first retry; doubled after every failed attempt
+const RETRY_BASE_DELAY_MS = 60 * 1000;
+
+// Deliveries left in Sending this long (e.g. the server stopped mid-post) are retried
+const STALE_SENDING_MS = 10 * 60 * 1000;
+
+// Most deliveries posted in one run
+const BATCH_SIZE = 50;
+
+// Give up on a webhook that does not answer within this time
+const REQUEST_TIMEOUT_MS = 10 * 1000;
+
+/**
+ * HMAC-SHA256 signature of a webhook request
+ * @param {string} secret - Subscription secret
+ * @param {number|string} timestamp - Unix time in seconds (X-Webhook-Timestamp)
+ * @param {string} body - Raw request body
+ * @returns {string} Hex digest
+ */
+function signPayload(secret, timestamp, body) {
+  return crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+}
+
+/**
+ * POST a JSON body to a webhook
+ * @param {string} url - Webhook URL
+ * @param {string} body - JSON request body
+ * @param {Object} [headers] - Extra headers
+ * @returns {Promise<number>} HTTP status
+ * @throws {Error} with `status` set when the webhook answered with an error
+ */
+async function postWebhook(url, body, headers = {}) {
+  const response = await fetch(url, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json', ...headers },
+    body,
+    signal: AbortSignal.timeout(REQUEST_TIMEOUT_MS),
+  });
+
+  if (!response.ok) {
+    const text = await response.text().catch(() => '');
+    const error = new Error(`HTTP ${response.status}${text ? `: ${text.slice(0, 200)}` : ''}`);
+    error.status = response.status;
+    throw error;
+  }
+  return response.status;
+}
+
+/**
+ * Whether a failed post is worth retrying: network errors, timeouts,
+ * rate limiting and server errors are; other 4xx answers from Slack/Teams
+ * (bad URL, rejected payload) will not get better. Outbound webhooks are
+ * always retried, since the receiving system may be mid-deploy.
+ */
+function isRetryable(delivery, error) {
+  if (delivery.channel === 'webhook') return true;
+  return !error.status || error.status === 408 || error.status === 429 || error.status >= 500;
+}
+
+/**
+ * Work out where and how to post a delivery
+ * @returns {Promise<Object>} { url, body, headers }, or { blocked } when it must not be sent
+ */
+async function prepareRequest(delivery, settings) {
+  const body = JSON.stringify(delivery.payload);
+
+  if (delivery.channel !== 'webhook') {
+    if (!settings?.integrations?.[delivery.channel]?.enabled) {
+      return { blocked: 'Integration was turned off before delivery' };
+    }
+    return { url: delivery.url, body, headers: {} };
+  }
+
+  const webhook = await Webhook.findById(delivery.webhookId).select('+secret');
+  if (!webhook || !webhook.enabled) {
+    return { blocked: 'Webhook was turned off or removed before delivery' };
+  }
+
+  const timestamp = Math.floor(Date.now() / 1000);
+  return {
+    url: webhook.url,
+    body,
+    headers: {
+      'User-Agent': 'QR-Tag-Manager-Webhooks',
+      'X-Webhook-Event': delivery.event,
+      'X-Webhook-Delivery': delivery._id.toString(),
+      'X-Webhook-Timestamp': String(timestamp),
+      'X-Webhook-Signature': `sha256=${signPayload(webhook.secret, timestamp, body)}`,
+    },
+  };
+}
+
+/**
+ * Post pending deliveries. Safe to run on several instances at once:
+ * each delivery is claimed atomically before it is posted.
+ * @returns {Promise<Object>} { success, idle, delivered, retrying, failed }
+ */
+async function processDeliveries() {
+  const settings = await Settings.findOne({ isSingleton: true }).select('integrations');
+
+  await WebhookDelivery.updateMany(
+    { status: 'Sending', claimedAt: { $lt: new Date(Date.now() - STALE_SENDING_MS) } },
+    { $set: { status: 'Pending' } }
+  );
+
+  const results = { delivered: 0, retrying: 0, failed: 0 };
+
+  for (let i = 0; i < BATCH_SIZE; i++) {
+    const delivery = await WebhookDelivery.findOneAndUpdate(
+      { status: 'Pending', nextAttemptAt: { $lte: new Date() } },
+      { $set: { status: 'Sending', claimedAt: new Date() }, $inc: { attempts: 1 } },
+      { new: true, sort: { nextAttemptAt: 1 } }
+    );
+    if (!delivery) break;
+
+    const request = await prepareRequest(delivery, settings);
+
+    if (request.blocked) {
+      delivery.status = 'Failed';
+      delivery.lastError = request.blocked;
+      results.failed++;
+    } else {
+      try {
+        delivery.url = request.url;
+        delivery.responseStatus = await postWebhook(request.url, request.body, request.headers);
+        delivery.status = 'Delivered';
+        delivery.deliveredAt = new Date();
+        delivery.lastError = undefined;
+        results.delivered++;
+      } catch (error) {
+        console.error(`Error posting to ${delivery.channel} webhook:`, error.message);
+        delivery.responseStatus = error.status;
+        delivery.lastError = error.message;
+        if (delivery.attempts >= delivery.maxAttempts || !isRetryable(delivery, error)) {
+          delivery.status = 'Failed';
+          results.failed++;
+        } else {
+          delivery.status = 'Pending';
+          delivery.nextAttemptAt = new Date(Date.now() + RETRY_BASE_DELAY_MS * 2 ** (delivery.attempts - 1));
+          results.retrying++;
+        }
+      }
+    }
+    await delivery.save();
+
+    if (delivery.webhookId && delivery.status !== 'Pending') {
+      await Webhook.updateOne(
+        { _id: delivery.webhookId },
+        { $set: { lastDeliveryAt: new Date(), lastDeliveryStatus: delivery.status } }
+      );
+    }
+  }
+
+  return {
+    success: true,
+    idle: results.delivered + results.retrying + results.failed === 0,
+    ...results,
+  };
+}
+
+/**
+ * Post pending deliveries now rather than waiting for the next scheduled run
+ */
+function processDeliveriesSoon() {
+  processDeliveries().catch(error => console.error('Error processing webhook deliveries:', error));
+}
+
+module.exports = {
+  signPayload,
+  postWebhook,
+  processDeliveries,
+  processDeliveriesSoon,
+};
@@ -0,0 +1,181 @@
+/**
+ * Outbound Webhooks
+ *
+ * Sends asset and maintenance events to the webhook subscriptions in the
+ * Webhook collection (ERP, helpdesk...). Each event is queued as one
+ * WebhookDelivery per subscribed webhook and posted, signed, by
+ * utils/webhookQueue.js.
+ *
+ * Request body:
+ *   { id, event, createdAt, data: { equipment | maintenance, activity?, changes?, custody? } }
+ * id identifies the event (the same on every delivery and redelivery of it),
+ * so receivers can ignore duplicates.
+ */
+
+const crypto = require('crypto');
+const Webhook = require('../models/Webhook');
+const WebhookDelivery = require('../models/WebhookDelivery');
+const { processDeliveries, processDeliveriesSoon } = require('./webhookQueue');
+
+// Event types a webhook can subscribe to
+const WEBHOOK_EVENTS = {
+  'equipment.created': 'An asset was registered',
+  'equipment.updated': 'An asset was edited, or its documents or notes changed',
+  'equipment.deleted': 'An asset was deleted (moved to the recycle bin)',
+  'equipment.restored': 'A deleted asset was restored from the recycle bin',
+  'equipment.checked_out': 'An asset was checked out to someone',
+  'equipment.checked_in': 'A checked out asset was returned',
+  'maintenance.created': 'A maintenance record was created or scheduled',
+  'maintenance.updated': 'A maintenance record was edited or started',
+  'maintenance.completed': 'Maintenance was completed',
+  'maintenance.deleted': 'A maintenance record was deleted',
+  'maintenance.overdue': 'Scheduled maintenance became overdue',
+};
+
+// Attempts before a delivery goes to the dead-letter list
+// (retried after 1, 2, 4 ... 64 minutes, about two hours in all)
+const MAX_ATTEMPTS = 8;
+
+/**
+ * Generate a signing secret for a webhook
+ */
+function generateSecret() {
+  return `whsec_${crypto.randomBytes(24).toString('hex')}`;
+}
+
+/**
+ * Plain object for a document, without internal fields
+ */
+function toPlain(doc) {
+  const data = doc?.toObject ? doc.toObject() : { ...doc };
+  delete data.__v;
+  return data;
+}
+
+/**
+ * Asset as sent in webhook payloads (attachment contents are left out)
+ */
+function toEquipmentPayload(equipment) {
+  const data = toPlain(equipment);
+  data.attachedFiles = (data.attachedFiles || []).map(({ data: _content, ...file }) => file);
+  return data;
+}
+
+/**
+ * Activity record as sent in webhook payloads
+ */
+function toActivityPayload(activity) {
+  if (!activity) return undefined;
+  return {
+    action: activity.action,
+    details: activity.details,
+    user: activity.user,
+    timestamp: activity.timestamp,
+  };
+}
+
+/**
+ * Queue an event for every enabled webhook subscribed to it and start posting
+ * @param {string} event - Event type from WEBHOOK_EVENTS
+ * @param {Object} data - Event data
+ * @param {Object} [meta] - { title, assetId } for the delivery log
+ * @returns {Promise<number>} Number of deliveries queued
+ */
+async function emitWebhookEvent(event, data, { title, assetId } = {}) {
+  try {
+    const webhooks = await Webhook.find({ enabled: true, events: event }).select('url');
+    if (webhooks.length === 0) {
+      return 0;
+    }
+
+    const payload = {
+      id: crypto.randomUUID(),
+      event,
+      createdAt: new Date().toISOString(),
+      data,
+    };
+
+    await WebhookDelivery.insertMany(webhooks.map(webhook => ({
+      channel: 'webhook',
+      webhookId: webhook._id,
+      url: webhook.url,
+      event,
+      title,
+      payload,
+      assetId,
+      maxAttempts: MAX_ATTEMPTS,
+    })));
+
+    processDeliveriesSoon();
+    return webhooks.length;
+  } catch (error) {
+    console.error(`Error queueing ${event} webhooks:`, error);
+    return 0;
+  }
+}
+
+/**
+ * Emit an equipment.* event
+ * @param {string} event - Event type
+ * @param {Object} equipment - Asset
+ * @param {Object} [extra] - { activity, changes, custody }
+ */
+async function emitEquipmentEvent(event, equipment, { activity, changes, custody } = {}) {
+  return emitWebhookEvent(event, {
+    equipment: toEquipmentPayload(equipment),
+    activity: toActivityPayload(activity),
+    changes,
+    custody: custody ? toPlain(custody) : undefined,
+  }, {
+    title: `${equipment.name} (${equipment.id})`,
+    assetId: equipment.id,
+  });
+}
+
+/**
+ * Emit a maintenance.* event
+ * @param {string} event - Event type
+ * @param {Object} maintenance - Maintenance record
+ */
+async function emitMaintenanceEvent(event, maintenance) {
+  return emitWebhookEvent(event, {
+    maintenance: toPlain(maintenance),
+  }, {
+    title: `${maintenance.serviceType || 'Maintenance'} for ${maintenance.assetName || maintenance.assetId}`,
+    assetId: maintenance.assetId,
+  });
+}
+
+/**
+ * Send a ping event to one webhook and wait for the result
+ * @param {Object} webhook - Webhook document
+ * @returns {Promise<Object>} The delivery after the first attempt
+ */
+async function pingWebhook(webhook) {
+  const delivery = await WebhookDelivery.create({
+    channel: 'webhook',
+    webhookId: webhook._id,
+    url: webhook.url,
+    event: 'ping',
+    title: `Ping ${webhook.name}`,
+    payload: {
+      id: crypto.randomUUID(),
+      event: 'ping',
+      createdAt: new Date().toISOString(),
+      data: { webhook: { id: webhook._id, name: webhook.name, events: webhook.events } },
+    },
+    maxAttempts: 1,
+  });
+
+  await processDeliveries();
+  return WebhookDelivery.findById(delivery._id).select('-payload');
+}
+
+module.exports = {
+  WEBHOOK_EVENTS,
+  generateSecret,
+  emitWebhookEvent,
+  emitEquipmentEvent,
+  emitMaintenanceEvent,
+  pingWebhook,
+};
@@ -12,6 +12,7 @@
  * 1. Dashboard - Overview statistics, charts, and recent activity
  * 2. Assets - Asset management with table view, detail view, and registration form
  * 3. Tags - Tag management for organizing assets (Location, Department, Type, Status)
+ *    Locations - Location tree browser (sites, buildings, floors, rooms)
  * 4. Users - User management with role-based access control
  * 5. Reports - Analytics dashboard with charts and data export capabilities
  * 6. Settings - Application settings, API keys, and system configuration
@@ -27,7 +28,7 @@
  * - Assets page has sub-views: management (table), details (single asset), add (registration form)
  *
  * Props Flow:
- * - Context provides: items (assets), activities (recent activity)
+ * - Context provides: the paginated asset listing, activities (recent activity)
  * - Callback functions passed to child components for state updates
  * - View transitions handled through local state (assetsView, viewingAssetId)
  */
@@ -39,6 +40,8 @@ import {
   Routes,
   Route,
   Navigate,
+  useLocation,
+  useNavigate,
 } from "react-router-dom";
 import {
   EquipmentProvider,
@@ -49,13 +52,17 @@ import { AuthProvider } from "./context/AuthContext";
 import ProtectedRoute from "./components/ProtectedRoute";
 import Login from "./components/Login";
 import Signup from "./components/Signup";
+import ForgotPassword from "./components/ForgotPassword";
+import ResetPassword from "./components/ResetPassword";
 import Header from "./components/Header";
 import Dashboard from "./components/Dashboard";
 import AssetsManagement from "./components/AssetsManagement";
+import AssetImportWizard from "./components/AssetImportWizard";
 import AssetDetails from "./components/AssetDetails";
 import AssetRegistration from "./components/AssetRegistration";
 import EditAsset from "./components/EditAsset";
 import TagManagement from "./components/TagManagement";
+import LocationBrowser from "./components/LocationBrowser";
 import UserManagement from "./components/UserManagement";
 import Reports from "./components/Reports";
 import Settings from "./components/Settings";
@@ -78,17 +85,16 @@ import MaintenanceCalendar from "./components/MaintenanceCalendar";
  *
  * State Variables:
  * @state {string} currentPage - Current active page ("Dashboard", "Assets", "Tags", "Users", "Reports", "Settings")
- * @state {string} assetsView - Assets page view mode ("management", "details", "add", "edit")
+ * @state {string} assetsView - Assets page view mode ("management", "details", "add", "edit", "import")
  * @state {string|null} viewingAssetId - ID of asset being viewed in detail view, null when not viewing
  * @state {string|null} editingAssetId - ID of asset being edited, null when not editing
  *
  * Context Usage:
- * @context {Array} items - Array of all equipment/asset objects from EquipmentContext
  * @context {Array} activities - Array of recent activity log entries from EquipmentContext
  */
 function AppContent() {
   // Access equipment data from context
-  const { items, activities, deleteEquipment } = useContext(EquipmentContext);
+  const { activities, deleteEquipment } = useContext(EquipmentContext);
 
   // State: Current page being displayed - persist to localStorage
   const [currentPage, setCurrentPage] = useState(() => {
@@ -115,6 +121,20 @@ function AppContent() {
   const [assetToDelete, setAssetToDelete] = useState(null);
   const [isDeleting, setIsDeleting] = useState(false);
 
+  // Open asset links (/asset/:assetId, e.g. from Slack and Teams messages)
+  // in the asset detail view. Not /assets/, which holds the built JS and CSS.
+  const location = useLocation();
+  const navigate = useNavigate();
+  React.useEffect(() => {
+    const match = location.pathname.match(/^\/asset\/([^/]+)\/?$/);
+    if (!match) return;
+
+    setCurrentPage("Assets");
+    setViewingAssetId(decodeURIComponent(match[1]));
+    setAssetsView("details");
+    navigate("/", { replace: true });
+  }, [location.pathname, navigate]);
+
   // Persist current page to localStorage whenever it changes
   React.useEffect(() => {
     localStorage.setItem("currentPage", currentPage);
@@ -210,7 +230,6 @@ function AppContent() {
           {/* Dashboard Page */}
           {currentPage === "Dashboard" && (
             <Dashboard
-              assets={items}
               recentActivity={activities}
               onNavigate={(page) => {
                 setCurrentPage(page);
@@ -222,7 +241,6 @@ function AppContent() {
           {/* Assets Page with Management View */}
           {currentPage === "Assets" && assetsView === "management" && (
             <AssetsManagement
-              assets={items}
               onView={(asset) => {
                 setViewingAssetId(asset.id);
                 setAssetsView("details");
@@ -236,9 +254,15 @@ function AppContent() {
                 setShowDeleteModal(true);
               }}
               onAddNew={() => setAssetsView("add")}
+              onImport={() => setAssetsView("import")}
             />
           )}
 
+          {/* Assets Page with Bulk Import Wizard */}
+          {currentPage === "Assets" && assetsView === "import" && (
+            <AssetImportWizard onClose={() => setAssetsView("management")} />
+          )}
+
           {/* Assets Page with Detail View */}
           {currentPage === "Assets" && assetsView === "details" && (
             <AssetDetails
@@ -287,6 +311,9 @@ function AppContent() {
           {/* Tags Page */}
           {currentPage === "Tags" && <TagManagement />}
 
+          {/* Locations Page */}
+          {currentPage === "Locations" && <LocationBrowser />}
+
           {/* Users Page */}
           {currentPage === "Users" && <UserManagement />}
 
@@ -341,7 +368,7 @@ function AppContent() {
                     Delete Asset
                   </h3>
                   <p className="text-sm text-gray-600 dark:text-gray-400 mt-1">
-                    This action cannot be undone
+                    The asset will be moved to the recycle bin
                   </p>
                 </div>
               </div>
@@ -352,20 +379,23 @@ function AppContent() {
               <div className="bg-red-50 dark:bg-red-900/20 border border-red-200 dark:border-red-800 rounded-lg p-4 mb-4">
                 <p className="text-sm text-red-800 dark:text-red-300">
                   <span className="font-semibold">⚠️ Warning:</span> You are
-                  about to permanently delete the asset{" "}
+                  about to delete the asset{" "}
                   <span className="font-bold">"{assetToDelete.name}"</span>.
                 </p>
               </div>
 
               <p className="text-sm text-gray-700 dark:text-gray-300">
-                This will remove all associated data including:
+                It will be hidden from lists and reports together with:
               </p>
               <ul className="mt-2 space-y-1 text-sm text-gray-600 dark:text-gray-400 list-disc list-inside">
-                <li>Asset details and specifications</li>
                 <li>Maintenance records</li>
-                <li>Attached documents</li>
-                <li>Activity history</li>
+                <li>Attached documents and notes</li>
               </ul>
+              <p className="mt-3 text-sm text-gray-600 dark:text-gray-400">
+                An administrator can restore it from Settings → Recycle Bin
+                until it is permanently removed at the end of the data retention
+                period.
+              </p>
             </div>
 
             {/* Modal Footer */}
@@ -418,11 +448,11 @@ function AppContent() {
  * Context Provided:
  * - Authentication state and user data
  * - Login/logout/register functions
- * - Equipment/Asset data (items array)
+ * - Paginated equipment/asset listing
  * - Recent activity logs
  * - Functions to add, update, delete equipment
  * - Notifications system with real-time updates
- * - Helper functions like getById for retrieving specific items
+ * - Asset revisions for views that load assets themselves
  *
  * @returns {JSX.Element} Application with context provider wrappers
  */
@@ -436,6 +466,11 @@ function App() {
               {/* Public Routes */}
               <Route path="/login" element={<Login />} />
               <Route path="/signup" element={<Signup />} />
+              <Route path="/forgot-password" element={<ForgotPassword />} />
+              <Route
+                path="/reset-password/:resetToken"
+                element={<ResetPassword />}
+              />
 
               {/* Protected Routes */}
               <Route
@@ -10,6 +10,10 @@
  * - Purchase date range selection
  * - Cost range filtering
  * - Location filtering
+ * - Department filtering
+ * - Warranty state filtering (active, expiring within 90 days, expired, none)
+ * - Custom field filtering for the selected asset type (text contains,
+ *   dropdown and yes/no match, number and date ranges)
  * - Logical operator selection (AND/OR)
  * - Clear all filters functionality
  * - Apply filters with callback
@@ -24,7 +28,27 @@
  */
 
 import React, { useState, useEffect } from "react";
-import API_BASE_URL from "../config/api";
+import API_BASE_URL, { getAuthHeaders } from "../config/api";
+import { getCustomFields } from "../config/customFields";
+
+// Warranty filter choices (value is the `warranty` query parameter)
+const WARRANTY_OPTIONS = [
+  { value: "active", label: "Under Warranty" },
+  { value: "expiring", label: "Expiring Within 90 Days" },
+  { value: "expired", label: "Warranty Expired" },
+  { value: "none", label: "No Warranty" },
+];
+
+const inputClassName =
+  "w-full rounded-lg border-gray-300 dark:border-gray-600 bg-gray-50 dark:bg-gray-700 text-gray-900 dark:text-gray-100 focus:border-blue-500 focus:ring-blue-500 text-sm px-3 py-2";
+
+/**
+ * Whether a custom field filter value is set (a value, or a range with a bound)
+ */
+const isCustomFilterSet = (value) =>
+  typeof value === "object" && value !== null
+    ? Boolean(value.min || value.max)
+    : value !== "" && value !== undefined;
 
 export default function AdvancedSearch({
   isOpen = false,
@@ -44,6 +68,9 @@ export default function AdvancedSearch({
     costMin: "",
     costMax: "",
     location: "All Locations",
+    department: "All Departments",
+    warranty: "",
+    customFields: {},
   });
 
   /**
@@ -53,7 +80,9 @@ export default function AdvancedSearch({
     const fetchTags = async () => {
       try {
         setLoadingTags(true);
-        const response = await fetch(`${API_BASE_URL}/tags`);
+        const response = await fetch(`${API_BASE_URL}/tags`, {
+          headers: getAuthHeaders(),
+        });
         if (!response.ok) {
           throw new Error("Failed to fetch tags");
         }
@@ -89,6 +118,96 @@ export default function AdvancedSearch({
     }));
   };
 
+  // Custom fields of the selected asset type
+  const customFields =
+    filters.assetType !== "All Types"
+      ? getCustomFields(tags, filters.assetType)
+      : [];
+  const activeCustomFields = customFields.filter((field) =>
+    isCustomFilterSet(filters.customFields[field.key])
+  );
+
+  /**
+   * Handle custom field filter changes
+   * @param {string} key - Field key
+   * @param {string|Object} value - Value, or { min, max } for ranges
+   */
+  const handleCustomFieldChange = (key, value) => {
+    setFilters((prev) => ({
+      ...prev,
+      customFields: { ...prev.customFields, [key]: value },
+    }));
+  };
+
+  /**
+   * Filter input for one custom field
+   * @param {Object} field - Field definition
+   */
+  const renderCustomFieldFilter = (field) => {
+    const value = filters.customFields[field.key];
+
+    if (field.type === "number" || field.type === "date") {
+      const range = typeof value === "object" && value ? value : {};
+      return (
+        <div className="grid grid-cols-1 sm:grid-cols-2 gap-4">
+          {["min", "max"].map((bound) => (
+            <input
+              key={bound}
+              className={inputClassName}
+              type={field.type}
+              step={field.type === "number" ? "any" : undefined}
+              placeholder={bound === "min" ? "From" : "To"}
+              value={range[bound] || ""}
+              onChange={(e) =>
+                handleCustomFieldChange(field.key, {
+                  ...range,
+                  [bound]: e.target.value,
+                })
+              }
+            />
+          ))}
+        </div>
+      );
+    }
+
+    if (field.type === "dropdown" || field.type === "boolean") {
+      const options =
+        field.type === "boolean"
+          ? [
+              { value: "true", label: "Yes" },
+              { value: "false", label: "No" },
+            ]
+          : (field.options || []).map((option) => ({
+              value: option,
+              label: option,
+            }));
+      return (
+        <select
+          className={inputClassName}
+          value={value || ""}
+          onChange={(e) => handleCustomFieldChange(field.key, e.target.value)}
+        >
+          <option value="">Any</option>
+          {options.map((option) => (
+            <option key={option.value} value={option.value}>
+              {option.label}
+            </option>
+          ))}
+        </select>
+      );
+    }
+
+    return (
+      <input
+        className={inputClassName}
+        type="text"
+        placeholder="Contains..."
+        value={value || ""}
+        onChange={(e) => handleCustomFieldChange(field.key, e.target.value)}
+      />
+    );
+  };
+
   /**
    * Clear all filters
    */
@@ -101,6 +220,9 @@ export default function AdvancedSearch({
       costMin: "",
       costMax: "",
       location: "All Locations",
+      department: "All Departments",
+      warranty: "",
+      customFields: {},
     });
   };
 
@@ -190,7 +312,13 @@ export default function AdvancedSearch({
                 className="w-full rounded-lg border-gray-300 dark:border-gray-600 bg-gray-50 dark:bg-gray-700 text-gray-900 dark:text-gray-100 focus:border-blue-500 focus:ring-blue-500 text-sm px-3 py-2"
                 id="asset-type"
                 value={filters.assetType}
-                onChange={(e) => handleChange("assetType", e.target.value)}
+                onChange={(e) =>
+                  setFilters((prev) => ({
+                    ...prev,
+                    assetType: e.target.value,
+                    customFields: {}, // Fields differ per asset type
+                  }))
+                }
                 disabled={loadingTags}
               >
                 <option>All Types</option>
@@ -202,6 +330,23 @@ export default function AdvancedSearch({
               </select>
             </div>
 
+            {/* Custom Fields of the selected asset type */}
+            {customFields.length > 0 && (
+              <div className="space-y-4 rounded-lg border border-gray-200 dark:border-gray-700 p-4">
+                <p className="text-sm font-medium text-gray-700 dark:text-gray-300">
+                  {filters.assetType} Fields
+                </p>
+                {customFields.map((field) => (
+                  <div key={field.key} className="space-y-2">
+                    <label className="block text-xs font-medium text-gray-600 dark:text-gray-400">
+                      {field.label}
+                    </label>
+                    {renderCustomFieldFilter(field)}
+                  </div>
+                ))}
+              </div>
+            )}
+
             {/* Status Filter */}
             <div className="space-y-2">
               <label
@@ -302,6 +447,53 @@ export default function AdvancedSearch({
               </select>
             </div>
 
+            {/* Department Filter */}
+            <div className="space-y-2">
+              <label
+                className="block text-sm font-medium text-gray-700 dark:text-gray-300"
+                htmlFor="department"
+              >
+                Department
+              </label>
+              <select
+                className="w-full rounded-lg border-gray-300 dark:border-gray-600 bg-gray-50 dark:bg-gray-700 text-gray-900 dark:text-gray-100 focus:border-blue-500 focus:ring-blue-500 text-sm px-3 py-2"
+                id="department"
+                value={filters.department}
+                onChange={(e) => handleChange("department", e.target.value)}
+                disabled={loadingTags}
+              >
+                <option>All Departments</option>
+                {getTagsByCategory("Department").map((tag) => (
+                  <option key={tag._id} value={tag.name}>
+                    {tag.name}
+                  </option>
+                ))}
+              </select>
+            </div>
+
+            {/* Warranty Filter */}
+            <div className="space-y-2">
+              <label
+                className="block text-sm font-medium text-gray-700 dark:text-gray-300"
+                htmlFor="warranty"
+              >
+                Warranty
+              </label>
+              <select
+                className="w-full rounded-lg border-gray-300 dark:border-gray-600 bg-gray-50 dark:bg-gray-700 text-gray-900 dark:text-gray-100 focus:border-blue-500 focus:ring-blue-500 text-sm px-3 py-2"
+                id="warranty"
+                value={filters.warranty}
+                onChange={(e) => handleChange("warranty", e.target.value)}
+              >
+                <option value="">Any Warranty</option>
+                {WARRANTY_OPTIONS.map((option) => (
+                  <option key={option.value} value={option.value}>
+                    {option.label}
+                  </option>
+                ))}
+              </select>
+            </div>
+
             {/* Active Filters Summary */}
             {(filters.assetType !== "All Types" ||
               filters.status !== "Any Status" ||
@@ -309,7 +501,10 @@ export default function AdvancedSearch({
               filters.purchaseDateTo ||
               filters.costMin ||
               filters.costMax ||
-              filters.location !== "All Locations") && (
+              filters.location !== "All Locations" ||
+              filters.department !== "All Departments" ||
+              filters.warranty ||
+              activeCustomFields.length > 0) && (
               <div className="p-4 bg-blue-50 dark:bg-blue-900/20 border border-blue-200 dark:border-blue-800 rounded-lg">
                 <p className="text-sm font-medium text-blue-900 dark:text-blue-300 mb-2">
                   Active Filters:
@@ -340,6 +535,28 @@ export default function AdvancedSearch({
                       Location: {filters.location}
                     </span>
                   )}
+                  {filters.department !== "All Departments" && (
+                    <span className="inline-flex items-center px-2 py-1 rounded-md text-xs font-medium bg-blue-100 dark:bg-blue-800 text-blue-800 dark:text-blue-200">
+                      Department: {filters.department}
+                    </span>
+                  )}
+                  {filters.warranty && (
+                    <span className="inline-flex items-center px-2 py-1 rounded-md text-xs font-medium bg-blue-100 dark:bg-blue-800 text-blue-800 dark:text-blue-200">
+                      {
+                        WARRANTY_OPTIONS.find(
+                          (option) => option.value === filters.warranty
+                        )?.label
+                      }
+                    </span>
+                  )}
+                  {activeCustomFields.map((field) => (
+                    <span
+                      key={field.key}
+                      className="inline-flex items-center px-2 py-1 rounded-md text-xs font-medium bg-blue-100 dark:bg-blue-800 text-blue-800 dark:text-blue-200"
+                    >
+                      {field.label}
+                    </span>
+                  ))}
                 </div>
               </div>
             )}
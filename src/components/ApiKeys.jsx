@@ -0,0 +1,465 @@
+/**
+ * ApiKeys.jsx
+ *
+ * "API Keys" card of the General section of the Settings page.
+ * Creates named API keys for machine clients (sent in the X-API-Key
+ * header) with scopes, an optional expiry and an IP allowlist, shows a key
+ * once after it is created or regenerated, and lists when each key was
+ * last used.
+ *
+ * Props:
+ * @param {Function} onNotify - Toast callback (message, type)
+ */
+
+import React, { useState, useEffect, useCallback } from "react";
+import API_BASE_URL, { getAuthHeaders } from "../config/api";
+import { useAuth } from "../context/AuthContext";
+
+const EMPTY_FORM = { name: "", scopes: [], expiresAt: "", allowedIps: "" };
+
+const inputClassName =
+  "w-full rounded-md border-gray-300 dark:border-gray-600 bg-gray-50 dark:bg-gray-700 text-gray-900 dark:text-white focus:ring-2 focus:ring-blue-500 focus:border-blue-500 px-3 py-2 disabled:opacity-60";
+
+const secondaryButtonClassName =
+  "flex items-center justify-center gap-2 rounded-lg h-9 px-3 bg-white dark:bg-gray-700 text-gray-900 dark:text-white border border-gray-300 dark:border-gray-600 text-sm font-bold hover:bg-gray-50 dark:hover:bg-gray-600 transition-colors disabled:opacity-50 whitespace-nowrap";
+
+/**
+ * "3 hours ago" style description of a date
+ * @param {string} value - ISO date or null
+ */
+const formatLastUsed = (value) => {
+  if (!value) return "Never used";
+  const diffHours = Math.floor((new Date() - new Date(value)) / 36e5);
+  if (diffHours < 1) return "Less than an hour ago";
+  if (diffHours < 24) return `${diffHours} hour${diffHours > 1 ? "s" : ""} ago`;
+  const diffDays = Math.floor(diffHours / 24);
+  return `${diffDays} day${diffDays > 1 ? "s" : ""} ago`;
+};
+
+export default function ApiKeys({ onNotify }) {
+  const { hasPermission } = useAuth();
+  const canManage = hasPermission("regenerateApiKey");
+
+  const [apiKeys, setApiKeys] = useState(null);
+  const [scopes, setScopes] = useState([]);
+  const [form, setForm] = useState(null);
+  const [editingId, setEditingId] = useState(null);
+  const [saving, setSaving] = useState(false);
+  const [busyId, setBusyId] = useState(null);
+  const [revealedKey, setRevealedKey] = useState(null);
+
+  // Load keys and the scopes they can be given
+  const loadApiKeys = useCallback(async () => {
+    try {
+      const [keysResponse, scopesResponse] = await Promise.all([
+        fetch(`${API_BASE_URL}/api-keys`, { headers: getAuthHeaders() }),
+        fetch(`${API_BASE_URL}/api-keys/scopes`, {
+          headers: getAuthHeaders(),
+        }),
+      ]);
+      if (keysResponse.ok) {
+        setApiKeys(await keysResponse.json());
+      }
+      if (scopesResponse.ok) {
+        setScopes(await scopesResponse.json());
+      }
+    } catch (error) {
+      console.error("Error loading API keys:", error);
+    }
+  }, []);
+
+  useEffect(() => {
+    loadApiKeys();
+  }, [loadApiKeys]);
+
+  const scopeLabel = (scope) =>
+    scopes.find((item) => item.scope === scope)?.label || scope;
+
+  const openForm = (apiKey) => {
+    setEditingId(apiKey?._id || null);
+    setForm(
+      apiKey
+        ? {
+            name: apiKey.name,
+            scopes: apiKey.scopes,
+            expiresAt: apiKey.expiresAt ? apiKey.expiresAt.slice(0, 10) : "",
+            allowedIps: apiKey.allowedIps.join("\n"),
+          }
+        : EMPTY_FORM
+    );
+  };
+
+  const closeForm = () => {
+    setEditingId(null);
+    setForm(null);
+  };
+
+  const toggleScope = (scope) =>
+    setForm((prev) => ({
+      ...prev,
+      scopes: prev.scopes.includes(scope)
+        ? prev.scopes.filter((item) => item !== scope)
+        : [...prev.scopes, scope],
+    }));
+
+  /**
+   * Create or update the key in the form
+   */
+  const handleSave = async () => {
+    setSaving(true);
+    try {
+      const response = await fetch(
+        editingId
+          ? `${API_BASE_URL}/api-keys/${editingId}`
+          : `${API_BASE_URL}/api-keys`,
+        {
+          method: editingId ? "PUT" : "POST",
+          headers: getAuthHeaders({ "Content-Type": "application/json" }),
+          body: JSON.stringify({
+            ...form,
+            // End of the chosen day, local time
+            expiresAt: form.expiresAt
+              ? new Date(`${form.expiresAt}T23:59:59`).toISOString()
+              : null,
+          }),
+        }
+      );
+      const data = await response.json();
+      if (!response.ok) {
+        onNotify(data.message || "Failed to save API key", "error");
+        return;
+      }
+      if (data.key) {
+        setRevealedKey({ name: data.name, key: data.key });
+      }
+      closeForm();
+      onNotify(editingId ? "API key updated" : "API key created", "success");
+      await loadApiKeys();
+    } catch (error) {
+      console.error("Error saving API key:", error);
+      onNotify("Failed to save API key", "error");
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  /**
+   * Replace a key with a new one
+   * @param {Object} apiKey - API key
+   */
+  const handleRegenerate = async (apiKey) => {
+    if (
+      !window.confirm(
+        `Regenerate "${apiKey.name}"? The current key stops working immediately and clients using it must be updated.`
+      )
+    ) {
+      return;
+    }
+    setBusyId(apiKey._id);
+    try {
+      const response = await fetch(
+        `${API_BASE_URL}/api-keys/${apiKey._id}/regenerate`,
+        { method: "POST", headers: getAuthHeaders() }
+      );
+      const data = await response.json();
+      if (!response.ok) {
+        onNotify(data.message || "Failed to regenerate API key", "error");
+        return;
+      }
+      setRevealedKey({ name: data.name, key: data.key });
+      await loadApiKeys();
+    } catch (error) {
+      console.error("Error regenerating API key:", error);
+      onNotify("Failed to regenerate API key", "error");
+    } finally {
+      setBusyId(null);
+    }
+  };
+
+  /**
+   * Revoke a key
+   * @param {Object} apiKey - API key
+   */
+  const handleRevoke = async (apiKey) => {
+    if (
+      !window.confirm(
+        `Revoke "${apiKey.name}"? Clients using it will lose access immediately.`
+      )
+    ) {
+      return;
+    }
+    setBusyId(apiKey._id);
+    try {
+      const response = await fetch(`${API_BASE_URL}/api-keys/${apiKey._id}`, {
+        method: "DELETE",
+        headers: getAuthHeaders(),
+      });
+      const data = await response.json();
+      if (!response.ok) {
+        onNotify(data.message || "Failed to revoke API key", "error");
+        return;
+      }
+      onNotify("API key revoked", "success");
+      await loadApiKeys();
+    } catch (error) {
+      console.error("Error revoking API key:", error);
+      onNotify("Failed to revoke API key", "error");
+    } finally {
+      setBusyId(null);
+    }
+  };
+
+  const copyKey = async () => {
+    try {
+      await navigator.clipboard.writeText(revealedKey.key);
+      onNotify("API key copied", "success");
+    } catch {
+      onNotify("Copy the key manually", "error");
+    }
+  };
+
+  return (
+    <div className="bg-white dark:bg-gray-800 border border-gray-200 dark:border-gray-700 rounded-lg shadow-sm">
+      <div className="p-6 border-b border-gray-200 dark:border-gray-700 flex items-start justify-between gap-4">
+        <div>
+          <h2 className="text-lg font-bold text-gray-900 dark:text-white">
+            API Access
+          </h2>
+          <p className="text-sm text-gray-600 dark:text-gray-400 mt-1">
+            Keys for integrations and scripts. Send a key in the X-API-Key
+            header; it can only do what its scopes allow.
+          </p>
+        </div>
+        {canManage && !form && (
+          <button
+            onClick={() => openForm(null)}
+            className="flex items-center justify-center gap-2 rounded-lg h-10 px-4 bg-blue-600 text-white text-sm font-bold hover:bg-blue-700 transition-colors whitespace-nowrap"
+          >
+            <span className="material-symbols-outlined text-base">add</span>
+            New Key
+          </button>
+        )}
+      </div>
+
+      {revealedKey && (
+        <div className="m-6 p-4 rounded-lg border border-amber-300 dark:border-amber-700 bg-amber-50 dark:bg-amber-900/20 flex flex-col gap-3">
+          <p className="text-sm text-amber-900 dark:text-amber-200">
+            API key for <strong>{revealedKey.name}</strong>. Copy it now; it
+            will not be shown again.
+          </p>
+          <div className="flex flex-col sm:flex-row gap-3">
+            <input
+              readOnly
+              value={revealedKey.key}
+              onFocus={(e) => e.target.select()}
+              className={`${inputClassName} font-mono text-xs`}
+            />
+            <button onClick={copyKey} className={secondaryButtonClassName}>
+              <span className="material-symbols-outlined text-base">
+                content_copy
+              </span>
+              Copy
+            </button>
+            <button
+              onClick={() => setRevealedKey(null)}
+              className={secondaryButtonClassName}
+            >
+              Done
+            </button>
+          </div>
+        </div>
+      )}
+
+      {form && (
+        <div className="p-6 border-b border-gray-200 dark:border-gray-700 flex flex-col gap-4">
+          <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+            <label className="flex flex-col gap-1">
+              <span className="text-sm font-medium text-gray-700 dark:text-gray-300">
+                Name
+              </span>
+              <input
+                type="text"
+                value={form.name}
+                onChange={(e) => setForm({ ...form, name: e.target.value })}
+                placeholder="Helpdesk sync"
+                className={inputClassName}
+              />
+            </label>
+            <label className="flex flex-col gap-1">
+              <span className="text-sm font-medium text-gray-700 dark:text-gray-300">
+                Expires
+              </span>
+              <input
+                type="date"
+                value={form.expiresAt}
+                onChange={(e) =>
+                  setForm({ ...form, expiresAt: e.target.value })
+                }
+                className={inputClassName}
+              />
+              <span className="text-xs text-gray-500 dark:text-gray-400">
+                Leave empty for a key that does not expire.
+              </span>
+            </label>
+          </div>
+          <div>
+            <p className="text-sm font-medium text-gray-700 dark:text-gray-300 mb-2">
+              Scopes
+            </p>
+            <div className="grid grid-cols-1 md:grid-cols-2 gap-2">
+              {scopes.map((item) => (
+                <label
+                  key={item.scope}
+                  className="flex items-start gap-2 text-sm text-gray-700 dark:text-gray-300"
+                >
+                  <input
+                    type="checkbox"
+                    checked={form.scopes.includes(item.scope)}
+                    onChange={() => toggleScope(item.scope)}
+                    className="mt-0.5 rounded border-gray-300 text-blue-600 focus:ring-blue-500"
+                  />
+                  <span>
+                    <span className="text-gray-900 dark:text-white">
+                      {item.label}
+                    </span>
+                    <span className="block text-xs text-gray-500 dark:text-gray-400">
+                      {item.description}
+                    </span>
+                  </span>
+                </label>
+              ))}
+            </div>
+          </div>
+          <label className="flex flex-col gap-1">
+            <span className="text-sm font-medium text-gray-700 dark:text-gray-300">
+              Allowed IP addresses
+            </span>
+            <textarea
+              rows={3}
+              value={form.allowedIps}
+              onChange={(e) => setForm({ ...form, allowedIps: e.target.value })}
+              placeholder={"203.0.113.7\n10.0.0.0/24"}
+              className={`${inputClassName} font-mono text-sm`}
+            />
+            <span className="text-xs text-gray-500 dark:text-gray-400">
+              One address or IPv4 range per line. Leave empty to allow any
+              address.
+            </span>
+          </label>
+          <div className="flex justify-end gap-3">
+            <button
+              onClick={closeForm}
+              disabled={saving}
+              className="flex min-w-[84px] cursor-pointer items-center justify-center rounded-lg h-10 px-4 bg-white dark:bg-gray-700 text-gray-900 dark:text-white border border-gray-300 dark:border-gray-600 text-sm font-bold hover:bg-gray-50 dark:hover:bg-gray-600 transition-colors disabled:opacity-50"
+            >
+              Cancel
+            </button>
+            <button
+              onClick={handleSave}
+              disabled={saving}
+              className="flex min-w-[84px] cursor-pointer items-center justify-center rounded-lg h-10 px-4 bg-blue-600 text-white text-sm font-bold hover:bg-blue-700 transition-colors disabled:opacity-50"
+            >
+              {saving ? "Saving..." : editingId ? "Save Key" : "Create Key"}
+            </button>
+          </div>
+        </div>
+      )}
+
+      {!apiKeys ? (
+        <p className="p-6 text-sm text-gray-500 dark:text-gray-400">
+          Loading API keys...
+        </p>
+      ) : apiKeys.length === 0 ? (
+        <p className="p-6 text-sm text-gray-500 dark:text-gray-400">
+          No API keys yet.
+        </p>
+      ) : (
+        <div className="divide-y divide-gray-200 dark:divide-gray-700">
+          {apiKeys.map((apiKey) => {
+            const expired =
+              apiKey.expiresAt && new Date(apiKey.expiresAt) <= new Date();
+            return (
+              <div key={apiKey._id} className="p-6 flex flex-col gap-3">
+                <div className="flex items-start justify-between gap-4">
+                  <div className="min-w-0">
+                    <h3 className="text-base font-semibold text-gray-900 dark:text-white">
+                      {apiKey.name}
+                      {expired && (
+                        <span className="ml-2 inline-flex items-center rounded-full px-2 py-0.5 text-xs font-medium bg-red-100 text-red-800 dark:bg-red-900/30 dark:text-red-300">
+                          Expired
+                        </span>
+                      )}
+                    </h3>
+                    <p className="text-sm text-gray-600 dark:text-gray-400 font-mono">
+                      {apiKey.prefix}…
+                    </p>
+                  </div>
+                  <div className="flex flex-wrap justify-end gap-2">
+                    {apiKey.scopes.map((scope) => (
+                      <span
+                        key={scope}
+                        className="inline-flex items-center rounded-full px-2 py-0.5 text-xs bg-blue-50 text-blue-700 dark:bg-blue-900/30 dark:text-blue-300"
+                      >
+                        {scopeLabel(scope)}
+                      </span>
+                    ))}
+                  </div>
+                </div>
+                <div className="flex flex-wrap items-center justify-between gap-3">
+                  <p className="text-xs text-gray-500 dark:text-gray-400">
+                    Last used: {formatLastUsed(apiKey.lastUsedAt)}
+                    {apiKey.lastUsedIp && ` from ${apiKey.lastUsedIp}`}
+                    {" · "}
+                    {apiKey.expiresAt
+                      ? `${expired ? "Expired" : "Expires"} ${new Date(
+                          apiKey.expiresAt
+                        ).toLocaleDateString()}`
+                      : "No expiry"}
+                    {" · "}
+                    {apiKey.allowedIps.length > 0
+                      ? `Only from ${apiKey.allowedIps.join(", ")}`
+                      : "Any IP address"}
+                  </p>
+                  {canManage && (
+                    <div className="flex flex-wrap gap-2">
+                      <button
+                        onClick={() => openForm(apiKey)}
+                        disabled={busyId !== null}
+                        className={secondaryButtonClassName}
+                      >
+                        <span className="material-symbols-outlined text-base">
+                          edit
+                        </span>
+                        Edit
+                      </button>
+                      <button
+                        onClick={() => handleRegenerate(apiKey)}
+                        disabled={busyId !== null}
+                        className={secondaryButtonClassName}
+                      >
+                        <span className="material-symbols-outlined text-base">
+                          refresh
+                        </span>
+                        {busyId === apiKey._id ? "Working..." : "Regenerate"}
+                      </button>
+                      <button
+                        onClick={() => handleRevoke(apiKey)}
+                        disabled={busyId !== null}
+                        className={`${secondaryButtonClassName} text-red-600 dark:text-red-400`}
+                      >
+                        <span className="material-symbols-outlined text-base">
+                          delete
+                        </span>
+                        Revoke
+                      </button>
+                    </div>
+                  )}
+                </div>
+              </div>
+            );
+          })}
+        </div>
+      )}
+    </div>
+  );
+}
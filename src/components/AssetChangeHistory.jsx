@@ -0,0 +1,270 @@
+/**
+ * AssetChangeHistory.jsx
+ *
+ * Field-level change timeline shown on the asset details page.
+ * Lists every recorded change to the asset and its maintenance records,
+ * newest first, with old and new values and who made the change.
+ * Users with edit permission can revert a change; if a field has been
+ * edited again since, they are asked before the later edit is overwritten.
+ *
+ * Props:
+ * @param {Object} asset - Asset being displayed
+ * @param {Function} onChange - Called after a revert so the parent can refresh asset data
+ * @param {Function} onNotify - Toast callback (message, type)
+ * @param {Array} customFields - Custom field definitions, for the labels of
+ *                               changed custom fields (customFields.<key>)
+ */
+
+import React, { useState, useEffect, useCallback } from "react";
+import API_BASE_URL, { getAuthHeaders } from "../config/api";
+import { useAuth } from "../context/AuthContext";
+
+// Display names for recorded fields
+const FIELD_LABELS = {
+  id: "Asset ID",
+  name: "Name",
+  category: "Asset Type",
+  location: "Location",
+  department: "Department",
+  status: "Status",
+  model: "Model",
+  serial: "Serial Number",
+  purchaseDate: "Purchase Date",
+  acquisitionDate: "Acquisition Date",
+  cost: "Cost",
+  currency: "Currency",
+  warrantyStartDate: "Warranty Start",
+  warrantyEndDate: "Warranty End",
+  warrantyProvider: "Warranty Provider",
+  supportContractRef: "Support Contract",
+  supportContractEndDate: "Support Contract End",
+  maintenancePeriod: "Maintenance Period",
+  maintenanceSchedule: "Maintenance Schedule",
+  lastMaintenanceDate: "Last Maintenance",
+  nextScheduledMaintenance: "Next Maintenance",
+  assignedTo: "Assigned To",
+  parentId: "Parent Asset",
+  notes: "Notes",
+  serviceType: "Service Type",
+  technician: "Technician",
+  priority: "Priority",
+  date: "Date",
+  scheduledDate: "Scheduled Date",
+  startedDate: "Started",
+  completedDate: "Completed",
+  completedBy: "Completed By",
+  description: "Description",
+  nextMaintenanceDate: "Next Maintenance Date",
+};
+
+// Reference fields recorded alongside a readable one (location), not listed
+const UNLISTED_FIELDS = ["locationId"];
+
+// Permission needed to revert each kind of change
+const EDIT_PERMISSIONS = {
+  Equipment: "editAssets",
+  Maintenance: "editMaintenance",
+  Tag: "editTags",
+};
+
+/**
+ * Format a recorded value for display
+ */
+const formatValue = (value) => {
+  if (value === null || value === undefined) return "empty";
+  if (typeof value === "string" && /^\d{4}-\d{2}-\d{2}T/.test(value)) {
+    return new Date(value).toLocaleDateString();
+  }
+  return String(value);
+};
+
+export default function AssetChangeHistory({
+  asset,
+  onChange,
+  onNotify,
+  customFields = [],
+}) {
+  const { hasPermission } = useAuth();
+
+  /**
+   * Display name of a recorded field
+   * @param {string} field - Field name, or customFields.<key>
+   */
+  const fieldLabel = (field) => {
+    if (field.startsWith("customFields.")) {
+      const key = field.slice("customFields.".length);
+      return customFields.find((custom) => custom.key === key)?.label || key;
+    }
+    return FIELD_LABELS[field] || field;
+  };
+
+  const [changes, setChanges] = useState([]);
+  const [loading, setLoading] = useState(false);
+  const [revertingId, setRevertingId] = useState(null);
+
+  // Load the change log for the asset and its maintenance records
+  const loadChanges = useCallback(async () => {
+    setLoading(true);
+    try {
+      const response = await fetch(
+        `${API_BASE_URL}/changes?assetId=${encodeURIComponent(
+          asset.id
+        )}&pageSize=100`,
+        { headers: getAuthHeaders() }
+      );
+      if (response.ok) {
+        const data = await response.json();
+        setChanges(data.items);
+      }
+    } catch (error) {
+      console.error("Error fetching change history:", error);
+    } finally {
+      setLoading(false);
+    }
+  }, [asset.id]);
+
+  useEffect(() => {
+    loadChanges();
+  }, [loadChanges, asset.lastModified]);
+
+  /**
+   * Revert a change, asking before overwriting fields edited since
+   * @param {Object} entry - Change log entry
+   * @param {boolean} force - Overwrite later edits
+   */
+  const handleRevert = async (entry, force = false) => {
+    if (
+      !force &&
+      !window.confirm("Restore the previous values from this change?")
+    ) {
+      return;
+    }
+
+    setRevertingId(entry._id);
+    try {
+      const response = await fetch(
+        `${API_BASE_URL}/changes/${entry._id}/revert`,
+        {
+          method: "POST",
+          headers: getAuthHeaders({ "Content-Type": "application/json" }),
+          body: JSON.stringify({ force }),
+        }
+      );
+      const data = await response.json();
+
+      if (response.status === 409) {
+        const fields = data.conflicts
+          .map((c) => fieldLabel(c.field))
+          .join(", ");
+        if (
+          window.confirm(
+            `${fields} changed again after this change. Revert anyway and overwrite the later edit?`
+          )
+        ) {
+          await handleRevert(entry, true);
+        }
+        return;
+      }
+
+      if (!response.ok) {
+        onNotify(data.message || "Failed to revert change", "error");
+        return;
+      }
+
+      onNotify("Change reverted", "success");
+      await loadChanges();
+      onChange();
+    } catch (error) {
+      console.error("Error reverting change:", error);
+      onNotify("Failed to revert change", "error");
+    } finally {
+      setRevertingId(null);
+    }
+  };
+
+  if (loading && changes.length === 0) {
+    return (
+      <p className="text-sm text-gray-500 dark:text-gray-400">
+        Loading change history...
+      </p>
+    );
+  }
+
+  if (changes.length === 0) {
+    return (
+      <div className="text-center py-12">
+        <span className="material-symbols-outlined text-gray-400 text-5xl">
+          difference
+        </span>
+        <p className="mt-4 text-gray-600 dark:text-gray-400">
+          No changes recorded yet
+        </p>
+      </div>
+    );
+  }
+
+  return (
+    <ul className="space-y-4">
+      {changes.map((entry) => (
+        <li
+          key={entry._id}
+          className="rounded-lg border border-gray-200 dark:border-gray-700 p-4"
+        >
+          <div className="flex flex-wrap items-start justify-between gap-2">
+            <div className="text-sm text-gray-600 dark:text-gray-400">
+              <span className="font-medium text-gray-900 dark:text-gray-100">
+                {entry.userName}
+              </span>{" "}
+              {entry.revertOf ? "reverted a change to" : "changed"}{" "}
+              {entry.entityType === "Maintenance"
+                ? `maintenance record "${entry.entityName}"`
+                : "this asset"}
+              <div className="mt-1 text-xs text-gray-500">
+                {new Date(entry.createdAt).toLocaleString()}
+              </div>
+            </div>
+            {entry.revertedBy ? (
+              <span className="text-xs font-medium text-gray-500">
+                Reverted
+              </span>
+            ) : (
+              hasPermission(EDIT_PERMISSIONS[entry.entityType]) && (
+                <button
+                  onClick={() => handleRevert(entry)}
+                  disabled={revertingId === entry._id}
+                  className="flex items-center gap-1 text-sm font-medium text-blue-600 hover:text-blue-800 disabled:opacity-50"
+                >
+                  <span className="material-symbols-outlined text-base">
+                    undo
+                  </span>
+                  {revertingId === entry._id
+                    ? "Reverting..."
+                    : "Revert this change"}
+                </button>
+              )
+            )}
+          </div>
+          <table className="mt-3 w-full text-sm">
+            <tbody>
+              {entry.changes
+                .filter((change) => !UNLISTED_FIELDS.includes(change.field))
+                .map((change) => (
+                  <tr key={change.field}>
+                    <td className="py-1 pr-4 text-gray-500 dark:text-gray-400 whitespace-nowrap align-top">
+                      {fieldLabel(change.field)}
+                    </td>
+                    <td className="py-1 text-gray-900 dark:text-gray-100">
+                      <span className="line-through text-gray-400">
+                        {formatValue(change.oldValue)}
+                      </span>{" "}
+                      → {formatValue(change.newValue)}
+                    </td>
+                  </tr>
+                ))}
+            </tbody>
+          </table>
+        </li>
+      ))}
+    </ul>
+  );
+}
@@ -0,0 +1,415 @@
+/**
+ * AssetComponents.jsx
+ *
+ * Components tab on the asset details page. Shows the parents the asset is
+ * fitted in and the components fitted in it, with the cost and maintenance
+ * of the whole assembly. Users with edit permission can add, remove and
+ * replace components; every change is logged on the parent asset.
+ *
+ * Props:
+ * @param {Object} asset - Asset being displayed
+ * @param {Function} onChange - Called after a change so the parent can refresh asset data
+ * @param {Function} onNotify - Toast callback (message, type)
+ */
+
+import React, { useState, useEffect, useCallback } from "react";
+import API_BASE_URL, { getAuthHeaders } from "../config/api";
+import { searchAssets } from "../config/assets";
+import { formatCurrency } from "../config/currency";
+import { useAuth } from "../context/AuthContext";
+
+export default function AssetComponents({ asset, onChange, onNotify }) {
+  const { hasPermission } = useAuth();
+  const canEdit = hasPermission("editAssets");
+  const canViewReports = hasPermission("viewReports");
+
+  const [data, setData] = useState(null);
+  const [rollup, setRollup] = useState(null);
+  const [componentId, setComponentId] = useState("");
+  const [replacing, setReplacing] = useState(null); // component being replaced
+  const [replaceForm, setReplaceForm] = useState({
+    replacementId: "",
+    notes: "",
+  });
+  const [submitting, setSubmitting] = useState(false);
+  const [matches, setMatches] = useState([]); // assets matching the ID typed
+
+  // Suggest assets for the ID being typed once the user stops typing
+  const typedId = replacing ? replaceForm.replacementId : componentId;
+  useEffect(() => {
+    if (!typedId.trim()) {
+      setMatches([]);
+      return;
+    }
+    const timer = setTimeout(() => {
+      searchAssets(typedId)
+        .then(setMatches)
+        .catch((error) => console.error("Error searching assets:", error));
+    }, 300);
+    return () => clearTimeout(timer);
+  }, [typedId]);
+
+  // Load the parent chain, components and roll-up for the asset
+  const loadComponents = useCallback(async () => {
+    try {
+      const [componentsResponse, rollupResponse] = await Promise.all([
+        fetch(`${API_BASE_URL}/equipment/${asset.id}/components`, {
+          headers: getAuthHeaders(),
+        }),
+        canViewReports
+          ? fetch(`${API_BASE_URL}/equipment/${asset.id}/rollup`, {
+              headers: getAuthHeaders(),
+            })
+          : null,
+      ]);
+      if (componentsResponse.ok) {
+        setData(await componentsResponse.json());
+      }
+      if (rollupResponse?.ok) {
+        setRollup(await rollupResponse.json());
+      }
+    } catch (error) {
+      console.error("Error fetching components:", error);
+    }
+  }, [asset.id, canViewReports]);
+
+  useEffect(() => {
+    loadComponents();
+  }, [loadComponents, asset.lastModified]);
+
+  /**
+   * Send a component change and reload
+   * @param {string} path - Path below /equipment/:id/components
+   * @param {string} method - HTTP method
+   * @param {Object} [body] - Request body
+   * @param {string} successMessage - Toast shown on success
+   * @returns {Promise<boolean>} Whether the change was made
+   */
+  const submit = async (path, method, body, successMessage) => {
+    setSubmitting(true);
+    try {
+      const response = await fetch(
+        `${API_BASE_URL}/equipment/${asset.id}/components${path}`,
+        {
+          method,
+          headers: getAuthHeaders({ "Content-Type": "application/json" }),
+          body: body ? JSON.stringify(body) : undefined,
+        }
+      );
+      const result = await response.json();
+
+      if (!response.ok) {
+        onNotify(result.message || "Failed to update components", "error");
+        return false;
+      }
+
+      onNotify(successMessage, "success");
+      await loadComponents();
+      await onChange();
+      return true;
+    } catch (error) {
+      console.error("Error updating components:", error);
+      onNotify("Failed to update components. Please try again.", "error");
+      return false;
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  const handleAdd = async (e) => {
+    e.preventDefault();
+    if (!componentId.trim()) return;
+    if (
+      await submit(
+        "",
+        "POST",
+        { componentId: componentId.trim() },
+        "Component added"
+      )
+    ) {
+      setComponentId("");
+    }
+  };
+
+  const handleRemove = (component) => {
+    if (
+      !window.confirm(
+        `Remove ${component.name} from ${asset.name}? It stays in the register as a standalone asset.`
+      )
+    ) {
+      return;
+    }
+    submit(
+      `/${encodeURIComponent(component.id)}`,
+      "DELETE",
+      null,
+      "Component removed"
+    );
+  };
+
+  const handleReplace = async (e) => {
+    e.preventDefault();
+    if (!replaceForm.replacementId.trim()) return;
+    if (
+      await submit(
+        `/${encodeURIComponent(replacing.id)}/replace`,
+        "POST",
+        {
+          replacementId: replaceForm.replacementId.trim(),
+          notes: replaceForm.notes,
+        },
+        "Component replaced"
+      )
+    ) {
+      setReplacing(null);
+      setReplaceForm({ replacementId: "", notes: "" });
+    }
+  };
+
+  if (!data) {
+    return (
+      <p className="text-sm text-gray-500 dark:text-gray-400">
+        Loading components...
+      </p>
+    );
+  }
+
+  // Assets that can be fitted: not this asset, its parents or its components
+  const excluded = new Set([
+    asset.id,
+    ...data.ancestors.map((ancestor) => ancestor.id),
+    ...data.components.map((component) => component.id),
+  ]);
+  const candidates = matches.filter((item) => !excluded.has(item.id));
+
+  const inputClass =
+    "w-full rounded-lg border border-gray-300 dark:border-gray-600 bg-white dark:bg-gray-700 px-3 py-2 text-sm text-gray-900 dark:text-gray-100 focus:outline-none focus:ring-2 focus:ring-blue-500";
+  const labelClass =
+    "block text-xs font-medium text-gray-600 dark:text-gray-400 mb-1";
+
+  return (
+    <div className="space-y-6">
+      {/* Parent chain, top-level assembly first */}
+      {data.ancestors.length > 0 && (
+        <div className="text-sm text-gray-600 dark:text-gray-400">
+          <span className="font-medium text-gray-900 dark:text-gray-100">
+            Part of:
+          </span>{" "}
+          {[...data.ancestors]
+            .reverse()
+            .map((ancestor) => `${ancestor.name} (${ancestor.id})`)
+            .join(" › ")}
+        </div>
+      )}
+
+      {/* Roll-up of the asset and everything fitted in it */}
+      {rollup && data.descendantCount > 0 && (
+        <div className="grid grid-cols-1 sm:grid-cols-3 gap-3">
+          <div className="rounded-lg border border-gray-200 dark:border-gray-700 p-4">
+            <p className="text-xs text-gray-500 dark:text-gray-400">
+              Assets in assembly
+            </p>
+            <p className="text-lg font-bold text-gray-900 dark:text-gray-100">
+              {rollup.rows.length}
+            </p>
+          </div>
+          <div className="rounded-lg border border-gray-200 dark:border-gray-700 p-4">
+            <p className="text-xs text-gray-500 dark:text-gray-400">
+              Total cost
+            </p>
+            {!Object.values(rollup.totals).some((total) => total.cost > 0) && (
+              <p className="text-lg font-bold text-gray-900 dark:text-gray-100">
+                —
+              </p>
+            )}
+            {Object.entries(rollup.totals)
+              .filter(([, total]) => total.cost > 0)
+              .map(([currency, total]) => (
+                <p
+                  key={currency}
+                  className="text-lg font-bold text-gray-900 dark:text-gray-100"
+                >
+                  {formatCurrency(total.cost, currency)}
+                </p>
+              ))}
+          </div>
+          <div className="rounded-lg border border-gray-200 dark:border-gray-700 p-4">
+            <p className="text-xs text-gray-500 dark:text-gray-400">
+              Maintenance ({rollup.maintenanceCount} records)
+            </p>
+            {!Object.values(rollup.totals).some(
+              (total) => total.maintenanceCost > 0
+            ) && (
+              <p className="text-lg font-bold text-gray-900 dark:text-gray-100">
+                —
+              </p>
+            )}
+            {Object.entries(rollup.totals)
+              .filter(([, total]) => total.maintenanceCost > 0)
+              .map(([currency, total]) => (
+                <p
+                  key={currency}
+                  className="text-lg font-bold text-gray-900 dark:text-gray-100"
+                >
+                  {formatCurrency(total.maintenanceCost, currency)}
+                </p>
+              ))}
+          </div>
+        </div>
+      )}
+
+      {/* Direct components */}
+      {data.components.length === 0 ? (
+        <div className="text-center py-12">
+          <span className="material-symbols-outlined text-gray-400 text-5xl">
+            account_tree
+          </span>
+          <p className="mt-4 text-gray-600 dark:text-gray-400">
+            No components fitted to this asset
+          </p>
+        </div>
+      ) : (
+        <ul className="divide-y divide-gray-200 dark:divide-gray-700 rounded-lg border border-gray-200 dark:border-gray-700">
+          {data.components.map((component) => (
+            <li key={component.id} className="p-4">
+              <div className="flex flex-wrap items-start justify-between gap-2">
+                <div className="text-sm">
+                  <p className="font-medium text-gray-900 dark:text-gray-100">
+                    {component.name}{" "}
+                    <span className="font-mono text-xs text-gray-500">
+                      {component.id}
+                    </span>
+                  </p>
+                  <p className="text-gray-600 dark:text-gray-400">
+                    {[component.category, component.status, component.location]
+                      .filter(Boolean)
+                      .join(" · ")}
+                  </p>
+                </div>
+                {canEdit && (
+                  <div className="flex gap-3">
+                    <button
+                      onClick={() => {
+                        setReplacing(component);
+                        setReplaceForm({ replacementId: "", notes: "" });
+                      }}
+                      disabled={submitting}
+                      className="flex items-center gap-1 text-sm font-medium text-blue-600 hover:text-blue-800 disabled:opacity-50"
+                    >
+                      <span className="material-symbols-outlined text-base">
+                        swap_horiz
+                      </span>
+                      Replace
+                    </button>
+                    <button
+                      onClick={() => handleRemove(component)}
+                      disabled={submitting}
+                      className="flex items-center gap-1 text-sm font-medium text-red-600 hover:text-red-800 disabled:opacity-50"
+                    >
+                      <span className="material-symbols-outlined text-base">
+                        link_off
+                      </span>
+                      Remove
+                    </button>
+                  </div>
+                )}
+              </div>
+
+              {replacing?.id === component.id && (
+                <form onSubmit={handleReplace} className="mt-4 space-y-3">
+                  <div>
+                    <label className={labelClass}>Replacement asset ID *</label>
+                    <input
+                      type="text"
+                      list="component-candidates"
+                      value={replaceForm.replacementId}
+                      onChange={(e) =>
+                        setReplaceForm({
+                          ...replaceForm,
+                          replacementId: e.target.value,
+                        })
+                      }
+                      required
+                      className={inputClass}
+                    />
+                  </div>
+                  <div>
+                    <label className={labelClass}>Notes</label>
+                    <input
+                      type="text"
+                      value={replaceForm.notes}
+                      onChange={(e) =>
+                        setReplaceForm({
+                          ...replaceForm,
+                          notes: e.target.value,
+                        })
+                      }
+                      placeholder="e.g. Failed during inspection"
+                      className={inputClass}
+                    />
+                  </div>
+                  <div className="flex gap-3">
+                    <button
+                      type="button"
+                      onClick={() => setReplacing(null)}
+                      className="flex-1 px-4 py-2 rounded-lg bg-gray-100 dark:bg-gray-700 text-gray-900 dark:text-gray-100 text-sm font-medium hover:bg-gray-200 dark:hover:bg-gray-600"
+                    >
+                      Cancel
+                    </button>
+                    <button
+                      type="submit"
+                      disabled={submitting}
+                      className="flex-1 px-4 py-2 rounded-lg bg-blue-600 text-white text-sm font-medium hover:bg-blue-700 disabled:opacity-50"
+                    >
+                      {submitting ? "Replacing..." : "Replace Component"}
+                    </button>
+                  </div>
+                </form>
+              )}
+            </li>
+          ))}
+        </ul>
+      )}
+
+      {data.descendantCount > data.components.length && (
+        <p className="text-xs text-gray-500 dark:text-gray-400">
+          {data.descendantCount} assets in total are fitted below this asset,
+          including components of its components.
+        </p>
+      )}
+
+      {/* Add a component */}
+      {canEdit && (
+        <form onSubmit={handleAdd} className="flex flex-wrap items-end gap-3">
+          <div className="flex-1 min-w-[12rem]">
+            <label className={labelClass}>Add component by asset ID</label>
+            <input
+              type="text"
+              list="component-candidates"
+              value={componentId}
+              onChange={(e) => setComponentId(e.target.value)}
+              placeholder="Asset ID"
+              className={inputClass}
+            />
+          </div>
+          <button
+            type="submit"
+            disabled={submitting || !componentId.trim()}
+            className="flex items-center gap-2 px-4 py-2 rounded-lg bg-blue-600 text-white text-sm font-medium hover:bg-blue-700 disabled:opacity-50"
+          >
+            <span className="material-symbols-outlined text-lg">add_link</span>
+            Add Component
+          </button>
+        </form>
+      )}
+
+      <datalist id="component-candidates">
+        {candidates.map((item) => (
+          <option key={item.id} value={item.id}>
+            {item.name}
+          </option>
+        ))}
+      </datalist>
+    </div>
+  );
+}
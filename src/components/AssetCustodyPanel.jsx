@@ -0,0 +1,434 @@
+/**
+ * AssetCustodyPanel.jsx
+ *
+ * Check-out / check-in panel shown on the asset details page.
+ * Displays who currently holds the asset, lets permitted users check it out
+ * to someone or back in, and lists the asset's custody history.
+ *
+ * Props:
+ * @param {Object} asset - Asset being displayed
+ * @param {Function} onChange - Called after a successful checkout/checkin so the
+ *                              parent can refresh asset data
+ * @param {Function} onNotify - Toast callback (message, type)
+ */
+
+import React, { useState, useEffect, useCallback } from "react";
+import API_BASE_URL, { getAuthHeaders } from "../config/api";
+import { useAuth } from "../context/AuthContext";
+
+const CONDITIONS = ["New", "Good", "Fair", "Poor", "Damaged"];
+
+export default function AssetCustodyPanel({ asset, onChange, onNotify }) {
+  const { hasPermission } = useAuth();
+  const canCheckOut = hasPermission("checkOutAssets");
+
+  const [current, setCurrent] = useState(null);
+  const [history, setHistory] = useState([]);
+  const [users, setUsers] = useState([]);
+  const [mode, setMode] = useState(null); // "checkout" | "checkin" | null
+  const [submitting, setSubmitting] = useState(false);
+  const [showHistory, setShowHistory] = useState(false);
+  const [checkoutForm, setCheckoutForm] = useState({
+    assigneeId: "",
+    expectedReturnDate: "",
+    condition: "Good",
+    notes: "",
+  });
+  const [checkinForm, setCheckinForm] = useState({
+    condition: "Good",
+    notes: "",
+  });
+
+  // Load current custody and history for the asset
+  const loadCustody = useCallback(async () => {
+    try {
+      const response = await fetch(
+        `${API_BASE_URL}/equipment/${asset.id}/custody`,
+        { headers: getAuthHeaders() }
+      );
+      if (response.ok) {
+        const data = await response.json();
+        setCurrent(data.current);
+        setHistory(data.history);
+      }
+    } catch (error) {
+      console.error("Error fetching custody history:", error);
+    }
+  }, [asset.id]);
+
+  useEffect(() => {
+    loadCustody();
+  }, [loadCustody, asset.currentCustody]);
+
+  // Load the user directory the first time the checkout form is opened
+  useEffect(() => {
+    if (mode !== "checkout" || users.length > 0) return;
+
+    const fetchUsers = async () => {
+      try {
+        const response = await fetch(`${API_BASE_URL}/users/directory`, {
+          headers: getAuthHeaders(),
+        });
+        if (response.ok) {
+          const data = await response.json();
+          setUsers(data);
+        }
+      } catch (error) {
+        console.error("Error fetching users:", error);
+      }
+    };
+    fetchUsers();
+  }, [mode, users.length]);
+
+  /**
+   * Submit a checkout or checkin request
+   */
+  const submit = async (action, body) => {
+    setSubmitting(true);
+    try {
+      const response = await fetch(
+        `${API_BASE_URL}/equipment/${asset.id}/${action}`,
+        {
+          method: "POST",
+          headers: getAuthHeaders({ "Content-Type": "application/json" }),
+          body: JSON.stringify(body),
+        }
+      );
+      const data = await response.json();
+
+      if (!response.ok) {
+        onNotify(data.message || `Failed to ${action} asset`, "error");
+        return;
+      }
+
+      onNotify(data.message, "success");
+      setMode(null);
+      setCheckoutForm({
+        assigneeId: "",
+        expectedReturnDate: "",
+        condition: "Good",
+        notes: "",
+      });
+      setCheckinForm({ condition: "Good", notes: "" });
+      await loadCustody();
+      await onChange();
+    } catch (error) {
+      console.error(`Error trying to ${action} asset:`, error);
+      onNotify(`Failed to ${action} asset. Please try again.`, "error");
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  const handleCheckout = (e) => {
+    e.preventDefault();
+    submit("checkout", checkoutForm);
+  };
+
+  const handleCheckin = (e) => {
+    e.preventDefault();
+    submit("checkin", checkinForm);
+  };
+
+  const formatDate = (dateString) => {
+    if (!dateString) return "N/A";
+    return new Date(dateString).toLocaleDateString("en-US", {
+      month: "short",
+      day: "numeric",
+      year: "numeric",
+    });
+  };
+
+  const isOverdue = (custody) => {
+    if (!custody || custody.status !== "Checked Out") return false;
+    const today = new Date();
+    today.setHours(0, 0, 0, 0);
+    return new Date(custody.expectedReturnDate) < today;
+  };
+
+  const today = new Date().toISOString().split("T")[0];
+  const inputClass =
+    "w-full rounded-lg border border-gray-300 dark:border-gray-600 bg-white dark:bg-gray-700 px-3 py-2 text-sm text-gray-900 dark:text-gray-100 focus:outline-none focus:ring-2 focus:ring-blue-500";
+  const labelClass =
+    "block text-xs font-medium text-gray-600 dark:text-gray-400 mb-1";
+
+  return (
+    <div className="mt-6 rounded-xl border border-gray-200 dark:border-gray-700 bg-white dark:bg-gray-800 p-6">
+      <div className="flex items-center justify-between mb-4">
+        <h2 className="text-lg font-bold text-gray-900 dark:text-gray-100">
+          Custody
+        </h2>
+        {current ? (
+          <span
+            className={`rounded-full px-3 py-1 text-xs font-medium ${
+              isOverdue(current)
+                ? "bg-red-100 text-red-700 dark:bg-red-900/30 dark:text-red-400"
+                : "bg-amber-100 text-amber-700 dark:bg-amber-900/30 dark:text-amber-400"
+            }`}
+          >
+            {isOverdue(current) ? "Overdue" : "Checked Out"}
+          </span>
+        ) : (
+          <span className="rounded-full bg-green-100 px-3 py-1 text-xs font-medium text-green-700 dark:bg-green-900/30 dark:text-green-400">
+            Available
+          </span>
+        )}
+      </div>
+
+      {/* Current custody */}
+      {current && (
+        <div className="space-y-2 text-sm mb-4">
+          <div className="flex justify-between gap-2">
+            <span className="text-gray-600 dark:text-gray-400">Holder</span>
+            <span className="font-medium text-gray-900 dark:text-gray-100">
+              {current.assigneeName}
+            </span>
+          </div>
+          <div className="flex justify-between gap-2">
+            <span className="text-gray-600 dark:text-gray-400">
+              Checked out
+            </span>
+            <span className="font-medium text-gray-900 dark:text-gray-100">
+              {formatDate(current.checkedOutAt)}
+            </span>
+          </div>
+          <div className="flex justify-between gap-2">
+            <span className="text-gray-600 dark:text-gray-400">Due back</span>
+            <span
+              className={`font-medium ${
+                isOverdue(current)
+                  ? "text-red-600 dark:text-red-400"
+                  : "text-gray-900 dark:text-gray-100"
+              }`}
+            >
+              {formatDate(current.expectedReturnDate)}
+            </span>
+          </div>
+          <div className="flex justify-between gap-2">
+            <span className="text-gray-600 dark:text-gray-400">
+              Condition out
+            </span>
+            <span className="font-medium text-gray-900 dark:text-gray-100">
+              {current.conditionOut}
+            </span>
+          </div>
+        </div>
+      )}
+
+      {/* Actions */}
+      {canCheckOut && !mode && (
+        <button
+          onClick={() => setMode(current ? "checkin" : "checkout")}
+          className="w-full flex items-center justify-center gap-2 px-4 py-2.5 bg-blue-600 text-white rounded-lg hover:bg-blue-700 transition-colors font-medium text-sm"
+        >
+          <span className="material-symbols-outlined text-lg">
+            {current ? "assignment_return" : "assignment_ind"}
+          </span>
+          {current ? "Check In" : "Check Out"}
+        </button>
+      )}
+
+      {/* Checkout form */}
+      {mode === "checkout" && (
+        <form onSubmit={handleCheckout} className="space-y-3">
+          <div>
+            <label className={labelClass}>Assign to *</label>
+            <select
+              required
+              value={checkoutForm.assigneeId}
+              onChange={(e) =>
+                setCheckoutForm({ ...checkoutForm, assigneeId: e.target.value })
+              }
+              className={inputClass}
+            >
+              <option value="">Select a user</option>
+              {users.map((user) => (
+                <option key={user._id} value={user._id}>
+                  {user.name}
+                  {user.department ? ` (${user.department})` : ""}
+                </option>
+              ))}
+            </select>
+          </div>
+          <div>
+            <label className={labelClass}>Expected return date *</label>
+            <input
+              type="date"
+              required
+              min={today}
+              value={checkoutForm.expectedReturnDate}
+              onChange={(e) =>
+                setCheckoutForm({
+                  ...checkoutForm,
+                  expectedReturnDate: e.target.value,
+                })
+              }
+              className={inputClass}
+            />
+          </div>
+          <div>
+            <label className={labelClass}>Condition *</label>
+            <select
+              value={checkoutForm.condition}
+              onChange={(e) =>
+                setCheckoutForm({ ...checkoutForm, condition: e.target.value })
+              }
+              className={inputClass}
+            >
+              {CONDITIONS.map((condition) => (
+                <option key={condition} value={condition}>
+                  {condition}
+                </option>
+              ))}
+            </select>
+          </div>
+          <div>
+            <label className={labelClass}>Notes</label>
+            <textarea
+              rows={2}
+              value={checkoutForm.notes}
+              onChange={(e) =>
+                setCheckoutForm({ ...checkoutForm, notes: e.target.value })
+              }
+              className={inputClass}
+            />
+          </div>
+          <div className="flex gap-3">
+            <button
+              type="button"
+              onClick={() => setMode(null)}
+              className="flex-1 px-4 py-2 rounded-lg bg-gray-100 dark:bg-gray-700 text-gray-900 dark:text-gray-100 text-sm font-medium hover:bg-gray-200 dark:hover:bg-gray-600"
+            >
+              Cancel
+            </button>
+            <button
+              type="submit"
+              disabled={submitting}
+              className="flex-1 px-4 py-2 rounded-lg bg-blue-600 text-white text-sm font-medium hover:bg-blue-700 disabled:opacity-50"
+            >
+              {submitting ? "Saving..." : "Check Out"}
+            </button>
+          </div>
+        </form>
+      )}
+
+      {/* Checkin form */}
+      {mode === "checkin" && (
+        <form onSubmit={handleCheckin} className="space-y-3">
+          <div>
+            <label className={labelClass}>Condition on return *</label>
+            <select
+              value={checkinForm.condition}
+              onChange={(e) =>
+                setCheckinForm({ ...checkinForm, condition: e.target.value })
+              }
+              className={inputClass}
+            >
+              {CONDITIONS.map((condition) => (
+                <option key={condition} value={condition}>
+                  {condition}
+                </option>
+              ))}
+            </select>
+          </div>
+          <div>
+            <label className={labelClass}>Notes</label>
+            <textarea
+              rows={2}
+              value={checkinForm.notes}
+              onChange={(e) =>
+                setCheckinForm({ ...checkinForm, notes: e.target.value })
+              }
+              className={inputClass}
+            />
+          </div>
+          <div className="flex gap-3">
+            <button
+              type="button"
+              onClick={() => setMode(null)}
+              className="flex-1 px-4 py-2 rounded-lg bg-gray-100 dark:bg-gray-700 text-gray-900 dark:text-gray-100 text-sm font-medium hover:bg-gray-200 dark:hover:bg-gray-600"
+            >
+              Cancel
+            </button>
+            <button
+              type="submit"
+              disabled={submitting}
+              className="flex-1 px-4 py-2 rounded-lg bg-blue-600 text-white text-sm font-medium hover:bg-blue-700 disabled:opacity-50"
+            >
+              {submitting ? "Saving..." : "Check In"}
+            </button>
+          </div>
+        </form>
+      )}
+
+      {/* Custody history */}
+      {history.length > 0 && (
+        <div className="mt-4 pt-4 border-t border-gray-200 dark:border-gray-700">
+          <button
+            onClick={() => setShowHistory(!showHistory)}
+            className="flex w-full items-center justify-between text-sm font-medium text-gray-700 dark:text-gray-300"
+          >
+            Custody History ({history.length})
+            <span className="material-symbols-outlined text-lg">
+              {showHistory ? "expand_less" : "expand_more"}
+            </span>
+          </button>
+          {showHistory && (
+            <ul className="mt-3 space-y-3">
+              {history.map((record) => (
+                <li
+                  key={record._id}
+                  className="rounded-lg bg-gray-50 dark:bg-gray-900/50 p-3 text-xs"
+                >
+                  <div className="flex justify-between gap-2">
+                    <span className="font-medium text-gray-900 dark:text-gray-100">
+                      {record.assigneeName}
+                    </span>
+                    <span
+                      className={
+                        isOverdue(record)
+                          ? "text-red-600 dark:text-red-400"
+                          : "text-gray-500 dark:text-gray-400"
+                      }
+                    >
+                      {record.status === "Returned"
+                        ? "Returned"
+                        : isOverdue(record)
+                        ? "Overdue"
+                        : "Checked Out"}
+                    </span>
+                  </div>
+                  <p className="mt-1 text-gray-600 dark:text-gray-400">
+                    {formatDate(record.checkedOutAt)} &rarr;{" "}
+                    {record.checkedInAt
+                      ? formatDate(record.checkedInAt)
+                      : `due ${formatDate(record.expectedReturnDate)}`}
+                  </p>
+                  <p className="text-gray-600 dark:text-gray-400">
+                    Condition: {record.conditionOut}
+                    {record.conditionIn ? ` → ${record.conditionIn}` : ""}
+                  </p>
+                  {record.checkedOutByName && (
+                    <p className="text-gray-500 dark:text-gray-500">
+                      By {record.checkedOutByName}
+                      {record.checkedInByName
+                        ? `, returned to ${record.checkedInByName}`
+                        : ""}
+                    </p>
+                  )}
+                  {(record.checkoutNotes || record.checkinNotes) && (
+                    <p className="mt-1 italic text-gray-500 dark:text-gray-500">
+                      {[record.checkoutNotes, record.checkinNotes]
+                        .filter(Boolean)
+                        .join(" / ")}
+                    </p>
+                  )}
+                </li>
+              ))}
+            </ul>
+          )}
+        </div>
+      )}
+    </div>
+  );
+}
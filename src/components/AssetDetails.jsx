@@ -14,6 +14,9 @@
  * - Print QR code functionality
  * - Responsive layout with mobile support
  * - Breadcrumb navigation
+ * - Check-out / check-in custody panel with history
+ * - Field-level change history with revert
+ * - Components fitted to the asset, with cost and maintenance roll-up
  * - Not found handling for invalid asset IDs
  *
  * Information Displayed:
@@ -22,6 +25,7 @@
  * - Category/Type
  * - Location
  * - Model and Serial Number
+ * - Custom fields of the asset type (filled-in values)
  * - Acquisition/Purchase Date
  * - Description/Notes
  * - Maintenance Period
@@ -32,6 +36,8 @@
  * 1. Activity - Recent actions and changes to the asset
  * 2. Documents - Placeholder for asset documentation (future feature)
  * 3. History - Placeholder for full audit history (future feature)
+ * 4. Change History - Field-by-field changes to the asset and its maintenance records
+ * 5. Components - Parent assets and fitted components (add, remove, replace)
  *
  * Props:
  * @param {string} assetId - Unique ID of the asset to display
@@ -43,11 +49,12 @@
  * @state {string} activeTab - Currently selected tab ("activity", "documents", "history")
  *
  * Context Usage:
- * @context {Array} items - All assets for finding the requested asset
+ * @context {Function} getAssetRevision - Tells when the asset must be loaded again
  * @context {Array} activities - Activity log for filtering asset-specific activities
  *
  * Error Handling:
  * - Displays "Asset not found" message if assetId doesn't match any asset
+ *   (or the asset is outside the user's data scope)
  * - Provides "Back to Assets" button for navigation recovery
  *
  * @example
@@ -60,9 +67,19 @@
 
 import React, { useState, useContext, useEffect, useCallback } from "react";
 import { EquipmentContext } from "../context/EquipmentContext";
+import { fetchAsset } from "../config/assets";
 import QRCode from "react-qr-code";
-import API_BASE_URL from "../config/api";
+import API_BASE_URL, { getAuthHeaders } from "../config/api";
 import MaintenanceScheduleForm from "./MaintenanceScheduleForm";
+import AssetCustodyPanel from "./AssetCustodyPanel";
+import AssetChangeHistory from "./AssetChangeHistory";
+import AssetComponents from "./AssetComponents";
+import {
+  fetchAssetTypes,
+  getAllCustomFields,
+  getCustomFields,
+  formatCustomFieldValue,
+} from "../config/customFields";
 
 const AssetDetails = ({ assetId, onClose, onEdit }) => {
   // Toast notification state
@@ -81,7 +98,8 @@ const AssetDetails = ({ assetId, onClose, onEdit }) => {
   };
 
   // Access global equipment context for asset data and activities
-  const { items, activities, refreshData } = useContext(EquipmentContext);
+  const { activities, refreshData, getAssetRevision } =
+    useContext(EquipmentContext);
 
   // State: Active tab in the tabbed interface
   const [activeTab, setActiveTab] = useState("activity");
@@ -101,8 +119,33 @@ const AssetDetails = ({ assetId, onClose, onEdit }) => {
   // State: Notes management
   const [noteContent, setNoteContent] = useState("");
 
-  // Find the asset by ID from the global items array
-  const asset = items.find((item) => item.id === assetId);
+  // State: Current book value from the asset's depreciation settings
+  const [depreciation, setDepreciation] = useState(null);
+
+  // State: Asset Type tags, for the custom field definitions
+  const [assetTypes, setAssetTypes] = useState([]);
+
+  // State: The asset, loaded again whenever it changes
+  const [loaded, setLoaded] = useState({ assetId: null, asset: null });
+  const revision = getAssetRevision(assetId);
+
+  useEffect(() => {
+    let cancelled = false;
+    fetchAsset(assetId)
+      .then((data) => {
+        if (!cancelled) setLoaded({ assetId, asset: data });
+      })
+      .catch((error) => {
+        console.error("Error fetching asset:", error);
+        if (!cancelled) setLoaded({ assetId, asset: null });
+      });
+    return () => {
+      cancelled = true;
+    };
+  }, [assetId, revision]);
+
+  // undefined while loading, null when not found
+  const asset = loaded.assetId === assetId ? loaded.asset : undefined;
 
   // Initialize documents from asset data
   useEffect(() => {
@@ -111,6 +154,34 @@ const AssetDetails = ({ assetId, onClose, onEdit }) => {
     }
   }, [asset, asset?.attachedFiles]);
 
+  // Load the custom field definitions of the asset types
+  useEffect(() => {
+    fetchAssetTypes()
+      .then(setAssetTypes)
+      .catch((error) => console.error("Error fetching asset types:", error));
+  }, []);
+
+  // Load the current book value whenever the asset is edited
+  useEffect(() => {
+    if (!assetId) return;
+
+    const loadDepreciation = async () => {
+      try {
+        const response = await fetch(
+          `${API_BASE_URL}/equipment/${assetId}/depreciation`,
+          { headers: getAuthHeaders() }
+        );
+        if (response.ok) {
+          const data = await response.json();
+          setDepreciation(data);
+        }
+      } catch (error) {
+        console.error("Error fetching depreciation:", error);
+      }
+    };
+    loadDepreciation();
+  }, [assetId, asset?.lastModified]);
+
   // Function to load maintenance records
   const loadMaintenanceRecords = useCallback(async () => {
     if (!assetId) return;
@@ -118,7 +189,8 @@ const AssetDetails = ({ assetId, onClose, onEdit }) => {
     try {
       setLoadingMaintenance(true);
       const response = await fetch(
-        `${API_BASE_URL}/maintenance?assetId=${assetId}`
+        `${API_BASE_URL}/maintenance?assetId=${assetId}`,
+        { headers: getAuthHeaders() }
       );
       if (response.ok) {
         const data = await response.json();
@@ -189,6 +261,7 @@ const AssetDetails = ({ assetId, onClose, onEdit }) => {
         `${API_BASE_URL}/equipment/${asset.id}/upload`,
         {
           method: "POST",
+          headers: getAuthHeaders(),
           body: formData,
         }
       );
@@ -219,6 +292,46 @@ const AssetDetails = ({ assetId, onClose, onEdit }) => {
     }
   };
 
+  /**
+   * Open or download an attached document
+   *
+   * Document endpoints require the auth token, so the file is fetched as a
+   * blob and handed to the browser through a temporary object URL.
+   *
+   * @param {Object} doc - Attached file metadata
+   * @param {"view"|"download"} mode - Open in a new tab or save to disk
+   */
+  const openDocument = async (doc, mode) => {
+    try {
+      const response = await fetch(
+        `${API_BASE_URL}/equipment/${asset.id}/document/${doc.id}/${mode}`,
+        { headers: getAuthHeaders() }
+      );
+
+      if (!response.ok) {
+        throw new Error(`Failed to ${mode} document`);
+      }
+
+      const blob = await response.blob();
+      const url = URL.createObjectURL(blob);
+
+      if (mode === "view") {
+        window.open(url, "_blank");
+      } else {
+        const link = document.createElement("a");
+        link.href = url;
+        link.download = doc.name;
+        link.click();
+      }
+
+      // Give the new tab/download time to read the blob before releasing it
+      setTimeout(() => URL.revokeObjectURL(url), 60000);
+    } catch (error) {
+      console.error(`Error trying to ${mode} document:`, error);
+      showToastNotification(error.message, "error");
+    }
+  };
+
   /**
    * Format file size for display
    */
@@ -244,7 +357,7 @@ const AssetDetails = ({ assetId, onClose, onEdit }) => {
         `${API_BASE_URL}/equipment/${asset.id}/notes`,
         {
           method: "POST",
-          headers: { "Content-Type": "application/json" },
+          headers: getAuthHeaders({ "Content-Type": "application/json" }),
           body: JSON.stringify({ content: noteContent }),
         }
       );
@@ -290,6 +403,14 @@ const AssetDetails = ({ assetId, onClose, onEdit }) => {
     return "insert_drive_file";
   };
 
+  if (asset === undefined) {
+    return (
+      <div className="p-8 text-center">
+        <p className="text-gray-500">Loading asset...</p>
+      </div>
+    );
+  }
+
   // Handle case where asset ID doesn't match any existing asset
   if (!asset) {
     return (
@@ -454,8 +575,11 @@ const AssetDetails = ({ assetId, onClose, onEdit }) => {
     const icons = {
       Added: "add_circle",
       Updated: "edit",
+      Restored: "restore_from_trash",
       "Location Changed": "location_on",
       Assigned: "person",
+      "Checked Out": "assignment_ind",
+      "Checked In": "assignment_return",
       "Status Changed": "sync",
       Maintenance: "build",
     };
@@ -583,6 +707,26 @@ const AssetDetails = ({ assetId, onClose, onEdit }) => {
                         : "0.00"}
                     </span>
                   </div>
+                  {depreciation?.depreciable && (
+                    <div className="flex flex-col">
+                      <span className="text-sm text-gray-600 dark:text-gray-400">
+                        Book Value
+                      </span>
+                      <span className="font-medium text-gray-900 dark:text-gray-100">
+                        {asset.currency || "NGN"}{" "}
+                        {depreciation.bookValue.toLocaleString("en-US", {
+                          minimumFractionDigits: 2,
+                          maximumFractionDigits: 2,
+                        })}
+                      </span>
+                      <span className="text-xs text-gray-500 dark:text-gray-400">
+                        {depreciation.method}, {depreciation.usefulLifeYears}{" "}
+                        years
+                        {depreciation.fullyDepreciated &&
+                          " - fully depreciated"}
+                      </span>
+                    </div>
+                  )}
                   <div className="flex flex-col">
                     <span className="text-sm text-gray-600 dark:text-gray-400">
                       Model Number
@@ -599,6 +743,68 @@ const AssetDetails = ({ assetId, onClose, onEdit }) => {
                       {asset.serial || "Not specified"}
                     </span>
                   </div>
+                  {getCustomFields(assetTypes, asset.category)
+                    .filter(
+                      (field) =>
+                        formatCustomFieldValue(
+                          field,
+                          asset.customFields?.[field.key]
+                        ) !== ""
+                    )
+                    .map((field) => (
+                      <div key={field.key} className="flex flex-col">
+                        <span className="text-sm text-gray-600 dark:text-gray-400">
+                          {field.label}
+                        </span>
+                        <span className="font-medium text-gray-900 dark:text-gray-100 break-all">
+                          {formatCustomFieldValue(
+                            field,
+                            asset.customFields[field.key]
+                          )}
+                        </span>
+                      </div>
+                    ))}
+                  {asset.warrantyEndDate && (
+                    <div className="flex flex-col">
+                      <span className="text-sm text-gray-600 dark:text-gray-400">
+                        Warranty
+                      </span>
+                      <span className="font-medium text-gray-900 dark:text-gray-100">
+                        {asset.warrantyStartDate
+                          ? `${formatDate(asset.warrantyStartDate)} - `
+                          : "Until "}
+                        {formatDate(asset.warrantyEndDate)}
+                      </span>
+                      <span
+                        className={`text-xs ${
+                          new Date(asset.warrantyEndDate) < new Date()
+                            ? "text-red-600 dark:text-red-400"
+                            : "text-gray-500 dark:text-gray-400"
+                        }`}
+                      >
+                        {new Date(asset.warrantyEndDate) < new Date()
+                          ? "Expired"
+                          : "Active"}
+                        {asset.warrantyProvider &&
+                          ` - ${asset.warrantyProvider}`}
+                      </span>
+                    </div>
+                  )}
+                  {asset.supportContractRef && (
+                    <div className="flex flex-col">
+                      <span className="text-sm text-gray-600 dark:text-gray-400">
+                        Support Contract
+                      </span>
+                      <span className="font-medium text-gray-900 dark:text-gray-100 break-all">
+                        {asset.supportContractRef}
+                      </span>
+                      {asset.supportContractEndDate && (
+                        <span className="text-xs text-gray-500 dark:text-gray-400">
+                          Ends {formatDate(asset.supportContractEndDate)}
+                        </span>
+                      )}
+                    </div>
+                  )}
                   {asset.maintenancePeriod && (
                     <div className="flex flex-col">
                       <span className="text-sm text-gray-600 dark:text-gray-400">
@@ -656,6 +862,13 @@ const AssetDetails = ({ assetId, onClose, onEdit }) => {
                   </div>
                 </div>
               </div>
+
+              {/* Check-out / Check-in */}
+              <AssetCustodyPanel
+                asset={asset}
+                onChange={refreshData}
+                onNotify={showToastNotification}
+              />
             </aside>
 
             {/* Right Column (Tabs) */}
@@ -701,6 +914,26 @@ const AssetDetails = ({ assetId, onClose, onEdit }) => {
                 >
                   Notes
                 </button>
+                <button
+                  onClick={() => setActiveTab("changes")}
+                  className={`px-4 py-3 text-sm font-medium whitespace-nowrap ${
+                    activeTab === "changes"
+                      ? "text-blue-600 border-b-2 border-blue-600 font-bold"
+                      : "text-gray-600 dark:text-gray-400 hover:text-gray-900 dark:hover:text-gray-100"
+                  }`}
+                >
+                  Change History
+                </button>
+                <button
+                  onClick={() => setActiveTab("components")}
+                  className={`px-4 py-3 text-sm font-medium whitespace-nowrap ${
+                    activeTab === "components"
+                      ? "text-blue-600 border-b-2 border-blue-600 font-bold"
+                      : "text-gray-600 dark:text-gray-400 hover:text-gray-900 dark:hover:text-gray-100"
+                  }`}
+                >
+                  Components
+                </button>
               </div>
 
               <div className="pt-6">
@@ -730,7 +963,9 @@ const AssetDetails = ({ assetId, onClose, onEdit }) => {
                                         className="material-symbols-outlined text-gray-600 dark:text-gray-400"
                                         style={{ fontSize: "18px" }}
                                       >
-                                        {getActivityIcon(activity.action)}
+                                        {getActivityIcon(
+                                          activity.actionType || activity.action
+                                        )}
                                       </span>
                                     </div>
                                   </div>
@@ -769,6 +1004,25 @@ const AssetDetails = ({ assetId, onClose, onEdit }) => {
                   </div>
                 )}
 
+                {/* Change History Tab */}
+                {activeTab === "changes" && (
+                  <AssetChangeHistory
+                    asset={asset}
+                    onChange={refreshData}
+                    onNotify={showToastNotification}
+                    customFields={getAllCustomFields(assetTypes)}
+                  />
+                )}
+
+                {/* Components Tab */}
+                {activeTab === "components" && (
+                  <AssetComponents
+                    asset={asset}
+                    onChange={refreshData}
+                    onNotify={showToastNotification}
+                  />
+                )}
+
                 {/* Documents Tab */}
                 {activeTab === "documents" && (
                   <div className="p-6">
@@ -811,12 +1065,7 @@ const AssetDetails = ({ assetId, onClose, onEdit }) => {
                           >
                             <div
                               className="flex items-center space-x-3 flex-1 min-w-0 cursor-pointer"
-                              onClick={() =>
-                                window.open(
-                                  `${API_BASE_URL}/equipment/${asset.id}/document/${doc.id}/view`,
-                                  "_blank"
-                                )
-                              }
+                              onClick={() => openDocument(doc, "view")}
                               title="Click to view"
                             >
                               <span className="material-symbols-outlined text-blue-600 dark:text-blue-400 text-2xl">
@@ -840,17 +1089,19 @@ const AssetDetails = ({ assetId, onClose, onEdit }) => {
                               </div>
                             </div>
                             <div className="flex items-center space-x-2 ml-4">
-                              <a
-                                href={`${API_BASE_URL}/equipment/${asset.id}/document/${doc.id}/download`}
-                                download={doc.name}
+                              <button
+                                type="button"
                                 className="p-2 text-blue-600 dark:text-blue-400 hover:bg-blue-50 dark:hover:bg-blue-900/30 rounded-lg"
                                 title="Download"
-                                onClick={(e) => e.stopPropagation()}
+                                onClick={(e) => {
+                                  e.stopPropagation();
+                                  openDocument(doc, "download");
+                                }}
                               >
                                 <span className="material-symbols-outlined text-lg">
                                   download
                                 </span>
-                              </a>
+                              </button>
                             </div>
                           </div>
                         ))}
@@ -1006,6 +1257,18 @@ const AssetDetails = ({ assetId, onClose, onEdit }) => {
                                   >
                                     <td className="p-4 text-sm text-gray-900 dark:text-gray-100">
                                       {record.serviceType}
+                                      {record.warrantyCovered && (
+                                        <span
+                                          className="ml-2 inline-flex items-center rounded-full bg-green-100 dark:bg-green-900/30 px-2 py-0.5 text-xs font-medium text-green-700 dark:text-green-400"
+                                          title={
+                                            record.warrantyProvider
+                                              ? `Covered by ${record.warrantyProvider}`
+                                              : undefined
+                                          }
+                                        >
+                                          Under warranty
+                                        </span>
+                                      )}
                                     </td>
                                     <td className="p-4 text-sm text-gray-900 dark:text-gray-100">
                                       {new Date(
@@ -1109,9 +1372,11 @@ const AssetDetails = ({ assetId, onClose, onEdit }) => {
                           <div className="p-6">
                             <MaintenanceScheduleForm
                               assetId={asset.id}
-                              onSuccess={() => {
+                              onSuccess={(record) => {
                                 showToastNotification(
-                                  "Maintenance scheduled successfully!",
+                                  record?.warrantyCovered
+                                    ? "Maintenance scheduled - this repair is covered by the asset's warranty"
+                                    : "Maintenance scheduled successfully!",
                                   "success"
                                 );
                                 setShowAddMaintenance(false);
@@ -0,0 +1,530 @@
+/**
+ * AssetImportWizard.jsx
+ *
+ * Step-by-step bulk import of assets from a CSV or XLSX file.
+ *
+ * Steps:
+ * 1. Upload - choose a file; the server reads its headers
+ * 2. Map columns - match spreadsheet columns to asset fields
+ * 3. Preview - every row is validated (tags, enums, dates, duplicates)
+ *    and errors are shown per row before anything is saved
+ * 4. Done - summary of the committed import
+ *
+ * Recent imports are listed below the wizard and can be undone, which
+ * removes every asset the import created.
+ *
+ * Props:
+ * @param {Function} onClose - Callback to return to the asset inventory
+ */
+
+import React, { useState, useEffect, useContext, useCallback } from "react";
+import API_BASE_URL, { getAuthHeaders } from "../config/api";
+import { EquipmentContext } from "../context/EquipmentContext";
+
+const STEPS = ["Upload", "Map Columns", "Preview", "Done"];
+
+export default function AssetImportWizard({ onClose }) {
+  const { refreshData } = useContext(EquipmentContext);
+
+  const [step, setStep] = useState(0);
+  const [file, setFile] = useState(null);
+  const [parsed, setParsed] = useState(null); // { headers, sampleRows, totalRows, fields }
+  const [mapping, setMapping] = useState({});
+  const [preview, setPreview] = useState(null); // { totalRows, validCount, errorCount, rows }
+  const [skipInvalid, setSkipInvalid] = useState(false);
+  const [showErrorsOnly, setShowErrorsOnly] = useState(false);
+  const [result, setResult] = useState(null);
+  const [batches, setBatches] = useState([]);
+  const [busy, setBusy] = useState(false);
+  const [error, setError] = useState("");
+
+  // Load recent import batches
+  const loadBatches = useCallback(async () => {
+    try {
+      const response = await fetch(`${API_BASE_URL}/imports`, {
+        headers: getAuthHeaders(),
+      });
+      if (response.ok) {
+        const data = await response.json();
+        setBatches(data);
+      }
+    } catch (error) {
+      console.error("Error fetching imports:", error);
+    }
+  }, []);
+
+  useEffect(() => {
+    loadBatches();
+  }, [loadBatches]);
+
+  /**
+   * Send the selected file (and mapping) to one of the import endpoints
+   * @param {string} endpoint - "parse", "preview" or "commit"
+   * @param {Object} fields - Extra form fields
+   */
+  const postFile = async (endpoint, fields = {}) => {
+    const formData = new FormData();
+    formData.append("file", file);
+    Object.entries(fields).forEach(([key, value]) =>
+      formData.append(key, value)
+    );
+
+    const response = await fetch(`${API_BASE_URL}/imports/${endpoint}`, {
+      method: "POST",
+      headers: getAuthHeaders(),
+      body: formData,
+    });
+    const data = await response.json();
+    return { ok: response.ok, data };
+  };
+
+  // Step 1 -> 2: read headers and suggested mapping
+  const handleParse = async () => {
+    if (!file) return;
+    setBusy(true);
+    setError("");
+
+    try {
+      const { ok, data } = await postFile("parse");
+      if (!ok) {
+        setError(data.error || data.message);
+        return;
+      }
+      setParsed(data);
+      setMapping(data.suggestedMapping);
+      setStep(1);
+    } catch (error) {
+      console.error("Error reading import file:", error);
+      setError("Could not read the file. Please try again.");
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  // Step 2 -> 3: validate every row
+  const handlePreview = async () => {
+    setBusy(true);
+    setError("");
+
+    try {
+      const { ok, data } = await postFile("preview", {
+        mapping: JSON.stringify(mapping),
+      });
+      if (!ok) {
+        setError(data.error || data.message);
+        return;
+      }
+      setPreview(data);
+      setSkipInvalid(false);
+      setShowErrorsOnly(data.errorCount > 0);
+      setStep(2);
+    } catch (error) {
+      console.error("Error validating import:", error);
+      setError("Could not validate the file. Please try again.");
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  // Step 3 -> 4: create the assets
+  const handleCommit = async () => {
+    setBusy(true);
+    setError("");
+
+    try {
+      const { ok, data } = await postFile("commit", {
+        mapping: JSON.stringify(mapping),
+        skipInvalid: String(skipInvalid),
+      });
+      if (!ok) {
+        setError(data.error ? `${data.message}: ${data.error}` : data.message);
+        if (data.rows) setPreview(data);
+        return;
+      }
+      setResult(data);
+      setStep(3);
+      await Promise.all([refreshData(), loadBatches()]);
+    } catch (error) {
+      console.error("Error committing import:", error);
+      setError("Import failed. Please try again.");
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  // Remove every asset created by an import
+  const handleUndo = async (batch) => {
+    if (
+      !window.confirm(
+        `Undo the import of ${batch.fileName}? This deletes the ${batch.assetCount} asset(s) it created.`
+      )
+    ) {
+      return;
+    }
+
+    setError("");
+    try {
+      const response = await fetch(
+        `${API_BASE_URL}/imports/${batch._id}/undo`,
+        { method: "POST", headers: getAuthHeaders() }
+      );
+      const data = await response.json();
+      if (!response.ok) {
+        setError(data.message);
+        return;
+      }
+      await Promise.all([refreshData(), loadBatches()]);
+    } catch (error) {
+      console.error("Error undoing import:", error);
+      setError("Could not undo the import. Please try again.");
+    }
+  };
+
+  // Start over with a new file
+  const reset = () => {
+    setStep(0);
+    setFile(null);
+    setParsed(null);
+    setMapping({});
+    setPreview(null);
+    setResult(null);
+    setError("");
+  };
+
+  const missingRequired = parsed
+    ? parsed.fields.filter((field) => field.required && !mapping[field.key])
+    : [];
+
+  const visibleRows = preview
+    ? preview.rows.filter((row) => !showErrorsOnly || row.errors.length > 0)
+    : [];
+
+  return (
+    <div className="flex flex-col gap-6">
+      {/* Page Header */}
+      <div className="flex flex-wrap items-center justify-between gap-4">
+        <div className="flex flex-col gap-1">
+          <p className="text-gray-900 text-3xl font-bold leading-tight">
+            Import Assets
+          </p>
+          <p className="text-gray-600 text-base font-normal leading-normal">
+            Create many assets at once from a CSV or Excel (.xlsx) file.
+          </p>
+        </div>
+        <button
+          onClick={onClose}
+          className="flex items-center justify-center rounded-lg h-10 px-4 bg-white border border-gray-300 text-gray-900 text-sm font-medium hover:bg-gray-50 transition-colors gap-2"
+        >
+          <span className="material-symbols-outlined text-lg">arrow_back</span>
+          Back to Inventory
+        </button>
+      </div>
+
+      {/* Step indicator */}
+      <div className="flex items-center gap-2">
+        {STEPS.map((label, index) => (
+          <React.Fragment key={label}>
+            <div
+              className={`flex items-center gap-2 text-sm font-medium ${
+                index <= step ? "text-blue-600" : "text-gray-400"
+              }`}
+            >
+              <span
+                className={`flex items-center justify-center w-6 h-6 rounded-full text-xs font-bold ${
+                  index <= step
+                    ? "bg-blue-600 text-white"
+                    : "bg-gray-200 text-gray-500"
+                }`}
+              >
+                {index + 1}
+              </span>
+              {label}
+            </div>
+            {index < STEPS.length - 1 && (
+              <div className="flex-1 h-px bg-gray-200" />
+            )}
+          </React.Fragment>
+        ))}
+      </div>
+
+      {error && (
+        <div className="rounded-lg border border-red-200 bg-red-50 p-3 text-sm text-red-700">
+          {error}
+        </div>
+      )}
+
+      <div className="bg-white rounded-xl border border-gray-200 p-6 shadow-sm">
+        {/* Step 1: Upload */}
+        {step === 0 && (
+          <div className="flex flex-col gap-4">
+            <p className="text-sm text-gray-600">
+              The first row must contain column headers. Asset ID and Asset Name
+              are required; type, status, location and department must match
+              existing tags.
+            </p>
+            <input
+              type="file"
+              accept=".csv,.xlsx"
+              onChange={(e) => setFile(e.target.files[0] || null)}
+              className="block w-full text-sm text-gray-700 file:mr-4 file:rounded-lg file:border-0 file:bg-blue-50 file:px-4 file:py-2 file:text-sm file:font-medium file:text-blue-700 hover:file:bg-blue-100"
+            />
+            <div className="flex justify-end">
+              <button
+                onClick={handleParse}
+                disabled={!file || busy}
+                className="rounded-lg h-10 px-4 bg-blue-600 text-white text-sm font-bold hover:bg-blue-700 transition-colors disabled:opacity-50"
+              >
+                {busy ? "Reading..." : "Next"}
+              </button>
+            </div>
+          </div>
+        )}
+
+        {/* Step 2: Map columns */}
+        {step === 1 && parsed && (
+          <div className="flex flex-col gap-4">
+            <p className="text-sm text-gray-600">
+              {parsed.fileName} has {parsed.totalRows} row(s). Choose the column
+              that holds each field.
+            </p>
+            <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+              {parsed.fields.map((field) => (
+                <label key={field.key} className="flex flex-col gap-1">
+                  <span className="text-sm font-medium text-gray-700">
+                    {field.label}
+                    {field.required && <span className="text-red-500"> *</span>}
+                  </span>
+                  <select
+                    value={mapping[field.key] || ""}
+                    onChange={(e) =>
+                      setMapping((prev) => ({
+                        ...prev,
+                        [field.key]: e.target.value,
+                      }))
+                    }
+                    className="rounded-lg border border-gray-300 px-3 py-2 text-sm focus:outline-none focus:ring-2 focus:ring-blue-500"
+                  >
+                    <option value="">-- Not imported --</option>
+                    {parsed.headers.map((header) => (
+                      <option key={header} value={header}>
+                        {header}
+                      </option>
+                    ))}
+                  </select>
+                </label>
+              ))}
+            </div>
+            <div className="flex justify-between">
+              <button
+                onClick={reset}
+                className="rounded-lg h-10 px-4 bg-white border border-gray-300 text-gray-900 text-sm font-medium hover:bg-gray-50"
+              >
+                Choose Another File
+              </button>
+              <button
+                onClick={handlePreview}
+                disabled={busy || missingRequired.length > 0}
+                title={
+                  missingRequired.length > 0
+                    ? `Map ${missingRequired.map((f) => f.label).join(", ")}`
+                    : ""
+                }
+                className="rounded-lg h-10 px-4 bg-blue-600 text-white text-sm font-bold hover:bg-blue-700 transition-colors disabled:opacity-50"
+              >
+                {busy ? "Validating..." : "Preview"}
+              </button>
+            </div>
+          </div>
+        )}
+
+        {/* Step 3: Preview */}
+        {step === 2 && preview && (
+          <div className="flex flex-col gap-4">
+            <div className="flex flex-wrap items-center gap-4 text-sm">
+              <span className="text-gray-700">{preview.totalRows} row(s)</span>
+              <span className="text-green-700">{preview.validCount} valid</span>
+              <span
+                className={
+                  preview.errorCount > 0 ? "text-red-700" : "text-gray-500"
+                }
+              >
+                {preview.errorCount} with errors
+              </span>
+              {preview.errorCount > 0 && (
+                <label className="flex items-center gap-2 text-gray-700">
+                  <input
+                    type="checkbox"
+                    checked={showErrorsOnly}
+                    onChange={(e) => setShowErrorsOnly(e.target.checked)}
+                  />
+                  Show only rows with errors
+                </label>
+              )}
+            </div>
+
+            <div className="overflow-x-auto max-h-96 border border-gray-200 rounded-lg">
+              <table className="w-full text-sm text-left">
+                <thead className="bg-gray-50 text-gray-600 sticky top-0">
+                  <tr>
+                    <th className="px-3 py-2">Row</th>
+                    <th className="px-3 py-2">Asset ID</th>
+                    <th className="px-3 py-2">Name</th>
+                    <th className="px-3 py-2">Type</th>
+                    <th className="px-3 py-2">Status</th>
+                    <th className="px-3 py-2">Issues</th>
+                  </tr>
+                </thead>
+                <tbody className="divide-y divide-gray-100">
+                  {visibleRows.map((row) => (
+                    <tr
+                      key={row.rowNumber}
+                      className={row.errors.length > 0 ? "bg-red-50" : ""}
+                    >
+                      <td className="px-3 py-2 text-gray-500">
+                        {row.rowNumber}
+                      </td>
+                      <td className="px-3 py-2">{row.data.id}</td>
+                      <td className="px-3 py-2">{row.data.name}</td>
+                      <td className="px-3 py-2">{row.data.category}</td>
+                      <td className="px-3 py-2">{row.data.status}</td>
+                      <td className="px-3 py-2">
+                        {row.errors.length > 0 ? (
+                          <ul className="list-disc pl-4 text-red-700">
+                            {row.errors.map((message) => (
+                              <li key={message}>{message}</li>
+                            ))}
+                          </ul>
+                        ) : (
+                          <span className="text-green-700">OK</span>
+                        )}
+                      </td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+
+            {preview.errorCount > 0 && (
+              <label className="flex items-center gap-2 text-sm text-gray-700">
+                <input
+                  type="checkbox"
+                  checked={skipInvalid}
+                  onChange={(e) => setSkipInvalid(e.target.checked)}
+                />
+                Skip the {preview.errorCount} invalid row(s) and import the rest
+              </label>
+            )}
+
+            <div className="flex justify-between">
+              <button
+                onClick={() => setStep(1)}
+                className="rounded-lg h-10 px-4 bg-white border border-gray-300 text-gray-900 text-sm font-medium hover:bg-gray-50"
+              >
+                Back to Mapping
+              </button>
+              <button
+                onClick={handleCommit}
+                disabled={
+                  busy ||
+                  preview.validCount === 0 ||
+                  (preview.errorCount > 0 && !skipInvalid)
+                }
+                className="rounded-lg h-10 px-4 bg-blue-600 text-white text-sm font-bold hover:bg-blue-700 transition-colors disabled:opacity-50"
+              >
+                {busy
+                  ? "Importing..."
+                  : `Import ${preview.validCount} Asset(s)`}
+              </button>
+            </div>
+          </div>
+        )}
+
+        {/* Step 4: Done */}
+        {step === 3 && result && (
+          <div className="flex flex-col gap-4">
+            <div className="flex items-center gap-3">
+              <span className="material-symbols-outlined text-green-600 text-3xl">
+                check_circle
+              </span>
+              <div>
+                <p className="font-semibold text-gray-900">
+                  Imported {result.assetCount} asset(s) from {result.fileName}
+                </p>
+                <p className="text-sm text-gray-600">
+                  {result.maintenanceCount} maintenance schedule(s) created
+                  {result.skippedRows > 0 &&
+                    `, ${result.skippedRows} invalid row(s) skipped`}
+                  .
+                </p>
+              </div>
+            </div>
+            <div className="flex gap-2 justify-end">
+              <button
+                onClick={reset}
+                className="rounded-lg h-10 px-4 bg-white border border-gray-300 text-gray-900 text-sm font-medium hover:bg-gray-50"
+              >
+                Import Another File
+              </button>
+              <button
+                onClick={onClose}
+                className="rounded-lg h-10 px-4 bg-blue-600 text-white text-sm font-bold hover:bg-blue-700 transition-colors"
+              >
+                View Assets
+              </button>
+            </div>
+          </div>
+        )}
+      </div>
+
+      {/* Recent imports */}
+      <div className="bg-white rounded-xl border border-gray-200 p-6 shadow-sm">
+        <h2 className="text-lg font-semibold text-gray-900 mb-4">
+          Recent Imports
+        </h2>
+        {batches.length === 0 ? (
+          <p className="text-sm text-gray-500">No imports yet.</p>
+        ) : (
+          <table className="w-full text-sm text-left">
+            <thead className="text-gray-600">
+              <tr>
+                <th className="py-2">File</th>
+                <th className="py-2">Assets</th>
+                <th className="py-2">Imported By</th>
+                <th className="py-2">Date</th>
+                <th className="py-2">Status</th>
+                <th className="py-2"></th>
+              </tr>
+            </thead>
+            <tbody className="divide-y divide-gray-100">
+              {batches.map((batch) => (
+                <tr key={batch._id}>
+                  <td className="py-2">{batch.fileName}</td>
+                  <td className="py-2">{batch.assetCount}</td>
+                  <td className="py-2">{batch.createdByName}</td>
+                  <td className="py-2">
+                    {new Date(batch.createdAt).toLocaleString()}
+                  </td>
+                  <td className="py-2">
+                    {batch.status === "Undone"
+                      ? `Undone by ${batch.undoneByName}`
+                      : batch.status}
+                  </td>
+                  <td className="py-2 text-right">
+                    {batch.status === "Committed" && (
+                      <button
+                        onClick={() => handleUndo(batch)}
+                        className="text-red-600 hover:text-red-800 font-medium"
+                      >
+                        Undo
+                      </button>
+                    )}
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        )}
+      </div>
+    </div>
+  );
+}
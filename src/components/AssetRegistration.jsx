@@ -18,13 +18,14 @@
  * - Asset Name (required) - Primary identifier
  * - Asset ID (required) - Unique asset tag/number
  * - Category - Type/classification of asset
- * - Location - Physical location
+ * - Location - Node in the location tree (site, building, floor or room)
  * - Acquisition Date - Purchase/acquisition date (defaults to today)
  * - Description - Detailed notes and information
  * - Model - Model number/name
  * - Serial Number - Manufacturer serial number
  * - Status - Current status (In Use, Available, Under Maintenance, Retired, Lost)
  * - Maintenance Period - Scheduled maintenance frequency
+ * - Custom fields defined on the chosen asset type's tag
  *
  * Props:
  * @param {Function} onSuccess - Callback invoked after successful registration
@@ -63,8 +64,11 @@
 import React, { useState, useContext, useEffect } from "react";
 import { EquipmentContext } from "../context/EquipmentContext";
 import QRCode from "react-qr-code";
-import API_BASE_URL from "../config/api";
+import API_BASE_URL, { getAuthHeaders } from "../config/api";
 import { getDefaultCurrency } from "../config/currency";
+import LocationPicker from "./LocationPicker";
+import CustomFieldInputs from "./CustomFieldInputs";
+import { getCustomFields } from "../config/customFields";
 
 const AssetRegistration = ({ onSuccess, onCancel }) => {
   // Access global equipment context to add new assets
@@ -92,6 +96,7 @@ const AssetRegistration = ({ onSuccess, onCancel }) => {
     id: "",
     category: "",
     location: "",
+    locationId: null,
     acquisitionDate: new Date().toISOString().split("T")[0],
     description: "",
     model: "",
@@ -102,8 +107,17 @@ const AssetRegistration = ({ onSuccess, onCancel }) => {
     department: "",
     cost: "",
     currency: "",
+    warrantyStartDate: "",
+    warrantyEndDate: "",
+    warrantyProvider: "",
+    supportContractRef: "",
+    supportContractEndDate: "",
+    customFields: {},
   });
 
+  // Code of the chosen location, used in the generated Tag ID
+  const [locationCode, setLocationCode] = useState("");
+
   // Success modal state: Controls post-registration success dialog
   const [showSuccessModal, setShowSuccessModal] = useState(false);
   const [registeredAsset, setRegisteredAsset] = useState(null);
@@ -127,8 +141,9 @@ const AssetRegistration = ({ onSuccess, onCancel }) => {
    * Generate Tag ID based on category, location, and company name
    * Format: COMPANY-CATEGORY-LOCATION-RANDOMNUMBER
    * Example: ASE-ELEC-HQ-001234
+   * The location part is the location's code, or its initials without one
    */
-  const generateTagId = (category, location, company) => {
+  const generateTagId = (category, location, company, code) => {
     if (!category || !location) return "";
 
     // Extract abbreviations
@@ -137,12 +152,14 @@ const AssetRegistration = ({ onSuccess, onCancel }) => {
       .substring(0, 4)
       .toUpperCase()
       .replace(/\s/g, "");
-    const locationAbbr = location
-      .split(" ")
-      .map((word) => word[0])
-      .join("")
-      .substring(0, 3)
-      .toUpperCase();
+    const locationAbbr =
+      code ||
+      location
+        .split(" ")
+        .map((word) => word[0])
+        .join("")
+        .substring(0, 3)
+        .toUpperCase();
 
     // Generate random 6-digit number
     const randomNum = Math.floor(100000 + Math.random() * 900000);
@@ -157,7 +174,9 @@ const AssetRegistration = ({ onSuccess, onCancel }) => {
     const fetchTags = async () => {
       try {
         setLoadingTags(true);
-        const response = await fetch(`${API_BASE_URL}/tags`);
+        const response = await fetch(`${API_BASE_URL}/tags`, {
+          headers: getAuthHeaders(),
+        });
         if (!response.ok) {
           throw new Error("Failed to fetch tags");
         }
@@ -192,7 +211,9 @@ const AssetRegistration = ({ onSuccess, onCancel }) => {
     const fetchUsers = async () => {
       try {
         setLoadingUsers(true);
-        const response = await fetch(`${API_BASE_URL}/users`);
+        const response = await fetch(`${API_BASE_URL}/users/directory`, {
+          headers: getAuthHeaders(),
+        });
         if (!response.ok) {
           throw new Error("Failed to fetch users");
         }
@@ -216,6 +237,21 @@ const AssetRegistration = ({ onSuccess, onCancel }) => {
     return tags.filter((tag) => tag.category === category);
   };
 
+  // Custom fields of the chosen asset type
+  const customFields = getCustomFields(tags, formData.category);
+
+  /**
+   * Set a custom field value
+   * @param {string} key - Field key
+   * @param {*} value - New value
+   */
+  const handleCustomFieldChange = (key, value) => {
+    setFormData((prev) => ({
+      ...prev,
+      customFields: { ...prev.customFields, [key]: value },
+    }));
+  };
+
   /**
    * Auto-generate Tag ID when category or location changes
    */
@@ -224,14 +260,15 @@ const AssetRegistration = ({ onSuccess, onCancel }) => {
       const newId = generateTagId(
         formData.category,
         formData.location,
-        companyName
+        companyName,
+        locationCode
       );
       setFormData((prev) => ({
         ...prev,
         id: newId,
       }));
     }
-  }, [formData.category, formData.location, companyName]);
+  }, [formData.category, formData.location, companyName, locationCode]);
 
   /**
    * Handle input field changes
@@ -299,6 +336,18 @@ const AssetRegistration = ({ onSuccess, onCancel }) => {
       return;
     }
 
+    if (
+      formData.warrantyStartDate &&
+      formData.warrantyEndDate &&
+      formData.warrantyEndDate < formData.warrantyStartDate
+    ) {
+      showToastNotification(
+        "Warranty end date must be after the start date",
+        "error"
+      );
+      return;
+    }
+
     try {
       // Create asset object matching Equipment model schema
       const newAsset = {
@@ -306,6 +355,7 @@ const AssetRegistration = ({ onSuccess, onCancel }) => {
         name: formData.name,
         category: formData.category,
         location: formData.location,
+        locationId: formData.locationId,
         model: formData.model || "",
         serial: formData.serialNumber || "",
         notes: formData.description || "",
@@ -317,6 +367,12 @@ const AssetRegistration = ({ onSuccess, onCancel }) => {
         currency: formData.currency,
         assignedTo: formData.assignedTo || "",
         department: formData.department || "",
+        warrantyStartDate: formData.warrantyStartDate || null,
+        warrantyEndDate: formData.warrantyEndDate || null,
+        warrantyProvider: formData.warrantyProvider,
+        supportContractRef: formData.supportContractRef,
+        supportContractEndDate: formData.supportContractEndDate || null,
+        customFields: formData.customFields,
       };
 
       console.log("Created asset object:", newAsset);
@@ -345,6 +401,7 @@ const AssetRegistration = ({ onSuccess, onCancel }) => {
               `${API_BASE_URL}/equipment/${newAsset.id}/upload`,
               {
                 method: "POST",
+                headers: getAuthHeaders(),
                 body: formData,
               }
             );
@@ -386,11 +443,13 @@ const AssetRegistration = ({ onSuccess, onCancel }) => {
     setRegisteredAsset(null);
 
     // Reset form
+    setLocationCode("");
     setFormData({
       name: "",
       id: "",
       category: "",
       location: "",
+      locationId: null,
       acquisitionDate: new Date().toISOString().split("T")[0],
       description: "",
       model: "",
@@ -401,6 +460,12 @@ const AssetRegistration = ({ onSuccess, onCancel }) => {
       department: "",
       cost: "",
       currency: formData.currency, // Keep the current currency
+      warrantyStartDate: "",
+      warrantyEndDate: "",
+      warrantyProvider: "",
+      supportContractRef: "",
+      supportContractEndDate: "",
+      customFields: {},
     });
 
     // Clear uploaded files
@@ -722,7 +787,8 @@ const AssetRegistration = ({ onSuccess, onCancel }) => {
                         const newId = generateTagId(
                           formData.category,
                           formData.location,
-                          companyName
+                          companyName,
+                          locationCode
                         );
                         setFormData((prev) => ({ ...prev, id: newId }));
                       }
@@ -773,29 +839,24 @@ const AssetRegistration = ({ onSuccess, onCancel }) => {
 
             {/* Location */}
             <div className="md:col-span-1">
-              <label className="flex flex-col w-full">
+              <div className="flex flex-col w-full">
                 <p className="text-gray-700 dark:text-gray-300 text-sm font-semibold leading-normal pb-2.5 flex items-center gap-1">
                   Location
                   <span className="text-red-500">*</span>
                 </p>
-                <select
-                  name="location"
-                  value={formData.location}
-                  onChange={handleChange}
-                  required
-                  className="form-select flex w-full min-w-0 flex-1 resize-none overflow-hidden rounded-xl text-gray-800 dark:text-gray-100 focus:outline-0 focus:ring-2 focus:ring-blue-500 border-2 border-gray-200 dark:border-gray-600 bg-white dark:bg-gray-700/50 hover:border-gray-300 dark:hover:border-gray-500 focus:border-blue-500 dark:focus:border-blue-500 h-12 placeholder:text-gray-400 dark:placeholder:text-gray-500 p-3 text-base font-normal leading-normal transition-all"
-                  disabled={loadingTags}
-                >
-                  <option value="">
-                    {loadingTags ? "Loading locations..." : "Select a location"}
-                  </option>
-                  {getTagsByCategory("Location").map((tag) => (
-                    <option key={tag._id} value={tag.name}>
-                      {tag.name}
-                    </option>
-                  ))}
-                </select>
-              </label>
+                <LocationPicker
+                  value={formData.locationId}
+                  onChange={(location) => {
+                    setFormData((prev) => ({
+                      ...prev,
+                      location: location?.name || "",
+                      locationId: location?._id || null,
+                    }));
+                    setLocationCode(location?.code || "");
+                  }}
+                  className="flex w-full min-w-0 flex-1 overflow-hidden rounded-xl text-gray-800 dark:text-gray-100 focus:outline-0 focus:ring-2 focus:ring-blue-500 border-2 border-gray-200 dark:border-gray-600 bg-white dark:bg-gray-700/50 hover:border-gray-300 dark:hover:border-gray-500 focus:border-blue-500 dark:focus:border-blue-500 h-12 p-3 text-base font-normal leading-normal transition-all"
+                />
+              </div>
             </div>
 
             {/* Acquisition Date */}
@@ -986,6 +1047,135 @@ const AssetRegistration = ({ onSuccess, onCancel }) => {
             </div>
           </div>
 
+          {/* Custom Fields Section (defined on the asset type's tag) */}
+          {customFields.length > 0 && (
+            <>
+              <div className="flex items-center gap-3 pt-10 pb-6 border-t mt-10 border-gray-200 dark:border-gray-700">
+                <div className="p-2 bg-indigo-100 dark:bg-indigo-900/30 rounded-lg">
+                  <span className="material-symbols-outlined text-indigo-600 dark:text-indigo-400 text-2xl">
+                    tune
+                  </span>
+                </div>
+                <div>
+                  <h2 className="text-gray-900 dark:text-white text-xl font-bold">
+                    {formData.category} Details
+                  </h2>
+                  <p className="text-gray-600 dark:text-gray-400 text-sm">
+                    Fields specific to this asset type
+                  </p>
+                </div>
+              </div>
+
+              <div className="grid grid-cols-1 md:grid-cols-2 gap-x-6 gap-y-6">
+                <CustomFieldInputs
+                  fields={customFields}
+                  values={formData.customFields}
+                  onChange={handleCustomFieldChange}
+                  wrapperClassName="flex flex-col w-full md:col-span-1"
+                  labelClassName="text-gray-700 dark:text-gray-300 text-sm font-semibold leading-normal pb-2.5"
+                  inputClassName="flex w-full min-w-0 flex-1 overflow-hidden rounded-xl text-gray-800 dark:text-gray-100 focus:outline-0 focus:ring-2 focus:ring-blue-500 border-2 border-gray-200 dark:border-gray-600 bg-white dark:bg-gray-700/50 hover:border-gray-300 dark:hover:border-gray-500 focus:border-blue-500 dark:focus:border-blue-500 h-12 placeholder:text-gray-400 dark:placeholder:text-gray-500 p-3 text-base font-normal leading-normal transition-all"
+                />
+              </div>
+            </>
+          )}
+
+          {/* Warranty & Support Section */}
+          <div className="flex items-center gap-3 pt-10 pb-6 border-t mt-10 border-gray-200 dark:border-gray-700">
+            <div className="p-2 bg-amber-100 dark:bg-amber-900/30 rounded-lg">
+              <span className="material-symbols-outlined text-amber-600 dark:text-amber-400 text-2xl">
+                verified_user
+              </span>
+            </div>
+            <div>
+              <h2 className="text-gray-900 dark:text-white text-xl font-bold">
+                Warranty &amp; Support
+              </h2>
+              <p className="text-gray-600 dark:text-gray-400 text-sm">
+                Expiry alerts are sent 90, 30 and 7 days before the end dates
+              </p>
+            </div>
+          </div>
+
+          <div className="grid grid-cols-1 md:grid-cols-2 gap-x-6 gap-y-6">
+            {/* Warranty Start / End */}
+            <div className="md:col-span-1">
+              <label className="flex flex-col w-full">
+                <p className="text-gray-700 dark:text-gray-300 text-sm font-semibold leading-normal pb-2.5">
+                  Warranty Start
+                </p>
+                <input
+                  type="date"
+                  name="warrantyStartDate"
+                  value={formData.warrantyStartDate}
+                  onChange={handleChange}
+                  className="form-input flex w-full min-w-0 flex-1 resize-none overflow-hidden rounded-xl text-gray-800 dark:text-gray-100 focus:outline-0 focus:ring-2 focus:ring-blue-500 border-2 border-gray-200 dark:border-gray-600 bg-white dark:bg-gray-700/50 hover:border-gray-300 dark:hover:border-gray-500 focus:border-blue-500 dark:focus:border-blue-500 h-12 placeholder:text-gray-400 dark:placeholder:text-gray-500 p-3 text-base font-normal leading-normal transition-all"
+                />
+              </label>
+            </div>
+            <div className="md:col-span-1">
+              <label className="flex flex-col w-full">
+                <p className="text-gray-700 dark:text-gray-300 text-sm font-semibold leading-normal pb-2.5">
+                  Warranty End
+                </p>
+                <input
+                  type="date"
+                  name="warrantyEndDate"
+                  value={formData.warrantyEndDate}
+                  onChange={handleChange}
+                  className="form-input flex w-full min-w-0 flex-1 resize-none overflow-hidden rounded-xl text-gray-800 dark:text-gray-100 focus:outline-0 focus:ring-2 focus:ring-blue-500 border-2 border-gray-200 dark:border-gray-600 bg-white dark:bg-gray-700/50 hover:border-gray-300 dark:hover:border-gray-500 focus:border-blue-500 dark:focus:border-blue-500 h-12 placeholder:text-gray-400 dark:placeholder:text-gray-500 p-3 text-base font-normal leading-normal transition-all"
+                />
+              </label>
+            </div>
+
+            {/* Warranty Provider */}
+            <div className="md:col-span-1">
+              <label className="flex flex-col w-full">
+                <p className="text-gray-700 dark:text-gray-300 text-sm font-semibold leading-normal pb-2.5">
+                  Warranty Provider
+                </p>
+                <input
+                  type="text"
+                  name="warrantyProvider"
+                  value={formData.warrantyProvider}
+                  onChange={handleChange}
+                  className="form-input flex w-full min-w-0 flex-1 resize-none overflow-hidden rounded-xl text-gray-800 dark:text-gray-100 focus:outline-0 focus:ring-2 focus:ring-blue-500 border-2 border-gray-200 dark:border-gray-600 bg-white dark:bg-gray-700/50 hover:border-gray-300 dark:hover:border-gray-500 focus:border-blue-500 dark:focus:border-blue-500 h-12 placeholder:text-gray-400 dark:placeholder:text-gray-500 p-3 text-base font-normal leading-normal transition-all"
+                  placeholder="e.g., Dell ProSupport"
+                />
+              </label>
+            </div>
+
+            {/* Support Contract */}
+            <div className="md:col-span-1">
+              <label className="flex flex-col w-full">
+                <p className="text-gray-700 dark:text-gray-300 text-sm font-semibold leading-normal pb-2.5">
+                  Support Contract Reference
+                </p>
+                <input
+                  type="text"
+                  name="supportContractRef"
+                  value={formData.supportContractRef}
+                  onChange={handleChange}
+                  className="form-input flex w-full min-w-0 flex-1 resize-none overflow-hidden rounded-xl text-gray-800 dark:text-gray-100 focus:outline-0 focus:ring-2 focus:ring-blue-500 border-2 border-gray-200 dark:border-gray-600 bg-white dark:bg-gray-700/50 hover:border-gray-300 dark:hover:border-gray-500 focus:border-blue-500 dark:focus:border-blue-500 h-12 placeholder:text-gray-400 dark:placeholder:text-gray-500 p-3 text-base font-normal leading-normal transition-all"
+                  placeholder="e.g., SC-2024-0192"
+                />
+              </label>
+            </div>
+            <div className="md:col-span-1">
+              <label className="flex flex-col w-full">
+                <p className="text-gray-700 dark:text-gray-300 text-sm font-semibold leading-normal pb-2.5">
+                  Support Contract End
+                </p>
+                <input
+                  type="date"
+                  name="supportContractEndDate"
+                  value={formData.supportContractEndDate}
+                  onChange={handleChange}
+                  className="form-input flex w-full min-w-0 flex-1 resize-none overflow-hidden rounded-xl text-gray-800 dark:text-gray-100 focus:outline-0 focus:ring-2 focus:ring-blue-500 border-2 border-gray-200 dark:border-gray-600 bg-white dark:bg-gray-700/50 hover:border-gray-300 dark:hover:border-gray-500 focus:border-blue-500 dark:focus:border-blue-500 h-12 placeholder:text-gray-400 dark:placeholder:text-gray-500 p-3 text-base font-normal leading-normal transition-all"
+                />
+              </label>
+            </div>
+          </div>
+
           {/* Attachments Section */}
           <div className="flex items-center gap-3 pt-10 pb-6 border-t mt-10 border-gray-200 dark:border-gray-700">
             <div className="p-2 bg-green-100 dark:bg-green-900/30 rounded-lg">
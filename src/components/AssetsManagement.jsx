@@ -6,41 +6,153 @@
  *
  * Features:
  * - Search by asset name or tag ID
- * - Filter by status, location, and asset type
+ * - Filter by status, location (including its sub-locations), and asset type
  * - Sortable columns
  * - Bulk selection with checkboxes
  * - View, edit, and delete actions for each asset
  * - Pagination support
  * - Export functionality
+ * - Bulk import from CSV/XLSX (importAssets permission)
  * - Responsive design
  *
+ * Data comes from the paginated listing in EquipmentContext (assetPage);
+ * search, filters, sorting and paging are sent to GET /api/equipment.
+ *
  * Props:
- * @param {Array} assets - Array of all equipment/asset items
  * @param {Function} onView - Callback when view button is clicked
  * @param {Function} onEdit - Callback when edit button is clicked
  * @param {Function} onDelete - Callback when delete button is clicked
  * @param {Function} onAddNew - Callback when "Add New Asset" button is clicked
+ * @param {Function} onImport - Callback when "Import" button is clicked
  */
 
-import React, { useState, useMemo } from "react";
+import React, { useState, useEffect, useContext } from "react";
 import AdvancedSearch from "./AdvancedSearch";
+import LocationPicker from "./LocationPicker";
+import { EquipmentContext } from "../context/EquipmentContext";
+import { useAuth } from "../context/AuthContext";
+import API_BASE_URL, { getAuthHeaders } from "../config/api";
 
 export default function AssetsManagement({
-  assets = [],
   onView,
   onEdit,
   onDelete,
   onAddNew,
+  onImport,
 }) {
+  const { hasPermission } = useAuth();
+
+  // Server-side paginated listing - filtering, sorting and paging happen in the API
+  const { assetPage, assetQuery, setAssetQuery, pageLoading } =
+    useContext(EquipmentContext);
+
   // State for search and filters
-  const [searchQuery, setSearchQuery] = useState("");
-  const [statusFilter, setStatusFilter] = useState("All");
-  const [locationFilter, setLocationFilter] = useState("All");
+  const [searchQuery, setSearchQuery] = useState(assetQuery.search);
   const [selectedAssets, setSelectedAssets] = useState([]);
-  const [currentPage, setCurrentPage] = useState(1);
   const [isAdvancedSearchOpen, setIsAdvancedSearchOpen] = useState(false);
   const [advancedFilters, setAdvancedFilters] = useState(null);
-  const itemsPerPage = 10;
+  const [tags, setTags] = useState([]);
+
+  const paginatedAssets = assetPage.items;
+  const currentPage = assetPage.page;
+  const itemsPerPage = assetPage.pageSize;
+  const totalPages = assetPage.totalPages;
+  const statusFilter = assetQuery.status || "All";
+
+  /**
+   * Update the listing query, going back to the first page
+   * @param {Object} changes - Query fields to change
+   */
+  const updateQuery = (changes) => {
+    setAssetQuery((prev) => ({ ...prev, ...changes, page: 1 }));
+    setSelectedAssets([]);
+  };
+
+  /**
+   * Change the current page
+   * @param {number|Function} page - Page number or updater receiving the current page
+   */
+  const setCurrentPage = (page) => {
+    setAssetQuery((prev) => ({
+      ...prev,
+      page: typeof page === "function" ? page(prev.page) : page,
+    }));
+    setSelectedAssets([]);
+  };
+
+  /**
+   * Push the search box to the query once the user stops typing
+   */
+  useEffect(() => {
+    const timer = setTimeout(() => {
+      setAssetQuery((prev) =>
+        prev.search === searchQuery
+          ? prev
+          : { ...prev, search: searchQuery, page: 1 }
+      );
+    }, 300);
+    return () => clearTimeout(timer);
+  }, [searchQuery, setAssetQuery]);
+
+  /**
+   * Fetch tags for the filter dropdowns
+   */
+  useEffect(() => {
+    const fetchTags = async () => {
+      try {
+        const response = await fetch(`${API_BASE_URL}/tags`, {
+          headers: getAuthHeaders(),
+        });
+        if (response.ok) {
+          setTags(await response.json());
+        }
+      } catch (error) {
+        console.error("Error fetching tags:", error);
+      }
+    };
+    fetchTags();
+  }, []);
+
+  /**
+   * Get filter options for a tag category, keeping the active value listed
+   * @param {string} category - Tag category
+   * @param {string} active - Currently selected value
+   */
+  const getFilterOptions = (category, active) => {
+    const names = tags
+      .filter((tag) => tag.category === category)
+      .map((tag) => tag.name);
+    if (active !== "All" && !names.includes(active)) {
+      names.push(active);
+    }
+    return ["All", ...names];
+  };
+
+  const uniqueStatuses = getFilterOptions("Status", statusFilter);
+
+  /**
+   * Toggle sorting on a column: ascending, descending, then default order
+   * @param {string} field - Field to sort by
+   */
+  const handleSort = (field) => {
+    let sort = field;
+    if (assetQuery.sort === field) {
+      sort = `-${field}`;
+    } else if (assetQuery.sort === `-${field}`) {
+      sort = "";
+    }
+    updateQuery({ sort });
+  };
+
+  /**
+   * Get the sort indicator icon for a column
+   * @param {string} field - Column field
+   */
+  const getSortIcon = (field) => {
+    if (assetQuery.sort === field) return "arrow_upward";
+    if (assetQuery.sort === `-${field}`) return "arrow_downward";
+    return "unfold_more";
+  };
 
   /**
    * Get status badge styling based on status type
@@ -78,99 +190,6 @@ export default function AssetsManagement({
     return badges[status] || badges["Available"];
   };
 
-  /**
-   * Filter and search assets (including advanced filters)
-   */
-  const filteredAssets = useMemo(() => {
-    return assets.filter((asset) => {
-      // Basic search
-      const matchesSearch =
-        searchQuery === "" ||
-        asset.name.toLowerCase().includes(searchQuery.toLowerCase()) ||
-        asset.id.toLowerCase().includes(searchQuery.toLowerCase());
-
-      // Basic filters
-      const matchesStatus =
-        statusFilter === "All" || asset.status === statusFilter;
-
-      const matchesLocation =
-        locationFilter === "All" || asset.location === locationFilter;
-
-      // Advanced filters (if applied) - Always use AND logic
-      let matchesAdvanced = true;
-      if (advancedFilters) {
-        const filters = advancedFilters;
-
-        // Asset Type filter
-        if (filters.assetType && filters.assetType !== "All Types") {
-          const typeMatch = asset.category === filters.assetType;
-          if (!typeMatch) matchesAdvanced = false;
-        }
-
-        // Status filter (from advanced search)
-        if (filters.status && filters.status !== "Any Status") {
-          const statusMatch = asset.status === filters.status;
-          if (!statusMatch) matchesAdvanced = false;
-        }
-
-        // Purchase date range filter
-        if (filters.purchaseDateFrom || filters.purchaseDateTo) {
-          const assetDate = new Date(asset.purchaseDate);
-          let dateMatch = true;
-
-          if (filters.purchaseDateFrom) {
-            const fromDate = new Date(filters.purchaseDateFrom);
-            if (assetDate < fromDate) dateMatch = false;
-          }
-
-          if (filters.purchaseDateTo) {
-            const toDate = new Date(filters.purchaseDateTo);
-            if (assetDate > toDate) dateMatch = false;
-          }
-
-          if (!dateMatch) matchesAdvanced = false;
-        }
-
-        // Cost range filter
-        if (filters.costMin || filters.costMax) {
-          const assetCost = parseFloat(asset.cost) || 0;
-          let costMatch = true;
-
-          if (filters.costMin && assetCost < parseFloat(filters.costMin)) {
-            costMatch = false;
-          }
-
-          if (filters.costMax && assetCost > parseFloat(filters.costMax)) {
-            costMatch = false;
-          }
-
-          if (!costMatch) matchesAdvanced = false;
-        }
-
-        // Location filter (from advanced search)
-        if (filters.location && filters.location !== "All Locations") {
-          const locationMatch = asset.location === filters.location;
-          if (!locationMatch) matchesAdvanced = false;
-        }
-      }
-
-      return (
-        matchesSearch && matchesStatus && matchesLocation && matchesAdvanced
-      );
-    });
-  }, [assets, searchQuery, statusFilter, locationFilter, advancedFilters]);
-
-  /**
-   * Paginate assets
-   */
-  const paginatedAssets = useMemo(() => {
-    const startIndex = (currentPage - 1) * itemsPerPage;
-    const endIndex = startIndex + itemsPerPage;
-    return filteredAssets.slice(startIndex, endIndex);
-  }, [filteredAssets, currentPage]);
-
-  const totalPages = Math.ceil(filteredAssets.length / itemsPerPage);
-
   /**
    * Handle select all checkbox
    */
@@ -193,39 +212,28 @@ export default function AssetsManagement({
     );
   };
 
-  /**
-   * Get unique locations from assets
-   */
-  const uniqueLocations = useMemo(() => {
-    return [
-      "All",
-      ...new Set(assets.map((asset) => asset.location).filter(Boolean)),
-    ];
-  }, [assets]);
-
-  /**
-   * Get unique statuses from assets
-   */
-  const uniqueStatuses = useMemo(() => {
-    return [
-      "All",
-      ...new Set(assets.map((asset) => asset.status).filter(Boolean)),
-    ];
-  }, [assets]);
-
-  /**
-   * Get unique asset types from assets
-   */
-  const uniqueAssetTypes = useMemo(() => {
-    return [...new Set(assets.map((asset) => asset.category).filter(Boolean))];
-  }, [assets]);
-
   /**
    * Handle advanced search filter application
    */
   const handleApplyAdvancedFilters = (filters) => {
     setAdvancedFilters(filters);
-    setCurrentPage(1); // Reset to first page
+    updateQuery({
+      category: filters.assetType !== "All Types" ? filters.assetType : "",
+      status:
+        filters.status !== "Any Status" ? filters.status : assetQuery.status,
+      location:
+        filters.location !== "All Locations"
+          ? filters.location
+          : assetQuery.location,
+      department:
+        filters.department !== "All Departments" ? filters.department : "",
+      dateFrom: filters.purchaseDateFrom,
+      dateTo: filters.purchaseDateTo,
+      costMin: filters.costMin,
+      costMax: filters.costMax,
+      warranty: filters.warranty,
+      customFields: filters.customFields,
+    });
   };
 
   /**
@@ -233,6 +241,16 @@ export default function AssetsManagement({
    */
   const handleClearAdvancedFilters = () => {
     setAdvancedFilters(null);
+    updateQuery({
+      category: "",
+      department: "",
+      dateFrom: "",
+      dateTo: "",
+      costMin: "",
+      costMax: "",
+      warranty: "",
+      customFields: {},
+    });
   };
 
   return (
@@ -262,6 +280,17 @@ export default function AssetsManagement({
               </span>
             )}
           </button>
+          {hasPermission("importAssets") && (
+            <button
+              onClick={onImport}
+              className="flex min-w-[84px] cursor-pointer items-center justify-center overflow-hidden rounded-lg h-10 px-2 bg-white border border-gray-300 text-gray-900 text-sm font-medium leading-normal hover:bg-gray-50 transition-colors gap-2"
+            >
+              <span className="material-symbols-outlined text-lg">
+                upload_file
+              </span>
+              <span className="truncate">Import</span>
+            </button>
+          )}
           <button
             onClick={onAddNew}
             className="flex min-w-[84px] cursor-pointer items-center justify-center overflow-hidden rounded-lg h-10 px-4 bg-blue-600 text-white text-sm font-bold leading-normal hover:bg-blue-700 transition-colors gap-2"
@@ -306,7 +335,11 @@ export default function AssetsManagement({
           <div className="flex gap-2 flex-wrap">
             <select
               value={statusFilter}
-              onChange={(e) => setStatusFilter(e.target.value)}
+              onChange={(e) =>
+                updateQuery({
+                  status: e.target.value === "All" ? "" : e.target.value,
+                })
+              }
               className="flex h-12 shrink-0 items-center justify-center rounded-lg bg-gray-100 border border-gray-300 px-4 text-gray-900 text-sm font-medium focus:outline-none focus:ring-2 focus:ring-blue-500"
             >
               {uniqueStatuses.map((status) => (
@@ -316,17 +349,15 @@ export default function AssetsManagement({
               ))}
             </select>
 
-            <select
-              value={locationFilter}
-              onChange={(e) => setLocationFilter(e.target.value)}
+            <LocationPicker
+              value={assetQuery.locationId || null}
+              onChange={(location) =>
+                updateQuery({ locationId: location?._id || "", location: "" })
+              }
+              placeholder="Location: All"
+              allowClear
               className="flex h-12 shrink-0 items-center justify-center rounded-lg bg-gray-100 border border-gray-300 px-4 text-gray-900 text-sm font-medium focus:outline-none focus:ring-2 focus:ring-blue-500"
-            >
-              {uniqueLocations.map((location) => (
-                <option key={location} value={location}>
-                  Location: {location}
-                </option>
-              ))}
-            </select>
+            />
           </div>
         </div>
       </div>
@@ -349,19 +380,59 @@ export default function AssetsManagement({
                   />
                 </th>
                 <th className="px-6 py-3 text-left text-xs font-medium text-gray-600 uppercase tracking-wider">
-                  Asset Name
+                  <button
+                    onClick={() => handleSort("name")}
+                    className="inline-flex items-center gap-1 uppercase tracking-wider hover:text-gray-900"
+                  >
+                    Asset Name
+                    <span className="material-symbols-outlined text-sm">
+                      {getSortIcon("name")}
+                    </span>
+                  </button>
                 </th>
                 <th className="px-6 py-3 text-left text-xs font-medium text-gray-600 uppercase tracking-wider">
-                  Tag ID
+                  <button
+                    onClick={() => handleSort("id")}
+                    className="inline-flex items-center gap-1 uppercase tracking-wider hover:text-gray-900"
+                  >
+                    Tag ID
+                    <span className="material-symbols-outlined text-sm">
+                      {getSortIcon("id")}
+                    </span>
+                  </button>
                 </th>
                 <th className="px-6 py-3 text-left text-xs font-medium text-gray-600 uppercase tracking-wider">
-                  Status
+                  <button
+                    onClick={() => handleSort("status")}
+                    className="inline-flex items-center gap-1 uppercase tracking-wider hover:text-gray-900"
+                  >
+                    Status
+                    <span className="material-symbols-outlined text-sm">
+                      {getSortIcon("status")}
+                    </span>
+                  </button>
                 </th>
                 <th className="px-6 py-3 text-left text-xs font-medium text-gray-600 uppercase tracking-wider">
-                  Location
+                  <button
+                    onClick={() => handleSort("location")}
+                    className="inline-flex items-center gap-1 uppercase tracking-wider hover:text-gray-900"
+                  >
+                    Location
+                    <span className="material-symbols-outlined text-sm">
+                      {getSortIcon("location")}
+                    </span>
+                  </button>
                 </th>
                 <th className="px-6 py-3 text-left text-xs font-medium text-gray-600 uppercase tracking-wider">
-                  Model
+                  <button
+                    onClick={() => handleSort("model")}
+                    className="inline-flex items-center gap-1 uppercase tracking-wider hover:text-gray-900"
+                  >
+                    Model
+                    <span className="material-symbols-outlined text-sm">
+                      {getSortIcon("model")}
+                    </span>
+                  </button>
                 </th>
                 <th className="px-6 py-3 text-right text-xs font-medium text-gray-600 uppercase tracking-wider">
                   Actions
@@ -375,7 +446,9 @@ export default function AssetsManagement({
                     colSpan="7"
                     className="px-6 py-12 text-center text-gray-500"
                   >
-                    No assets found matching your criteria
+                    {pageLoading
+                      ? "Loading assets..."
+                      : "No assets found matching your criteria"}
                   </td>
                 </tr>
               ) : (
@@ -518,14 +591,11 @@ export default function AssetsManagement({
                   </span>{" "}
                   to{" "}
                   <span className="font-medium text-gray-900">
-                    {Math.min(
-                      currentPage * itemsPerPage,
-                      filteredAssets.length
-                    )}
+                    {Math.min(currentPage * itemsPerPage, assetPage.total)}
                   </span>{" "}
                   of{" "}
                   <span className="font-medium text-gray-900">
-                    {filteredAssets.length}
+                    {assetPage.total}
                   </span>{" "}
                   results
                 </p>
@@ -621,8 +691,6 @@ export default function AssetsManagement({
         isOpen={isAdvancedSearchOpen}
         onClose={() => setIsAdvancedSearchOpen(false)}
         onApplyFilters={handleApplyAdvancedFilters}
-        assetTypes={uniqueAssetTypes}
-        locations={uniqueLocations.filter((loc) => loc !== "All")}
       />
 
       {/* Active Advanced Filters Badge */}
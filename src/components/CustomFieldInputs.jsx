@@ -0,0 +1,125 @@
+/**
+ * CustomFieldInputs.jsx
+ *
+ * Inputs for the custom fields of an asset type, used by the asset
+ * registration and edit forms. Renders one grid cell per field (a fragment,
+ * so the cells sit in the form's own grid) with an input matching the field
+ * type. The server checks the values again when the asset is saved.
+ *
+ * Props:
+ * @param {Array} fields - Field definitions (tag.customFields)
+ * @param {Object} values - Current values, keyed by field key
+ * @param {Function} onChange - Called with (key, value) when a value changes
+ * @param {string} wrapperClassName - Class of each grid cell
+ * @param {string} labelClassName - Class of the field labels
+ * @param {string} inputClassName - Class of the inputs
+ */
+
+import React from "react";
+
+export default function CustomFieldInputs({
+  fields,
+  values,
+  onChange,
+  wrapperClassName = "flex flex-col",
+  labelClassName = "text-sm font-medium text-gray-700 dark:text-gray-300 pb-2",
+  inputClassName = "",
+}) {
+  /**
+   * Input for one field
+   * @param {Object} field - Field definition
+   */
+  const renderInput = (field) => {
+    const value = values?.[field.key];
+    const common = {
+      name: `customFields.${field.key}`,
+      required: field.required,
+      className: inputClassName,
+    };
+
+    switch (field.type) {
+      case "number":
+        return (
+          <input
+            {...common}
+            type="number"
+            step="any"
+            min={field.min ?? undefined}
+            max={field.max ?? undefined}
+            value={value ?? ""}
+            onChange={(e) => onChange(field.key, e.target.value)}
+          />
+        );
+      case "date":
+        return (
+          <input
+            {...common}
+            type="date"
+            value={value || ""}
+            onChange={(e) => onChange(field.key, e.target.value)}
+          />
+        );
+      case "dropdown":
+        return (
+          <select
+            {...common}
+            value={value || ""}
+            onChange={(e) => onChange(field.key, e.target.value)}
+          >
+            <option value="">Select {field.label.toLowerCase()}</option>
+            {(field.options || []).map((option) => (
+              <option key={option} value={option}>
+                {option}
+              </option>
+            ))}
+          </select>
+        );
+      case "boolean":
+        return (
+          <select
+            {...common}
+            value={value === true ? "true" : value === false ? "false" : ""}
+            onChange={(e) =>
+              onChange(
+                field.key,
+                e.target.value === "" ? "" : e.target.value === "true"
+              )
+            }
+          >
+            <option value="">Not set</option>
+            <option value="true">Yes</option>
+            <option value="false">No</option>
+          </select>
+        );
+      default:
+        return (
+          <input
+            {...common}
+            type="text"
+            maxLength={field.maxLength || undefined}
+            value={value ?? ""}
+            onChange={(e) => onChange(field.key, e.target.value)}
+          />
+        );
+    }
+  };
+
+  return (
+    <>
+      {fields.map((field) => (
+        <label key={field.key} className={wrapperClassName}>
+          <span className={labelClassName}>
+            {field.label}
+            {field.required && <span className="text-red-500"> *</span>}
+          </span>
+          {renderInput(field)}
+          {field.helpText && (
+            <span className="text-xs text-gray-500 dark:text-gray-400 mt-1">
+              {field.helpText}
+            </span>
+          )}
+        </label>
+      ))}
+    </>
+  );
+}
@@ -8,22 +8,32 @@
  * - Asset statistics cards (Total, In Use, Under Maintenance, Retired)
  * - Visual pie chart showing asset status distribution
  * - Recent activity table showing latest asset actions
+ * - Expiring warranties list (warranties ending in the next 90 days)
+ * - Totals cover the user's data scope only (their departments or locations)
+ * - Counts come from the server (/equipment/summary), which applies the filters
  * - Responsive design that works on all screen sizes
  * - Dark mode support
  *
  * Props:
- * @param {Array} assets - Array of all equipment/asset items
  * @param {Array} recentActivity - Array of recent activity objects with asset, action, user, and date
  */
 
-import React, { useState, useEffect, useCallback } from "react";
-import API_BASE_URL from "../config/api";
+import React, { useState, useEffect, useCallback, useContext } from "react";
+import API_BASE_URL, { getAuthHeaders } from "../config/api";
+import { fetchAssetPage, fetchAssetSummary } from "../config/assets";
+import { EquipmentContext } from "../context/EquipmentContext";
+import { describeDataScope } from "../config/permissions";
+import { useAuth } from "../context/AuthContext";
+
+// How far ahead the Expiring Warranties widget looks
+const WARRANTY_WINDOW_DAYS = 90;
+
+export default function Dashboard({ recentActivity = [], onNavigate }) {
+  const { user } = useAuth();
+  const { assetRevision } = useContext(EquipmentContext);
+  // The server only returns assets in the user's data scope
+  const scopeDescription = describeDataScope(user?.effectiveDataScope);
 
-export default function Dashboard({
-  assets = [],
-  recentActivity = [],
-  onNavigate,
-}) {
   // Filter modal state
   const [showFilterModal, setShowFilterModal] = useState(false);
   const [filters, setFilters] = useState({
@@ -53,14 +63,18 @@ export default function Dashboard({
   const loadMaintenanceStats = useCallback(async () => {
     try {
       const [overdue, dueToday, inProgress, scheduled] = await Promise.all([
-        fetch(`${API_BASE_URL}/maintenance/overdue/list`).then((r) => r.json()),
-        fetch(`${API_BASE_URL}/maintenance/due/today`).then((r) => r.json()),
-        fetch(`${API_BASE_URL}/maintenance?status=In Progress`).then((r) =>
-          r.json()
-        ),
-        fetch(`${API_BASE_URL}/maintenance?status=Scheduled`).then((r) =>
-          r.json()
-        ),
+        fetch(`${API_BASE_URL}/maintenance/overdue/list`, {
+          headers: getAuthHeaders(),
+        }).then((r) => r.json()),
+        fetch(`${API_BASE_URL}/maintenance/due/today`, {
+          headers: getAuthHeaders(),
+        }).then((r) => r.json()),
+        fetch(`${API_BASE_URL}/maintenance?status=In Progress`, {
+          headers: getAuthHeaders(),
+        }).then((r) => r.json()),
+        fetch(`${API_BASE_URL}/maintenance?status=Scheduled`, {
+          headers: getAuthHeaders(),
+        }).then((r) => r.json()),
       ]);
 
       setMaintenanceStats({
@@ -78,51 +92,49 @@ export default function Dashboard({
     loadMaintenanceStats();
   }, [loadMaintenanceStats]);
 
-  // Apply filters to assets
-  const filteredAssets = assets.filter((asset) => {
-    // Status filter
-    if (appliedFilters.status && asset.status !== appliedFilters.status) {
-      return false;
-    }
+  // Asset counts for the applied filters
+  const [summary, setSummary] = useState({
+    total: 0,
+    byStatus: {},
+    totalInScope: 0,
+    categories: [],
+    locations: [],
+  });
 
-    // Category filter
-    if (appliedFilters.category && asset.category !== appliedFilters.category) {
-      return false;
-    }
+  // Warranties ending within the next 90 days, soonest first (first five)
+  const [expiringWarranties, setExpiringWarranties] = useState({
+    items: [],
+    total: 0,
+  });
 
-    // Location filter
-    if (appliedFilters.location && asset.location !== appliedFilters.location) {
-      return false;
-    }
+  // Reload the counts when the filters change or assets change
+  useEffect(() => {
+    fetchAssetSummary(appliedFilters)
+      .then(setSummary)
+      .catch((error) => console.error("Error loading asset summary:", error));
+  }, [appliedFilters, assetRevision.any]);
 
-    // Date range filter (based on acquisition/purchase date)
-    if (appliedFilters.dateFrom || appliedFilters.dateTo) {
-      const assetDate = new Date(
-        asset.acquisitionDate || asset.purchaseDate || asset.createdAt
+  useEffect(() => {
+    fetchAssetPage({
+      warranty: "expiring",
+      warrantyDays: WARRANTY_WINDOW_DAYS,
+      sort: "warrantyEndDate",
+      pageSize: 5,
+    })
+      .then(setExpiringWarranties)
+      .catch((error) =>
+        console.error("Error loading expiring warranties:", error)
       );
+  }, [assetRevision.any]);
 
-      if (appliedFilters.dateFrom) {
-        const fromDate = new Date(appliedFilters.dateFrom);
-        if (assetDate < fromDate) return false;
-      }
-
-      if (appliedFilters.dateTo) {
-        const toDate = new Date(appliedFilters.dateTo);
-        toDate.setHours(23, 59, 59, 999); // Include the entire end date
-        if (assetDate > toDate) return false;
-      }
-    }
-
-    return true;
-  });
+  const today = new Date();
+  today.setHours(0, 0, 0, 0);
 
-  // Calculate asset statistics from filtered data
-  const totalAssets = filteredAssets.length;
-  const inUse = filteredAssets.filter((a) => a.status === "In Use").length;
-  const inMaintenance = filteredAssets.filter(
-    (a) => a.status === "Under Maintenance"
-  ).length;
-  const retired = filteredAssets.filter((a) => a.status === "Retired").length;
+  // Asset statistics for the applied filters
+  const totalAssets = summary.total;
+  const inUse = summary.byStatus["In Use"] || 0;
+  const inMaintenance = summary.byStatus["Under Maintenance"] || 0;
+  const retired = summary.byStatus.Retired || 0;
 
   // Calculate percentages for the chart
   const inUsePercent =
@@ -160,13 +172,9 @@ export default function Dashboard({
     setAppliedFilters(resetFilters);
   };
 
-  // Get unique values for filter dropdowns
-  const uniqueCategories = [
-    ...new Set(assets.map((a) => a.category).filter(Boolean)),
-  ];
-  const uniqueLocations = [
-    ...new Set(assets.map((a) => a.location).filter(Boolean)),
-  ];
+  // Values in use, for the filter dropdowns
+  const uniqueCategories = summary.categories;
+  const uniqueLocations = summary.locations;
 
   // Check if any filters are active
   const hasActiveFilters =
@@ -184,9 +192,14 @@ export default function Dashboard({
           <h1 className="text-gray-900 dark:text-gray-100 text-3xl font-bold leading-tight">
             Dashboard
           </h1>
+          {scopeDescription && (
+            <p className="text-sm text-gray-600 dark:text-gray-400 mt-1">
+              Showing assets in the {scopeDescription} only
+            </p>
+          )}
           {hasActiveFilters && (
             <p className="text-sm text-blue-600 dark:text-blue-400 mt-1">
-              Showing {totalAssets} of {assets.length} assets (filtered)
+              Showing {totalAssets} of {summary.totalInScope} assets (filtered)
             </p>
           )}
         </div>
@@ -543,6 +556,71 @@ export default function Dashboard({
         </div>
       </div>
 
+      {/* Expiring Warranties */}
+      <div className="bg-white dark:bg-gray-800 rounded-lg border border-gray-200 dark:border-gray-700 p-6">
+        <div className="flex items-center justify-between mb-4">
+          <h2 className="text-xl font-bold text-gray-900 dark:text-white">
+            Expiring Warranties
+          </h2>
+          <span className="text-sm text-gray-500 dark:text-gray-400">
+            Next {WARRANTY_WINDOW_DAYS} days
+          </span>
+        </div>
+
+        {expiringWarranties.total === 0 ? (
+          <p className="text-sm text-gray-500 dark:text-gray-400">
+            No warranties expire in the next {WARRANTY_WINDOW_DAYS} days
+          </p>
+        ) : (
+          <ul className="divide-y divide-gray-200 dark:divide-gray-700">
+            {expiringWarranties.items.map((asset) => {
+              const daysLeft = Math.round(
+                (new Date(asset.warrantyEndDate).setHours(0, 0, 0, 0) - today) /
+                  (1000 * 60 * 60 * 24)
+              );
+              return (
+                <li
+                  key={asset._id || asset.id}
+                  className="flex items-center justify-between gap-4 py-3"
+                >
+                  <div className="min-w-0">
+                    <p className="text-sm font-medium text-gray-900 dark:text-white truncate">
+                      {asset.name}
+                    </p>
+                    <p className="text-xs text-gray-500 dark:text-gray-400">
+                      {asset.id}
+                      {asset.warrantyProvider && ` - ${asset.warrantyProvider}`}
+                    </p>
+                  </div>
+                  <div className="text-right shrink-0">
+                    <p
+                      className={`text-sm font-semibold ${
+                        daysLeft <= 7
+                          ? "text-red-600 dark:text-red-400"
+                          : daysLeft <= 30
+                          ? "text-orange-600 dark:text-orange-400"
+                          : "text-gray-700 dark:text-gray-300"
+                      }`}
+                    >
+                      {daysLeft === 0 ? "Today" : `${daysLeft} day(s)`}
+                    </p>
+                    <p className="text-xs text-gray-500 dark:text-gray-400">
+                      {new Date(asset.warrantyEndDate).toLocaleDateString()}
+                    </p>
+                  </div>
+                </li>
+              );
+            })}
+          </ul>
+        )}
+        {expiringWarranties.total > expiringWarranties.items.length && (
+          <p className="mt-3 text-xs text-gray-500 dark:text-gray-400">
+            and {expiringWarranties.total - expiringWarranties.items.length}{" "}
+            more
+          </p>
+        )}
+      </div>
+
       {/* Filter Modal */}
       {showFilterModal && (
         <div className="fixed inset-0 z-50 flex items-center justify-center bg-black/60 p-4">
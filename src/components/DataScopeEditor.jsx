@@ -0,0 +1,123 @@
+/**
+ * DataScopeEditor.jsx
+ *
+ * Picks the departments and locations whose assets a role or user may
+ * access. Used by the role editor (Settings > Roles) and the user
+ * permissions modal. Nothing ticked means every asset; a location also
+ * covers everything beneath it in the location tree.
+ *
+ * Props:
+ * @param {Object} value - { departments, locations, ownDepartment }
+ * @param {Function} onChange - Called with the new value
+ * @param {boolean} [allowOwnDepartment] - Offer "the user's own department" (roles)
+ * @param {boolean} [disabled] - Read-only
+ */
+
+import React, { useState, useEffect } from "react";
+import API_BASE_URL from "../config/api";
+import { fetchLocations } from "../config/locations";
+
+export default function DataScopeEditor({
+  value,
+  onChange,
+  allowOwnDepartment = false,
+  disabled = false,
+}) {
+  const [departments, setDepartments] = useState([]);
+  const [locations, setLocations] = useState([]);
+
+  // Load the department and location names to choose from
+  useEffect(() => {
+    let cancelled = false;
+    Promise.all([
+      fetch(`${API_BASE_URL}/equipment/departments/list`).then((response) =>
+        response.ok ? response.json() : []
+      ),
+      fetchLocations().catch(() => ({ locations: [] })),
+    ])
+      .then(([departmentNames, tree]) => {
+        if (cancelled) return;
+        setDepartments(departmentNames);
+        setLocations([
+          ...new Set(tree.locations.map((location) => location.name)),
+        ]);
+      })
+      .catch((error) => console.error("Error loading scope options:", error));
+    return () => {
+      cancelled = true;
+    };
+  }, []);
+
+  const selected = {
+    departments: value?.departments || [],
+    locations: value?.locations || [],
+  };
+
+  const toggle = (key, name) => {
+    const names = selected[key].includes(name)
+      ? selected[key].filter((item) => item !== name)
+      : [...selected[key], name];
+    onChange({ ...value, [key]: names });
+  };
+
+  /**
+   * One column of checkboxes; names already in the scope stay listed even
+   * if their department or location was removed, so they can be unticked
+   */
+  const renderList = (key, title, options) => {
+    const names = [...new Set([...options, ...selected[key]])].sort();
+    return (
+      <div>
+        <p className="text-sm font-medium text-gray-700 dark:text-gray-300 mb-2">
+          {title}
+        </p>
+        {names.length === 0 ? (
+          <p className="text-xs text-gray-500 dark:text-gray-400">
+            None defined yet.
+          </p>
+        ) : (
+          <div className="max-h-48 overflow-y-auto space-y-1 border dark:border-gray-700 rounded-md p-2">
+            {names.map((name) => (
+              <label
+                key={name}
+                className="flex items-center gap-2 text-sm text-gray-900 dark:text-white cursor-pointer"
+              >
+                <input
+                  type="checkbox"
+                  checked={selected[key].includes(name)}
+                  onChange={() => toggle(key, name)}
+                  disabled={disabled}
+                  className="h-4 w-4 text-blue-600 border-gray-300 rounded focus:ring-blue-500"
+                />
+                {name}
+              </label>
+            ))}
+          </div>
+        )}
+      </div>
+    );
+  };
+
+  return (
+    <div className="space-y-4">
+      <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+        {renderList("departments", "Departments", departments)}
+        {renderList("locations", "Locations", locations)}
+      </div>
+      {allowOwnDepartment && (
+        <label className="flex items-center gap-2 text-sm text-gray-900 dark:text-white cursor-pointer">
+          <input
+            type="checkbox"
+            checked={Boolean(value?.ownDepartment)}
+            onChange={(e) =>
+              onChange({ ...value, ownDepartment: e.target.checked })
+            }
+            disabled={disabled}
+            className="h-4 w-4 text-blue-600 border-gray-300 rounded focus:ring-blue-500"
+          />
+          Each user's own department
+        </label>
+      )}
+    </div>
+  );
+}
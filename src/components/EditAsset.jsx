@@ -19,9 +19,13 @@
  * - Asset Name - Primary identifier
  * - Tag ID - Unique asset tag/number
  * - Category - Dropdown selection (Computers, Laptops, Monitors, Furniture)
- * - Location - Dropdown selection (office locations, remote)
+ * - Location - Picked from the location tree (sites, buildings, floors, rooms)
+ * - Parent Asset - Asset this one is a component of; when the asset has
+ *   components, they can be moved along with it
  * - Acquisition Date - Date picker for purchase date
  * - Periodic Maintenance Schedule - Dropdown (None, Monthly, Quarterly, Annually)
+ * - Warranty start/end, provider and support contract reference/end date
+ * - Custom fields defined on the asset type's tag
  *
  * File Management:
  * - Upload new files (PDF, PNG, JPG, DOCX)
@@ -43,7 +47,6 @@
  * @state {File[]} newFiles - Newly uploaded files pending save
  *
  * Context Usage:
- * @context {Array} items - All assets for finding the asset to edit
  * @context {Function} updateEquipment - Function to update asset in context (to be implemented)
  *
  * Validation:
@@ -75,15 +78,67 @@
 
 import React, { useState, useContext, useEffect } from "react";
 import { EquipmentContext } from "../context/EquipmentContext";
-import API_BASE_URL from "../config/api";
+import API_BASE_URL, { getAuthHeaders } from "../config/api";
 import { getDefaultCurrency } from "../config/currency";
+import { fetchAsset, searchAssets } from "../config/assets";
+import LocationPicker from "./LocationPicker";
+import CustomFieldInputs from "./CustomFieldInputs";
+import { getCustomFields } from "../config/customFields";
+
+/**
+ * Convert a stored date (ISO string) to a date input value (YYYY-MM-DD)
+ */
+const toDateInput = (value) => (value ? String(value).split("T")[0] : "");
 
 const EditAsset = ({ assetId, onSave, onCancel }) => {
   // Access global equipment context
-  const { items, updateEquipment } = useContext(EquipmentContext);
+  const { updateEquipment } = useContext(EquipmentContext);
 
-  // Find the asset to edit
-  const asset = items.find((item) => item.id === assetId);
+  // State: The asset to edit and whether it has components, loaded once
+  const [loaded, setLoaded] = useState({
+    assetId: null,
+    asset: null,
+    hasComponents: false,
+  });
+
+  useEffect(() => {
+    let cancelled = false;
+    const loadAsset = async () => {
+      try {
+        const [data, componentsResponse] = await Promise.all([
+          fetchAsset(assetId),
+          fetch(
+            `${API_BASE_URL}/equipment/${encodeURIComponent(
+              assetId
+            )}/components`,
+            { headers: getAuthHeaders() }
+          ),
+        ]);
+        const components = componentsResponse.ok
+          ? await componentsResponse.json()
+          : null;
+        if (!cancelled) {
+          setLoaded({
+            assetId,
+            asset: data,
+            hasComponents: components?.components.length > 0,
+          });
+        }
+      } catch (error) {
+        console.error("Error fetching asset:", error);
+        if (!cancelled) {
+          setLoaded({ assetId, asset: null, hasComponents: false });
+        }
+      }
+    };
+    loadAsset();
+    return () => {
+      cancelled = true;
+    };
+  }, [assetId]);
+
+  // undefined while loading, null when not found
+  const asset = loaded.assetId === assetId ? loaded.asset : undefined;
 
   // Tags state - fetched from Tag Management
   const [tags, setTags] = useState([]);
@@ -98,6 +153,8 @@ const EditAsset = ({ assetId, onSave, onCancel }) => {
     id: asset?.id || "",
     category: asset?.category || "",
     location: asset?.location || "",
+    locationId: asset?.locationId || null,
+    parentId: asset?.parentId || "",
     acquisitionDate: asset?.acquisitionDate || asset?.purchaseDate || "",
     maintenanceSchedule:
       asset?.maintenancePeriod || asset?.maintenanceSchedule || "",
@@ -109,6 +166,12 @@ const EditAsset = ({ assetId, onSave, onCancel }) => {
     cost: asset?.cost || "",
     currency: asset?.currency || "",
     notes: asset?.notes || "",
+    warrantyStartDate: toDateInput(asset?.warrantyStartDate),
+    warrantyEndDate: toDateInput(asset?.warrantyEndDate),
+    warrantyProvider: asset?.warrantyProvider || "",
+    supportContractRef: asset?.supportContractRef || "",
+    supportContractEndDate: toDateInput(asset?.supportContractEndDate),
+    customFields: asset?.customFields || {},
   });
 
   // State: Users list for assignment dropdown
@@ -123,6 +186,13 @@ const EditAsset = ({ assetId, onSave, onCancel }) => {
   // State: Track if user made changes
   const [hasChanges, setHasChanges] = useState(false);
 
+  // State: Give components the asset's new location and department
+  const [cascadeToComponents, setCascadeToComponents] = useState(true);
+  const hasComponents = loaded.hasComponents;
+
+  // State: Assets matching the parent ID being typed
+  const [parentMatches, setParentMatches] = useState([]);
+
   // State: Toast notification
   const [showToast, setShowToast] = useState(false);
   const [toastMessage, setToastMessage] = useState("");
@@ -158,6 +228,8 @@ const EditAsset = ({ assetId, onSave, onCancel }) => {
         id: asset.id || "",
         category: asset.category || "",
         location: asset.location || "",
+        locationId: asset.locationId || null,
+        parentId: asset.parentId || "",
         acquisitionDate: asset.acquisitionDate || asset.purchaseDate || "",
         maintenanceSchedule:
           asset.maintenancePeriod || asset.maintenanceSchedule || "",
@@ -174,6 +246,12 @@ const EditAsset = ({ assetId, onSave, onCancel }) => {
           : "",
         currency: asset.currency || "",
         notes: asset.notes || "",
+        warrantyStartDate: toDateInput(asset.warrantyStartDate),
+        warrantyEndDate: toDateInput(asset.warrantyEndDate),
+        warrantyProvider: asset.warrantyProvider || "",
+        supportContractRef: asset.supportContractRef || "",
+        supportContractEndDate: toDateInput(asset.supportContractEndDate),
+        customFields: asset.customFields || {},
       });
       // Also load existing files if they exist
       if (asset.attachedFiles && Array.isArray(asset.attachedFiles)) {
@@ -197,7 +275,9 @@ const EditAsset = ({ assetId, onSave, onCancel }) => {
   useEffect(() => {
     const fetchUsers = async () => {
       try {
-        const response = await fetch(`${API_BASE_URL}/users`);
+        const response = await fetch(`${API_BASE_URL}/users/directory`, {
+          headers: getAuthHeaders(),
+        });
         if (response.ok) {
           const data = await response.json();
           setUsers(data);
@@ -214,7 +294,9 @@ const EditAsset = ({ assetId, onSave, onCancel }) => {
     const fetchTags = async () => {
       try {
         setLoadingTags(true);
-        const response = await fetch(`${API_BASE_URL}/tags`);
+        const response = await fetch(`${API_BASE_URL}/tags`, {
+          headers: getAuthHeaders(),
+        });
         if (!response.ok) {
           throw new Error("Failed to fetch tags");
         }
@@ -238,6 +320,44 @@ const EditAsset = ({ assetId, onSave, onCancel }) => {
     return tags.filter((tag) => tag.category === category);
   };
 
+  // Custom fields of the selected asset type
+  const customFields = getCustomFields(tags, formData.category);
+
+  /**
+   * Set a custom field value
+   * @param {string} key - Field key
+   * @param {*} value - New value
+   */
+  const handleCustomFieldChange = (key, value) => {
+    setFormData((prev) => ({
+      ...prev,
+      customFields: { ...prev.customFields, [key]: value },
+    }));
+    setHasChanges(true);
+  };
+
+  // Suggest parent assets once the user stops typing
+  useEffect(() => {
+    if (!formData.parentId.trim()) {
+      setParentMatches([]);
+      return;
+    }
+    const timer = setTimeout(() => {
+      searchAssets(formData.parentId)
+        .then(setParentMatches)
+        .catch((error) => console.error("Error searching assets:", error));
+    }, 300);
+    return () => clearTimeout(timer);
+  }, [formData.parentId]);
+
+  if (asset === undefined) {
+    return (
+      <div className="p-8 text-center">
+        <p className="text-gray-500 dark:text-gray-400">Loading asset...</p>
+      </div>
+    );
+  }
+
   // Handle asset not found
   if (!asset) {
     return (
@@ -333,10 +453,22 @@ const EditAsset = ({ assetId, onSave, onCancel }) => {
       return;
     }
 
+    if (
+      formData.warrantyStartDate &&
+      formData.warrantyEndDate &&
+      formData.warrantyEndDate < formData.warrantyStartDate
+    ) {
+      showToastNotification(
+        "Warranty end date must be after the start date.",
+        "error"
+      );
+      return;
+    }
+
     // Check for duplicate Tag ID (excluding current asset)
-    const duplicateId = items.find(
-      (item) => item.id === formData.id && item.id !== assetId
-    );
+    const duplicateId =
+      formData.id !== assetId &&
+      (await fetchAsset(formData.id).catch(() => null));
     if (duplicateId) {
       showToastNotification(
         "Tag ID already exists. Please use a unique Tag ID.",
@@ -355,6 +487,9 @@ const EditAsset = ({ assetId, onSave, onCancel }) => {
         id: formData.id,
         category: formData.category,
         location: formData.location,
+        locationId: formData.locationId,
+        parentId: formData.parentId.trim() || null,
+        cascadeToComponents: hasComponents && cascadeToComponents,
         acquisitionDate: formData.acquisitionDate,
         purchaseDate: formData.acquisitionDate, // Keep both for compatibility
         maintenancePeriod: formData.maintenanceSchedule,
@@ -369,6 +504,12 @@ const EditAsset = ({ assetId, onSave, onCancel }) => {
           : 0,
         currency: formData.currency,
         notes: formData.notes,
+        warrantyStartDate: formData.warrantyStartDate || null,
+        warrantyEndDate: formData.warrantyEndDate || null,
+        warrantyProvider: formData.warrantyProvider,
+        supportContractRef: formData.supportContractRef,
+        supportContractEndDate: formData.supportContractEndDate || null,
+        customFields: formData.customFields,
         // Do NOT include attachedFiles - it's managed separately
         lastModified: new Date().toISOString(),
       };
@@ -389,7 +530,7 @@ const EditAsset = ({ assetId, onSave, onCancel }) => {
     } catch (error) {
       console.error("Error updating asset:", error);
       showToastNotification(
-        "Failed to update asset. Please try again.",
+        error.message || "Failed to update asset. Please try again.",
         "error"
       );
     }
@@ -517,28 +658,64 @@ const EditAsset = ({ assetId, onSave, onCancel }) => {
               </label>
 
               {/* Location */}
-              <label className="flex flex-col">
+              <div className="flex flex-col">
                 <span className="text-sm font-medium text-gray-700 dark:text-gray-300 pb-2">
                   Location
                 </span>
-                <select
-                  name="location"
-                  value={formData.location}
+                <LocationPicker
+                  value={formData.locationId}
+                  onChange={(location) => {
+                    setFormData((prev) => ({
+                      ...prev,
+                      location: location?.name || "",
+                      locationId: location?._id || null,
+                    }));
+                    setHasChanges(true);
+                  }}
+                  placeholder={formData.location || "Select location"}
+                  allowClear
+                  className="w-full rounded-lg border border-gray-300 dark:border-gray-600 bg-white dark:bg-gray-700 text-gray-900 dark:text-white focus:ring-2 focus:ring-blue-500 focus:border-blue-500 h-12 px-3 text-base"
+                />
+              </div>
+
+              {/* Parent Asset */}
+              <label className="flex flex-col">
+                <span className="text-sm font-medium text-gray-700 dark:text-gray-300 pb-2">
+                  Component Of
+                </span>
+                <input
+                  type="text"
+                  name="parentId"
+                  list="parent-asset-options"
+                  value={formData.parentId}
                   onChange={handleChange}
                   className="w-full rounded-lg border border-gray-300 dark:border-gray-600 bg-white dark:bg-gray-700 text-gray-900 dark:text-white focus:ring-2 focus:ring-blue-500 focus:border-blue-500 h-12 px-3 text-base"
-                  disabled={loadingTags}
-                >
-                  <option value="">
-                    {loadingTags ? "Loading locations..." : "Select location"}
-                  </option>
-                  {getTagsByCategory("Location").map((tag) => (
-                    <option key={tag._id} value={tag.name}>
-                      {tag.name}
-                    </option>
-                  ))}
-                </select>
+                  placeholder="Parent asset ID (leave empty if standalone)"
+                />
+                <datalist id="parent-asset-options">
+                  {parentMatches
+                    .filter((item) => item.id !== assetId)
+                    .map((item) => (
+                      <option key={item.id} value={item.id}>
+                        {item.name}
+                      </option>
+                    ))}
+                </datalist>
               </label>
 
+              {hasComponents && (
+                <label className="flex items-center gap-2 col-span-1 md:col-span-2 text-sm text-gray-700 dark:text-gray-300">
+                  <input
+                    type="checkbox"
+                    checked={cascadeToComponents}
+                    onChange={(e) => setCascadeToComponents(e.target.checked)}
+                    className="rounded border-gray-300 text-blue-600 focus:ring-blue-500"
+                  />
+                  Move this asset's components too (apply location and
+                  department changes to everything fitted in it)
+                </label>
+              )}
+
               {/* Acquisition Date */}
               <label className="flex flex-col">
                 <span className="text-sm font-medium text-gray-700 dark:text-gray-300 pb-2">
@@ -656,6 +833,87 @@ const EditAsset = ({ assetId, onSave, onCancel }) => {
                 />
               </label>
 
+              {/* Warranty */}
+              <label className="flex flex-col">
+                <span className="text-sm font-medium text-gray-700 dark:text-gray-300 pb-2">
+                  Warranty Start
+                </span>
+                <input
+                  type="date"
+                  name="warrantyStartDate"
+                  value={formData.warrantyStartDate}
+                  onChange={handleChange}
+                  className="w-full rounded-lg border border-gray-300 dark:border-gray-600 bg-white dark:bg-gray-700 text-gray-900 dark:text-white focus:ring-2 focus:ring-blue-500 focus:border-blue-500 h-12 px-3 text-base"
+                />
+              </label>
+              <label className="flex flex-col">
+                <span className="text-sm font-medium text-gray-700 dark:text-gray-300 pb-2">
+                  Warranty End
+                </span>
+                <input
+                  type="date"
+                  name="warrantyEndDate"
+                  value={formData.warrantyEndDate}
+                  onChange={handleChange}
+                  className="w-full rounded-lg border border-gray-300 dark:border-gray-600 bg-white dark:bg-gray-700 text-gray-900 dark:text-white focus:ring-2 focus:ring-blue-500 focus:border-blue-500 h-12 px-3 text-base"
+                />
+              </label>
+              <label className="flex flex-col">
+                <span className="text-sm font-medium text-gray-700 dark:text-gray-300 pb-2">
+                  Warranty Provider
+                </span>
+                <input
+                  type="text"
+                  name="warrantyProvider"
+                  value={formData.warrantyProvider}
+                  onChange={handleChange}
+                  className="w-full rounded-lg border border-gray-300 dark:border-gray-600 bg-white dark:bg-gray-700 text-gray-900 dark:text-white focus:ring-2 focus:ring-blue-500 focus:border-blue-500 h-12 px-3 text-base"
+                  placeholder="e.g., Dell ProSupport"
+                />
+              </label>
+
+              {/* Support Contract */}
+              <label className="flex flex-col">
+                <span className="text-sm font-medium text-gray-700 dark:text-gray-300 pb-2">
+                  Support Contract Reference
+                </span>
+                <input
+                  type="text"
+                  name="supportContractRef"
+                  value={formData.supportContractRef}
+                  onChange={handleChange}
+                  className="w-full rounded-lg border border-gray-300 dark:border-gray-600 bg-white dark:bg-gray-700 text-gray-900 dark:text-white focus:ring-2 focus:ring-blue-500 focus:border-blue-500 h-12 px-3 text-base"
+                  placeholder="e.g., SC-2024-0192"
+                />
+              </label>
+              <label className="flex flex-col">
+                <span className="text-sm font-medium text-gray-700 dark:text-gray-300 pb-2">
+                  Support Contract End
+                </span>
+                <input
+                  type="date"
+                  name="supportContractEndDate"
+                  value={formData.supportContractEndDate}
+                  onChange={handleChange}
+                  className="w-full rounded-lg border border-gray-300 dark:border-gray-600 bg-white dark:bg-gray-700 text-gray-900 dark:text-white focus:ring-2 focus:ring-blue-500 focus:border-blue-500 h-12 px-3 text-base"
+                />
+              </label>
+
+              {/* Custom fields of the asset type */}
+              {customFields.length > 0 && (
+                <>
+                  <h3 className="col-span-1 md:col-span-2 text-base font-bold text-gray-900 dark:text-white pt-2 border-t border-gray-200 dark:border-gray-700">
+                    {formData.category} Details
+                  </h3>
+                  <CustomFieldInputs
+                    fields={customFields}
+                    values={formData.customFields}
+                    onChange={handleCustomFieldChange}
+                    inputClassName="w-full rounded-lg border border-gray-300 dark:border-gray-600 bg-white dark:bg-gray-700 text-gray-900 dark:text-white focus:ring-2 focus:ring-blue-500 focus:border-blue-500 h-12 px-3 text-base"
+                  />
+                </>
+              )}
+
               {/* Notes */}
               <label className="flex flex-col col-span-1 md:col-span-2">
                 <span className="text-sm font-medium text-gray-700 dark:text-gray-300 pb-2 flex items-center gap-2">
@@ -0,0 +1,446 @@
+/**
+ * EmailSettings.jsx
+ *
+ * "Email" section of the Settings page.
+ * Edits the SMTP server used for password reset and notification emails,
+ * sends a test email with the saved settings, and lists the most recent
+ * emails in the outbox with their delivery status.
+ *
+ * Props:
+ * @param {Function} onNotify - Toast callback (message, type)
+ */
+
+import React, { useState, useEffect, useCallback } from "react";
+import API_BASE_URL, { getAuthHeaders } from "../config/api";
+import { useAuth } from "../context/AuthContext";
+import Toggle from "./Toggle";
+
+// Badge colours per outbox status
+const STATUS_STYLES = {
+  Pending:
+    "bg-yellow-100 text-yellow-800 dark:bg-yellow-900/30 dark:text-yellow-300",
+  Sending: "bg-blue-100 text-blue-800 dark:bg-blue-900/30 dark:text-blue-300",
+  Sent: "bg-green-100 text-green-800 dark:bg-green-900/30 dark:text-green-300",
+  Failed: "bg-red-100 text-red-800 dark:bg-red-900/30 dark:text-red-300",
+};
+
+const EMPTY_FORM = {
+  emailNotificationsEnabled: false,
+  emailHost: "",
+  emailPort: 587,
+  emailSecure: false,
+  emailUsername: "",
+  emailPassword: "",
+  emailFrom: "",
+};
+
+const inputClassName =
+  "w-full rounded-md border-gray-300 dark:border-gray-600 bg-gray-50 dark:bg-gray-700 text-gray-900 dark:text-white focus:ring-2 focus:ring-blue-500 focus:border-blue-500 px-3 py-2 disabled:opacity-60";
+
+/**
+ * Label + control row used by every field
+ */
+const FieldRow = ({ label, htmlFor, help, children }) => (
+  <div className="grid grid-cols-1 sm:grid-cols-3 gap-2 items-start">
+    <label
+      className="text-sm font-medium text-gray-900 dark:text-white sm:pt-2"
+      htmlFor={htmlFor}
+    >
+      {label}
+    </label>
+    <div className="sm:col-span-2">
+      {children}
+      {help && (
+        <p className="text-xs text-gray-500 dark:text-gray-400 mt-1">{help}</p>
+      )}
+    </div>
+  </div>
+);
+
+export default function EmailSettings({ onNotify }) {
+  const { user, hasPermission } = useAuth();
+  const canEdit = hasPermission("editSettings");
+
+  const [form, setForm] = useState(EMPTY_FORM);
+  const [passwordSet, setPasswordSet] = useState(false);
+  const [emails, setEmails] = useState([]);
+  const [testRecipient, setTestRecipient] = useState(user?.email || "");
+  const [loading, setLoading] = useState(false);
+  const [saving, setSaving] = useState(false);
+  const [testing, setTesting] = useState(false);
+
+  const applySettings = (data) => {
+    setForm({
+      emailNotificationsEnabled: data.emailNotificationsEnabled || false,
+      emailHost: data.emailHost || "",
+      emailPort: data.emailPort || 587,
+      emailSecure: data.emailSecure || false,
+      emailUsername: data.emailUsername || "",
+      emailPassword: "",
+      emailFrom: data.emailFrom || "",
+    });
+    setPasswordSet(Boolean(data.emailPasswordSet));
+  };
+
+  // Load recent outbox entries
+  const loadEmails = useCallback(async () => {
+    try {
+      const response = await fetch(
+        `${API_BASE_URL}/settings/email-outbox?limit=20`,
+        { headers: getAuthHeaders() }
+      );
+      if (response.ok) {
+        setEmails(await response.json());
+      }
+    } catch (error) {
+      console.error("Error loading email outbox:", error);
+    }
+  }, []);
+
+  // Load SMTP settings and the outbox
+  const loadSettings = useCallback(async () => {
+    setLoading(true);
+    try {
+      const response = await fetch(`${API_BASE_URL}/settings`, {
+        headers: getAuthHeaders(),
+      });
+      if (response.ok) {
+        applySettings(await response.json());
+      }
+      await loadEmails();
+    } catch (error) {
+      console.error("Error loading email settings:", error);
+    } finally {
+      setLoading(false);
+    }
+  }, [loadEmails]);
+
+  useEffect(() => {
+    loadSettings();
+  }, [loadSettings]);
+
+  const updateField = (field, value) =>
+    setForm((prev) => ({ ...prev, [field]: value }));
+
+  /**
+   * Save the SMTP settings. The password is only sent when a new one was
+   * typed, so the stored one is kept otherwise.
+   */
+  const handleSave = async (e) => {
+    e.preventDefault();
+    setSaving(true);
+    try {
+      const { emailPassword, ...rest } = form;
+      const body = {
+        ...rest,
+        emailPort: Number(form.emailPort) || 587,
+        ...(emailPassword ? { emailPassword } : {}),
+      };
+
+      const response = await fetch(`${API_BASE_URL}/settings`, {
+        method: "PUT",
+        headers: getAuthHeaders({ "Content-Type": "application/json" }),
+        body: JSON.stringify(body),
+      });
+      const data = await response.json();
+      if (!response.ok) {
+        onNotify(data.message || "Failed to save email settings", "error");
+        return;
+      }
+      applySettings(data);
+      onNotify("Email settings saved", "success");
+    } catch (error) {
+      console.error("Error saving email settings:", error);
+      onNotify("Failed to save email settings", "error");
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  /**
+   * Send a test email with the saved settings
+   */
+  const handleSendTest = async () => {
+    setTesting(true);
+    try {
+      const response = await fetch(`${API_BASE_URL}/settings/test-email`, {
+        method: "POST",
+        headers: getAuthHeaders({ "Content-Type": "application/json" }),
+        body: JSON.stringify({ to: testRecipient }),
+      });
+      const data = await response.json();
+      if (!response.ok) {
+        onNotify(data.message || "Failed to send test email", "error");
+        return;
+      }
+      onNotify(data.message || "Test email sent", "success");
+    } catch (error) {
+      console.error("Error sending test email:", error);
+      onNotify("Failed to send test email", "error");
+    } finally {
+      setTesting(false);
+    }
+  };
+
+  return (
+    <div className="flex flex-col gap-8">
+      {/* SMTP Settings Card */}
+      <form
+        onSubmit={handleSave}
+        className="bg-white dark:bg-gray-800 border border-gray-200 dark:border-gray-700 rounded-lg shadow-sm"
+      >
+        <div className="p-6 border-b border-gray-200 dark:border-gray-700">
+          <h2 className="text-lg font-bold text-gray-900 dark:text-white">
+            Email Delivery
+          </h2>
+          <p className="text-sm text-gray-600 dark:text-gray-400 mt-1">
+            SMTP server used for password reset links and notification emails.
+            Notification emails also need Email Notifications turned on in the
+            General section; users choose which ones they get in their profile.
+          </p>
+        </div>
+
+        <div className="p-6 flex flex-col gap-6">
+          <FieldRow label="Send Emails" htmlFor="emailNotificationsEnabled">
+            <div className="flex items-center gap-3 sm:pt-1">
+              <Toggle
+                id="emailNotificationsEnabled"
+                checked={form.emailNotificationsEnabled}
+                disabled={!canEdit || loading}
+                onChange={(value) =>
+                  updateField("emailNotificationsEnabled", value)
+                }
+              />
+              <span className="text-sm text-gray-600 dark:text-gray-400">
+                Deliver emails through the SMTP server below
+              </span>
+            </div>
+          </FieldRow>
+
+          <FieldRow label="SMTP Host" htmlFor="emailHost">
+            <input
+              id="emailHost"
+              type="text"
+              value={form.emailHost}
+              onChange={(e) => updateField("emailHost", e.target.value)}
+              disabled={!canEdit || loading}
+              placeholder="smtp.example.com"
+              className={inputClassName}
+            />
+          </FieldRow>
+
+          <FieldRow
+            label="Port"
+            htmlFor="emailPort"
+            help="Usually 587 (STARTTLS) or 465 (TLS)."
+          >
+            <div className="flex items-center gap-6">
+              <input
+                id="emailPort"
+                type="number"
+                min="1"
+                max="65535"
+                value={form.emailPort}
+                onChange={(e) => updateField("emailPort", e.target.value)}
+                disabled={!canEdit || loading}
+                className={`${inputClassName} max-w-[120px]`}
+              />
+              <div className="flex items-center gap-3">
+                <Toggle
+                  id="emailSecure"
+                  checked={form.emailSecure}
+                  disabled={!canEdit || loading}
+                  onChange={(value) => updateField("emailSecure", value)}
+                />
+                <span className="text-sm text-gray-600 dark:text-gray-400">
+                  Use TLS from the start (port 465)
+                </span>
+              </div>
+            </div>
+          </FieldRow>
+
+          <FieldRow label="Username" htmlFor="emailUsername">
+            <input
+              id="emailUsername"
+              type="text"
+              autoComplete="off"
+              value={form.emailUsername}
+              onChange={(e) => updateField("emailUsername", e.target.value)}
+              disabled={!canEdit || loading}
+              className={inputClassName}
+            />
+          </FieldRow>
+
+          <FieldRow
+            label="Password"
+            htmlFor="emailPassword"
+            help={
+              passwordSet
+                ? "A password is saved. Leave empty to keep it."
+                : undefined
+            }
+          >
+            <input
+              id="emailPassword"
+              type="password"
+              autoComplete="new-password"
+              value={form.emailPassword}
+              onChange={(e) => updateField("emailPassword", e.target.value)}
+              disabled={!canEdit || loading}
+              placeholder={passwordSet ? "••••••••" : ""}
+              className={inputClassName}
+            />
+          </FieldRow>
+
+          <FieldRow
+            label="From Address"
+            htmlFor="emailFrom"
+            help="Sender address. Defaults to the username when empty."
+          >
+            <input
+              id="emailFrom"
+              type="email"
+              value={form.emailFrom}
+              onChange={(e) => updateField("emailFrom", e.target.value)}
+              disabled={!canEdit || loading}
+              placeholder="assets@example.com"
+              className={inputClassName}
+            />
+          </FieldRow>
+        </div>
+
+        {canEdit && (
+          <div className="p-6 border-t border-gray-200 dark:border-gray-700 flex justify-end gap-3">
+            <button
+              type="button"
+              onClick={loadSettings}
+              disabled={saving}
+              className="flex min-w-[84px] cursor-pointer items-center justify-center rounded-lg h-10 px-4 bg-white dark:bg-gray-700 text-gray-900 dark:text-white border border-gray-300 dark:border-gray-600 text-sm font-bold hover:bg-gray-50 dark:hover:bg-gray-600 transition-colors disabled:opacity-50"
+            >
+              Cancel
+            </button>
+            <button
+              type="submit"
+              disabled={saving || loading}
+              className="flex min-w-[84px] cursor-pointer items-center justify-center rounded-lg h-10 px-4 bg-blue-600 text-white text-sm font-bold hover:bg-blue-700 transition-colors disabled:opacity-50"
+            >
+              {saving ? "Saving..." : "Save Email Settings"}
+            </button>
+          </div>
+        )}
+      </form>
+
+      {/* Test Email Card */}
+      {canEdit && (
+        <div className="bg-white dark:bg-gray-800 border border-gray-200 dark:border-gray-700 rounded-lg shadow-sm">
+          <div className="p-6 border-b border-gray-200 dark:border-gray-700">
+            <h2 className="text-lg font-bold text-gray-900 dark:text-white">
+              Send Test Email
+            </h2>
+            <p className="text-sm text-gray-600 dark:text-gray-400 mt-1">
+              Sends straight away with the saved settings, so save any changes
+              first. Works before delivery is turned on.
+            </p>
+          </div>
+          <div className="p-6 flex flex-col sm:flex-row gap-3">
+            <input
+              type="email"
+              value={testRecipient}
+              onChange={(e) => setTestRecipient(e.target.value)}
+              placeholder="you@example.com"
+              className={`${inputClassName} sm:max-w-sm`}
+            />
+            <button
+              type="button"
+              onClick={handleSendTest}
+              disabled={testing || !testRecipient}
+              className="flex items-center justify-center gap-2 rounded-lg h-10 px-4 bg-blue-600 text-white text-sm font-bold hover:bg-blue-700 transition-colors disabled:opacity-50 whitespace-nowrap"
+            >
+              <span className="material-symbols-outlined text-base">send</span>
+              {testing ? "Sending..." : "Send Test Email"}
+            </button>
+          </div>
+        </div>
+      )}
+
+      {/* Outbox Card */}
+      <div className="bg-white dark:bg-gray-800 border border-gray-200 dark:border-gray-700 rounded-lg shadow-sm">
+        <div className="p-6 border-b border-gray-200 dark:border-gray-700 flex items-center justify-between">
+          <div>
+            <h2 className="text-lg font-bold text-gray-900 dark:text-white">
+              Recent Emails
+            </h2>
+            <p className="text-sm text-gray-600 dark:text-gray-400 mt-1">
+              The last 20 queued emails. Failed sends are retried automatically,
+              up to 5 attempts.
+            </p>
+          </div>
+          <button
+            onClick={loadEmails}
+            className="flex items-center gap-1 text-sm font-medium text-blue-600 hover:text-blue-800 dark:text-blue-400"
+          >
+            <span className="material-symbols-outlined text-base">refresh</span>
+            Refresh
+          </button>
+        </div>
+
+        {emails.length === 0 ? (
+          <p className="p-6 text-sm text-gray-500 dark:text-gray-400">
+            No emails have been queued yet.
+          </p>
+        ) : (
+          <div className="overflow-x-auto">
+            <table className="w-full text-left text-sm">
+              <thead className="bg-gray-50 dark:bg-gray-700/50">
+                <tr>
+                  <th className="px-6 py-3 font-medium text-gray-700 dark:text-gray-300">
+                    To
+                  </th>
+                  <th className="px-6 py-3 font-medium text-gray-700 dark:text-gray-300">
+                    Subject
+                  </th>
+                  <th className="px-6 py-3 font-medium text-gray-700 dark:text-gray-300">
+                    Status
+                  </th>
+                  <th className="px-6 py-3 font-medium text-gray-700 dark:text-gray-300">
+                    Queued
+                  </th>
+                  <th className="px-6 py-3 font-medium text-gray-700 dark:text-gray-300">
+                    Attempts
+                  </th>
+                </tr>
+              </thead>
+              <tbody className="divide-y divide-gray-200 dark:divide-gray-700">
+                {emails.map((email) => (
+                  <tr key={email._id}>
+                    <td className="px-6 py-3 text-gray-900 dark:text-white whitespace-nowrap">
+                      {email.to}
+                    </td>
+                    <td className="px-6 py-3 text-gray-700 dark:text-gray-300">
+                      {email.subject}
+                    </td>
+                    <td className="px-6 py-3" title={email.lastError}>
+                      <span
+                        className={`inline-flex items-center rounded-full px-2 py-0.5 text-xs font-medium ${
+                          STATUS_STYLES[email.status] || STATUS_STYLES.Pending
+                        }`}
+                      >
+                        {email.status}
+                      </span>
+                    </td>
+                    <td className="px-6 py-3 text-gray-700 dark:text-gray-300 whitespace-nowrap">
+                      {new Date(email.createdAt).toLocaleString()}
+                    </td>
+                    <td className="px-6 py-3 text-gray-700 dark:text-gray-300">
+                      {email.attempts}/{email.maxAttempts}
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        )}
+      </div>
+    </div>
+  );
+}
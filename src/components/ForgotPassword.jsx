@@ -0,0 +1,139 @@
+/**
+ * ForgotPassword.jsx
+ *
+ * Public page where users ask for a password reset link.
+ * The server emails the link (see ResetPassword.jsx); the response is the
+ * same whether or not the address belongs to an account.
+ */
+
+import React, { useState } from "react";
+import { Link } from "react-router-dom";
+import API_BASE_URL from "../config/api";
+
+const ForgotPassword = () => {
+  const [email, setEmail] = useState("");
+  const [error, setError] = useState("");
+  const [sent, setSent] = useState(false);
+  const [loading, setLoading] = useState(false);
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setError("");
+    setLoading(true);
+
+    try {
+      const response = await fetch(`${API_BASE_URL}/auth/forgot-password`, {
+        method: "POST",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify({ email }),
+      });
+      const data = await response.json();
+
+      if (!response.ok) {
+        throw new Error(data.message || "Failed to request a reset link");
+      }
+      setSent(true);
+    } catch (err) {
+      setError(err.message || "Failed to request a reset link");
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  return (
+    <div className="min-h-screen w-full flex items-center justify-center p-4 sm:p-6 lg:p-8 bg-white dark:bg-slate-900">
+      <div className="w-full max-w-md space-y-8">
+        {/* Logo & Title */}
+        <div className="text-center space-y-2">
+          <div className="inline-flex items-center justify-center w-16 h-16 rounded-2xl bg-blue-600 mb-4">
+            <span className="material-symbols-outlined text-white text-3xl">
+              lock_reset
+            </span>
+          </div>
+          <h1 className="text-3xl font-bold text-slate-900 dark:text-white">
+            Forgot Password
+          </h1>
+          <p className="text-slate-600 dark:text-slate-400">
+            Enter your email and we will send you a link to reset your password.
+          </p>
+        </div>
+
+        {/* Error Alert */}
+        {error && (
+          <div className="bg-red-50 dark:bg-red-900/20 border border-red-200 dark:border-red-800 rounded-lg p-4">
+            <div className="flex items-center gap-3">
+              <span className="material-symbols-outlined text-red-600 dark:text-red-400">
+                error
+              </span>
+              <p className="text-sm text-red-800 dark:text-red-200 flex-1">
+                {error}
+              </p>
+            </div>
+          </div>
+        )}
+
+        {sent ? (
+          <div className="bg-green-50 dark:bg-green-900/20 border border-green-200 dark:border-green-800 rounded-lg p-4">
+            <div className="flex items-start gap-3">
+              <span className="material-symbols-outlined text-green-600 dark:text-green-400">
+                mark_email_read
+              </span>
+              <p className="text-sm text-green-800 dark:text-green-200 flex-1">
+                If an account exists for {email}, a password reset link is on
+                its way. The link expires in 10 minutes.
+              </p>
+            </div>
+          </div>
+        ) : (
+          <form onSubmit={handleSubmit} className="space-y-6">
+            {/* Email Field */}
+            <div className="space-y-2">
+              <label
+                htmlFor="email"
+                className="block text-sm font-medium text-slate-700 dark:text-slate-300"
+              >
+                Email Address
+              </label>
+              <input
+                id="email"
+                name="email"
+                type="email"
+                autoComplete="email"
+                required
+                disabled={loading}
+                value={email}
+                onChange={(e) => {
+                  setEmail(e.target.value);
+                  if (error) setError("");
+                }}
+                className="w-full px-4 py-3 rounded-lg border border-slate-300 dark:border-slate-600 bg-white dark:bg-slate-800 text-slate-900 dark:text-white placeholder-slate-400 focus:outline-none focus:ring-2 focus:ring-blue-500 focus:border-transparent disabled:opacity-50 disabled:cursor-not-allowed transition-all"
+                placeholder="you@company.com"
+              />
+            </div>
+
+            {/* Submit Button */}
+            <button
+              type="submit"
+              disabled={loading}
+              className="w-full bg-blue-600 hover:bg-blue-700 text-white font-semibold py-3 px-4 rounded-lg transition-colors duration-200 disabled:opacity-50 disabled:cursor-not-allowed focus:outline-none focus:ring-2 focus:ring-blue-500 focus:ring-offset-2"
+            >
+              {loading ? "Sending..." : "Send Reset Link"}
+            </button>
+          </form>
+        )}
+
+        {/* Back to Login */}
+        <div className="text-center">
+          <Link
+            to="/login"
+            className="text-sm font-medium text-blue-600 hover:text-blue-500 dark:text-blue-400"
+          >
+            Back to sign in
+          </Link>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default ForgotPassword;
@@ -6,7 +6,7 @@
  *
  * Features:
  * - Application logo and branding
- * - Main navigation menu (Assets, Tags, Users, Reports, Settings)
+ * - Main navigation menu (Assets, Tags, Locations, Users, Reports, Settings)
  * - Notification icon
  * - User profile picture (fetched from backend)
  * - User dropdown menu with profile settings and logout
@@ -162,6 +162,16 @@ export default function Header({ activePage = "Dashboard", onNavigate }) {
           >
             Tags
           </button>
+          <button
+            onClick={() => handleNavClick("Locations")}
+            className={`${
+              activePage === "Locations"
+                ? "text-blue-600 text-sm font-bold leading-normal border-b-2 border-blue-600 pb-1"
+                : "text-gray-600 hover:text-blue-600 text-sm font-medium leading-normal"
+            } transition-colors`}
+          >
+            Locations
+          </button>
           {/* Users - Only visible to users with viewUsers permission */}
           {hasPermission("viewUsers") && (
             <button
@@ -257,6 +267,19 @@ export default function Header({ activePage = "Dashboard", onNavigate }) {
               >
                 <span className="text-sm">🏷️ Tags</span>
               </button>
+              <button
+                onClick={() => {
+                  handleNavClick("Locations");
+                  setShowMobileMenu(false);
+                }}
+                className={`w-full text-left px-4 py-3 hover:bg-gray-50 transition-colors ${
+                  activePage === "Locations"
+                    ? "text-blue-600 font-semibold bg-blue-50"
+                    : "text-gray-700"
+                }`}
+              >
+                <span className="text-sm">📍 Locations</span>
+              </button>
               {/* Users - Only for users with viewUsers permission */}
               {hasPermission("viewUsers") && (
                 <button
@@ -0,0 +1,510 @@
+/**
+ * Integrations.jsx
+ *
+ * "Integrations" section of the Settings page.
+ * Connects Slack and Microsoft Teams incoming webhooks, chooses which
+ * notification events are posted to each, sends test messages, and shows
+ * the delivery log with a retry button for failed posts.
+ *
+ * Props:
+ * @param {Function} onNotify - Toast callback (message, type)
+ */
+
+import React, { useState, useEffect, useCallback } from "react";
+import API_BASE_URL, { getAuthHeaders } from "../config/api";
+import { useAuth } from "../context/AuthContext";
+import Toggle from "./Toggle";
+
+const CHANNELS = [
+  {
+    key: "slack",
+    label: "Slack",
+    icon: "forum",
+    placeholder: "https://hooks.slack.com/services/...",
+    help: "Create an incoming webhook in your Slack app and paste its URL.",
+  },
+  {
+    key: "teams",
+    label: "Microsoft Teams",
+    icon: "groups",
+    placeholder: "https://....webhook.office.com/...",
+    help: "Add an incoming webhook (or a Workflows webhook) to a Teams channel and paste its URL.",
+  },
+];
+
+// Badge colours per delivery status
+const STATUS_STYLES = {
+  Pending:
+    "bg-yellow-100 text-yellow-800 dark:bg-yellow-900/30 dark:text-yellow-300",
+  Sending: "bg-blue-100 text-blue-800 dark:bg-blue-900/30 dark:text-blue-300",
+  Delivered:
+    "bg-green-100 text-green-800 dark:bg-green-900/30 dark:text-green-300",
+  Failed: "bg-red-100 text-red-800 dark:bg-red-900/30 dark:text-red-300",
+};
+
+const inputClassName =
+  "w-full rounded-md border-gray-300 dark:border-gray-600 bg-gray-50 dark:bg-gray-700 text-gray-900 dark:text-white focus:ring-2 focus:ring-blue-500 focus:border-blue-500 px-3 py-2 disabled:opacity-60";
+
+export default function Integrations({ onNotify }) {
+  const { hasPermission } = useAuth();
+  const canEdit = hasPermission("editSettings");
+
+  const [config, setConfig] = useState(null);
+  const [events, setEvents] = useState([]);
+  const [statuses, setStatuses] = useState([]);
+  const [deliveries, setDeliveries] = useState([]);
+  const [saving, setSaving] = useState(false);
+  const [testingChannel, setTestingChannel] = useState(null);
+  const [retryingId, setRetryingId] = useState(null);
+
+  // Load the delivery log
+  const loadDeliveries = useCallback(async () => {
+    try {
+      const response = await fetch(
+        `${API_BASE_URL}/integrations/deliveries?limit=20`,
+        { headers: getAuthHeaders() }
+      );
+      if (response.ok) {
+        setDeliveries(await response.json());
+      }
+    } catch (error) {
+      console.error("Error loading webhook deliveries:", error);
+    }
+  }, []);
+
+  // Load integration settings and the delivery log
+  const loadIntegrations = useCallback(async () => {
+    try {
+      const response = await fetch(`${API_BASE_URL}/integrations`, {
+        headers: getAuthHeaders(),
+      });
+      if (response.ok) {
+        const data = await response.json();
+        setConfig({
+          slack: data.slack,
+          teams: data.teams,
+          routes: data.routes || {},
+          statusChangeStatuses: data.statusChangeStatuses || [],
+        });
+        setEvents(data.events);
+        setStatuses(data.statuses);
+      }
+      await loadDeliveries();
+    } catch (error) {
+      console.error("Error loading integrations:", error);
+    }
+  }, [loadDeliveries]);
+
+  useEffect(() => {
+    loadIntegrations();
+  }, [loadIntegrations]);
+
+  const updateChannel = (channel, field, value) =>
+    setConfig((prev) => ({
+      ...prev,
+      [channel]: { ...prev[channel], [field]: value },
+    }));
+
+  const updateRoute = (event, channel, value) =>
+    setConfig((prev) => ({
+      ...prev,
+      routes: {
+        ...prev.routes,
+        [event]: { ...prev.routes[event], [channel]: value },
+      },
+    }));
+
+  const toggleStatus = (status) =>
+    setConfig((prev) => ({
+      ...prev,
+      statusChangeStatuses: prev.statusChangeStatuses.includes(status)
+        ? prev.statusChangeStatuses.filter((item) => item !== status)
+        : [...prev.statusChangeStatuses, status],
+    }));
+
+  /**
+   * Save webhooks and routing rules
+   */
+  const handleSave = async () => {
+    setSaving(true);
+    try {
+      const response = await fetch(`${API_BASE_URL}/integrations`, {
+        method: "PUT",
+        headers: getAuthHeaders({ "Content-Type": "application/json" }),
+        body: JSON.stringify(config),
+      });
+      const data = await response.json();
+      if (!response.ok) {
+        onNotify(data.message || "Failed to save integrations", "error");
+        return;
+      }
+      setConfig(data);
+      onNotify("Integrations saved", "success");
+    } catch (error) {
+      console.error("Error saving integrations:", error);
+      onNotify("Failed to save integrations", "error");
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  /**
+   * Post a test message to the webhook URL in the form
+   * @param {Object} channel - Entry from CHANNELS
+   */
+  const handleTest = async (channel) => {
+    setTestingChannel(channel.key);
+    try {
+      const response = await fetch(
+        `${API_BASE_URL}/integrations/${channel.key}/test`,
+        {
+          method: "POST",
+          headers: getAuthHeaders({ "Content-Type": "application/json" }),
+          body: JSON.stringify({ webhookUrl: config[channel.key].webhookUrl }),
+        }
+      );
+      const data = await response.json();
+      if (!response.ok) {
+        onNotify(data.message || "Test message failed", "error");
+        return;
+      }
+      onNotify(`Test message sent to ${channel.label}`, "success");
+    } catch (error) {
+      console.error("Error sending test message:", error);
+      onNotify("Test message failed", "error");
+    } finally {
+      setTestingChannel(null);
+    }
+  };
+
+  /**
+   * Queue a failed delivery again
+   * @param {Object} delivery - Delivery log entry
+   */
+  const handleRetry = async (delivery) => {
+    setRetryingId(delivery._id);
+    try {
+      const response = await fetch(
+        `${API_BASE_URL}/integrations/deliveries/${delivery._id}/retry`,
+        { method: "POST", headers: getAuthHeaders() }
+      );
+      const data = await response.json();
+      if (!response.ok) {
+        onNotify(data.message || "Retry failed", "error");
+      } else if (data.status === "Delivered") {
+        onNotify("Message delivered", "success");
+      } else {
+        onNotify(data.lastError || "Delivery failed again", "error");
+      }
+      await loadDeliveries();
+    } catch (error) {
+      console.error("Error retrying delivery:", error);
+      onNotify("Retry failed", "error");
+    } finally {
+      setRetryingId(null);
+    }
+  };
+
+  const eventLabel = (key) =>
+    events.find((event) => event.key === key)?.label || key;
+
+  if (!config) {
+    return (
+      <div className="bg-white dark:bg-gray-800 border border-gray-200 dark:border-gray-700 rounded-lg shadow-sm p-6 text-sm text-gray-500 dark:text-gray-400">
+        Loading integrations...
+      </div>
+    );
+  }
+
+  return (
+    <div className="flex flex-col gap-8">
+      {/* Webhooks Card */}
+      <div className="bg-white dark:bg-gray-800 border border-gray-200 dark:border-gray-700 rounded-lg shadow-sm">
+        <div className="p-6 border-b border-gray-200 dark:border-gray-700">
+          <h2 className="text-lg font-bold text-gray-900 dark:text-white">
+            Integrations
+          </h2>
+          <p className="text-sm text-gray-600 dark:text-gray-400 mt-1">
+            Post notifications to Slack and Microsoft Teams channels. Messages
+            link back to the asset; failed posts are retried automatically.
+          </p>
+        </div>
+
+        <div className="divide-y divide-gray-200 dark:divide-gray-700">
+          {CHANNELS.map((channel) => (
+            <div key={channel.key} className="p-6 flex flex-col gap-4">
+              <div className="flex items-center justify-between gap-4">
+                <div className="flex items-center gap-3">
+                  <span className="material-symbols-outlined text-gray-500 dark:text-gray-400">
+                    {channel.icon}
+                  </span>
+                  <h3 className="text-base font-semibold text-gray-900 dark:text-white">
+                    {channel.label}
+                  </h3>
+                </div>
+                <Toggle
+                  id={`${channel.key}-enabled`}
+                  checked={config[channel.key].enabled}
+                  disabled={!canEdit}
+                  onChange={(value) =>
+                    updateChannel(channel.key, "enabled", value)
+                  }
+                />
+              </div>
+              <div className="flex flex-col sm:flex-row gap-3">
+                <input
+                  type="url"
+                  value={config[channel.key].webhookUrl}
+                  onChange={(e) =>
+                    updateChannel(channel.key, "webhookUrl", e.target.value)
+                  }
+                  disabled={!canEdit}
+                  placeholder={channel.placeholder}
+                  className={inputClassName}
+                />
+                {canEdit && (
+                  <button
+                    type="button"
+                    onClick={() => handleTest(channel)}
+                    disabled={
+                      testingChannel !== null || !config[channel.key].webhookUrl
+                    }
+                    className="flex items-center justify-center gap-2 rounded-lg h-10 px-4 bg-white dark:bg-gray-700 text-gray-900 dark:text-white border border-gray-300 dark:border-gray-600 text-sm font-bold hover:bg-gray-50 dark:hover:bg-gray-600 transition-colors disabled:opacity-50 whitespace-nowrap"
+                  >
+                    <span className="material-symbols-outlined text-base">
+                      send
+                    </span>
+                    {testingChannel === channel.key
+                      ? "Sending..."
+                      : "Send Test"}
+                  </button>
+                )}
+              </div>
+              <p className="text-xs text-gray-500 dark:text-gray-400">
+                {channel.help}
+              </p>
+            </div>
+          ))}
+        </div>
+      </div>
+
+      {/* Routing Rules Card */}
+      <div className="bg-white dark:bg-gray-800 border border-gray-200 dark:border-gray-700 rounded-lg shadow-sm">
+        <div className="p-6 border-b border-gray-200 dark:border-gray-700">
+          <h2 className="text-lg font-bold text-gray-900 dark:text-white">
+            What to Post
+          </h2>
+          <p className="text-sm text-gray-600 dark:text-gray-400 mt-1">
+            Choose which notifications go to each channel. Personal
+            notifications (e.g. an asset checked out to you) are never posted.
+          </p>
+        </div>
+
+        <div className="overflow-x-auto">
+          <table className="w-full text-left text-sm">
+            <thead className="bg-gray-50 dark:bg-gray-700/50">
+              <tr>
+                <th className="px-6 py-3 font-medium text-gray-700 dark:text-gray-300">
+                  Notification
+                </th>
+                {CHANNELS.map((channel) => (
+                  <th
+                    key={channel.key}
+                    className="px-6 py-3 font-medium text-gray-700 dark:text-gray-300 text-center"
+                  >
+                    {channel.label}
+                  </th>
+                ))}
+              </tr>
+            </thead>
+            <tbody className="divide-y divide-gray-200 dark:divide-gray-700">
+              {events.map((event) => (
+                <tr key={event.key}>
+                  <td className="px-6 py-4 align-top">
+                    <p className="font-medium text-gray-900 dark:text-white">
+                      {event.label}
+                    </p>
+                    <p className="text-xs text-gray-500 dark:text-gray-400 mt-1">
+                      {event.description}
+                    </p>
+                    {event.key === "statusChange" && (
+                      <div className="flex flex-wrap gap-x-4 gap-y-2 mt-3">
+                        {statuses.map((status) => (
+                          <label
+                            key={status}
+                            className="flex items-center gap-2 text-xs text-gray-700 dark:text-gray-300"
+                          >
+                            <input
+                              type="checkbox"
+                              checked={config.statusChangeStatuses.includes(
+                                status
+                              )}
+                              onChange={() => toggleStatus(status)}
+                              disabled={!canEdit}
+                              className="rounded border-gray-300 text-blue-600 focus:ring-blue-500"
+                            />
+                            {status}
+                          </label>
+                        ))}
+                      </div>
+                    )}
+                  </td>
+                  {CHANNELS.map((channel) => (
+                    <td
+                      key={channel.key}
+                      className="px-6 py-4 align-top text-center"
+                    >
+                      <input
+                        type="checkbox"
+                        aria-label={`${event.label} to ${channel.label}`}
+                        checked={Boolean(
+                          config.routes[event.key]?.[channel.key]
+                        )}
+                        onChange={(e) =>
+                          updateRoute(event.key, channel.key, e.target.checked)
+                        }
+                        disabled={!canEdit}
+                        className="h-4 w-4 rounded border-gray-300 text-blue-600 focus:ring-blue-500"
+                      />
+                    </td>
+                  ))}
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+
+        {canEdit && (
+          <div className="p-6 border-t border-gray-200 dark:border-gray-700 flex justify-end gap-3">
+            <button
+              onClick={loadIntegrations}
+              disabled={saving}
+              className="flex min-w-[84px] cursor-pointer items-center justify-center rounded-lg h-10 px-4 bg-white dark:bg-gray-700 text-gray-900 dark:text-white border border-gray-300 dark:border-gray-600 text-sm font-bold hover:bg-gray-50 dark:hover:bg-gray-600 transition-colors disabled:opacity-50"
+            >
+              Cancel
+            </button>
+            <button
+              onClick={handleSave}
+              disabled={saving}
+              className="flex min-w-[84px] cursor-pointer items-center justify-center rounded-lg h-10 px-4 bg-blue-600 text-white text-sm font-bold hover:bg-blue-700 transition-colors disabled:opacity-50"
+            >
+              {saving ? "Saving..." : "Save Integrations"}
+            </button>
+          </div>
+        )}
+      </div>
+
+      {/* Delivery Log Card */}
+      <div className="bg-white dark:bg-gray-800 border border-gray-200 dark:border-gray-700 rounded-lg shadow-sm">
+        <div className="p-6 border-b border-gray-200 dark:border-gray-700 flex items-center justify-between">
+          <div>
+            <h2 className="text-lg font-bold text-gray-900 dark:text-white">
+              Delivery Log
+            </h2>
+            <p className="text-sm text-gray-600 dark:text-gray-400 mt-1">
+              The last 20 messages posted to Slack and Teams.
+            </p>
+          </div>
+          <button
+            onClick={loadDeliveries}
+            className="flex items-center gap-1 text-sm font-medium text-blue-600 hover:text-blue-800 dark:text-blue-400"
+          >
+            <span className="material-symbols-outlined text-base">refresh</span>
+            Refresh
+          </button>
+        </div>
+
+        {deliveries.length === 0 ? (
+          <p className="p-6 text-sm text-gray-500 dark:text-gray-400">
+            Nothing has been posted yet.
+          </p>
+        ) : (
+          <div className="overflow-x-auto">
+            <table className="w-full text-left text-sm">
+              <thead className="bg-gray-50 dark:bg-gray-700/50">
+                <tr>
+                  <th className="px-6 py-3 font-medium text-gray-700 dark:text-gray-300">
+                    Channel
+                  </th>
+                  <th className="px-6 py-3 font-medium text-gray-700 dark:text-gray-300">
+                    Message
+                  </th>
+                  <th className="px-6 py-3 font-medium text-gray-700 dark:text-gray-300">
+                    Status
+                  </th>
+                  <th className="px-6 py-3 font-medium text-gray-700 dark:text-gray-300">
+                    Queued
+                  </th>
+                  <th className="px-6 py-3 font-medium text-gray-700 dark:text-gray-300">
+                    Attempts
+                  </th>
+                  {canEdit && <th className="px-6 py-3" />}
+                </tr>
+              </thead>
+              <tbody className="divide-y divide-gray-200 dark:divide-gray-700">
+                {deliveries.map((delivery) => (
+                  <tr key={delivery._id}>
+                    <td className="px-6 py-3 text-gray-900 dark:text-white whitespace-nowrap">
+                      {CHANNELS.find(
+                        (channel) => channel.key === delivery.channel
+                      )?.label || delivery.channel}
+                    </td>
+                    <td className="px-6 py-3">
+                      <p className="text-gray-900 dark:text-white">
+                        {delivery.title}
+                      </p>
+                      <p className="text-xs text-gray-500 dark:text-gray-400">
+                        {eventLabel(delivery.event)}
+                        {delivery.assetId && ` · ${delivery.assetId}`}
+                      </p>
+                    </td>
+                    <td className="px-6 py-3" title={delivery.lastError}>
+                      <span
+                        className={`inline-flex items-center rounded-full px-2 py-0.5 text-xs font-medium ${
+                          STATUS_STYLES[delivery.status] ||
+                          STATUS_STYLES.Pending
+                        }`}
+                      >
+                        {delivery.status}
+                      </span>
+                      {delivery.status !== "Delivered" &&
+                        delivery.lastError && (
+                          <p className="text-xs text-red-600 dark:text-red-400 mt-1 max-w-xs truncate">
+                            {delivery.lastError}
+                          </p>
+                        )}
+                    </td>
+                    <td className="px-6 py-3 text-gray-700 dark:text-gray-300 whitespace-nowrap">
+                      {new Date(delivery.createdAt).toLocaleString()}
+                    </td>
+                    <td className="px-6 py-3 text-gray-700 dark:text-gray-300">
+                      {delivery.attempts}/{delivery.maxAttempts}
+                    </td>
+                    {canEdit && (
+                      <td className="px-6 py-3 text-right">
+                        {delivery.status === "Failed" && (
+                          <button
+                            onClick={() => handleRetry(delivery)}
+                            disabled={retryingId !== null}
+                            className="inline-flex items-center gap-1 text-sm font-medium text-blue-600 hover:text-blue-800 dark:text-blue-400 disabled:opacity-50 whitespace-nowrap"
+                          >
+                            <span className="material-symbols-outlined text-base">
+                              replay
+                            </span>
+                            {retryingId === delivery._id
+                              ? "Retrying..."
+                              : "Retry"}
+                          </button>
+                        )}
+                      </td>
+                    )}
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        )}
+      </div>
+    </div>
+  );
+}
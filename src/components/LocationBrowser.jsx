@@ -0,0 +1,698 @@
+/**
+ * LocationBrowser.jsx
+ *
+ * Locations page: browses the location tree (sites, buildings, floors,
+ * rooms) and shows, for the chosen location, its path, code, address and
+ * the number and value of the assets anywhere beneath it. Users with the
+ * tag permissions can add, edit, move and delete locations.
+ *
+ * Asset counts and values only include assets in the user's data scope.
+ */
+
+import React, { useState, useEffect, useMemo } from "react";
+import API_BASE_URL, { getAuthHeaders } from "../config/api";
+import { useAuth } from "../context/AuthContext";
+import { formatCurrency } from "../config/currency";
+import {
+  fetchLocations,
+  indexLocations,
+  locationPath,
+  LOCATION_TYPES,
+  LOCATION_TYPE_ICONS,
+} from "../config/locations";
+import LocationPicker from "./LocationPicker";
+
+const EMPTY_ADDRESS = {
+  street: "",
+  city: "",
+  state: "",
+  postalCode: "",
+  country: "",
+};
+
+const ADDRESS_FIELDS = [
+  { key: "street", label: "Street" },
+  { key: "city", label: "City" },
+  { key: "state", label: "State / Region" },
+  { key: "postalCode", label: "Postal Code" },
+  { key: "country", label: "Country" },
+];
+
+// The type a new location under a parent of each type usually has
+const CHILD_TYPE = {
+  Site: "Building",
+  Building: "Floor",
+  Floor: "Room",
+  Room: "Room",
+};
+
+const inputClassName =
+  "w-full rounded-lg border border-gray-200 dark:border-gray-600 bg-white dark:bg-gray-700 px-4 py-2 text-gray-900 dark:text-gray-100 focus:border-blue-500 focus:ring-2 focus:ring-blue-500";
+
+/**
+ * Values per currency, e.g. "₦1,200.00 + $300.00"
+ */
+const formatValues = (totals) => {
+  const entries = Object.entries(totals || {});
+  if (entries.length === 0) return "—";
+  return entries
+    .map(([currency, amount]) => formatCurrency(amount, currency))
+    .join(" + ");
+};
+
+const LocationBrowser = () => {
+  const { hasPermission } = useAuth();
+  const [locations, setLocations] = useState([]);
+  const [unassigned, setUnassigned] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+  const [selectedId, setSelectedId] = useState(null);
+  const [expanded, setExpanded] = useState(new Set());
+
+  // Create/edit modal: editing is the location being edited, null when creating
+  const [showForm, setShowForm] = useState(false);
+  const [editing, setEditing] = useState(null);
+  const [formData, setFormData] = useState(null);
+  const [formError, setFormError] = useState(null);
+  const [saving, setSaving] = useState(false);
+
+  const [showDeleteModal, setShowDeleteModal] = useState(false);
+  const [deleteError, setDeleteError] = useState(null);
+
+  const { byId, children, roots } = useMemo(
+    () => indexLocations(locations),
+    [locations]
+  );
+  const selected = selectedId ? byId.get(selectedId) : null;
+
+  const loadLocations = async () => {
+    try {
+      setError(null);
+      const data = await fetchLocations();
+      setLocations(data.locations);
+      setUnassigned(data.unassigned);
+    } catch (err) {
+      console.error("Error fetching locations:", err);
+      setError(err.message);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  useEffect(() => {
+    loadLocations();
+  }, []);
+
+  const toggleExpanded = (id) => {
+    setExpanded((prev) => {
+      const next = new Set(prev);
+      if (next.has(id)) next.delete(id);
+      else next.add(id);
+      return next;
+    });
+  };
+
+  // Select a location, expanding the branches above it
+  const selectLocation = (location) => {
+    setSelectedId(location._id);
+    setExpanded((prev) => new Set([...prev, ...location.ancestors]));
+  };
+
+  const openCreateForm = (parent = null) => {
+    setEditing(null);
+    setFormData({
+      name: "",
+      code: "",
+      type: parent ? CHILD_TYPE[parent.type] : "Site",
+      parent: parent?._id || null,
+      address: { ...EMPTY_ADDRESS },
+      description: "",
+    });
+    setFormError(null);
+    setShowForm(true);
+  };
+
+  const openEditForm = (location) => {
+    setEditing(location);
+    setFormData({
+      name: location.name,
+      code: location.code,
+      type: location.type,
+      parent: location.parent || null,
+      address: { ...EMPTY_ADDRESS, ...location.address },
+      description: location.description || "",
+    });
+    setFormError(null);
+    setShowForm(true);
+  };
+
+  const handleChange = (e) => {
+    const { name, value } = e.target;
+    setFormData((prev) => ({
+      ...prev,
+      [name]: name === "code" ? value.toUpperCase() : value,
+    }));
+  };
+
+  const handleAddressChange = (e) => {
+    const { name, value } = e.target;
+    setFormData((prev) => ({
+      ...prev,
+      address: { ...prev.address, [name]: value },
+    }));
+  };
+
+  const handleSave = async (e) => {
+    e.preventDefault();
+    setSaving(true);
+    setFormError(null);
+
+    try {
+      const response = await fetch(
+        editing
+          ? `${API_BASE_URL}/locations/${editing._id}`
+          : `${API_BASE_URL}/locations`,
+        {
+          method: editing ? "PUT" : "POST",
+          headers: getAuthHeaders({ "Content-Type": "application/json" }),
+          body: JSON.stringify(formData),
+        }
+      );
+      const data = await response.json();
+      if (!response.ok) {
+        throw new Error(data.message || "Failed to save location");
+      }
+
+      setShowForm(false);
+      await loadLocations();
+      selectLocation(data);
+    } catch (err) {
+      console.error("Error saving location:", err);
+      setFormError(err.message);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleDelete = async () => {
+    try {
+      const response = await fetch(
+        `${API_BASE_URL}/locations/${selected._id}`,
+        {
+          method: "DELETE",
+          headers: getAuthHeaders(),
+        }
+      );
+      const data = await response.json();
+      if (!response.ok) {
+        throw new Error(data.message || "Failed to delete location");
+      }
+
+      setShowDeleteModal(false);
+      setSelectedId(selected.parent || null);
+      await loadLocations();
+    } catch (err) {
+      console.error("Error deleting location:", err);
+      setDeleteError(err.message);
+    }
+  };
+
+  const renderTree = (nodes, depth) =>
+    nodes.map((location) => {
+      const hasChildren = (children.get(location._id) || []).length > 0;
+      return (
+        <React.Fragment key={location._id}>
+          <div
+            className={`flex items-center gap-1 pr-3 py-1.5 rounded-md text-sm ${
+              location._id === selectedId
+                ? "bg-blue-50 dark:bg-blue-900/30 text-blue-700 dark:text-blue-300"
+                : "text-gray-900 dark:text-white hover:bg-gray-50 dark:hover:bg-gray-700/50"
+            }`}
+            style={{ paddingLeft: `${depth * 1.25 + 0.25}rem` }}
+          >
+            <button
+              onClick={() => toggleExpanded(location._id)}
+              className={`w-6 h-6 flex items-center justify-center text-gray-500 dark:text-gray-400 ${
+                hasChildren ? "" : "invisible"
+              }`}
+              aria-label={expanded.has(location._id) ? "Collapse" : "Expand"}
+            >
+              <span className="material-symbols-outlined text-lg">
+                {expanded.has(location._id) ? "expand_more" : "chevron_right"}
+              </span>
+            </button>
+            <button
+              onClick={() => setSelectedId(location._id)}
+              className="flex-1 flex items-center gap-2 text-left min-w-0"
+            >
+              <span className="material-symbols-outlined text-base text-gray-500 dark:text-gray-400">
+                {LOCATION_TYPE_ICONS[location.type]}
+              </span>
+              <span className="truncate">{location.name}</span>
+              <span className="ml-auto text-xs text-gray-500 dark:text-gray-400">
+                {location.totalAssetCount}
+              </span>
+            </button>
+          </div>
+          {expanded.has(location._id) &&
+            renderTree(children.get(location._id) || [], depth + 1)}
+        </React.Fragment>
+      );
+    });
+
+  // A location cannot be moved under itself or anything beneath it
+  const parentOptions = editing
+    ? locations.filter(
+        (location) =>
+          location._id !== editing._id &&
+          !location.ancestors.includes(editing._id)
+      )
+    : locations;
+
+  const selectedChildren = selected ? children.get(selected._id) || [] : [];
+  const address = selected
+    ? ADDRESS_FIELDS.map(({ key }) => selected.address?.[key])
+        .filter(Boolean)
+        .join(", ")
+    : "";
+
+  return (
+    <>
+      <div className="flex flex-col w-full p-3">
+        {/* Page Header */}
+        <div className="flex flex-wrap items-center justify-between gap-4 mb-6">
+          <div>
+            <h1 className="text-gray-900 dark:text-white text-3xl font-black leading-tight tracking-[-0.033em]">
+              Locations
+            </h1>
+            <p className="text-sm text-gray-600 dark:text-gray-400 mt-1">
+              Sites, buildings, floors and rooms, with the assets under each
+            </p>
+          </div>
+          {hasPermission("createTags") && (
+            <button
+              onClick={() => openCreateForm()}
+              className="flex min-w-[84px] cursor-pointer items-center justify-center overflow-hidden rounded-lg h-10 px-4 bg-blue-600 text-white text-sm font-bold leading-normal tracking-[0.015em] gap-2 hover:bg-blue-700 transition-colors"
+            >
+              <span className="material-symbols-outlined text-lg">
+                add_circle
+              </span>
+              <span className="truncate">Add Site</span>
+            </button>
+          )}
+        </div>
+
+        {error && (
+          <div className="mb-4 p-3 bg-red-50 dark:bg-red-900/20 border border-red-200 dark:border-red-800 rounded-lg text-sm text-red-700 dark:text-red-300">
+            {error}
+          </div>
+        )}
+
+        <div className="grid grid-cols-1 lg:grid-cols-3 gap-6">
+          {/* Tree */}
+          <div className="bg-white dark:bg-gray-800 rounded-xl border border-gray-200 dark:border-gray-700 p-3 lg:col-span-1">
+            <div className="flex items-center justify-between px-2 pb-2 mb-2 border-b border-gray-200 dark:border-gray-700 text-xs font-medium uppercase tracking-wider text-gray-500 dark:text-gray-400">
+              <span>Location</span>
+              <span>Assets</span>
+            </div>
+            {loading ? (
+              <p className="p-3 text-sm text-gray-500 dark:text-gray-400">
+                Loading locations...
+              </p>
+            ) : roots.length === 0 ? (
+              <p className="p-3 text-sm text-gray-500 dark:text-gray-400">
+                No locations yet.
+              </p>
+            ) : (
+              renderTree(roots, 0)
+            )}
+            {unassigned?.assetCount > 0 && (
+              <p className="mt-3 px-2 pt-3 border-t border-gray-200 dark:border-gray-700 text-xs text-gray-500 dark:text-gray-400">
+                {unassigned.assetCount} asset(s) are not placed in a location
+                yet.
+              </p>
+            )}
+          </div>
+
+          {/* Details */}
+          <div className="bg-white dark:bg-gray-800 rounded-xl border border-gray-200 dark:border-gray-700 p-6 lg:col-span-2">
+            {!selected ? (
+              <p className="text-sm text-gray-500 dark:text-gray-400">
+                Select a location to see its details.
+              </p>
+            ) : (
+              <div className="space-y-6">
+                <div className="flex flex-wrap items-start justify-between gap-4">
+                  <div>
+                    <p className="text-xs text-gray-500 dark:text-gray-400">
+                      {locationPath(selected, byId)}
+                    </p>
+                    <h2 className="text-2xl font-bold text-gray-900 dark:text-white flex items-center gap-2">
+                      <span className="material-symbols-outlined">
+                        {LOCATION_TYPE_ICONS[selected.type]}
+                      </span>
+                      {selected.name}
+                    </h2>
+                    <p className="text-sm text-gray-600 dark:text-gray-400">
+                      {selected.type} ·{" "}
+                      <span className="font-mono">{selected.code}</span>
+                    </p>
+                  </div>
+                  <div className="flex gap-2">
+                    {hasPermission("createTags") && (
+                      <button
+                        onClick={() => openCreateForm(selected)}
+                        className="px-3 py-2 text-sm font-medium text-blue-600 dark:text-blue-400 border border-blue-200 dark:border-blue-800 rounded-lg hover:bg-blue-50 dark:hover:bg-blue-900/20"
+                      >
+                        Add Sub-location
+                      </button>
+                    )}
+                    {hasPermission("editTags") && (
+                      <button
+                        onClick={() => openEditForm(selected)}
+                        className="p-2 text-gray-500 dark:text-gray-400 hover:text-blue-600 dark:hover:text-blue-400 rounded-full hover:bg-gray-100 dark:hover:bg-gray-700"
+                        title="Edit location"
+                      >
+                        <span className="material-symbols-outlined text-lg">
+                          edit
+                        </span>
+                      </button>
+                    )}
+                    {hasPermission("deleteTags") && (
+                      <button
+                        onClick={() => {
+                          setDeleteError(null);
+                          setShowDeleteModal(true);
+                        }}
+                        className="p-2 text-gray-500 dark:text-gray-400 hover:text-red-500 rounded-full hover:bg-gray-100 dark:hover:bg-gray-700"
+                        title="Delete location"
+                      >
+                        <span className="material-symbols-outlined text-lg">
+                          delete
+                        </span>
+                      </button>
+                    )}
+                  </div>
+                </div>
+
+                {/* Roll-ups */}
+                <div className="grid grid-cols-1 sm:grid-cols-3 gap-4">
+                  <div className="rounded-lg border border-gray-200 dark:border-gray-700 p-4">
+                    <p className="text-xs text-gray-500 dark:text-gray-400">
+                      Assets here
+                    </p>
+                    <p className="text-2xl font-bold text-gray-900 dark:text-white">
+                      {selected.assetCount}
+                    </p>
+                  </div>
+                  <div className="rounded-lg border border-gray-200 dark:border-gray-700 p-4">
+                    <p className="text-xs text-gray-500 dark:text-gray-400">
+                      Assets including sub-locations
+                    </p>
+                    <p className="text-2xl font-bold text-gray-900 dark:text-white">
+                      {selected.totalAssetCount}
+                    </p>
+                  </div>
+                  <div className="rounded-lg border border-gray-200 dark:border-gray-700 p-4">
+                    <p className="text-xs text-gray-500 dark:text-gray-400">
+                      Total value
+                    </p>
+                    <p className="text-lg font-bold text-gray-900 dark:text-white">
+                      {formatValues(selected.totalValue)}
+                    </p>
+                  </div>
+                </div>
+
+                {(address || selected.description) && (
+                  <div className="space-y-2 text-sm">
+                    {address && (
+                      <p className="text-gray-700 dark:text-gray-300 flex items-start gap-2">
+                        <span className="material-symbols-outlined text-base text-gray-500">
+                          pin_drop
+                        </span>
+                        {address}
+                      </p>
+                    )}
+                    {selected.description && (
+                      <p className="text-gray-600 dark:text-gray-400">
+                        {selected.description}
+                      </p>
+                    )}
+                  </div>
+                )}
+
+                {/* Sub-locations */}
+                <div>
+                  <h3 className="text-sm font-semibold text-gray-700 dark:text-gray-300 mb-2">
+                    Sub-locations
+                  </h3>
+                  {selectedChildren.length === 0 ? (
+                    <p className="text-sm text-gray-500 dark:text-gray-400">
+                      None.
+                    </p>
+                  ) : (
+                    <table className="w-full text-sm">
+                      <thead>
+                        <tr className="text-left text-xs uppercase tracking-wider text-gray-500 dark:text-gray-400">
+                          <th className="py-2">Name</th>
+                          <th className="py-2">Type</th>
+                          <th className="py-2 text-right">Assets</th>
+                          <th className="py-2 text-right">Value</th>
+                        </tr>
+                      </thead>
+                      <tbody>
+                        {selectedChildren.map((child) => (
+                          <tr
+                            key={child._id}
+                            onClick={() => selectLocation(child)}
+                            className="border-t border-gray-200 dark:border-gray-700 cursor-pointer hover:bg-gray-50 dark:hover:bg-gray-700/50"
+                          >
+                            <td className="py-2 text-gray-900 dark:text-white">
+                              {child.name}
+                            </td>
+                            <td className="py-2 text-gray-600 dark:text-gray-400">
+                              {child.type}
+                            </td>
+                            <td className="py-2 text-right text-gray-900 dark:text-white">
+                              {child.totalAssetCount}
+                            </td>
+                            <td className="py-2 text-right text-gray-900 dark:text-white">
+                              {formatValues(child.totalValue)}
+                            </td>
+                          </tr>
+                        ))}
+                      </tbody>
+                    </table>
+                  )}
+                </div>
+              </div>
+            )}
+          </div>
+        </div>
+      </div>
+
+      {/* Create / Edit Modal */}
+      {showForm && formData && (
+        <div className="fixed inset-0 z-50 flex items-center justify-center bg-black/60 p-4">
+          <div className="bg-white dark:bg-gray-800 rounded-xl shadow-2xl w-full max-w-lg max-h-[90vh] overflow-y-auto">
+            <div className="p-6 border-b border-gray-200 dark:border-gray-700">
+              <div className="flex items-center justify-between">
+                <h3 className="text-xl font-bold text-gray-900 dark:text-white">
+                  {editing ? "Edit Location" : "Add Location"}
+                </h3>
+                <button
+                  onClick={() => setShowForm(false)}
+                  className="p-2 text-gray-500 hover:text-gray-700 dark:text-gray-400 dark:hover:text-gray-200"
+                >
+                  <span className="material-symbols-outlined">close</span>
+                </button>
+              </div>
+            </div>
+
+            <form onSubmit={handleSave} className="p-6 space-y-4">
+              {formError && (
+                <div className="p-3 bg-red-50 dark:bg-red-900/20 border border-red-200 dark:border-red-800 rounded-lg text-sm text-red-700 dark:text-red-300">
+                  {formError}
+                </div>
+              )}
+
+              <div className="grid grid-cols-3 gap-3">
+                <div className="col-span-2">
+                  <label className="block text-sm font-semibold text-gray-700 dark:text-gray-300 mb-2">
+                    Name <span className="text-red-500">*</span>
+                  </label>
+                  <input
+                    type="text"
+                    name="name"
+                    value={formData.name}
+                    onChange={handleChange}
+                    required
+                    maxLength={100}
+                    className={inputClassName}
+                    placeholder="e.g., Lagos HQ"
+                  />
+                </div>
+                <div>
+                  <label className="block text-sm font-semibold text-gray-700 dark:text-gray-300 mb-2">
+                    Code <span className="text-red-500">*</span>
+                  </label>
+                  <input
+                    type="text"
+                    name="code"
+                    value={formData.code}
+                    onChange={handleChange}
+                    required
+                    pattern="[A-Z0-9\-]{1,10}"
+                    title="1-10 letters, digits or dashes"
+                    className={`${inputClassName} font-mono`}
+                    placeholder="e.g., LOS"
+                  />
+                </div>
+              </div>
+
+              <div className="grid grid-cols-2 gap-3">
+                <div>
+                  <label className="block text-sm font-semibold text-gray-700 dark:text-gray-300 mb-2">
+                    Type
+                  </label>
+                  <select
+                    name="type"
+                    value={formData.type}
+                    onChange={handleChange}
+                    className={inputClassName}
+                  >
+                    {LOCATION_TYPES.map((type) => (
+                      <option key={type} value={type}>
+                        {type}
+                      </option>
+                    ))}
+                  </select>
+                </div>
+                <div>
+                  <p className="block text-sm font-semibold text-gray-700 dark:text-gray-300 mb-2">
+                    Inside
+                  </p>
+                  <LocationPicker
+                    value={formData.parent}
+                    onChange={(location) =>
+                      setFormData((prev) => ({
+                        ...prev,
+                        parent: location?._id || null,
+                      }))
+                    }
+                    locations={parentOptions}
+                    placeholder="(Top level)"
+                    allowClear
+                    className={inputClassName}
+                  />
+                </div>
+              </div>
+
+              <div className="rounded-lg border border-gray-200 dark:border-gray-700 p-4 space-y-3">
+                <p className="text-sm font-semibold text-gray-700 dark:text-gray-300">
+                  Address
+                </p>
+                <div className="grid grid-cols-2 gap-3">
+                  {ADDRESS_FIELDS.map(({ key, label }) => (
+                    <label
+                      key={key}
+                      className={`text-xs text-gray-600 dark:text-gray-400 ${
+                        key === "street" ? "col-span-2" : ""
+                      }`}
+                    >
+                      {label}
+                      <input
+                        type="text"
+                        name={key}
+                        value={formData.address[key]}
+                        onChange={handleAddressChange}
+                        className={`${inputClassName} mt-1`}
+                      />
+                    </label>
+                  ))}
+                </div>
+              </div>
+
+              <div>
+                <label className="block text-sm font-semibold text-gray-700 dark:text-gray-300 mb-2">
+                  Description
+                </label>
+                <textarea
+                  name="description"
+                  value={formData.description}
+                  onChange={handleChange}
+                  rows={2}
+                  className={inputClassName}
+                />
+              </div>
+
+              <div className="flex gap-3 pt-4">
+                <button
+                  type="button"
+                  onClick={() => setShowForm(false)}
+                  className="flex-1 px-4 py-2 bg-gray-200 dark:bg-gray-700 text-gray-800 dark:text-gray-200 rounded-lg hover:bg-gray-300 dark:hover:bg-gray-600 font-medium"
+                >
+                  Cancel
+                </button>
+                <button
+                  type="submit"
+                  disabled={saving}
+                  className="flex-1 px-4 py-2 bg-blue-600 text-white rounded-lg hover:bg-blue-700 font-medium disabled:opacity-50"
+                >
+                  {saving ? "Saving..." : "Save Location"}
+                </button>
+              </div>
+            </form>
+          </div>
+        </div>
+      )}
+
+      {/* Delete Confirmation Modal */}
+      {showDeleteModal && selected && (
+        <div className="fixed inset-0 z-50 flex items-center justify-center bg-black/60 p-4">
+          <div className="bg-white dark:bg-gray-800 rounded-xl shadow-2xl w-full max-w-md">
+            <div className="p-6">
+              <div className="mx-auto flex h-16 w-16 items-center justify-center rounded-full bg-red-100 dark:bg-red-900/50">
+                <span className="material-symbols-outlined text-4xl text-red-600 dark:text-red-400">
+                  warning
+                </span>
+              </div>
+              <h3 className="mt-5 text-xl font-bold text-gray-900 dark:text-white text-center">
+                Delete Location?
+              </h3>
+              <p className="mt-2 text-sm text-gray-600 dark:text-gray-400 text-center">
+                Are you sure you want to delete "
+                <strong>{selected.name}</strong>"? Locations with sub-locations
+                or assets cannot be deleted.
+              </p>
+              {deleteError && (
+                <div className="mt-4 p-3 bg-yellow-50 dark:bg-yellow-900/20 border border-yellow-200 dark:border-yellow-800 rounded-lg">
+                  <p className="text-sm text-yellow-800 dark:text-yellow-200">
+                    {deleteError}
+                  </p>
+                </div>
+              )}
+            </div>
+
+            <div className="flex gap-3 p-6 pt-0">
+              <button
+                onClick={() => setShowDeleteModal(false)}
+                className="flex-1 px-4 py-2 bg-gray-200 dark:bg-gray-700 text-gray-800 dark:text-gray-200 rounded-lg hover:bg-gray-300 dark:hover:bg-gray-600 font-medium"
+              >
+                Cancel
+              </button>
+              <button
+                onClick={handleDelete}
+                className="flex-1 px-4 py-2 bg-red-600 text-white rounded-lg hover:bg-red-700 font-medium"
+              >
+                Delete Location
+              </button>
+            </div>
+          </div>
+        </div>
+      )}
+    </>
+  );
+};
+
+export default LocationBrowser;
@@ -0,0 +1,234 @@
+/**
+ * LocationPicker.jsx
+ *
+ * Chooses a node from the location tree. Shows the selected location's full
+ * path; opening it lists the tree with expandable sites, buildings and
+ * floors, or a flat list of matches while searching (by name or code).
+ *
+ * Props:
+ * @param {string|null} value - Selected location ID
+ * @param {Function} onChange - Called with the chosen location, or null when cleared
+ * @param {Array} [locations] - Location list to choose from (fetched when omitted)
+ * @param {string} [placeholder] - Text shown when nothing is selected
+ * @param {string} [className] - Classes for the closed picker, to match the form
+ * @param {boolean} [allowClear] - Offer a "clear" option
+ * @param {boolean} [disabled] - Read-only
+ */
+
+import React, { useState, useEffect, useMemo, useRef } from "react";
+import {
+  fetchLocations,
+  indexLocations,
+  locationPath,
+  LOCATION_TYPE_ICONS,
+} from "../config/locations";
+
+export default function LocationPicker({
+  value,
+  onChange,
+  locations: providedLocations,
+  placeholder = "Select a location",
+  className = "",
+  allowClear = false,
+  disabled = false,
+}) {
+  const [loadedLocations, setLoadedLocations] = useState([]);
+  const [loading, setLoading] = useState(!providedLocations);
+  const [open, setOpen] = useState(false);
+  const [search, setSearch] = useState("");
+  const [expanded, setExpanded] = useState(new Set());
+  const containerRef = useRef(null);
+
+  const locations = providedLocations || loadedLocations;
+  const { byId, children, roots } = useMemo(
+    () => indexLocations(locations),
+    [locations]
+  );
+  const selected = value ? byId.get(value) : null;
+
+  // Load the tree unless the parent already has it
+  useEffect(() => {
+    if (providedLocations) return;
+    let cancelled = false;
+    fetchLocations()
+      .then((data) => {
+        if (!cancelled) setLoadedLocations(data.locations);
+      })
+      .catch((error) => console.error("Error loading locations:", error))
+      .finally(() => {
+        if (!cancelled) setLoading(false);
+      });
+    return () => {
+      cancelled = true;
+    };
+  }, [providedLocations]);
+
+  // Close when clicking outside the picker
+  useEffect(() => {
+    if (!open) return;
+    const handleClick = (e) => {
+      if (containerRef.current && !containerRef.current.contains(e.target)) {
+        setOpen(false);
+      }
+    };
+    document.addEventListener("mousedown", handleClick);
+    return () => document.removeEventListener("mousedown", handleClick);
+  }, [open]);
+
+  // Open on the selected location, with the branches above it expanded
+  const toggleOpen = () => {
+    if (!open && selected) {
+      setExpanded((prev) => new Set([...prev, ...selected.ancestors]));
+    }
+    setOpen(!open);
+  };
+
+  const choose = (location) => {
+    onChange(location);
+    setOpen(false);
+    setSearch("");
+  };
+
+  const toggleExpanded = (id) => {
+    setExpanded((prev) => {
+      const next = new Set(prev);
+      if (next.has(id)) next.delete(id);
+      else next.add(id);
+      return next;
+    });
+  };
+
+  const term = search.trim().toLowerCase();
+  const matches = term
+    ? locations
+        .filter(
+          (location) =>
+            location.name.toLowerCase().includes(term) ||
+            location.code.toLowerCase().includes(term)
+        )
+        .sort((a, b) =>
+          locationPath(a, byId).localeCompare(locationPath(b, byId))
+        )
+    : [];
+
+  const renderOption = (location, label, depth = 0) => {
+    const hasChildren = (children.get(location._id) || []).length > 0;
+    return (
+      <div
+        key={location._id}
+        className={`flex items-center gap-1 pr-2 py-1 rounded-md text-sm ${
+          location._id === value
+            ? "bg-blue-50 dark:bg-blue-900/30 text-blue-700 dark:text-blue-300"
+            : "text-gray-900 dark:text-white hover:bg-gray-100 dark:hover:bg-gray-700"
+        }`}
+        style={{ paddingLeft: `${depth * 1.25 + 0.25}rem` }}
+      >
+        {!term && (
+          <button
+            type="button"
+            onClick={() => toggleExpanded(location._id)}
+            className={`w-6 h-6 flex items-center justify-center text-gray-500 dark:text-gray-400 ${
+              hasChildren ? "" : "invisible"
+            }`}
+            aria-label={expanded.has(location._id) ? "Collapse" : "Expand"}
+          >
+            <span className="material-symbols-outlined text-lg">
+              {expanded.has(location._id) ? "expand_more" : "chevron_right"}
+            </span>
+          </button>
+        )}
+        <button
+          type="button"
+          onClick={() => choose(location)}
+          className="flex-1 flex items-center gap-2 text-left min-w-0"
+        >
+          <span className="material-symbols-outlined text-base text-gray-500 dark:text-gray-400">
+            {LOCATION_TYPE_ICONS[location.type] || "location_on"}
+          </span>
+          <span className="truncate">{label}</span>
+          <span className="ml-auto text-xs text-gray-500 dark:text-gray-400 font-mono">
+            {location.code}
+          </span>
+        </button>
+      </div>
+    );
+  };
+
+  const renderBranch = (nodes, depth) =>
+    nodes.map((location) => (
+      <React.Fragment key={location._id}>
+        {renderOption(location, location.name, depth)}
+        {expanded.has(location._id) &&
+          renderBranch(children.get(location._id) || [], depth + 1)}
+      </React.Fragment>
+    ));
+
+  return (
+    <div ref={containerRef} className="relative">
+      <button
+        type="button"
+        onClick={toggleOpen}
+        disabled={disabled || loading}
+        className={`flex items-center justify-between gap-2 text-left ${className}`}
+      >
+        <span
+          className={`truncate ${
+            selected ? "" : "text-gray-400 dark:text-gray-500"
+          }`}
+        >
+          {loading
+            ? "Loading locations..."
+            : selected
+            ? locationPath(selected, byId)
+            : placeholder}
+        </span>
+        <span className="material-symbols-outlined text-gray-500 dark:text-gray-400">
+          unfold_more
+        </span>
+      </button>
+
+      {open && (
+        <div className="absolute z-20 mt-1 w-full min-w-[16rem] bg-white dark:bg-gray-800 border border-gray-200 dark:border-gray-700 rounded-lg shadow-lg">
+          <div className="p-2 border-b border-gray-200 dark:border-gray-700">
+            <input
+              type="text"
+              value={search}
+              onChange={(e) => setSearch(e.target.value)}
+              placeholder="Search by name or code"
+              autoFocus
+              className="w-full px-3 py-2 text-sm border border-gray-300 dark:border-gray-600 rounded-md bg-white dark:bg-gray-700 text-gray-900 dark:text-white focus:outline-none focus:ring-2 focus:ring-blue-500"
+            />
+          </div>
+          <div className="max-h-64 overflow-y-auto p-1">
+            {allowClear && value && (
+              <button
+                type="button"
+                onClick={() => choose(null)}
+                className="w-full text-left px-2 py-1 text-sm text-gray-500 dark:text-gray-400 hover:bg-gray-100 dark:hover:bg-gray-700 rounded-md"
+              >
+                Clear selection
+              </button>
+            )}
+            {locations.length === 0 ? (
+              <p className="px-2 py-3 text-sm text-gray-500 dark:text-gray-400">
+                No locations defined yet. Add them on the Locations page.
+              </p>
+            ) : term ? (
+              matches.length === 0 ? (
+                <p className="px-2 py-3 text-sm text-gray-500 dark:text-gray-400">
+                  No locations match "{search}".
+                </p>
+              ) : (
+                matches.map((location) =>
+                  renderOption(location, locationPath(location, byId))
+                )
+              )
+            ) : (
+              renderBranch(roots, 0)
+            )}
+          </div>
+        </div>
+      )}
+    </div>
+  );
+}
@@ -1,11 +1,13 @@
 import React, { useState } from "react";
-import { useNavigate, Link } from "react-router-dom";
+import { useNavigate, useLocation, Link } from "react-router-dom";
 import { useAuth } from "../context/AuthContext";
 import AnimatedContent from "./AnimatedContent";
+import TwoFactorSetup, { RecoveryCodes } from "./TwoFactorSetup";
 
 const Login = () => {
   const navigate = useNavigate();
-  const { login } = useAuth();
+  const location = useLocation();
+  const { login, startTwoFactorSetup, verifyTwoFactor } = useAuth();
 
   const [formData, setFormData] = useState({
     email: "",
@@ -15,6 +17,13 @@ const Login = () => {
   const [error, setError] = useState("");
   const [loading, setLoading] = useState(false);
 
+  // Second step: { token, step } where step is "verify" or "setup"
+  const [challenge, setChallenge] = useState(null);
+  const [setup, setSetup] = useState(null);
+  const [code, setCode] = useState("");
+  const [useRecoveryCode, setUseRecoveryCode] = useState(false);
+  const [recoveryCodes, setRecoveryCodes] = useState(null);
+
   const handleChange = (e) => {
     setFormData({
       ...formData,
@@ -29,8 +38,17 @@ const Login = () => {
     setLoading(true);
 
     try {
-      await login(formData.email, formData.password);
-      navigate("/");
+      const result = await login(formData.email, formData.password);
+
+      if (result.twoFactorStep) {
+        setChallenge({ token: result.challengeToken, step: result.twoFactorStep });
+        if (result.twoFactorStep === "setup") {
+          setSetup(await startTwoFactorSetup(result.challengeToken));
+        }
+        return;
+      }
+
+      goToApp();
     } catch (err) {
       setError(
         err.message || "Failed to login. Please check your credentials."
@@ -40,6 +58,45 @@ const Login = () => {
     }
   };
 
+  // Go back to the page that sent the user here (e.g. an asset link)
+  const goToApp = () => {
+    navigate(location.state?.from?.pathname || "/", { replace: true });
+  };
+
+  const handleVerify = async (e) => {
+    e.preventDefault();
+    setError("");
+    setLoading(true);
+
+    try {
+      const result = await verifyTwoFactor(
+        challenge.token,
+        useRecoveryCode ? { recoveryCode: code } : { code }
+      );
+
+      // Just enrolled: show the recovery codes before continuing
+      if (result.recoveryCodes) {
+        setRecoveryCodes(result.recoveryCodes);
+        return;
+      }
+
+      goToApp();
+    } catch (err) {
+      setError(err.message || "Verification failed");
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  // Back to the email and password step
+  const handleStartOver = () => {
+    setChallenge(null);
+    setSetup(null);
+    setCode("");
+    setUseRecoveryCode(false);
+    setError("");
+  };
+
   return (
     <div className="min-h-screen w-full flex bg-slate-50 dark:bg-slate-900">
       {/* Left side - Image Panel (Hidden on mobile) */}
@@ -131,10 +188,16 @@ const Login = () => {
               </span>
             </div>
             <h1 className="text-3xl font-bold text-slate-900 dark:text-white">
-              Welcome Back
+              {challenge ? "Two-Factor Authentication" : "Welcome Back"}
             </h1>
             <p className="text-slate-600 dark:text-slate-400">
-              Sign in to your AssetFlow account
+              {!challenge
+                ? "Sign in to your AssetFlow account"
+                : challenge.step === "setup"
+                ? "Your role requires two-factor authentication. Set it up to continue."
+                : useRecoveryCode
+                ? "Enter one of your recovery codes"
+                : "Enter the code from your authenticator app"}
             </p>
           </div>
 
@@ -152,81 +215,169 @@ const Login = () => {
             </div>
           )}
 
-          {/* Login Form */}
-          <form onSubmit={handleSubmit} className="space-y-6">
-            {/* Email Field */}
-            <div className="space-y-2">
-              <label
-                htmlFor="email"
-                className="block text-sm font-medium text-slate-700 dark:text-slate-300"
+          {/* Recovery codes after enrolling */}
+          {recoveryCodes && (
+            <div className="space-y-6">
+              <RecoveryCodes codes={recoveryCodes} />
+              <button
+                type="button"
+                onClick={goToApp}
+                className="w-full bg-blue-600 hover:bg-blue-700 text-white font-semibold py-3 px-4 rounded-lg transition-colors duration-200 focus:outline-none focus:ring-2 focus:ring-blue-500 focus:ring-offset-2"
               >
-                Email Address
-              </label>
-              <input
-                id="email"
-                name="email"
-                type="email"
-                autoComplete="email"
-                required
-                disabled={loading}
-                value={formData.email}
-                onChange={handleChange}
-                className="w-full px-4 py-3 rounded-lg border border-slate-300 dark:border-slate-600 bg-white dark:bg-slate-800 text-slate-900 dark:text-white placeholder-slate-400 focus:outline-none focus:ring-2 focus:ring-blue-500 focus:border-transparent disabled:opacity-50 disabled:cursor-not-allowed transition-all"
-                placeholder="you@company.com"
-              />
+                I've saved my codes, continue
+              </button>
             </div>
+          )}
 
-            {/* Password Field */}
-            <div className="space-y-2">
-              <div className="flex items-center justify-between">
+          {/* Two-Factor Step */}
+          {challenge && !recoveryCodes && (
+            <form onSubmit={handleVerify} className="space-y-6">
+              {setup && (
+                <TwoFactorSetup
+                  secret={setup.secret}
+                  otpauthUrl={setup.otpauthUrl}
+                />
+              )}
+
+              <div className="space-y-2">
                 <label
-                  htmlFor="password"
+                  htmlFor="code"
                   className="block text-sm font-medium text-slate-700 dark:text-slate-300"
                 >
-                  Password
+                  {useRecoveryCode ? "Recovery Code" : "Authentication Code"}
                 </label>
-                <Link
-                  to="/forgot-password"
-                  className="text-sm font-medium text-blue-600 hover:text-blue-500 dark:text-blue-400"
-                >
-                  Forgot password?
-                </Link>
-              </div>
-              <div className="relative">
                 <input
-                  id="password"
-                  name="password"
-                  type={showPassword ? "text" : "password"}
-                  autoComplete="current-password"
+                  id="code"
+                  name="code"
+                  type="text"
+                  inputMode={useRecoveryCode ? "text" : "numeric"}
+                  autoComplete="one-time-code"
+                  autoFocus
                   required
                   disabled={loading}
-                  value={formData.password}
-                  onChange={handleChange}
-                  className="w-full px-4 py-3 pr-12 rounded-lg border border-slate-300 dark:border-slate-600 bg-white dark:bg-slate-800 text-slate-900 dark:text-white placeholder-slate-400 focus:outline-none focus:ring-2 focus:ring-blue-500 focus:border-transparent disabled:opacity-50 disabled:cursor-not-allowed transition-all"
-                  placeholder="Enter your password"
+                  value={code}
+                  onChange={(e) => {
+                    setCode(e.target.value);
+                    if (error) setError("");
+                  }}
+                  className="w-full px-4 py-3 rounded-lg border border-slate-300 dark:border-slate-600 bg-white dark:bg-slate-800 text-slate-900 dark:text-white placeholder-slate-400 tracking-widest focus:outline-none focus:ring-2 focus:ring-blue-500 focus:border-transparent disabled:opacity-50 disabled:cursor-not-allowed transition-all"
+                  placeholder={useRecoveryCode ? "xxxxx-xxxxx" : "123456"}
                 />
+              </div>
+
+              <button
+                type="submit"
+                disabled={loading || (challenge.step === "setup" && !setup)}
+                className="w-full bg-blue-600 hover:bg-blue-700 text-white font-semibold py-3 px-4 rounded-lg transition-colors duration-200 disabled:opacity-50 disabled:cursor-not-allowed focus:outline-none focus:ring-2 focus:ring-blue-500 focus:ring-offset-2"
+              >
+                {loading ? "Verifying..." : "Verify"}
+              </button>
+
+              <div className="flex items-center justify-between text-sm">
+                {challenge.step === "verify" ? (
+                  <button
+                    type="button"
+                    onClick={() => {
+                      setUseRecoveryCode(!useRecoveryCode);
+                      setCode("");
+                    }}
+                    className="font-medium text-blue-600 hover:text-blue-500 dark:text-blue-400"
+                  >
+                    {useRecoveryCode
+                      ? "Use authenticator app"
+                      : "Use a recovery code"}
+                  </button>
+                ) : (
+                  <span />
+                )}
                 <button
                   type="button"
-                  onClick={() => setShowPassword(!showPassword)}
-                  disabled={loading}
-                  className="absolute right-3 top-1/2 -translate-y-1/2 text-slate-400 hover:text-slate-600 dark:hover:text-slate-300"
+                  onClick={handleStartOver}
+                  className="font-medium text-slate-600 hover:text-slate-500 dark:text-slate-400"
                 >
-                  <span className="material-symbols-outlined text-xl">
-                    {showPassword ? "visibility_off" : "visibility"}
-                  </span>
+                  Start over
                 </button>
               </div>
-            </div>
+            </form>
+          )}
 
-            {/* Submit Button */}
-            <button
-              type="submit"
-              disabled={loading}
-              className="w-full bg-blue-600 hover:bg-blue-700 text-white font-semibold py-3 px-4 rounded-lg transition-colors duration-200 disabled:opacity-50 disabled:cursor-not-allowed focus:outline-none focus:ring-2 focus:ring-blue-500 focus:ring-offset-2"
-            >
-              {loading ? "Signing in..." : "Sign In"}
-            </button>
-          </form>
+          {/* Login Form */}
+          {!challenge && (
+            <form onSubmit={handleSubmit} className="space-y-6">
+              {/* Email Field */}
+              <div className="space-y-2">
+                <label
+                  htmlFor="email"
+                  className="block text-sm font-medium text-slate-700 dark:text-slate-300"
+                >
+                  Email Address
+                </label>
+                <input
+                  id="email"
+                  name="email"
+                  type="email"
+                  autoComplete="email"
+                  required
+                  disabled={loading}
+                  value={formData.email}
+                  onChange={handleChange}
+                  className="w-full px-4 py-3 rounded-lg border border-slate-300 dark:border-slate-600 bg-white dark:bg-slate-800 text-slate-900 dark:text-white placeholder-slate-400 focus:outline-none focus:ring-2 focus:ring-blue-500 focus:border-transparent disabled:opacity-50 disabled:cursor-not-allowed transition-all"
+                  placeholder="you@company.com"
+                />
+              </div>
+
+              {/* Password Field */}
+              <div className="space-y-2">
+                <div className="flex items-center justify-between">
+                  <label
+                    htmlFor="password"
+                    className="block text-sm font-medium text-slate-700 dark:text-slate-300"
+                  >
+                    Password
+                  </label>
+                  <Link
+                    to="/forgot-password"
+                    className="text-sm font-medium text-blue-600 hover:text-blue-500 dark:text-blue-400"
+                  >
+                    Forgot password?
+                  </Link>
+                </div>
+                <div className="relative">
+                  <input
+                    id="password"
+                    name="password"
+                    type={showPassword ? "text" : "password"}
+                    autoComplete="current-password"
+                    required
+                    disabled={loading}
+                    value={formData.password}
+                    onChange={handleChange}
+                    className="w-full px-4 py-3 pr-12 rounded-lg border border-slate-300 dark:border-slate-600 bg-white dark:bg-slate-800 text-slate-900 dark:text-white placeholder-slate-400 focus:outline-none focus:ring-2 focus:ring-blue-500 focus:border-transparent disabled:opacity-50 disabled:cursor-not-allowed transition-all"
+                    placeholder="Enter your password"
+                  />
+                  <button
+                    type="button"
+                    onClick={() => setShowPassword(!showPassword)}
+                    disabled={loading}
+                    className="absolute right-3 top-1/2 -translate-y-1/2 text-slate-400 hover:text-slate-600 dark:hover:text-slate-300"
+                  >
+                    <span className="material-symbols-outlined text-xl">
+                      {showPassword ? "visibility_off" : "visibility"}
+                    </span>
+                  </button>
+                </div>
+              </div>
+
+              {/* Submit Button */}
+              <button
+                type="submit"
+                disabled={loading}
+                className="w-full bg-blue-600 hover:bg-blue-700 text-white font-semibold py-3 px-4 rounded-lg transition-colors duration-200 disabled:opacity-50 disabled:cursor-not-allowed focus:outline-none focus:ring-2 focus:ring-blue-500 focus:ring-offset-2"
+              >
+                {loading ? "Signing in..." : "Sign In"}
+              </button>
+            </form>
+          )}
 
           {/* Sign Up Link */}
           <div className="text-center">
@@ -0,0 +1,496 @@
+/**
+ * LoginSecurity.jsx
+ *
+ * "Security" section of the Settings page.
+ * Edits the password policy (length, character classes, common password
+ * check, password history) and the account lockout after failed sign-ins.
+ * Administrators also see the login audit: every sign-in attempt with its
+ * result, IP address and browser.
+ *
+ * Props:
+ * @param {Function} onNotify - Toast callback (message, type)
+ */
+
+import React, { useState, useEffect, useCallback } from "react";
+import API_BASE_URL, { getAuthHeaders } from "../config/api";
+import { useAuth } from "../context/AuthContext";
+
+// Character class requirements, in the order they are shown
+const CHARACTER_RULES = [
+  { key: "requireUppercase", label: "Uppercase letter (A-Z)" },
+  { key: "requireLowercase", label: "Lowercase letter (a-z)" },
+  { key: "requireNumber", label: "Number (0-9)" },
+  { key: "requireSymbol", label: "Symbol (!@#...)" },
+];
+
+// How each sign-in method is shown in the audit
+const METHOD_LABELS = {
+  password: "Password",
+  twoFactor: "Authenticator code",
+  recoveryCode: "Recovery code",
+  register: "Sign up",
+  passwordReset: "Password reset",
+};
+
+const inputClassName =
+  "w-32 rounded-md border-gray-300 dark:border-gray-600 bg-gray-50 dark:bg-gray-700 text-gray-900 dark:text-white focus:ring-2 focus:ring-blue-500 focus:border-blue-500 px-3 py-2 text-sm disabled:opacity-60";
+
+/**
+ * Login audit table with filters and paging (administrators only)
+ */
+const LoginAudit = () => {
+  const [attempts, setAttempts] = useState([]);
+  const [filters, setFilters] = useState({ email: "", ip: "", success: "" });
+  const [page, setPage] = useState(1);
+  const [totalPages, setTotalPages] = useState(1);
+  const [total, setTotal] = useState(0);
+  const [loading, setLoading] = useState(false);
+
+  const loadAttempts = useCallback(async () => {
+    setLoading(true);
+    try {
+      const params = new URLSearchParams({ page, pageSize: 20 });
+      Object.entries(filters).forEach(([key, value]) => {
+        if (value) params.set(key, value);
+      });
+      const response = await fetch(`${API_BASE_URL}/login-audit?${params}`, {
+        headers: getAuthHeaders(),
+      });
+      if (response.ok) {
+        const data = await response.json();
+        setAttempts(data.items);
+        setTotalPages(data.totalPages);
+        setTotal(data.total);
+      }
+    } catch (error) {
+      console.error("Error loading login audit:", error);
+    } finally {
+      setLoading(false);
+    }
+  }, [page, filters]);
+
+  useEffect(() => {
+    loadAttempts();
+  }, [loadAttempts]);
+
+  const updateFilter = (key, value) => {
+    setFilters((prev) => ({ ...prev, [key]: value }));
+    setPage(1);
+  };
+
+  return (
+    <div className="bg-white dark:bg-gray-800 border border-gray-200 dark:border-gray-700 rounded-lg shadow-sm">
+      <div className="p-6 border-b border-gray-200 dark:border-gray-700 flex items-center justify-between">
+        <div>
+          <h2 className="text-lg font-bold text-gray-900 dark:text-white">
+            Login Audit
+          </h2>
+          <p className="text-sm text-gray-600 dark:text-gray-400 mt-1">
+            Sign-in attempts, newest first. Kept for the data retention period.
+          </p>
+        </div>
+        <button
+          onClick={loadAttempts}
+          className="flex items-center gap-1 text-sm font-medium text-blue-600 hover:text-blue-800 dark:text-blue-400"
+        >
+          <span className="material-symbols-outlined text-base">refresh</span>
+          Refresh
+        </button>
+      </div>
+
+      {/* Filters */}
+      <div className="p-6 border-b border-gray-200 dark:border-gray-700 flex flex-wrap gap-3">
+        <input
+          type="text"
+          value={filters.email}
+          onChange={(e) => updateFilter("email", e.target.value)}
+          placeholder="Email"
+          className="w-56 rounded-md border-gray-300 dark:border-gray-600 bg-gray-50 dark:bg-gray-700 text-gray-900 dark:text-white focus:ring-2 focus:ring-blue-500 focus:border-blue-500 px-3 py-2 text-sm"
+        />
+        <input
+          type="text"
+          value={filters.ip}
+          onChange={(e) => updateFilter("ip", e.target.value)}
+          placeholder="IP address"
+          className="w-40 rounded-md border-gray-300 dark:border-gray-600 bg-gray-50 dark:bg-gray-700 text-gray-900 dark:text-white focus:ring-2 focus:ring-blue-500 focus:border-blue-500 px-3 py-2 text-sm"
+        />
+        <select
+          value={filters.success}
+          onChange={(e) => updateFilter("success", e.target.value)}
+          className="rounded-md border-gray-300 dark:border-gray-600 bg-gray-50 dark:bg-gray-700 text-gray-900 dark:text-white focus:ring-2 focus:ring-blue-500 focus:border-blue-500 px-3 py-2 text-sm"
+        >
+          <option value="">All results</option>
+          <option value="true">Succeeded</option>
+          <option value="false">Failed</option>
+        </select>
+      </div>
+
+      {attempts.length === 0 ? (
+        <p className="p-6 text-sm text-gray-500 dark:text-gray-400">
+          {loading ? "Loading sign-in attempts..." : "No sign-in attempts."}
+        </p>
+      ) : (
+        <div className="overflow-x-auto">
+          <table className="w-full text-left text-sm">
+            <thead className="bg-gray-50 dark:bg-gray-700/50">
+              <tr>
+                <th className="px-6 py-3 font-medium text-gray-700 dark:text-gray-300">
+                  Time
+                </th>
+                <th className="px-6 py-3 font-medium text-gray-700 dark:text-gray-300">
+                  Account
+                </th>
+                <th className="px-6 py-3 font-medium text-gray-700 dark:text-gray-300">
+                  Method
+                </th>
+                <th className="px-6 py-3 font-medium text-gray-700 dark:text-gray-300">
+                  Result
+                </th>
+                <th className="px-6 py-3 font-medium text-gray-700 dark:text-gray-300">
+                  IP Address
+                </th>
+              </tr>
+            </thead>
+            <tbody className="divide-y divide-gray-200 dark:divide-gray-700">
+              {attempts.map((attempt) => (
+                <tr key={attempt._id}>
+                  <td className="px-6 py-3 text-gray-700 dark:text-gray-300 whitespace-nowrap">
+                    {new Date(attempt.createdAt).toLocaleString()}
+                  </td>
+                  <td className="px-6 py-3">
+                    <p className="text-gray-900 dark:text-white">
+                      {attempt.user?.name || attempt.email || "-"}
+                    </p>
+                    {attempt.user && (
+                      <p className="text-xs text-gray-500 dark:text-gray-400">
+                        {attempt.email}
+                      </p>
+                    )}
+                  </td>
+                  <td className="px-6 py-3 text-gray-700 dark:text-gray-300 whitespace-nowrap">
+                    {METHOD_LABELS[attempt.method] || attempt.method}
+                  </td>
+                  <td className="px-6 py-3">
+                    {attempt.success ? (
+                      <span className="inline-flex items-center rounded-full px-2 py-0.5 text-xs font-medium bg-green-100 text-green-800 dark:bg-green-900/30 dark:text-green-300">
+                        Succeeded
+                      </span>
+                    ) : (
+                      <div className="flex flex-col gap-1">
+                        <span className="inline-flex w-fit items-center rounded-full px-2 py-0.5 text-xs font-medium bg-red-100 text-red-800 dark:bg-red-900/30 dark:text-red-300">
+                          Failed
+                        </span>
+                        <span className="text-xs text-gray-500 dark:text-gray-400">
+                          {attempt.reason}
+                        </span>
+                      </div>
+                    )}
+                  </td>
+                  <td
+                    className="px-6 py-3 text-gray-700 dark:text-gray-300 whitespace-nowrap"
+                    title={attempt.userAgent}
+                  >
+                    {attempt.ip || "-"}
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      )}
+
+      {/* Paging */}
+      <div className="p-4 border-t border-gray-200 dark:border-gray-700 flex items-center justify-between text-sm text-gray-600 dark:text-gray-400">
+        <span>
+          {total} attempt{total === 1 ? "" : "s"}
+        </span>
+        <div className="flex items-center gap-3">
+          <button
+            onClick={() => setPage((prev) => prev - 1)}
+            disabled={page <= 1 || loading}
+            className="font-medium text-blue-600 hover:text-blue-800 dark:text-blue-400 disabled:opacity-50"
+          >
+            Previous
+          </button>
+          <span>
+            Page {page} of {totalPages}
+          </span>
+          <button
+            onClick={() => setPage((prev) => prev + 1)}
+            disabled={page >= totalPages || loading}
+            className="font-medium text-blue-600 hover:text-blue-800 dark:text-blue-400 disabled:opacity-50"
+          >
+            Next
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default function LoginSecurity({ onNotify }) {
+  const { user, hasPermission } = useAuth();
+  const canEdit = hasPermission("editSettings");
+  const isAdministrator = user?.role === "Administrator";
+
+  const [policy, setPolicy] = useState(null);
+  const [lockout, setLockout] = useState(null);
+  const [saving, setSaving] = useState(false);
+
+  // Load the current policy and lockout settings
+  const loadSettings = useCallback(async () => {
+    try {
+      const response = await fetch(`${API_BASE_URL}/settings`, {
+        headers: getAuthHeaders(),
+      });
+      if (response.ok) {
+        const data = await response.json();
+        setPolicy(data.passwordPolicy);
+        setLockout(data.loginLockout);
+      }
+    } catch (error) {
+      console.error("Error loading security settings:", error);
+    }
+  }, []);
+
+  useEffect(() => {
+    loadSettings();
+  }, [loadSettings]);
+
+  /**
+   * Save the password policy and lockout settings
+   */
+  const handleSave = async () => {
+    setSaving(true);
+    try {
+      const response = await fetch(`${API_BASE_URL}/settings`, {
+        method: "PUT",
+        headers: getAuthHeaders({ "Content-Type": "application/json" }),
+        body: JSON.stringify({ passwordPolicy: policy, loginLockout: lockout }),
+      });
+      const data = await response.json();
+      if (!response.ok) {
+        onNotify(data.message || "Failed to save security settings", "error");
+        return;
+      }
+      onNotify("Security settings saved", "success");
+      await loadSettings();
+    } catch (error) {
+      console.error("Error saving security settings:", error);
+      onNotify("Failed to save security settings", "error");
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const updatePolicy = (key, value) =>
+    setPolicy((prev) => ({ ...prev, [key]: value }));
+  const updateLockout = (key, value) =>
+    setLockout((prev) => ({ ...prev, [key]: value }));
+
+  return (
+    <div className="flex flex-col gap-8">
+      {/* Password Policy and Lockout Card */}
+      <div className="bg-white dark:bg-gray-800 border border-gray-200 dark:border-gray-700 rounded-lg shadow-sm">
+        <div className="p-6 border-b border-gray-200 dark:border-gray-700">
+          <h2 className="text-lg font-bold text-gray-900 dark:text-white">
+            Password Policy
+          </h2>
+          <p className="text-sm text-gray-600 dark:text-gray-400 mt-1">
+            Applies whenever a password is set: sign up, password changes,
+            resets and accounts created by an administrator. Existing passwords
+            keep working.
+          </p>
+        </div>
+
+        {!policy || !lockout ? (
+          <p className="p-6 text-sm text-gray-500 dark:text-gray-400">
+            Loading security settings...
+          </p>
+        ) : (
+          <div className="p-6 flex flex-col gap-6">
+            {/* Minimum Length */}
+            <div className="grid grid-cols-1 sm:grid-cols-3 gap-2 items-start">
+              <label
+                className="text-sm font-medium text-gray-900 dark:text-white sm:pt-2"
+                htmlFor="minLength"
+              >
+                Minimum Length
+              </label>
+              <div className="sm:col-span-2">
+                <input
+                  id="minLength"
+                  type="number"
+                  min="6"
+                  max="128"
+                  value={policy.minLength}
+                  onChange={(e) =>
+                    updatePolicy("minLength", parseInt(e.target.value) || 6)
+                  }
+                  disabled={!canEdit}
+                  className={inputClassName}
+                />
+                <p className="text-xs text-gray-500 dark:text-gray-400 mt-2">
+                  Between 6 and 128 characters
+                </p>
+              </div>
+            </div>
+
+            {/* Character Classes */}
+            <div className="grid grid-cols-1 sm:grid-cols-3 gap-2 items-start">
+              <span className="text-sm font-medium text-gray-900 dark:text-white">
+                Must Contain
+              </span>
+              <div className="sm:col-span-2 flex flex-col gap-2">
+                {CHARACTER_RULES.map((rule) => (
+                  <label
+                    key={rule.key}
+                    className="flex items-center gap-2 text-sm text-gray-700 dark:text-gray-300"
+                  >
+                    <input
+                      type="checkbox"
+                      checked={policy[rule.key]}
+                      onChange={(e) => updatePolicy(rule.key, e.target.checked)}
+                      disabled={!canEdit}
+                      className="rounded border-gray-300 dark:border-gray-600 text-blue-600 focus:ring-blue-500"
+                    />
+                    {rule.label}
+                  </label>
+                ))}
+              </div>
+            </div>
+
+            {/* Common Passwords */}
+            <div className="grid grid-cols-1 sm:grid-cols-3 gap-2 items-start">
+              <span className="text-sm font-medium text-gray-900 dark:text-white">
+                Common Passwords
+              </span>
+              <label className="sm:col-span-2 flex items-center gap-2 text-sm text-gray-700 dark:text-gray-300">
+                <input
+                  type="checkbox"
+                  checked={policy.blockCommon}
+                  onChange={(e) =>
+                    updatePolicy("blockCommon", e.target.checked)
+                  }
+                  disabled={!canEdit}
+                  className="rounded border-gray-300 dark:border-gray-600 text-blue-600 focus:ring-blue-500"
+                />
+                Refuse common and breached passwords, and passwords containing
+                the user's name or email
+              </label>
+            </div>
+
+            {/* Password History */}
+            <div className="grid grid-cols-1 sm:grid-cols-3 gap-2 items-start">
+              <label
+                className="text-sm font-medium text-gray-900 dark:text-white sm:pt-2"
+                htmlFor="historyCount"
+              >
+                Password History
+              </label>
+              <div className="sm:col-span-2">
+                <input
+                  id="historyCount"
+                  type="number"
+                  min="0"
+                  max="24"
+                  value={policy.historyCount}
+                  onChange={(e) =>
+                    updatePolicy("historyCount", parseInt(e.target.value) || 0)
+                  }
+                  disabled={!canEdit}
+                  className={inputClassName}
+                />
+                <p className="text-xs text-gray-500 dark:text-gray-400 mt-2">
+                  How many previous passwords cannot be reused (0 allows any)
+                </p>
+              </div>
+            </div>
+
+            <div className="border-t border-gray-200 dark:border-gray-700" />
+
+            {/* Lockout Attempts */}
+            <div className="grid grid-cols-1 sm:grid-cols-3 gap-2 items-start">
+              <label
+                className="text-sm font-medium text-gray-900 dark:text-white sm:pt-2"
+                htmlFor="maxAttempts"
+              >
+                Lock After
+              </label>
+              <div className="sm:col-span-2">
+                <input
+                  id="maxAttempts"
+                  type="number"
+                  min="3"
+                  max="50"
+                  value={lockout.maxAttempts}
+                  onChange={(e) =>
+                    updateLockout("maxAttempts", parseInt(e.target.value) || 3)
+                  }
+                  disabled={!canEdit}
+                  className={inputClassName}
+                />
+                <p className="text-xs text-gray-500 dark:text-gray-400 mt-2">
+                  Failed sign-in attempts in a row (wrong password or
+                  authenticator code) before the account is locked
+                </p>
+              </div>
+            </div>
+
+            {/* Lockout Duration */}
+            <div className="grid grid-cols-1 sm:grid-cols-3 gap-2 items-start">
+              <label
+                className="text-sm font-medium text-gray-900 dark:text-white sm:pt-2"
+                htmlFor="lockoutMinutes"
+              >
+                Lockout Duration
+              </label>
+              <div className="sm:col-span-2">
+                <input
+                  id="lockoutMinutes"
+                  type="number"
+                  min="1"
+                  max="1440"
+                  value={lockout.lockoutMinutes}
+                  onChange={(e) =>
+                    updateLockout(
+                      "lockoutMinutes",
+                      parseInt(e.target.value) || 1
+                    )
+                  }
+                  disabled={!canEdit}
+                  className={inputClassName}
+                />
+                <p className="text-xs text-gray-500 dark:text-gray-400 mt-2">
+                  Minutes until a locked account can sign in again. A password
+                  reset or an administrator can unlock it sooner.
+                </p>
+              </div>
+            </div>
+          </div>
+        )}
+
+        {canEdit && policy && lockout && (
+          <div className="p-6 border-t border-gray-200 dark:border-gray-700 flex justify-end gap-3">
+            <button
+              onClick={loadSettings}
+              disabled={saving}
+              className="flex min-w-[84px] cursor-pointer items-center justify-center rounded-lg h-10 px-4 bg-white dark:bg-gray-700 text-gray-900 dark:text-white border border-gray-300 dark:border-gray-600 text-sm font-bold hover:bg-gray-50 dark:hover:bg-gray-600 transition-colors disabled:opacity-50"
+            >
+              Cancel
+            </button>
+            <button
+              onClick={handleSave}
+              disabled={saving}
+              className="flex min-w-[84px] cursor-pointer items-center justify-center rounded-lg h-10 px-4 bg-blue-600 text-white text-sm font-bold hover:bg-blue-700 transition-colors disabled:opacity-50"
+            >
+              {saving ? "Saving..." : "Save Security Settings"}
+            </button>
+          </div>
+        )}
+      </div>
+
+      {isAdministrator && <LoginAudit />}
+    </div>
+  );
+}
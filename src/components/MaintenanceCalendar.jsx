@@ -6,7 +6,7 @@
  */
 
 import React, { useState, useEffect } from "react";
-import API_BASE_URL from "../config/api";
+import API_BASE_URL, { getAuthHeaders } from "../config/api";
 
 export default function MaintenanceCalendar({ onBack }) {
   const [currentDate, setCurrentDate] = useState(new Date());
@@ -35,7 +35,9 @@ export default function MaintenanceCalendar({ onBack }) {
         0
       );
 
-      const response = await fetch(`${API_BASE_URL}/maintenance`);
+      const response = await fetch(`${API_BASE_URL}/maintenance`, {
+        headers: getAuthHeaders(),
+      });
       const data = await response.json();
 
       // Filter to current month
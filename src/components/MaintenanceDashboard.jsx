@@ -6,8 +6,9 @@
  */
 
 import React, { useState, useEffect, useCallback } from "react";
-import API_BASE_URL from "../config/api";
+import API_BASE_URL, { getAuthHeaders } from "../config/api";
 import { getDefaultCurrency, getCurrencySymbol } from "../config/currency";
+import { subscribeToEvents } from "../config/eventStream";
 
 export default function MaintenanceDashboard({ onNavigateToCalendar }) {
   const [maintenanceData, setMaintenanceData] = useState({
@@ -44,19 +45,21 @@ export default function MaintenanceDashboard({ onNavigateToCalendar }) {
       // Fetch all maintenance types in parallel
       const [scheduled, inProgress, overdue, dueToday, upcoming] =
         await Promise.all([
-          fetch(`${API_BASE_URL}/maintenance?status=Scheduled`).then((r) =>
-            r.json()
-          ),
-          fetch(`${API_BASE_URL}/maintenance?status=In Progress`).then((r) =>
-            r.json()
-          ),
-          fetch(`${API_BASE_URL}/maintenance/overdue/list`).then((r) =>
-            r.json()
-          ),
-          fetch(`${API_BASE_URL}/maintenance/due/today`).then((r) => r.json()),
-          fetch(`${API_BASE_URL}/maintenance/upcoming/list?days=30`).then((r) =>
-            r.json()
-          ),
+          fetch(`${API_BASE_URL}/maintenance?status=Scheduled`, {
+            headers: getAuthHeaders(),
+          }).then((r) => r.json()),
+          fetch(`${API_BASE_URL}/maintenance?status=In Progress`, {
+            headers: getAuthHeaders(),
+          }).then((r) => r.json()),
+          fetch(`${API_BASE_URL}/maintenance/overdue/list`, {
+            headers: getAuthHeaders(),
+          }).then((r) => r.json()),
+          fetch(`${API_BASE_URL}/maintenance/due/today`, {
+            headers: getAuthHeaders(),
+          }).then((r) => r.json()),
+          fetch(`${API_BASE_URL}/maintenance/upcoming/list?days=30`, {
+            headers: getAuthHeaders(),
+          }).then((r) => r.json()),
         ]);
 
       setMaintenanceData({
@@ -78,6 +81,12 @@ export default function MaintenanceDashboard({ onNavigateToCalendar }) {
     loadMaintenanceData();
   }, [loadMaintenanceData]);
 
+  // Reload when maintenance records change, including changes by other users
+  useEffect(
+    () => subscribeToEvents({ maintenance: () => loadMaintenanceData() }),
+    [loadMaintenanceData]
+  );
+
   // Load default currency on component mount
   useEffect(() => {
     const loadCurrency = async () => {
@@ -140,7 +149,7 @@ export default function MaintenanceDashboard({ onNavigateToCalendar }) {
 
       const response = await fetch(endpoint, {
         method: "PUT",
-        headers: { "Content-Type": "application/json" },
+        headers: getAuthHeaders({ "Content-Type": "application/json" }),
         body: JSON.stringify(body),
       });
 
@@ -6,7 +6,7 @@
  */
 
 import React, { useState, useEffect, useCallback } from "react";
-import API_BASE_URL from "../config/api";
+import API_BASE_URL, { getAuthHeaders } from "../config/api";
 import { getDefaultCurrency, getCurrencySymbol } from "../config/currency";
 
 export default function MaintenanceRecords() {
@@ -98,7 +98,8 @@ export default function MaintenanceRecords() {
     try {
       setLoading(true);
       const response = await fetch(
-        `${API_BASE_URL}/maintenance/records/history`
+        `${API_BASE_URL}/maintenance/records/history`,
+        { headers: getAuthHeaders() }
       );
       if (!response.ok) throw new Error("Failed to load records");
 
@@ -6,7 +6,8 @@
  */
 
 import React, { useState, useEffect } from "react";
-import API_BASE_URL from "../config/api";
+import API_BASE_URL, { getAuthHeaders } from "../config/api";
+import { fetchAsset, searchAssets } from "../config/assets";
 
 export default function MaintenanceScheduleForm({
   assetId,
@@ -23,7 +24,7 @@ export default function MaintenanceScheduleForm({
     priority: "Medium",
     description: "",
   });
-  const [assets, setAssets] = useState([]);
+  const [matches, setMatches] = useState([]); // assets matching the ID typed
   const [loading, setLoading] = useState(false);
   const [error, setError] = useState("");
 
@@ -41,26 +42,31 @@ export default function MaintenanceScheduleForm({
         priority: maintenanceData.priority || "Medium",
         description: maintenanceData.description || "",
       });
-    } else if (!assetId) {
-      loadAssets();
-    } else {
+    } else if (assetId) {
       loadAssetDetails(assetId);
     }
   }, [assetId, maintenanceData]);
 
-  const loadAssets = async () => {
-    try {
-      const response = await fetch(`${API_BASE_URL}/equipment`);
-      const data = await response.json();
-      setAssets(data);
-    } catch (error) {
-      console.error("Error loading assets:", error);
+  // Suggest assets for the ID being typed once the user stops typing
+  const typedId = assetId ? "" : formData.assetId;
+  useEffect(() => {
+    if (!typedId.trim()) {
+      setMatches([]);
+      return;
     }
-  };
+    const timer = setTimeout(() => {
+      searchAssets(typedId)
+        .then(setMatches)
+        .catch((error) => console.error("Error searching assets:", error));
+    }, 300);
+    return () => clearTimeout(timer);
+  }, [typedId]);
 
   const loadAssetDetails = async (id) => {
     try {
-      const response = await fetch(`${API_BASE_URL}/equipment/${id}`);
+      const response = await fetch(`${API_BASE_URL}/equipment/${id}`, {
+        headers: getAuthHeaders(),
+      });
       const asset = await response.json();
       setFormData((prev) => ({
         ...prev,
@@ -73,16 +79,13 @@ export default function MaintenanceScheduleForm({
   };
 
   const handleAssetChange = (e) => {
-    const selectedAsset = assets.find(
-      (a) => a.id === e.target.value || a._id === e.target.value
-    );
-    if (selectedAsset) {
-      setFormData({
-        ...formData,
-        assetId: selectedAsset.id || selectedAsset._id,
-        assetName: selectedAsset.name,
-      });
-    }
+    const typed = e.target.value;
+    const selectedAsset = matches.find((a) => a.id === typed.trim());
+    setFormData({
+      ...formData,
+      assetId: typed,
+      assetName: selectedAsset ? selectedAsset.name : "",
+    });
   };
 
   const handleSubmit = async (e) => {
@@ -91,6 +94,16 @@ export default function MaintenanceScheduleForm({
     setLoading(true);
 
     try {
+      // The name is only known when the ID was picked from the suggestions
+      let assetName = formData.assetName;
+      if (!assetName) {
+        const asset = await fetchAsset(formData.assetId.trim());
+        if (!asset) {
+          throw new Error(`Asset "${formData.assetId}" was not found`);
+        }
+        assetName = asset.name;
+      }
+
       const url = maintenanceData
         ? `${API_BASE_URL}/maintenance/${maintenanceData._id}`
         : `${API_BASE_URL}/maintenance/schedule`;
@@ -99,8 +112,12 @@ export default function MaintenanceScheduleForm({
 
       const response = await fetch(url, {
         method: method,
-        headers: { "Content-Type": "application/json" },
-        body: JSON.stringify(formData),
+        headers: getAuthHeaders({ "Content-Type": "application/json" }),
+        body: JSON.stringify({
+          ...formData,
+          assetId: formData.assetId.trim(),
+          assetName,
+        }),
       });
 
       if (!response.ok) {
@@ -148,19 +165,22 @@ export default function MaintenanceScheduleForm({
             <label className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-2">
               Asset *
             </label>
-            <select
+            <input
+              type="text"
               value={formData.assetId}
               onChange={handleAssetChange}
+              list="maintenance-asset-candidates"
+              placeholder="Type an asset ID or name"
               required
               className="w-full px-3 py-2 border border-gray-300 dark:border-gray-600 rounded-md bg-white dark:bg-gray-700 text-gray-900 dark:text-white"
-            >
-              <option value="">Select an asset</option>
-              {assets.map((asset) => (
-                <option key={asset._id} value={asset.id || asset._id}>
-                  {asset.name} ({asset.id})
+            />
+            <datalist id="maintenance-asset-candidates">
+              {matches.map((asset) => (
+                <option key={asset._id} value={asset.id}>
+                  {asset.name}
                 </option>
               ))}
-            </select>
+            </datalist>
           </div>
         )}
 
@@ -5,7 +5,7 @@
  */
 
 import React, { useState, useEffect } from "react";
-import API_BASE_URL from "../config/api";
+import API_BASE_URL, { getAuthHeaders } from "../config/api";
 
 export default function MaintenanceWidget({ onNavigateToMaintenance }) {
   const [stats, setStats] = useState({
@@ -24,14 +24,18 @@ export default function MaintenanceWidget({ onNavigateToMaintenance }) {
     try {
       setLoading(true);
       const [overdue, dueToday, inProgress, scheduled] = await Promise.all([
-        fetch(`${API_BASE_URL}/maintenance/overdue/list`).then((r) => r.json()),
-        fetch(`${API_BASE_URL}/maintenance/due/today`).then((r) => r.json()),
-        fetch(`${API_BASE_URL}/maintenance?status=In Progress`).then((r) =>
-          r.json()
-        ),
-        fetch(`${API_BASE_URL}/maintenance?status=Scheduled`).then((r) =>
-          r.json()
-        ),
+        fetch(`${API_BASE_URL}/maintenance/overdue/list`, {
+          headers: getAuthHeaders(),
+        }).then((r) => r.json()),
+        fetch(`${API_BASE_URL}/maintenance/due/today`, {
+          headers: getAuthHeaders(),
+        }).then((r) => r.json()),
+        fetch(`${API_BASE_URL}/maintenance?status=In Progress`, {
+          headers: getAuthHeaders(),
+        }).then((r) => r.json()),
+        fetch(`${API_BASE_URL}/maintenance?status=Scheduled`, {
+          headers: getAuthHeaders(),
+        }).then((r) => r.json()),
       ]);
 
       setStats({
@@ -0,0 +1,669 @@
+/**
+ * NotificationRules.jsx
+ *
+ * "Notification Rules" section of the Settings page.
+ * Lists the rules that decide who is notified of each event and over which
+ * channels, and edits them: trigger event, conditions (category,
+ * department, priority, cost, status change), recipients and channels.
+ * Built-in rules can be turned off or reset but not deleted.
+ *
+ * Props:
+ * @param {Function} onNotify - Toast callback (message, type)
+ */
+
+import React, { useState, useEffect, useCallback } from "react";
+import API_BASE_URL, { getAuthHeaders } from "../config/api";
+import { useAuth } from "../context/AuthContext";
+import Toggle from "./Toggle";
+
+const PRIORITIES = ["low", "medium", "high"];
+
+const RECIPIENT_FLAGS = [
+  { key: "assetAssignee", label: "Asset assignee or borrower" },
+  { key: "assetDepartment", label: "Everyone in the asset's department" },
+  { key: "departmentManagers", label: "Managers of the asset's department" },
+];
+
+const CHANNELS = [
+  { key: "inApp", label: "In-app" },
+  { key: "email", label: "Email" },
+  { key: "webhook", label: "Slack / Teams" },
+];
+
+const EMPTY_FORM = {
+  name: "",
+  description: "",
+  trigger: "",
+  enabled: true,
+  conditions: {
+    categories: [],
+    departments: [],
+    priorities: [],
+    minCost: "",
+    fromStatuses: [],
+    toStatuses: [],
+  },
+  recipients: {
+    users: [],
+    roles: [],
+    assetAssignee: false,
+    assetDepartment: false,
+    departmentManagers: false,
+  },
+  channels: { inApp: true, email: false, webhook: false },
+};
+
+const inputClassName =
+  "w-full rounded-md border-gray-300 dark:border-gray-600 bg-gray-50 dark:bg-gray-700 text-gray-900 dark:text-white focus:ring-2 focus:ring-blue-500 focus:border-blue-500 px-3 py-2 disabled:opacity-60";
+
+const secondaryButtonClassName =
+  "flex items-center justify-center gap-2 rounded-lg h-9 px-3 bg-white dark:bg-gray-700 text-gray-900 dark:text-white border border-gray-300 dark:border-gray-600 text-sm font-bold hover:bg-gray-50 dark:hover:bg-gray-600 transition-colors disabled:opacity-50 whitespace-nowrap";
+
+const checkboxClassName =
+  "rounded border-gray-300 text-blue-600 focus:ring-blue-500";
+
+/**
+ * Checkbox list for a multi-value field. Nothing ticked means "any".
+ * @param {string} label - Field label
+ * @param {Array} options - Strings or { value, label }
+ * @param {Array} selected - Ticked values
+ * @param {Function} onChange - Called with the new list
+ */
+const CheckboxGroup = ({ label, options, selected, onChange, hint }) => (
+  <div>
+    <p className="text-sm font-medium text-gray-700 dark:text-gray-300 mb-2">
+      {label}
+      {hint && (
+        <span className="ml-1 font-normal text-xs text-gray-500 dark:text-gray-400">
+          {hint}
+        </span>
+      )}
+    </p>
+    {options.length === 0 ? (
+      <p className="text-xs text-gray-500 dark:text-gray-400">
+        Nothing to choose from yet.
+      </p>
+    ) : (
+      <div className="flex flex-wrap gap-x-4 gap-y-2 max-h-40 overflow-y-auto">
+        {options.map((option) => {
+          const value = option.value ?? option;
+          return (
+            <label
+              key={value}
+              className="flex items-center gap-2 text-sm text-gray-700 dark:text-gray-300"
+            >
+              <input
+                type="checkbox"
+                checked={selected.includes(value)}
+                onChange={() =>
+                  onChange(
+                    selected.includes(value)
+                      ? selected.filter((item) => item !== value)
+                      : [...selected, value]
+                  )
+                }
+                className={checkboxClassName}
+              />
+              {option.label ?? option}
+            </label>
+          );
+        })}
+      </div>
+    )}
+  </div>
+);
+
+export default function NotificationRules({ onNotify }) {
+  const { hasPermission } = useAuth();
+  const canEdit = hasPermission("editSettings");
+
+  const [rules, setRules] = useState(null);
+  const [options, setOptions] = useState({
+    triggers: [],
+    roles: [],
+    categories: [],
+    departments: [],
+    statuses: [],
+    users: [],
+  });
+  const [form, setForm] = useState(null);
+  const [editingId, setEditingId] = useState(null);
+  const [saving, setSaving] = useState(false);
+  const [busyId, setBusyId] = useState(null);
+
+  // Load the rules and the choices for the editor
+  const loadRules = useCallback(async () => {
+    try {
+      const [rulesResponse, optionsResponse] = await Promise.all([
+        fetch(`${API_BASE_URL}/notification-rules`, {
+          headers: getAuthHeaders(),
+        }),
+        fetch(`${API_BASE_URL}/notification-rules/options`, {
+          headers: getAuthHeaders(),
+        }),
+      ]);
+      if (rulesResponse.ok) {
+        setRules(await rulesResponse.json());
+      }
+      if (optionsResponse.ok) {
+        setOptions(await optionsResponse.json());
+      }
+    } catch (error) {
+      console.error("Error loading notification rules:", error);
+    }
+  }, []);
+
+  useEffect(() => {
+    loadRules();
+  }, [loadRules]);
+
+  const triggerLabel = (trigger) =>
+    options.triggers.find((item) => item.trigger === trigger)?.label || trigger;
+
+  const openForm = (rule) => {
+    setEditingId(rule?._id || null);
+    setForm(
+      rule
+        ? {
+            name: rule.name,
+            description: rule.description || "",
+            trigger: rule.trigger,
+            enabled: rule.enabled,
+            conditions: {
+              ...EMPTY_FORM.conditions,
+              ...rule.conditions,
+              minCost: rule.conditions?.minCost ?? "",
+            },
+            recipients: { ...EMPTY_FORM.recipients, ...rule.recipients },
+            channels: { ...EMPTY_FORM.channels, ...rule.channels },
+          }
+        : { ...EMPTY_FORM, trigger: options.triggers[0]?.trigger || "" }
+    );
+  };
+
+  const closeForm = () => {
+    setEditingId(null);
+    setForm(null);
+  };
+
+  const setSection = (section, values) =>
+    setForm((prev) => ({
+      ...prev,
+      [section]: { ...prev[section], ...values },
+    }));
+
+  /**
+   * Create or update the rule in the form
+   */
+  const handleSave = async () => {
+    setSaving(true);
+    try {
+      const response = await fetch(
+        editingId
+          ? `${API_BASE_URL}/notification-rules/${editingId}`
+          : `${API_BASE_URL}/notification-rules`,
+        {
+          method: editingId ? "PUT" : "POST",
+          headers: getAuthHeaders({ "Content-Type": "application/json" }),
+          body: JSON.stringify(form),
+        }
+      );
+      const data = await response.json();
+      if (!response.ok) {
+        onNotify(data.message || "Failed to save rule", "error");
+        return;
+      }
+      closeForm();
+      onNotify(editingId ? "Rule updated" : "Rule added", "success");
+      await loadRules();
+    } catch (error) {
+      console.error("Error saving notification rule:", error);
+      onNotify("Failed to save rule", "error");
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  /**
+   * Turn a rule on or off
+   * @param {Object} rule - Rule
+   * @param {boolean} enabled - New state
+   */
+  const handleToggle = async (rule, enabled) => {
+    setBusyId(rule._id);
+    try {
+      const response = await fetch(
+        `${API_BASE_URL}/notification-rules/${rule._id}`,
+        {
+          method: "PUT",
+          headers: getAuthHeaders({ "Content-Type": "application/json" }),
+          body: JSON.stringify({ enabled }),
+        }
+      );
+      const data = await response.json();
+      if (!response.ok) {
+        onNotify(data.message || "Failed to update rule", "error");
+        return;
+      }
+      setRules((prev) =>
+        prev.map((item) =>
+          item._id === rule._id ? { ...item, enabled: data.enabled } : item
+        )
+      );
+    } catch (error) {
+      console.error("Error updating notification rule:", error);
+      onNotify("Failed to update rule", "error");
+    } finally {
+      setBusyId(null);
+    }
+  };
+
+  /**
+   * Restore a built-in rule, or delete a custom one
+   * @param {Object} rule - Rule
+   */
+  const handleRemove = async (rule) => {
+    const message = rule.key
+      ? `Reset "${rule.name}" to its default recipients and channels?`
+      : `Delete the rule "${rule.name}"?`;
+    if (!window.confirm(message)) {
+      return;
+    }
+    setBusyId(rule._id);
+    try {
+      const response = await fetch(
+        rule.key
+          ? `${API_BASE_URL}/notification-rules/${rule._id}/reset`
+          : `${API_BASE_URL}/notification-rules/${rule._id}`,
+        {
+          method: rule.key ? "POST" : "DELETE",
+          headers: getAuthHeaders(),
+        }
+      );
+      const data = await response.json();
+      if (!response.ok) {
+        onNotify(data.message || "Failed to update rule", "error");
+        return;
+      }
+      onNotify(rule.key ? "Rule reset" : "Rule deleted", "success");
+      await loadRules();
+    } catch (error) {
+      console.error("Error removing notification rule:", error);
+      onNotify("Failed to update rule", "error");
+    } finally {
+      setBusyId(null);
+    }
+  };
+
+  /**
+   * One-line summary of who a rule notifies
+   */
+  const describeRecipients = (recipients = {}) => {
+    const parts = [...(recipients.roles || []).map((role) => `${role}s`)];
+    const userCount = recipients.users?.length || 0;
+    if (userCount > 0) {
+      parts.push(`${userCount} user${userCount === 1 ? "" : "s"}`);
+    }
+    RECIPIENT_FLAGS.forEach(({ key, label }) => {
+      if (recipients[key]) parts.push(label.toLowerCase());
+    });
+    return parts.join(", ") || "Nobody";
+  };
+
+  /**
+   * One-line summary of a rule's conditions
+   */
+  const describeConditions = (conditions = {}) => {
+    const parts = [];
+    if (conditions.categories?.length)
+      parts.push(conditions.categories.join(" / "));
+    if (conditions.departments?.length)
+      parts.push(`in ${conditions.departments.join(" / ")}`);
+    if (conditions.priorities?.length)
+      parts.push(`${conditions.priorities.join(" / ")} priority`);
+    if (conditions.minCost !== null && conditions.minCost !== undefined)
+      parts.push(`cost above ${conditions.minCost}`);
+    if (conditions.fromStatuses?.length)
+      parts.push(`from ${conditions.fromStatuses.join(" / ")}`);
+    if (conditions.toStatuses?.length)
+      parts.push(`to ${conditions.toStatuses.join(" / ")}`);
+    return parts.join(", ");
+  };
+
+  if (!rules) {
+    return (
+      <div className="bg-white dark:bg-gray-800 border border-gray-200 dark:border-gray-700 rounded-lg shadow-sm p-6 text-sm text-gray-500 dark:text-gray-400">
+        Loading notification rules...
+      </div>
+    );
+  }
+
+  return (
+    <div className="flex flex-col gap-8">
+      <div className="bg-white dark:bg-gray-800 border border-gray-200 dark:border-gray-700 rounded-lg shadow-sm">
+        <div className="p-6 border-b border-gray-200 dark:border-gray-700 flex items-start justify-between gap-4">
+          <div>
+            <h2 className="text-lg font-bold text-gray-900 dark:text-white">
+              Notification Rules
+            </h2>
+            <p className="text-sm text-gray-600 dark:text-gray-400 mt-1">
+              Decide who hears about each event and how. When several rules
+              match an event their recipients are combined; an event with no
+              matching rule sends nothing. Users can still turn emails off in
+              their own preferences.
+            </p>
+          </div>
+          {canEdit && !form && (
+            <button
+              onClick={() => openForm(null)}
+              className="flex items-center justify-center gap-2 rounded-lg h-10 px-4 bg-blue-600 text-white text-sm font-bold hover:bg-blue-700 transition-colors whitespace-nowrap"
+            >
+              <span className="material-symbols-outlined text-base">add</span>
+              Add Rule
+            </button>
+          )}
+        </div>
+
+        {form && (
+          <div className="p-6 border-b border-gray-200 dark:border-gray-700 flex flex-col gap-6">
+            <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+              <label className="flex flex-col gap-1">
+                <span className="text-sm font-medium text-gray-700 dark:text-gray-300">
+                  Name
+                </span>
+                <input
+                  type="text"
+                  value={form.name}
+                  onChange={(e) => setForm({ ...form, name: e.target.value })}
+                  placeholder="Expensive repairs"
+                  className={inputClassName}
+                />
+              </label>
+              <label className="flex flex-col gap-1">
+                <span className="text-sm font-medium text-gray-700 dark:text-gray-300">
+                  Trigger event
+                </span>
+                <select
+                  value={form.trigger}
+                  onChange={(e) =>
+                    setForm({ ...form, trigger: e.target.value })
+                  }
+                  className={inputClassName}
+                >
+                  {options.triggers.map((item) => (
+                    <option key={item.trigger} value={item.trigger}>
+                      {item.label}
+                    </option>
+                  ))}
+                </select>
+                <span className="text-xs text-gray-500 dark:text-gray-400">
+                  {
+                    options.triggers.find(
+                      (item) => item.trigger === form.trigger
+                    )?.description
+                  }
+                </span>
+              </label>
+              <label className="flex flex-col gap-1 md:col-span-2">
+                <span className="text-sm font-medium text-gray-700 dark:text-gray-300">
+                  Description
+                </span>
+                <input
+                  type="text"
+                  value={form.description}
+                  onChange={(e) =>
+                    setForm({ ...form, description: e.target.value })
+                  }
+                  className={inputClassName}
+                />
+              </label>
+            </div>
+
+            <div className="flex flex-col gap-4">
+              <h3 className="text-sm font-bold text-gray-900 dark:text-white">
+                Conditions
+              </h3>
+              <CheckboxGroup
+                label="Asset category"
+                hint="(none ticked: any)"
+                options={options.categories}
+                selected={form.conditions.categories}
+                onChange={(categories) =>
+                  setSection("conditions", { categories })
+                }
+              />
+              <CheckboxGroup
+                label="Department"
+                hint="(none ticked: any)"
+                options={options.departments}
+                selected={form.conditions.departments}
+                onChange={(departments) =>
+                  setSection("conditions", { departments })
+                }
+              />
+              <CheckboxGroup
+                label="Priority"
+                hint="(none ticked: any)"
+                options={PRIORITIES}
+                selected={form.conditions.priorities}
+                onChange={(priorities) =>
+                  setSection("conditions", { priorities })
+                }
+              />
+              <label className="flex flex-col gap-1 md:w-1/2">
+                <span className="text-sm font-medium text-gray-700 dark:text-gray-300">
+                  Cost above
+                </span>
+                <input
+                  type="number"
+                  min="0"
+                  value={form.conditions.minCost}
+                  onChange={(e) =>
+                    setSection("conditions", { minCost: e.target.value })
+                  }
+                  placeholder="Any cost"
+                  className={inputClassName}
+                />
+                <span className="text-xs text-gray-500 dark:text-gray-400">
+                  Maintenance cost where there is one, otherwise the asset's
+                  cost.
+                </span>
+              </label>
+              {form.trigger === "statusChange" && (
+                <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+                  <CheckboxGroup
+                    label="From status"
+                    hint="(none ticked: any)"
+                    options={options.statuses}
+                    selected={form.conditions.fromStatuses}
+                    onChange={(fromStatuses) =>
+                      setSection("conditions", { fromStatuses })
+                    }
+                  />
+                  <CheckboxGroup
+                    label="To status"
+                    hint="(none ticked: any)"
+                    options={options.statuses}
+                    selected={form.conditions.toStatuses}
+                    onChange={(toStatuses) =>
+                      setSection("conditions", { toStatuses })
+                    }
+                  />
+                </div>
+              )}
+            </div>
+
+            <div className="flex flex-col gap-4">
+              <h3 className="text-sm font-bold text-gray-900 dark:text-white">
+                Recipients
+              </h3>
+              <CheckboxGroup
+                label="Roles"
+                options={options.roles}
+                selected={form.recipients.roles}
+                onChange={(roles) => setSection("recipients", { roles })}
+              />
+              <div className="flex flex-col gap-2">
+                {RECIPIENT_FLAGS.map(({ key, label }) => (
+                  <label
+                    key={key}
+                    className="flex items-center gap-2 text-sm text-gray-700 dark:text-gray-300"
+                  >
+                    <input
+                      type="checkbox"
+                      checked={form.recipients[key]}
+                      onChange={(e) =>
+                        setSection("recipients", { [key]: e.target.checked })
+                      }
+                      className={checkboxClassName}
+                    />
+                    {label}
+                  </label>
+                ))}
+              </div>
+              <CheckboxGroup
+                label="Specific users"
+                options={options.users.map((user) => ({
+                  value: user._id,
+                  label: `${user.name} (${user.email})`,
+                }))}
+                selected={form.recipients.users}
+                onChange={(users) => setSection("recipients", { users })}
+              />
+            </div>
+
+            <div className="flex flex-col gap-2">
+              <h3 className="text-sm font-bold text-gray-900 dark:text-white">
+                Channels
+              </h3>
+              <div className="flex flex-wrap gap-4">
+                {CHANNELS.map(({ key, label }) => (
+                  <label
+                    key={key}
+                    className="flex items-center gap-2 text-sm text-gray-700 dark:text-gray-300"
+                  >
+                    <input
+                      type="checkbox"
+                      checked={form.channels[key]}
+                      onChange={(e) =>
+                        setSection("channels", { [key]: e.target.checked })
+                      }
+                      className={checkboxClassName}
+                    />
+                    {label}
+                  </label>
+                ))}
+              </div>
+              <p className="text-xs text-gray-500 dark:text-gray-400">
+                Slack / Teams posts go to the channels routed for the event in
+                Integrations.
+              </p>
+            </div>
+
+            <div className="flex items-center justify-between gap-4">
+              <div className="flex items-center gap-3">
+                <Toggle
+                  id="notification-rule-form-enabled"
+                  checked={form.enabled}
+                  onChange={(value) => setForm({ ...form, enabled: value })}
+                />
+                <span className="text-sm text-gray-700 dark:text-gray-300">
+                  Active
+                </span>
+              </div>
+              <div className="flex gap-3">
+                <button
+                  onClick={closeForm}
+                  disabled={saving}
+                  className="flex min-w-[84px] cursor-pointer items-center justify-center rounded-lg h-10 px-4 bg-white dark:bg-gray-700 text-gray-900 dark:text-white border border-gray-300 dark:border-gray-600 text-sm font-bold hover:bg-gray-50 dark:hover:bg-gray-600 transition-colors disabled:opacity-50"
+                >
+                  Cancel
+                </button>
+                <button
+                  onClick={handleSave}
+                  disabled={saving}
+                  className="flex min-w-[84px] cursor-pointer items-center justify-center rounded-lg h-10 px-4 bg-blue-600 text-white text-sm font-bold hover:bg-blue-700 transition-colors disabled:opacity-50"
+                >
+                  {saving ? "Saving..." : editingId ? "Save Rule" : "Add Rule"}
+                </button>
+              </div>
+            </div>
+          </div>
+        )}
+
+        <div className="divide-y divide-gray-200 dark:divide-gray-700">
+          {rules.map((rule) => (
+            <div key={rule._id} className="p-6 flex flex-col gap-3">
+              <div className="flex items-start justify-between gap-4">
+                <div className="min-w-0">
+                  <h3 className="text-base font-semibold text-gray-900 dark:text-white">
+                    {rule.name}
+                    {rule.key && (
+                      <span className="ml-2 inline-flex items-center rounded-full px-2 py-0.5 text-xs font-medium bg-gray-100 text-gray-700 dark:bg-gray-700 dark:text-gray-300">
+                        Built-in
+                      </span>
+                    )}
+                  </h3>
+                  <p className="text-sm text-gray-600 dark:text-gray-400">
+                    When: {triggerLabel(rule.trigger)}
+                    {describeConditions(rule.conditions) &&
+                      ` (${describeConditions(rule.conditions)})`}
+                  </p>
+                  <p className="text-sm text-gray-600 dark:text-gray-400">
+                    Notify: {describeRecipients(rule.recipients)}
+                  </p>
+                </div>
+                <Toggle
+                  id={`notification-rule-${rule._id}-enabled`}
+                  checked={rule.enabled}
+                  disabled={!canEdit || busyId !== null}
+                  onChange={(value) => handleToggle(rule, value)}
+                />
+              </div>
+              <div className="flex flex-wrap items-center justify-between gap-3">
+                <div className="flex flex-wrap gap-2">
+                  {CHANNELS.filter(({ key }) => rule.channels?.[key]).map(
+                    ({ key, label }) => (
+                      <span
+                        key={key}
+                        className="inline-flex items-center rounded-full px-2 py-0.5 text-xs bg-blue-50 text-blue-700 dark:bg-blue-900/30 dark:text-blue-300"
+                      >
+                        {label}
+                      </span>
+                    )
+                  )}
+                </div>
+                {canEdit && (
+                  <div className="flex flex-wrap gap-2">
+                    <button
+                      onClick={() => openForm(rule)}
+                      disabled={busyId !== null}
+                      className={secondaryButtonClassName}
+                    >
+                      <span className="material-symbols-outlined text-base">
+                        edit
+                      </span>
+                      Edit
+                    </button>
+                    <button
+                      onClick={() => handleRemove(rule)}
+                      disabled={busyId !== null}
+                      className={`${secondaryButtonClassName} ${
+                        rule.key ? "" : "text-red-600 dark:text-red-400"
+                      }`}
+                    >
+                      <span className="material-symbols-outlined text-base">
+                        {rule.key ? "restart_alt" : "delete"}
+                      </span>
+                      {rule.key ? "Reset" : "Delete"}
+                    </button>
+                  </div>
+                )}
+              </div>
+            </div>
+          ))}
+        </div>
+      </div>
+    </div>
+  );
+}
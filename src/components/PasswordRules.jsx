@@ -0,0 +1,46 @@
+/**
+ * PasswordRules.jsx
+ *
+ * The password policy in plain words (from GET /auth/password-policy),
+ * shown under the password field of the sign up, password reset and
+ * change password forms. The server checks the policy; this list only
+ * tells the user what it expects.
+ */
+
+import React, { useState, useEffect } from "react";
+import API_BASE_URL from "../config/api";
+
+/**
+ * @param {Object} props
+ * @param {string} [props.className] - Extra classes for the list
+ */
+const PasswordRules = ({ className = "" }) => {
+  const [rules, setRules] = useState([]);
+
+  useEffect(() => {
+    let cancelled = false;
+    fetch(`${API_BASE_URL}/auth/password-policy`)
+      .then((response) => (response.ok ? response.json() : null))
+      .then((data) => {
+        if (!cancelled && data) setRules(data.rules);
+      })
+      .catch((error) => console.error("Error loading password policy:", error));
+    return () => {
+      cancelled = true;
+    };
+  }, []);
+
+  if (rules.length === 0) return null;
+
+  return (
+    <ul
+      className={`list-disc pl-5 text-xs text-slate-500 dark:text-slate-400 space-y-0.5 ${className}`}
+    >
+      {rules.map((rule) => (
+        <li key={rule}>{rule}</li>
+      ))}
+    </ul>
+  );
+};
+
+export default PasswordRules;
@@ -2,17 +2,28 @@
  * PermissionsManagement.jsx
  *
  * Component for managing user permissions in a detailed, categorized table.
- * Allows administrators to grant or restrict access to specific features.
+ * Users get their role's permissions (Settings > Roles); the flags changed
+ * here become overrides for that user only, marked in the list and cleared
+ * with "Reset to Role". The user's own data access, when set, replaces
+ * their role's.
  */
 
 import React, { useState, useEffect } from "react";
-import API_BASE_URL from "../config/api";
+import API_BASE_URL, { getAuthHeaders } from "../config/api";
+import {
+  PERMISSION_CATEGORIES,
+  describeDataScope,
+} from "../config/permissions";
+import DataScopeEditor from "./DataScopeEditor";
 
 export default function PermissionsManagement() {
   const [users, setUsers] = useState([]);
   const [loadingUsers, setLoadingUsers] = useState(false);
   const [selectedUser, setSelectedUser] = useState(null);
   const [permissions, setPermissions] = useState(null);
+  const [rolePermissions, setRolePermissions] = useState({});
+  const [dataScope, setDataScope] = useState(null);
+  const [roleDataScope, setRoleDataScope] = useState(null);
   const [loadingPermissions, setLoadingPermissions] = useState(false);
   const [saving, setSaving] = useState(false);
   const [showModal, setShowModal] = useState(false);
@@ -26,245 +37,6 @@ export default function PermissionsManagement() {
     setTimeout(() => setToast({ show: false, message: "", type: "" }), 3000);
   };
 
-  // Permission categories with descriptions
-  const permissionCategories = {
-    dashboard: {
-      title: "Dashboard",
-      icon: "dashboard",
-      permissions: [
-        {
-          key: "viewDashboard",
-          label: "View Dashboard",
-          description: "Access to main dashboard and statistics",
-        },
-      ],
-    },
-    assets: {
-      title: "Assets & Equipment",
-      icon: "inventory_2",
-      permissions: [
-        {
-          key: "viewAssets",
-          label: "View Assets",
-          description: "View asset list and details",
-        },
-        {
-          key: "createAssets",
-          label: "Create Assets",
-          description: "Register new assets",
-        },
-        {
-          key: "editAssets",
-          label: "Edit Assets",
-          description: "Modify asset information",
-        },
-        {
-          key: "deleteAssets",
-          label: "Delete Assets",
-          description: "Permanently delete assets",
-        },
-        {
-          key: "exportAssets",
-          label: "Export Assets",
-          description: "Export asset data to CSV/PDF",
-        },
-        {
-          key: "uploadDocuments",
-          label: "Upload Documents",
-          description: "Upload files to assets",
-        },
-        {
-          key: "downloadDocuments",
-          label: "Download Documents",
-          description: "Download asset documents",
-        },
-        {
-          key: "deleteDocuments",
-          label: "Delete Documents",
-          description: "Remove uploaded documents",
-        },
-      ],
-    },
-    notes: {
-      title: "Notes",
-      icon: "note",
-      permissions: [
-        {
-          key: "createNotes",
-          label: "Create Notes",
-          description: "Add notes to assets",
-        },
-        {
-          key: "editNotes",
-          label: "Edit Notes",
-          description: "Modify existing notes",
-        },
-        {
-          key: "deleteNotes",
-          label: "Delete Notes",
-          description: "Remove notes from assets",
-        },
-      ],
-    },
-    tags: {
-      title: "Tags",
-      icon: "local_offer",
-      permissions: [
-        {
-          key: "viewTags",
-          label: "View Tags",
-          description: "View tag management page",
-        },
-        {
-          key: "createTags",
-          label: "Create Tags",
-          description: "Create new tags",
-        },
-        {
-          key: "editTags",
-          label: "Edit Tags",
-          description: "Modify existing tags",
-        },
-        {
-          key: "deleteTags",
-          label: "Delete Tags",
-          description: "Remove tags from system",
-        },
-      ],
-    },
-    maintenance: {
-      title: "Maintenance",
-      icon: "build",
-      permissions: [
-        {
-          key: "viewMaintenance",
-          label: "View Maintenance",
-          description: "View maintenance records",
-        },
-        {
-          key: "createMaintenance",
-          label: "Create Maintenance",
-          description: "Schedule maintenance",
-        },
-        {
-          key: "editMaintenance",
-          label: "Edit Maintenance",
-          description: "Modify maintenance records",
-        },
-        {
-          key: "deleteMaintenance",
-          label: "Delete Maintenance",
-          description: "Remove maintenance records",
-        },
-      ],
-    },
-    users: {
-      title: "User Management",
-      icon: "group",
-      permissions: [
-        {
-          key: "viewUsers",
-          label: "View Users",
-          description: "View user list",
-        },
-        {
-          key: "createUsers",
-          label: "Create Users",
-          description: "Add new users to system",
-        },
-        {
-          key: "editUsers",
-          label: "Edit Users",
-          description: "Modify user information",
-        },
-        {
-          key: "deleteUsers",
-          label: "Delete Users",
-          description: "Remove users from system",
-        },
-        {
-          key: "managePermissions",
-          label: "Manage Permissions",
-          description: "Control user access rights",
-        },
-      ],
-    },
-    reports: {
-      title: "Reports & Analytics",
-      icon: "assessment",
-      permissions: [
-        {
-          key: "viewReports",
-          label: "View Reports",
-          description: "Access reports page",
-        },
-        {
-          key: "exportReports",
-          label: "Export Reports",
-          description: "Download report data",
-        },
-      ],
-    },
-    activities: {
-      title: "Activities",
-      icon: "history",
-      permissions: [
-        {
-          key: "viewActivities",
-          label: "View Activities",
-          description: "View activity logs",
-        },
-        {
-          key: "createActivities",
-          label: "Create Activities",
-          description: "Log new activities",
-        },
-      ],
-    },
-    notifications: {
-      title: "Notifications",
-      icon: "notifications",
-      permissions: [
-        {
-          key: "viewNotifications",
-          label: "View Notifications",
-          description: "Receive notifications",
-        },
-        {
-          key: "deleteNotifications",
-          label: "Delete Notifications",
-          description: "Clear notifications",
-        },
-      ],
-    },
-    settings: {
-      title: "System Settings",
-      icon: "settings",
-      permissions: [
-        {
-          key: "viewSettings",
-          label: "View Settings",
-          description: "Access settings page",
-        },
-        {
-          key: "editSettings",
-          label: "Edit Settings",
-          description: "Modify system settings",
-        },
-        {
-          key: "regenerateApiKey",
-          label: "Regenerate API Key",
-          description: "Generate new API keys",
-        },
-        {
-          key: "deleteAllAssets",
-          label: "Delete All Assets",
-          description: "⚠️ Dangerous: Delete all system data",
-        },
-      ],
-    },
-  };
-
   /**
    * Load all users on component mount
    */
@@ -278,7 +50,9 @@ export default function PermissionsManagement() {
   const loadUsers = async () => {
     try {
       setLoadingUsers(true);
-      const response = await fetch(`${API_BASE_URL}/users`);
+      const response = await fetch(`${API_BASE_URL}/users`, {
+        headers: getAuthHeaders(),
+      });
       if (!response.ok) throw new Error("Failed to fetch users");
 
       const data = await response.json();
@@ -298,12 +72,19 @@ export default function PermissionsManagement() {
     try {
       setLoadingPermissions(true);
       const response = await fetch(
-        `${API_BASE_URL}/users/${userId}/permissions`
+        `${API_BASE_URL}/users/${userId}/permissions`,
+        { headers: getAuthHeaders() }
       );
       if (!response.ok) throw new Error("Failed to fetch permissions");
 
       const data = await response.json();
       setPermissions(data.permissions || {});
+      setRolePermissions(data.rolePermissions || {});
+      setDataScope({
+        departments: data.dataScope?.departments || [],
+        locations: data.dataScope?.locations || [],
+      });
+      setRoleDataScope(data.roleDataScope);
     } catch (error) {
       console.error("Error loading permissions:", error);
       showToast("Failed to load permissions", "error");
@@ -336,7 +117,7 @@ export default function PermissionsManagement() {
    */
   const enableAllInCategory = (category) => {
     const updates = {};
-    permissionCategories[category].permissions.forEach((perm) => {
+    PERMISSION_CATEGORIES[category].permissions.forEach((perm) => {
       updates[perm.key] = true;
     });
     setPermissions((prev) => ({ ...prev, ...updates }));
@@ -347,12 +128,27 @@ export default function PermissionsManagement() {
    */
   const disableAllInCategory = (category) => {
     const updates = {};
-    permissionCategories[category].permissions.forEach((perm) => {
+    PERMISSION_CATEGORIES[category].permissions.forEach((perm) => {
       updates[perm.key] = false;
     });
     setPermissions((prev) => ({ ...prev, ...updates }));
   };
 
+  /**
+   * Give the user exactly their role's permissions again
+   */
+  const resetToRole = () => {
+    setPermissions({ ...rolePermissions });
+  };
+
+  // Whether a flag differs from the user's role
+  const isOverridden = (permissionKey) =>
+    Boolean(permissions?.[permissionKey]) !==
+    Boolean(rolePermissions[permissionKey]);
+
+  const overrideCount =
+    Object.keys(rolePermissions).filter(isOverridden).length;
+
   /**
    * Save updated permissions
    */
@@ -365,10 +161,10 @@ export default function PermissionsManagement() {
         `${API_BASE_URL}/users/${selectedUser._id}/permissions`,
         {
           method: "PUT",
-          headers: {
+          headers: getAuthHeaders({
             "Content-Type": "application/json",
-          },
-          body: JSON.stringify({ permissions }),
+          }),
+          body: JSON.stringify({ permissions, dataScope }),
         }
       );
 
@@ -538,7 +334,11 @@ export default function PermissionsManagement() {
                   Manage Permissions: {selectedUser.name}
                 </h3>
                 <p className="text-sm text-gray-600 dark:text-gray-400 mt-1">
-                  {selectedUser.email} • {selectedUser.role}
+                  {selectedUser.email} • {selectedUser.role} role
+                  {overrideCount > 0 &&
+                    ` • ${overrideCount} permission${
+                      overrideCount === 1 ? "" : "s"
+                    } changed for this user`}
                 </p>
               </div>
               <button
@@ -557,7 +357,28 @@ export default function PermissionsManagement() {
                 </div>
               ) : (
                 <div className="space-y-6">
-                  {Object.entries(permissionCategories).map(
+                  {/* Data Access */}
+                  {selectedUser.role !== "Administrator" && dataScope && (
+                    <div className="border dark:border-gray-700 rounded-lg p-4">
+                      <h3 className="font-semibold text-gray-900 dark:text-white flex items-center gap-2">
+                        <span className="material-symbols-outlined text-lg">
+                          domain
+                        </span>
+                        Data Access
+                      </h3>
+                      <p className="text-sm text-gray-600 dark:text-gray-400 mt-1 mb-3">
+                        {`The ${selectedUser.role} role gives access to ${
+                          describeDataScope(roleDataScope) || "all assets"
+                        }. Tick departments or locations to give this user their own access instead.`}
+                      </p>
+                      <DataScopeEditor
+                        value={dataScope}
+                        onChange={setDataScope}
+                      />
+                    </div>
+                  )}
+
+                  {Object.entries(PERMISSION_CATEGORIES).map(
                     ([categoryKey, category]) => (
                       <div
                         key={categoryKey}
@@ -603,6 +424,18 @@ export default function PermissionsManagement() {
                                 >
                                   {permission.label}
                                 </label>
+                                {isOverridden(permission.key) && (
+                                  <span
+                                    className="ml-2 inline-flex items-center rounded-full px-2 py-0.5 text-xs font-medium bg-amber-100 text-amber-800 dark:bg-amber-900/30 dark:text-amber-300"
+                                    title={`The ${selectedUser.role} role ${
+                                      rolePermissions[permission.key]
+                                        ? "grants"
+                                        : "does not grant"
+                                    } this`}
+                                  >
+                                    Override
+                                  </span>
+                                )}
                                 <p className="text-xs text-gray-500 dark:text-gray-400 mt-0.5">
                                   {permission.description}
                                 </p>
@@ -633,6 +466,13 @@ export default function PermissionsManagement() {
 
             {/* Modal Footer */}
             <div className="px-6 py-4 border-t dark:border-gray-700 flex justify-end gap-3">
+              <button
+                onClick={resetToRole}
+                disabled={overrideCount === 0}
+                className="mr-auto px-4 py-2 text-sm font-medium text-gray-700 dark:text-gray-300 bg-white dark:bg-gray-700 border border-gray-300 dark:border-gray-600 rounded-md hover:bg-gray-50 dark:hover:bg-gray-600 disabled:opacity-50 disabled:cursor-not-allowed"
+              >
+                Reset to Role
+              </button>
               <button
                 onClick={() => setShowModal(false)}
                 className="px-4 py-2 text-sm font-medium text-gray-700 dark:text-gray-300 bg-white dark:bg-gray-700 border border-gray-300 dark:border-gray-600 rounded-md hover:bg-gray-50 dark:hover:bg-gray-600"
@@ -0,0 +1,238 @@
+/**
+ * RecycleBin.jsx
+ *
+ * "Recycle Bin" section of the Settings page (administrators only).
+ * Lists deleted assets with who deleted them and when the retention purge
+ * will remove them. An asset can be restored, bringing back its
+ * maintenance records, notes and documents, or permanently deleted now.
+ *
+ * Props:
+ * @param {Function} onNotify - Toast callback (message, type)
+ */
+
+import React, { useState, useEffect, useCallback, useContext } from "react";
+import API_BASE_URL, { getAuthHeaders } from "../config/api";
+import { EquipmentContext } from "../context/EquipmentContext";
+
+export default function RecycleBin({ onNotify }) {
+  const { refreshData } = useContext(EquipmentContext);
+
+  const [items, setItems] = useState([]);
+  const [retentionDays, setRetentionDays] = useState(null);
+  const [search, setSearch] = useState("");
+  const [loading, setLoading] = useState(false);
+  const [busyId, setBusyId] = useState(null);
+
+  const loadItems = useCallback(async () => {
+    setLoading(true);
+    try {
+      const response = await fetch(`${API_BASE_URL}/equipment/recycle-bin`, {
+        headers: getAuthHeaders(),
+      });
+      if (response.ok) {
+        const data = await response.json();
+        setItems(data.items);
+        setRetentionDays(data.retentionDays);
+      }
+    } catch (error) {
+      console.error("Error loading recycle bin:", error);
+    } finally {
+      setLoading(false);
+    }
+  }, []);
+
+  useEffect(() => {
+    loadItems();
+  }, [loadItems]);
+
+  /**
+   * Restore an asset or delete it for good
+   * @param {Object} item - Recycle bin entry
+   * @param {string} action - "restore" or "purge"
+   */
+  const handleAction = async (item, action) => {
+    if (
+      action === "purge" &&
+      !window.confirm(
+        `Permanently delete "${item.name}" with its maintenance records and documents? This cannot be undone.`
+      )
+    ) {
+      return;
+    }
+
+    setBusyId(item.id);
+    try {
+      const path = encodeURIComponent(item.id);
+      const response = await fetch(
+        action === "restore"
+          ? `${API_BASE_URL}/equipment/recycle-bin/${path}/restore`
+          : `${API_BASE_URL}/equipment/recycle-bin/${path}`,
+        {
+          method: action === "restore" ? "POST" : "DELETE",
+          headers: getAuthHeaders(),
+        }
+      );
+      const data = await response.json();
+
+      if (!response.ok) {
+        onNotify(data.message || `Failed to ${action} asset`, "error");
+        return;
+      }
+
+      onNotify(data.message, "success");
+      setItems((prev) => prev.filter((entry) => entry.id !== item.id));
+      if (action === "restore") {
+        await refreshData();
+      }
+    } catch (error) {
+      console.error(`Error trying to ${action} asset:`, error);
+      onNotify(`Failed to ${action} asset. Please try again.`, "error");
+    } finally {
+      setBusyId(null);
+    }
+  };
+
+  const term = search.trim().toLowerCase();
+  const visibleItems = term
+    ? items.filter(
+        (item) =>
+          item.name.toLowerCase().includes(term) ||
+          item.id.toLowerCase().includes(term)
+      )
+    : items;
+
+  return (
+    <div className="bg-white dark:bg-gray-800 border border-gray-200 dark:border-gray-700 rounded-lg shadow-sm">
+      <div className="p-6 border-b border-gray-200 dark:border-gray-700 flex items-center justify-between">
+        <div>
+          <h2 className="text-lg font-bold text-gray-900 dark:text-white">
+            Recycle Bin
+          </h2>
+          <p className="text-sm text-gray-600 dark:text-gray-400 mt-1">
+            Deleted assets, newest first.{" "}
+            {retentionDays === -1
+              ? "Data retention is set to keep forever, so they stay here until permanently deleted."
+              : retentionDays
+              ? `They are permanently deleted ${retentionDays} days after deletion (Data Retention in General settings).`
+              : ""}
+          </p>
+        </div>
+        <button
+          onClick={loadItems}
+          className="flex items-center gap-1 text-sm font-medium text-blue-600 hover:text-blue-800 dark:text-blue-400"
+        >
+          <span className="material-symbols-outlined text-base">refresh</span>
+          Refresh
+        </button>
+      </div>
+
+      {/* Search */}
+      <div className="p-6 border-b border-gray-200 dark:border-gray-700">
+        <input
+          type="text"
+          value={search}
+          onChange={(e) => setSearch(e.target.value)}
+          placeholder="Search by name or asset ID"
+          className="w-72 rounded-md border-gray-300 dark:border-gray-600 bg-gray-50 dark:bg-gray-700 text-gray-900 dark:text-white focus:ring-2 focus:ring-blue-500 focus:border-blue-500 px-3 py-2 text-sm"
+        />
+      </div>
+
+      {visibleItems.length === 0 ? (
+        <p className="p-6 text-sm text-gray-500 dark:text-gray-400">
+          {loading
+            ? "Loading deleted assets..."
+            : term
+            ? `No deleted assets match "${search}".`
+            : "The recycle bin is empty."}
+        </p>
+      ) : (
+        <div className="overflow-x-auto">
+          <table className="w-full text-left text-sm">
+            <thead className="bg-gray-50 dark:bg-gray-700/50">
+              <tr>
+                <th className="px-6 py-3 font-medium text-gray-700 dark:text-gray-300">
+                  Asset
+                </th>
+                <th className="px-6 py-3 font-medium text-gray-700 dark:text-gray-300">
+                  Deleted
+                </th>
+                <th className="px-6 py-3 font-medium text-gray-700 dark:text-gray-300">
+                  Kept With It
+                </th>
+                <th className="px-6 py-3 font-medium text-gray-700 dark:text-gray-300">
+                  Purged On
+                </th>
+                <th className="px-6 py-3 font-medium text-gray-700 dark:text-gray-300 text-right">
+                  Actions
+                </th>
+              </tr>
+            </thead>
+            <tbody className="divide-y divide-gray-200 dark:divide-gray-700">
+              {visibleItems.map((item) => (
+                <tr key={item.id}>
+                  <td className="px-6 py-3">
+                    <p className="text-gray-900 dark:text-white">{item.name}</p>
+                    <p className="text-xs text-gray-500 dark:text-gray-400">
+                      <span className="font-mono">{item.id}</span>
+                      {[item.category, item.location, item.department]
+                        .filter(Boolean)
+                        .map((detail) => ` · ${detail}`)
+                        .join("")}
+                    </p>
+                  </td>
+                  <td className="px-6 py-3 text-gray-700 dark:text-gray-300 whitespace-nowrap">
+                    <p>{new Date(item.deletedAt).toLocaleString()}</p>
+                    <p className="text-xs text-gray-500 dark:text-gray-400">
+                      by {item.deletedByName || "unknown"}
+                    </p>
+                  </td>
+                  <td className="px-6 py-3 text-xs text-gray-600 dark:text-gray-400">
+                    {item.maintenanceCount} maintenance record
+                    {item.maintenanceCount === 1 ? "" : "s"}
+                    <br />
+                    {item.documentCount} document
+                    {item.documentCount === 1 ? "" : "s"}, {item.noteCount} note
+                    {item.noteCount === 1 ? "" : "s"}
+                  </td>
+                  <td className="px-6 py-3 text-gray-700 dark:text-gray-300 whitespace-nowrap">
+                    {item.purgeAt
+                      ? new Date(item.purgeAt).toLocaleDateString()
+                      : "Never"}
+                  </td>
+                  <td className="px-6 py-3">
+                    <div className="flex justify-end gap-3">
+                      <button
+                        onClick={() => handleAction(item, "restore")}
+                        disabled={busyId === item.id}
+                        className="flex items-center gap-1 font-medium text-blue-600 hover:text-blue-800 dark:text-blue-400 disabled:opacity-50"
+                      >
+                        <span className="material-symbols-outlined text-base">
+                          restore_from_trash
+                        </span>
+                        Restore
+                      </button>
+                      <button
+                        onClick={() => handleAction(item, "purge")}
+                        disabled={busyId === item.id}
+                        className="flex items-center gap-1 font-medium text-red-600 hover:text-red-800 dark:text-red-400 disabled:opacity-50"
+                      >
+                        <span className="material-symbols-outlined text-base">
+                          delete_forever
+                        </span>
+                        Delete Forever
+                      </button>
+                    </div>
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      )}
+
+      <div className="p-4 border-t border-gray-200 dark:border-gray-700 text-sm text-gray-600 dark:text-gray-400">
+        {items.length} deleted asset{items.length === 1 ? "" : "s"}
+      </div>
+    </div>
+  );
+}
@@ -1,7 +1,20 @@
-import React, { useState, useContext, useEffect, useCallback } from "react";
-import { EquipmentContext } from "../context/EquipmentContext";
-import API_BASE_URL from "../config/api";
+import React, { useState, useEffect, useCallback, useMemo } from "react";
+import { useAuth } from "../context/AuthContext";
+import API_BASE_URL, { getAuthHeaders } from "../config/api";
 import { getDefaultCurrency, getCurrencySymbol } from "../config/currency";
+import { describeDataScope } from "../config/permissions";
+import { fetchLocations, flattenLocationTree } from "../config/locations";
+import {
+  fetchAllAssets,
+  fetchAssetPage,
+  fetchAssetSummary,
+} from "../config/assets";
+import {
+  fetchAssetTypes,
+  getAllCustomFields,
+  getCustomFields,
+  formatCustomFieldValue,
+} from "../config/customFields";
 import { Line, Doughnut } from "react-chartjs-2";
 import {
   Chart as ChartJS,
@@ -31,9 +44,53 @@ ChartJS.register(
   Filler
 );
 
+// Reports listing assets, whose exports can include custom field columns
+const ASSET_REPORT_TYPES = [
+  "Asset Status",
+  "Utilization",
+  "Maintenance History",
+  "Full Inventory",
+];
+
+// Summary counts before they have loaded (see GET /api/equipment/summary)
+const EMPTY_SUMMARY = {
+  total: 0,
+  byStatus: {},
+  byCategory: {},
+  totalInScope: 0,
+  categories: [],
+};
+
+/**
+ * Change between two counts, in percent
+ */
+const calcChange = (current, previous) => {
+  if (previous === 0) return current > 0 ? 100 : 0;
+  return Math.round(((current - previous) / previous) * 100);
+};
+
+/**
+ * Statistic card value with its trend since last month
+ */
+const withTrend = (current, previous) => ({
+  count: current,
+  change: calcChange(current, previous),
+  trend: current > previous ? "up" : current < previous ? "down" : "neutral",
+});
+
 const Reports = () => {
-  // Get real asset data from context
-  const { items } = useContext(EquipmentContext);
+  // Counts for the report filters, and for the assets acquired up to a
+  // month ago (for the trends); the register itself is never loaded whole
+  const [summary, setSummary] = useState(EMPTY_SUMMARY);
+  const [lastMonthSummary, setLastMonthSummary] = useState(EMPTY_SUMMARY);
+
+  // The page of the report table; exports load every matching asset
+  const [assetPage, setAssetPage] = useState({
+    items: [],
+    total: 0,
+    totalPages: 1,
+  });
+  const [page, setPage] = useState(1);
 
   // Toast notification state
   const [toast, setToast] = useState({ show: false, message: "", type: "" });
@@ -44,10 +101,8 @@ const Reports = () => {
     setTimeout(() => setToast({ show: false, message: "", type: "" }), 3000);
   };
 
-  // Get unique categories from actual data
-  const uniqueCategories = [
-    ...new Set(items.map((item) => item.category).filter(Boolean)),
-  ];
+  // Categories in use in the user's data scope
+  const uniqueCategories = summary.categories;
 
   // Report type configurations with descriptions
   const reportTypes = {
@@ -76,6 +131,21 @@ const Reports = () => {
         "Complete asset inventory list with all details including ID, category, location, acquisition date, and cost",
       icon: "list_alt",
     },
+    Depreciation: {
+      description:
+        "Book values at the end of the selected period, with depreciation for the period and accumulated depreciation, using each asset type's depreciation settings",
+      icon: "trending_down",
+    },
+    Locations: {
+      description:
+        "Asset counts and values for every site, building, floor and room, each including everything beneath it (category and date filters do not apply)",
+      icon: "account_tree",
+    },
+    "Component Roll-up": {
+      description:
+        "Cost and maintenance of an asset together with all of its components and their components (category and date filters do not apply)",
+      icon: "settings_input_component",
+    },
   };
 
   // Filter states
@@ -91,28 +161,66 @@ const Reports = () => {
   const [maintenanceRecords, setMaintenanceRecords] = useState([]);
   const [loadingMaintenance, setLoadingMaintenance] = useState(false);
 
-  // Statistics trends state
-  const [statsWithTrends, setStatsWithTrends] = useState({
-    total: { count: 0, change: 0, trend: "neutral" },
-    inUse: { count: 0, change: 0, trend: "neutral" },
-    underMaintenance: { count: 0, change: 0, trend: "neutral" },
-    retired: { count: 0, change: 0, trend: "neutral" },
-  });
+  // Depreciation report state
+  const [depreciationReport, setDepreciationReport] = useState(null);
+  const [loadingDepreciation, setLoadingDepreciation] = useState(false);
+
+  // Location tree with roll-ups (for Locations report)
+  const [locationReport, setLocationReport] = useState(null);
+  const [loadingLocations, setLoadingLocations] = useState(false);
+
+  // Parent asset and its roll-up (for Component Roll-up report)
+  const [rollupAssetId, setRollupAssetId] = useState("");
+  const [rollupReport, setRollupReport] = useState(null);
+  const [loadingRollup, setLoadingRollup] = useState(false);
+
+  // Assets with components, offered as Component Roll-up parents
+  const [assemblies, setAssemblies] = useState([]);
+
+  // Custom fields of the asset types, and the keys chosen as export columns
+  const [assetTypes, setAssetTypes] = useState([]);
+  const [customFieldColumns, setCustomFieldColumns] = useState([]);
 
   // Default currency state
   const [defaultCurrency, setDefaultCurrency] = useState("USD");
 
-  // Current user state
-  const [currentUser, setCurrentUser] = useState(null);
+  // Current user from the authenticated session
+  const { user: currentUser } = useAuth();
+
+  useEffect(() => {
+    fetchAssetTypes()
+      .then(setAssetTypes)
+      .catch((error) => console.error("Error loading asset types:", error));
+  }, []);
 
-  // Filtered data based on user selections
-  const [filteredData, setFilteredData] = useState([]);
+  // Custom fields that can be added as columns: the selected category's,
+  // or every asset type's when all categories are shown
+  const availableCustomFields =
+    assetCategory !== "All Categories"
+      ? getCustomFields(assetTypes, assetCategory)
+      : getAllCustomFields(assetTypes);
+  const exportCustomFields = ASSET_REPORT_TYPES.includes(reportType)
+    ? availableCustomFields.filter((field) =>
+        customFieldColumns.includes(field.key)
+      )
+    : [];
+
+  /**
+   * Add or remove a custom field export column
+   * @param {string} key - Field key
+   */
+  const toggleCustomFieldColumn = (key) => {
+    setCustomFieldColumns((prev) =>
+      prev.includes(key) ? prev.filter((k) => k !== key) : [...prev, key]
+    );
+  };
 
   const loadMaintenanceRecords = useCallback(async () => {
     try {
       setLoadingMaintenance(true);
       const response = await fetch(
-        `${API_BASE_URL}/maintenance?status=Completed`
+        `${API_BASE_URL}/maintenance?status=Completed`,
+        { headers: getAuthHeaders() }
       );
       const data = await response.json();
       setMaintenanceRecords(data);
@@ -131,202 +239,308 @@ const Reports = () => {
     }
   }, [reportType, loadMaintenanceRecords]);
 
-  // Load default currency
+  // Fetch book values for the selected period when report type is "Depreciation".
+  // The period ends today (or at the custom end date); "All Time" reports
+  // depreciation since each asset was acquired.
   useEffect(() => {
-    const loadCurrency = async () => {
-      const currency = await getDefaultCurrency();
-      setDefaultCurrency(currency);
-    };
-    loadCurrency();
-  }, []);
+    if (reportType !== "Depreciation") return;
+    if (dateRange === "Custom Range" && (!customDateFrom || !customDateTo)) {
+      return;
+    }
 
-  // Load current user
-  useEffect(() => {
-    const fetchCurrentUser = async () => {
-      try {
-        const response = await fetch(`${API_BASE_URL}/users`);
-        if (response.ok) {
-          const users = await response.json();
-          // Find the admin user first
-          const adminUser = users.find(
-            (user) =>
-              user.email === "admin@deil.com" ||
-              user.role === "Administrator" ||
-              user.name === "David Deil"
+    const loadDepreciationReport = async () => {
+      const params = new URLSearchParams();
+      const periodEnd =
+        dateRange === "Custom Range" ? new Date(customDateTo) : new Date();
+      let periodStart = null;
+
+      switch (dateRange) {
+        case "Custom Range":
+          periodStart = new Date(customDateFrom);
+          break;
+        case "Last 30 Days":
+        case "Last 90 Days":
+          periodStart = new Date();
+          periodStart.setDate(
+            periodStart.getDate() - (dateRange === "Last 30 Days" ? 30 : 90)
           );
+          break;
+        case "This Year":
+          periodStart = new Date(new Date().getFullYear(), 0, 1);
+          break;
+        default:
+          break;
+      }
 
-          if (adminUser) {
-            setCurrentUser(adminUser);
-          } else if (users.length > 0) {
-            // Fallback to first user if admin not found
-            setCurrentUser(users[0]);
-          }
+      params.set("periodEnd", periodEnd.toISOString());
+      if (periodStart) params.set("periodStart", periodStart.toISOString());
+      if (assetCategory !== "All Categories") {
+        params.set("category", assetCategory);
+      }
+
+      try {
+        setLoadingDepreciation(true);
+        const response = await fetch(
+          `${API_BASE_URL}/equipment/depreciation/report?${params}`,
+          { headers: getAuthHeaders() }
+        );
+        const data = await response.json();
+        if (!response.ok) {
+          throw new Error(data.message);
         }
+        setDepreciationReport(data);
       } catch (error) {
-        console.error("Error fetching current user:", error);
+        console.error("Error loading depreciation report:", error);
+        showToast("Failed to load depreciation report", "error");
+      } finally {
+        setLoadingDepreciation(false);
       }
     };
+    loadDepreciationReport();
+  }, [reportType, dateRange, customDateFrom, customDateTo, assetCategory]);
 
-    fetchCurrentUser();
-  }, []);
-
-  // Apply filters to asset data
+  // Fetch the location tree with its roll-ups when report type is "Locations"
   useEffect(() => {
-    let filtered = items.length > 0 ? [...items] : [];
+    if (reportType !== "Locations") return;
 
-    // Filter by Asset ID (highest priority - exact match)
-    if (assetIdFilter.trim() !== "") {
-      filtered = filtered.filter((item) =>
-        item.id?.toLowerCase().includes(assetIdFilter.toLowerCase())
-      );
-    }
+    const loadLocationReport = async () => {
+      try {
+        setLoadingLocations(true);
+        setLocationReport(await fetchLocations());
+      } catch (error) {
+        console.error("Error loading location report:", error);
+        showToast("Failed to load location report", "error");
+      } finally {
+        setLoadingLocations(false);
+      }
+    };
+    loadLocationReport();
+  }, [reportType]);
 
-    // Filter by category
-    if (assetCategory !== "All Categories") {
-      filtered = filtered.filter((item) => item.category === assetCategory);
-    }
+  // Load the assets with components when report type is "Component Roll-up"
+  useEffect(() => {
+    if (reportType !== "Component Roll-up") return;
 
-    // Filter by date range
-    const filterDate = (item) => {
-      const dateString =
-        item.acquisitionDate || item.purchaseDate || item.createdAt;
-      if (!dateString) return true;
+    fetchAssetPage({ hasComponents: true, sort: "name", pageSize: 500 })
+      .then(({ items }) => setAssemblies(items))
+      .catch((error) => {
+        console.error("Error loading assets with components:", error);
+        showToast("Failed to load assets with components", "error");
+      });
+  }, [reportType]);
 
-      const itemDate = new Date(dateString);
+  const selectedAssemblyId = rollupAssetId || assemblies[0]?.id || "";
 
-      if (dateRange === "Custom Range" && customDateFrom && customDateTo) {
-        const fromDate = new Date(customDateFrom);
-        const toDate = new Date(customDateTo);
-        toDate.setHours(23, 59, 59, 999);
-        return itemDate >= fromDate && itemDate <= toDate;
-      }
+  // Fetch the roll-up of the chosen parent when report type is "Component Roll-up"
+  useEffect(() => {
+    if (reportType !== "Component Roll-up" || !selectedAssemblyId) return;
 
-      const compareDate = new Date();
-      switch (dateRange) {
-        case "All Time":
-          return itemDate.getFullYear() === new Date().getFullYear();
-        case "Last 30 Days":
-          compareDate.setDate(compareDate.getDate() - 30);
-          return itemDate >= compareDate;
-        case "Last 90 Days":
-          compareDate.setDate(compareDate.getDate() - 90);
-          return itemDate >= compareDate;
-        case "This Year":
-        default:
-          return true;
+    const loadRollupReport = async () => {
+      try {
+        setLoadingRollup(true);
+        const response = await fetch(
+          `${API_BASE_URL}/equipment/${encodeURIComponent(
+            selectedAssemblyId
+          )}/rollup`,
+          { headers: getAuthHeaders() }
+        );
+        const data = await response.json();
+        if (!response.ok) {
+          throw new Error(data.message);
+        }
+        setRollupReport(data);
+      } catch (error) {
+        console.error("Error loading component roll-up:", error);
+        showToast("Failed to load component roll-up", "error");
+      } finally {
+        setLoadingRollup(false);
       }
     };
+    loadRollupReport();
+  }, [reportType, selectedAssemblyId]);
+
+  const rollupRows =
+    rollupReport?.asset.id === selectedAssemblyId ? rollupReport.rows : [];
+
+  // Locations in tree order, with their depth for indenting
+  const locationRows = flattenLocationTree(locationReport?.locations || []);
+
+  /**
+   * Format a location's total value across currencies
+   */
+  const formatLocationValue = (totals) => {
+    const entries = Object.entries(totals || {});
+    if (entries.length === 0) return formatMoney(0);
+    return entries
+      .map(([currency, amount]) => formatMoney(amount, currency))
+      .join(" / ");
+  };
 
-    filtered = filtered.filter((item) => filterDate(item));
+  /**
+   * Format a Component Roll-up total (cost or maintenanceCost) across currencies
+   */
+  const formatRollupTotal = (field) =>
+    formatLocationValue(
+      Object.fromEntries(
+        Object.entries(rollupReport?.totals || {})
+          .filter(([, totals]) => totals[field] > 0)
+          .map(([currency, totals]) => [currency, totals[field]])
+      )
+    );
+
+  // Depreciation rows matching the Asset ID search
+  const depreciationRows = (depreciationReport?.rows || []).filter(
+    (row) =>
+      !assetIdFilter.trim() ||
+      row.id?.toLowerCase().includes(assetIdFilter.toLowerCase())
+  );
 
-    setFilteredData(filtered);
-  }, [
-    items,
-    assetCategory,
-    dateRange,
-    customDateFrom,
-    customDateTo,
-    assetIdFilter,
-  ]);
+  /**
+   * Format an amount with its currency symbol
+   */
+  const formatMoney = (amount, currency) =>
+    `${getCurrencySymbol(currency || defaultCurrency)}${Number(
+      amount || 0
+    ).toLocaleString(undefined, {
+      minimumFractionDigits: 2,
+      maximumFractionDigits: 2,
+    })}`;
+
+  /**
+   * Format a depreciation total across currencies, e.g. "$1,200.00 / €300.00"
+   * @param {string} key - Totals field (cost, periodDepreciation, accumulatedDepreciation, bookValue)
+   */
+  const formatDepreciationTotal = (key) => {
+    const totals = Object.entries(depreciationReport?.totals || {});
+    if (totals.length === 0) return formatMoney(0);
+    return totals
+      .map(([currency, total]) => formatMoney(total[key], currency))
+      .join(" / ");
+  };
 
-  // Calculate statistics with trends whenever filtered data changes
+  // Load default currency
+  useEffect(() => {
+    const loadCurrency = async () => {
+      const currency = await getDefaultCurrency();
+      setDefaultCurrency(currency);
+    };
+    loadCurrency();
+  }, []);
+
+  // Listing parameters for the report filters; the date filters apply to
+  // the purchase date
+  const reportQuery = useMemo(() => {
+    const query = { search: assetIdFilter.trim() };
+    if (assetCategory !== "All Categories") {
+      query.category = assetCategory;
+    }
+
+    switch (dateRange) {
+      case "Custom Range":
+        if (customDateFrom && customDateTo) {
+          query.dateFrom = customDateFrom;
+          query.dateTo = customDateTo;
+        }
+        break;
+      case "Last 30 Days":
+      case "Last 90 Days": {
+        const from = new Date();
+        from.setDate(from.getDate() - (dateRange === "Last 30 Days" ? 30 : 90));
+        query.dateFrom = from.toISOString().split("T")[0];
+        break;
+      }
+      case "This Year":
+        query.dateFrom = `${new Date().getFullYear()}-01-01`;
+        break;
+      default:
+        break;
+    }
+
+    return query;
+  }, [assetCategory, dateRange, customDateFrom, customDateTo, assetIdFilter]);
+
+  // Back to the first page whenever the filters change
+  useEffect(() => {
+    setPage(1);
+  }, [reportQuery]);
+
+  // Load the counts for the filters, now and for the assets acquired up to
+  // a month ago
   useEffect(() => {
-    // Current counts from filtered data
-    const currentTotal = filteredData.length;
-    const currentInUse = filteredData.filter(
-      (item) => item.status === "In Use"
-    ).length;
-    const currentUnderMaintenance = filteredData.filter(
-      (item) => item.status === "Under Maintenance"
-    ).length;
-    const currentRetired = filteredData.filter(
-      (item) => item.status === "Retired"
-    ).length;
-
-    // Get last month's data for comparison
     const lastMonth = new Date();
     lastMonth.setMonth(lastMonth.getMonth() - 1);
-
-    const lastMonthData = items.filter((item) => {
-      const dateString =
-        item.acquisitionDate || item.purchaseDate || item.createdAt;
-      if (!dateString) return false;
-      const itemDate = new Date(dateString);
-      return itemDate <= lastMonth;
-    });
-
-    const lastMonthTotal = lastMonthData.length;
-    const lastMonthInUse = lastMonthData.filter(
-      (item) => item.status === "In Use"
-    ).length;
-    const lastMonthUnderMaintenance = lastMonthData.filter(
-      (item) => item.status === "Under Maintenance"
-    ).length;
-    const lastMonthRetired = lastMonthData.filter(
-      (item) => item.status === "Retired"
-    ).length;
-
-    // Calculate percentage changes
-    const calcChange = (current, previous) => {
-      if (previous === 0) return current > 0 ? 100 : 0;
-      return Math.round(((current - previous) / previous) * 100);
+    const lastMonthDate = lastMonth.toISOString().split("T")[0];
+    const lastMonthQuery = {
+      ...reportQuery,
+      dateTo:
+        reportQuery.dateTo && reportQuery.dateTo < lastMonthDate
+          ? reportQuery.dateTo
+          : lastMonthDate,
     };
 
-    const getTrend = (change) => {
-      if (change > 0) return "up";
-      if (change < 0) return "down";
-      return "neutral";
-    };
+    Promise.all([
+      fetchAssetSummary(reportQuery),
+      fetchAssetSummary(lastMonthQuery),
+    ])
+      .then(([current, previous]) => {
+        setSummary(current);
+        setLastMonthSummary(previous);
+      })
+      .catch((error) => {
+        console.error("Error loading asset summary:", error);
+        showToast("Failed to load asset summary", "error");
+      });
+  }, [reportQuery]);
 
-    setStatsWithTrends({
-      total: {
-        count: currentTotal,
-        change: calcChange(currentTotal, lastMonthTotal),
-        trend: getTrend(currentTotal - lastMonthTotal),
-      },
-      inUse: {
-        count: currentInUse,
-        change: calcChange(currentInUse, lastMonthInUse),
-        trend: getTrend(currentInUse - lastMonthInUse),
-      },
-      underMaintenance: {
-        count: currentUnderMaintenance,
-        change: calcChange(currentUnderMaintenance, lastMonthUnderMaintenance),
-        trend: getTrend(currentUnderMaintenance - lastMonthUnderMaintenance),
-      },
-      retired: {
-        count: currentRetired,
-        change: calcChange(currentRetired, lastMonthRetired),
-        trend: getTrend(currentRetired - lastMonthRetired),
-      },
-    });
-  }, [filteredData, items]);
+  // Load the page of the report table
+  useEffect(() => {
+    let cancelled = false;
+
+    fetchAssetPage({ ...reportQuery, page })
+      .then((data) => {
+        if (!cancelled) setAssetPage(data);
+      })
+      .catch((error) => {
+        console.error("Error loading assets:", error);
+        showToast("Failed to load assets", "error");
+      });
 
-  // Use filtered data from context
-  const reportData = filteredData;
+    return () => {
+      cancelled = true;
+    };
+  }, [reportQuery, page]);
+
+  // Statistics with their change since last month
+  const countStatus = (counts, status) => counts.byStatus[status] || 0;
+  const statsWithTrends = {
+    total: withTrend(summary.total, lastMonthSummary.total),
+    inUse: withTrend(
+      countStatus(summary, "In Use"),
+      countStatus(lastMonthSummary, "In Use")
+    ),
+    underMaintenance: withTrend(
+      countStatus(summary, "Under Maintenance"),
+      countStatus(lastMonthSummary, "Under Maintenance")
+    ),
+    retired: withTrend(
+      countStatus(summary, "Retired"),
+      countStatus(lastMonthSummary, "Retired")
+    ),
+  };
 
   // Prepare chart data
   const getChartData = () => {
     // Status distribution for timeline
     const statusCounts = {
-      "In Use": 0,
-      "Under Maintenance": 0,
-      Retired: 0,
-      Available: 0,
-      Lost: 0,
+      "In Use": countStatus(summary, "In Use"),
+      "Under Maintenance": countStatus(summary, "Under Maintenance"),
+      Retired: countStatus(summary, "Retired"),
+      Available: countStatus(summary, "Available"),
+      Lost: countStatus(summary, "Lost"),
     };
 
-    reportData.forEach((item) => {
-      if (Object.prototype.hasOwnProperty.call(statusCounts, item.status)) {
-        statusCounts[item.status]++;
-      }
-    });
-
     // Category distribution
-    const categoryCounts = {};
-    reportData.forEach((item) => {
-      categoryCounts[item.category] = (categoryCounts[item.category] || 0) + 1;
-    });
+    const categoryCounts = summary.byCategory;
 
     return { statusCounts, categoryCounts };
   };
@@ -496,7 +710,7 @@ const Reports = () => {
   };
 
   // Handle export PDF
-  const handleExportPDF = () => {
+  const handleExportPDF = async () => {
     try {
       console.log("Starting PDF export...");
 
@@ -668,7 +882,322 @@ const Reports = () => {
         return;
       }
 
-      // Original asset report PDF export
+      // Handle Depreciation PDF export
+      if (reportType === "Depreciation") {
+        if (depreciationRows.length === 0) {
+          showToast(
+            "No depreciable assets match the selected filters.",
+            "info"
+          );
+          return;
+        }
+
+        const doc = new jsPDF({ orientation: "landscape" });
+
+        // Header
+        doc.setFillColor(16, 185, 129); // Green for financial reports
+        doc.rect(0, 0, 297, 35, "F");
+        doc.setFontSize(24);
+        doc.setTextColor(255, 255, 255);
+        doc.setFont("helvetica", "bold");
+        doc.text("AssetManager", 14, 15);
+        doc.setFontSize(18);
+        doc.setFont("helvetica", "normal");
+        doc.text("Depreciation Report", 14, 26);
+
+        doc.setTextColor(0, 0, 0);
+        let yPosition = 45;
+
+        // Report Information
+        doc.setFillColor(245, 247, 250);
+        doc.roundedRect(14, yPosition, 269, 29, 2, 2, "F");
+        doc.setFontSize(9);
+        doc.setTextColor(60);
+        doc.setFont("helvetica", "bold");
+        doc.text("Report Details", 18, yPosition + 6);
+        doc.setFont("helvetica", "normal");
+        doc.setFontSize(8);
+        doc.setTextColor(80);
+        doc.text(
+          `Generated: ${new Date().toLocaleString()}`,
+          18,
+          yPosition + 12
+        );
+        doc.text(
+          `Period: ${
+            depreciationReport.periodStart
+              ? new Date(depreciationReport.periodStart).toLocaleDateString()
+              : "Acquisition"
+          } - ${new Date(depreciationReport.periodEnd).toLocaleDateString()}`,
+          18,
+          yPosition + 16
+        );
+        doc.text(`Assets: ${depreciationRows.length}`, 18, yPosition + 20);
+        doc.text(
+          `Total Book Value: ${formatDepreciationTotal("bookValue")}`,
+          18,
+          yPosition + 24
+        );
+
+        yPosition += 36;
+
+        autoTable(doc, {
+          startY: yPosition,
+          head: [
+            [
+              "Asset",
+              "Method",
+              "In Service",
+              "Cost",
+              "Opening Value",
+              "Period Depreciation",
+              "Accumulated",
+              "Book Value",
+            ],
+          ],
+          body: depreciationRows.map((row) => [
+            `${row.name}\n${row.id}`,
+            `${row.method} (${row.usefulLifeYears} yrs)`,
+            new Date(row.inServiceDate).toLocaleDateString(),
+            formatMoney(row.cost, row.currency),
+            formatMoney(row.openingBookValue, row.currency),
+            formatMoney(row.periodDepreciation, row.currency),
+            formatMoney(row.accumulatedDepreciation, row.currency),
+            formatMoney(row.bookValue, row.currency),
+          ]),
+          styles: {
+            fontSize: 8,
+            cellPadding: 3,
+          },
+          headStyles: {
+            fillColor: [16, 185, 129],
+            textColor: 255,
+            fontStyle: "bold",
+            fontSize: 9,
+          },
+          alternateRowStyles: {
+            fillColor: [248, 250, 252],
+          },
+          columnStyles: {
+            3: { halign: "right" },
+            4: { halign: "right" },
+            5: { halign: "right" },
+            6: { halign: "right" },
+            7: { halign: "right" },
+          },
+        });
+
+        doc.save(
+          `depreciation-report-${new Date().toISOString().split("T")[0]}.pdf`
+        );
+        showToast("PDF exported successfully!", "success");
+        return;
+      }
+
+      // Handle Locations PDF export
+      if (reportType === "Locations") {
+        if (locationRows.length === 0) {
+          showToast("No locations to export.", "info");
+          return;
+        }
+
+        const doc = new jsPDF();
+
+        // Header
+        doc.setFillColor(59, 130, 246);
+        doc.rect(0, 0, 210, 35, "F");
+        doc.setFontSize(24);
+        doc.setTextColor(255, 255, 255);
+        doc.setFont("helvetica", "bold");
+        doc.text("AssetManager", 14, 15);
+        doc.setFontSize(18);
+        doc.setFont("helvetica", "normal");
+        doc.text("Assets by Location", 14, 26);
+
+        doc.setTextColor(0, 0, 0);
+        let yPosition = 45;
+
+        // Report Information
+        doc.setFillColor(245, 247, 250);
+        doc.roundedRect(14, yPosition, 182, 25, 2, 2, "F");
+        doc.setFontSize(9);
+        doc.setTextColor(60);
+        doc.setFont("helvetica", "bold");
+        doc.text("Report Details", 18, yPosition + 6);
+        doc.setFont("helvetica", "normal");
+        doc.setFontSize(8);
+        doc.setTextColor(80);
+        doc.text(
+          `Generated: ${new Date().toLocaleString()}`,
+          18,
+          yPosition + 12
+        );
+        doc.text(
+          `Data Scope: ${
+            describeDataScope(currentUser?.effectiveDataScope) || "All assets"
+          }`,
+          18,
+          yPosition + 16
+        );
+        doc.text(
+          `Assets without a location: ${
+            locationReport.unassigned?.assetCount || 0
+          }`,
+          18,
+          yPosition + 20
+        );
+
+        yPosition += 32;
+
+        autoTable(doc, {
+          startY: yPosition,
+          head: [["Location", "Type", "Code", "Here", "Total", "Total Value"]],
+          body: locationRows.map(({ location, depth }) => [
+            `${"    ".repeat(depth)}${location.name}`,
+            location.type,
+            location.code,
+            location.assetCount,
+            location.totalAssetCount,
+            formatLocationValue(location.totalValue),
+          ]),
+          styles: {
+            fontSize: 8,
+            cellPadding: 3,
+          },
+          headStyles: {
+            fillColor: [59, 130, 246],
+            textColor: 255,
+            fontStyle: "bold",
+            fontSize: 9,
+          },
+          alternateRowStyles: {
+            fillColor: [248, 250, 252],
+          },
+          columnStyles: {
+            3: { halign: "right" },
+            4: { halign: "right" },
+            5: { halign: "right" },
+          },
+        });
+
+        doc.save(
+          `location-report-${new Date().toISOString().split("T")[0]}.pdf`
+        );
+        showToast("PDF exported successfully!", "success");
+        return;
+      }
+
+      // Handle Component Roll-up PDF export
+      if (reportType === "Component Roll-up") {
+        if (rollupRows.length === 0) {
+          showToast("Choose an asset with components to export.", "info");
+          return;
+        }
+
+        const doc = new jsPDF();
+
+        // Header
+        doc.setFillColor(59, 130, 246);
+        doc.rect(0, 0, 210, 35, "F");
+        doc.setFontSize(24);
+        doc.setTextColor(255, 255, 255);
+        doc.setFont("helvetica", "bold");
+        doc.text("AssetManager", 14, 15);
+        doc.setFontSize(18);
+        doc.setFont("helvetica", "normal");
+        doc.text("Component Roll-up", 14, 26);
+
+        doc.setTextColor(0, 0, 0);
+        let yPosition = 45;
+
+        // Report Information
+        doc.setFillColor(245, 247, 250);
+        doc.roundedRect(14, yPosition, 182, 29, 2, 2, "F");
+        doc.setFontSize(9);
+        doc.setTextColor(60);
+        doc.setFont("helvetica", "bold");
+        doc.text("Report Details", 18, yPosition + 6);
+        doc.setFont("helvetica", "normal");
+        doc.setFontSize(8);
+        doc.setTextColor(80);
+        doc.text(
+          `Generated: ${new Date().toLocaleString()}`,
+          18,
+          yPosition + 12
+        );
+        doc.text(
+          `Parent Asset: ${rollupReport.asset.name} (${rollupReport.asset.id})`,
+          18,
+          yPosition + 16
+        );
+        doc.text(
+          `Total Cost: ${formatRollupTotal("cost")}`,
+          18,
+          yPosition + 20
+        );
+        doc.text(
+          `Maintenance: ${formatRollupTotal("maintenanceCost")} (${
+            rollupReport.maintenanceCount
+          } records)`,
+          18,
+          yPosition + 24
+        );
+
+        yPosition += 36;
+
+        autoTable(doc, {
+          startY: yPosition,
+          head: [
+            [
+              "Asset",
+              "Asset ID",
+              "Category",
+              "Status",
+              "Cost",
+              "Records",
+              "Maintenance Cost",
+            ],
+          ],
+          body: rollupRows.map((row) => [
+            `${"    ".repeat(row.depth)}${row.name}`,
+            row.id,
+            row.category || "",
+            row.status || "",
+            formatMoney(row.cost, row.currency),
+            row.maintenanceCount,
+            formatMoney(row.maintenanceCost),
+          ]),
+          styles: {
+            fontSize: 8,
+            cellPadding: 3,
+          },
+          headStyles: {
+            fillColor: [59, 130, 246],
+            textColor: 255,
+            fontStyle: "bold",
+            fontSize: 9,
+          },
+          alternateRowStyles: {
+            fillColor: [248, 250, 252],
+          },
+          columnStyles: {
+            4: { halign: "right" },
+            5: { halign: "right" },
+            6: { halign: "right" },
+          },
+        });
+
+        doc.save(
+          `component-rollup-${rollupReport.asset.id}-${
+            new Date().toISOString().split("T")[0]
+          }.pdf`
+        );
+        showToast("PDF exported successfully!", "success");
+        return;
+      }
+
+      // Original asset report PDF export, with every asset matching the filters
+      const reportData = await fetchAllAssets(reportQuery);
       console.log("Report data count:", reportData.length);
 
       if (reportData.length === 0) {
@@ -702,7 +1231,7 @@ const Reports = () => {
 
       // Report Information Box
       doc.setFillColor(245, 247, 250);
-      doc.roundedRect(14, yPosition, 182, 35, 2, 2, "F");
+      doc.roundedRect(14, yPosition, 182, 39, 2, 2, "F");
 
       doc.setFontSize(9);
       doc.setTextColor(60);
@@ -718,6 +1247,9 @@ const Reports = () => {
         `Date Range: ${dateRange}`,
         `Category: ${assetCategory}`,
         `Asset ID Filter: ${assetIdFilter || "None"}`,
+        `Data Scope: ${
+          describeDataScope(currentUser?.effectiveDataScope) || "All assets"
+        }`,
         `Generated: ${new Date().toLocaleString()}`,
         `Generated By: ${
           currentUser
@@ -730,7 +1262,7 @@ const Reports = () => {
         doc.text(info, 18, yPosition + 12 + index * 4);
       });
 
-      yPosition += 42;
+      yPosition += 46;
 
       // Summary Statistics Section
       doc.setFontSize(12);
@@ -906,6 +1438,22 @@ const Reports = () => {
         ]);
       }
 
+      // Chosen custom field columns
+      tableHeaders = [
+        ...tableHeaders,
+        ...exportCustomFields.map((field) => field.label),
+      ];
+      tableBody = tableBody.map((row, index) => [
+        ...row,
+        ...exportCustomFields.map(
+          (field) =>
+            formatCustomFieldValue(
+              field,
+              reportData[index].customFields?.[field.key]
+            ) || "-"
+        ),
+      ]);
+
       // Add table with filtered data
       autoTable(doc, {
         startY: yPosition,
@@ -930,16 +1478,21 @@ const Reports = () => {
         alternateRowStyles: {
           fillColor: [248, 250, 252],
         },
-        columnStyles: {
-          0: { cellWidth: 25, fontSize: 6 }, // Asset ID
-          1: { cellWidth: 28, fontStyle: "bold" }, // Name
-          2: { cellWidth: 22 }, // Category
-          3: { cellWidth: 22 }, // Location
-          4: { cellWidth: 20, halign: "center" }, // Status
-          5: { cellWidth: 18 }, // Model
-          6: { cellWidth: 20, fontSize: 6 }, // Serial
-          7: { cellWidth: 25 }, // Assigned To
-        },
+        // Fixed widths fit the standard columns; with custom field
+        // columns the widths are left to fit the page
+        columnStyles:
+          exportCustomFields.length > 0
+            ? {}
+            : {
+                0: { cellWidth: 25, fontSize: 6 }, // Asset ID
+                1: { cellWidth: 28, fontStyle: "bold" }, // Name
+                2: { cellWidth: 22 }, // Category
+                3: { cellWidth: 22 }, // Location
+                4: { cellWidth: 20, halign: "center" }, // Status
+                5: { cellWidth: 18 }, // Model
+                6: { cellWidth: 20, fontSize: 6 }, // Serial
+                7: { cellWidth: 25 }, // Assigned To
+              },
         margin: { left: 14, right: 14 },
         didDrawPage: (data) => {
           // Footer on every page
@@ -1013,7 +1566,7 @@ const Reports = () => {
   };
 
   // Handle export CSV
-  const handleExportCSV = () => {
+  const handleExportCSV = async () => {
     console.log("Exporting to CSV...");
 
     // Handle Maintenance Records export
@@ -1081,52 +1634,259 @@ const Reports = () => {
         "Estimated Cost",
         "Actual Cost",
         "Status",
-        "Priority",
-        "Description",
-        "Notes",
+        "Priority",
+        "Description",
+        "Notes",
+      ];
+
+      const escapeCSV = (value) => {
+        if (value === null || value === undefined || value === "") {
+          return '""';
+        }
+        const strValue = String(value);
+        if (
+          strValue.includes(",") ||
+          strValue.includes('"') ||
+          strValue.includes("\n")
+        ) {
+          return `"${strValue.replace(/"/g, '""')}"`;
+        }
+        return `"${strValue}"`;
+      };
+
+      const csvContent = [
+        headers.join(","),
+        ...filteredMaintenance.map((record) => {
+          return [
+            escapeCSV(record.assetId),
+            escapeCSV(record.assetName),
+            escapeCSV(record.serviceType),
+            escapeCSV(record.technician),
+            escapeCSV(
+              record.scheduledDate
+                ? new Date(record.scheduledDate).toLocaleDateString()
+                : ""
+            ),
+            escapeCSV(
+              record.completedDate
+                ? new Date(record.completedDate).toLocaleDateString()
+                : ""
+            ),
+            escapeCSV(record.estimatedCost),
+            escapeCSV(record.cost),
+            escapeCSV(record.status),
+            escapeCSV(record.priority),
+            escapeCSV(record.description),
+            escapeCSV(record.completionNotes),
+          ].join(",");
+        }),
+      ].join("\n");
+
+      const blob = new Blob([csvContent], { type: "text/csv;charset=utf-8;" });
+      const link = document.createElement("a");
+      const url = URL.createObjectURL(blob);
+      link.setAttribute("href", url);
+      link.setAttribute(
+        "download",
+        `maintenance-records-${new Date().toISOString().split("T")[0]}.csv`
+      );
+      link.style.visibility = "hidden";
+      document.body.appendChild(link);
+      link.click();
+      document.body.removeChild(link);
+      showToast("CSV exported successfully!", "success");
+      return;
+    }
+
+    // Handle Depreciation export
+    if (reportType === "Depreciation") {
+      if (depreciationRows.length === 0) {
+        showToast("No depreciable assets match the selected filters.", "info");
+        return;
+      }
+
+      const headers = [
+        "Asset ID",
+        "Asset Name",
+        "Category",
+        "Method",
+        "Useful Life (Years)",
+        "In Service Date",
+        "Currency",
+        "Cost",
+        "Salvage Value",
+        "Opening Book Value",
+        "Period Depreciation",
+        "Accumulated Depreciation",
+        "Book Value",
+        "Period End",
+      ];
+
+      const escapeCSV = (value) => {
+        if (value === null || value === undefined || value === "") {
+          return '""';
+        }
+        return `"${String(value).replace(/"/g, '""')}"`;
+      };
+
+      const periodEnd = new Date(
+        depreciationReport.periodEnd
+      ).toLocaleDateString();
+      const csvContent = [
+        headers.join(","),
+        ...depreciationRows.map((row) =>
+          [
+            row.id,
+            row.name,
+            row.category,
+            row.method,
+            row.usefulLifeYears,
+            new Date(row.inServiceDate).toLocaleDateString(),
+            row.currency,
+            row.cost.toFixed(2),
+            row.salvageValue.toFixed(2),
+            row.openingBookValue.toFixed(2),
+            row.periodDepreciation.toFixed(2),
+            row.accumulatedDepreciation.toFixed(2),
+            row.bookValue.toFixed(2),
+            periodEnd,
+          ]
+            .map(escapeCSV)
+            .join(",")
+        ),
+      ].join("\n");
+
+      const blob = new Blob([csvContent], { type: "text/csv;charset=utf-8;" });
+      const link = document.createElement("a");
+      const url = URL.createObjectURL(blob);
+      link.setAttribute("href", url);
+      link.setAttribute(
+        "download",
+        `depreciation-report-${new Date().toISOString().split("T")[0]}.csv`
+      );
+      link.style.visibility = "hidden";
+      document.body.appendChild(link);
+      link.click();
+      document.body.removeChild(link);
+      showToast("CSV exported successfully!", "success");
+      return;
+    }
+
+    // Handle Locations export (one row per location and currency)
+    if (reportType === "Locations") {
+      if (locationRows.length === 0) {
+        showToast("No locations to export.", "info");
+        return;
+      }
+
+      const headers = [
+        "Path",
+        "Name",
+        "Type",
+        "Code",
+        "Assets Here",
+        "Total Assets",
+        "Currency",
+        "Total Value",
+      ];
+
+      const escapeCSV = (value) => {
+        if (value === null || value === undefined || value === "") {
+          return '""';
+        }
+        return `"${String(value).replace(/"/g, '""')}"`;
+      };
+
+      const byId = new Map(
+        locationReport.locations.map((location) => [location._id, location])
+      );
+      const csvContent = [
+        headers.join(","),
+        ...locationRows.flatMap(({ location }) => {
+          const path = [...location.ancestors, location._id]
+            .map((id) => byId.get(id)?.name)
+            .filter(Boolean)
+            .join(" / ");
+          const values = Object.entries(location.totalValue);
+          return (values.length > 0 ? values : [[defaultCurrency, 0]]).map(
+            ([currency, amount]) =>
+              [
+                path,
+                location.name,
+                location.type,
+                location.code,
+                location.assetCount,
+                location.totalAssetCount,
+                currency,
+                amount.toFixed(2),
+              ]
+                .map(escapeCSV)
+                .join(",")
+          );
+        }),
+      ].join("\n");
+
+      const blob = new Blob([csvContent], { type: "text/csv;charset=utf-8;" });
+      const link = document.createElement("a");
+      const url = URL.createObjectURL(blob);
+      link.setAttribute("href", url);
+      link.setAttribute(
+        "download",
+        `location-report-${new Date().toISOString().split("T")[0]}.csv`
+      );
+      link.style.visibility = "hidden";
+      document.body.appendChild(link);
+      link.click();
+      document.body.removeChild(link);
+      showToast("CSV exported successfully!", "success");
+      return;
+    }
+
+    // Handle Component Roll-up export
+    if (reportType === "Component Roll-up") {
+      if (rollupRows.length === 0) {
+        showToast("Choose an asset with components to export.", "info");
+        return;
+      }
+
+      const headers = [
+        "Level",
+        "Asset ID",
+        "Asset Name",
+        "Parent ID",
+        "Category",
+        "Status",
+        "Currency",
+        "Cost",
+        "Maintenance Records",
+        "Maintenance Cost",
       ];
 
       const escapeCSV = (value) => {
         if (value === null || value === undefined || value === "") {
           return '""';
         }
-        const strValue = String(value);
-        if (
-          strValue.includes(",") ||
-          strValue.includes('"') ||
-          strValue.includes("\n")
-        ) {
-          return `"${strValue.replace(/"/g, '""')}"`;
-        }
-        return `"${strValue}"`;
+        return `"${String(value).replace(/"/g, '""')}"`;
       };
 
       const csvContent = [
         headers.join(","),
-        ...filteredMaintenance.map((record) => {
-          return [
-            escapeCSV(record.assetId),
-            escapeCSV(record.assetName),
-            escapeCSV(record.serviceType),
-            escapeCSV(record.technician),
-            escapeCSV(
-              record.scheduledDate
-                ? new Date(record.scheduledDate).toLocaleDateString()
-                : ""
-            ),
-            escapeCSV(
-              record.completedDate
-                ? new Date(record.completedDate).toLocaleDateString()
-                : ""
-            ),
-            escapeCSV(record.estimatedCost),
-            escapeCSV(record.cost),
-            escapeCSV(record.status),
-            escapeCSV(record.priority),
-            escapeCSV(record.description),
-            escapeCSV(record.completionNotes),
-          ].join(",");
-        }),
+        ...rollupRows.map((row) =>
+          [
+            row.depth,
+            row.id,
+            row.name,
+            row.depth > 0 ? row.parentId : "",
+            row.category,
+            row.status,
+            row.currency,
+            row.cost.toFixed(2),
+            row.maintenanceCount,
+            row.maintenanceCost.toFixed(2),
+          ]
+            .map(escapeCSV)
+            .join(",")
+        ),
       ].join("\n");
 
       const blob = new Blob([csvContent], { type: "text/csv;charset=utf-8;" });
@@ -1135,7 +1895,9 @@ const Reports = () => {
       link.setAttribute("href", url);
       link.setAttribute(
         "download",
-        `maintenance-records-${new Date().toISOString().split("T")[0]}.csv`
+        `component-rollup-${rollupReport.asset.id}-${
+          new Date().toISOString().split("T")[0]
+        }.csv`
       );
       link.style.visibility = "hidden";
       document.body.appendChild(link);
@@ -1145,7 +1907,16 @@ const Reports = () => {
       return;
     }
 
-    // Create CSV content with filtered data (for asset reports)
+    // Create CSV content with every asset matching the filters (for asset reports)
+    let reportData;
+    try {
+      reportData = await fetchAllAssets(reportQuery);
+    } catch (error) {
+      console.error("Error loading assets:", error);
+      showToast("Failed to load assets", "error");
+      return;
+    }
+
     let headers, csvRows;
 
     if (reportType === "Maintenance History") {
@@ -1329,6 +2100,25 @@ const Reports = () => {
       });
     }
 
+    // Chosen custom field columns
+    if (exportCustomFields.length > 0) {
+      const quote = (value) => `"${String(value).replace(/"/g, '""')}"`;
+      headers = [...headers, ...exportCustomFields.map((field) => field.label)];
+      csvRows = csvRows.map((row, index) =>
+        [
+          row,
+          ...exportCustomFields.map((field) =>
+            quote(
+              formatCustomFieldValue(
+                field,
+                reportData[index].customFields?.[field.key]
+              )
+            )
+          ),
+        ].join(",")
+      );
+    }
+
     const csvContent = [headers.join(","), ...csvRows].join("\n");
 
     // Create and download file
@@ -1351,9 +2141,17 @@ const Reports = () => {
     <div className="flex flex-col w-full p-3 gap-8">
       {/* Page Header */}
       <div className="flex flex-wrap justify-between items-center gap-4">
-        <h1 className="text-gray-900 dark:text-white text-3xl font-bold leading-tight tracking-[-0.03em]">
-          Reports &amp; Analytics
-        </h1>
+        <div>
+          <h1 className="text-gray-900 dark:text-white text-3xl font-bold leading-tight tracking-[-0.03em]">
+            Reports &amp; Analytics
+          </h1>
+          {describeDataScope(currentUser?.effectiveDataScope) && (
+            <p className="text-sm text-gray-600 dark:text-gray-400 mt-1">
+              Figures cover assets in the{" "}
+              {describeDataScope(currentUser.effectiveDataScope)} only
+            </p>
+          )}
+        </div>
         <div className="flex flex-wrap gap-3 justify-start items-center">
           {/* Asset ID Search Input */}
           <div className="flex items-center gap-2 bg-white dark:bg-gray-800 border-2 border-gray-300 dark:border-gray-600 rounded-lg px-3 py-2 hover:border-blue-500 dark:hover:border-blue-500 transition-all focus-within:ring-2 focus-within:ring-blue-500 focus-within:border-blue-500">
@@ -1426,6 +2224,9 @@ const Reports = () => {
               <option>Maintenance History</option>
               <option>Maintenance Records</option>
               <option>Full Inventory</option>
+              <option>Depreciation</option>
+              <option>Locations</option>
+              <option>Component Roll-up</option>
             </select>
             {/* Report Type Description */}
             <div className="mt-2 p-3 bg-blue-50 dark:bg-blue-900/20 border border-blue-200 dark:border-blue-800 rounded-lg">
@@ -1530,6 +2331,35 @@ const Reports = () => {
           )}
         </div>
 
+        {/* Custom field columns for asset report exports */}
+        {ASSET_REPORT_TYPES.includes(reportType) &&
+          availableCustomFields.length > 0 && (
+            <div>
+              <p className="flex items-center gap-2 text-sm font-semibold text-gray-700 dark:text-gray-300 mb-2">
+                <span className="material-symbols-outlined text-base">
+                  view_column
+                </span>
+                Custom Field Columns (PDF and CSV exports)
+              </p>
+              <div className="flex flex-wrap gap-x-6 gap-y-2">
+                {availableCustomFields.map((field) => (
+                  <label
+                    key={field.key}
+                    className="flex items-center gap-2 text-sm text-gray-700 dark:text-gray-300"
+                  >
+                    <input
+                      type="checkbox"
+                      checked={customFieldColumns.includes(field.key)}
+                      onChange={() => toggleCustomFieldColumn(field.key)}
+                      className="rounded border-gray-300 text-blue-600 focus:ring-blue-500"
+                    />
+                    {field.label}
+                  </label>
+                ))}
+              </div>
+            </div>
+          )}
+
         {/* Active Filters Indicator */}
         {(assetCategory !== "All Categories" ||
           dateRange !== "All Time" ||
@@ -1551,7 +2381,7 @@ const Reports = () => {
                 {dateRange !== "All Time" && ` • ${dateRange}`}
               </p>
               <p className="text-xs text-blue-700 dark:text-blue-400">
-                Showing {reportData.length} of {items.length} assets
+                Showing {summary.total} of {summary.totalInScope} assets
               </p>
             </div>
             <button
@@ -1628,7 +2458,7 @@ const Reports = () => {
                 {reportType} Report
               </h2>
               <p className="text-xs text-gray-500 dark:text-gray-400">
-                {reportData.length} {reportData.length === 1 ? "item" : "items"}{" "}
+                {assetPage.total} {assetPage.total === 1 ? "item" : "items"}{" "}
                 found
               </p>
             </div>
@@ -1716,11 +2546,11 @@ const Reports = () => {
               </tr>
             </thead>
             <tbody>
-              {reportData.map((item, index) => (
+              {assetPage.items.map((item, index) => (
                 <tr
                   key={item.id}
                   className={`${
-                    index < reportData.length - 1
+                    index < assetPage.items.length - 1
                       ? "border-b border-gray-200 dark:border-gray-700"
                       : ""
                   }`}
@@ -1870,6 +2700,27 @@ const Reports = () => {
             </tbody>
           </table>
         </div>
+        {assetPage.totalPages > 1 && (
+          <div className="flex items-center justify-end gap-3 text-sm text-gray-600 dark:text-gray-400">
+            <button
+              onClick={() => setPage((prev) => prev - 1)}
+              disabled={page <= 1}
+              className="font-medium text-blue-600 hover:text-blue-800 dark:text-blue-400 disabled:opacity-50"
+            >
+              Previous
+            </button>
+            <span>
+              Page {page} of {assetPage.totalPages}
+            </span>
+            <button
+              onClick={() => setPage((prev) => prev + 1)}
+              disabled={page >= assetPage.totalPages}
+              className="font-medium text-blue-600 hover:text-blue-800 dark:text-blue-400 disabled:opacity-50"
+            >
+              Next
+            </button>
+          </div>
+        )}
       </div>
 
       {/* Maintenance Records Section */}
@@ -2033,6 +2884,359 @@ const Reports = () => {
         </div>
       )}
 
+      {/* Depreciation Section */}
+      {reportType === "Depreciation" && (
+        <div className="rounded-lg border border-gray-200 dark:border-gray-700 bg-white dark:bg-gray-800 overflow-hidden">
+          {/* Statistics Cards */}
+          <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-4 gap-4 p-6 bg-gray-50 dark:bg-gray-900/50 border-b border-gray-200 dark:border-gray-700">
+            <div className="bg-white dark:bg-gray-800 rounded-lg p-4 border border-gray-200 dark:border-gray-700">
+              <p className="text-sm font-medium text-gray-600 dark:text-gray-400">
+                Depreciable Assets
+              </p>
+              <p className="text-3xl font-bold text-gray-900 dark:text-white mt-1">
+                {depreciationRows.length}
+              </p>
+              {depreciationReport?.skipped > 0 && (
+                <p className="text-xs text-gray-500 dark:text-gray-400 mt-1">
+                  {depreciationReport.skipped} without depreciation settings,
+                  cost or date
+                </p>
+              )}
+            </div>
+            <div className="bg-white dark:bg-gray-800 rounded-lg p-4 border border-gray-200 dark:border-gray-700">
+              <p className="text-sm font-medium text-gray-600 dark:text-gray-400">
+                Total Cost
+              </p>
+              <p className="text-xl font-bold text-gray-900 dark:text-white mt-1">
+                {formatDepreciationTotal("cost")}
+              </p>
+            </div>
+            <div className="bg-white dark:bg-gray-800 rounded-lg p-4 border border-gray-200 dark:border-gray-700">
+              <p className="text-sm font-medium text-gray-600 dark:text-gray-400">
+                Depreciation for Period
+              </p>
+              <p className="text-xl font-bold text-gray-900 dark:text-white mt-1">
+                {formatDepreciationTotal("periodDepreciation")}
+              </p>
+            </div>
+            <div className="bg-white dark:bg-gray-800 rounded-lg p-4 border border-gray-200 dark:border-gray-700">
+              <p className="text-sm font-medium text-gray-600 dark:text-gray-400">
+                Book Value at Period End
+              </p>
+              <p className="text-xl font-bold text-gray-900 dark:text-white mt-1">
+                {formatDepreciationTotal("bookValue")}
+              </p>
+            </div>
+          </div>
+
+          {/* Table */}
+          <div className="overflow-x-auto">
+            <table className="w-full text-left">
+              <thead className="bg-gray-100 dark:bg-gray-900 border-b-2 border-gray-200 dark:border-gray-700">
+                <tr>
+                  <th className="py-4 px-4 text-sm font-semibold text-gray-900 dark:text-white uppercase tracking-wider">
+                    Asset
+                  </th>
+                  <th className="py-4 px-4 text-sm font-semibold text-gray-900 dark:text-white uppercase tracking-wider">
+                    Method
+                  </th>
+                  <th className="py-4 px-4 text-sm font-semibold text-gray-900 dark:text-white uppercase tracking-wider">
+                    In Service
+                  </th>
+                  <th className="py-4 px-4 text-sm font-semibold text-gray-900 dark:text-white uppercase tracking-wider text-right">
+                    Cost
+                  </th>
+                  <th className="py-4 px-4 text-sm font-semibold text-gray-900 dark:text-white uppercase tracking-wider text-right">
+                    Period Depreciation
+                  </th>
+                  <th className="py-4 px-4 text-sm font-semibold text-gray-900 dark:text-white uppercase tracking-wider text-right">
+                    Accumulated
+                  </th>
+                  <th className="py-4 px-4 text-sm font-semibold text-gray-900 dark:text-white uppercase tracking-wider text-right">
+                    Book Value
+                  </th>
+                </tr>
+              </thead>
+              <tbody className="divide-y divide-gray-200 dark:divide-gray-700">
+                {loadingDepreciation ? (
+                  <tr>
+                    <td colSpan="7" className="py-12 text-center">
+                      <div className="flex items-center justify-center">
+                        <div className="animate-spin rounded-full h-8 w-8 border-b-2 border-blue-600"></div>
+                        <span className="ml-3 text-gray-600 dark:text-gray-400">
+                          Calculating book values...
+                        </span>
+                      </div>
+                    </td>
+                  </tr>
+                ) : depreciationRows.length === 0 ? (
+                  <tr>
+                    <td
+                      colSpan="7"
+                      className="py-12 text-center text-gray-500 dark:text-gray-400"
+                    >
+                      No depreciable assets found. Set a depreciation method on
+                      your Asset Type tags to include their assets.
+                    </td>
+                  </tr>
+                ) : (
+                  depreciationRows.map((row) => (
+                    <tr
+                      key={row.id}
+                      className="hover:bg-gray-50 dark:hover:bg-gray-700/50 transition-colors"
+                    >
+                      <td className="py-4 px-4">
+                        <p className="font-semibold text-gray-900 dark:text-white">
+                          {row.name}
+                        </p>
+                        <p className="text-xs font-mono text-gray-500 dark:text-gray-400">
+                          {row.id}
+                        </p>
+                      </td>
+                      <td className="py-4 px-4 text-gray-700 dark:text-gray-300">
+                        {row.method}
+                        <p className="text-xs text-gray-500 dark:text-gray-400">
+                          {row.usefulLifeYears} years
+                          {row.fullyDepreciated && " - fully depreciated"}
+                        </p>
+                      </td>
+                      <td className="py-4 px-4 text-gray-700 dark:text-gray-300">
+                        {new Date(row.inServiceDate).toLocaleDateString()}
+                      </td>
+                      <td className="py-4 px-4 text-gray-700 dark:text-gray-300 text-right">
+                        {formatMoney(row.cost, row.currency)}
+                      </td>
+                      <td className="py-4 px-4 text-gray-700 dark:text-gray-300 text-right">
+                        {formatMoney(row.periodDepreciation, row.currency)}
+                      </td>
+                      <td className="py-4 px-4 text-gray-700 dark:text-gray-300 text-right">
+                        {formatMoney(row.accumulatedDepreciation, row.currency)}
+                      </td>
+                      <td className="py-4 px-4 text-gray-900 dark:text-white font-semibold text-right">
+                        {formatMoney(row.bookValue, row.currency)}
+                      </td>
+                    </tr>
+                  ))
+                )}
+              </tbody>
+            </table>
+          </div>
+        </div>
+      )}
+
+      {/* Locations Section */}
+      {reportType === "Locations" && (
+        <div className="rounded-lg border border-gray-200 dark:border-gray-700 bg-white dark:bg-gray-800 overflow-hidden">
+          <div className="overflow-x-auto">
+            <table className="w-full text-left">
+              <thead className="bg-gray-100 dark:bg-gray-900 border-b-2 border-gray-200 dark:border-gray-700">
+                <tr>
+                  <th className="py-4 px-4 text-sm font-semibold text-gray-900 dark:text-white uppercase tracking-wider">
+                    Location
+                  </th>
+                  <th className="py-4 px-4 text-sm font-semibold text-gray-900 dark:text-white uppercase tracking-wider">
+                    Type
+                  </th>
+                  <th className="py-4 px-4 text-sm font-semibold text-gray-900 dark:text-white uppercase tracking-wider text-right">
+                    Assets Here
+                  </th>
+                  <th className="py-4 px-4 text-sm font-semibold text-gray-900 dark:text-white uppercase tracking-wider text-right">
+                    Total Assets
+                  </th>
+                  <th className="py-4 px-4 text-sm font-semibold text-gray-900 dark:text-white uppercase tracking-wider text-right">
+                    Total Value
+                  </th>
+                </tr>
+              </thead>
+              <tbody className="divide-y divide-gray-200 dark:divide-gray-700">
+                {loadingLocations ? (
+                  <tr>
+                    <td colSpan="5" className="py-12 text-center">
+                      <div className="flex items-center justify-center">
+                        <div className="animate-spin rounded-full h-8 w-8 border-b-2 border-blue-600"></div>
+                        <span className="ml-3 text-gray-600 dark:text-gray-400">
+                          Loading locations...
+                        </span>
+                      </div>
+                    </td>
+                  </tr>
+                ) : locationRows.length === 0 ? (
+                  <tr>
+                    <td
+                      colSpan="5"
+                      className="py-12 text-center text-gray-500 dark:text-gray-400"
+                    >
+                      No locations found. Add sites, buildings, floors and rooms
+                      on the Locations page.
+                    </td>
+                  </tr>
+                ) : (
+                  locationRows.map(({ location, depth }) => (
+                    <tr
+                      key={location._id}
+                      className="hover:bg-gray-50 dark:hover:bg-gray-700/50 transition-colors"
+                    >
+                      <td
+                        className="py-3 px-4"
+                        style={{ paddingLeft: `${depth * 1.5 + 1}rem` }}
+                      >
+                        <p className="font-semibold text-gray-900 dark:text-white">
+                          {location.name}
+                        </p>
+                        <p className="text-xs font-mono text-gray-500 dark:text-gray-400">
+                          {location.code}
+                        </p>
+                      </td>
+                      <td className="py-3 px-4 text-gray-700 dark:text-gray-300">
+                        {location.type}
+                      </td>
+                      <td className="py-3 px-4 text-right text-gray-700 dark:text-gray-300">
+                        {location.assetCount}
+                      </td>
+                      <td className="py-3 px-4 text-right font-semibold text-gray-900 dark:text-white">
+                        {location.totalAssetCount}
+                      </td>
+                      <td className="py-3 px-4 text-right text-gray-900 dark:text-white">
+                        {formatLocationValue(location.totalValue)}
+                      </td>
+                    </tr>
+                  ))
+                )}
+              </tbody>
+            </table>
+          </div>
+          {locationReport?.unassigned?.assetCount > 0 && (
+            <p className="px-4 py-3 text-xs text-gray-500 dark:text-gray-400 border-t border-gray-200 dark:border-gray-700">
+              {locationReport.unassigned.assetCount} asset(s) worth{" "}
+              {formatLocationValue(locationReport.unassigned.totalValue)} are
+              not placed in a location.
+            </p>
+          )}
+        </div>
+      )}
+
+      {/* Component Roll-up Section */}
+      {reportType === "Component Roll-up" && (
+        <div className="rounded-lg border border-gray-200 dark:border-gray-700 bg-white dark:bg-gray-800 overflow-hidden">
+          <div className="flex flex-wrap items-end justify-between gap-4 p-4 border-b border-gray-200 dark:border-gray-700">
+            <label className="flex flex-col gap-2 text-sm font-semibold text-gray-700 dark:text-gray-300">
+              Parent Asset
+              <select
+                value={selectedAssemblyId}
+                onChange={(e) => setRollupAssetId(e.target.value)}
+                className="rounded-lg border-2 border-gray-300 dark:border-gray-600 bg-white dark:bg-gray-700 text-gray-900 dark:text-white focus:ring-2 focus:ring-blue-500 focus:border-blue-500 px-4 py-2 font-normal"
+              >
+                {assemblies.length === 0 && (
+                  <option value="">No assets have components</option>
+                )}
+                {assemblies.map((item) => (
+                  <option key={item.id} value={item.id}>
+                    {item.name} ({item.id})
+                  </option>
+                ))}
+              </select>
+            </label>
+            {rollupRows.length > 0 && (
+              <div className="flex flex-wrap gap-6 text-sm">
+                <div>
+                  <p className="text-gray-600 dark:text-gray-400">Total Cost</p>
+                  <p className="text-lg font-bold text-gray-900 dark:text-white">
+                    {formatRollupTotal("cost")}
+                  </p>
+                </div>
+                <div>
+                  <p className="text-gray-600 dark:text-gray-400">
+                    Maintenance ({rollupReport.maintenanceCount} records)
+                  </p>
+                  <p className="text-lg font-bold text-gray-900 dark:text-white">
+                    {formatRollupTotal("maintenanceCost")}
+                  </p>
+                </div>
+              </div>
+            )}
+          </div>
+          <div className="overflow-x-auto">
+            <table className="w-full text-left">
+              <thead className="bg-gray-100 dark:bg-gray-900 border-b-2 border-gray-200 dark:border-gray-700">
+                <tr>
+                  <th className="py-4 px-4 text-sm font-semibold text-gray-900 dark:text-white uppercase tracking-wider">
+                    Asset
+                  </th>
+                  <th className="py-4 px-4 text-sm font-semibold text-gray-900 dark:text-white uppercase tracking-wider">
+                    Status
+                  </th>
+                  <th className="py-4 px-4 text-sm font-semibold text-gray-900 dark:text-white uppercase tracking-wider text-right">
+                    Cost
+                  </th>
+                  <th className="py-4 px-4 text-sm font-semibold text-gray-900 dark:text-white uppercase tracking-wider text-right">
+                    Maintenance Records
+                  </th>
+                  <th className="py-4 px-4 text-sm font-semibold text-gray-900 dark:text-white uppercase tracking-wider text-right">
+                    Maintenance Cost
+                  </th>
+                </tr>
+              </thead>
+              <tbody className="divide-y divide-gray-200 dark:divide-gray-700">
+                {loadingRollup ? (
+                  <tr>
+                    <td colSpan="5" className="py-12 text-center">
+                      <div className="flex items-center justify-center">
+                        <div className="animate-spin rounded-full h-8 w-8 border-b-2 border-blue-600"></div>
+                        <span className="ml-3 text-gray-600 dark:text-gray-400">
+                          Loading components...
+                        </span>
+                      </div>
+                    </td>
+                  </tr>
+                ) : rollupRows.length === 0 ? (
+                  <tr>
+                    <td
+                      colSpan="5"
+                      className="py-12 text-center text-gray-500 dark:text-gray-400"
+                    >
+                      No components found. Add components to an asset from its
+                      Components tab.
+                    </td>
+                  </tr>
+                ) : (
+                  rollupRows.map((row) => (
+                    <tr
+                      key={row.id}
+                      className="hover:bg-gray-50 dark:hover:bg-gray-700/50 transition-colors"
+                    >
+                      <td
+                        className="py-3 px-4"
+                        style={{ paddingLeft: `${row.depth * 1.5 + 1}rem` }}
+                      >
+                        <p className="font-semibold text-gray-900 dark:text-white">
+                          {row.name}
+                        </p>
+                        <p className="text-xs font-mono text-gray-500 dark:text-gray-400">
+                          {row.id}
+                          {row.category && ` · ${row.category}`}
+                        </p>
+                      </td>
+                      <td className="py-3 px-4 text-gray-700 dark:text-gray-300">
+                        {row.status}
+                      </td>
+                      <td className="py-3 px-4 text-right text-gray-900 dark:text-white">
+                        {formatMoney(row.cost, row.currency)}
+                      </td>
+                      <td className="py-3 px-4 text-right text-gray-700 dark:text-gray-300">
+                        {row.maintenanceCount}
+                      </td>
+                      <td className="py-3 px-4 text-right font-semibold text-gray-900 dark:text-white">
+                        {formatMoney(row.maintenanceCost)}
+                      </td>
+                    </tr>
+                  ))
+                )}
+              </tbody>
+            </table>
+          </div>
+        </div>
+      )}
+
       {/* Summary Statistics */}
       <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-4 gap-4">
         <div className="flex flex-col gap-2 rounded-lg border border-gray-200 dark:border-gray-700 p-4 bg-white dark:bg-gray-800">
@@ -0,0 +1,188 @@
+/**
+ * ResetPassword.jsx
+ *
+ * Public page opened from the password reset email
+ * (/reset-password/:resetToken). Sets a new password and sends the user
+ * back to the login page.
+ */
+
+import React, { useState } from "react";
+import { Link, useNavigate, useParams } from "react-router-dom";
+import API_BASE_URL from "../config/api";
+import PasswordRules from "./PasswordRules";
+
+const ResetPassword = () => {
+  const navigate = useNavigate();
+  const { resetToken } = useParams();
+
+  const [formData, setFormData] = useState({
+    newPassword: "",
+    confirmPassword: "",
+  });
+  const [error, setError] = useState("");
+  const [done, setDone] = useState(false);
+  const [loading, setLoading] = useState(false);
+
+  const handleChange = (e) => {
+    setFormData({
+      ...formData,
+      [e.target.name]: e.target.value,
+    });
+    if (error) setError("");
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setError("");
+
+    if (formData.newPassword !== formData.confirmPassword) {
+      setError("Passwords do not match");
+      return;
+    }
+
+    setLoading(true);
+    try {
+      const response = await fetch(
+        `${API_BASE_URL}/auth/reset-password/${encodeURIComponent(resetToken)}`,
+        {
+          method: "PUT",
+          headers: { "Content-Type": "application/json" },
+          body: JSON.stringify({ newPassword: formData.newPassword }),
+        }
+      );
+      const data = await response.json();
+
+      if (!response.ok) {
+        throw new Error(data.message || "Failed to reset password");
+      }
+      setDone(true);
+    } catch (err) {
+      setError(err.message || "Failed to reset password");
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  return (
+    <div className="min-h-screen w-full flex items-center justify-center p-4 sm:p-6 lg:p-8 bg-white dark:bg-slate-900">
+      <div className="w-full max-w-md space-y-8">
+        {/* Logo & Title */}
+        <div className="text-center space-y-2">
+          <div className="inline-flex items-center justify-center w-16 h-16 rounded-2xl bg-blue-600 mb-4">
+            <span className="material-symbols-outlined text-white text-3xl">
+              password
+            </span>
+          </div>
+          <h1 className="text-3xl font-bold text-slate-900 dark:text-white">
+            Choose a New Password
+          </h1>
+          <p className="text-slate-600 dark:text-slate-400">
+            Enter the new password twice.
+          </p>
+        </div>
+
+        {/* Error Alert */}
+        {error && (
+          <div className="bg-red-50 dark:bg-red-900/20 border border-red-200 dark:border-red-800 rounded-lg p-4">
+            <div className="flex items-center gap-3">
+              <span className="material-symbols-outlined text-red-600 dark:text-red-400">
+                error
+              </span>
+              <p className="text-sm text-red-800 dark:text-red-200 flex-1">
+                {error}
+              </p>
+            </div>
+          </div>
+        )}
+
+        {done ? (
+          <div className="space-y-6">
+            <div className="bg-green-50 dark:bg-green-900/20 border border-green-200 dark:border-green-800 rounded-lg p-4">
+              <div className="flex items-center gap-3">
+                <span className="material-symbols-outlined text-green-600 dark:text-green-400">
+                  check_circle
+                </span>
+                <p className="text-sm text-green-800 dark:text-green-200 flex-1">
+                  Your password has been reset.
+                </p>
+              </div>
+            </div>
+            <button
+              type="button"
+              onClick={() => navigate("/login")}
+              className="w-full bg-blue-600 hover:bg-blue-700 text-white font-semibold py-3 px-4 rounded-lg transition-colors duration-200 focus:outline-none focus:ring-2 focus:ring-blue-500 focus:ring-offset-2"
+            >
+              Sign In
+            </button>
+          </div>
+        ) : (
+          <form onSubmit={handleSubmit} className="space-y-6">
+            {/* New Password Field */}
+            <div className="space-y-2">
+              <label
+                htmlFor="newPassword"
+                className="block text-sm font-medium text-slate-700 dark:text-slate-300"
+              >
+                New Password
+              </label>
+              <input
+                id="newPassword"
+                name="newPassword"
+                type="password"
+                autoComplete="new-password"
+                required
+                disabled={loading}
+                value={formData.newPassword}
+                onChange={handleChange}
+                className="w-full px-4 py-3 rounded-lg border border-slate-300 dark:border-slate-600 bg-white dark:bg-slate-800 text-slate-900 dark:text-white placeholder-slate-400 focus:outline-none focus:ring-2 focus:ring-blue-500 focus:border-transparent disabled:opacity-50 disabled:cursor-not-allowed transition-all"
+              />
+              <PasswordRules />
+            </div>
+
+            {/* Confirm Password Field */}
+            <div className="space-y-2">
+              <label
+                htmlFor="confirmPassword"
+                className="block text-sm font-medium text-slate-700 dark:text-slate-300"
+              >
+                Confirm Password
+              </label>
+              <input
+                id="confirmPassword"
+                name="confirmPassword"
+                type="password"
+                autoComplete="new-password"
+                required
+                disabled={loading}
+                value={formData.confirmPassword}
+                onChange={handleChange}
+                className="w-full px-4 py-3 rounded-lg border border-slate-300 dark:border-slate-600 bg-white dark:bg-slate-800 text-slate-900 dark:text-white placeholder-slate-400 focus:outline-none focus:ring-2 focus:ring-blue-500 focus:border-transparent disabled:opacity-50 disabled:cursor-not-allowed transition-all"
+              />
+            </div>
+
+            {/* Submit Button */}
+            <button
+              type="submit"
+              disabled={loading}
+              className="w-full bg-blue-600 hover:bg-blue-700 text-white font-semibold py-3 px-4 rounded-lg transition-colors duration-200 disabled:opacity-50 disabled:cursor-not-allowed focus:outline-none focus:ring-2 focus:ring-blue-500 focus:ring-offset-2"
+            >
+              {loading ? "Saving..." : "Reset Password"}
+            </button>
+          </form>
+        )}
+
+        {/* Back to Login */}
+        <div className="text-center">
+          <Link
+            to="/forgot-password"
+            className="text-sm font-medium text-blue-600 hover:text-blue-500 dark:text-blue-400"
+          >
+            Link expired? Request a new one
+          </Link>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default ResetPassword;
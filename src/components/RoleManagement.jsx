@@ -0,0 +1,477 @@
+/**
+ * RoleManagement.jsx
+ *
+ * "Roles" section of the Settings page.
+ * Lists the roles users can hold with how many users hold each. Users with
+ * the managePermissions permission can create, clone, edit and delete
+ * roles; changing a role's permissions changes them for all its users
+ * (apart from the overrides set under Permissions). A role's data access
+ * limits its users to the assets of some departments or locations.
+ * Built-in roles cannot be renamed or deleted, and the Administrator role
+ * always holds every permission and sees every asset.
+ *
+ * Props:
+ * @param {Function} onNotify - Toast callback (message, type)
+ */
+
+import React, { useState, useEffect, useCallback } from "react";
+import API_BASE_URL, { getAuthHeaders } from "../config/api";
+import {
+  PERMISSION_CATEGORIES,
+  describeDataScope,
+} from "../config/permissions";
+import { useAuth } from "../context/AuthContext";
+import DataScopeEditor from "./DataScopeEditor";
+
+const ADMINISTRATOR_ROLE = "Administrator";
+
+const EMPTY_SCOPE = { departments: [], locations: [], ownDepartment: false };
+
+const EMPTY_FORM = {
+  name: "",
+  description: "",
+  permissions: {},
+  dataScope: EMPTY_SCOPE,
+};
+
+/**
+ * A role's data access in words
+ */
+const describeRoleScope = (role) => {
+  const scope = role.dataScope || EMPTY_SCOPE;
+  const described = describeDataScope({
+    departments: scope.departments || [],
+    locations: scope.locations || [],
+  });
+  if (scope.ownDepartment) {
+    return scope.departments?.length || scope.locations?.length
+      ? `Own department, ${described}`
+      : "Own department";
+  }
+  return scope.departments?.length || scope.locations?.length
+    ? described
+    : "All assets";
+};
+
+export default function RoleManagement({ onNotify }) {
+  const { hasPermission } = useAuth();
+  const canEdit = hasPermission("managePermissions");
+
+  const [roles, setRoles] = useState([]);
+  const [loading, setLoading] = useState(false);
+  const [saving, setSaving] = useState(false);
+  // null: no editor; { _id?, name, description, permissions, dataScope, isSystem? }
+  const [editing, setEditing] = useState(null);
+
+  const loadRoles = useCallback(async () => {
+    setLoading(true);
+    try {
+      const response = await fetch(`${API_BASE_URL}/roles`, {
+        headers: getAuthHeaders(),
+      });
+      if (response.ok) {
+        setRoles(await response.json());
+      }
+    } catch (error) {
+      console.error("Error loading roles:", error);
+    } finally {
+      setLoading(false);
+    }
+  }, []);
+
+  useEffect(() => {
+    loadRoles();
+  }, [loadRoles]);
+
+  const isAdministrator = editing?.name === ADMINISTRATOR_ROLE && editing?._id;
+
+  /**
+   * Send a role request and report the result
+   * @returns {Promise<Object|null>} Response body, or null on failure
+   */
+  const sendRoleRequest = async (path, method, body, failureMessage) => {
+    try {
+      const response = await fetch(`${API_BASE_URL}/roles${path}`, {
+        method,
+        headers: getAuthHeaders({ "Content-Type": "application/json" }),
+        body: body ? JSON.stringify(body) : undefined,
+      });
+      const data = await response.json();
+      if (!response.ok) {
+        onNotify(data.message || failureMessage, "error");
+        return null;
+      }
+      return data;
+    } catch (error) {
+      console.error(`${failureMessage}:`, error);
+      onNotify(failureMessage, "error");
+      return null;
+    }
+  };
+
+  const handleSave = async () => {
+    setSaving(true);
+    const body = {
+      name: editing.name,
+      description: editing.description,
+    };
+    if (!isAdministrator) {
+      body.permissions = editing.permissions;
+      body.dataScope = editing.dataScope;
+    }
+
+    const data = editing._id
+      ? await sendRoleRequest(
+          `/${editing._id}`,
+          "PUT",
+          body,
+          "Failed to update role"
+        )
+      : await sendRoleRequest("", "POST", body, "Failed to create role");
+    setSaving(false);
+
+    if (data) {
+      onNotify(`Role "${data.name}" saved`, "success");
+      setEditing(null);
+      await loadRoles();
+    }
+  };
+
+  const handleClone = async (role) => {
+    const name = window.prompt(
+      `Name for the copy of "${role.name}":`,
+      `${role.name} (copy)`
+    );
+    if (!name) return;
+
+    const data = await sendRoleRequest(
+      `/${role._id}/clone`,
+      "POST",
+      { name },
+      "Failed to clone role"
+    );
+    if (data) {
+      onNotify(`Role "${data.name}" created`, "success");
+      await loadRoles();
+      setEditing({
+        ...data,
+        permissions: { ...data.permissions },
+        dataScope: { ...EMPTY_SCOPE, ...data.dataScope },
+      });
+    }
+  };
+
+  const handleDelete = async (role) => {
+    if (!window.confirm(`Delete the role "${role.name}"?`)) return;
+
+    const data = await sendRoleRequest(
+      `/${role._id}`,
+      "DELETE",
+      null,
+      "Failed to delete role"
+    );
+    if (data) {
+      onNotify(`Role "${role.name}" deleted`, "success");
+      if (editing?._id === role._id) setEditing(null);
+      await loadRoles();
+    }
+  };
+
+  const togglePermission = (key) => {
+    setEditing((prev) => ({
+      ...prev,
+      permissions: { ...prev.permissions, [key]: !prev.permissions[key] },
+    }));
+  };
+
+  const setCategory = (category, value) => {
+    setEditing((prev) => {
+      const permissions = { ...prev.permissions };
+      PERMISSION_CATEGORIES[category].permissions.forEach((permission) => {
+        permissions[permission.key] = value;
+      });
+      return { ...prev, permissions };
+    });
+  };
+
+  const grantedCount = (role) =>
+    Object.values(role.permissions || {}).filter(Boolean).length;
+
+  return (
+    <div className="flex flex-col gap-8">
+      {/* Roles Card */}
+      <div className="bg-white dark:bg-gray-800 border border-gray-200 dark:border-gray-700 rounded-lg shadow-sm">
+        <div className="p-6 border-b border-gray-200 dark:border-gray-700 flex items-center justify-between">
+          <div>
+            <h2 className="text-lg font-bold text-gray-900 dark:text-white">
+              Roles
+            </h2>
+            <p className="text-sm text-gray-600 dark:text-gray-400 mt-1">
+              Each user holds one role and gets its permissions. Changes to a
+              role apply to everyone who holds it.
+            </p>
+          </div>
+          {canEdit && (
+            <button
+              onClick={() => setEditing({ ...EMPTY_FORM, permissions: {} })}
+              className="flex items-center gap-1 rounded-lg h-10 px-4 bg-blue-600 text-white text-sm font-bold hover:bg-blue-700 transition-colors"
+            >
+              <span className="material-symbols-outlined text-base">add</span>
+              New Role
+            </button>
+          )}
+        </div>
+
+        <div className="overflow-x-auto">
+          <table className="w-full text-left text-sm">
+            <thead className="bg-gray-50 dark:bg-gray-700/50">
+              <tr>
+                <th className="px-6 py-3 font-medium text-gray-700 dark:text-gray-300">
+                  Role
+                </th>
+                <th className="px-6 py-3 font-medium text-gray-700 dark:text-gray-300">
+                  Permissions
+                </th>
+                <th className="px-6 py-3 font-medium text-gray-700 dark:text-gray-300">
+                  Data Access
+                </th>
+                <th className="px-6 py-3 font-medium text-gray-700 dark:text-gray-300">
+                  Users
+                </th>
+                {canEdit && <th className="px-6 py-3" />}
+              </tr>
+            </thead>
+            <tbody className="divide-y divide-gray-200 dark:divide-gray-700">
+              {loading && roles.length === 0 && (
+                <tr>
+                  <td
+                    colSpan={canEdit ? 5 : 4}
+                    className="px-6 py-8 text-center text-gray-500 dark:text-gray-400"
+                  >
+                    Loading roles...
+                  </td>
+                </tr>
+              )}
+              {roles.map((role) => (
+                <tr key={role._id}>
+                  <td className="px-6 py-4 align-top">
+                    <p className="font-medium text-gray-900 dark:text-white">
+                      {role.name}
+                      {role.isSystem && (
+                        <span className="ml-2 inline-flex items-center rounded-full px-2 py-0.5 text-xs font-medium bg-gray-100 text-gray-700 dark:bg-gray-700 dark:text-gray-300">
+                          Built-in
+                        </span>
+                      )}
+                    </p>
+                    <p className="text-xs text-gray-500 dark:text-gray-400 mt-1 max-w-md">
+                      {role.description}
+                    </p>
+                  </td>
+                  <td className="px-6 py-4 align-top text-gray-700 dark:text-gray-300 whitespace-nowrap">
+                    {role.name === ADMINISTRATOR_ROLE
+                      ? "All"
+                      : grantedCount(role)}
+                  </td>
+                  <td className="px-6 py-4 align-top text-gray-700 dark:text-gray-300 max-w-xs">
+                    {role.name === ADMINISTRATOR_ROLE
+                      ? "All assets"
+                      : describeRoleScope(role)}
+                  </td>
+                  <td className="px-6 py-4 align-top text-gray-700 dark:text-gray-300">
+                    {role.userCount}
+                  </td>
+                  {canEdit && (
+                    <td className="px-6 py-4 align-top text-right whitespace-nowrap">
+                      <div className="inline-flex gap-3">
+                        <button
+                          onClick={() =>
+                            setEditing({
+                              ...role,
+                              permissions: { ...role.permissions },
+                              dataScope: { ...EMPTY_SCOPE, ...role.dataScope },
+                            })
+                          }
+                          className="text-sm font-medium text-blue-600 hover:text-blue-800 dark:text-blue-400"
+                        >
+                          Edit
+                        </button>
+                        <button
+                          onClick={() => handleClone(role)}
+                          className="text-sm font-medium text-blue-600 hover:text-blue-800 dark:text-blue-400"
+                        >
+                          Clone
+                        </button>
+                        <button
+                          onClick={() => handleDelete(role)}
+                          disabled={role.isSystem || role.userCount > 0}
+                          title={
+                            role.isSystem
+                              ? "Built-in roles cannot be deleted"
+                              : role.userCount > 0
+                              ? "Give its users another role first"
+                              : undefined
+                          }
+                          className="text-sm font-medium text-red-600 hover:text-red-800 dark:text-red-400 disabled:opacity-40 disabled:cursor-not-allowed"
+                        >
+                          Delete
+                        </button>
+                      </div>
+                    </td>
+                  )}
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      </div>
+
+      {/* Role Editor Card */}
+      {editing && (
+        <div className="bg-white dark:bg-gray-800 border border-gray-200 dark:border-gray-700 rounded-lg shadow-sm">
+          <div className="p-6 border-b border-gray-200 dark:border-gray-700">
+            <h2 className="text-lg font-bold text-gray-900 dark:text-white">
+              {editing._id ? `Edit ${editing.name}` : "New Role"}
+            </h2>
+            {isAdministrator && (
+              <p className="text-sm text-gray-600 dark:text-gray-400 mt-1">
+                The Administrator role always has every permission.
+              </p>
+            )}
+          </div>
+
+          <div className="p-6 grid grid-cols-1 md:grid-cols-2 gap-6">
+            <label className="flex flex-col gap-2">
+              <span className="text-sm font-medium text-gray-700 dark:text-gray-300">
+                Name
+              </span>
+              <input
+                type="text"
+                value={editing.name}
+                onChange={(e) =>
+                  setEditing((prev) => ({ ...prev, name: e.target.value }))
+                }
+                disabled={editing.isSystem}
+                maxLength={50}
+                className="rounded-md border-gray-300 dark:border-gray-600 bg-gray-50 dark:bg-gray-700 text-gray-900 dark:text-white focus:ring-2 focus:ring-blue-500 focus:border-blue-500 px-3 py-2 text-sm disabled:opacity-60"
+              />
+            </label>
+            <label className="flex flex-col gap-2">
+              <span className="text-sm font-medium text-gray-700 dark:text-gray-300">
+                Description
+              </span>
+              <input
+                type="text"
+                value={editing.description}
+                onChange={(e) =>
+                  setEditing((prev) => ({
+                    ...prev,
+                    description: e.target.value,
+                  }))
+                }
+                className="rounded-md border-gray-300 dark:border-gray-600 bg-gray-50 dark:bg-gray-700 text-gray-900 dark:text-white focus:ring-2 focus:ring-blue-500 focus:border-blue-500 px-3 py-2 text-sm"
+              />
+            </label>
+          </div>
+
+          {!isAdministrator && (
+            <div className="px-6 pb-6">
+              <h3 className="font-semibold text-gray-900 dark:text-white">
+                Data Access
+              </h3>
+              <p className="text-sm text-gray-600 dark:text-gray-400 mt-1 mb-3">
+                Limit this role to the assets and maintenance records of these
+                departments or locations. Leave everything unticked for all
+                assets.
+              </p>
+              <DataScopeEditor
+                value={editing.dataScope}
+                onChange={(dataScope) =>
+                  setEditing((prev) => ({ ...prev, dataScope }))
+                }
+                allowOwnDepartment
+              />
+            </div>
+          )}
+
+          {!isAdministrator && (
+            <div className="px-6 pb-6 grid grid-cols-1 lg:grid-cols-2 gap-4">
+              {Object.entries(PERMISSION_CATEGORIES).map(
+                ([categoryKey, category]) => (
+                  <div
+                    key={categoryKey}
+                    className="border dark:border-gray-700 rounded-lg p-4"
+                  >
+                    <div className="flex items-center justify-between mb-3">
+                      <h3 className="font-semibold text-gray-900 dark:text-white flex items-center gap-2">
+                        <span className="material-symbols-outlined text-base">
+                          {category.icon}
+                        </span>
+                        {category.title}
+                      </h3>
+                      <div className="flex gap-2 text-xs">
+                        <button
+                          onClick={() => setCategory(categoryKey, true)}
+                          className="text-blue-600 hover:text-blue-800 dark:text-blue-400"
+                        >
+                          All
+                        </button>
+                        <button
+                          onClick={() => setCategory(categoryKey, false)}
+                          className="text-gray-600 hover:text-gray-800 dark:text-gray-400"
+                        >
+                          None
+                        </button>
+                      </div>
+                    </div>
+                    <div className="space-y-2">
+                      {category.permissions.map((permission) => (
+                        <label
+                          key={permission.key}
+                          className="flex items-start gap-3 cursor-pointer"
+                        >
+                          <input
+                            type="checkbox"
+                            checked={Boolean(
+                              editing.permissions[permission.key]
+                            )}
+                            onChange={() => togglePermission(permission.key)}
+                            className="mt-0.5 h-4 w-4 text-blue-600 border-gray-300 rounded focus:ring-blue-500"
+                          />
+                          <span>
+                            <span className="block text-sm text-gray-900 dark:text-white">
+                              {permission.label}
+                            </span>
+                            <span className="block text-xs text-gray-500 dark:text-gray-400">
+                              {permission.description}
+                            </span>
+                          </span>
+                        </label>
+                      ))}
+                    </div>
+                  </div>
+                )
+              )}
+            </div>
+          )}
+
+          <div className="p-6 border-t border-gray-200 dark:border-gray-700 flex justify-end gap-3">
+            <button
+              onClick={() => setEditing(null)}
+              disabled={saving}
+              className="flex min-w-[84px] cursor-pointer items-center justify-center rounded-lg h-10 px-4 bg-white dark:bg-gray-700 text-gray-900 dark:text-white border border-gray-300 dark:border-gray-600 text-sm font-bold hover:bg-gray-50 dark:hover:bg-gray-600 transition-colors disabled:opacity-50"
+            >
+              Cancel
+            </button>
+            <button
+              onClick={handleSave}
+              disabled={saving || !editing.name.trim()}
+              className="flex min-w-[84px] cursor-pointer items-center justify-center rounded-lg h-10 px-4 bg-blue-600 text-white text-sm font-bold hover:bg-blue-700 transition-colors disabled:opacity-50"
+            >
+              {saving ? "Saving..." : "Save Role"}
+            </button>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,391 @@
+/**
+ * ScheduledJobs.jsx
+ *
+ * "Scheduled Jobs" section of the Settings page.
+ * Lists the background jobs the server runs (maintenance notifications,
+ * overdue marking, retention purge, backups...) with their cron schedule,
+ * next and last run, and the recent run history. Users with the
+ * editSettings permission can change schedules and run a job now.
+ *
+ * Props:
+ * @param {Function} onNotify - Toast callback (message, type)
+ */
+
+import React, { useState, useEffect, useCallback } from "react";
+import API_BASE_URL, { getAuthHeaders } from "../config/api";
+import { useAuth } from "../context/AuthContext";
+
+// Badge colours per run status
+const STATUS_STYLES = {
+  Running: "bg-blue-100 text-blue-800 dark:bg-blue-900/30 dark:text-blue-300",
+  Succeeded:
+    "bg-green-100 text-green-800 dark:bg-green-900/30 dark:text-green-300",
+  Failed: "bg-red-100 text-red-800 dark:bg-red-900/30 dark:text-red-300",
+  Skipped: "bg-gray-100 text-gray-700 dark:bg-gray-700 dark:text-gray-300",
+};
+
+/**
+ * Format a run duration in milliseconds
+ */
+const formatDuration = (ms) => {
+  if (ms === undefined || ms === null) return "-";
+  if (ms < 1000) return `${ms} ms`;
+  return `${(ms / 1000).toFixed(1)} s`;
+};
+
+/**
+ * One-line summary of a run: the error, the skip reason, or its counts
+ */
+const summarizeRun = (run) => {
+  if (run.error) return run.error;
+  if (!run.results) return "";
+  if (run.results.skipped) return run.results.skipped;
+
+  const counts = [];
+  Object.entries(run.results).forEach(([key, value]) => {
+    if (typeof value === "number") {
+      counts.push(`${key}: ${value}`);
+    } else if (value && typeof value === "object") {
+      Object.entries(value).forEach(([subKey, subValue]) => {
+        if (typeof subValue === "number") {
+          counts.push(`${key} ${subKey}: ${subValue}`);
+        }
+      });
+    }
+  });
+  if (run.results.file) counts.push(run.results.file);
+  return counts.join(", ");
+};
+
+const StatusBadge = ({ status }) => (
+  <span
+    className={`inline-flex items-center rounded-full px-2 py-0.5 text-xs font-medium ${
+      STATUS_STYLES[status] || STATUS_STYLES.Skipped
+    }`}
+  >
+    {status}
+  </span>
+);
+
+export default function ScheduledJobs({ onNotify }) {
+  const { hasPermission } = useAuth();
+  const canEdit = hasPermission("editSettings");
+
+  const [jobs, setJobs] = useState([]);
+  const [runs, setRuns] = useState([]);
+  const [schedules, setSchedules] = useState({});
+  const [loading, setLoading] = useState(false);
+  const [saving, setSaving] = useState(false);
+  const [runningJob, setRunningJob] = useState(null);
+
+  // Load jobs and recent run history
+  const loadJobs = useCallback(async () => {
+    setLoading(true);
+    try {
+      const [jobsResponse, runsResponse] = await Promise.all([
+        fetch(`${API_BASE_URL}/jobs`, { headers: getAuthHeaders() }),
+        fetch(`${API_BASE_URL}/jobs/runs?pageSize=20`, {
+          headers: getAuthHeaders(),
+        }),
+      ]);
+      if (jobsResponse.ok) {
+        const data = await jobsResponse.json();
+        setJobs(data);
+        setSchedules(
+          Object.fromEntries(data.map((job) => [job.name, job.schedule]))
+        );
+      }
+      if (runsResponse.ok) {
+        const data = await runsResponse.json();
+        setRuns(data.items);
+      }
+    } catch (error) {
+      console.error("Error loading scheduled jobs:", error);
+    } finally {
+      setLoading(false);
+    }
+  }, []);
+
+  useEffect(() => {
+    loadJobs();
+  }, [loadJobs]);
+
+  const hasScheduleChanges = jobs.some(
+    (job) => (schedules[job.name] ?? "") !== (job.schedule ?? "")
+  );
+
+  /**
+   * Save edited cron expressions to Settings
+   */
+  const handleSaveSchedules = async () => {
+    setSaving(true);
+    try {
+      const response = await fetch(`${API_BASE_URL}/settings`, {
+        method: "PUT",
+        headers: getAuthHeaders({ "Content-Type": "application/json" }),
+        body: JSON.stringify({ jobSchedules: schedules }),
+      });
+      const data = await response.json();
+      if (!response.ok) {
+        onNotify(data.message || "Failed to save schedules", "error");
+        return;
+      }
+      onNotify("Job schedules saved", "success");
+      await loadJobs();
+    } catch (error) {
+      console.error("Error saving job schedules:", error);
+      onNotify("Failed to save schedules", "error");
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  /**
+   * Run a job now
+   * @param {Object} job - Job from GET /jobs
+   */
+  const handleRunNow = async (job) => {
+    setRunningJob(job.name);
+    try {
+      const response = await fetch(`${API_BASE_URL}/jobs/${job.name}/run`, {
+        method: "POST",
+        headers: getAuthHeaders(),
+      });
+      const data = await response.json();
+      if (!response.ok) {
+        onNotify(data.message || `Failed to run ${job.label}`, "error");
+      } else if (data.status === "Failed") {
+        onNotify(`${job.label} failed: ${data.error}`, "error");
+      } else {
+        onNotify(`${job.label} ${data.status.toLowerCase()}`, "success");
+      }
+      await loadJobs();
+    } catch (error) {
+      console.error("Error running job:", error);
+      onNotify(`Failed to run ${job.label}`, "error");
+    } finally {
+      setRunningJob(null);
+    }
+  };
+
+  const jobLabel = (name) =>
+    jobs.find((job) => job.name === name)?.label || name;
+
+  return (
+    <div className="flex flex-col gap-8">
+      {/* Jobs Card */}
+      <div className="bg-white dark:bg-gray-800 border border-gray-200 dark:border-gray-700 rounded-lg shadow-sm">
+        <div className="p-6 border-b border-gray-200 dark:border-gray-700">
+          <h2 className="text-lg font-bold text-gray-900 dark:text-white">
+            Scheduled Jobs
+          </h2>
+          <p className="text-sm text-gray-600 dark:text-gray-400 mt-1">
+            Background jobs run by the server. Schedules use cron syntax (minute
+            hour day month weekday), e.g. <code>0 8 * * *</code> for daily at
+            8:00. Leave a schedule empty to turn the job off.
+          </p>
+        </div>
+
+        <div className="overflow-x-auto">
+          <table className="w-full text-left text-sm">
+            <thead className="bg-gray-50 dark:bg-gray-700/50">
+              <tr>
+                <th className="px-6 py-3 font-medium text-gray-700 dark:text-gray-300">
+                  Job
+                </th>
+                <th className="px-6 py-3 font-medium text-gray-700 dark:text-gray-300">
+                  Schedule
+                </th>
+                <th className="px-6 py-3 font-medium text-gray-700 dark:text-gray-300">
+                  Next Run
+                </th>
+                <th className="px-6 py-3 font-medium text-gray-700 dark:text-gray-300">
+                  Last Run
+                </th>
+                {canEdit && <th className="px-6 py-3" />}
+              </tr>
+            </thead>
+            <tbody className="divide-y divide-gray-200 dark:divide-gray-700">
+              {loading && jobs.length === 0 && (
+                <tr>
+                  <td
+                    colSpan={canEdit ? 5 : 4}
+                    className="px-6 py-8 text-center text-gray-500 dark:text-gray-400"
+                  >
+                    Loading jobs...
+                  </td>
+                </tr>
+              )}
+              {jobs.map((job) => (
+                <tr key={job.name}>
+                  <td className="px-6 py-4 align-top">
+                    <p className="font-medium text-gray-900 dark:text-white">
+                      {job.label}
+                    </p>
+                    <p className="text-xs text-gray-500 dark:text-gray-400 mt-1 max-w-xs">
+                      {job.description}
+                    </p>
+                  </td>
+                  <td className="px-6 py-4 align-top">
+                    <input
+                      type="text"
+                      value={schedules[job.name] ?? ""}
+                      onChange={(e) =>
+                        setSchedules((prev) => ({
+                          ...prev,
+                          [job.name]: e.target.value,
+                        }))
+                      }
+                      disabled={!canEdit}
+                      placeholder="Off"
+                      className="w-36 rounded-md border-gray-300 dark:border-gray-600 bg-gray-50 dark:bg-gray-700 text-gray-900 dark:text-white focus:ring-2 focus:ring-blue-500 focus:border-blue-500 px-3 py-1.5 font-mono text-sm disabled:opacity-60"
+                    />
+                  </td>
+                  <td className="px-6 py-4 align-top text-gray-700 dark:text-gray-300 whitespace-nowrap">
+                    {job.nextRun ? new Date(job.nextRun).toLocaleString() : "-"}
+                  </td>
+                  <td className="px-6 py-4 align-top text-gray-700 dark:text-gray-300">
+                    {job.lastRun ? (
+                      <div className="flex flex-col gap-1">
+                        <StatusBadge status={job.lastRun.status} />
+                        <span className="text-xs whitespace-nowrap">
+                          {new Date(job.lastRun.startedAt).toLocaleString()} (
+                          {formatDuration(job.lastRun.durationMs)})
+                        </span>
+                      </div>
+                    ) : (
+                      "Never"
+                    )}
+                  </td>
+                  {canEdit && (
+                    <td className="px-6 py-4 align-top text-right">
+                      <button
+                        onClick={() => handleRunNow(job)}
+                        disabled={runningJob !== null}
+                        className="inline-flex items-center gap-1 text-sm font-medium text-blue-600 hover:text-blue-800 dark:text-blue-400 disabled:opacity-50 whitespace-nowrap"
+                      >
+                        <span className="material-symbols-outlined text-base">
+                          play_arrow
+                        </span>
+                        {runningJob === job.name ? "Running..." : "Run now"}
+                      </button>
+                    </td>
+                  )}
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+
+        {canEdit && (
+          <div className="p-6 border-t border-gray-200 dark:border-gray-700 flex justify-end gap-3">
+            <button
+              onClick={() =>
+                setSchedules(
+                  Object.fromEntries(
+                    jobs.map((job) => [job.name, job.schedule])
+                  )
+                )
+              }
+              disabled={!hasScheduleChanges || saving}
+              className="flex min-w-[84px] cursor-pointer items-center justify-center rounded-lg h-10 px-4 bg-white dark:bg-gray-700 text-gray-900 dark:text-white border border-gray-300 dark:border-gray-600 text-sm font-bold hover:bg-gray-50 dark:hover:bg-gray-600 transition-colors disabled:opacity-50"
+            >
+              Cancel
+            </button>
+            <button
+              onClick={handleSaveSchedules}
+              disabled={!hasScheduleChanges || saving}
+              className="flex min-w-[84px] cursor-pointer items-center justify-center rounded-lg h-10 px-4 bg-blue-600 text-white text-sm font-bold hover:bg-blue-700 transition-colors disabled:opacity-50"
+            >
+              {saving ? "Saving..." : "Save Schedules"}
+            </button>
+          </div>
+        )}
+      </div>
+
+      {/* Run History Card */}
+      <div className="bg-white dark:bg-gray-800 border border-gray-200 dark:border-gray-700 rounded-lg shadow-sm">
+        <div className="p-6 border-b border-gray-200 dark:border-gray-700 flex items-center justify-between">
+          <div>
+            <h2 className="text-lg font-bold text-gray-900 dark:text-white">
+              Recent Runs
+            </h2>
+            <p className="text-sm text-gray-600 dark:text-gray-400 mt-1">
+              The last 20 job runs across all server instances.
+            </p>
+          </div>
+          <button
+            onClick={loadJobs}
+            className="flex items-center gap-1 text-sm font-medium text-blue-600 hover:text-blue-800 dark:text-blue-400"
+          >
+            <span className="material-symbols-outlined text-base">refresh</span>
+            Refresh
+          </button>
+        </div>
+
+        {runs.length === 0 ? (
+          <p className="p-6 text-sm text-gray-500 dark:text-gray-400">
+            No jobs have run yet.
+          </p>
+        ) : (
+          <div className="overflow-x-auto">
+            <table className="w-full text-left text-sm">
+              <thead className="bg-gray-50 dark:bg-gray-700/50">
+                <tr>
+                  <th className="px-6 py-3 font-medium text-gray-700 dark:text-gray-300">
+                    Job
+                  </th>
+                  <th className="px-6 py-3 font-medium text-gray-700 dark:text-gray-300">
+                    Status
+                  </th>
+                  <th className="px-6 py-3 font-medium text-gray-700 dark:text-gray-300">
+                    Started
+                  </th>
+                  <th className="px-6 py-3 font-medium text-gray-700 dark:text-gray-300">
+                    Duration
+                  </th>
+                  <th className="px-6 py-3 font-medium text-gray-700 dark:text-gray-300">
+                    Trigger
+                  </th>
+                  <th className="px-6 py-3 font-medium text-gray-700 dark:text-gray-300">
+                    Results
+                  </th>
+                </tr>
+              </thead>
+              <tbody className="divide-y divide-gray-200 dark:divide-gray-700">
+                {runs.map((run) => (
+                  <tr key={run._id}>
+                    <td className="px-6 py-3 text-gray-900 dark:text-white whitespace-nowrap">
+                      {jobLabel(run.job)}
+                    </td>
+                    <td className="px-6 py-3">
+                      <StatusBadge status={run.status} />
+                    </td>
+                    <td className="px-6 py-3 text-gray-700 dark:text-gray-300 whitespace-nowrap">
+                      {new Date(run.startedAt).toLocaleString()}
+                    </td>
+                    <td className="px-6 py-3 text-gray-700 dark:text-gray-300 whitespace-nowrap">
+                      {formatDuration(run.durationMs)}
+                    </td>
+                    <td className="px-6 py-3 text-gray-700 dark:text-gray-300 whitespace-nowrap">
+                      {run.trigger === "manual" && run.triggeredBy
+                        ? `Manual (${run.triggeredBy})`
+                        : run.trigger.charAt(0).toUpperCase() +
+                          run.trigger.slice(1)}
+                    </td>
+                    <td
+                      className="px-6 py-3 text-xs text-gray-600 dark:text-gray-400"
+                      title={run.host}
+                    >
+                      {summarizeRun(run)}
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        )}
+      </div>
+    </div>
+  );
+}
@@ -5,8 +5,12 @@
  * This component provides an interface to manage:
  * - General application settings (name, timezone, maintenance mode)
  * - API access keys
- * - Permissions and roles
- * - Integrations
+ * - Permissions (per-user overrides) and roles
+ * - Security (password policy, account lockout, login audit)
+ * - Recycle bin of deleted assets (administrators)
+ * - Slack and Microsoft Teams integrations
+ * - Email delivery (SMTP server, test email, outbox)
+ * - Scheduled background jobs
  * - Branding customization
  * - Dangerous operations (data deletion)
  *
@@ -21,8 +25,17 @@
  */
 
 import React, { useState, useEffect } from "react";
-import API_BASE_URL from "../config/api";
+import API_BASE_URL, { getAuthHeaders } from "../config/api";
 import PermissionsManagement from "./PermissionsManagement";
+import RoleManagement from "./RoleManagement";
+import ScheduledJobs from "./ScheduledJobs";
+import EmailSettings from "./EmailSettings";
+import Integrations from "./Integrations";
+import Webhooks from "./Webhooks";
+import ApiKeys from "./ApiKeys";
+import NotificationRules from "./NotificationRules";
+import LoginSecurity from "./LoginSecurity";
+import RecycleBin from "./RecycleBin";
 import { useAuth } from "../context/AuthContext";
 
 export default function Settings() {
@@ -31,7 +44,6 @@ export default function Settings() {
   // State for settings form
   const [appName, setAppName] = useState("");
   const [maintenanceMode, setMaintenanceMode] = useState(false);
-  const [apiKey, setApiKey] = useState("Loading...");
   const [defaultCurrency, setDefaultCurrency] = useState("NGN");
 
   // New settings
@@ -40,6 +52,7 @@ export default function Settings() {
   const [maintenanceNotificationDays, setMaintenanceNotificationDays] =
     useState(7);
   const [sessionTimeout, setSessionTimeout] = useState(30);
+  const [requireTwoFactor, setRequireTwoFactor] = useState(false);
   const [recordsPerPage, setRecordsPerPage] = useState(25);
   const [emailNotifications, setEmailNotifications] = useState(false);
   const [assetIdPrefix, setAssetIdPrefix] = useState("AST-");
@@ -57,11 +70,9 @@ export default function Settings() {
     setTimeout(() => setToast({ show: false, message: "", type: "" }), 3000);
   };
   const [activeSection, setActiveSection] = useState("general");
-  const [lastApiUse, setLastApiUse] = useState("Never");
   const [saving, setSaving] = useState(false);
 
   // Modal states
-  const [showRegenerateModal, setShowRegenerateModal] = useState(false);
 
   // Branding state
   const [companyVision, setCompanyVision] = useState("");
@@ -100,13 +111,14 @@ export default function Settings() {
    */
   const loadSettings = async () => {
     try {
-      const response = await fetch(`${API_BASE_URL}/settings`);
+      const response = await fetch(`${API_BASE_URL}/settings`, {
+        headers: getAuthHeaders(),
+      });
       if (!response.ok) throw new Error("Failed to fetch settings");
 
       const data = await response.json();
       setAppName(data.appName);
       setMaintenanceMode(data.maintenanceMode);
-      setApiKey(data.apiKey);
       setCompanyVision(data.companyVision || "");
       setCompanyMission(data.companyMission || "");
       setCompanyMotto(data.companyMotto || "");
@@ -118,6 +130,7 @@ export default function Settings() {
       setAutoBackup(data.autoBackup !== undefined ? data.autoBackup : true);
       setMaintenanceNotificationDays(data.maintenanceNotificationDays || 7);
       setSessionTimeout(data.sessionTimeout || 30);
+      setRequireTwoFactor(data.requireTwoFactor || false);
       setRecordsPerPage(data.recordsPerPage || 25);
       setEmailNotifications(data.emailNotifications || false);
       setAssetIdPrefix(data.assetIdPrefix || "ASF-");
@@ -126,25 +139,6 @@ export default function Settings() {
         data.maintenanceReminderFrequency || "monthly"
       );
       setDataRetentionDays(data.dataRetentionDays || 90);
-
-      // Format last API use
-      if (data.lastApiUse) {
-        const date = new Date(data.lastApiUse);
-        const now = new Date();
-        const diffMs = now - date;
-        const diffHours = Math.floor(diffMs / (1000 * 60 * 60));
-
-        if (diffHours < 1) {
-          setLastApiUse("Less than an hour ago");
-        } else if (diffHours < 24) {
-          setLastApiUse(`${diffHours} hour${diffHours > 1 ? "s" : ""} ago`);
-        } else {
-          const diffDays = Math.floor(diffHours / 24);
-          setLastApiUse(`${diffDays} day${diffDays > 1 ? "s" : ""} ago`);
-        }
-      } else {
-        setLastApiUse("Never used");
-      }
     } catch (error) {
       console.error("Error loading settings:", error);
       showToast("Failed to load settings. Please refresh the page.", "error");
@@ -157,7 +151,9 @@ export default function Settings() {
   const loadSystemStats = async () => {
     try {
       setLoadingStats(true);
-      const response = await fetch(`${API_BASE_URL}/settings/stats`);
+      const response = await fetch(`${API_BASE_URL}/settings/stats`, {
+        headers: getAuthHeaders(),
+      });
       if (!response.ok) throw new Error("Failed to fetch stats");
 
       const data = await response.json();
@@ -177,9 +173,9 @@ export default function Settings() {
       setSaving(true);
       const response = await fetch(`${API_BASE_URL}/settings`, {
         method: "PUT",
-        headers: {
+        headers: getAuthHeaders({
           "Content-Type": "application/json",
-        },
+        }),
         body: JSON.stringify({
           appName,
           maintenanceMode,
@@ -188,6 +184,7 @@ export default function Settings() {
           autoBackup,
           maintenanceNotificationDays,
           sessionTimeout,
+          requireTwoFactor,
           recordsPerPage,
           emailNotifications,
           assetIdPrefix,
@@ -231,6 +228,7 @@ export default function Settings() {
 
       const response = await fetch(`${API_BASE_URL}/settings/branding`, {
         method: "PUT",
+        headers: getAuthHeaders(),
         body: formData,
       });
 
@@ -251,34 +249,6 @@ export default function Settings() {
     }
   };
 
-  /**
-   * Handle regenerating API key
-   */
-  const handleRegenerateApiKey = async () => {
-    try {
-      const response = await fetch(
-        `${API_BASE_URL}/settings/regenerate-api-key`,
-        {
-          method: "POST",
-          headers: {
-            "Content-Type": "application/json",
-          },
-        }
-      );
-
-      if (!response.ok) throw new Error("Failed to regenerate API key");
-
-      const data = await response.json();
-      setApiKey(data.apiKey);
-      setLastApiUse("Just now");
-      setShowRegenerateModal(false);
-      showToast("API key regenerated successfully!", "success");
-    } catch (error) {
-      console.error("Error regenerating API key:", error);
-      showToast("Failed to regenerate API key. Please try again.", "error");
-    }
-  };
-
   /**
    * Handle deleting all assets
    */
@@ -297,9 +267,9 @@ export default function Settings() {
         `${API_BASE_URL}/settings/delete-all-assets`,
         {
           method: "DELETE",
-          headers: {
+          headers: getAuthHeaders({
             "Content-Type": "application/json",
-          },
+          }),
           body: JSON.stringify({
             confirmation: "DELETE ALL ASSETS",
           }),
@@ -318,7 +288,9 @@ export default function Settings() {
       setDeleteConfirmText("");
 
       showToast(
-        `Successfully deleted ${data.deletedEquipment} assets and ${data.deletedActivities} activity records.`,
+        data.skippedCheckedOut > 0
+          ? `Moved ${data.deletedEquipment} assets to the recycle bin. ${data.skippedCheckedOut} checked-out assets were kept.`
+          : `Moved ${data.deletedEquipment} assets to the recycle bin.`,
         "success"
       );
 
@@ -392,11 +364,19 @@ export default function Settings() {
           <nav className="flex flex-col gap-1 md:sticky md:top-28">
             {renderNavItem("general", "settings", "General")}
             {renderNavItem("permissions", "lock", "Permissions")}
+            {renderNavItem("roles", "badge", "Roles")}
+            {renderNavItem("security", "shield", "Security")}
+            {currentUser.role === "Administrator" &&
+              renderNavItem("recycleBin", "delete", "Recycle Bin")}
             {renderNavItem(
               "integrations",
               "integration_instructions",
               "Integrations"
             )}
+            {renderNavItem("webhooks", "webhook", "Webhooks")}
+            {renderNavItem("notificationRules", "rule", "Notification Rules")}
+            {renderNavItem("email", "mail", "Email")}
+            {renderNavItem("jobs", "schedule", "Scheduled Jobs")}
             {renderNavItem("branding", "palette", "Branding")}
           </nav>
         </aside>
@@ -551,7 +531,7 @@ export default function Settings() {
                         <div className="w-11 h-6 bg-gray-200 dark:bg-gray-700 peer-focus:outline-none peer-focus:ring-2 peer-focus:ring-green-500 rounded-full peer peer-checked:after:translate-x-full peer-checked:after:border-white after:content-[''] after:absolute after:top-0.5 after:left-0.5 after:bg-white after:border-gray-300 after:border after:rounded-full after:h-5 after:w-5 after:transition-all peer-checked:bg-green-600"></div>
                       </label>
                       <span className="text-sm text-gray-600 dark:text-gray-400">
-                        Automatically backup database daily
+                        Run the scheduled database backup job
                       </span>
                     </div>
                   </div>
@@ -684,6 +664,37 @@ export default function Settings() {
                     </div>
                   </div>
 
+                  {/* Require Two-Factor Authentication */}
+                  <div className="grid grid-cols-1 sm:grid-cols-3 gap-2 items-center">
+                    <label
+                      className="text-sm font-medium text-gray-900 dark:text-white"
+                      htmlFor="requireTwoFactor-toggle"
+                    >
+                      Require Two-Factor
+                    </label>
+                    <div className="sm:col-span-2 flex items-center gap-3">
+                      <label
+                        className="relative inline-flex items-center cursor-pointer"
+                        htmlFor="requireTwoFactor-toggle"
+                      >
+                        <input
+                          className="sr-only peer"
+                          id="requireTwoFactor-toggle"
+                          type="checkbox"
+                          checked={requireTwoFactor}
+                          onChange={(e) =>
+                            setRequireTwoFactor(e.target.checked)
+                          }
+                        />
+                        <div className="w-11 h-6 bg-gray-200 dark:bg-gray-700 peer-focus:outline-none peer-focus:ring-2 peer-focus:ring-blue-500 rounded-full peer peer-checked:after:translate-x-full peer-checked:after:border-white after:content-[''] after:absolute after:top-0.5 after:left-0.5 after:bg-white after:border-gray-300 after:border after:rounded-full after:h-5 after:w-5 after:transition-all peer-checked:bg-blue-600"></div>
+                      </label>
+                      <span className="text-sm text-gray-600 dark:text-gray-400">
+                        Administrators and Managers must use an authenticator
+                        app; those without one set it up at their next login
+                      </span>
+                    </div>
+                  </div>
+
                   {/* Records Per Page */}
                   <div className="grid grid-cols-1 sm:grid-cols-3 gap-2 items-start">
                     <label
@@ -860,7 +871,9 @@ export default function Settings() {
                         <option value="-1">Keep forever</option>
                       </select>
                       <p className="text-xs text-gray-500 dark:text-gray-400 mt-2">
-                        How long to keep deleted items before permanent removal
+                        How long to keep activity history, read notifications,
+                        job runs and deleted assets in the recycle bin before
+                        they are purged
                       </p>
                     </div>
                   </div>
@@ -1033,36 +1046,8 @@ export default function Settings() {
                 </div>
               </div>
 
-              {/* API Access Card */}
-              <div className="bg-white dark:bg-gray-800 border border-gray-200 dark:border-gray-700 rounded-lg shadow-sm">
-                <div className="p-6 border-b border-gray-200 dark:border-gray-700">
-                  <h2 className="text-lg font-bold text-gray-900 dark:text-white">
-                    API Access
-                  </h2>
-                  <p className="text-sm text-gray-600 dark:text-gray-400 mt-1">
-                    Manage API keys for integrations and external access.
-                  </p>
-                </div>
-                <div className="p-6 flex flex-col sm:flex-row items-start sm:items-center justify-between gap-4">
-                  <div className="flex-1">
-                    <p className="font-mono text-sm bg-gray-50 dark:bg-gray-700 text-gray-900 dark:text-white p-3 rounded-md inline-block border border-gray-200 dark:border-gray-600 break-all">
-                      {apiKey}
-                    </p>
-                    <p className="text-xs text-gray-500 dark:text-gray-400 mt-2">
-                      Last used: {lastApiUse}
-                    </p>
-                  </div>
-                  <button
-                    onClick={() => setShowRegenerateModal(true)}
-                    className="flex min-w-[140px] cursor-pointer items-center justify-center rounded-lg h-10 px-4 bg-white dark:bg-gray-700 text-gray-900 dark:text-white border border-gray-300 dark:border-gray-600 text-sm font-bold hover:bg-gray-50 dark:hover:bg-gray-600 transition-colors gap-2"
-                  >
-                    <span className="material-symbols-outlined text-lg">
-                      refresh
-                    </span>
-                    <span>Regenerate Key</span>
-                  </button>
-                </div>
-              </div>
+              {/* API Keys Card */}
+              <ApiKeys onNotify={showToast} />
 
               {/* Danger Zone Card */}
               <div className="bg-red-50 dark:bg-red-900/20 border border-red-200 dark:border-red-800 rounded-lg">
@@ -1079,7 +1064,7 @@ export default function Settings() {
                         Delete all assets
                       </p>
                       <p className="text-sm text-red-700 dark:text-red-300">
-                        This will permanently delete all asset records.
+                        This will move all asset records to the recycle bin.
                       </p>
                     </div>
                     <button
@@ -1097,35 +1082,36 @@ export default function Settings() {
           {/* Permissions Section */}
           {activeSection === "permissions" && <PermissionsManagement />}
 
-          {/* Integrations Section (Placeholder) */}
+          {/* Roles Section */}
+          {activeSection === "roles" && <RoleManagement onNotify={showToast} />}
+
+          {/* Security Section */}
+          {activeSection === "security" && (
+            <LoginSecurity onNotify={showToast} />
+          )}
+
+          {/* Recycle Bin Section */}
+          {activeSection === "recycleBin" && (
+            <RecycleBin onNotify={showToast} />
+          )}
+
+          {/* Email Section */}
+          {activeSection === "email" && <EmailSettings onNotify={showToast} />}
+
+          {/* Scheduled Jobs Section */}
+          {activeSection === "jobs" && <ScheduledJobs onNotify={showToast} />}
+
+          {/* Integrations Section */}
           {activeSection === "integrations" && (
-            <div className="bg-white dark:bg-gray-800 border border-gray-200 dark:border-gray-700 rounded-lg shadow-sm">
-              <div className="p-6 border-b border-gray-200 dark:border-gray-700">
-                <h2 className="text-lg font-bold text-gray-900 dark:text-white">
-                  Integrations
-                </h2>
-                <p className="text-sm text-gray-600 dark:text-gray-400 mt-1">
-                  Connect with third-party services and tools.
-                </p>
-              </div>
-              <div className="p-6">
-                <div className="text-center py-12">
-                  <span className="material-symbols-outlined text-6xl text-gray-300 dark:text-gray-600 mb-4">
-                    integration_instructions
-                  </span>
-                  <h3 className="text-lg font-semibold text-gray-900 dark:text-white mb-2">
-                    Third-Party Integrations
-                  </h3>
-                  <p className="text-gray-600 dark:text-gray-400">
-                    Integrate with external services like Slack, Microsoft
-                    Teams, and more.
-                  </p>
-                  <p className="text-sm text-gray-500 dark:text-gray-400 mt-4">
-                    This feature is coming soon.
-                  </p>
-                </div>
-              </div>
-            </div>
+            <Integrations onNotify={showToast} />
+          )}
+
+          {/* Webhooks Section */}
+          {activeSection === "webhooks" && <Webhooks onNotify={showToast} />}
+
+          {/* Notification Rules Section */}
+          {activeSection === "notificationRules" && (
+            <NotificationRules onNotify={showToast} />
           )}
 
           {/* Branding Section (Placeholder) */}
@@ -1353,8 +1339,8 @@ export default function Settings() {
             <div className="p-6 space-y-4">
               <div className="bg-red-50 dark:bg-red-900/20 border border-red-200 dark:border-red-800 rounded-lg p-4">
                 <p className="text-sm text-red-800 dark:text-red-300 font-medium">
-                  ⚠️ Warning: This will permanently delete all assets and their
-                  associated activity records from the database.
+                  ⚠️ Warning: This will move all assets and their maintenance
+                  records to the recycle bin. Checked-out assets are kept.
                 </p>
               </div>
 
@@ -1427,55 +1413,6 @@ export default function Settings() {
         </div>
       )}
 
-      {/* Regenerate API Key Confirmation Modal */}
-      {showRegenerateModal && (
-        <div className="fixed inset-0 bg-white/80 dark:bg-black/50 backdrop-blur-sm flex items-center justify-center z-50 p-4">
-          <div className="bg-white dark:bg-gray-800 rounded-lg shadow-xl max-w-md w-full">
-            <div className="p-6 border-b border-gray-200 dark:border-gray-700">
-              <div className="flex items-center gap-3">
-                <div className="p-2 bg-yellow-100 dark:bg-yellow-900/30 rounded-lg">
-                  <span className="material-symbols-outlined text-yellow-600 dark:text-yellow-400 text-2xl">
-                    warning
-                  </span>
-                </div>
-                <div>
-                  <h3 className="text-lg font-bold text-gray-900 dark:text-white">
-                    Regenerate API Key?
-                  </h3>
-                  <p className="text-sm text-gray-600 dark:text-gray-400 mt-1">
-                    This action will invalidate the old key
-                  </p>
-                </div>
-              </div>
-            </div>
-            <div className="p-6">
-              <p className="text-gray-700 dark:text-gray-300 mb-4">
-                Are you sure you want to regenerate the API key? The current key
-                will stop working immediately, and any applications using it
-                will need to be updated with the new key.
-              </p>
-            </div>
-            <div className="p-6 border-t border-gray-200 dark:border-gray-700 flex justify-end gap-3">
-              <button
-                onClick={() => setShowRegenerateModal(false)}
-                className="flex min-w-[84px] cursor-pointer items-center justify-center rounded-lg h-10 px-4 bg-white dark:bg-gray-700 text-gray-900 dark:text-white border border-gray-300 dark:border-gray-600 text-sm font-bold hover:bg-gray-50 dark:hover:bg-gray-600 transition-colors"
-              >
-                Cancel
-              </button>
-              <button
-                onClick={handleRegenerateApiKey}
-                className="flex min-w-[140px] cursor-pointer items-center justify-center rounded-lg h-10 px-4 bg-yellow-600 hover:bg-yellow-700 text-white text-sm font-bold transition-colors gap-2"
-              >
-                <span className="material-symbols-outlined text-lg">
-                  refresh
-                </span>
-                <span>Regenerate Key</span>
-              </button>
-            </div>
-          </div>
-        </div>
-      )}
-
       {/* Toast Notification */}
       {toast.show && (
         <div
@@ -4,6 +4,7 @@ import { useAuth } from "../context/AuthContext";
 import axios from "axios";
 import AnimatedContent from "./AnimatedContent";
 import API_BASE_URL from "../config/api";
+import PasswordRules from "./PasswordRules";
 
 const Signup = () => {
   const navigate = useNavigate();
@@ -14,7 +15,6 @@ const Signup = () => {
     email: "",
     password: "",
     confirmPassword: "",
-    role: "User",
     department: "",
   });
   const [showPassword, setShowPassword] = useState(false);
@@ -60,22 +60,17 @@ const Signup = () => {
       return;
     }
 
-    if (formData.password.length < 6) {
-      setError("Password must be at least 6 characters");
-      return;
-    }
-
     setLoading(true);
 
     try {
-      await register(
+      const result = await register(
         formData.name,
         formData.email,
         formData.password,
-        formData.role,
         formData.department
       );
-      navigate("/");
+      // Sign in to set up two-factor authentication when the role requires it
+      navigate(result.twoFactorStep ? "/login" : "/");
     } catch (err) {
       setError(err.message || "Failed to create account. Please try again.");
     } finally {
@@ -278,7 +273,7 @@ const Signup = () => {
                   value={formData.password}
                   onChange={handleChange}
                   className="w-full px-4 py-3 pr-12 rounded-lg border border-slate-300 dark:border-slate-600 bg-white dark:bg-slate-800 text-slate-900 dark:text-white placeholder-slate-400 focus:outline-none focus:ring-2 focus:ring-blue-500 focus:border-transparent disabled:opacity-50 disabled:cursor-not-allowed transition-all"
-                  placeholder="Min. 6 characters"
+                  placeholder="Choose a password"
                 />
                 <button
                   type="button"
@@ -291,6 +286,7 @@ const Signup = () => {
                   </span>
                 </button>
               </div>
+              <PasswordRules />
             </div>
 
             {/* Confirm Password Field */}
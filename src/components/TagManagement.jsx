@@ -1,6 +1,314 @@
 import React, { useState, useEffect } from "react";
-import API_BASE_URL from "../config/api";
+import API_BASE_URL, { getAuthHeaders } from "../config/api";
 import { useAuth } from "../context/AuthContext";
+import { CUSTOM_FIELD_TYPES } from "../config/customFields";
+
+// Empty tag form, including the depreciation settings and custom fields
+// used by Asset Type tags
+const EMPTY_FORM = {
+  name: "",
+  category: "",
+  color: "#3B82F6",
+  description: "",
+  depreciationMethod: "None",
+  usefulLifeYears: "",
+  salvagePercent: "0",
+  decliningRate: "2",
+  customFields: [],
+};
+
+// New custom field row; options are edited as comma separated text
+const EMPTY_CUSTOM_FIELD = {
+  key: "",
+  label: "",
+  type: "text",
+  required: false,
+  helpText: "",
+  options: "",
+  min: "",
+  max: "",
+  maxLength: "",
+  pattern: "",
+};
+
+const inputClassName =
+  "w-full rounded-lg border border-gray-200 dark:border-gray-600 bg-white dark:bg-gray-700 px-4 py-2 text-gray-900 dark:text-gray-100 focus:border-blue-500 focus:ring-2 focus:ring-blue-500";
+
+/**
+ * Depreciation settings for an Asset Type tag (create and edit forms)
+ */
+const DepreciationFields = ({ formData, onChange }) => (
+  <div className="rounded-lg border border-gray-200 dark:border-gray-700 p-4 space-y-3">
+    <p className="text-sm font-semibold text-gray-700 dark:text-gray-300">
+      Depreciation
+    </p>
+    <select
+      name="depreciationMethod"
+      value={formData.depreciationMethod}
+      onChange={onChange}
+      className={inputClassName}
+    >
+      <option value="None">None</option>
+      <option value="Straight Line">Straight Line</option>
+      <option value="Declining Balance">Declining Balance</option>
+      <option value="Sum of Years Digits">Sum of Years Digits</option>
+    </select>
+    {formData.depreciationMethod !== "None" && (
+      <div className="grid grid-cols-2 gap-3">
+        <label className="text-xs text-gray-600 dark:text-gray-400">
+          Useful Life (years) <span className="text-red-500">*</span>
+          <input
+            type="number"
+            name="usefulLifeYears"
+            min="1"
+            max="100"
+            value={formData.usefulLifeYears}
+            onChange={onChange}
+            required
+            className={`${inputClassName} mt-1`}
+          />
+        </label>
+        <label className="text-xs text-gray-600 dark:text-gray-400">
+          Salvage Value (% of cost)
+          <input
+            type="number"
+            name="salvagePercent"
+            min="0"
+            max="100"
+            step="0.01"
+            value={formData.salvagePercent}
+            onChange={onChange}
+            className={`${inputClassName} mt-1`}
+          />
+        </label>
+        {formData.depreciationMethod === "Declining Balance" && (
+          <label className="text-xs text-gray-600 dark:text-gray-400 col-span-2">
+            Rate (multiple of straight-line, 2 = double declining)
+            <input
+              type="number"
+              name="decliningRate"
+              min="1"
+              max="4"
+              step="0.1"
+              value={formData.decliningRate}
+              onChange={onChange}
+              className={`${inputClassName} mt-1`}
+            />
+          </label>
+        )}
+      </div>
+    )}
+  </div>
+);
+
+/**
+ * Custom field definitions for an Asset Type tag (create and edit forms).
+ * Keys are derived from the label when a field is first saved and then
+ * kept, so renaming a field does not lose the values stored under it.
+ */
+const CustomFieldsEditor = ({ fields, onChange }) => {
+  const updateField = (index, changes) => {
+    onChange(
+      fields.map((field, i) => (i === index ? { ...field, ...changes } : field))
+    );
+  };
+
+  return (
+    <div className="rounded-lg border border-gray-200 dark:border-gray-700 p-4 space-y-3">
+      <div className="flex items-center justify-between">
+        <p className="text-sm font-semibold text-gray-700 dark:text-gray-300">
+          Custom Fields
+        </p>
+        <button
+          type="button"
+          onClick={() => onChange([...fields, { ...EMPTY_CUSTOM_FIELD }])}
+          className="flex items-center gap-1 text-sm font-medium text-blue-600 hover:text-blue-800 dark:text-blue-400"
+        >
+          <span className="material-symbols-outlined text-base">add</span>
+          Add Field
+        </button>
+      </div>
+      {fields.length === 0 && (
+        <p className="text-xs text-gray-500 dark:text-gray-400">
+          Extra fields asked for when registering or editing assets of this
+          type.
+        </p>
+      )}
+      {fields.map((field, index) => (
+        <div
+          key={field.key || `new-${index}`}
+          className="rounded-lg bg-gray-50 dark:bg-gray-700/50 p-3 space-y-2"
+        >
+          <div className="flex gap-2">
+            <input
+              type="text"
+              value={field.label}
+              onChange={(e) => updateField(index, { label: e.target.value })}
+              placeholder="Label, e.g. MAC Address"
+              required
+              className={inputClassName}
+            />
+            <select
+              value={field.type}
+              onChange={(e) => updateField(index, { type: e.target.value })}
+              className={`${inputClassName} w-36`}
+            >
+              {CUSTOM_FIELD_TYPES.map((type) => (
+                <option key={type.value} value={type.value}>
+                  {type.label}
+                </option>
+              ))}
+            </select>
+            <button
+              type="button"
+              onClick={() => onChange(fields.filter((_, i) => i !== index))}
+              className="p-2 text-gray-500 hover:text-red-600"
+              title="Remove field"
+            >
+              <span className="material-symbols-outlined text-lg">delete</span>
+            </button>
+          </div>
+
+          {field.type === "dropdown" && (
+            <input
+              type="text"
+              value={field.options}
+              onChange={(e) => updateField(index, { options: e.target.value })}
+              placeholder="Options, comma separated"
+              required
+              className={inputClassName}
+            />
+          )}
+          {field.type === "number" && (
+            <div className="grid grid-cols-2 gap-2">
+              <input
+                type="number"
+                step="any"
+                value={field.min}
+                onChange={(e) => updateField(index, { min: e.target.value })}
+                placeholder="Minimum"
+                className={inputClassName}
+              />
+              <input
+                type="number"
+                step="any"
+                value={field.max}
+                onChange={(e) => updateField(index, { max: e.target.value })}
+                placeholder="Maximum"
+                className={inputClassName}
+              />
+            </div>
+          )}
+          {field.type === "text" && (
+            <div className="grid grid-cols-2 gap-2">
+              <input
+                type="number"
+                min="1"
+                value={field.maxLength}
+                onChange={(e) =>
+                  updateField(index, { maxLength: e.target.value })
+                }
+                placeholder="Max length"
+                className={inputClassName}
+              />
+              <input
+                type="text"
+                value={field.pattern}
+                onChange={(e) =>
+                  updateField(index, { pattern: e.target.value })
+                }
+                placeholder="Pattern (regular expression)"
+                className={inputClassName}
+              />
+            </div>
+          )}
+          <input
+            type="text"
+            value={field.helpText}
+            onChange={(e) => updateField(index, { helpText: e.target.value })}
+            placeholder="Help text (optional)"
+            className={inputClassName}
+          />
+
+          <div className="flex items-center justify-between text-xs text-gray-600 dark:text-gray-400">
+            <label className="flex items-center gap-2">
+              <input
+                type="checkbox"
+                checked={field.required}
+                onChange={(e) =>
+                  updateField(index, { required: e.target.checked })
+                }
+                className="rounded border-gray-300 text-blue-600 focus:ring-blue-500"
+              />
+              Required
+            </label>
+            {field.key && (
+              <span>
+                Key: <span className="font-mono">{field.key}</span>
+              </span>
+            )}
+          </div>
+        </div>
+      ))}
+    </div>
+  );
+};
+
+/**
+ * Custom field rows for the tag form from a tag's definitions
+ */
+const toCustomFieldRows = (fields = []) =>
+  fields.map((field) => ({
+    ...EMPTY_CUSTOM_FIELD,
+    ...field,
+    helpText: field.helpText || "",
+    options: (field.options || []).join(", "),
+    min: field.min ?? "",
+    max: field.max ?? "",
+    maxLength: field.maxLength ?? "",
+    pattern: field.pattern || "",
+  }));
+
+/**
+ * Build the API payload from the tag form
+ */
+const buildTagPayload = (formData) => {
+  const payload = {
+    name: formData.name,
+    category: formData.category,
+    color: formData.color,
+    description: formData.description,
+  };
+
+  if (formData.category === "Asset Type") {
+    payload.depreciation = {
+      method: formData.depreciationMethod,
+      usefulLifeYears:
+        formData.depreciationMethod === "None"
+          ? undefined
+          : Number(formData.usefulLifeYears),
+      salvagePercent: Number(formData.salvagePercent) || 0,
+      decliningRate: Number(formData.decliningRate) || 2,
+    };
+    payload.customFields = formData.customFields.map((field) => ({
+      key: field.key || undefined,
+      label: field.label,
+      type: field.type,
+      required: field.required,
+      helpText: field.helpText,
+      options:
+        field.type === "dropdown"
+          ? field.options.split(",").map((option) => option.trim())
+          : undefined,
+      min: field.type === "number" ? field.min : undefined,
+      max: field.type === "number" ? field.max : undefined,
+      maxLength: field.type === "text" ? field.maxLength : undefined,
+      pattern: field.type === "text" ? field.pattern : undefined,
+    }));
+  }
+
+  return payload;
+};
 
 const TagManagement = () => {
   const { hasPermission } = useAuth();
@@ -16,12 +324,7 @@ const TagManagement = () => {
   const [selectedTag, setSelectedTag] = useState(null);
 
   // Form state
-  const [formData, setFormData] = useState({
-    name: "",
-    category: "",
-    color: "#3B82F6",
-    description: "",
-  });
+  const [formData, setFormData] = useState(EMPTY_FORM);
 
   // Filter states
   const [searchQuery, setSearchQuery] = useState("");
@@ -43,7 +346,9 @@ const TagManagement = () => {
       _setLoading(true);
       _setError(null);
 
-      const response = await fetch(`${API_BASE_URL}/tags`);
+      const response = await fetch(`${API_BASE_URL}/tags`, {
+        headers: getAuthHeaders(),
+      });
 
       if (!response.ok) {
         throw new Error(`Failed to fetch tags: ${response.statusText}`);
@@ -129,7 +434,7 @@ const TagManagement = () => {
 
   // Open create modal
   const openCreateModal = () => {
-    setFormData({ name: "", category: "", color: "#3B82F6", description: "" });
+    setFormData(EMPTY_FORM);
     setShowCreateModal(true);
   };
 
@@ -141,6 +446,11 @@ const TagManagement = () => {
       category: tag.category,
       color: tag.color || "#3B82F6",
       description: tag.description,
+      depreciationMethod: tag.depreciation?.method || "None",
+      usefulLifeYears: tag.depreciation?.usefulLifeYears ?? "",
+      salvagePercent: tag.depreciation?.salvagePercent ?? "0",
+      decliningRate: tag.depreciation?.decliningRate ?? "2",
+      customFields: toCustomFieldRows(tag.customFields),
     });
     setShowEditModal(true);
   };
@@ -156,34 +466,25 @@ const TagManagement = () => {
     e.preventDefault();
 
     try {
-      const newTag = {
-        name: formData.name,
-        category: formData.category,
-        color: formData.color,
-        description: formData.description,
-      };
+      const newTag = buildTagPayload(formData);
 
       const response = await fetch(`${API_BASE_URL}/tags`, {
         method: "POST",
-        headers: {
+        headers: getAuthHeaders({
           "Content-Type": "application/json",
-        },
+        }),
         body: JSON.stringify(newTag),
       });
 
       if (!response.ok) {
-        throw new Error(`Failed to create tag: ${response.statusText}`);
+        const data = await response.json().catch(() => ({}));
+        throw new Error(data.message || response.statusText);
       }
 
       const createdTag = await response.json();
       setTags([createdTag, ...tags]);
       setShowCreateModal(false);
-      setFormData({
-        name: "",
-        category: "",
-        color: "#3B82F6",
-        description: "",
-      });
+      setFormData(EMPTY_FORM);
     } catch (err) {
       console.error("Error creating tag:", err);
       alert(`Failed to create tag: ${err.message}`);
@@ -195,23 +496,19 @@ const TagManagement = () => {
     e.preventDefault();
 
     try {
-      const updatedTagData = {
-        name: formData.name,
-        category: formData.category,
-        color: formData.color,
-        description: formData.description,
-      };
+      const updatedTagData = buildTagPayload(formData);
 
       const response = await fetch(`${API_BASE_URL}/tags/${selectedTag._id}`, {
         method: "PUT",
-        headers: {
+        headers: getAuthHeaders({
           "Content-Type": "application/json",
-        },
+        }),
         body: JSON.stringify(updatedTagData),
       });
 
       if (!response.ok) {
-        throw new Error(`Failed to update tag: ${response.statusText}`);
+        const data = await response.json().catch(() => ({}));
+        throw new Error(data.message || response.statusText);
       }
 
       const updatedTag = await response.json();
@@ -220,12 +517,7 @@ const TagManagement = () => {
       );
       setShowEditModal(false);
       setSelectedTag(null);
-      setFormData({
-        name: "",
-        category: "",
-        color: "#3B82F6",
-        description: "",
-      });
+      setFormData(EMPTY_FORM);
     } catch (err) {
       console.error("Error updating tag:", err);
       alert(`Failed to update tag: ${err.message}`);
@@ -237,6 +529,7 @@ const TagManagement = () => {
     try {
       const response = await fetch(`${API_BASE_URL}/tags/${selectedTag._id}`, {
         method: "DELETE",
+        headers: getAuthHeaders(),
       });
 
       if (!response.ok) {
@@ -495,7 +788,7 @@ const TagManagement = () => {
       {/* Create Tag Modal */}
       {showCreateModal && (
         <div className="fixed inset-0 z-50 flex items-center justify-center bg-black/60 p-4">
-          <div className="bg-white dark:bg-gray-800 rounded-xl shadow-2xl w-full max-w-md">
+          <div className="bg-white dark:bg-gray-800 rounded-xl shadow-2xl w-full max-w-lg max-h-[90vh] overflow-y-auto">
             <div className="p-6 border-b border-gray-200 dark:border-gray-700">
               <div className="flex items-center justify-between">
                 <h3 className="text-xl font-bold text-gray-900 dark:text-white">
@@ -559,6 +852,21 @@ const TagManagement = () => {
                 />
               </div>
 
+              {formData.category === "Asset Type" && (
+                <>
+                  <DepreciationFields
+                    formData={formData}
+                    onChange={handleChange}
+                  />
+                  <CustomFieldsEditor
+                    fields={formData.customFields}
+                    onChange={(customFields) =>
+                      setFormData((prev) => ({ ...prev, customFields }))
+                    }
+                  />
+                </>
+              )}
+
               <div className="flex gap-3 pt-4">
                 <button
                   type="button"
@@ -582,7 +890,7 @@ const TagManagement = () => {
       {/* Edit Tag Modal */}
       {showEditModal && selectedTag && (
         <div className="fixed inset-0 z-50 flex items-center justify-center bg-black/60 p-4">
-          <div className="bg-white dark:bg-gray-800 rounded-xl shadow-2xl w-full max-w-md">
+          <div className="bg-white dark:bg-gray-800 rounded-xl shadow-2xl w-full max-w-lg max-h-[90vh] overflow-y-auto">
             <div className="p-6 border-b border-gray-200 dark:border-gray-700">
               <div className="flex items-center justify-between">
                 <h3 className="text-xl font-bold text-gray-900 dark:text-white">
@@ -643,6 +951,21 @@ const TagManagement = () => {
                 />
               </div>
 
+              {formData.category === "Asset Type" && (
+                <>
+                  <DepreciationFields
+                    formData={formData}
+                    onChange={handleChange}
+                  />
+                  <CustomFieldsEditor
+                    fields={formData.customFields}
+                    onChange={(customFields) =>
+                      setFormData((prev) => ({ ...prev, customFields }))
+                    }
+                  />
+                </>
+              )}
+
               <div className="flex gap-3 pt-4">
                 <button
                   type="button"
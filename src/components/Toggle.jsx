@@ -0,0 +1,33 @@
+/**
+ * Toggle.jsx
+ *
+ * Toggle switch used by the Settings sections, matching the ones on the
+ * General section.
+ *
+ * Props:
+ * @param {string} id - ID of the checkbox, for labels pointing at it
+ * @param {boolean} checked - Whether the switch is on
+ * @param {Function} onChange - Called with the new checked value
+ * @param {boolean} disabled - Whether the switch can be changed
+ */
+
+import React from "react";
+
+export default function Toggle({ id, checked, onChange, disabled }) {
+  return (
+    <label
+      className="relative inline-flex items-center cursor-pointer"
+      htmlFor={id}
+    >
+      <input
+        className="sr-only peer"
+        id={id}
+        type="checkbox"
+        checked={checked}
+        disabled={disabled}
+        onChange={(e) => onChange(e.target.checked)}
+      />
+      <div className="w-11 h-6 bg-gray-200 dark:bg-gray-700 peer-focus:outline-none peer-focus:ring-2 peer-focus:ring-blue-500 rounded-full peer peer-checked:after:translate-x-full peer-checked:after:border-white after:content-[''] after:absolute after:top-0.5 after:left-0.5 after:bg-white after:border-gray-300 after:border after:rounded-full after:h-5 after:w-5 after:transition-all peer-checked:bg-blue-600"></div>
+    </label>
+  );
+}
@@ -0,0 +1,98 @@
+/**
+ * TwoFactorSetup.jsx
+ *
+ * Pieces shared by the sign-in page and the user profile for two-factor
+ * authentication: the enrollment QR code (with the secret for manual entry)
+ * and the list of recovery codes shown once after enrolling.
+ */
+
+import React, { useState } from "react";
+import QRCode from "react-qr-code";
+
+/**
+ * QR code to scan with an authenticator app
+ *
+ * @param {Object} props
+ * @param {string} props.secret - Base32 secret, shown for manual entry
+ * @param {string} props.otpauthUrl - otpauth:// URI encoded in the QR code
+ */
+const TwoFactorSetup = ({ secret, otpauthUrl }) => (
+  <div className="flex flex-col items-center gap-3 text-center">
+    <p className="text-sm text-gray-600 dark:text-gray-400">
+      Scan this QR code with an authenticator app (Google Authenticator,
+      Microsoft Authenticator, 1Password, ...), then enter the 6-digit code it
+      shows.
+    </p>
+    <div className="rounded-lg bg-white p-3 border border-gray-200">
+      <QRCode value={otpauthUrl} size={168} />
+    </div>
+    <p className="text-xs text-gray-500 dark:text-gray-400">
+      Can't scan it? Enter this key instead:
+    </p>
+    <code className="break-all rounded bg-gray-100 dark:bg-gray-700 px-2 py-1 text-sm font-mono text-gray-900 dark:text-white">
+      {secret.match(/.{1,4}/g).join(" ")}
+    </code>
+  </div>
+);
+
+/**
+ * Recovery codes with copy and download buttons
+ *
+ * @param {Object} props
+ * @param {Array<string>} props.codes - Codes to show
+ */
+export const RecoveryCodes = ({ codes }) => {
+  const [copied, setCopied] = useState(false);
+
+  const handleCopy = async () => {
+    try {
+      await navigator.clipboard.writeText(codes.join("\n"));
+      setCopied(true);
+      setTimeout(() => setCopied(false), 2000);
+    } catch (error) {
+      console.error("Failed to copy recovery codes:", error);
+    }
+  };
+
+  const handleDownload = () => {
+    const blob = new Blob([`${codes.join("\n")}\n`], { type: "text/plain" });
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement("a");
+    link.href = url;
+    link.download = "recovery-codes.txt";
+    link.click();
+    URL.revokeObjectURL(url);
+  };
+
+  return (
+    <div className="space-y-3">
+      <p className="text-sm text-gray-600 dark:text-gray-400">
+        Save these recovery codes somewhere safe. Each one can be used once to
+        sign in if you lose your device. They will not be shown again.
+      </p>
+      <ul className="grid grid-cols-2 gap-2 rounded-lg bg-gray-100 dark:bg-gray-700 p-4 font-mono text-sm text-gray-900 dark:text-white">
+        {codes.map((code) => (
+          <li key={code}>{code}</li>
+        ))}
+      </ul>
+      <div className="flex gap-2">
+        <button
+          type="button"
+          onClick={handleCopy}
+          className="flex-1 rounded-md px-3 py-2 text-sm font-semibold text-gray-900 dark:text-white ring-1 ring-inset ring-gray-300 dark:ring-gray-600 hover:bg-gray-50 dark:hover:bg-gray-700"
+        >
+          {copied ? "Copied" : "Copy"}
+        </button>
+        <button
+          type="button"
+          onClick={handleDownload}
+          className="flex-1 rounded-md px-3 py-2 text-sm font-semibold text-gray-900 dark:text-white ring-1 ring-inset ring-gray-300 dark:ring-gray-600 hover:bg-gray-50 dark:hover:bg-gray-700"
+        >
+          Download
+        </button>
+      </div>
+    </div>
+  );
+};
+
+export default TwoFactorSetup;
@@ -1,5 +1,5 @@
 import React, { useState, useEffect } from "react";
-import API_BASE_URL from "../config/api";
+import API_BASE_URL, { getAuthHeaders } from "../config/api";
 import { useAuth } from "../context/AuthContext";
 
 const UserManagement = () => {
@@ -30,6 +30,9 @@ const UserManagement = () => {
   const [departments, setDepartments] = useState([]);
   const [loadingDepartments, setLoadingDepartments] = useState(true);
 
+  // Roles users can be given (Settings > Roles)
+  const [roleNames, setRoleNames] = useState(["User"]);
+
   // Filter states
   const [searchQuery, setSearchQuery] = useState("");
   const [filterRole, setFilterRole] = useState("All Roles");
@@ -43,6 +46,7 @@ const UserManagement = () => {
   useEffect(() => {
     fetchUsers();
     fetchDepartments();
+    fetchRoles();
   }, []);
 
   // Fetch all users from API
@@ -51,7 +55,9 @@ const UserManagement = () => {
       _setLoading(true);
       _setError(null);
 
-      const response = await fetch(`${API_BASE_URL}/users`);
+      const response = await fetch(`${API_BASE_URL}/users`, {
+        headers: getAuthHeaders(),
+      });
 
       if (!response.ok) {
         throw new Error(`Failed to fetch users: ${response.statusText}`);
@@ -72,7 +78,8 @@ const UserManagement = () => {
   const fetchDepartments = async () => {
     try {
       const response = await fetch(
-        `${API_BASE_URL}/equipment/departments/list`
+        `${API_BASE_URL}/equipment/departments/list`,
+        { headers: getAuthHeaders() }
       );
       if (response.ok) {
         const data = await response.json();
@@ -85,6 +92,21 @@ const UserManagement = () => {
     }
   };
 
+  // Fetch role names from API
+  const fetchRoles = async () => {
+    try {
+      const response = await fetch(`${API_BASE_URL}/roles`, {
+        headers: getAuthHeaders(),
+      });
+      if (response.ok) {
+        const data = await response.json();
+        setRoleNames(data.map((role) => role.name));
+      }
+    } catch (err) {
+      console.error("Error fetching roles:", err);
+    }
+  };
+
   // Get role badge color
   const getRoleBadgeColor = (role) => {
     const colors = {
@@ -178,19 +200,22 @@ const UserManagement = () => {
         email: formData.email,
         role: formData.role,
         department: formData.department || "",
+        password: formData.password,
         status: "Active",
       };
 
       const response = await fetch(`${API_BASE_URL}/users`, {
         method: "POST",
-        headers: {
+        headers: getAuthHeaders({
           "Content-Type": "application/json",
-        },
+        }),
         body: JSON.stringify(newUser),
       });
 
       if (!response.ok) {
-        throw new Error(`Failed to create user: ${response.statusText}`);
+        // The message says what the password policy expects
+        const data = await response.json().catch(() => ({}));
+        throw new Error(data.message || response.statusText);
       }
 
       const createdUser = await response.json();
@@ -225,9 +250,9 @@ const UserManagement = () => {
         `${API_BASE_URL}/users/${selectedUser._id}`,
         {
           method: "PUT",
-          headers: {
+          headers: getAuthHeaders({
             "Content-Type": "application/json",
-          },
+          }),
           body: JSON.stringify(updatedUserData),
         }
       );
@@ -236,6 +261,24 @@ const UserManagement = () => {
         throw new Error(`Failed to update user: ${response.statusText}`);
       }
 
+      // A new password is set separately so the password policy is checked
+      if (formData.password) {
+        const passwordResponse = await fetch(
+          `${API_BASE_URL}/users/change-password/${selectedUser._id}`,
+          {
+            method: "POST",
+            headers: getAuthHeaders({
+              "Content-Type": "application/json",
+            }),
+            body: JSON.stringify({ newPassword: formData.password }),
+          }
+        );
+        if (!passwordResponse.ok) {
+          const data = await passwordResponse.json().catch(() => ({}));
+          throw new Error(data.message || passwordResponse.statusText);
+        }
+      }
+
       const updatedUser = await response.json();
       setUsers(
         users.map((user) =>
@@ -257,6 +300,88 @@ const UserManagement = () => {
     }
   };
 
+  // Sign a user out of every device
+  const handleForceLogout = async (user) => {
+    if (!window.confirm(`Sign ${user.name} out of all devices?`)) return;
+
+    try {
+      const response = await fetch(`${API_BASE_URL}/users/${user._id}/logout`, {
+        method: "POST",
+        headers: getAuthHeaders(),
+      });
+      const data = await response.json();
+
+      if (!response.ok) {
+        throw new Error(data.message || response.statusText);
+      }
+
+      alert(data.message);
+    } catch (err) {
+      console.error("Error signing out user:", err);
+      alert(`Failed to sign out user: ${err.message}`);
+    }
+  };
+
+  // Reset a user's two-factor authentication (lost device)
+  const handleResetTwoFactor = async (user) => {
+    if (
+      !window.confirm(
+        `Reset two-factor authentication for ${user.name}? They will be signed out and can sign in with their password.`
+      )
+    )
+      return;
+
+    try {
+      const response = await fetch(
+        `${API_BASE_URL}/users/${user._id}/two-factor`,
+        {
+          method: "DELETE",
+          headers: getAuthHeaders(),
+        }
+      );
+      const data = await response.json();
+
+      if (!response.ok) {
+        throw new Error(data.message || response.statusText);
+      }
+
+      setUsers(
+        users.map((u) =>
+          u._id === user._id ? { ...u, twoFactor: { enabled: false } } : u
+        )
+      );
+      alert(data.message);
+    } catch (err) {
+      console.error("Error resetting two-factor authentication:", err);
+      alert(`Failed to reset two-factor authentication: ${err.message}`);
+    }
+  };
+
+  // Unlock an account locked after too many failed sign-ins
+  const handleUnlock = async (user) => {
+    try {
+      const response = await fetch(`${API_BASE_URL}/users/${user._id}/unlock`, {
+        method: "POST",
+        headers: getAuthHeaders(),
+      });
+      const data = await response.json();
+
+      if (!response.ok) {
+        throw new Error(data.message || response.statusText);
+      }
+
+      setUsers(users.map((u) => (u._id === user._id ? data.user : u)));
+      alert(data.message);
+    } catch (err) {
+      console.error("Error unlocking user:", err);
+      alert(`Failed to unlock user: ${err.message}`);
+    }
+  };
+
+  // Whether an account is locked after failed sign-ins
+  const isLocked = (user) =>
+    Boolean(user.lockedUntil && new Date(user.lockedUntil) > new Date());
+
   // Delete user
   const handleDeleteUser = async () => {
     try {
@@ -264,6 +389,7 @@ const UserManagement = () => {
         `${API_BASE_URL}/users/${selectedUser._id}`,
         {
           method: "DELETE",
+          headers: getAuthHeaders(),
         }
       );
 
@@ -370,6 +496,16 @@ const UserManagement = () => {
                     >
                       <td className="px-6 py-4 whitespace-nowrap text-sm font-medium text-gray-900 dark:text-white">
                         {user.name}
+                        {isLocked(user) && (
+                          <span
+                            className="ml-2 inline-flex items-center rounded-full px-2 py-0.5 text-xs font-medium bg-red-100 text-red-800 dark:bg-red-900/30 dark:text-red-300"
+                            title={`Locked until ${new Date(
+                              user.lockedUntil
+                            ).toLocaleString()}`}
+                          >
+                            Locked
+                          </span>
+                        )}
                       </td>
                       <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-500 dark:text-gray-400">
                         {user.email}
@@ -401,6 +537,40 @@ const UserManagement = () => {
                               </span>
                             </button>
                           )}
+                          {hasPermission("editUsers") && isLocked(user) && (
+                            <button
+                              onClick={() => handleUnlock(user)}
+                              className="p-2 text-gray-500 dark:text-gray-400 hover:text-green-600 dark:hover:text-green-400 hover:bg-green-50 dark:hover:bg-green-900/20 rounded-lg transition-colors"
+                              title="Unlock Account"
+                            >
+                              <span className="material-symbols-outlined text-lg">
+                                lock_open
+                              </span>
+                            </button>
+                          )}
+                          {hasPermission("editUsers") && (
+                            <button
+                              onClick={() => handleForceLogout(user)}
+                              className="p-2 text-gray-500 dark:text-gray-400 hover:text-amber-600 dark:hover:text-amber-400 hover:bg-amber-50 dark:hover:bg-amber-900/20 rounded-lg transition-colors"
+                              title="Sign Out Everywhere"
+                            >
+                              <span className="material-symbols-outlined text-lg">
+                                logout
+                              </span>
+                            </button>
+                          )}
+                          {hasPermission("managePermissions") &&
+                            user.twoFactor?.enabled && (
+                              <button
+                                onClick={() => handleResetTwoFactor(user)}
+                                className="p-2 text-gray-500 dark:text-gray-400 hover:text-amber-600 dark:hover:text-amber-400 hover:bg-amber-50 dark:hover:bg-amber-900/20 rounded-lg transition-colors"
+                                title="Reset Two-Factor Authentication"
+                              >
+                                <span className="material-symbols-outlined text-lg">
+                                  phonelink_erase
+                                </span>
+                              </button>
+                            )}
                           {hasPermission("deleteUsers") && (
                             <button
                               onClick={() => openDeleteModal(user)}
@@ -580,9 +750,11 @@ const UserManagement = () => {
                     required
                     className="w-full rounded-lg border border-gray-200 dark:border-gray-600 bg-white dark:bg-gray-700 px-3 sm:px-4 py-2 sm:py-2.5 text-sm sm:text-base text-gray-900 dark:text-gray-100 focus:border-blue-500 focus:ring-2 focus:ring-blue-500 transition-all"
                   >
-                    <option value="User">User</option>
-                    <option value="Manager">Manager</option>
-                    <option value="Administrator">Administrator</option>
+                    {roleNames.map((role) => (
+                      <option key={role} value={role}>
+                        {role}
+                      </option>
+                    ))}
                   </select>
                 </div>
 
@@ -715,9 +887,11 @@ const UserManagement = () => {
                     required
                     className="w-full rounded-lg border border-gray-200 dark:border-gray-600 bg-white dark:bg-gray-700 px-3 sm:px-4 py-2 sm:py-2.5 text-sm sm:text-base text-gray-900 dark:text-gray-100 focus:border-blue-500 focus:ring-2 focus:ring-blue-500 transition-all"
                   >
-                    <option value="User">User</option>
-                    <option value="Manager">Manager</option>
-                    <option value="Administrator">Administrator</option>
+                    {roleNames.map((role) => (
+                      <option key={role} value={role}>
+                        {role}
+                      </option>
+                    ))}
                   </select>
                 </div>
 
@@ -849,9 +1023,11 @@ const UserManagement = () => {
                   className="w-full rounded-lg border border-gray-200 dark:border-gray-600 bg-white dark:bg-gray-700 px-4 py-2 text-gray-900 dark:text-gray-100 focus:border-blue-500 focus:ring-2 focus:ring-blue-500"
                 >
                   <option value="All Roles">All Roles</option>
-                  <option value="Administrator">Administrator</option>
-                  <option value="Manager">Manager</option>
-                  <option value="User">User</option>
+                  {roleNames.map((role) => (
+                    <option key={role} value={role}>
+                      {role}
+                    </option>
+                  ))}
                 </select>
               </div>
 
@@ -5,11 +5,39 @@
  */
 
 import React, { useState, useEffect } from "react";
-import API_BASE_URL from "../config/api";
+import API_BASE_URL, { getAuthHeaders } from "../config/api";
+import { useAuth } from "../context/AuthContext";
+import TwoFactorSetup, { RecoveryCodes } from "./TwoFactorSetup";
+import PasswordRules from "./PasswordRules";
+
+/**
+ * Short browser and OS description from a user agent string
+ */
+const describeDevice = (userAgent = "") => {
+  const browser =
+    [
+      ["Edg/", "Edge"],
+      ["OPR/", "Opera"],
+      ["Firefox/", "Firefox"],
+      ["Chrome/", "Chrome"],
+      ["Safari/", "Safari"],
+    ].find(([marker]) => userAgent.includes(marker))?.[1] || "Unknown browser";
+  const os =
+    [
+      ["Windows", "Windows"],
+      ["Android", "Android"],
+      ["iPhone", "iOS"],
+      ["iPad", "iOS"],
+      ["Mac OS", "macOS"],
+      ["Linux", "Linux"],
+    ].find(([marker]) => userAgent.includes(marker))?.[1] || "Unknown OS";
+  return `${browser} on ${os}`;
+};
 
 const UserProfile = () => {
-  // Current user ID - In production, get this from auth context/session
-  const [currentUserId, setCurrentUserId] = useState(null);
+  // Current user ID from the authenticated session
+  const { user } = useAuth();
+  const currentUserId = user?._id || null;
 
   // Form state
   const [formData, setFormData] = useState({
@@ -33,6 +61,7 @@ const UserProfile = () => {
   // Notification preferences
   const [notifications, setNotifications] = useState({
     criticalAlerts: true,
+    assignments: true,
     systemUpdates: false,
     weeklySummary: false,
   });
@@ -40,6 +69,19 @@ const UserProfile = () => {
   // User roles
   const [userRoles, setUserRoles] = useState([]);
 
+  // Two-factor authentication: status from the server and the open dialog
+  // (mode "setup", "recovery" or "disable"; codes once they are generated)
+  const [twoFactor, setTwoFactor] = useState(null);
+  const [twoFactorDialog, setTwoFactorDialog] = useState(null);
+  const [twoFactorForm, setTwoFactorForm] = useState({
+    code: "",
+    password: "",
+  });
+
+  // Signed-in devices
+  const [sessions, setSessions] = useState([]);
+  const [revokingSession, setRevokingSession] = useState(null);
+
   // Toast notification
   const [toast, setToast] = useState({ show: false, message: "", type: "" });
 
@@ -48,25 +90,6 @@ const UserProfile = () => {
     setTimeout(() => setToast({ show: false, message: "", type: "" }), 3000);
   };
 
-  // Fetch current user from the first user in database (temporary solution)
-  useEffect(() => {
-    const fetchCurrentUser = async () => {
-      try {
-        const response = await fetch(`${API_BASE_URL}/users`);
-        if (response.ok) {
-          const users = await response.json();
-          if (users.length > 0) {
-            // Use the first user as the current user (temporary)
-            setCurrentUserId(users[0]._id);
-          }
-        }
-      } catch (error) {
-        console.error("Error fetching current user:", error);
-      }
-    };
-    fetchCurrentUser();
-  }, []);
-
   // Fetch user profile data when userId is available
   useEffect(() => {
     const loadProfile = async () => {
@@ -75,7 +98,8 @@ const UserProfile = () => {
       try {
         setLoading(true);
         const response = await fetch(
-          `${API_BASE_URL}/users/profile/${currentUserId}`
+          `${API_BASE_URL}/users/profile/${currentUserId}`,
+          { headers: getAuthHeaders() }
         );
 
         if (!response.ok) {
@@ -98,6 +122,7 @@ const UserProfile = () => {
           setNotifications({
             criticalAlerts:
               userData.notificationPreferences.criticalAlerts ?? true,
+            assignments: userData.notificationPreferences.assignments ?? true,
             systemUpdates:
               userData.notificationPreferences.systemUpdates ?? false,
             weeklySummary:
@@ -129,6 +154,138 @@ const UserProfile = () => {
     loadProfile();
   }, [currentUserId]);
 
+  // Fetch the devices this user is signed in on
+  const loadSessions = async () => {
+    try {
+      const response = await fetch(`${API_BASE_URL}/auth/sessions`, {
+        headers: getAuthHeaders(),
+      });
+      if (!response.ok) {
+        throw new Error("Failed to fetch sessions");
+      }
+      const data = await response.json();
+      setSessions(data.sessions || []);
+    } catch (error) {
+      console.error("Error fetching sessions:", error);
+    }
+  };
+
+  useEffect(() => {
+    if (currentUserId) loadSessions();
+  }, [currentUserId]);
+
+  // Fetch the two-factor status
+  const loadTwoFactor = async () => {
+    try {
+      const response = await fetch(`${API_BASE_URL}/auth/two-factor`, {
+        headers: getAuthHeaders(),
+      });
+      if (!response.ok) {
+        throw new Error("Failed to fetch two-factor status");
+      }
+      setTwoFactor(await response.json());
+    } catch (error) {
+      console.error("Error fetching two-factor status:", error);
+    }
+  };
+
+  useEffect(() => {
+    if (currentUserId) loadTwoFactor();
+  }, [currentUserId]);
+
+  /**
+   * Open a two-factor dialog; setup first fetches a new secret for the QR code
+   */
+  const openTwoFactorDialog = async (mode) => {
+    setTwoFactorForm({ code: "", password: "" });
+    if (mode !== "setup") {
+      setTwoFactorDialog({ mode });
+      return;
+    }
+
+    try {
+      const response = await fetch(`${API_BASE_URL}/auth/two-factor/setup`, {
+        method: "POST",
+        headers: getAuthHeaders(),
+      });
+      const data = await response.json();
+      if (!response.ok) {
+        throw new Error(data.message || "Failed to start setup");
+      }
+      setTwoFactorDialog({
+        mode,
+        secret: data.secret,
+        otpauthUrl: data.otpauthUrl,
+      });
+    } catch (error) {
+      console.error("Error starting two-factor setup:", error);
+      showToast(error.message || "Failed to start setup", "error");
+    }
+  };
+
+  /**
+   * Submit the open two-factor dialog
+   */
+  const handleSubmitTwoFactor = async (e) => {
+    e.preventDefault();
+    const { mode } = twoFactorDialog;
+    const request = {
+      setup: ["POST", "/auth/two-factor/enable", { code: twoFactorForm.code }],
+      recovery: ["POST", "/auth/two-factor/recovery-codes", twoFactorForm],
+      disable: ["DELETE", "/auth/two-factor", twoFactorForm],
+    }[mode];
+
+    try {
+      setSaving(true);
+      const response = await fetch(`${API_BASE_URL}${request[1]}`, {
+        method: request[0],
+        headers: getAuthHeaders({ "Content-Type": "application/json" }),
+        body: JSON.stringify(request[2]),
+      });
+      const data = await response.json();
+      if (!response.ok) {
+        throw new Error(data.message || "Request failed");
+      }
+
+      showToast(data.message, "success");
+      setTwoFactorDialog(
+        data.recoveryCodes ? { mode: "codes", codes: data.recoveryCodes } : null
+      );
+      await loadTwoFactor();
+    } catch (error) {
+      console.error("Error updating two-factor authentication:", error);
+      showToast(error.message || "Request failed", "error");
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  /**
+   * Sign out one device, or every device but this one (id "others")
+   */
+  const handleRevokeSession = async (id) => {
+    try {
+      setRevokingSession(id);
+      const response = await fetch(
+        id === "others"
+          ? `${API_BASE_URL}/auth/sessions`
+          : `${API_BASE_URL}/auth/sessions/${id}`,
+        { method: "DELETE", headers: getAuthHeaders() }
+      );
+      const data = await response.json();
+      if (!response.ok) {
+        throw new Error(data.message || "Failed to sign out session");
+      }
+      showToast(data.message, "success");
+      await loadSessions();
+    } catch (error) {
+      console.error("Error signing out session:", error);
+      showToast(error.message || "Failed to sign out session", "error");
+    } finally {
+      setRevokingSession(null);
+    }
+  };
+
   /**
    * Reset form to original values (reload profile data)
    */
@@ -138,7 +295,8 @@ const UserProfile = () => {
     try {
       setLoading(true);
       const response = await fetch(
-        `${API_BASE_URL}/users/profile/${currentUserId}`
+        `${API_BASE_URL}/users/profile/${currentUserId}`,
+        { headers: getAuthHeaders() }
       );
 
       if (!response.ok) {
@@ -161,6 +319,7 @@ const UserProfile = () => {
         setNotifications({
           criticalAlerts:
             userData.notificationPreferences.criticalAlerts ?? true,
+          assignments: userData.notificationPreferences.assignments ?? true,
           systemUpdates:
             userData.notificationPreferences.systemUpdates ?? false,
           weeklySummary:
@@ -229,9 +388,9 @@ const UserProfile = () => {
         `${API_BASE_URL}/users/profile/${currentUserId}`,
         {
           method: "PUT",
-          headers: {
+          headers: getAuthHeaders({
             "Content-Type": "application/json",
-          },
+          }),
           body: JSON.stringify(updateData),
         }
       );
@@ -270,11 +429,6 @@ const UserProfile = () => {
       return;
     }
 
-    if (passwordData.newPassword.length < 8) {
-      showToast("Password must be at least 8 characters", "error");
-      return;
-    }
-
     if (!currentUserId) {
       showToast("User not found", "error");
       return;
@@ -288,9 +442,9 @@ const UserProfile = () => {
         `${API_BASE_URL}/users/change-password/${currentUserId}`,
         {
           method: "POST",
-          headers: {
+          headers: getAuthHeaders({
             "Content-Type": "application/json",
-          },
+          }),
           body: JSON.stringify({
             currentPassword: passwordData.currentPassword,
             newPassword: passwordData.newPassword,
@@ -305,6 +459,8 @@ const UserProfile = () => {
 
       showToast("Password changed successfully!", "success");
       setShowChangePasswordModal(false);
+      // Changing the password signs out the other devices
+      loadSessions();
       setPasswordData({
         currentPassword: "",
         newPassword: "",
@@ -482,6 +638,135 @@ const UserProfile = () => {
                   Change Password
                 </button>
               </div>
+
+              {/* Two-Factor Authentication */}
+              {twoFactor && (
+                <div className="mt-6 pt-6 border-t border-gray-200 dark:border-gray-700 flex flex-wrap items-center justify-between gap-4">
+                  <div>
+                    <p className="text-sm font-medium text-gray-900 dark:text-white">
+                      Two-factor authentication
+                      <span
+                        className={`ml-2 inline-flex items-center rounded-full px-2.5 py-0.5 text-xs font-medium ${
+                          twoFactor.enabled
+                            ? "bg-green-100 dark:bg-green-900/50 text-green-800 dark:text-green-300"
+                            : "bg-gray-100 dark:bg-gray-700 text-gray-700 dark:text-gray-300"
+                        }`}
+                      >
+                        {twoFactor.enabled ? "On" : "Off"}
+                      </span>
+                    </p>
+                    <p className="mt-1 text-sm text-gray-600 dark:text-gray-400">
+                      {twoFactor.enabled
+                        ? `Codes from your authenticator app are required to sign in. ${twoFactor.recoveryCodesRemaining} recovery code(s) left.`
+                        : "Require a code from an authenticator app when you sign in."}
+                      {twoFactor.required && " Required for your role."}
+                    </p>
+                  </div>
+                  <div className="flex gap-2">
+                    {twoFactor.enabled ? (
+                      <>
+                        <button
+                          className="rounded-md px-4 py-2.5 text-sm font-semibold text-gray-900 dark:text-white ring-1 ring-inset ring-gray-300 dark:ring-gray-600 hover:bg-gray-50 dark:hover:bg-gray-700"
+                          type="button"
+                          onClick={() => openTwoFactorDialog("recovery")}
+                        >
+                          New Recovery Codes
+                        </button>
+                        {!twoFactor.required && (
+                          <button
+                            className="rounded-md px-4 py-2.5 text-sm font-semibold text-red-600 dark:text-red-400 ring-1 ring-inset ring-red-300 dark:ring-red-800 hover:bg-red-50 dark:hover:bg-red-900/20"
+                            type="button"
+                            onClick={() => openTwoFactorDialog("disable")}
+                          >
+                            Turn Off
+                          </button>
+                        )}
+                      </>
+                    ) : (
+                      <button
+                        className="rounded-md bg-blue-600 px-4 py-2.5 text-sm font-semibold text-white shadow-sm hover:bg-blue-700"
+                        type="button"
+                        onClick={() => openTwoFactorDialog("setup")}
+                      >
+                        Set Up
+                      </button>
+                    )}
+                  </div>
+                </div>
+              )}
+            </section>
+
+            {/* Sessions */}
+            <section className="p-6 md:p-8 bg-white dark:bg-gray-800 rounded-xl border border-gray-200 dark:border-gray-700">
+              <div className="border-b border-gray-200 dark:border-gray-700 pb-6 mb-6 flex flex-wrap items-start justify-between gap-4">
+                <div>
+                  <h2 className="text-lg font-semibold leading-7 text-gray-900 dark:text-white">
+                    Sessions
+                  </h2>
+                  <p className="mt-1 text-sm leading-6 text-gray-600 dark:text-gray-400">
+                    Devices you are signed in on. Sign out any you do not
+                    recognize.
+                  </p>
+                </div>
+                {sessions.some((session) => !session.current) && (
+                  <button
+                    className="rounded-md px-4 py-2.5 text-sm font-semibold text-red-600 dark:text-red-400 ring-1 ring-inset ring-red-300 dark:ring-red-800 hover:bg-red-50 dark:hover:bg-red-900/20 disabled:opacity-50"
+                    type="button"
+                    onClick={() => handleRevokeSession("others")}
+                    disabled={revokingSession !== null}
+                  >
+                    Sign out other sessions
+                  </button>
+                )}
+              </div>
+              {sessions.length === 0 ? (
+                <p className="text-sm text-gray-500 dark:text-gray-400">
+                  No active sessions.
+                </p>
+              ) : (
+                <ul className="divide-y divide-gray-200 dark:divide-gray-700">
+                  {sessions.map((session) => (
+                    <li
+                      key={session._id}
+                      className="flex items-center justify-between gap-4 py-4"
+                    >
+                      <div className="flex items-center gap-3 min-w-0">
+                        <span className="material-symbols-outlined text-gray-400">
+                          devices
+                        </span>
+                        <div className="min-w-0">
+                          <p className="text-sm font-medium text-gray-900 dark:text-white">
+                            {describeDevice(session.userAgent)}
+                            {session.current && (
+                              <span className="ml-2 inline-flex items-center rounded-full bg-green-100 dark:bg-green-900/50 px-2.5 py-0.5 text-xs font-medium text-green-800 dark:text-green-300">
+                                This device
+                              </span>
+                            )}
+                          </p>
+                          <p className="text-xs text-gray-500 dark:text-gray-400 truncate">
+                            {session.ip || "Unknown IP"} · Last active{" "}
+                            {new Date(session.lastActiveAt).toLocaleString()} ·
+                            Signed in{" "}
+                            {new Date(session.createdAt).toLocaleDateString()}
+                          </p>
+                        </div>
+                      </div>
+                      {!session.current && (
+                        <button
+                          className="text-sm font-semibold text-red-600 dark:text-red-400 hover:underline disabled:opacity-50"
+                          type="button"
+                          onClick={() => handleRevokeSession(session._id)}
+                          disabled={revokingSession !== null}
+                        >
+                          {revokingSession === session._id
+                            ? "Signing out..."
+                            : "Sign out"}
+                        </button>
+                      )}
+                    </li>
+                  ))}
+                </ul>
+              )}
             </section>
 
             {/* Roles & Permissions */}
@@ -576,6 +861,27 @@ const UserProfile = () => {
                         </label>
                       </div>
                     </div>
+                    <div className="relative flex items-start">
+                      <div className="flex h-6 items-center">
+                        <input
+                          checked={notifications.assignments}
+                          className="h-4 w-4 rounded border-gray-300 dark:border-gray-600 dark:bg-gray-700 text-blue-600 focus:ring-blue-600"
+                          id="assignments"
+                          name="assignments"
+                          type="checkbox"
+                          onChange={handleNotificationChange}
+                        />
+                      </div>
+                      <div className="ml-3 text-sm leading-6">
+                        <label
+                          className="font-medium text-gray-900 dark:text-white"
+                          htmlFor="assignments"
+                        >
+                          Email notifications when assets are assigned or
+                          checked out to me
+                        </label>
+                      </div>
+                    </div>
                     <div className="relative flex items-start">
                       <div className="flex h-6 items-center">
                         <input
@@ -700,8 +1006,8 @@ const UserProfile = () => {
                     value={passwordData.newPassword}
                     onChange={handlePasswordChange}
                     required
-                    minLength="8"
                   />
+                  <PasswordRules className="mt-2" />
                 </div>
 
                 <div>
@@ -745,6 +1051,135 @@ const UserProfile = () => {
         </div>
       )}
 
+      {/* Two-Factor Modal */}
+      {twoFactorDialog && (
+        <div className="fixed inset-0 bg-black/60 backdrop-blur-sm flex items-center justify-center z-50 p-4">
+          <div className="bg-white dark:bg-gray-800 rounded-xl shadow-2xl w-full max-w-md max-h-[90vh] overflow-y-auto">
+            <div className="p-6 border-b border-gray-200 dark:border-gray-700">
+              <div className="flex items-center gap-3">
+                <div className="p-2 bg-blue-100 dark:bg-blue-900/30 rounded-lg">
+                  <span className="material-symbols-outlined text-blue-600 dark:text-blue-400 text-2xl">
+                    shield_lock
+                  </span>
+                </div>
+                <h3 className="text-lg font-bold text-gray-900 dark:text-white">
+                  {
+                    {
+                      setup: "Set Up Two-Factor Authentication",
+                      recovery: "New Recovery Codes",
+                      disable: "Turn Off Two-Factor Authentication",
+                      codes: "Your Recovery Codes",
+                    }[twoFactorDialog.mode]
+                  }
+                </h3>
+              </div>
+            </div>
+
+            {twoFactorDialog.mode === "codes" ? (
+              <div className="p-6 space-y-6">
+                <RecoveryCodes codes={twoFactorDialog.codes} />
+                <button
+                  className="w-full px-5 py-2.5 bg-blue-600 text-white rounded-lg hover:bg-blue-700 font-medium transition-colors"
+                  type="button"
+                  onClick={() => setTwoFactorDialog(null)}
+                >
+                  Done
+                </button>
+              </div>
+            ) : (
+              <form onSubmit={handleSubmitTwoFactor}>
+                <div className="p-6 space-y-4">
+                  {twoFactorDialog.mode === "setup" && (
+                    <TwoFactorSetup
+                      secret={twoFactorDialog.secret}
+                      otpauthUrl={twoFactorDialog.otpauthUrl}
+                    />
+                  )}
+                  {twoFactorDialog.mode === "recovery" && (
+                    <p className="text-sm text-gray-600 dark:text-gray-400">
+                      Your current recovery codes will stop working.
+                    </p>
+                  )}
+                  {twoFactorDialog.mode !== "setup" && (
+                    <div>
+                      <label
+                        className="block text-sm font-medium text-gray-900 dark:text-white mb-2"
+                        htmlFor="twoFactorPassword"
+                      >
+                        Password
+                      </label>
+                      <input
+                        className="block w-full rounded-md border-0 py-2.5 px-3 bg-gray-50 dark:bg-gray-900 text-gray-900 dark:text-white shadow-sm ring-1 ring-inset ring-gray-300 dark:ring-gray-600 focus:ring-2 focus:ring-inset focus:ring-blue-600"
+                        id="twoFactorPassword"
+                        type="password"
+                        value={twoFactorForm.password}
+                        onChange={(e) =>
+                          setTwoFactorForm({
+                            ...twoFactorForm,
+                            password: e.target.value,
+                          })
+                        }
+                        required
+                      />
+                    </div>
+                  )}
+                  <div>
+                    <label
+                      className="block text-sm font-medium text-gray-900 dark:text-white mb-2"
+                      htmlFor="twoFactorCode"
+                    >
+                      Authentication Code
+                    </label>
+                    <input
+                      className="block w-full rounded-md border-0 py-2.5 px-3 bg-gray-50 dark:bg-gray-900 text-gray-900 dark:text-white shadow-sm ring-1 ring-inset ring-gray-300 dark:ring-gray-600 focus:ring-2 focus:ring-inset focus:ring-blue-600 tracking-widest"
+                      id="twoFactorCode"
+                      inputMode="numeric"
+                      autoComplete="one-time-code"
+                      placeholder="123456"
+                      value={twoFactorForm.code}
+                      onChange={(e) =>
+                        setTwoFactorForm({
+                          ...twoFactorForm,
+                          code: e.target.value,
+                        })
+                      }
+                      required
+                    />
+                  </div>
+                </div>
+
+                <div className="p-6 border-t border-gray-200 dark:border-gray-700 flex justify-end gap-3">
+                  <button
+                    onClick={() => setTwoFactorDialog(null)}
+                    className="px-5 py-2.5 bg-gray-200 dark:bg-gray-700 text-gray-800 dark:text-gray-200 rounded-lg hover:bg-gray-300 dark:hover:bg-gray-600 font-medium transition-colors"
+                    type="button"
+                  >
+                    Cancel
+                  </button>
+                  <button
+                    className={`px-5 py-2.5 text-white rounded-lg font-medium transition-colors disabled:opacity-50 ${
+                      twoFactorDialog.mode === "disable"
+                        ? "bg-red-600 hover:bg-red-700"
+                        : "bg-blue-600 hover:bg-blue-700"
+                    }`}
+                    type="submit"
+                    disabled={saving}
+                  >
+                    {saving
+                      ? "Saving..."
+                      : {
+                          setup: "Turn On",
+                          recovery: "Generate Codes",
+                          disable: "Turn Off",
+                        }[twoFactorDialog.mode]}
+                  </button>
+                </div>
+              </form>
+            )}
+          </div>
+        </div>
+      )}
+
       {/* Toast Notification */}
       {toast.show && (
         <div
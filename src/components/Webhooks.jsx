@@ -0,0 +1,712 @@
+/**
+ * Webhooks.jsx
+ *
+ * "Webhooks" section of the Settings page.
+ * Registers outbound webhook URLs (ERP, helpdesk...) for asset and
+ * maintenance events, shows the signing secret once after it is created or
+ * rotated, sends pings, and lists deliveries with a dead-letter filter and a
+ * redeliver button.
+ *
+ * Props:
+ * @param {Function} onNotify - Toast callback (message, type)
+ */
+
+import React, { useState, useEffect, useCallback } from "react";
+import API_BASE_URL, { getAuthHeaders } from "../config/api";
+import { useAuth } from "../context/AuthContext";
+import Toggle from "./Toggle";
+
+// Badge colours per delivery status
+const STATUS_STYLES = {
+  Pending:
+    "bg-yellow-100 text-yellow-800 dark:bg-yellow-900/30 dark:text-yellow-300",
+  Sending: "bg-blue-100 text-blue-800 dark:bg-blue-900/30 dark:text-blue-300",
+  Delivered:
+    "bg-green-100 text-green-800 dark:bg-green-900/30 dark:text-green-300",
+  Failed: "bg-red-100 text-red-800 dark:bg-red-900/30 dark:text-red-300",
+};
+
+const EMPTY_FORM = { name: "", url: "", events: [], enabled: true };
+
+const inputClassName =
+  "w-full rounded-md border-gray-300 dark:border-gray-600 bg-gray-50 dark:bg-gray-700 text-gray-900 dark:text-white focus:ring-2 focus:ring-blue-500 focus:border-blue-500 px-3 py-2 disabled:opacity-60";
+
+const secondaryButtonClassName =
+  "flex items-center justify-center gap-2 rounded-lg h-9 px-3 bg-white dark:bg-gray-700 text-gray-900 dark:text-white border border-gray-300 dark:border-gray-600 text-sm font-bold hover:bg-gray-50 dark:hover:bg-gray-600 transition-colors disabled:opacity-50 whitespace-nowrap";
+
+export default function Webhooks({ onNotify }) {
+  const { hasPermission } = useAuth();
+  const canEdit = hasPermission("editSettings");
+
+  const [webhooks, setWebhooks] = useState(null);
+  const [events, setEvents] = useState([]);
+  const [deliveries, setDeliveries] = useState([]);
+  const [deadLetterOnly, setDeadLetterOnly] = useState(false);
+  const [form, setForm] = useState(null);
+  const [editingId, setEditingId] = useState(null);
+  const [saving, setSaving] = useState(false);
+  const [busyId, setBusyId] = useState(null);
+  const [revealedSecret, setRevealedSecret] = useState(null);
+
+  // Load deliveries (all, or only the dead-letter list)
+  const loadDeliveries = useCallback(async () => {
+    try {
+      const params = new URLSearchParams({ limit: "50" });
+      if (deadLetterOnly) {
+        params.set("status", "Failed");
+      }
+      const response = await fetch(
+        `${API_BASE_URL}/webhooks/deliveries?${params}`,
+        { headers: getAuthHeaders() }
+      );
+      if (response.ok) {
+        setDeliveries(await response.json());
+      }
+    } catch (error) {
+      console.error("Error loading webhook deliveries:", error);
+    }
+  }, [deadLetterOnly]);
+
+  // Load webhooks and the event types they can subscribe to
+  const loadWebhooks = useCallback(async () => {
+    try {
+      const [webhooksResponse, eventsResponse] = await Promise.all([
+        fetch(`${API_BASE_URL}/webhooks`, { headers: getAuthHeaders() }),
+        fetch(`${API_BASE_URL}/webhooks/events`, {
+          headers: getAuthHeaders(),
+        }),
+      ]);
+      if (webhooksResponse.ok) {
+        setWebhooks(await webhooksResponse.json());
+      }
+      if (eventsResponse.ok) {
+        setEvents(await eventsResponse.json());
+      }
+    } catch (error) {
+      console.error("Error loading webhooks:", error);
+    }
+  }, []);
+
+  useEffect(() => {
+    loadWebhooks();
+  }, [loadWebhooks]);
+
+  useEffect(() => {
+    loadDeliveries();
+  }, [loadDeliveries]);
+
+  const openForm = (webhook) => {
+    setEditingId(webhook?._id || null);
+    setForm(
+      webhook
+        ? {
+            name: webhook.name,
+            url: webhook.url,
+            events: webhook.events,
+            enabled: webhook.enabled,
+          }
+        : EMPTY_FORM
+    );
+  };
+
+  const closeForm = () => {
+    setEditingId(null);
+    setForm(null);
+  };
+
+  const toggleEvent = (type) =>
+    setForm((prev) => ({
+      ...prev,
+      events: prev.events.includes(type)
+        ? prev.events.filter((item) => item !== type)
+        : [...prev.events, type],
+    }));
+
+  /**
+   * Create or update the webhook in the form
+   */
+  const handleSave = async () => {
+    setSaving(true);
+    try {
+      const response = await fetch(
+        editingId
+          ? `${API_BASE_URL}/webhooks/${editingId}`
+          : `${API_BASE_URL}/webhooks`,
+        {
+          method: editingId ? "PUT" : "POST",
+          headers: getAuthHeaders({ "Content-Type": "application/json" }),
+          body: JSON.stringify(form),
+        }
+      );
+      const data = await response.json();
+      if (!response.ok) {
+        onNotify(data.message || "Failed to save webhook", "error");
+        return;
+      }
+      if (data.secret) {
+        setRevealedSecret({ name: data.name, secret: data.secret });
+      }
+      closeForm();
+      onNotify(editingId ? "Webhook updated" : "Webhook added", "success");
+      await loadWebhooks();
+    } catch (error) {
+      console.error("Error saving webhook:", error);
+      onNotify("Failed to save webhook", "error");
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  /**
+   * Turn a webhook on or off
+   * @param {Object} webhook - Webhook
+   * @param {boolean} enabled - New state
+   */
+  const handleToggle = async (webhook, enabled) => {
+    setBusyId(webhook._id);
+    try {
+      const response = await fetch(`${API_BASE_URL}/webhooks/${webhook._id}`, {
+        method: "PUT",
+        headers: getAuthHeaders({ "Content-Type": "application/json" }),
+        body: JSON.stringify({ enabled }),
+      });
+      const data = await response.json();
+      if (!response.ok) {
+        onNotify(data.message || "Failed to update webhook", "error");
+        return;
+      }
+      setWebhooks((prev) =>
+        prev.map((item) =>
+          item._id === webhook._id ? { ...item, enabled: data.enabled } : item
+        )
+      );
+    } catch (error) {
+      console.error("Error updating webhook:", error);
+      onNotify("Failed to update webhook", "error");
+    } finally {
+      setBusyId(null);
+    }
+  };
+
+  /**
+   * Send a ping and report the result
+   * @param {Object} webhook - Webhook
+   */
+  const handlePing = async (webhook) => {
+    setBusyId(webhook._id);
+    try {
+      const response = await fetch(
+        `${API_BASE_URL}/webhooks/${webhook._id}/ping`,
+        { method: "POST", headers: getAuthHeaders() }
+      );
+      const data = await response.json();
+      if (!response.ok) {
+        onNotify(data.message || "Ping failed", "error");
+      } else if (data.status === "Delivered") {
+        onNotify(`Ping delivered (HTTP ${data.responseStatus})`, "success");
+      } else {
+        onNotify(data.lastError || "Ping failed", "error");
+      }
+      await Promise.all([loadWebhooks(), loadDeliveries()]);
+    } catch (error) {
+      console.error("Error pinging webhook:", error);
+      onNotify("Ping failed", "error");
+    } finally {
+      setBusyId(null);
+    }
+  };
+
+  /**
+   * Replace a webhook's signing secret
+   * @param {Object} webhook - Webhook
+   */
+  const handleRotateSecret = async (webhook) => {
+    if (
+      !window.confirm(
+        `Rotate the signing secret for "${webhook.name}"? The receiver must be updated with the new secret.`
+      )
+    ) {
+      return;
+    }
+    setBusyId(webhook._id);
+    try {
+      const response = await fetch(
+        `${API_BASE_URL}/webhooks/${webhook._id}/rotate-secret`,
+        { method: "POST", headers: getAuthHeaders() }
+      );
+      const data = await response.json();
+      if (!response.ok) {
+        onNotify(data.message || "Failed to rotate secret", "error");
+        return;
+      }
+      setRevealedSecret({ name: data.name, secret: data.secret });
+    } catch (error) {
+      console.error("Error rotating webhook secret:", error);
+      onNotify("Failed to rotate secret", "error");
+    } finally {
+      setBusyId(null);
+    }
+  };
+
+  /**
+   * Remove a webhook and its deliveries
+   * @param {Object} webhook - Webhook
+   */
+  const handleDelete = async (webhook) => {
+    if (
+      !window.confirm(
+        `Delete the webhook "${webhook.name}" and its delivery history?`
+      )
+    ) {
+      return;
+    }
+    setBusyId(webhook._id);
+    try {
+      const response = await fetch(`${API_BASE_URL}/webhooks/${webhook._id}`, {
+        method: "DELETE",
+        headers: getAuthHeaders(),
+      });
+      const data = await response.json();
+      if (!response.ok) {
+        onNotify(data.message || "Failed to delete webhook", "error");
+        return;
+      }
+      onNotify("Webhook deleted", "success");
+      await Promise.all([loadWebhooks(), loadDeliveries()]);
+    } catch (error) {
+      console.error("Error deleting webhook:", error);
+      onNotify("Failed to delete webhook", "error");
+    } finally {
+      setBusyId(null);
+    }
+  };
+
+  /**
+   * Send a delivered or dead-lettered delivery again
+   * @param {Object} delivery - Delivery
+   */
+  const handleRedeliver = async (delivery) => {
+    setBusyId(delivery._id);
+    try {
+      const response = await fetch(
+        `${API_BASE_URL}/webhooks/deliveries/${delivery._id}/redeliver`,
+        { method: "POST", headers: getAuthHeaders() }
+      );
+      const data = await response.json();
+      if (!response.ok) {
+        onNotify(data.message || "Redelivery failed", "error");
+      } else if (data.status === "Delivered") {
+        onNotify("Event redelivered", "success");
+      } else if (data.status === "Pending") {
+        onNotify(
+          data.lastError
+            ? `${data.lastError} - will retry automatically`
+            : "Redelivery queued",
+          "info"
+        );
+      } else {
+        onNotify(data.lastError || "Redelivery failed", "error");
+      }
+      await Promise.all([loadWebhooks(), loadDeliveries()]);
+    } catch (error) {
+      console.error("Error redelivering webhook:", error);
+      onNotify("Redelivery failed", "error");
+    } finally {
+      setBusyId(null);
+    }
+  };
+
+  const copySecret = async () => {
+    try {
+      await navigator.clipboard.writeText(revealedSecret.secret);
+      onNotify("Secret copied", "success");
+    } catch {
+      onNotify("Copy the secret manually", "error");
+    }
+  };
+
+  if (!webhooks) {
+    return (
+      <div className="bg-white dark:bg-gray-800 border border-gray-200 dark:border-gray-700 rounded-lg shadow-sm p-6 text-sm text-gray-500 dark:text-gray-400">
+        Loading webhooks...
+      </div>
+    );
+  }
+
+  return (
+    <div className="flex flex-col gap-8">
+      {/* Webhooks Card */}
+      <div className="bg-white dark:bg-gray-800 border border-gray-200 dark:border-gray-700 rounded-lg shadow-sm">
+        <div className="p-6 border-b border-gray-200 dark:border-gray-700 flex items-start justify-between gap-4">
+          <div>
+            <h2 className="text-lg font-bold text-gray-900 dark:text-white">
+              Webhooks
+            </h2>
+            <p className="text-sm text-gray-600 dark:text-gray-400 mt-1">
+              Send asset and maintenance events to other systems. Requests are
+              signed with HMAC-SHA256 in the X-Webhook-Signature header; failed
+              deliveries are retried with backoff, then moved to the dead-letter
+              list.
+            </p>
+          </div>
+          {canEdit && !form && (
+            <button
+              onClick={() => openForm(null)}
+              className="flex items-center justify-center gap-2 rounded-lg h-10 px-4 bg-blue-600 text-white text-sm font-bold hover:bg-blue-700 transition-colors whitespace-nowrap"
+            >
+              <span className="material-symbols-outlined text-base">add</span>
+              Add Webhook
+            </button>
+          )}
+        </div>
+
+        {revealedSecret && (
+          <div className="m-6 p-4 rounded-lg border border-amber-300 dark:border-amber-700 bg-amber-50 dark:bg-amber-900/20 flex flex-col gap-3">
+            <p className="text-sm text-amber-900 dark:text-amber-200">
+              Signing secret for <strong>{revealedSecret.name}</strong>. Copy it
+              now; it will not be shown again.
+            </p>
+            <div className="flex flex-col sm:flex-row gap-3">
+              <input
+                readOnly
+                value={revealedSecret.secret}
+                onFocus={(e) => e.target.select()}
+                className={`${inputClassName} font-mono text-xs`}
+              />
+              <button onClick={copySecret} className={secondaryButtonClassName}>
+                <span className="material-symbols-outlined text-base">
+                  content_copy
+                </span>
+                Copy
+              </button>
+              <button
+                onClick={() => setRevealedSecret(null)}
+                className={secondaryButtonClassName}
+              >
+                Done
+              </button>
+            </div>
+          </div>
+        )}
+
+        {form && (
+          <div className="p-6 border-b border-gray-200 dark:border-gray-700 flex flex-col gap-4">
+            <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+              <label className="flex flex-col gap-1">
+                <span className="text-sm font-medium text-gray-700 dark:text-gray-300">
+                  Name
+                </span>
+                <input
+                  type="text"
+                  value={form.name}
+                  onChange={(e) => setForm({ ...form, name: e.target.value })}
+                  placeholder="ERP sync"
+                  className={inputClassName}
+                />
+              </label>
+              <label className="flex flex-col gap-1">
+                <span className="text-sm font-medium text-gray-700 dark:text-gray-300">
+                  Payload URL
+                </span>
+                <input
+                  type="url"
+                  value={form.url}
+                  onChange={(e) => setForm({ ...form, url: e.target.value })}
+                  placeholder="https://erp.example.com/hooks/assets"
+                  className={inputClassName}
+                />
+              </label>
+            </div>
+            <div>
+              <p className="text-sm font-medium text-gray-700 dark:text-gray-300 mb-2">
+                Events
+              </p>
+              <div className="grid grid-cols-1 md:grid-cols-2 gap-2">
+                {events.map((event) => (
+                  <label
+                    key={event.type}
+                    className="flex items-start gap-2 text-sm text-gray-700 dark:text-gray-300"
+                  >
+                    <input
+                      type="checkbox"
+                      checked={form.events.includes(event.type)}
+                      onChange={() => toggleEvent(event.type)}
+                      className="mt-0.5 rounded border-gray-300 text-blue-600 focus:ring-blue-500"
+                    />
+                    <span>
+                      <span className="font-mono text-xs text-gray-900 dark:text-white">
+                        {event.type}
+                      </span>
+                      <span className="block text-xs text-gray-500 dark:text-gray-400">
+                        {event.description}
+                      </span>
+                    </span>
+                  </label>
+                ))}
+              </div>
+            </div>
+            <div className="flex items-center justify-between gap-4">
+              <div className="flex items-center gap-3">
+                <Toggle
+                  id="webhook-form-enabled"
+                  checked={form.enabled}
+                  onChange={(value) => setForm({ ...form, enabled: value })}
+                />
+                <span className="text-sm text-gray-700 dark:text-gray-300">
+                  Active
+                </span>
+              </div>
+              <div className="flex gap-3">
+                <button
+                  onClick={closeForm}
+                  disabled={saving}
+                  className="flex min-w-[84px] cursor-pointer items-center justify-center rounded-lg h-10 px-4 bg-white dark:bg-gray-700 text-gray-900 dark:text-white border border-gray-300 dark:border-gray-600 text-sm font-bold hover:bg-gray-50 dark:hover:bg-gray-600 transition-colors disabled:opacity-50"
+                >
+                  Cancel
+                </button>
+                <button
+                  onClick={handleSave}
+                  disabled={saving}
+                  className="flex min-w-[84px] cursor-pointer items-center justify-center rounded-lg h-10 px-4 bg-blue-600 text-white text-sm font-bold hover:bg-blue-700 transition-colors disabled:opacity-50"
+                >
+                  {saving
+                    ? "Saving..."
+                    : editingId
+                    ? "Save Webhook"
+                    : "Add Webhook"}
+                </button>
+              </div>
+            </div>
+          </div>
+        )}
+
+        {webhooks.length === 0 ? (
+          <p className="p-6 text-sm text-gray-500 dark:text-gray-400">
+            No webhooks yet.
+          </p>
+        ) : (
+          <div className="divide-y divide-gray-200 dark:divide-gray-700">
+            {webhooks.map((webhook) => (
+              <div key={webhook._id} className="p-6 flex flex-col gap-3">
+                <div className="flex items-start justify-between gap-4">
+                  <div className="min-w-0">
+                    <h3 className="text-base font-semibold text-gray-900 dark:text-white">
+                      {webhook.name}
+                    </h3>
+                    <p className="text-sm text-gray-600 dark:text-gray-400 font-mono truncate">
+                      {webhook.url}
+                    </p>
+                  </div>
+                  <Toggle
+                    id={`webhook-${webhook._id}-enabled`}
+                    checked={webhook.enabled}
+                    disabled={!canEdit || busyId !== null}
+                    onChange={(value) => handleToggle(webhook, value)}
+                  />
+                </div>
+                <div className="flex flex-wrap gap-2">
+                  {webhook.events.map((type) => (
+                    <span
+                      key={type}
+                      className="inline-flex items-center rounded-full px-2 py-0.5 text-xs font-mono bg-gray-100 text-gray-700 dark:bg-gray-700 dark:text-gray-300"
+                    >
+                      {type}
+                    </span>
+                  ))}
+                </div>
+                <div className="flex flex-wrap items-center justify-between gap-3">
+                  <p className="text-xs text-gray-500 dark:text-gray-400">
+                    {webhook.lastDeliveryAt
+                      ? `Last delivery ${new Date(
+                          webhook.lastDeliveryAt
+                        ).toLocaleString()}: ${webhook.lastDeliveryStatus}`
+                      : "Nothing delivered yet"}
+                    {webhook.deadLetterCount > 0 && (
+                      <span className="text-red-600 dark:text-red-400">
+                        {` · ${webhook.deadLetterCount} in dead-letter list`}
+                      </span>
+                    )}
+                  </p>
+                  {canEdit && (
+                    <div className="flex flex-wrap gap-2">
+                      <button
+                        onClick={() => handlePing(webhook)}
+                        disabled={busyId !== null || !webhook.enabled}
+                        className={secondaryButtonClassName}
+                      >
+                        <span className="material-symbols-outlined text-base">
+                          send
+                        </span>
+                        {busyId === webhook._id ? "Working..." : "Ping"}
+                      </button>
+                      <button
+                        onClick={() => openForm(webhook)}
+                        disabled={busyId !== null}
+                        className={secondaryButtonClassName}
+                      >
+                        <span className="material-symbols-outlined text-base">
+                          edit
+                        </span>
+                        Edit
+                      </button>
+                      <button
+                        onClick={() => handleRotateSecret(webhook)}
+                        disabled={busyId !== null}
+                        className={secondaryButtonClassName}
+                      >
+                        <span className="material-symbols-outlined text-base">
+                          key
+                        </span>
+                        Rotate Secret
+                      </button>
+                      <button
+                        onClick={() => handleDelete(webhook)}
+                        disabled={busyId !== null}
+                        className={`${secondaryButtonClassName} text-red-600 dark:text-red-400`}
+                      >
+                        <span className="material-symbols-outlined text-base">
+                          delete
+                        </span>
+                        Delete
+                      </button>
+                    </div>
+                  )}
+                </div>
+              </div>
+            ))}
+          </div>
+        )}
+      </div>
+
+      {/* Deliveries Card */}
+      <div className="bg-white dark:bg-gray-800 border border-gray-200 dark:border-gray-700 rounded-lg shadow-sm">
+        <div className="p-6 border-b border-gray-200 dark:border-gray-700 flex items-center justify-between gap-4">
+          <div>
+            <h2 className="text-lg font-bold text-gray-900 dark:text-white">
+              Deliveries
+            </h2>
+            <p className="text-sm text-gray-600 dark:text-gray-400 mt-1">
+              {deadLetterOnly
+                ? "Deliveries that ran out of attempts. Redeliver them once the receiver is fixed."
+                : "The last 50 webhook deliveries."}
+            </p>
+          </div>
+          <div className="flex items-center gap-4">
+            <select
+              value={deadLetterOnly ? "failed" : "all"}
+              onChange={(e) => setDeadLetterOnly(e.target.value === "failed")}
+              className="rounded-md border-gray-300 dark:border-gray-600 bg-gray-50 dark:bg-gray-700 text-gray-900 dark:text-white text-sm px-3 py-2"
+            >
+              <option value="all">All deliveries</option>
+              <option value="failed">Dead letter</option>
+            </select>
+            <button
+              onClick={loadDeliveries}
+              className="flex items-center gap-1 text-sm font-medium text-blue-600 hover:text-blue-800 dark:text-blue-400"
+            >
+              <span className="material-symbols-outlined text-base">
+                refresh
+              </span>
+              Refresh
+            </button>
+          </div>
+        </div>
+
+        {deliveries.length === 0 ? (
+          <p className="p-6 text-sm text-gray-500 dark:text-gray-400">
+            {deadLetterOnly
+              ? "The dead-letter list is empty."
+              : "Nothing has been delivered yet."}
+          </p>
+        ) : (
+          <div className="overflow-x-auto">
+            <table className="w-full text-left text-sm">
+              <thead className="bg-gray-50 dark:bg-gray-700/50">
+                <tr>
+                  <th className="px-6 py-3 font-medium text-gray-700 dark:text-gray-300">
+                    Webhook
+                  </th>
+                  <th className="px-6 py-3 font-medium text-gray-700 dark:text-gray-300">
+                    Event
+                  </th>
+                  <th className="px-6 py-3 font-medium text-gray-700 dark:text-gray-300">
+                    Status
+                  </th>
+                  <th className="px-6 py-3 font-medium text-gray-700 dark:text-gray-300">
+                    Queued
+                  </th>
+                  <th className="px-6 py-3 font-medium text-gray-700 dark:text-gray-300">
+                    Attempts
+                  </th>
+                  {canEdit && <th className="px-6 py-3" />}
+                </tr>
+              </thead>
+              <tbody className="divide-y divide-gray-200 dark:divide-gray-700">
+                {deliveries.map((delivery) => (
+                  <tr key={delivery._id}>
+                    <td className="px-6 py-3 text-gray-900 dark:text-white whitespace-nowrap">
+                      {delivery.webhookId?.name || "Removed webhook"}
+                    </td>
+                    <td className="px-6 py-3">
+                      <p className="font-mono text-xs text-gray-900 dark:text-white">
+                        {delivery.event}
+                      </p>
+                      {delivery.title && (
+                        <p className="text-xs text-gray-500 dark:text-gray-400">
+                          {delivery.title}
+                        </p>
+                      )}
+                    </td>
+                    <td className="px-6 py-3" title={delivery.lastError}>
+                      <span
+                        className={`inline-flex items-center rounded-full px-2 py-0.5 text-xs font-medium ${
+                          STATUS_STYLES[delivery.status] ||
+                          STATUS_STYLES.Pending
+                        }`}
+                      >
+                        {delivery.status}
+                        {delivery.responseStatus &&
+                          ` · ${delivery.responseStatus}`}
+                      </span>
+                      {delivery.status !== "Delivered" &&
+                        delivery.lastError && (
+                          <p className="text-xs text-red-600 dark:text-red-400 mt-1 max-w-xs truncate">
+                            {delivery.lastError}
+                          </p>
+                        )}
+                    </td>
+                    <td className="px-6 py-3 text-gray-700 dark:text-gray-300 whitespace-nowrap">
+                      {new Date(delivery.createdAt).toLocaleString()}
+                    </td>
+                    <td className="px-6 py-3 text-gray-700 dark:text-gray-300">
+                      {delivery.attempts}/{delivery.maxAttempts}
+                    </td>
+                    {canEdit && (
+                      <td className="px-6 py-3 text-right">
+                        {["Delivered", "Failed"].includes(delivery.status) &&
+                          delivery.event !== "ping" && (
+                            <button
+                              onClick={() => handleRedeliver(delivery)}
+                              disabled={busyId !== null}
+                              className="inline-flex items-center gap-1 text-sm font-medium text-blue-600 hover:text-blue-800 dark:text-blue-400 disabled:opacity-50 whitespace-nowrap"
+                            >
+                              <span className="material-symbols-outlined text-base">
+                                replay
+                              </span>
+                              {busyId === delivery._id
+                                ? "Sending..."
+                                : "Redeliver"}
+                            </button>
+                          )}
+                      </td>
+                    )}
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        )}
+      </div>
+    </div>
+  );
+}
@@ -11,6 +11,21 @@
 // Get API URL from environment or default to localhost for development
 export const API_BASE_URL = import.meta.env.VITE_API_URL || 'http://localhost:5000/api';
 
+/**
+ * Build request headers that carry the logged-in user's token.
+ * axios picks the token up from AuthContext defaults, but fetch() calls
+ * must pass it explicitly.
+ *
+ * @param {Object} [headers={}] - Additional headers to include
+ * @returns {Object} Headers with Authorization set when a token exists
+ *
+ * @example
+ * fetch(`${API_BASE_URL}/tags`, { headers: getAuthHeaders() });
+ */
+export function getAuthHeaders(headers = {}) {
+  const token = localStorage.getItem('token');
+  return token ? { ...headers, Authorization: `Bearer ${token}` } : headers;
+}
+
 // Export for easier imports
 export default API_BASE_URL;
-
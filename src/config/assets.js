@@ -0,0 +1,112 @@
+/**
+ * Asset Loading Helpers
+ *
+ * The app never holds the whole asset register: the assets table pages
+ * through the listing (EquipmentContext), and other views load what they
+ * show with these helpers - one asset, a filtered page, a summary or a few
+ * matches for an ID picker.
+ */
+
+import API_BASE_URL, { getAuthHeaders } from "./api";
+
+/**
+ * URL parameters for the asset listing filters, leaving out empty values
+ * @param {Object} query - Listing parameters (see GET /api/equipment)
+ * @returns {URLSearchParams}
+ */
+function toParams(query) {
+  const params = new URLSearchParams();
+  Object.entries(query).forEach(([key, value]) => {
+    if (value !== "" && value !== null && value !== undefined) {
+      params.append(key, value);
+    }
+  });
+  return params;
+}
+
+/**
+ * Fetch one asset by its ID
+ * @param {string} id - Asset ID
+ * @returns {Promise<Object|null>} null when the asset does not exist or is
+ *          outside the user's data scope
+ */
+export async function fetchAsset(id) {
+  const response = await fetch(
+    `${API_BASE_URL}/equipment/${encodeURIComponent(id)}`,
+    { headers: getAuthHeaders() }
+  );
+  if (response.status === 404) return null;
+  if (!response.ok) {
+    throw new Error("Failed to load asset");
+  }
+  return response.json();
+}
+
+/**
+ * Fetch one page of the asset listing
+ * @param {Object} query - Filters, sort, page and pageSize
+ * @returns {Promise<{ items: Array, total: number, page: number, pageSize: number, totalPages: number }>}
+ */
+export async function fetchAssetPage(query) {
+  const params = toParams({ page: 1, ...query });
+  const response = await fetch(`${API_BASE_URL}/equipment?${params}`, {
+    headers: getAuthHeaders(),
+  });
+  if (!response.ok) {
+    throw new Error("Failed to load assets");
+  }
+  return response.json();
+}
+
+// Largest page the asset listing returns
+const MAX_PAGE_SIZE = 500;
+
+/**
+ * Fetch every asset matching the listing filters, page by page. Only for
+ * exports, which need every row; views show pages and summaries.
+ * @param {Object} [query] - Filters and sort
+ * @returns {Promise<Array>}
+ */
+export async function fetchAllAssets(query = {}) {
+  const assets = [];
+  for (let page = 1; ; page++) {
+    const { items, totalPages } = await fetchAssetPage({
+      ...query,
+      page,
+      pageSize: MAX_PAGE_SIZE,
+    });
+    assets.push(...items);
+    if (page >= totalPages) return assets;
+  }
+}
+
+/**
+ * Fetch asset counts for the assets matching the listing filters
+ * @param {Object} [query] - Filters
+ * @returns {Promise<{ total: number, byStatus: Object, byCategory: Object, totalInScope: number, categories: Array, locations: Array }>}
+ */
+export async function fetchAssetSummary(query = {}) {
+  const params = toParams(query);
+  const response = await fetch(`${API_BASE_URL}/equipment/summary?${params}`, {
+    headers: getAuthHeaders(),
+  });
+  if (!response.ok) {
+    throw new Error("Failed to load asset summary");
+  }
+  return response.json();
+}
+
+/**
+ * Assets whose name, ID or serial contains some text, for ID pickers
+ * @param {string} text - Text typed so far
+ * @param {number} [limit] - Most matches returned
+ * @returns {Promise<Array>} Matching assets, by name
+ */
+export async function searchAssets(text, limit = 20) {
+  const { items } = await fetchAssetPage({
+    search: text.trim(),
+    sort: "name",
+    pageSize: limit,
+  });
+  return items;
+}
@@ -5,7 +5,7 @@
  * The default currency is fetched from app settings and used throughout the app.
  */
 
-import API_BASE_URL from './api';
+import API_BASE_URL, { getAuthHeaders } from './api';
 
 // Currency symbols map
 export const CURRENCY_SYMBOLS = {
@@ -72,7 +72,7 @@ export async function getDefaultCurrency() {
   }
 
   try {
-    const response = await fetch(`${API_BASE_URL}/settings`);
+    const response = await fetch(`${API_BASE_URL}/settings`, { headers: getAuthHeaders() });
     if (!response.ok) throw new Error('Failed to fetch settings');
     
     const data = await response.json();
@@ -0,0 +1,82 @@
+/**
+ * Custom Field Helpers
+ *
+ * Administrators define custom fields on "Asset Type" tags
+ * (tag.customFields); assets keep the values in asset.customFields, keyed
+ * by the field key. The server validates values against the definitions
+ * (server/utils/customFields.js); these helpers read and display them.
+ */
+
+import API_BASE_URL, { getAuthHeaders } from "./api";
+
+export const CUSTOM_FIELD_TYPES = [
+  { value: "text", label: "Text" },
+  { value: "number", label: "Number" },
+  { value: "date", label: "Date" },
+  { value: "dropdown", label: "Dropdown" },
+  { value: "boolean", label: "Yes / No" },
+];
+
+/**
+ * Fetch the Asset Type tags with their custom field definitions
+ * @returns {Promise<Array>} Asset Type tags
+ */
+export async function fetchAssetTypes() {
+  const response = await fetch(
+    `${API_BASE_URL}/tags/category/${encodeURIComponent("Asset Type")}`,
+    { headers: getAuthHeaders() }
+  );
+  if (!response.ok) {
+    throw new Error("Failed to load asset types");
+  }
+  return response.json();
+}
+
+/**
+ * Custom field definitions of an asset type
+ * @param {Array} tags - Tags (any categories; only Asset Type tags are used)
+ * @param {string} category - Asset type name
+ * @returns {Array} Field definitions
+ */
+export function getCustomFields(tags, category) {
+  const tag = tags.find(
+    (candidate) =>
+      candidate.category === "Asset Type" && candidate.name === category
+  );
+  return tag?.customFields || [];
+}
+
+/**
+ * Every custom field defined on any asset type, once per key
+ * (the first definition of a key wins, as on the server)
+ * @param {Array} tags - Tags (any categories; only Asset Type tags are used)
+ * @returns {Array} Field definitions
+ */
+export function getAllCustomFields(tags) {
+  const fields = new Map();
+  tags
+    .filter((tag) => tag.category === "Asset Type")
+    .sort((a, b) => a.name.localeCompare(b.name))
+    .forEach((tag) => {
+      (tag.customFields || []).forEach((field) => {
+        if (!fields.has(field.key)) fields.set(field.key, field);
+      });
+    });
+  return [...fields.values()];
+}
+
+/**
+ * Format a custom field value for display and exports
+ * @param {Object} field - Field definition
+ * @param {*} value - Stored value
+ * @returns {string} Empty string when the field is not filled in
+ */
+export function formatCustomFieldValue(field, value) {
+  if (value === undefined || value === null || value === "") return "";
+  if (field?.type === "boolean") return value ? "Yes" : "No";
+  if (field?.type === "date") {
+    const date = new Date(`${value}T00:00:00`);
+    return isNaN(date.getTime()) ? String(value) : date.toLocaleDateString();
+  }
+  return String(value);
+}
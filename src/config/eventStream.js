@@ -0,0 +1,121 @@
+/**
+ * Event Stream
+ *
+ * Shared Server-Sent Events connection to /api/events. Contexts subscribe
+ * with handlers for the events they need; a single EventSource is opened
+ * while there is at least one subscriber.
+ *
+ * Events:
+ * - notification: a new notification for the logged-in user
+ * - asset:        { action, id } - an asset was created, updated or deleted
+ *                 (action "bulk" when many assets changed at once)
+ * - maintenance:  { action, id, assetId } - a maintenance record changed
+ *
+ * The browser reconnects on network errors; when the server rejects the
+ * stream (e.g. an expired token) it is reopened with a backoff.
+ */
+
+import API_BASE_URL from "./api";
+
+const EVENT_TYPES = ["notification", "asset", "maintenance"];
+const RECONNECT_DELAY_MS = 5000;
+const MAX_RECONNECT_DELAY_MS = 60000;
+
+const subscribers = new Set();
+let source = null;
+let sourceToken = null;
+let connected = false;
+let reconnectTimer = null;
+let reconnectDelay = RECONNECT_DELAY_MS;
+
+function setConnected(value) {
+  if (connected === value) return;
+  connected = value;
+  subscribers.forEach((handlers) => handlers.status?.(value));
+}
+
+function close() {
+  clearTimeout(reconnectTimer);
+  reconnectTimer = null;
+  if (source) {
+    source.close();
+    source = null;
+  }
+  sourceToken = null;
+  setConnected(false);
+}
+
+function open() {
+  const token = localStorage.getItem("token");
+  if (!token || typeof EventSource === "undefined") return;
+
+  sourceToken = token;
+  source = new EventSource(
+    `${API_BASE_URL}/events?token=${encodeURIComponent(token)}`
+  );
+
+  source.addEventListener("ready", () => {
+    reconnectDelay = RECONNECT_DELAY_MS;
+    setConnected(true);
+  });
+
+  EVENT_TYPES.forEach((type) => {
+    source.addEventListener(type, (event) => {
+      let data;
+      try {
+        data = JSON.parse(event.data);
+      } catch {
+        return;
+      }
+      subscribers.forEach((handlers) => handlers[type]?.(data));
+    });
+  });
+
+  source.onerror = () => {
+    setConnected(false);
+
+    // CONNECTING means the browser is already retrying
+    if (source.readyState !== EventSource.CLOSED) return;
+
+    source = null;
+    reconnectTimer = setTimeout(() => {
+      reconnectTimer = null;
+      if (subscribers.size > 0) open();
+    }, reconnectDelay);
+    reconnectDelay = Math.min(reconnectDelay * 2, MAX_RECONNECT_DELAY_MS);
+  };
+}
+
+/**
+ * Subscribe to stream events
+ *
+ * @param {Object} handlers - Callbacks by event type
+ * @param {Function} [handlers.notification] - (notification) => void
+ * @param {Function} [handlers.asset] - ({ action, id }) => void
+ * @param {Function} [handlers.maintenance] - ({ action, id, assetId }) => void
+ * @param {Function} [handlers.status] - (connected) => void, called when the stream opens or drops
+ * @returns {Function} Unsubscribe function
+ *
+ * @example
+ * useEffect(() => subscribeToEvents({ asset: () => reload() }), []);
+ */
+export function subscribeToEvents(handlers) {
+  subscribers.add(handlers);
+
+  // Reopen when the user logged in again with another token
+  if (source && sourceToken !== localStorage.getItem("token")) {
+    close();
+  }
+  if (!source && !reconnectTimer) {
+    open();
+  } else if (connected) {
+    handlers.status?.(true);
+  }
+
+  return () => {
+    subscribers.delete(handlers);
+    if (subscribers.size === 0) {
+      close();
+    }
+  };
+}
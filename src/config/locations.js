@@ -0,0 +1,83 @@
+/**
+ * Location Tree Helpers
+ *
+ * Loads the location tree (sites, buildings, floors, rooms) and works with
+ * the flat list /api/locations returns, where parent and ancestors link the
+ * nodes together.
+ */
+
+import API_BASE_URL, { getAuthHeaders } from "./api";
+
+export const LOCATION_TYPES = ["Site", "Building", "Floor", "Room"];
+
+// Material icon per location type
+export const LOCATION_TYPE_ICONS = {
+  Site: "location_city",
+  Building: "apartment",
+  Floor: "layers",
+  Room: "meeting_room",
+};
+
+/**
+ * Fetch every location with its asset counts and value roll-ups
+ * @returns {Promise<{ locations: Array, unassigned: Object }>}
+ */
+export async function fetchLocations() {
+  const response = await fetch(`${API_BASE_URL}/locations`, {
+    headers: getAuthHeaders(),
+  });
+  if (!response.ok) {
+    throw new Error("Failed to load locations");
+  }
+  return response.json();
+}
+
+/**
+ * Index a flat location list
+ * @param {Array} locations - Locations from fetchLocations
+ * @returns {{ byId: Map, children: Map, roots: Array }} children maps a
+ *          parent ID ("" for the roots) to its child locations, sorted by name
+ */
+export function indexLocations(locations) {
+  const byId = new Map(locations.map((location) => [location._id, location]));
+  const children = new Map();
+  locations.forEach((location) => {
+    const key = location.parent || "";
+    if (!children.has(key)) children.set(key, []);
+    children.get(key).push(location);
+  });
+  children.forEach((list) => list.sort((a, b) => a.name.localeCompare(b.name)));
+  return { byId, children, roots: children.get("") || [] };
+}
+
+/**
+ * Full path of a location, e.g. "Lagos HQ › Block A › Floor 2"
+ * @param {Object} location - Location
+ * @param {Map} byId - From indexLocations
+ * @returns {string}
+ */
+export function locationPath(location, byId) {
+  if (!location) return "";
+  return [...(location.ancestors || []).map((id) => byId.get(id)), location]
+    .filter(Boolean)
+    .map((node) => node.name)
+    .join(" › ");
+}
+
+/**
+ * Locations in tree order (each followed by everything beneath it)
+ * @param {Array} locations - Locations from fetchLocations
+ * @returns {Array<{ location: Object, depth: number }>}
+ */
+export function flattenLocationTree(locations) {
+  const { children, roots } = indexLocations(locations);
+  const rows = [];
+  const visit = (nodes, depth) => {
+    nodes.forEach((location) => {
+      rows.push({ location, depth });
+      visit(children.get(location._id) || [], depth + 1);
+    });
+  };
+  visit(roots, 0);
+  return rows;
+}
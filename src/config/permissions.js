@@ -0,0 +1,281 @@
+/**
+ * Permission Configuration
+ *
+ * The permission flags a role or user can hold, grouped by feature, with
+ * the labels and descriptions the role and permission editors show.
+ * Matches the permissions in server/models/Role.js.
+ */
+
+export const PERMISSION_CATEGORIES = {
+  dashboard: {
+    title: "Dashboard",
+    icon: "dashboard",
+    permissions: [
+      {
+        key: "viewDashboard",
+        label: "View Dashboard",
+        description: "Access to main dashboard and statistics",
+      },
+    ],
+  },
+  assets: {
+    title: "Assets & Equipment",
+    icon: "inventory_2",
+    permissions: [
+      {
+        key: "viewAssets",
+        label: "View Assets",
+        description: "View asset list and details",
+      },
+      {
+        key: "createAssets",
+        label: "Create Assets",
+        description: "Register new assets",
+      },
+      {
+        key: "editAssets",
+        label: "Edit Assets",
+        description: "Modify asset information",
+      },
+      {
+        key: "deleteAssets",
+        label: "Delete Assets",
+        description: "Permanently delete assets",
+      },
+      {
+        key: "checkOutAssets",
+        label: "Check Out Assets",
+        description: "Check assets out to users and back in",
+      },
+      {
+        key: "importAssets",
+        label: "Import Assets",
+        description: "Bulk import assets from CSV/XLSX and undo imports",
+      },
+      {
+        key: "exportAssets",
+        label: "Export Assets",
+        description: "Export asset data to CSV/PDF",
+      },
+      {
+        key: "uploadDocuments",
+        label: "Upload Documents",
+        description: "Upload files to assets",
+      },
+      {
+        key: "downloadDocuments",
+        label: "Download Documents",
+        description: "Download asset documents",
+      },
+      {
+        key: "deleteDocuments",
+        label: "Delete Documents",
+        description: "Remove uploaded documents",
+      },
+    ],
+  },
+  notes: {
+    title: "Notes",
+    icon: "note",
+    permissions: [
+      {
+        key: "createNotes",
+        label: "Create Notes",
+        description: "Add notes to assets",
+      },
+      {
+        key: "editNotes",
+        label: "Edit Notes",
+        description: "Modify existing notes",
+      },
+      {
+        key: "deleteNotes",
+        label: "Delete Notes",
+        description: "Remove notes from assets",
+      },
+    ],
+  },
+  tags: {
+    title: "Tags",
+    icon: "local_offer",
+    permissions: [
+      {
+        key: "viewTags",
+        label: "View Tags",
+        description: "View tag management page",
+      },
+      {
+        key: "createTags",
+        label: "Create Tags",
+        description: "Create new tags",
+      },
+      {
+        key: "editTags",
+        label: "Edit Tags",
+        description: "Modify existing tags",
+      },
+      {
+        key: "deleteTags",
+        label: "Delete Tags",
+        description: "Remove tags from system",
+      },
+    ],
+  },
+  maintenance: {
+    title: "Maintenance",
+    icon: "build",
+    permissions: [
+      {
+        key: "viewMaintenance",
+        label: "View Maintenance",
+        description: "View maintenance records",
+      },
+      {
+        key: "createMaintenance",
+        label: "Create Maintenance",
+        description: "Schedule maintenance",
+      },
+      {
+        key: "editMaintenance",
+        label: "Edit Maintenance",
+        description: "Modify maintenance records",
+      },
+      {
+        key: "deleteMaintenance",
+        label: "Delete Maintenance",
+        description: "Remove maintenance records",
+      },
+    ],
+  },
+  users: {
+    title: "User Management",
+    icon: "group",
+    permissions: [
+      {
+        key: "viewUsers",
+        label: "View Users",
+        description: "View user list",
+      },
+      {
+        key: "createUsers",
+        label: "Create Users",
+        description: "Add new users to system",
+      },
+      {
+        key: "editUsers",
+        label: "Edit Users",
+        description: "Modify user information",
+      },
+      {
+        key: "deleteUsers",
+        label: "Delete Users",
+        description: "Remove users from system",
+      },
+      {
+        key: "managePermissions",
+        label: "Manage Permissions",
+        description: "Control user access rights",
+      },
+    ],
+  },
+  reports: {
+    title: "Reports & Analytics",
+    icon: "assessment",
+    permissions: [
+      {
+        key: "viewReports",
+        label: "View Reports",
+        description: "Access reports page",
+      },
+      {
+        key: "exportReports",
+        label: "Export Reports",
+        description: "Download report data",
+      },
+    ],
+  },
+  activities: {
+    title: "Activities",
+    icon: "history",
+    permissions: [
+      {
+        key: "viewActivities",
+        label: "View Activities",
+        description: "View activity logs",
+      },
+      {
+        key: "createActivities",
+        label: "Create Activities",
+        description: "Log new activities",
+      },
+    ],
+  },
+  notifications: {
+    title: "Notifications",
+    icon: "notifications",
+    permissions: [
+      {
+        key: "viewNotifications",
+        label: "View Notifications",
+        description: "Receive notifications",
+      },
+      {
+        key: "deleteNotifications",
+        label: "Delete Notifications",
+        description: "Clear notifications",
+      },
+      {
+        key: "sendNotifications",
+        label: "Send Notifications",
+        description: "Send notifications to other users, roles or departments",
+      },
+    ],
+  },
+  settings: {
+    title: "System Settings",
+    icon: "settings",
+    permissions: [
+      {
+        key: "viewSettings",
+        label: "View Settings",
+        description: "Access settings page",
+      },
+      {
+        key: "editSettings",
+        label: "Edit Settings",
+        description: "Modify system settings",
+      },
+      {
+        key: "regenerateApiKey",
+        label: "Manage API Keys",
+        description: "Create, regenerate and revoke API keys",
+      },
+      {
+        key: "deleteAllAssets",
+        label: "Delete All Assets",
+        description: "⚠️ Dangerous: Delete all system data",
+      },
+    ],
+  },
+};
+
+/**
+ * Describe a data scope in words, e.g. "Finance department and Lagos HQ
+ * location"
+ * @param {Object|null} scope - { departments, locations } (null: every asset)
+ * @returns {string|null} null when the scope covers every asset
+ */
+export const describeDataScope = (scope) => {
+  if (!scope) return null;
+
+  const list = (names, noun) =>
+    names.length === 0
+      ? null
+      : `${names.join(", ")} ${noun}${names.length === 1 ? "" : "s"}`;
+  const parts = [
+    list(scope.departments || [], "department"),
+    list(scope.locations || [], "location"),
+  ].filter(Boolean);
+
+  return parts.length > 0 ? parts.join(" and ") : "no departments or locations";
+};
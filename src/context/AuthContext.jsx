@@ -1,4 +1,11 @@
-import React, { createContext, useContext, useState, useEffect } from "react";
+import React, {
+  createContext,
+  useContext,
+  useState,
+  useEffect,
+  useCallback,
+  useRef,
+} from "react";
 import axios from "axios";
 import API_BASE_URL from "../config/api";
 
@@ -6,6 +13,29 @@ import API_BASE_URL from "../config/api";
 const AuthContext = createContext();
 
 
+const REFRESH_URL = `${API_BASE_URL}/auth/refresh`;
+
+// Renew the access token this long before it expires
+const REFRESH_AHEAD_MS = 60 * 1000;
+
+// How often the idle timer checks, and how often activity is shared with other tabs
+const IDLE_CHECK_MS = 30 * 1000;
+const ACTIVITY_SHARE_MS = 15 * 1000;
+
+const ACTIVITY_EVENTS = ["pointerdown", "keydown", "scroll", "touchstart"];
+
+
+// Expiry of a JWT in milliseconds (the payload is read, not verified)
+const tokenExpiry = (jwt) => {
+  try {
+    const payload = jwt.split(".")[1].replace(/-/g, "+").replace(/_/g, "/");
+    return JSON.parse(atob(payload)).exp * 1000;
+  } catch {
+    return 0;
+  }
+};
+
+
 export const useAuth = () => {
   const context = useContext(AuthContext);
   if (!context) {
@@ -19,6 +49,12 @@ export const AuthProvider = ({ children }) => {
   const [user, setUser] = useState(null);
   const [loading, setLoading] = useState(true);
   const [token, setToken] = useState(localStorage.getItem("token"));
+  const [sessionTimeout, setSessionTimeout] = useState(
+    parseInt(localStorage.getItem("sessionTimeout"), 10) || 30
+  );
+  const refreshPromise = useRef(null);
+  const activeSinceRefresh = useRef(false);
+  const lastActivity = useRef(Date.now());
 
 
   // Configure axios defaults
@@ -33,6 +69,141 @@ export const AuthProvider = ({ children }) => {
   }, [token]);
 
 
+  // Keep the tokens returned by login, register and refresh
+  const storeSession = useCallback((data) => {
+    // Persist immediately so fetch() calls made on this render carry the token
+    localStorage.setItem("token", data.token);
+    localStorage.setItem("refreshToken", data.refreshToken);
+    localStorage.setItem("sessionTimeout", String(data.sessionTimeout));
+    setToken(data.token);
+    setSessionTimeout(data.sessionTimeout);
+  }, []);
+
+
+  // Forget the session locally (the server has already ended it)
+  const clearSession = useCallback(() => {
+    setToken(null);
+    setUser(null);
+    localStorage.removeItem("token");
+    localStorage.removeItem("refreshToken");
+    localStorage.removeItem("sessionTimeout");
+    delete axios.defaults.headers.common["Authorization"];
+  }, []);
+
+
+  // Exchange the refresh token for a new access token. Concurrent callers
+  // share one request; resolves to the new token, or null when it failed.
+  const refreshSession = useCallback(() => {
+    if (refreshPromise.current) return refreshPromise.current;
+
+    const sentToken = localStorage.getItem("refreshToken");
+    if (!sentToken) {
+      clearSession();
+      return Promise.resolve(null);
+    }
+
+    const refresh = async () => {
+      try {
+        const response = await axios.post(REFRESH_URL, {
+          refreshToken: sentToken,
+          active: activeSinceRefresh.current,
+        });
+        activeSinceRefresh.current = false;
+        storeSession(response.data);
+        return response.data.token;
+      } catch (error) {
+        // Another tab refreshed with the same token first; use its result
+        const latest = localStorage.getItem("refreshToken");
+        if (latest && latest !== sentToken) {
+          const latestToken = localStorage.getItem("token");
+          setToken(latestToken);
+          return latestToken;
+        }
+        if (error.response?.status === 401) {
+          clearSession();
+        }
+        return null;
+      }
+    };
+
+    refreshPromise.current = refresh().finally(() => {
+      refreshPromise.current = null;
+    });
+    return refreshPromise.current;
+  }, [clearSession, storeSession]);
+
+
+  // Renew expired tokens and retry; drop sessions the server has ended
+  useEffect(() => {
+    const interceptor = axios.interceptors.response.use(
+      (response) => response,
+      async (error) => {
+        const { config, response } = error;
+        if (response?.status !== 401 || !config || config.url === REFRESH_URL) {
+          return Promise.reject(error);
+        }
+
+        if (response.data?.code === "TOKEN_EXPIRED" && !config.retriedAfterRefresh) {
+          const newToken = await refreshSession();
+          if (newToken) {
+            config.retriedAfterRefresh = true;
+            config.headers.Authorization = `Bearer ${newToken}`;
+            return axios(config);
+          }
+        } else if (response.data?.code === "SESSION_ENDED") {
+          clearSession();
+        }
+        return Promise.reject(error);
+      }
+    );
+
+    return () => axios.interceptors.response.eject(interceptor);
+  }, [refreshSession, clearSession]);
+
+
+  // Renew the access token shortly before it expires
+  useEffect(() => {
+    if (!token) return;
+
+    const delay = Math.max(tokenExpiry(token) - Date.now() - REFRESH_AHEAD_MS, 0);
+    const timer = setTimeout(refreshSession, delay);
+    return () => clearTimeout(timer);
+  }, [token, refreshSession]);
+
+
+  // Timers are paused in background tabs, so check again when the tab is shown
+  useEffect(() => {
+    const handleVisibility = () => {
+      const current = localStorage.getItem("token");
+      if (
+        document.visibilityState === "visible" &&
+        current &&
+        tokenExpiry(current) - Date.now() < REFRESH_AHEAD_MS
+      ) {
+        refreshSession();
+      }
+    };
+
+    document.addEventListener("visibilitychange", handleVisibility);
+    return () => document.removeEventListener("visibilitychange", handleVisibility);
+  }, [refreshSession]);
+
+
+  // Follow logins, refreshes and logouts made in other tabs
+  useEffect(() => {
+    const handleStorage = (event) => {
+      if (event.key !== "token") return;
+      setToken(event.newValue);
+      if (!event.newValue) {
+        setUser(null);
+      }
+    };
+
+    window.addEventListener("storage", handleStorage);
+    return () => window.removeEventListener("storage", handleStorage);
+  }, []);
+
+
   // Load user data on mount if token exists
   useEffect(() => {
     const loadUser = async () => {
@@ -43,8 +214,7 @@ export const AuthProvider = ({ children }) => {
         } catch (error) {
           console.error("Failed to load user:", error);
           // Token is invalid, clear it
-          setToken(null);
-          setUser(null);
+          clearSession();
         }
       }
       setLoading(false);
@@ -52,7 +222,7 @@ export const AuthProvider = ({ children }) => {
 
 
     loadUser();
-  }, [token]);
+  }, [token, clearSession]);
 
 
   // Login function
@@ -67,9 +237,12 @@ export const AuthProvider = ({ children }) => {
       );
 
 
-      const { token: newToken, user: userData } = response.data;
-      setToken(newToken);
-      setUser(userData);
+      // A second step is needed (twoFactorStep "verify" or "setup"); the
+      // caller finishes it with verifyTwoFactor()
+      if (!response.data.twoFactorStep) {
+        storeSession(response.data);
+        setUser(response.data.user);
+      }
 
 
       return response.data;
@@ -80,12 +253,55 @@ export const AuthProvider = ({ children }) => {
   };
 
 
+  // Start two-factor enrollment during sign-in (returns { secret, otpauthUrl })
+  const startTwoFactorSetup = async (challengeToken) => {
+    try {
+      const response = await axios.post(
+        `${API_BASE_URL}/auth/login/two-factor/setup`,
+        { challengeToken }
+      );
+
+
+      return response.data;
+    } catch (error) {
+      const errorMessage =
+        error.response?.data?.message || "Failed to start two-factor setup";
+      throw new Error(errorMessage);
+    }
+  };
+
+
+  // Second sign-in step: { code } from the authenticator app or { recoveryCode }
+  const verifyTwoFactor = async (challengeToken, { code, recoveryCode }) => {
+    try {
+      const response = await axios.post(
+        `${API_BASE_URL}/auth/login/two-factor`,
+        {
+          challengeToken,
+          code,
+          recoveryCode,
+        }
+      );
+
+
+      storeSession(response.data);
+      setUser(response.data.user);
+
+
+      return response.data;
+    } catch (error) {
+      const errorMessage =
+        error.response?.data?.message || "Verification failed";
+      throw new Error(errorMessage);
+    }
+  };
+
+
   // Register function
   const register = async (
     name,
     email,
     password,
-    role = "User",
     department = ""
   ) => {
     try {
@@ -95,15 +311,16 @@ export const AuthProvider = ({ children }) => {
           name,
           email,
           password,
-          role,
           department,
         }
       );
 
 
-      const { token: newToken, user: userData } = response.data;
-      setToken(newToken);
-      setUser(userData);
+      // Roles that require two-factor authentication set it up at login
+      if (!response.data.twoFactorStep) {
+        storeSession(response.data);
+        setUser(response.data.user);
+      }
 
 
       return response.data;
@@ -116,22 +333,60 @@ export const AuthProvider = ({ children }) => {
 
 
   // Logout function
-  const logout = async () => {
+  const logout = useCallback(async () => {
     try {
-      // Call logout endpoint (optional)
-      if (token) {
+      // End the session on the server so its refresh token stops working
+      if (localStorage.getItem("token")) {
         await axios.post(`${API_BASE_URL}/auth/logout`);
       }
     } catch (error) {
       console.error("Logout error:", error);
     } finally {
       // Clear local state regardless of API call success
-      setToken(null);
-      setUser(null);
-      localStorage.removeItem("token");
-      delete axios.defaults.headers.common["Authorization"];
+      clearSession();
     }
-  };
+  }, [clearSession]);
+
+
+  // Sign out after sessionTimeout minutes without activity in any tab
+  const signedIn = !!user;
+  useEffect(() => {
+    if (!signedIn) return;
+
+    lastActivity.current = Date.now();
+    let lastShared = 0;
+
+    const handleActivity = () => {
+      const now = Date.now();
+      lastActivity.current = now;
+      activeSinceRefresh.current = true;
+      if (now - lastShared > ACTIVITY_SHARE_MS) {
+        lastShared = now;
+        localStorage.setItem("lastActivity", String(now));
+      }
+    };
+
+    const checkIdle = () => {
+      const shared = parseInt(localStorage.getItem("lastActivity"), 10) || 0;
+      const idleFor = Date.now() - Math.max(lastActivity.current, shared);
+      if (idleFor > sessionTimeout * 60 * 1000) {
+        logout();
+      }
+    };
+
+    ACTIVITY_EVENTS.forEach((type) =>
+      // Capture so scrolling inside panels counts too
+      window.addEventListener(type, handleActivity, { capture: true, passive: true })
+    );
+    const timer = setInterval(checkIdle, IDLE_CHECK_MS);
+
+    return () => {
+      ACTIVITY_EVENTS.forEach((type) =>
+        window.removeEventListener(type, handleActivity, { capture: true })
+      );
+      clearInterval(timer);
+    };
+  }, [signedIn, sessionTimeout, logout]);
 
 
   // Update user data
@@ -159,7 +414,10 @@ export const AuthProvider = ({ children }) => {
     user,
     token,
     loading,
+    sessionTimeout,
     login,
+    startTwoFactorSetup,
+    verifyTwoFactor,
     register,
     logout,
     updateUser,
@@ -6,10 +6,13 @@
  * Now integrated with MongoDB backend via REST API.
  *
  * Purpose:
- * - Central repository for all equipment/asset items (fetched from MongoDB)
+ * - Server-side paginated, filtered and sorted asset listing for the assets table
+ *   (the whole register is never loaded; other views load what they show
+ *   with the helpers in config/assets.js)
+ * - Asset revisions, so those views know when to load their assets again
  * - Activity log tracking for recent actions on assets
  * - CRUD operations via API calls
- * - Real-time synchronization with database
+ * - Live updates when other users change assets (server event stream)
  *
  * API Integration:
  * - Base URL: http://localhost:5000/api
@@ -44,7 +47,7 @@
  *
  * Usage:
  * 1. Wrap your app with <EquipmentProvider>
- * 2. Access context in any component: const { items, addEquipment } = useContext(EquipmentContext)
+ * 2. Access context in any component: const { assetPage, addEquipment } = useContext(EquipmentContext)
  * 3. Use provided functions and state as needed
  *
  * @example
@@ -55,15 +58,68 @@
  *
  * @example
  * // In any child component:
- * const { items, addEquipment, updateEquipment, deleteEquipment, getById, activities } = useContext(EquipmentContext);
+ * const { assetPage, addEquipment, updateEquipment, deleteEquipment, activities } = useContext(EquipmentContext);
  */
 
-import React, { createContext, useState, useEffect } from "react";
+import React, {
+  createContext,
+  useState,
+  useEffect,
+  useCallback,
+  useRef,
+} from "react";
+import { getAuthHeaders } from "../config/api";
+import { subscribeToEvents } from "../config/eventStream";
+import { fetchAsset } from "../config/assets";
+import { useAuth } from "./AuthContext";
 
 // API Base URL - configure based on environment
 const API_BASE_URL =
   import.meta.env.VITE_API_URL || "http://localhost:5000/api";
 
+// Default query for the paginated asset listing.
+// pageSize is left empty so the server applies Settings.recordsPerPage.
+const DEFAULT_ASSET_QUERY = {
+  page: 1,
+  pageSize: "",
+  sort: "",
+  search: "",
+  status: "",
+  location: "",
+  locationId: "", // Location tree node; includes its sub-locations
+  department: "",
+  category: "",
+  costMin: "",
+  costMax: "",
+  warranty: "",
+  dateFrom: "",
+  dateTo: "",
+  customFields: {}, // key -> value, or { min, max } for number and date fields
+};
+
+/**
+ * Append a query value to URL parameters, leaving out empty values.
+ * Objects use bracket notation (customFields[ram][min]=8), which the
+ * server parses back into an object.
+ */
+function appendParam(params, key, value) {
+  if (value === "" || value === null || value === undefined) return;
+  if (typeof value === "object") {
+    Object.entries(value).forEach(([name, nested]) =>
+      appendParam(params, `${key}[${name}]`, nested)
+    );
+    return;
+  }
+  params.append(key, value);
+}
+
+// Asset change events are batched for this long before the lists are updated
+const LIVE_UPDATE_DELAY_MS = 500;
+
+// More changed assets than this in one batch reloads the listing page
+// instead of fetching each asset shown on it
+const LIVE_UPDATE_FETCH_LIMIT = 10;
+
 // Create the Context - null default value, will be populated by Provider
 export const EquipmentContext = createContext(null);
 
@@ -74,14 +130,17 @@ export const EquipmentContext = createContext(null);
  * Fetches data from MongoDB backend and provides CRUD operations.
  *
  * Provided Values:
- * @provides {Array} items - All equipment/asset objects from MongoDB
+ * @provides {Object} assetPage - Current server page: { items, total, page, pageSize, totalPages }
+ * @provides {Object} assetQuery - Query used for assetPage (filters, sort, page)
+ * @provides {Function} setAssetQuery - Update the listing query; the page is refetched
+ * @provides {boolean} pageLoading - Loading state for the paginated listing
+ * @provides {Object} assetRevision - Counters bumped when assets change: { any, reload, ids }
+ * @provides {Function} getAssetRevision - Revision of one asset; changes when it should be loaded again
  * @provides {Array} activities - Recent activity log entries from MongoDB
- * @provides {boolean} loading - Loading state for API calls
  * @provides {string|null} error - Error message if API calls fail
  * @provides {Function} addEquipment - Add new equipment via API
  * @provides {Function} updateEquipment - Update equipment via API
  * @provides {Function} deleteEquipment - Delete equipment via API
- * @provides {Function} getById - Retrieve equipment by unique ID
  * @provides {Function} addActivity - Add entry to activity log via API
  * @provides {Function} refreshData - Manually refresh data from server
  *
@@ -91,57 +150,215 @@ export const EquipmentContext = createContext(null);
  * @returns {JSX.Element} Provider component wrapping children with equipment context
  */
 export function EquipmentProvider({ children }) {
-  // State: Array that stores all equipment items from MongoDB
-  const [items, setItems] = useState([]);
-
   // State: Array that stores recent activity/actions from MongoDB
   const [activities, setActivities] = useState([]);
 
-  // State: Loading indicator for API calls
-  const [loading, setLoading] = useState(true);
-
   // State: Error message for failed API calls
   const [error, setError] = useState(null);
 
+  // State: Server-side paginated listing used by the assets table
+  const [assetQuery, setAssetQuery] = useState(DEFAULT_ASSET_QUERY);
+  const [assetPage, setAssetPage] = useState({
+    items: [],
+    total: 0,
+    page: 1,
+    pageSize: 0,
+    totalPages: 0,
+  });
+  const [pageLoading, setPageLoading] = useState(false);
+
+  // State: Counters bumped when assets change, so views that load assets
+  // themselves know when to load them again: `any` on every change,
+  // `reload` when any asset may have changed, `ids` per changed asset
+  const [assetRevision, setAssetRevision] = useState({
+    any: 0,
+    reload: 0,
+    ids: {},
+  });
+
+  // Auth token - the API requires it, so data is (re)loaded once the user logs in
+  const { token } = useAuth();
+
   /**
-   * Fetch all equipment from MongoDB on component mount
+   * Fetch recent activity whenever the logged-in session changes
    */
   useEffect(() => {
-    fetchEquipment();
+    if (!token) {
+      setActivities([]);
+      return;
+    }
+
     fetchActivities();
+  }, [token]);
+
+  /**
+   * Record that assets changed
+   * @param {Array<string>} [ids] - Changed assets; omit when any may have changed
+   */
+  const noteAssetChanges = useCallback((ids) => {
+    setAssetRevision((prev) => ({
+      any: prev.any + 1,
+      reload: ids ? prev.reload : prev.reload + 1,
+      ids: ids
+        ? {
+            ...prev.ids,
+            ...Object.fromEntries(
+              ids.map((id) => [id, (prev.ids[id] || 0) + 1])
+            ),
+          }
+        : prev.ids,
+    }));
   }, []);
 
   /**
-   * Fetch all equipment from API
+   * Revision of one asset: changes whenever it should be loaded again
+   * @param {string} id - Asset ID
+   * @returns {number}
+   */
+  const getAssetRevision = (id) =>
+    assetRevision.reload + (assetRevision.ids[id] || 0);
+
+  /**
+   * Fetch one page of equipment matching assetQuery from the API
    */
-  const fetchEquipment = async () => {
+  const fetchAssetPage = useCallback(async () => {
     try {
-      setLoading(true);
+      setPageLoading(true);
       setError(null);
 
-      const response = await fetch(`${API_BASE_URL}/equipment`);
+      // Only send parameters that are set
+      const params = new URLSearchParams();
+      Object.entries(assetQuery).forEach(([key, value]) =>
+        appendParam(params, key, value)
+      );
+
+      const response = await fetch(`${API_BASE_URL}/equipment?${params}`, {
+        headers: getAuthHeaders(),
+      });
 
       if (!response.ok) {
         throw new Error(`Failed to fetch equipment: ${response.statusText}`);
       }
 
-      const data = await response.json();
-      setItems(data);
+      setAssetPage(await response.json());
     } catch (err) {
-      console.error("Error fetching equipment:", err);
+      console.error("Error fetching equipment page:", err);
       setError(err.message);
-      setItems([]); // Set empty array on error
     } finally {
-      setLoading(false);
+      setPageLoading(false);
     }
-  };
+  }, [assetQuery]);
+
+  /**
+   * Refetch the listing page whenever the query or session changes
+   */
+  useEffect(() => {
+    if (!token) {
+      setAssetPage({
+        items: [],
+        total: 0,
+        page: 1,
+        pageSize: 0,
+        totalPages: 0,
+      });
+      return;
+    }
+
+    fetchAssetPage();
+  }, [token, fetchAssetPage]);
+
+  /**
+   * Asset changes announced on the event stream (possibly by other users),
+   * waiting to be applied to the lists
+   */
+  const pendingAssetChanges = useRef({ ids: new Set(), reload: false });
+  const assetChangeTimer = useRef(null);
+  const applyAssetChanges = useRef(null);
+
+  /**
+   * Apply pending asset changes: refetch the changed assets shown on the
+   * listing page in place, or reload the page when assets were added,
+   * removed or changed in bulk. Views that load assets themselves follow
+   * assetRevision.
+   */
+  useEffect(() => {
+    applyAssetChanges.current = async () => {
+      const { ids, reload } = pendingAssetChanges.current;
+      pendingAssetChanges.current = { ids: new Set(), reload: false };
+
+      try {
+        if (reload || ids.size > LIVE_UPDATE_FETCH_LIMIT) {
+          noteAssetChanges();
+          await Promise.all([fetchAssetPage(), fetchActivities()]);
+          return;
+        }
+
+        noteAssetChanges([...ids]);
+        const shown = [...ids].filter((id) =>
+          assetPage.items.some((item) => item.id === id)
+        );
+        const updatedItems = await Promise.all(shown.map(fetchAsset));
+
+        if (updatedItems.includes(null)) {
+          await Promise.all([fetchAssetPage(), fetchActivities()]);
+          return;
+        }
+
+        const byId = new Map(updatedItems.map((item) => [item.id, item]));
+        const replace = (item) => byId.get(item.id) || item;
+        setAssetPage((prev) => ({ ...prev, items: prev.items.map(replace) }));
+        await fetchActivities();
+      } catch (err) {
+        console.error("Error applying live asset updates:", err);
+      }
+    };
+  });
+
+  /**
+   * Listen for asset changes on the event stream while logged in
+   */
+  useEffect(() => {
+    if (!token) return;
+
+    const unsubscribe = subscribeToEvents({
+      asset: ({ action, id }) => {
+        if (action === "updated" && id) {
+          pendingAssetChanges.current.ids.add(id);
+        } else {
+          pendingAssetChanges.current.reload = true;
+        }
+
+        clearTimeout(assetChangeTimer.current);
+        assetChangeTimer.current = setTimeout(
+          () => applyAssetChanges.current(),
+          LIVE_UPDATE_DELAY_MS
+        );
+      },
+      status: (connected) => {
+        // Changes made while the stream was down were missed
+        if (!connected) {
+          pendingAssetChanges.current.reload = true;
+        } else if (pendingAssetChanges.current.reload) {
+          applyAssetChanges.current();
+        }
+      },
+    });
+
+    return () => {
+      unsubscribe();
+      clearTimeout(assetChangeTimer.current);
+      pendingAssetChanges.current = { ids: new Set(), reload: false };
+    };
+  }, [token]);
 
   /**
    * Fetch all activities from API
    */
   const fetchActivities = async () => {
     try {
-      const response = await fetch(`${API_BASE_URL}/activities?limit=50`);
+      const response = await fetch(`${API_BASE_URL}/activities?limit=50`, {
+        headers: getAuthHeaders(),
+      });
 
       if (!response.ok) {
         throw new Error(`Failed to fetch activities: ${response.statusText}`);
@@ -180,9 +397,9 @@ export function EquipmentProvider({ children }) {
     try {
       const response = await fetch(`${API_BASE_URL}/activities`, {
         method: "POST",
-        headers: {
+        headers: getAuthHeaders({
           "Content-Type": "application/json",
-        },
+        }),
         body: JSON.stringify(activity),
       });
 
@@ -237,9 +454,9 @@ export function EquipmentProvider({ children }) {
     try {
       const response = await fetch(`${API_BASE_URL}/equipment`, {
         method: "POST",
-        headers: {
+        headers: getAuthHeaders({
           "Content-Type": "application/json",
-        },
+        }),
         body: JSON.stringify(data),
       });
 
@@ -251,12 +468,10 @@ export function EquipmentProvider({ children }) {
       }
 
       const newItem = await response.json();
-
-      // Update local state
-      setItems((prev) => [newItem, ...prev]);
+      noteAssetChanges([newItem.id]);
 
       // Refresh activities to show the new "Added" activity
-      await fetchActivities();
+      await Promise.all([fetchActivities(), fetchAssetPage()]);
 
       return newItem;
     } catch (err) {
@@ -286,9 +501,9 @@ export function EquipmentProvider({ children }) {
     try {
       const response = await fetch(`${API_BASE_URL}/equipment/${id}`, {
         method: "PUT",
-        headers: {
+        headers: getAuthHeaders({
           "Content-Type": "application/json",
-        },
+        }),
         body: JSON.stringify(updatedData),
       });
 
@@ -303,9 +518,11 @@ export function EquipmentProvider({ children }) {
       const updatedItem = await response.json();
 
       // Update local state
-      setItems((prev) =>
-        prev.map((item) => (item.id === id ? updatedItem : item))
-      );
+      noteAssetChanges([id, updatedItem.id]);
+      setAssetPage((prev) => ({
+        ...prev,
+        items: prev.items.map((item) => (item.id === id ? updatedItem : item)),
+      }));
 
       // Refresh activities to show the new "Updated" activity
       await fetchActivities();
@@ -332,6 +549,7 @@ export function EquipmentProvider({ children }) {
     try {
       const response = await fetch(`${API_BASE_URL}/equipment/${id}`, {
         method: "DELETE",
+        headers: getAuthHeaders(),
       });
 
       if (!response.ok) {
@@ -345,10 +563,10 @@ export function EquipmentProvider({ children }) {
       const deletedItem = await response.json();
 
       // Update local state
-      setItems((prev) => prev.filter((item) => item.id !== id));
+      noteAssetChanges([id]);
 
       // Refresh activities to show the new "Deleted" activity
-      await fetchActivities();
+      await Promise.all([fetchActivities(), fetchAssetPage()]);
 
       return deletedItem;
     } catch (err) {
@@ -357,49 +575,31 @@ export function EquipmentProvider({ children }) {
     }
   }
 
-  /**
-   * Find an equipment item by its unique ID
-   *
-   * Searches through the equipment array and returns the matching item.
-   * Useful for looking up details when you have an ID (e.g., from QR code scan).
-   *
-   * @param {string} id - The unique ID of the equipment to find
-   * @returns {Object|undefined} The equipment object if found, undefined if not found
-   *
-   * @example
-   * const item = getById("LAPTOP-001");
-   * if (item) {
-   *   console.log(item.name); // "Dell XPS 15"
-   * } else {
-   *   console.log("Equipment not found");
-   * }
-   */
-  function getById(id) {
-    // Search through the items array and return the first item with matching ID
-    return items.find((i) => i.id === id);
-  }
-
   /**
    * Manually refresh data from server
    *
    * Useful for forcing a data refresh after external changes.
    */
   async function refreshData() {
-    await Promise.all([fetchEquipment(), fetchActivities()]);
+    noteAssetChanges();
+    await Promise.all([fetchActivities(), fetchAssetPage()]);
   }
 
   // Provide the equipment data and functions to all child components
   return (
     <EquipmentContext.Provider
       value={{
-        items,
         activities,
-        loading,
+        assetPage,
+        assetQuery,
+        setAssetQuery,
+        pageLoading,
+        assetRevision,
+        getAssetRevision,
         error,
         addEquipment,
         updateEquipment,
         deleteEquipment,
-        getById,
         addActivity,
         refreshData,
       }}
@@ -5,9 +5,9 @@
  * Handles notification creation, updates, and real-time synchronization with backend.
  *
  * Features:
- * - Real-time notification fetching
- * - Mark notifications as read/unread
- * - Delete notifications
+ * - Real-time delivery over the server event stream (polling only while the stream is down)
+ * - Mark notifications as read (read state is per user)
+ * - Dismiss notifications (only for the current user)
  * - Unread count tracking
  * - Automatic notifications for asset events (maintenance due, status changes, etc.)
  * - Toast notifications for new alerts
@@ -20,8 +20,15 @@
  * - info: Informational messages
  */
 
-import React, { createContext, useState, useEffect, useCallback } from "react";
-import API_BASE_URL from "../config/api";
+import React, {
+  createContext,
+  useState,
+  useEffect,
+  useCallback,
+  useRef,
+} from "react";
+import API_BASE_URL, { getAuthHeaders } from "../config/api";
+import { subscribeToEvents } from "../config/eventStream";
 import { useAuth } from "./AuthContext";
 
 export const NotificationContext = createContext();
@@ -30,8 +37,15 @@ export const NotificationProvider = ({ children }) => {
   const [notifications, setNotifications] = useState([]);
   const [unreadCount, setUnreadCount] = useState(0);
   const [loading, setLoading] = useState(false);
+  const [streamConnected, setStreamConnected] = useState(false);
+  const streamDropped = useRef(false);
+  const notificationsRef = useRef([]);
   const { user } = useAuth();
 
+  useEffect(() => {
+    notificationsRef.current = notifications;
+  }, [notifications]);
+
   const API_URL = `${API_BASE_URL}/notifications`;
 
   /**
@@ -39,13 +53,11 @@ export const NotificationProvider = ({ children }) => {
    */
   const fetchNotifications = useCallback(async () => {
     try {
-      setLoading(true);
-      const userId = user?._id;
-      const role = user?.role;
+      // Notifications are scoped to the authenticated user on the server
+      if (!user) return;
 
-      const url = userId ? `${API_URL}?userId=${userId}&role=${role}` : API_URL;
-
-      const response = await fetch(url);
+      setLoading(true);
+      const response = await fetch(API_URL, { headers: getAuthHeaders() });
       if (response.ok) {
         const data = await response.json();
         setNotifications(data);
@@ -60,6 +72,22 @@ export const NotificationProvider = ({ children }) => {
     }
   }, [user, API_URL]);
 
+  /**
+   * Add a notification to the list unless it is already there
+   * (it can arrive from the event stream and from a POST response)
+   * @param {Object} notification - Saved notification
+   */
+  const prependNotification = useCallback((notification) => {
+    if (notificationsRef.current.some((n) => n._id === notification._id)) {
+      return;
+    }
+    notificationsRef.current = [notification, ...notificationsRef.current];
+    setNotifications((prev) => [notification, ...prev]);
+    if (!notification.read) {
+      setUnreadCount((prev) => prev + 1);
+    }
+  }, []);
+
   /**
    * Add a new notification
    * @param {Object} notification - Notification object
@@ -68,16 +96,15 @@ export const NotificationProvider = ({ children }) => {
     try {
       const response = await fetch(API_URL, {
         method: "POST",
-        headers: {
+        headers: getAuthHeaders({
           "Content-Type": "application/json",
-        },
+        }),
         body: JSON.stringify(notification),
       });
 
       if (response.ok) {
         const newNotification = await response.json();
-        setNotifications((prev) => [newNotification, ...prev]);
-        setUnreadCount((prev) => prev + 1);
+        prependNotification(newNotification);
         return newNotification;
       }
     } catch (error) {
@@ -93,6 +120,7 @@ export const NotificationProvider = ({ children }) => {
     try {
       const response = await fetch(`${API_URL}/${id}/read`, {
         method: "PATCH",
+        headers: getAuthHeaders(),
       });
 
       if (response.ok) {
@@ -115,6 +143,7 @@ export const NotificationProvider = ({ children }) => {
     try {
       const response = await fetch(`${API_URL}/read-all`, {
         method: "PATCH",
+        headers: getAuthHeaders(),
       });
 
       if (response.ok) {
@@ -129,13 +158,14 @@ export const NotificationProvider = ({ children }) => {
   };
 
   /**
-   * Delete a notification
+   * Dismiss a notification for the current user
    * @param {string} id - Notification ID
    */
   const deleteNotification = async (id) => {
     try {
       const response = await fetch(`${API_URL}/${id}`, {
         method: "DELETE",
+        headers: getAuthHeaders(),
       });
 
       if (response.ok) {
@@ -146,17 +176,18 @@ export const NotificationProvider = ({ children }) => {
         }
       }
     } catch (error) {
-      console.error("Error deleting notification:", error);
+      console.error("Error dismissing notification:", error);
     }
   };
 
   /**
-   * Clear all notifications
+   * Dismiss all of the current user's notifications
    */
   const clearAllNotifications = async () => {
     try {
       const response = await fetch(API_URL, {
         method: "DELETE",
+        headers: getAuthHeaders(),
       });
 
       if (response.ok) {
@@ -213,15 +244,36 @@ export const NotificationProvider = ({ children }) => {
     });
   };
 
-  // Fetch notifications on mount and set up polling
+  // Fetch notifications on mount
   useEffect(() => {
     fetchNotifications();
+  }, [fetchNotifications]);
+
+  // Receive new notifications from the event stream
+  useEffect(() => {
+    if (!user) return;
+
+    return subscribeToEvents({
+      notification: prependNotification,
+      status: (connected) => {
+        // Catch up on anything sent while the stream was down
+        if (connected && streamDropped.current) {
+          fetchNotifications();
+        }
+        streamDropped.current = !connected;
+        setStreamConnected(connected);
+      },
+    });
+  }, [user, fetchNotifications, prependNotification]);
+
+  // Poll for new notifications every 30 seconds while the stream is down
+  useEffect(() => {
+    if (streamConnected) return;
 
-    // Poll for new notifications every 30 seconds
     const interval = setInterval(fetchNotifications, 30000);
 
     return () => clearInterval(interval);
-  }, [fetchNotifications]);
+  }, [streamConnected, fetchNotifications]);
 
   const value = {
     notifications,